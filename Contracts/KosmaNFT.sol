@@ -16,7 +16,7 @@ contract KosmaNFT is ERC721URIStorage, AccessControl, ReentrancyGuard, Initializ
 
     struct RoyaltyInfo {
         address[] creators;
-        uint256[] royaltyPercentages;
+        uint256[] royaltyBps; // Share of each sale per creator, in basis points
         uint256 nextAllowedUpdate;
     }
 
@@ -30,17 +30,18 @@ contract KosmaNFT is ERC721URIStorage, AccessControl, ReentrancyGuard, Initializ
     IERC20 public immutable usdcToken; // Immutable to save gas
     LayerZeroEndpoint public immutable layerZeroEndpoint; // Immutable for cross-chain use
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    uint256 public constant BPS = 10000; // Basis points in 100%
 
     mapping(uint256 => RoyaltyInfo) public royalties;
     mapping(uint256 => LicenseInfo[]) public licenses;
     mapping(uint256 => string) public metadataHashes;
     uint256 public mintingFee;
 
-    event NFTMinted(uint256 indexed tokenId, address indexed creator, string tokenURI, uint256[] royaltyPercentages);
+    event NFTMinted(uint256 indexed tokenId, address indexed creator, string tokenURI, uint256[] royaltyBps);
     event RoyaltyPaid(address indexed creator, uint256 indexed tokenId, uint256 amount);
     event ContentLicensed(address indexed licensee, uint256 indexed tokenId, uint256 fee, string usageRights);
     event NFTTransferredCrossChain(uint256 indexed tokenId, address indexed owner, string destinationChain);
-    event RoyaltyUpdated(uint256 indexed tokenId, uint256[] newRoyaltyPercentages);
+    event RoyaltyUpdated(uint256 indexed tokenId, uint256[] newRoyaltyBps);
     event LicenseTermsSet(uint256 indexed tokenId, string licenseTerms);
 
     constructor(address _usdcTokenAddress, address _layerZeroEndpointAddress) ERC721("KosmaNFT", "KNFT") {
@@ -65,11 +66,11 @@ contract KosmaNFT is ERC721URIStorage, AccessControl, ReentrancyGuard, Initializ
         string memory tokenURI,
         string memory metadataHash,
         address[] memory creators,
-        uint256[] memory royaltyPercentages
+        uint256[] memory royaltyBps
     ) external payable nonReentrant {
         require(msg.value == mintingFee, "Incorrect minting fee");
-        require(creators.length == royaltyPercentages.length, "Creators and royalties length mismatch");
-        require(_validRoyalty(royaltyPercentages), "Invalid royalty values");
+        require(creators.length == royaltyBps.length, "Creators and royalties length mismatch");
+        require(_validRoyalty(royaltyBps), "Invalid royalty values");
 
         _tokenIds.increment();
         uint256 newItemId = _tokenIds.current();
@@ -80,38 +81,50 @@ contract KosmaNFT is ERC721URIStorage, AccessControl, ReentrancyGuard, Initializ
 
         royalties[newItemId] = RoyaltyInfo({
             creators: creators,
-            royaltyPercentages: royaltyPercentages,
+            royaltyBps: royaltyBps,
             nextAllowedUpdate: block.timestamp + 30 days
         });
 
-        emit NFTMinted(newItemId, msg.sender, tokenURI, royaltyPercentages);
+        emit NFTMinted(newItemId, msg.sender, tokenURI, royaltyBps);
     }
 
-    function _validRoyalty(uint256[] memory royaltyPercentages) internal pure returns (bool) {
+    function _validRoyalty(uint256[] memory royaltyBps) internal pure returns (bool) {
         uint256 totalRoyalty;
-        for (uint256 i = 0; i < royaltyPercentages.length; i++) {
-            totalRoyalty += royaltyPercentages[i];
+        for (uint256 i = 0; i < royaltyBps.length; i++) {
+            totalRoyalty += royaltyBps[i];
         }
-        return totalRoyalty <= 100;
+        return totalRoyalty <= BPS;
     }
 
+    // Each creator's share is rounded down; the rounding dust goes to the first creator
     function distributeRoyalty(uint256 tokenId, uint256 salePrice) external nonReentrant {
         RoyaltyInfo memory royalty = royalties[tokenId];
+        uint256[] memory amounts = new uint256[](royalty.creators.length);
+        uint256 totalBps;
+        uint256 paid;
         for (uint256 i = 0; i < royalty.creators.length; i++) {
-            uint256 royaltyAmount = (salePrice * royalty.royaltyPercentages[i]) / 100;
-            require(usdcToken.transferFrom(msg.sender, royalty.creators[i], royaltyAmount), "Royalty payment failed");
-            emit RoyaltyPaid(royalty.creators[i], tokenId, royaltyAmount);
+            amounts[i] = (salePrice * royalty.royaltyBps[i]) / BPS;
+            totalBps += royalty.royaltyBps[i];
+            paid += amounts[i];
+        }
+        if (amounts.length > 0) {
+            amounts[0] += (salePrice * totalBps) / BPS - paid;
+        }
+
+        for (uint256 i = 0; i < royalty.creators.length; i++) {
+            require(usdcToken.transferFrom(msg.sender, royalty.creators[i], amounts[i]), "Royalty payment failed");
+            emit RoyaltyPaid(royalty.creators[i], tokenId, amounts[i]);
         }
     }
 
-    function updateRoyalty(uint256 tokenId, uint256[] memory newRoyaltyPercentages) external onlyOwnerOrCreator(tokenId) nonReentrant {
-        require(_validRoyalty(newRoyaltyPercentages), "Invalid royalty values");
+    function updateRoyalty(uint256 tokenId, uint256[] memory newRoyaltyBps) external onlyOwnerOrCreator(tokenId) nonReentrant {
+        require(_validRoyalty(newRoyaltyBps), "Invalid royalty values");
         require(block.timestamp > royalties[tokenId].nextAllowedUpdate, "Royalty update cooldown period active");
 
-        royalties[tokenId].royaltyPercentages = newRoyaltyPercentages;
+        royalties[tokenId].royaltyBps = newRoyaltyBps;
         royalties[tokenId].nextAllowedUpdate = block.timestamp + 30 days;
 
-        emit RoyaltyUpdated(tokenId, newRoyaltyPercentages);
+        emit RoyaltyUpdated(tokenId, newRoyaltyBps);
     }
 
     function licenseContent(
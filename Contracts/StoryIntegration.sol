@@ -12,6 +12,9 @@ contract StoryIntegration is AccessControl, ReentrancyGuard {
     bytes32 public constant CREATOR_ROLE = keccak256("CREATOR_ROLE");
     bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
 
+    // Basis points in 100%; royalty shares are whole numbers of them
+    uint256 public constant BPS = 10000;
+
     // Structs for content licensing, royalties, and disputes
     struct License {
         address creator;
@@ -23,7 +26,7 @@ contract StoryIntegration is AccessControl, ReentrancyGuard {
 
     struct RoyaltyRecipient {
         address recipient;
-        uint256 percentage; // Share of royalties (out of 100)
+        uint256 bps; // Share of each payment, in basis points
     }
 
     struct Dispute {
@@ -89,49 +92,69 @@ contract StoryIntegration is AccessControl, ReentrancyGuard {
      * @dev Allows the creator to assign royalty recipients.
      * @param contentId The ID of the content.
      * @param recipients Array of recipient addresses.
-     * @param percentages Array of percentage shares for each recipient.
+     * @param shares Array of shares for each recipient, in basis points (at most BPS in total).
      */
     function setRoyaltyRecipients(
         uint256 contentId,
         address[] memory recipients,
-        uint256[] memory percentages
+        uint256[] memory shares
     ) external onlyCreator {
         require(licenses[contentId].creator == msg.sender, "Not the content creator.");
-        require(recipients.length == percentages.length, "Mismatched inputs.");
+        require(recipients.length == shares.length, "Mismatched inputs.");
 
-        uint256 totalPercentage = 0;
+        uint256 totalBps = 0;
         delete royalties[contentId]; // Clear previous royalties
 
         for (uint256 i = 0; i < recipients.length; i++) {
             require(recipients[i] != address(0), "Invalid recipient address.");
-            require(percentages[i] > 0, "Percentage must be greater than 0.");
-            totalPercentage += percentages[i];
+            require(shares[i] > 0, "Share must be greater than 0.");
+            totalBps += shares[i];
 
-            royalties[contentId].push(RoyaltyRecipient(recipients[i], percentages[i]));
+            royalties[contentId].push(RoyaltyRecipient(recipients[i], shares[i]));
         }
 
-        require(totalPercentage <= 100, "Total percentage exceeds 100.");
+        require(totalBps <= BPS, "Total share exceeds 10000 basis points.");
     }
 
     /**
-     * @dev Distributes royalties to the recipients.
+     * @dev Pays each recipient their share of the payment and returns the rest to the sender.
+     * Shares are rounded down and the rounding dust goes to the first recipient. No platform fee is
+     * taken here; the backend sends the payment after its fee, and its royalty engine splits that the same way.
      * @param contentId The ID of the content.
      */
     function payRoyalties(uint256 contentId) external payable nonReentrant {
         require(licenses[contentId].isActive, "Inactive license.");
         require(msg.value > 0, "No payment sent.");
 
+        RoyaltyRecipient[] memory recipients = royalties[contentId];
         uint256 totalPayment = msg.value;
+        uint256[] memory amounts = new uint256[](recipients.length);
+        uint256 totalBps = 0;
+        uint256 paid = 0;
 
-        for (uint256 i = 0; i < royalties[contentId].length; i++) {
-            RoyaltyRecipient memory recipient = royalties[contentId][i];
-            uint256 amount = (totalPayment * recipient.percentage) / 100;
-            require(amount > 0, "Insufficient payment.");
+        for (uint256 i = 0; i < recipients.length; i++) {
+            amounts[i] = (totalPayment * recipients[i].bps) / BPS;
+            totalBps += recipients[i].bps;
+            paid += amounts[i];
+        }
+
+        uint256 royalty = (totalPayment * totalBps) / BPS;
+        if (recipients.length > 0) {
+            amounts[0] += royalty - paid; // Rounding dust
+        }
 
-            (bool success, ) = recipient.recipient.call{value: amount}("");
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (amounts[i] == 0) continue;
+
+            (bool success, ) = recipients[i].recipient.call{value: amounts[i]}("");
             require(success, "Payment failed.");
 
-            emit RoyaltyPaid(contentId, recipient.recipient, amount);
+            emit RoyaltyPaid(contentId, recipients[i].recipient, amounts[i]);
+        }
+
+        if (totalPayment > royalty) {
+            (bool refunded, ) = msg.sender.call{value: totalPayment - royalty}("");
+            require(refunded, "Refund failed.");
         }
     }
 
@@ -0,0 +1,62 @@
+// Import necessary libraries and modules
+const config = require('../config');
+const { INTERFACES, assertImplements } = require('./interfaces');
+const { state: sandboxState } = require('./sandbox/state');
+
+/**
+ * Driver used for an integration
+ * ADAPTER_DRIVER_<NAME> (e.g. ADAPTER_DRIVER_CIRCLEAPI=live) overrides ADAPTER_DRIVER for one
+ * integration; without either, production uses live drivers and everything else the sandbox.
+ * Both are validated by the config schema.
+ * @param {string} name - Integration name (key of INTERFACES)
+ * @returns {string} - 'live' or 'sandbox'
+ */
+function driverFor(name) {
+    const { driver, overrides } = config.integrations.adapters;
+    return overrides[name.toUpperCase()] || driver || (config.env === 'production' ? 'live' : 'sandbox');
+}
+
+const instances = new Map();
+
+/**
+ * Get the adapter instance for an integration, creating it on first use
+ * Live driver modules are only required when selected, so the sandbox works without
+ * the protocol SDKs installed.
+ * @param {string} name - Integration name (key of INTERFACES)
+ * @returns {Object} - Driver instance implementing the integration's interface
+ */
+function getAdapter(name) {
+    if (!INTERFACES[name]) {
+        throw new Error(`Unknown adapter: ${name}`);
+    }
+
+    if (!instances.has(name)) {
+        const Driver = require(`./${driverFor(name)}/${name}`);
+        instances.set(name, assertImplements(name, new Driver()));
+    }
+    return instances.get(name);
+}
+
+/**
+ * Clear all sandbox records and counters (for tests)
+ * Instances are kept, since modules hold references to them from require time.
+ */
+function resetSandbox() {
+    sandboxState.reset();
+}
+
+const adapters = {
+    driverFor,
+    getAdapter,
+    resetSandbox,
+};
+
+// Expose each integration as a lazy property: const { CircleAPI } = require('../adapters')
+Object.keys(INTERFACES).forEach((name) => {
+    Object.defineProperty(adapters, name, {
+        enumerable: true,
+        get: () => getAdapter(name),
+    });
+});
+
+module.exports = adapters;
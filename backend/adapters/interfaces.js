@@ -0,0 +1,125 @@
+/**
+ * Protocol adapter interfaces
+ *
+ * Every integration the backend talks to is described here as a set of async methods.
+ * Each integration has two drivers that implement exactly these methods:
+ *   - live/<Name>.js    talks to the real protocol (RPC, REST API or SDK)
+ *   - sandbox/<Name>.js deterministic in-memory stand-in for offline development and tests
+ *
+ * Write methods resolve once the operation has been submitted and return a plain result
+ * object that always includes a `hash` (transaction hash or provider reference).
+ * Drivers also implement on(event, callback) for protocol events.
+ */
+const INTERFACES = {
+    // Cross-chain messaging and NFT transfers (LayerZero V2)
+    LayerZero: {
+        validateChains: '(sourceChain, targetChain) => Promise<boolean>',
+        verifyMessage: '(message) => Promise<boolean>',
+        sendMessage: '(recipient, payload, targetChain) => Promise<{ id, hash }>',
+        transferNFT: '(tokenId, recipient, targetChain) => Promise<{ id, hash }>',
+        on: '(event, callback) => void',
+    },
+
+    // Licensing, royalties and disputes (Story Protocol / StoryIntegration.sol)
+    StoryProtocol: {
+        createLicense: '(contentId, terms, { owner, licensees, shares }?) => Promise<{ licenseId, hash }>',
+        revokeLicense: '(contentId) => Promise<{ hash }>',
+        // Shares and rates are basis points of each sale; see services/royaltyService
+        licenseNFT: '(tokenId, { recipients, shares, terms }) => Promise<{ licenseId, hash }>',
+        getRoyaltyDetails: '(tokenId) => Promise<{ rate, recipients: [{ address, share }] } | null>',
+        // Pays each recipient their share of `amount` (the sale after the platform fee)
+        enforceRoyaltyPayment: '(tokenId, amount) => Promise<{ hash }>',
+        raiseDispute: '(contentId, raisedBy, reason) => Promise<{ disputeId, hash }>',
+        resolveDispute: '(disputeId, resolution) => Promise<{ hash }>',
+        on: '(event, callback) => void',
+    },
+
+    // Ownership checks and attestations (Sign Protocol / SignAttestations.sol)
+    SignProtocol: {
+        verifyOwnership: '(owner, subject) => Promise<boolean>',
+        createAttestation: '({ attester, contentId, data }) => Promise<{ attestationId, hash }>',
+        verifyAttestation: '(attestation) => Promise<boolean>',
+        raiseDispute: '(attestationId, details) => Promise<{ hash }>',
+        on: '(event, callback) => void',
+    },
+
+    // Streaming payments (Superfluid constant flow agreement); sender defaults to the platform operator
+    Superfluid: {
+        createStream: '({ sender?, receiver, flowRate, token? }) => Promise<{ streamId, sender, token, hash }>',
+        updateStream: '(streamId, flowRate) => Promise<{ streamId, hash }>',
+        cancelStream: '(streamId) => Promise<{ streamId, hash }>',
+        getStream: '(streamId) => Promise<Object | null>',
+        getBalance: '(account, token?) => Promise<{ availableBalance, netFlowRate }>', // Real-time, in token wei; negative once the account is insolvent
+        batchDistributeRoyalties: '(contentId, amount) => Promise<{ hash }>',
+        on: '(event, callback) => void',
+    },
+
+    // USDC custody and transfers (Circle API)
+    CircleAPI: {
+        deposit: '(accountId, amount) => Promise<{ id, status, amount }>',
+        purchase: '(accountId, contentId, amount) => Promise<{ id, status, amount }>',
+        tip: '(fromAccountId, toAccountId, amount) => Promise<{ id, status, amount }>',
+        transfer: '(recipientAddress, amount, chain?) => Promise<{ id, status, amount }>', // chain is a Circle blockchain code (defaults to the configured one)
+        approve: '(spender, amount) => Promise<{ id, status, amount }>',
+        refund: '(transactionId, amount?) => Promise<{ id, status, amount }>', // Partial when amount is below the original
+        getTransaction: '(transactionId) => Promise<Object | null>',
+        getPendingTransactionId: '(accountId) => Promise<string | null>',
+        on: '(event, callback) => void',
+    },
+
+    // Cross-chain USDC (Circle CCTP through KosmaPayments.crossChainPayment); chains are config keys
+    CCTP: {
+        // Burns `amount` USDC on the source chain for `receiver` on the destination chain
+        burn: '({ receiver, amount, sourceChain, destinationChain }) => Promise<{ hash, message, messageHash }>',
+        // Circle's signature over the burn message, once the source chain has finalized it
+        getAttestation: '(messageHash) => Promise<{ status: "pending" | "complete", attestation? }>',
+        mint: '({ message, attestation, destinationChain }) => Promise<{ hash }>',
+        on: '(event, callback) => void',
+    },
+
+    // Encryption with access control conditions (Lit Protocol)
+    LitProtocol: {
+        encrypt: '(data, accessControlConditions?) => Promise<{ ciphertext, dataToEncryptHash, accessControlConditions }>',
+        decrypt: '(encrypted) => Promise<any>',
+        on: '(event, callback) => void',
+    },
+
+    // NFT minting on Flow (KosmaNFT.cdc)
+    FlowNFT: {
+        mint: '({ owner, contentId, metadata }) => Promise<{ tokenId, hash }>',
+        transfer: '(tokenId, recipient) => Promise<{ tokenId, hash }>',
+        ownerOf: '(tokenId) => Promise<string | null>',
+        on: '(event, callback) => void',
+    },
+
+    // Off-chain data verification for addresses and relayed messages
+    DecentralizedOracle: {
+        verifyAddress: '(address, chain) => Promise<boolean>',
+        verifyMessage: '(sender, sourceChain) => Promise<boolean>',
+        on: '(event, callback) => void',
+    },
+};
+
+/**
+ * Ensure a driver implements every method of an integration's interface
+ * @param {string} name - Integration name (key of INTERFACES)
+ * @param {Object} driver - Driver instance to check
+ * @returns {Object} - The driver, for chaining
+ */
+function assertImplements(name, driver) {
+    const definition = INTERFACES[name];
+    if (!definition) {
+        throw new Error(`Unknown adapter interface: ${name}`);
+    }
+
+    const missing = Object.keys(definition).filter((method) => typeof driver[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`${driver.constructor.name} does not implement ${name}: missing ${missing.join(', ')}`);
+    }
+    return driver;
+}
+
+module.exports = {
+    INTERFACES,
+    assertImplements,
+};
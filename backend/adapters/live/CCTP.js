@@ -0,0 +1,69 @@
+// Import necessary libraries and modules
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const config = require('../../config');
+const chainRegistry = require('../../services/chainRegistry'); // Contracts and CCTP domains per chain
+const signerPool = require('../../services/signerPool'); // Nonce-managed operator wallets
+
+const USDC_DECIMALS = 6;
+
+// Topic of MessageTransmitter's MessageSent(bytes message), emitted by every CCTP burn
+const MESSAGE_SENT_TOPIC = ethers.utils.id('MessageSent(bytes)');
+
+/**
+ * Live CCTP driver
+ * Burns through KosmaPayments.crossChainPayment, fetches attestations from Circle's attestation
+ * service (Iris) and mints with the destination chain's MessageTransmitter.
+ */
+class LiveCCTP extends EventEmitter {
+    constructor() {
+        super();
+        this.client = axios.create({ baseURL: config.integrations.cctp.attestationUrl, timeout: 10000 });
+    }
+
+    async burn({ receiver, amount, sourceChain, destinationChain }) {
+        chainRegistry.cctpDomain(sourceChain);
+        chainRegistry.cctpDomain(destinationChain);
+
+        // The allowance belongs to one wallet, so approve and burn from the primary one
+        const signer = signerPool.primary(sourceChain);
+        const payments = chainRegistry.getContract(sourceChain, 'kosmaPayments', signer);
+        const usdc = chainRegistry.getContract(sourceChain, 'usdc', signer);
+        const units = ethers.utils.parseUnits(String(amount), USDC_DECIMALS);
+
+        const allowance = await usdc.allowance(await signer.getAddress(), payments.address);
+        if (allowance.lt(units)) {
+            await (await usdc.approve(payments.address, units)).wait();
+        }
+
+        const tx = await payments.crossChainPayment(receiver, units, destinationChain);
+        const receipt = await tx.wait();
+        const log = receipt.logs.find(({ topics }) => topics[0] === MESSAGE_SENT_TOPIC);
+        if (!log) {
+            throw new Error(`Burn ${tx.hash} did not emit a CCTP message`);
+        }
+
+        const [message] = ethers.utils.defaultAbiCoder.decode(['bytes'], log.data);
+        return { hash: tx.hash, message, messageHash: ethers.utils.keccak256(message) };
+    }
+
+    async getAttestation(messageHash) {
+        try {
+            const { data } = await this.client.get(`/v1/attestations/${messageHash}`);
+            return data.status === 'complete' ? { status: 'complete', attestation: data.attestation } : { status: 'pending' };
+        } catch (error) {
+            if (error.response && error.response.status === 404) return { status: 'pending' }; // Not observed yet
+            throw error;
+        }
+    }
+
+    async mint({ message, attestation, destinationChain }) {
+        const transmitter = chainRegistry.getContract(destinationChain, 'messageTransmitter', signerPool.acquire(destinationChain));
+        const tx = await transmitter.receiveMessage(message, attestation);
+        await tx.wait();
+        return { hash: tx.hash };
+    }
+}
+
+module.exports = LiveCCTP;
@@ -0,0 +1,88 @@
+// Import necessary libraries and modules
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const config = require('../../config');
+const { getContract } = require('./chain');
+
+const circle = config.integrations.circle;
+
+const USDC_ABI = ['function approve(address spender, uint256 amount) returns (bool)'];
+
+/**
+ * Live Circle driver using the Circle REST API (transfers between wallets)
+ * Account IDs are Circle wallet IDs; amounts are USD strings as Circle expects.
+ */
+class LiveCircleAPI extends EventEmitter {
+    constructor() {
+        super();
+        this.client = axios.create({
+            baseURL: circle.baseUrl,
+            headers: { Authorization: `Bearer ${circle.apiKey}` },
+        });
+    }
+
+    async deposit(accountId, amount) {
+        return this.createTransfer({ type: 'wallet', id: circle.masterWalletId }, { type: 'wallet', id: String(accountId) }, amount);
+    }
+
+    async purchase(accountId, contentId, amount) {
+        return this.createTransfer({ type: 'wallet', id: String(accountId) }, { type: 'wallet', id: circle.masterWalletId }, amount, { contentId: String(contentId) });
+    }
+
+    async tip(fromAccountId, toAccountId, amount) {
+        return this.createTransfer({ type: 'wallet', id: String(fromAccountId) }, { type: 'wallet', id: String(toAccountId) }, amount);
+    }
+
+    async transfer(recipientAddress, amount, chain = circle.chain) {
+        return this.createTransfer({ type: 'wallet', id: circle.masterWalletId }, { type: 'blockchain', address: recipientAddress, chain }, amount);
+    }
+
+    async approve(spender, amount) {
+        const usdc = getContract('usdc', USDC_ABI);
+        const tx = await usdc.approve(spender, ethers.utils.parseUnits(String(amount), 6));
+        return { id: tx.hash, status: 'pending', amount: Number(amount), hash: tx.hash };
+    }
+
+    async refund(transactionId, amount) {
+        const original = await this.getTransaction(transactionId);
+        if (!original) {
+            throw new Error(`Transaction ${transactionId} not found`);
+        }
+        return this.createTransfer(original.destination, original.source, amount ?? original.amount.amount, { refundOf: transactionId });
+    }
+
+    async getTransaction(transactionId) {
+        try {
+            const { data } = await this.client.get(`/transfers/${transactionId}`);
+            return data.data;
+        } catch (error) {
+            if (error.response && error.response.status === 404) return null;
+            throw error;
+        }
+    }
+
+    async getPendingTransactionId(accountId) {
+        const { data } = await this.client.get('/transfers', { params: { walletId: String(accountId), pageSize: 50 } });
+        const pending = data.data.find((transfer) => transfer.status === 'pending');
+        return pending ? pending.id : null;
+    }
+
+    // POST /transfers with a fresh idempotency key
+    async createTransfer(source, destination, amount, metadata = {}) {
+        const { data } = await this.client.post('/transfers', {
+            idempotencyKey: crypto.randomUUID(),
+            source,
+            destination,
+            amount: { amount: Number(amount).toFixed(2), currency: 'USD' },
+            metadata,
+        });
+
+        const transfer = data.data;
+        this.emit('TransactionCreated', transfer);
+        return { id: transfer.id, status: transfer.status, amount: Number(transfer.amount.amount), hash: transfer.transactionHash || transfer.id };
+    }
+}
+
+module.exports = LiveCircleAPI;
@@ -0,0 +1,43 @@
+// Import necessary libraries and modules
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const fcl = require('@onflow/fcl');
+const { getProvider } = require('./chain');
+
+const EVM_CHAINS = ['ethereum', 'polygon', 'arbitrum', 'optimism', 'base'];
+
+/**
+ * Live oracle driver
+ * Addresses are checked for format and then looked up on-chain: EVM addresses must have
+ * activity (a nonce or code), Flow addresses must resolve to an account.
+ */
+class LiveDecentralizedOracle extends EventEmitter {
+    async verifyAddress(address, chain) {
+        const network = String(chain).toLowerCase();
+
+        if (EVM_CHAINS.includes(network)) {
+            if (!ethers.utils.isAddress(address)) return false;
+            const provider = getProvider();
+            const [nonce, code] = await Promise.all([provider.getTransactionCount(address), provider.getCode(address)]);
+            return nonce > 0 || code !== '0x';
+        }
+
+        if (network === 'flow') {
+            if (!/^0x[a-fA-F0-9]{16}$/.test(address)) return false;
+            try {
+                const account = await fcl.account(address);
+                return Boolean(account && account.address);
+            } catch (error) {
+                return false;
+            }
+        }
+
+        return false;
+    }
+
+    async verifyMessage(sender, sourceChain) {
+        return this.verifyAddress(sender, sourceChain);
+    }
+}
+
+module.exports = LiveDecentralizedOracle;
@@ -0,0 +1,142 @@
+// Import necessary libraries and modules
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fcl = require('@onflow/fcl');
+const { ec: EC } = require('elliptic');
+const config = require('../../config');
+
+const flow = config.integrations.flow;
+
+const MINT_TRANSACTION = `
+import KosmaNFT from 0xKosmaNFT
+
+transaction(recipient: Address, id: UInt64, metadata: String) {
+    prepare(signer: AuthAccount) {}
+
+    execute {
+        let minter = &KosmaNFT.NFTMinter as &KosmaNFT.Minter
+        let collection = getAccount(recipient)
+            .getCapability(/public/KosmaNFTCollection)
+            .borrow<&{KosmaNFT.CollectionPublic}>()
+            ?? panic("Recipient has no KosmaNFT collection")
+        collection.deposit(token: <- minter.mintNFT(id: id, metadata: metadata))
+    }
+}`;
+
+const TRANSFER_TRANSACTION = `
+import KosmaNFT from 0xKosmaNFT
+
+transaction(recipient: Address, id: UInt64) {
+    let token: @KosmaNFT.NFT
+
+    prepare(signer: AuthAccount) {
+        let collection = signer.borrow<&KosmaNFT.Collection>(from: /storage/KosmaNFTCollection)
+            ?? panic("Signer has no KosmaNFT collection")
+        self.token <- collection.withdraw(withdrawID: id)
+    }
+
+    execute {
+        getAccount(recipient)
+            .getCapability(/public/KosmaNFTCollection)
+            .borrow<&{KosmaNFT.CollectionPublic}>()!
+            .deposit(token: <- self.token)
+    }
+}`;
+
+const OWNER_SCRIPT = `
+import KosmaNFT from 0xKosmaNFT
+
+pub fun main(account: Address, id: UInt64): Bool {
+    let collection = getAccount(account)
+        .getCapability(/public/KosmaNFTCollection)
+        .borrow<&{KosmaNFT.CollectionPublic}>()
+    return collection != nil && collection!.getIDs().contains(id)
+}`;
+
+/**
+ * Live Flow driver for the KosmaNFT Cadence contract
+ * Transactions are signed by the configured service account (integrations.flow).
+ * Token IDs are derived from the content ID so minting the same content twice fails on-chain.
+ */
+class LiveFlowNFT extends EventEmitter {
+    constructor() {
+        super();
+        fcl.config()
+            .put('accessNode.api', flow.apiUrl)
+            .put('0xKosmaNFT', flow.kosmaNFTAddress);
+        this.owners = new Map();
+    }
+
+    async mint({ owner, contentId, metadata }) {
+        const tokenId = crypto.createHash('sha256').update(String(contentId)).digest().readBigUInt64BE(0).toString();
+        const hash = await this.send(MINT_TRANSACTION, (arg, t) => [
+            arg(owner, t.Address),
+            arg(tokenId, t.UInt64),
+            arg(JSON.stringify(metadata), t.String),
+        ]);
+
+        this.owners.set(tokenId, owner);
+        this.emit('Minted', { tokenId, owner, contentId: String(contentId) });
+        return { tokenId, hash };
+    }
+
+    async transfer(tokenId, recipient) {
+        const hash = await this.send(TRANSFER_TRANSACTION, (arg, t) => [arg(recipient, t.Address), arg(String(tokenId), t.UInt64)]);
+
+        this.owners.set(String(tokenId), recipient);
+        this.emit('Deposit', { tokenId: String(tokenId), to: recipient });
+        return { tokenId: String(tokenId), hash };
+    }
+
+    async ownerOf(tokenId) {
+        // Flow has no global owner index, so check the last known owner's collection
+        const owner = this.owners.get(String(tokenId));
+        if (!owner) return null;
+
+        const holds = await fcl.query({
+            cadence: OWNER_SCRIPT,
+            args: (arg, t) => [arg(owner, t.Address), arg(String(tokenId), t.UInt64)],
+        });
+        return holds ? owner : null;
+    }
+
+    // Submit a transaction signed by the service account and wait until it is sealed
+    async send(cadence, args) {
+        const authorization = this.authorization();
+        const transactionId = await fcl.mutate({
+            cadence,
+            args,
+            proposer: authorization,
+            payer: authorization,
+            authorizations: [authorization],
+            limit: 9999,
+        });
+        await fcl.tx(transactionId).onceSealed();
+        return transactionId;
+    }
+
+    // fcl authorization function for the service account (ECDSA P-256 / SHA3-256)
+    authorization() {
+        const { accountAddress: address, privateKey, keyIndex } = flow;
+        if (!address || !privateKey) {
+            throw new Error('integrations.flow.accountAddress and privateKey are required for the live Flow driver');
+        }
+
+        const sign = (message) => {
+            const key = new EC('p256').keyFromPrivate(Buffer.from(privateKey.replace(/^0x/, ''), 'hex'));
+            const digest = crypto.createHash('sha3-256').update(Buffer.from(message, 'hex')).digest();
+            const signature = key.sign(digest);
+            return Buffer.concat([signature.r.toArrayLike(Buffer, 'be', 32), signature.s.toArrayLike(Buffer, 'be', 32)]).toString('hex');
+        };
+
+        return (account) => ({
+            ...account,
+            tempId: `${address}-${keyIndex}`,
+            addr: fcl.sansPrefix(address),
+            keyId: keyIndex,
+            signingFunction: async ({ message }) => ({ addr: fcl.withPrefix(address), keyId: keyIndex, signature: sign(message) }),
+        });
+    }
+}
+
+module.exports = LiveFlowNFT;
@@ -0,0 +1,68 @@
+// Import necessary libraries and modules
+const { ethers } = require('ethers');
+const config = require('../../config');
+const chainRegistry = require('../../services/chainRegistry'); // LayerZero endpoint IDs per chain
+const { ContractDriver } = require('./chain');
+
+// LayerZero endpoint ID of a chain name or ID, or null if it is not a configured destination
+function endpointId(chain) {
+    try {
+        return chainRegistry.layerZeroChainId(chain);
+    } catch (error) {
+        return null;
+    }
+}
+
+const ABI = [
+    'function whitelistedChains(uint16 chainId) view returns (bool)',
+    'function initiateTransfer(uint16 destChainId, address to, string mediaUri, uint256 maxGasFee) payable',
+    'event TransferInitiated(address indexed from, address indexed to, uint256 tokenId, uint16 destChainId)',
+    'event TransferCompleted(address indexed owner, uint256 tokenId, uint16 srcChainId)',
+    'event TransferVerified(address indexed owner, uint256 tokenId, uint16 srcChainId)',
+    'event FailedTransfer(address indexed owner, uint256 tokenId, uint16 srcChainId, string reason)',
+];
+
+/**
+ * Live LayerZero driver backed by the LayerZeroMessaging contract
+ */
+class LiveLayerZero extends ContractDriver {
+    constructor() {
+        super('layerZeroMessaging', ABI);
+        this.maxGasFee = ethers.utils.parseEther(config.integrations.layerZero.maxGasFee);
+    }
+
+    async validateChains(sourceChain, targetChain) {
+        if (sourceChain === targetChain) return false;
+        const destChainId = endpointId(targetChain);
+        if (!destChainId || !endpointId(sourceChain)) return false;
+        return this.contract.whitelistedChains(destChainId);
+    }
+
+    async verifyMessage(message) {
+        const id = typeof message === 'object' && message !== null ? message.id : message;
+        const receipt = await this.contract.provider.getTransactionReceipt(id);
+        return Boolean(receipt && receipt.status === 1 && this.findEvent(receipt, 'TransferInitiated'));
+    }
+
+    async sendMessage(recipient, payload, targetChain) {
+        const mediaUri = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        return this.initiate(recipient, mediaUri, targetChain);
+    }
+
+    async transferNFT(tokenId, recipient, targetChain) {
+        return this.initiate(recipient, `kosma://nft/${tokenId}`, targetChain);
+    }
+
+    // Submit initiateTransfer and return the tx hash as both ID and hash
+    async initiate(recipient, mediaUri, targetChain) {
+        const destChainId = endpointId(targetChain);
+        if (!destChainId) {
+            throw new Error(`Unsupported target chain: ${targetChain}`);
+        }
+
+        const tx = await this.contract.initiateTransfer(destChainId, recipient, mediaUri, this.maxGasFee, { value: this.maxGasFee });
+        return { id: tx.hash, hash: tx.hash };
+    }
+}
+
+module.exports = LiveLayerZero;
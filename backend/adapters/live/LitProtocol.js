@@ -0,0 +1,60 @@
+// Import necessary libraries and modules
+const { EventEmitter } = require('events');
+const LitJsSdk = require('@lit-protocol/lit-node-client');
+const config = require('../../config');
+
+// Default condition: only the wallet that encrypted the data may decrypt it
+const DEFAULT_CONDITIONS = [{
+    contractAddress: '',
+    standardContractType: '',
+    chain: 'ethereum',
+    method: '',
+    parameters: [':userAddress'],
+    returnValueTest: { comparator: '=', value: ':userAddress' },
+}];
+
+/**
+ * Live Lit Protocol driver using the Lit node client
+ * Decryption needs an auth signature, configured as integrations.lit.authSig (LIT_AUTH_SIG).
+ */
+class LiveLitProtocol extends EventEmitter {
+    constructor() {
+        super();
+        this.client = null;
+    }
+
+    // Connect to the Lit network once, on first use
+    async lit() {
+        if (!this.client) {
+            this.client = new LitJsSdk.LitNodeClient({ litNetwork: config.integrations.lit.network, debug: false });
+            await this.client.connect();
+            this.emit('connected');
+        }
+        return this.client;
+    }
+
+    async encrypt(data, accessControlConditions = DEFAULT_CONDITIONS) {
+        const client = await this.lit();
+        const { ciphertext, dataToEncryptHash } = await LitJsSdk.encryptString(
+            { accessControlConditions, dataToEncrypt: JSON.stringify(data) },
+            client
+        );
+        return { ciphertext, dataToEncryptHash, accessControlConditions };
+    }
+
+    async decrypt({ ciphertext, dataToEncryptHash, accessControlConditions = DEFAULT_CONDITIONS }) {
+        const client = await this.lit();
+        if (!config.integrations.lit.authSig) {
+            throw new Error('integrations.lit.authSig (LIT_AUTH_SIG) is required to decrypt with the live Lit driver');
+        }
+        const authSig = JSON.parse(config.integrations.lit.authSig);
+
+        const plaintext = await LitJsSdk.decryptToString(
+            { accessControlConditions, ciphertext, dataToEncryptHash, authSig, chain: accessControlConditions[0].chain },
+            client
+        );
+        return JSON.parse(plaintext);
+    }
+}
+
+module.exports = LiveLitProtocol;
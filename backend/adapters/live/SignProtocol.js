@@ -0,0 +1,68 @@
+// Import necessary libraries and modules
+const { ethers } = require('ethers');
+const { ContractDriver } = require('./chain');
+
+const ABI = [
+    'function createAttestation(bytes32 contentHash, bytes32 encryptedData)',
+    'function transferOwnership(uint256 attestationId, address newOwner)',
+    'function getAttestation(uint256 attestationId) view returns (tuple(address owner, bytes32 contentHash, bytes32 encryptedData, bool exists))',
+    'event AttestationCreated(uint256 indexed attestationId, address indexed owner, bytes32 contentHash)',
+    'event AttestationRevoked(uint256 indexed attestationId)',
+];
+
+// Content hashes are keccak256 of the off-chain identifier
+const contentHash = (contentId) => ethers.utils.id(String(contentId));
+
+/**
+ * Live Sign Protocol driver backed by the SignAttestations contract
+ * Attestations are created by the operator wallet and then transferred to the attester.
+ */
+class LiveSignProtocol extends ContractDriver {
+    constructor() {
+        super('signAttestations', ABI);
+    }
+
+    async verifyOwnership(owner, subject) {
+        if (!ethers.utils.isAddress(owner)) return false;
+
+        // The latest attestation for the subject determines its owner
+        const events = await this.contract.queryFilter(this.contract.filters.AttestationCreated());
+        const matches = events.filter((event) => event.args.contentHash === contentHash(subject));
+        if (matches.length === 0) return false;
+
+        const attestation = await this.contract.getAttestation(matches[matches.length - 1].args.attestationId);
+        return attestation.exists && attestation.owner.toLowerCase() === owner.toLowerCase();
+    }
+
+    async createAttestation({ attester, contentId, data }) {
+        const tx = await this.contract.createAttestation(contentHash(contentId), ethers.utils.id(JSON.stringify(data)));
+        const receipt = await tx.wait();
+        const event = this.findEvent(receipt, 'AttestationCreated');
+        const attestationId = event.attestationId.toString();
+
+        if (ethers.utils.isAddress(attester)) {
+            await this.contract.transferOwnership(attestationId, attester);
+        }
+        return { attestationId, hash: tx.hash };
+    }
+
+    async verifyAttestation(attestation) {
+        const id = typeof attestation === 'object' && attestation !== null ? attestation.attestationId : attestation;
+        try {
+            const stored = await this.contract.getAttestation(id);
+            if (!stored.exists) return false;
+            if (typeof attestation === 'object' && attestation.data !== undefined) {
+                return stored.encryptedData === ethers.utils.id(JSON.stringify(attestation.data));
+            }
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async raiseDispute() {
+        throw new Error('SignAttestations does not support attestation disputes');
+    }
+}
+
+module.exports = LiveSignProtocol;
@@ -0,0 +1,80 @@
+// Import necessary libraries and modules
+const { ethers } = require('ethers');
+const { ContractDriver } = require('./chain');
+
+const ABI = [
+    'function createLicense(string ipfsHash, uint256 price, string terms)',
+    'function setRoyaltyRecipients(uint256 contentId, address[] recipients, uint256[] shares)',
+    'function royalties(uint256 contentId, uint256 index) view returns (address recipient, uint256 bps)',
+    'function payRoyalties(uint256 contentId) payable',
+    'function raiseDispute(uint256 contentId, string reason)',
+    'function resolveDispute(uint256 disputeId, string resolutionDetails)',
+    'event LicenseCreated(uint256 indexed contentId, address indexed creator, string ipfsHash, uint256 price, string terms)',
+    'event RoyaltyPaid(uint256 indexed contentId, address indexed recipient, uint256 amount)',
+    'event DisputeRaised(uint256 indexed disputeId, uint256 indexed contentId, address raisedBy, string reason)',
+    'event DisputeResolved(uint256 indexed disputeId, string resolutionDetails)',
+];
+
+/**
+ * Live Story Protocol driver backed by the StoryIntegration contract
+ * On-chain content IDs are the StoryIntegration license IDs; callers pass those (or NFT token IDs
+ * registered with setRoyaltyRecipients) rather than database IDs.
+ */
+class LiveStoryProtocol extends ContractDriver {
+    constructor() {
+        super('storyIntegration', ABI);
+    }
+
+    async createLicense(contentId, terms, { price = 1 } = {}) {
+        const tx = await this.contract.createLicense(String(contentId), price, JSON.stringify(terms));
+        const receipt = await tx.wait();
+        const event = this.findEvent(receipt, 'LicenseCreated');
+
+        return { licenseId: event ? event.contentId.toString() : null, hash: tx.hash };
+    }
+
+    async revokeLicense() {
+        throw new Error('StoryIntegration does not support revoking licenses');
+    }
+
+    async licenseNFT(tokenId, { recipients = [], shares = [] } = {}) {
+        const tx = await this.contract.setRoyaltyRecipients(tokenId, recipients, shares);
+        return { licenseId: String(tokenId), hash: tx.hash };
+    }
+
+    async getRoyaltyDetails(tokenId) {
+        const recipients = [];
+        // The public royalties getter reverts past the end of the array
+        for (let index = 0; ; index += 1) {
+            try {
+                const { recipient, bps } = await this.contract.royalties(tokenId, index);
+                recipients.push({ address: recipient, share: bps.toNumber() });
+            } catch (error) {
+                break;
+            }
+        }
+
+        if (recipients.length === 0) return null;
+        return { rate: recipients.reduce((sum, { share }) => sum + share, 0), recipients };
+    }
+
+    async enforceRoyaltyPayment(tokenId, amount) {
+        const tx = await this.contract.payRoyalties(tokenId, { value: ethers.utils.parseEther(String(amount)) });
+        return { hash: tx.hash };
+    }
+
+    async raiseDispute(contentId, raisedBy, reason) {
+        const tx = await this.contract.raiseDispute(contentId, reason);
+        const receipt = await tx.wait();
+        const event = this.findEvent(receipt, 'DisputeRaised');
+
+        return { disputeId: event ? event.disputeId.toString() : null, hash: tx.hash };
+    }
+
+    async resolveDispute(disputeId, resolution) {
+        const tx = await this.contract.resolveDispute(disputeId, resolution);
+        return { hash: tx.hash };
+    }
+}
+
+module.exports = LiveStoryProtocol;
@@ -0,0 +1,115 @@
+// Import necessary libraries and modules
+const { EventEmitter } = require('events');
+const { Framework } = require('@superfluid-finance/sdk-core');
+const config = require('../../config');
+const { getProvider, getSigner } = require('./chain');
+
+// Stream IDs encode the flow's natural key: token, sender and receiver
+const toStreamId = (token, sender, receiver) => `${token}:${sender}:${receiver}`;
+const fromStreamId = (streamId) => {
+    const [superToken, sender, receiver] = String(streamId).split(':');
+    if (!superToken || !sender || !receiver) {
+        throw new Error(`Invalid stream ID: ${streamId}`);
+    }
+    return { superToken, sender, receiver };
+};
+
+/**
+ * Live Superfluid driver using the constant flow agreement (streams) and
+ * instant distribution agreement (royalty distributions) through sdk-core
+ */
+class LiveSuperfluid extends EventEmitter {
+    constructor() {
+        super();
+        this.framework = null;
+    }
+
+    // Initialise the SDK framework once, on first use
+    async sf() {
+        if (!this.framework) {
+            const provider = getProvider();
+            const { chainId } = await provider.getNetwork();
+            this.framework = await Framework.create({ chainId, provider });
+        }
+        return this.framework;
+    }
+
+    async createStream({ sender, receiver, flowRate, token = config.integrations.superfluid.tokenAddress }) {
+        if (!sender) {
+            sender = await getSigner().getAddress();
+        }
+
+        const tx = await this.execFlow('createFlow', { sender, receiver, flowRate: String(flowRate), superToken: token });
+        const streamId = toStreamId(token, sender, receiver);
+        this.emit('FlowCreated', { streamId, sender, receiver, flowRate: String(flowRate), token });
+        return { streamId, sender, token, hash: tx.hash };
+    }
+
+    async updateStream(streamId, flowRate) {
+        const tx = await this.execFlow('updateFlow', { ...fromStreamId(streamId), flowRate: String(flowRate) });
+
+        this.emit('FlowUpdated', { streamId, flowRate: String(flowRate) });
+        return { streamId, hash: tx.hash };
+    }
+
+    async cancelStream(streamId) {
+        const tx = await this.execFlow('deleteFlow', fromStreamId(streamId));
+
+        this.emit('FlowDeleted', { streamId });
+        return { streamId, hash: tx.hash };
+    }
+
+    /**
+     * Execute a CFA operation with the operator wallet
+     * Flows from user wallets use the ByOperator variant, which needs flow permissions (ACL)
+     * granted to the operator by the sender.
+     * @param {string} action - 'createFlow', 'updateFlow' or 'deleteFlow'
+     * @param {Object} params - Operation parameters including sender and superToken
+     * @returns {Promise<Object>} - Submitted transaction
+     */
+    async execFlow(action, params) {
+        const sf = await this.sf();
+        const signer = getSigner();
+        const operator = await signer.getAddress();
+
+        const operation = params.sender.toLowerCase() === operator.toLowerCase()
+            ? sf.cfaV1[action](params)
+            : sf.cfaV1[`${action}ByOperator`](params);
+        return operation.exec(signer);
+    }
+
+    async getStream(streamId) {
+        const sf = await this.sf();
+        const { superToken, sender, receiver } = fromStreamId(streamId);
+        const flow = await sf.cfaV1.getFlow({ superToken, sender, receiver, providerOrSigner: getProvider() });
+        if (flow.flowRate === '0') return null;
+
+        return { streamId, sender, receiver, token: superToken, flowRate: flow.flowRate, status: 'active', startedAt: flow.timestamp };
+    }
+
+    async getBalance(account, token = config.integrations.superfluid.tokenAddress) {
+        const sf = await this.sf();
+        const superToken = await sf.loadSuperToken(token);
+        const [{ availableBalance }, netFlowRate] = await Promise.all([
+            superToken.realtimeBalanceOf({ account, providerOrSigner: getProvider() }),
+            sf.cfaV1.getNetFlow({ superToken: token, account, providerOrSigner: getProvider() }),
+        ]);
+
+        return { account, token, availableBalance: String(availableBalance), netFlowRate: String(netFlowRate) };
+    }
+
+    async batchDistributeRoyalties(contentId, amount) {
+        const sf = await this.sf();
+        const operation = sf.idaV1.distribute({
+            superToken: config.integrations.superfluid.tokenAddress,
+            indexId: String(contentId),
+            amount: String(amount),
+        });
+        const tx = await operation.exec(getSigner());
+
+        this.emit('RoyaltiesDistributed', { contentId: String(contentId), amount: String(amount), hash: tx.hash });
+        return { hash: tx.hash };
+    }
+}
+
+module.exports = LiveSuperfluid;
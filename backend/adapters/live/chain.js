@@ -0,0 +1,95 @@
+// Import necessary libraries and modules
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const config = require('../../config');
+const chainRegistry = require('../../services/chainRegistry'); // Providers and addresses per chain
+const signerPool = require('../../services/signerPool'); // Nonce-managed operator wallets
+
+/**
+ * Provider for the default chain, shared with the rest of the backend
+ * @returns {ethers.providers.Provider}
+ */
+function getProvider() {
+    return chainRegistry.getProvider(config.blockchain.defaultChain);
+}
+
+/**
+ * Primary operator wallet, for state tied to one account (streams, allowances)
+ * @returns {ManagedSigner}
+ */
+function getSigner() {
+    return signerPool.primary(config.blockchain.defaultChain);
+}
+
+/**
+ * Contract instance connected to an operator wallet
+ * @param {string} name - Contract key in the chain's contracts section (e.g. 'storyIntegration')
+ * @param {string[]} abi - Human-readable ABI fragments
+ * @param {Object} [signer] - Signer to use (defaults to the primary operator wallet)
+ * @returns {ethers.Contract}
+ */
+function getContract(name, abi, signer = getSigner()) {
+    return new ethers.Contract(chainRegistry.getAddress(config.blockchain.defaultChain, name), abi, signer);
+}
+
+/**
+ * Base class for live drivers backed by a single contract
+ * Contracts are connected on first use so that selecting a live driver does not
+ * require every integration to be configured. Each call is sent by the least busy
+ * operator wallet in the signer pool.
+ */
+class ContractDriver extends EventEmitter {
+    constructor(contractName, abi) {
+        super();
+        this.contractName = contractName;
+        this.abi = abi;
+        this.instance = null;
+    }
+
+    // Read-only instance, also used for event subscriptions
+    get reader() {
+        if (!this.instance) {
+            this.instance = getContract(this.contractName, this.abi, getProvider());
+        }
+        return this.instance;
+    }
+
+    get contract() {
+        return this.reader.connect(signerPool.acquire(config.blockchain.defaultChain));
+    }
+
+    // Subscribe to a contract event, falling back to locally emitted events
+    on(event, callback) {
+        const fragment = this.abi.find((entry) => entry.startsWith(`event ${event}(`));
+        if (fragment) {
+            this.reader.on(event, callback);
+            return this;
+        }
+        return super.on(event, callback);
+    }
+
+    /**
+     * Find a decoded event in a mined transaction receipt
+     * @param {Object} receipt - Transaction receipt
+     * @param {string} event - Event name
+     * @returns {Object|null} - Event args, or null if the event was not emitted
+     */
+    findEvent(receipt, event) {
+        for (const log of receipt.logs) {
+            try {
+                const parsed = this.reader.interface.parseLog(log);
+                if (parsed.name === event) return parsed.args;
+            } catch (error) {
+                // Log from another contract
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    getProvider,
+    getSigner,
+    getContract,
+    ContractDriver,
+};
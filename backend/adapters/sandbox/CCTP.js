@@ -0,0 +1,54 @@
+// Import necessary libraries and modules
+const { SandboxDriver, isSandboxChain } = require('./state');
+
+/**
+ * Sandbox CCTP driver: a local stand-in for the burn, Circle's attestation service and the mint
+ * A burn is attested the first time its attestation is asked for, and each message can be
+ * minted once with the attestation issued for it.
+ */
+class SandboxCCTP extends SandboxDriver {
+    get messages() {
+        return this.state.collection('cctp:messages');
+    }
+
+    async burn({ receiver, amount, sourceChain, destinationChain }) {
+        if (!isSandboxChain(sourceChain) || !isSandboxChain(destinationChain) || sourceChain === destinationChain) {
+            throw new Error(`Unsupported route: ${sourceChain} -> ${destinationChain}`);
+        }
+
+        const { sequence, hash } = this.state.nextTransaction('cctp:burn');
+        const message = this.state.hash('cctp-message', sequence, receiver, amount, sourceChain, destinationChain);
+        const record = { message, messageHash: this.state.hash(message), receiver, amount, sourceChain, destinationChain, burnHash: hash };
+        this.messages.set(record.messageHash, record);
+        this.emit('MessageSent', { message, hash });
+
+        return { hash, message, messageHash: record.messageHash };
+    }
+
+    async getAttestation(messageHash) {
+        const record = this.messages.get(messageHash);
+        if (!record) return { status: 'pending' };
+
+        record.attestation = record.attestation || this.state.hash('cctp-attestation', messageHash);
+        return { status: 'complete', attestation: record.attestation };
+    }
+
+    async mint({ message, attestation, destinationChain }) {
+        const record = this.messages.get(this.state.hash(message));
+        if (!record || !record.attestation || record.attestation !== attestation) {
+            throw new Error('Invalid attestation');
+        }
+        if (record.destinationChain !== destinationChain) {
+            throw new Error(`Message is for ${record.destinationChain}, not ${destinationChain}`);
+        }
+        if (record.mintHash) {
+            throw new Error('Nonce already used');
+        }
+
+        record.mintHash = this.state.nextTransaction('cctp:mint').hash;
+        this.emit('MessageReceived', { message, hash: record.mintHash });
+        return { hash: record.mintHash };
+    }
+}
+
+module.exports = SandboxCCTP;
@@ -0,0 +1,104 @@
+// Import necessary libraries and modules
+const { SandboxDriver } = require('./state');
+
+/**
+ * Sandbox Circle API driver
+ * Deposits stay pending (as card/wire deposits do at Circle) until settle() is called;
+ * every other transaction type completes immediately.
+ */
+class SandboxCircleAPI extends SandboxDriver {
+    async deposit(accountId, amount) {
+        return this.record('deposit', { accountId: String(accountId), amount }, 'pending');
+    }
+
+    async purchase(accountId, contentId, amount) {
+        return this.record('purchase', { accountId: String(accountId), contentId: String(contentId), amount });
+    }
+
+    async tip(fromAccountId, toAccountId, amount) {
+        return this.record('tip', { accountId: String(fromAccountId), toAccountId: String(toAccountId), amount });
+    }
+
+    async transfer(recipientAddress, amount, chain) {
+        return this.record('transfer', { recipientAddress, amount, chain });
+    }
+
+    async approve(spender, amount) {
+        return this.record('approval', { spender, amount });
+    }
+
+    async refund(transactionId, amount) {
+        const original = this.state.collection('circle:transactions').get(transactionId);
+        if (!original) {
+            throw new Error(`Transaction ${transactionId} not found`);
+        }
+        if (original.status !== 'complete') {
+            throw new Error(`Transaction ${transactionId} cannot be refunded in status ${original.status}`);
+        }
+
+        const remaining = original.amount - (original.refundedAmount || 0);
+        const refunded = amount === undefined ? remaining : Number(amount);
+        if (refunded > remaining) {
+            throw new Error(`Refund of ${refunded} exceeds the ${remaining} left on transaction ${transactionId}`);
+        }
+
+        const refund = this.record('refund', { accountId: original.accountId, originalTransactionId: transactionId, amount: refunded });
+        original.refundedAmount = (original.refundedAmount || 0) + refunded;
+        if (original.refundedAmount >= original.amount) original.status = 'refunded';
+        this.emit('TransactionUpdated', { ...original });
+        return refund;
+    }
+
+    async getTransaction(transactionId) {
+        const transaction = this.state.collection('circle:transactions').get(transactionId);
+        return transaction ? { ...transaction } : null;
+    }
+
+    async getPendingTransactionId(accountId) {
+        const pending = [...this.state.collection('circle:transactions').values()]
+            .reverse()
+            .find((transaction) => transaction.accountId === String(accountId) && transaction.status === 'pending');
+        return pending ? pending.id : null;
+    }
+
+    /**
+     * Move a pending sandbox transaction to its final status (stands in for Circle's settlement)
+     * @param {string} transactionId - Sandbox transaction ID
+     * @param {string} [status] - 'complete' or 'failed'
+     * @returns {Promise<Object>} - Updated transaction
+     */
+    async settle(transactionId, status = 'complete') {
+        const transaction = this.state.collection('circle:transactions').get(transactionId);
+        if (!transaction || transaction.status !== 'pending') {
+            throw new Error(`No pending transaction ${transactionId}`);
+        }
+
+        transaction.status = status;
+        this.emit('TransactionUpdated', { ...transaction });
+        return { ...transaction };
+    }
+
+    // Store a transaction and return the public fields
+    record(type, fields, status = 'complete') {
+        if (!(Number(fields.amount) > 0)) {
+            throw new Error('Amount must be greater than zero');
+        }
+
+        const { sequence, hash } = this.state.nextTransaction('circle:transaction');
+        const transaction = {
+            id: `circle-${sequence}`,
+            type,
+            ...fields,
+            amount: Number(fields.amount),
+            status,
+            hash,
+            createDate: new Date(),
+        };
+        this.state.collection('circle:transactions').set(transaction.id, transaction);
+        this.emit('TransactionCreated', { ...transaction });
+
+        return { id: transaction.id, status, amount: transaction.amount, hash };
+    }
+}
+
+module.exports = SandboxCircleAPI;
@@ -0,0 +1,20 @@
+// Import necessary libraries and modules
+const { SandboxDriver, SANDBOX_CHAINS } = require('./state');
+
+/**
+ * Sandbox oracle driver
+ * Addresses are checked against the chain's address format; relayed messages are
+ * accepted from any well-formed sender on a supported chain.
+ */
+class SandboxDecentralizedOracle extends SandboxDriver {
+    async verifyAddress(address, chain) {
+        const format = SANDBOX_CHAINS[String(chain).toLowerCase()];
+        return Boolean(format && format.test(address));
+    }
+
+    async verifyMessage(sender, sourceChain) {
+        return this.verifyAddress(sender, sourceChain);
+    }
+}
+
+module.exports = SandboxDecentralizedOracle;
@@ -0,0 +1,42 @@
+// Import necessary libraries and modules
+const { SandboxDriver } = require('./state');
+
+/**
+ * Sandbox Flow NFT driver
+ * Token IDs are sequential, like the KosmaNFT contract's totalSupply counter.
+ */
+class SandboxFlowNFT extends SandboxDriver {
+    async mint({ owner, contentId, metadata }) {
+        if (!owner) {
+            throw new Error('NFT owner is required');
+        }
+
+        const { sequence, hash } = this.state.nextTransaction('flow:mint');
+        const token = { tokenId: String(sequence), owner: String(owner), contentId: String(contentId), metadata };
+        this.state.collection('flow:tokens').set(token.tokenId, token);
+        this.emit('Minted', token);
+
+        return { tokenId: token.tokenId, hash };
+    }
+
+    async transfer(tokenId, recipient) {
+        const token = this.state.collection('flow:tokens').get(String(tokenId));
+        if (!token) {
+            throw new Error(`Token ${tokenId} not found`);
+        }
+
+        const { hash } = this.state.nextTransaction('flow:transfer');
+        const from = token.owner;
+        token.owner = String(recipient);
+        this.emit('Deposit', { tokenId: token.tokenId, from, to: token.owner });
+
+        return { tokenId: token.tokenId, hash };
+    }
+
+    async ownerOf(tokenId) {
+        const token = this.state.collection('flow:tokens').get(String(tokenId));
+        return token ? token.owner : null;
+    }
+}
+
+module.exports = SandboxFlowNFT;
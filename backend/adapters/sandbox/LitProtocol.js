@@ -0,0 +1,53 @@
+// Import necessary libraries and modules
+const crypto = require('crypto');
+const config = require('../../config');
+const { SandboxDriver } = require('./state');
+
+// Access control condition applied when the caller does not provide one
+const DEFAULT_CONDITIONS = [{
+    contractAddress: '',
+    standardContractType: '',
+    chain: 'ethereum',
+    method: '',
+    parameters: [':userAddress'],
+    returnValueTest: { comparator: '=', value: ':userAddress' },
+}];
+
+/**
+ * Sandbox Lit Protocol driver
+ * Real AES-256-GCM encryption with a local key, so ciphertexts are opaque but need no Lit network.
+ * The IV is derived from the plaintext, which makes output deterministic for the same input.
+ */
+class SandboxLitProtocol extends SandboxDriver {
+    constructor(sharedState) {
+        super(sharedState);
+        this.key = crypto.createHash('sha256').update(config.integrations.sandbox.encryptionKey).digest();
+    }
+
+    async encrypt(data, accessControlConditions = DEFAULT_CONDITIONS) {
+        const plaintext = JSON.stringify(data);
+        const iv = crypto.createHmac('sha256', this.key).update(plaintext).digest().subarray(0, 12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+        return {
+            ciphertext: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64'),
+            dataToEncryptHash: crypto.createHash('sha256').update(plaintext).digest('hex'),
+            accessControlConditions,
+        };
+    }
+
+    async decrypt({ ciphertext, dataToEncryptHash }) {
+        const raw = Buffer.from(ciphertext, 'base64');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, raw.subarray(0, 12));
+        decipher.setAuthTag(raw.subarray(12, 28));
+        const plaintext = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+
+        if (dataToEncryptHash && crypto.createHash('sha256').update(plaintext).digest('hex') !== dataToEncryptHash) {
+            throw new Error('Decrypted data does not match its hash');
+        }
+        return JSON.parse(plaintext);
+    }
+}
+
+module.exports = SandboxLitProtocol;
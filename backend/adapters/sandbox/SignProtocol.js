@@ -0,0 +1,68 @@
+// Import necessary libraries and modules
+const { SandboxDriver, normalizeId } = require('./state');
+
+/**
+ * Sandbox Sign Protocol driver
+ * Ownership is first-claimant: the first owner checked or attested for a subject is
+ * registered as its owner, and later checks compare against that record.
+ */
+class SandboxSignProtocol extends SandboxDriver {
+    async verifyOwnership(owner, subject) {
+        const owners = this.state.collection('sign:owners');
+        const key = normalizeId(subject);
+
+        if (!owners.has(key)) {
+            owners.set(key, normalizeId(owner));
+            return true;
+        }
+        return owners.get(key) === normalizeId(owner);
+    }
+
+    async createAttestation({ attester, contentId, data }) {
+        const owners = this.state.collection('sign:owners');
+        const key = normalizeId(contentId);
+        if (owners.has(key) && owners.get(key) !== normalizeId(attester)) {
+            throw new Error(`Content ${contentId} is owned by another account`);
+        }
+        owners.set(key, normalizeId(attester));
+
+        const { sequence, hash } = this.state.nextTransaction('sign:attestation');
+        const attestation = {
+            attestationId: String(sequence),
+            attester: String(attester),
+            contentId: String(contentId),
+            dataHash: this.state.hash(data),
+            disputes: [],
+        };
+        this.state.collection('sign:attestations').set(attestation.attestationId, attestation);
+        this.emit('AttestationCreated', attestation);
+
+        return { attestationId: attestation.attestationId, hash };
+    }
+
+    async verifyAttestation(attestation) {
+        const id = typeof attestation === 'object' && attestation !== null ? attestation.attestationId : attestation;
+        const stored = this.state.collection('sign:attestations').get(String(id));
+        if (!stored) return false;
+
+        if (typeof attestation === 'object' && attestation.data !== undefined) {
+            return this.state.hash(attestation.data) === stored.dataHash;
+        }
+        return true;
+    }
+
+    async raiseDispute(attestationId, details) {
+        const attestation = this.state.collection('sign:attestations').get(String(attestationId));
+        if (!attestation) {
+            throw new Error(`Attestation ${attestationId} not found`);
+        }
+
+        const { hash } = this.state.nextTransaction('sign:dispute');
+        attestation.disputes.push({ details, hash });
+        this.emit('AttestationDisputed', { attestationId: attestation.attestationId, details });
+
+        return { hash };
+    }
+}
+
+module.exports = SandboxSignProtocol;
@@ -0,0 +1,107 @@
+// Import necessary libraries and modules
+const { SandboxDriver } = require('./state');
+
+/**
+ * Sandbox Story Protocol driver
+ * Licenses, royalty configurations and disputes live in memory.
+ */
+class SandboxStoryProtocol extends SandboxDriver {
+    async createLicense(contentId, terms, { owner, licensees = [], shares = [] } = {}) {
+        const { sequence, hash } = this.state.nextTransaction('story:license');
+        const license = {
+            licenseId: String(sequence),
+            contentId: String(contentId),
+            terms,
+            owner,
+            licensees,
+            shares,
+            active: true,
+        };
+        this.state.collection('story:licenses').set(license.licenseId, license);
+        this.emit('LicenseCreated', license);
+
+        return { licenseId: license.licenseId, hash };
+    }
+
+    async revokeLicense(contentId) {
+        const active = [...this.state.collection('story:licenses').values()]
+            .filter((license) => license.contentId === String(contentId) && license.active);
+        if (active.length === 0) {
+            throw new Error(`No active license for content ${contentId}`);
+        }
+
+        const { hash } = this.state.nextTransaction('story:revoke');
+        active.forEach((license) => {
+            license.active = false;
+        });
+        this.emit('LicenseRevoked', { contentId: String(contentId) });
+
+        return { hash };
+    }
+
+    async licenseNFT(tokenId, { recipients = [], shares = [], terms } = {}) {
+        if (recipients.length !== shares.length) {
+            throw new Error('Royalty recipients and shares must have the same length');
+        }
+        const rate = shares.reduce((sum, share) => sum + Number(share), 0);
+        if (rate > 10000) {
+            throw new Error('Royalty shares exceed 10000 basis points');
+        }
+
+        const { sequence, hash } = this.state.nextTransaction('story:nft-license');
+        const license = { licenseId: `nft-${sequence}`, tokenId: String(tokenId), recipients, shares, terms, active: true };
+        this.state.collection('story:licenses').set(license.licenseId, license);
+        this.state.collection('story:royalties').set(String(tokenId), {
+            rate,
+            recipients: recipients.map((address, index) => ({ address, share: Number(shares[index]) })),
+        });
+        this.emit('LicenseCreated', license);
+
+        return { licenseId: license.licenseId, hash };
+    }
+
+    async getRoyaltyDetails(tokenId) {
+        return this.state.collection('story:royalties').get(String(tokenId)) || null;
+    }
+
+    async enforceRoyaltyPayment(tokenId, amount) {
+        if (!(amount > 0)) {
+            throw new Error('Royalty amount must be greater than zero');
+        }
+
+        const { sequence, hash } = this.state.nextTransaction('story:royalty-payment');
+        const payment = { id: String(sequence), tokenId: String(tokenId), amount, hash };
+        this.state.collection('story:royalty-payments').set(payment.id, payment);
+        this.emit('RoyaltyPaid', payment);
+
+        return { hash };
+    }
+
+    async raiseDispute(contentId, raisedBy, reason) {
+        const { sequence, hash } = this.state.nextTransaction('story:dispute');
+        const dispute = { disputeId: String(sequence), contentId: String(contentId), raisedBy: String(raisedBy), reason, resolved: false };
+        this.state.collection('story:disputes').set(dispute.disputeId, dispute);
+        this.emit('DisputeRaised', dispute);
+
+        return { disputeId: dispute.disputeId, hash };
+    }
+
+    async resolveDispute(disputeId, resolution) {
+        const dispute = this.state.collection('story:disputes').get(String(disputeId));
+        if (!dispute) {
+            throw new Error(`Dispute ${disputeId} not found`);
+        }
+        if (dispute.resolved) {
+            throw new Error(`Dispute ${disputeId} is already resolved`);
+        }
+
+        const { hash } = this.state.nextTransaction('story:dispute-resolution');
+        dispute.resolved = true;
+        dispute.resolution = resolution;
+        this.emit('DisputeResolved', dispute);
+
+        return { hash };
+    }
+}
+
+module.exports = SandboxStoryProtocol;
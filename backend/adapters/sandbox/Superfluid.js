@@ -0,0 +1,145 @@
+// Import necessary libraries and modules
+const { SandboxDriver, normalizeId } = require('./state');
+
+// Stands in for the platform's operator wallet when no sender is given
+const OPERATOR = 'sandbox-operator';
+
+// Super token balance every sandbox account starts with: 1,000 USDCx (18 decimals)
+const STARTING_BALANCE = 1000n * 10n ** 18n;
+
+/**
+ * Sandbox Superfluid driver
+ * Streams are stored with their flow rate (wei per second) and start time. Balances follow
+ * the flows in real time: each account's balance is settled whenever one of its flows changes.
+ */
+class SandboxSuperfluid extends SandboxDriver {
+    async createStream({ sender = OPERATOR, receiver, flowRate, token = 'USDCx' }) {
+        if (!receiver) {
+            throw new Error('Stream receiver is required');
+        }
+        if (BigInt(flowRate) <= 0n) {
+            throw new Error('Flow rate must be greater than zero');
+        }
+
+        this.settle([sender, receiver], token);
+        const { sequence, hash } = this.state.nextTransaction('superfluid:stream');
+        const stream = {
+            streamId: `stream-${sequence}`,
+            sender,
+            receiver,
+            token,
+            flowRate: String(flowRate),
+            status: 'active',
+            startedAt: new Date(),
+        };
+        this.state.collection('superfluid:streams').set(stream.streamId, stream);
+        this.emit('FlowCreated', stream);
+
+        return { streamId: stream.streamId, sender, token, hash };
+    }
+
+    async updateStream(streamId, flowRate) {
+        const stream = this.requireActiveStream(streamId);
+        if (BigInt(flowRate) <= 0n) {
+            throw new Error('Flow rate must be greater than zero');
+        }
+
+        this.settle([stream.sender, stream.receiver], stream.token);
+        const { hash } = this.state.nextTransaction('superfluid:update');
+        stream.flowRate = String(flowRate);
+        this.emit('FlowUpdated', stream);
+
+        return { streamId, hash };
+    }
+
+    async cancelStream(streamId) {
+        const stream = this.requireActiveStream(streamId);
+
+        this.settle([stream.sender, stream.receiver], stream.token);
+        const { hash } = this.state.nextTransaction('superfluid:cancel');
+        stream.status = 'stopped';
+        stream.stoppedAt = new Date();
+        this.emit('FlowDeleted', stream);
+
+        return { streamId, hash };
+    }
+
+    async getStream(streamId) {
+        const stream = this.state.collection('superfluid:streams').get(streamId);
+        return stream ? { ...stream } : null;
+    }
+
+    async getBalance(account, token = 'USDCx') {
+        const { amount, at } = this.balanceRecord(account, token);
+        const netFlowRate = this.netFlowRate(account, token);
+        const elapsed = BigInt(Math.floor((Date.now() - at) / 1000));
+
+        return { account, token, availableBalance: String(amount + netFlowRate * elapsed), netFlowRate: String(netFlowRate) };
+    }
+
+    /**
+     * Set an account's super token balance as of now (sandbox only, for tests and demos)
+     * @param {string} account - Account address
+     * @param {string|number} amount - Balance in token wei
+     * @param {string} [token] - Super token (defaults to USDCx)
+     */
+    setBalance(account, amount, token = 'USDCx') {
+        this.state.collection('superfluid:balances').set(`${token}:${normalizeId(account)}`, { amount: BigInt(amount), at: Date.now() });
+    }
+
+    async batchDistributeRoyalties(contentId, amount) {
+        const { sequence, hash } = this.state.nextTransaction('superfluid:distribution');
+        const distribution = { id: String(sequence), contentId: String(contentId), amount: String(amount), hash };
+        this.state.collection('superfluid:distributions').set(distribution.id, distribution);
+        this.emit('RoyaltiesDistributed', distribution);
+
+        return { hash };
+    }
+
+    // Look up a stream that can still be modified
+    requireActiveStream(streamId) {
+        const stream = this.state.collection('superfluid:streams').get(streamId);
+        if (!stream) {
+            throw new Error(`Stream ${streamId} not found`);
+        }
+        if (stream.status !== 'active') {
+            throw new Error(`Stream ${streamId} is not active`);
+        }
+        return stream;
+    }
+
+    // Balance last settled for an account, created with the starting balance on first use
+    balanceRecord(account, token) {
+        const balances = this.state.collection('superfluid:balances');
+        const key = `${token}:${normalizeId(account)}`;
+        if (!balances.has(key)) {
+            balances.set(key, { amount: STARTING_BALANCE, at: Date.now() });
+        }
+        return balances.get(key);
+    }
+
+    // Wei per second flowing into the account, minus what flows out of it
+    netFlowRate(account, token) {
+        const id = normalizeId(account);
+        return [...this.state.collection('superfluid:streams').values()]
+            .filter((stream) => stream.status === 'active' && stream.token === token)
+            .reduce((net, { sender, receiver, flowRate }) => {
+                if (normalizeId(receiver) === id) net += BigInt(flowRate);
+                if (normalizeId(sender) === id) net -= BigInt(flowRate);
+                return net;
+            }, 0n);
+    }
+
+    // Bring balances up to date before a flow touching the accounts changes
+    settle(accounts, token) {
+        accounts.forEach((account) => {
+            const record = this.balanceRecord(account, token);
+            const now = Date.now();
+            const elapsed = BigInt(Math.floor((now - record.at) / 1000));
+            record.amount += this.netFlowRate(account, token) * elapsed;
+            record.at = now - ((now - record.at) % 1000); // Keep the unsettled fraction of a second
+        });
+    }
+}
+
+module.exports = SandboxSuperfluid;
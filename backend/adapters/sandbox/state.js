@@ -0,0 +1,111 @@
+// Import necessary libraries and modules
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Chains the sandbox drivers accept, with the address format used on each
+const SANDBOX_CHAINS = {
+    ethereum: /^0x[a-fA-F0-9]{40}$/,
+    polygon: /^0x[a-fA-F0-9]{40}$/,
+    arbitrum: /^0x[a-fA-F0-9]{40}$/,
+    optimism: /^0x[a-fA-F0-9]{40}$/,
+    base: /^0x[a-fA-F0-9]{40}$/,
+    flow: /^0x[a-fA-F0-9]{16}$/,
+};
+
+/**
+ * In-memory state shared by all sandbox drivers
+ * Identifiers and hashes are derived from per-namespace counters, so the same sequence
+ * of calls always produces the same IDs - which keeps tests and local demos reproducible.
+ */
+class SandboxState {
+    constructor() {
+        this.reset();
+    }
+
+    // Drop all records and counters (used between tests)
+    reset() {
+        this.collections = new Map();
+        this.counters = new Map();
+    }
+
+    /**
+     * Get (or lazily create) a named record collection
+     * @param {string} name - Collection name
+     * @returns {Map} - Records keyed by ID
+     */
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
+        }
+        return this.collections.get(name);
+    }
+
+    /**
+     * Next sequence number for a namespace, starting at 1
+     * @param {string} namespace - Counter namespace
+     * @returns {number} - Sequence number
+     */
+    nextSequence(namespace) {
+        const next = (this.counters.get(namespace) || 0) + 1;
+        this.counters.set(namespace, next);
+        return next;
+    }
+
+    /**
+     * Deterministic 32-byte hex hash of the given parts
+     * @param {...any} parts - Values to hash
+     * @returns {string} - 0x-prefixed hash
+     */
+    hash(...parts) {
+        return `0x${crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex')}`;
+    }
+
+    /**
+     * Allocate a sequence number and a matching pseudo transaction hash
+     * @param {string} namespace - Counter namespace (e.g. 'layerzero:message')
+     * @returns {{ sequence: number, hash: string }}
+     */
+    nextTransaction(namespace) {
+        const sequence = this.nextSequence(namespace);
+        return { sequence, hash: this.hash('sandbox-tx', namespace, sequence) };
+    }
+}
+
+const state = new SandboxState();
+
+/**
+ * Base class for sandbox drivers: shared state plus an event emitter for on()
+ */
+class SandboxDriver extends EventEmitter {
+    constructor(sharedState = state) {
+        super();
+        this.state = sharedState;
+    }
+}
+
+/**
+ * Normalise an address or identifier for comparisons
+ * @param {any} value - Address, ObjectId or string
+ * @returns {string} - Lower-cased string form
+ */
+function normalizeId(value) {
+    return String(value).toLowerCase();
+}
+
+/**
+ * Check whether a chain name is supported by the sandbox
+ * @param {string} chain - Chain name
+ * @returns {boolean}
+ */
+function isSandboxChain(chain) {
+    return Object.prototype.hasOwnProperty.call(SANDBOX_CHAINS, String(chain).toLowerCase());
+}
+
+module.exports = {
+    SANDBOX_CHAINS,
+    SandboxState,
+    SandboxDriver,
+    state,
+    normalizeId,
+    isSandboxChain,
+};
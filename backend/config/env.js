@@ -0,0 +1,160 @@
+// Environment variable bindings: config path -> variable names, first one set wins
+const BINDINGS = [
+    ['server.port', 'PORT'],
+    ['server.corsOrigin', 'CORS_ORIGIN'],
+    ['server.baseUrl', 'BASE_URL'],
+    ['server.frontendUrl', 'FRONTEND_URL'],
+    ['server.legacyApiSunset', 'LEGACY_API_SUNSET'],
+    ['logging.level', 'LOG_LEVEL'],
+    ['rateLimit.windowMs', 'RATE_LIMIT_WINDOW_MS'],
+    ['rateLimit.max', 'RATE_LIMIT_MAX_REQUESTS'],
+    ['db.uri', 'MONGODB_URI'],
+    ['db.host', 'DB_HOST'],
+    ['db.port', 'DB_PORT'],
+    ['db.name', 'DB_NAME'],
+    ['db.user', 'DB_USER'],
+    ['db.password', 'DB_PASSWORD'],
+    ['db.poolSize', 'DB_POOL_SIZE'],
+    ['redis.url', 'REDIS_URL'],
+    ['jobs.attempts', 'JOB_ATTEMPTS'],
+    ['jobs.backoffMs', 'JOB_BACKOFF_MS'],
+    ['jobs.concurrency', 'JOB_CONCURRENCY'],
+    ['jobs.keepCompleted', 'JOB_KEEP_COMPLETED'],
+    ['idempotency.ttlMs', 'IDEMPOTENCY_TTL_MS'],
+    ['payments.platformFeeBps', 'PLATFORM_FEE_BPS'],
+    ['payments.stepUpThreshold', 'STEP_UP_THRESHOLD'],
+    ['payments.stepUpChallengeTtlMs', 'STEP_UP_CHALLENGE_TTL_MS'],
+    ['payments.intentTtlMs', 'PAYMENT_INTENT_TTL_MS'],
+    ['fraud.holdScore', 'FRAUD_HOLD_SCORE'],
+    ['fraud.blockScore', 'FRAUD_BLOCK_SCORE'],
+    ['fraud.velocityWindowMs', 'FRAUD_VELOCITY_WINDOW_MS'],
+    ['fraud.maxPaymentsPerWindow', 'FRAUD_MAX_PAYMENTS_PER_WINDOW'],
+    ['fraud.maxRecipientPaymentsPerWindow', 'FRAUD_MAX_RECIPIENT_PAYMENTS_PER_WINDOW'],
+    ['fraud.newAccountAgeMs', 'FRAUD_NEW_ACCOUNT_AGE_MS'],
+    ['fraud.newAccountAmount', 'FRAUD_NEW_ACCOUNT_AMOUNT'],
+    ['fraud.circularWindowMs', 'FRAUD_CIRCULAR_WINDOW_MS'],
+    ['fraud.spikeMultiplier', 'FRAUD_SPIKE_MULTIPLIER'],
+    ['fraud.spikeHistoryMs', 'FRAUD_SPIKE_HISTORY_MS'],
+    ['fraud.spikeMinPayments', 'FRAUD_SPIKE_MIN_PAYMENTS'],
+    ['escrow.defaultReleaseDays', 'ESCROW_DEFAULT_RELEASE_DAYS'],
+    ['escrow.maxReleaseDays', 'ESCROW_MAX_RELEASE_DAYS'],
+    ['escrow.sweepIntervalMs', 'ESCROW_SWEEP_INTERVAL_MS'],
+    ['payouts.minAmount', 'PAYOUT_MIN_AMOUNT'],
+    ['payouts.feeBps', 'PAYOUT_FEE_BPS'],
+    ['payouts.runIntervalMs', 'PAYOUT_RUN_INTERVAL_MS'],
+    ['payouts.batchSize', 'PAYOUT_BATCH_SIZE'],
+    ['prices.sources', 'PRICE_SOURCES'],
+    ['prices.cacheTtlMs', 'PRICE_CACHE_TTL_MS'],
+    ['prices.snapshotIntervalMs', 'PRICE_SNAPSHOT_INTERVAL_MS'],
+    ['prices.fixturePath', 'PRICE_FIXTURE_PATH'],
+    ['crossChain.attestationPollMs', 'CCTP_ATTESTATION_POLL_MS'],
+    ['crossChain.batchSize', 'CCTP_BATCH_SIZE'],
+    ['streams.solvencyCheckMs', 'STREAM_SOLVENCY_CHECK_MS'],
+    ['webhooks.circle.secrets', 'CIRCLE_WEBHOOK_SECRETS'],
+    ['webhooks.toleranceSeconds', 'WEBHOOK_TOLERANCE_SECONDS'],
+    ['auth.jwtSecret', 'JWT_SECRET'],
+    ['auth.jwtExpiresIn', 'JWT_EXPIRES_IN'],
+    ['auth.refreshTokenTtlMs', 'REFRESH_TOKEN_TTL_MS'],
+    ['auth.siweDomain', 'SIWE_DOMAIN'],
+    ['auth.siweNonceTtlMs', 'SIWE_NONCE_TTL_MS'],
+    ['email.user', 'EMAIL_USER'],
+    ['email.pass', 'EMAIL_PASS'],
+    ['recaptcha.secret', 'RECAPTCHA_SECRET'],
+    ['blockchain.defaultChain', 'DEFAULT_CHAIN'],
+    ['blockchain.privateKey', 'PRIVATE_KEY'],
+    ['blockchain.operatorKeys', 'OPERATOR_PRIVATE_KEYS'],
+    ['blockchain.gasLimit', 'GAS_LIMIT'],
+    ['blockchain.txWatcher.intervalMs', 'TX_WATCHER_INTERVAL_MS'],
+    ['blockchain.txWatcher.batchSize', 'TX_WATCHER_BATCH_SIZE'],
+    ['blockchain.txWatcher.dropAfterMs', 'TX_DROP_AFTER_MS'],
+    ['integrations.adapters.driver', 'ADAPTER_DRIVER'],
+    ['integrations.layerZero.maxGasFee', 'LAYERZERO_MAX_GAS_FEE'],
+    ['integrations.circle.apiKey', 'CIRCLE_API_KEY'],
+    ['integrations.circle.baseUrl', 'CIRCLE_API_BASE_URL'],
+    ['integrations.circle.masterWalletId', 'CIRCLE_MASTER_WALLET_ID'],
+    ['integrations.circle.chain', 'CIRCLE_CHAIN'],
+    ['integrations.cctp.attestationUrl', 'CCTP_ATTESTATION_URL'],
+    ['integrations.superfluid.tokenAddress', 'SUPERFLUID_TOKEN_ADDRESS'],
+    ['integrations.coinGecko.baseUrl', 'COINGECKO_API_BASE_URL'],
+    ['integrations.coinGecko.apiKey', 'COINGECKO_API_KEY'],
+    ['integrations.exchangeRate.baseUrl', 'EXCHANGE_RATE_API_BASE_URL'],
+    ['integrations.lit.network', 'LIT_NETWORK'],
+    ['integrations.lit.authSig', 'LIT_AUTH_SIG'],
+    ['integrations.flow.apiUrl', 'FLOW_API_URL'],
+    ['integrations.flow.kosmaNFTAddress', 'FLOW_KOSMA_NFT_ADDRESS'],
+    ['integrations.flow.accountAddress', 'FLOW_ACCOUNT_ADDRESS'],
+    ['integrations.flow.privateKey', 'FLOW_PRIVATE_KEY'],
+    ['integrations.flow.keyIndex', 'FLOW_KEY_INDEX'],
+    ['integrations.sandbox.encryptionKey', 'SANDBOX_ENCRYPTION_KEY'],
+];
+
+// Contract address variables, as <CHAIN>_<SUFFIX> per chain or bare <SUFFIX> for the default chain
+const CONTRACT_SUFFIXES = {
+    kosmaNFT: 'KOSMA_NFT_ADDRESS',
+    kosmaPayments: 'KOSMA_PAYMENTS_ADDRESS',
+    layerZeroMessaging: 'LAYERZERO_MESSAGING_ADDRESS',
+    storyIntegration: 'STORY_INTEGRATION_ADDRESS',
+    signAttestations: 'SIGN_ATTESTATIONS_ADDRESS',
+    unlockMemberships: 'UNLOCK_MEMBERSHIPS_ADDRESS',
+    usdc: 'USDC_ADDRESS',
+    messageTransmitter: 'CCTP_MESSAGE_TRANSMITTER_ADDRESS',
+};
+
+// Names older modules used for default-chain settings; still honoured, but reported as deprecated
+const LEGACY_ALIASES = {
+    RPC_URL: { path: (defaultChain) => `chains.${defaultChain}.rpcUrl`, replacement: 'BLOCKCHAIN_RPC_URL' },
+    INFURA_URL: { path: (defaultChain) => `chains.${defaultChain}.rpcUrl`, replacement: 'BLOCKCHAIN_RPC_URL' },
+    UNLOCK_CONTRACT_ADDRESS: { path: (defaultChain) => `chains.${defaultChain}.contracts.unlockMemberships`, replacement: 'UNLOCK_MEMBERSHIPS_ADDRESS' },
+};
+
+/**
+ * Bindings for the chains present in the file configuration
+ * @param {string[]} chainNames - Chain keys (e.g. ['ethereum', 'polygon'])
+ * @param {string} defaultChain - Chain that bare (unprefixed) variables apply to
+ * @returns {Array<Array<string>>} - [path, ...names] entries
+ */
+function chainBindings(chainNames, defaultChain) {
+    const bindings = [];
+    chainNames.forEach((chain) => {
+        const prefix = chain.toUpperCase();
+        const isDefault = chain === defaultChain;
+
+        bindings.push(isDefault
+            ? [`chains.${chain}.rpcUrl`, `${prefix}_RPC_URL`, 'BLOCKCHAIN_RPC_URL']
+            : [`chains.${chain}.rpcUrl`, `${prefix}_RPC_URL`]);
+        bindings.push([`chains.${chain}.rpcFallbacks`, `${prefix}_RPC_FALLBACK_URLS`]);
+        bindings.push([`chains.${chain}.chainId`, `${prefix}_CHAIN_ID`]);
+        bindings.push([`chains.${chain}.layerZeroChainId`, `${prefix}_LAYERZERO_CHAIN_ID`]);
+        bindings.push([`chains.${chain}.cctpDomain`, `${prefix}_CCTP_DOMAIN`]);
+        bindings.push([`chains.${chain}.gasLimit`, `${prefix}_GAS_LIMIT`]);
+        bindings.push([`chains.${chain}.confirmations`, `${prefix}_CONFIRMATIONS`]);
+        Object.entries(CONTRACT_SUFFIXES).forEach(([contract, suffix]) => {
+            const names = [`${prefix}_${suffix}`];
+            if (isDefault) names.push(suffix);
+            bindings.push([`chains.${chain}.contracts.${contract}`, ...names]);
+        });
+    });
+    return bindings;
+}
+
+/**
+ * Collect ADAPTER_DRIVER_<NAME> overrides (e.g. ADAPTER_DRIVER_CIRCLEAPI=live)
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Driver per upper-cased integration name
+ */
+function adapterOverrides(env) {
+    const overrides = {};
+    Object.keys(env).forEach((name) => {
+        const match = /^ADAPTER_DRIVER_(\w+)$/.exec(name);
+        if (match && env[name] !== '') overrides[match[1]] = env[name];
+    });
+    return overrides;
+}
+
+module.exports = {
+    BINDINGS,
+    CONTRACT_SUFFIXES,
+    LEGACY_ALIASES,
+    chainBindings,
+    adapterOverrides,
+};
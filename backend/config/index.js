@@ -0,0 +1,15 @@
+// Load .env before reading any variables
+require('dotenv').config();
+
+const { loadConfig } = require('./loader');
+
+/**
+ * Application configuration, validated once at startup
+ * Files (default.json, <NODE_ENV>.json, local.json) are merged, then environment variables
+ * override them. Invalid settings throw a ConfigError listing every problem.
+ * Secrets are replaced with [REDACTED] when the object is printed, logged or serialised.
+ * Warnings (deprecated or conflicting variables) are logged by utils/logger once it is set up.
+ */
+const config = loadConfig();
+
+module.exports = config;
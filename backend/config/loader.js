@@ -0,0 +1,207 @@
+// Import necessary libraries and modules
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { schema, SECRET_PATHS } = require('./schema');
+const { BINDINGS, LEGACY_ALIASES, chainBindings, adapterOverrides } = require('./env');
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Raised when configuration files or environment variables are invalid
+ */
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Recursively merge source into target (arrays and scalars replace)
+function deepMerge(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            deepMerge(target[key], value);
+        } else {
+            target[key] = isPlainObject(value) ? deepMerge({}, value) : value;
+        }
+    });
+    return target;
+}
+
+const getPath = (object, dotted) => dotted.split('.').reduce((node, key) => (node == null ? undefined : node[key]), object);
+
+function setPath(object, dotted, value) {
+    const keys = dotted.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (!isPlainObject(node[key])) node[key] = {};
+        return node[key];
+    }, object);
+    parent[last] = value;
+}
+
+// Read a JSON config file if it exists
+function readJson(file, problems) {
+    if (!fs.existsSync(file)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        problems.push(`${path.basename(file)} is not valid JSON: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Copy of the configuration with secret values replaced
+ * @param {Object} config - Validated configuration
+ * @returns {Object} - Safe-to-print configuration
+ */
+function redact(config) {
+    const copy = deepMerge({}, config);
+    SECRET_PATHS.forEach((secretPath) => {
+        if (getPath(copy, secretPath) !== undefined) setPath(copy, secretPath, REDACTED);
+    });
+    return copy;
+}
+
+/**
+ * Make every section print redacted and freeze the tree
+ * Each nested object gets redacted(), toJSON() and util.inspect support, so logging a
+ * section such as config.blockchain is as safe as logging the whole configuration.
+ * @param {Object} root - Validated configuration
+ * @returns {Object} - The same object, frozen
+ */
+function seal(root) {
+    let safe;
+    const safeCopy = () => {
+        if (!safe) safe = redact(root);
+        return safe;
+    };
+
+    const visit = (node, prefix) => {
+        const view = () => (prefix ? getPath(safeCopy(), prefix) : safeCopy());
+        Object.defineProperties(node, {
+            redacted: { value: view },
+            toJSON: { value: view },
+            [util.inspect.custom]: { value: (depth, options) => util.inspect(view(), { ...options, depth }) },
+        });
+
+        Object.entries(node).forEach(([key, child]) => {
+            if (isPlainObject(child)) visit(child, prefix ? `${prefix}.${key}` : key);
+        });
+        return Object.freeze(node);
+    };
+    return visit(root, '');
+}
+
+// First variable name for each path, used to hint how to fix a missing setting
+function variableHints(chainNames, defaultChain) {
+    const hints = {};
+    [...BINDINGS, ...chainBindings(chainNames, defaultChain)].forEach(([configPath, ...names]) => {
+        hints[configPath] = names.join(' or ');
+    });
+    return hints;
+}
+
+/**
+ * Load, merge and validate configuration
+ * Sources, later ones winning: default.json, <env>.json, local.json (untracked), environment variables.
+ * @param {Object} [options] - Optional settings
+ * @param {Object} [options.env] - Environment variables (defaults to process.env)
+ * @param {string} [options.dir] - Directory holding the JSON files (defaults to this directory)
+ * @returns {Object} - Frozen configuration with redacted(), toJSON() and inspect support
+ * @throws {ConfigError} - If any source is malformed or a setting fails validation
+ */
+function loadConfig({ env = process.env, dir = __dirname } = {}) {
+    const problems = [];
+    const warnings = [];
+    const nodeEnv = env.NODE_ENV || 'development';
+
+    const raw = { env: nodeEnv };
+    ['default.json', `${nodeEnv}.json`, 'local.json'].forEach((file) => {
+        deepMerge(raw, readJson(path.join(dir, file), problems));
+    });
+
+    // Which variable supplied each path, for error messages
+    const sources = {};
+    const applyBinding = ([configPath, ...names]) => {
+        const name = names.find((candidate) => env[candidate] !== undefined && env[candidate] !== '');
+        if (name) {
+            setPath(raw, configPath, env[name]);
+            sources[configPath] = name;
+        }
+    };
+
+    BINDINGS.forEach(applyBinding);
+
+    const defaultChain = getPath(raw, 'blockchain.defaultChain');
+    chainBindings(Object.keys(raw.chains || {}), defaultChain).forEach(applyBinding);
+
+    Object.entries(LEGACY_ALIASES).forEach(([name, alias]) => {
+        if (env[name] === undefined || env[name] === '') return;
+
+        const configPath = alias.path(defaultChain);
+        if (sources[configPath]) {
+            if (env[sources[configPath]] !== env[name]) {
+                warnings.push(`${name} is ignored because ${sources[configPath]} is set to a different value`);
+            }
+            return;
+        }
+        setPath(raw, configPath, env[name]);
+        sources[configPath] = name;
+        warnings.push(`${name} is deprecated; use ${alias.replacement} instead`);
+    });
+
+    const overrides = adapterOverrides(env);
+    Object.entries(overrides).forEach(([name, driver]) => {
+        setPath(raw, `integrations.adapters.overrides.${name}`, driver);
+        sources[`integrations.adapters.overrides.${name}`] = `ADAPTER_DRIVER_${name}`;
+    });
+
+    const { value, error } = schema.validate(raw, {
+        abortEarly: false,
+        convert: true,
+        context: { production: nodeEnv === 'production' },
+    });
+
+    if (error) {
+        const hints = variableHints(Object.keys(raw.chains || {}), defaultChain);
+        error.details.forEach((detail) => {
+            const configPath = detail.path.join('.');
+            let source = '';
+            if (sources[configPath]) {
+                source = ` (from ${sources[configPath]})`;
+            } else if (detail.type === 'any.required' && hints[configPath]) {
+                source = ` (set ${hints[configPath]})`;
+            }
+            problems.push(`${detail.message}${source}`);
+        });
+    }
+
+    if (value.chains && value.blockchain) {
+        const chain = value.chains[value.blockchain.defaultChain];
+        if (!chain) {
+            problems.push(`blockchain.defaultChain "${value.blockchain.defaultChain}" is not one of the configured chains (${Object.keys(value.chains).join(', ')})`);
+        } else if (value.env === 'production' && !chain.rpcUrl) {
+            problems.push(`chains.${value.blockchain.defaultChain}.rpcUrl is required in production (set BLOCKCHAIN_RPC_URL or ${value.blockchain.defaultChain.toUpperCase()}_RPC_URL)`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    Object.defineProperty(value, 'warnings', { value: Object.freeze(warnings) });
+    return seal(value);
+}
+
+module.exports = {
+    ConfigError,
+    REDACTED,
+    loadConfig,
+    redact,
+};
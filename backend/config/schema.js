@@ -0,0 +1,255 @@
+// Import necessary libraries and modules
+const Joi = require('joi');
+const { EVM_ADDRESS_REGEX } = require('../models/validators');
+
+const address = Joi.string().pattern(EVM_ADDRESS_REGEX).message('{{#label}} must be a 0x-prefixed 20-byte address');
+const privateKey = Joi.string().pattern(/^(0x)?[0-9a-fA-F]{64}$/).message('{{#label}} must be a 32-byte hex private key');
+const driver = Joi.string().valid('live', 'sandbox');
+
+// Array that also accepts a comma-separated string, as environment variables provide
+const list = Joi.extend((joi) => ({
+    type: 'list',
+    base: joi.array(),
+    coerce: {
+        from: 'string',
+        method: (value) => ({ value: value.split(',').map((item) => item.trim()).filter(Boolean) }),
+    },
+}));
+
+// Deployed contract addresses on one chain
+const contracts = Joi.object({
+    kosmaNFT: address,
+    kosmaPayments: address,
+    layerZeroMessaging: address,
+    storyIntegration: address,
+    signAttestations: address,
+    unlockMemberships: address,
+    usdc: address,
+    messageTransmitter: address, // Circle CCTP MessageTransmitter, which mints cross-chain USDC
+});
+
+const rpcUrl = Joi.string().uri({ scheme: ['http', 'https', 'ws', 'wss'] });
+
+// One EVM chain the backend can talk to
+const chain = Joi.object({
+    chainId: Joi.number().integer().positive().required(),
+    rpcUrl,
+    rpcFallbacks: list.list().items(rpcUrl).default([]), // Tried in order when rpcUrl fails or stalls
+    gasLimit: Joi.number().integer().positive(),
+    confirmations: Joi.number().integer().min(1).required(), // Blocks on top before a transaction counts as confirmed
+    layerZeroChainId: Joi.number().integer().min(1).max(65535), // LayerZero endpoint ID (uint16 in LayerZeroMessaging)
+    cctpDomain: Joi.number().integer().min(0), // Circle CCTP domain; chains without one cannot send or receive cross-chain USDC
+    contracts: contracts.default({}),
+});
+
+/**
+ * Configuration schema
+ * Validated with { context: { production } } so that settings which only have safe
+ * defaults in development become mandatory in production.
+ */
+const schema = Joi.object({
+    env: Joi.string().valid('development', 'test', 'production').required(),
+
+    server: Joi.object({
+        port: Joi.number().port().required(),
+        corsOrigin: Joi.string().required(),
+        baseUrl: Joi.string().uri().required(),
+        frontendUrl: Joi.string().uri().required(),
+        legacyApiSunset: Joi.string().required(),
+    }).required(),
+
+    logging: Joi.object({
+        level: Joi.string().valid('error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly').required(),
+    }).required(),
+
+    rateLimit: Joi.object({
+        windowMs: Joi.number().integer().positive().required(),
+        max: Joi.number().integer().positive().required(),
+    }).required(),
+
+    db: Joi.object({
+        uri: Joi.string().uri({ scheme: ['mongodb', 'mongodb+srv'] }),
+        host: Joi.string().required(),
+        port: Joi.number().port().required(),
+        name: Joi.string().required(),
+        user: Joi.string(),
+        password: Joi.string(),
+        poolSize: Joi.number().integer().positive().required(),
+    }).required(),
+
+    redis: Joi.object({
+        url: Joi.string().uri({ scheme: ['redis', 'rediss'] }).required(),
+    }).required(),
+
+    jobs: Joi.object({
+        attempts: Joi.number().integer().min(1).required(), // Runs before a job is dead-lettered
+        backoffMs: Joi.number().integer().positive().required(), // First retry delay; doubles each attempt
+        concurrency: Joi.number().integer().positive().required(),
+        keepCompleted: Joi.number().integer().min(0).required(), // Finished jobs kept for inspection
+    }).required(),
+
+    idempotency: Joi.object({
+        ttlMs: Joi.number().integer().positive().required(), // How long a key's first response is replayed
+    }).required(),
+
+    payments: Joi.object({
+        platformFeeBps: Joi.number().integer().min(0).max(10000).required(), // Share of each purchase kept by the platform
+        stepUpThreshold: Joi.number().min(0).required(), // Payments above this (USDC) need a TOTP code or wallet signature
+        stepUpChallengeTtlMs: Joi.number().integer().positive().required(), // How long a wallet step-up challenge can be signed
+        intentTtlMs: Joi.number().integer().positive().required(), // How long a payment intent can be signed and executed
+    }).required(),
+
+    fraud: Joi.object({
+        holdScore: Joi.number().integer().positive().required(), // Payments scoring this much wait for an admin
+        blockScore: Joi.number().integer().min(Joi.ref('holdScore')).required(), // Payments scoring this much are refused
+        velocityWindowMs: Joi.number().integer().positive().required(), // Window payments are counted in
+        maxPaymentsPerWindow: Joi.number().integer().positive().required(), // Sent by one account
+        maxRecipientPaymentsPerWindow: Joi.number().integer().positive().required(), // Received by one creator, from anyone
+        newAccountAgeMs: Joi.number().integer().positive().required(), // Accounts younger than this count as new
+        newAccountAmount: Joi.number().positive().required(), // USDC a new account can pay at once without scoring higher
+        circularWindowMs: Joi.number().integer().positive().required(), // How far back a tip the other way makes tipping circular
+        spikeMultiplier: Joi.number().min(1).required(), // Payments this many times the payer's average are spikes
+        spikeHistoryMs: Joi.number().integer().positive().required(), // History the average is taken over
+        spikeMinPayments: Joi.number().integer().positive().required(), // Payments in that history before spikes are scored
+    }).required(),
+
+    escrow: Joi.object({
+        defaultReleaseDays: Joi.number().integer().positive().required(), // Auto-release deadline when the sender sets none
+        maxReleaseDays: Joi.number().integer().positive().min(Joi.ref('defaultReleaseDays')).required(),
+        sweepIntervalMs: Joi.number().integer().positive().required(), // How often due escrows are looked for
+    }).required(),
+
+    payouts: Joi.object({
+        minAmount: Joi.number().positive().required(), // Smallest withdrawal in USDC, before fees
+        feeBps: Joi.number().integer().min(0).max(10000).required(), // Platform's share of each withdrawal
+        // Circle blockchain (e.g. MATIC) -> flat network fee in USDC; creators can only withdraw to these
+        networkFees: Joi.object().pattern(Joi.string().pattern(/^[A-Z]+$/), Joi.number().min(0)).min(1).required(),
+        runIntervalMs: Joi.number().integer().positive().required(), // How often requested payouts are sent in a run
+        batchSize: Joi.number().integer().positive().required(), // Payouts sent per run
+    }).required(),
+
+    prices: Joi.object({
+        sources: list.list().items(Joi.string().pattern(/^[a-z][a-z0-9-]*$/)).min(1).unique().required(), // Tried in order for each asset
+        assets: list.list().items(Joi.string().pattern(/^[A-Z]+$/)).min(1).unique().required(), // Crypto assets priced
+        fiat: list.list().items(Joi.string().length(3).uppercase()).has('USD').unique().required(), // Fiat currencies priced; USD is the base
+        cacheTtlMs: Joi.number().integer().positive().required(), // How long fetched prices are served before fetching again
+        snapshotIntervalMs: Joi.number().integer().positive().required(), // How often prices are stored for historical lookups
+        fixturePath: Joi.string(), // JSON file of USD prices for the 'fixture' source (defaults to the bundled one)
+    }).required(),
+
+    crossChain: Joi.object({
+        attestationPollMs: Joi.number().integer().positive().required(), // How often burned payments are checked for their attestation
+        batchSize: Joi.number().integer().positive().required(), // Payments checked per poll
+    }).required(),
+
+    streams: Joi.object({
+        solvencyCheckMs: Joi.number().integer().positive().required(), // How often stream senders' balances are checked
+    }).required(),
+
+    webhooks: Joi.object({
+        circle: Joi.object({
+            // Shared signing secrets; during a rotation list the new one first and keep the old one until Circle switches
+            secrets: list.list().items(Joi.string().min(16)).unique().default([])
+                .when('$production', { is: true, then: list.list().min(1).required() }),
+        }).default(),
+        toleranceSeconds: Joi.number().integer().positive().required(), // Max age of a signed delivery (replay window)
+    }).required(),
+
+    auth: Joi.object({
+        jwtSecret: Joi.string().min(16).required()
+            .when('$production', { is: true, then: Joi.string().min(32) }),
+        jwtExpiresIn: Joi.string().required(), // Access tokens; keep short, refresh tokens renew them
+        refreshTokenTtlMs: Joi.number().integer().positive().required(), // Idle time before a session's refresh token expires
+        siweDomain: Joi.string().hostname(), // Domain in Sign-In with Ethereum messages; defaults to the frontend's host
+        siweNonceTtlMs: Joi.number().integer().positive().required(), // Time to sign a Sign-In with Ethereum message
+    }).required(),
+
+    email: Joi.object({
+        user: Joi.string(),
+        pass: Joi.string(),
+    }).default({}),
+
+    recaptcha: Joi.object({
+        secret: Joi.string(),
+    }).default({}),
+
+    blockchain: Joi.object({
+        defaultChain: Joi.string().required(),
+        privateKey: privateKey.when('$production', { is: true, then: Joi.required() }),
+        operatorKeys: list.list().items(privateKey).unique().default([]), // Signer pool; privateKey alone when empty
+        gasLimit: Joi.number().integer().positive().required(),
+        txWatcher: Joi.object({
+            intervalMs: Joi.number().integer().positive().required(),
+            batchSize: Joi.number().integer().positive().required(),
+            dropAfterMs: Joi.number().integer().positive().required(), // Unmined and unknown to the node for this long -> dropped
+        }).required(),
+    }).required(),
+
+    chains: Joi.object().pattern(Joi.string(), chain).min(1).required(),
+
+    integrations: Joi.object({
+        adapters: Joi.object({
+            driver,
+            overrides: Joi.object().pattern(Joi.string(), driver).default({}),
+        }).required(),
+        layerZero: Joi.object({
+            maxGasFee: Joi.string().pattern(/^\d+(\.\d+)?$/).required(),
+        }).required(),
+        circle: Joi.object({
+            apiKey: Joi.string(),
+            baseUrl: Joi.string().uri().required(),
+            masterWalletId: Joi.string(),
+            chain: Joi.string().required(),
+        }).required(),
+        cctp: Joi.object({
+            attestationUrl: Joi.string().uri().required(), // Circle's attestation service (Iris)
+        }).required(),
+        superfluid: Joi.object({
+            tokenAddress: address,
+        }).default({}),
+        coinGecko: Joi.object({
+            baseUrl: Joi.string().uri().required(),
+            apiKey: Joi.string(),
+        }).required(),
+        exchangeRate: Joi.object({
+            baseUrl: Joi.string().uri().required(),
+        }).required(),
+        lit: Joi.object({
+            network: Joi.string().required(),
+            authSig: Joi.string(),
+        }).required(),
+        flow: Joi.object({
+            apiUrl: Joi.string().uri().required(),
+            kosmaNFTAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{16}$/),
+            accountAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{16}$/),
+            privateKey,
+            keyIndex: Joi.number().integer().min(0).required(),
+        }).required(),
+        sandbox: Joi.object({
+            encryptionKey: Joi.string().required(),
+        }).required(),
+    }).required(),
+});
+
+// Paths of settings that must never be printed or logged
+const SECRET_PATHS = [
+    'db.uri',
+    'db.password',
+    'redis.url',
+    'auth.jwtSecret',
+    'email.pass',
+    'recaptcha.secret',
+    'blockchain.privateKey',
+    'blockchain.operatorKeys',
+    'integrations.circle.apiKey',
+    'integrations.coinGecko.apiKey',
+    'webhooks.circle.secrets',
+    'integrations.lit.authSig',
+    'integrations.flow.privateKey',
+    'integrations.sandbox.encryptionKey',
+];
+
+module.exports = {
+    schema,
+    SECRET_PATHS,
+};
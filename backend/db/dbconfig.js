@@ -1,28 +1,30 @@
 // Import required packages
 const mongoose = require('mongoose');
-require('dotenv').config(); // Load environment variables from .env
-
-// Construct MongoDB connection string using .env variables
-const dbUser = process.env.DB_USER;
-const dbPassword = process.env.DB_PASSWORD;
-const dbHost = process.env.DB_HOST;
-const dbPort = process.env.DB_PORT;
-const dbName = process.env.DB_NAME;
-
-const connectionString = `mongodb://${dbUser}:${dbPassword}@${dbHost}:${dbPort}/${dbName}?authSource=admin`;
-
-// Connection options to ensure high availability and auto-reconnection
+const config = require('../config'); // Validated configuration (also loads .env)
+
+/**
+ * Build the MongoDB connection string
+ * db.uri (MONGODB_URI) wins; otherwise it is assembled from host, port, name and optional credentials.
+ * @returns {string} - MongoDB connection string
+ */
+function connectionString() {
+  const { uri, user, password, host, port, name } = config.db;
+  if (uri) return uri;
+
+  const credentials = user ? `${encodeURIComponent(user)}:${encodeURIComponent(password || '')}@` : '';
+  const authSource = user ? '?authSource=admin' : '';
+  return `mongodb://${credentials}${host}:${port}/${name}${authSource}`;
+}
+
+// Connection options (the driver reconnects automatically)
 const options = {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-  poolSize: 10,
+  maxPoolSize: config.db.poolSize,
   socketTimeoutMS: 45000,
   connectTimeoutMS: 10000,
-  autoReconnect: true,
 };
 
 // Connect to MongoDB
-mongoose.connect(connectionString, options);
+mongoose.connect(connectionString(), options);
 
 // Handle MongoDB connection events
 mongoose.connection.on('connected', () => {
@@ -0,0 +1,214 @@
+/**
+ * Stable, machine-readable error codes and the HTTP status each one maps to
+ * Clients branch on `code`; messages are for humans and may change.
+ */
+const ERROR_CODES = Object.freeze({
+    VALIDATION_FAILED: 400,
+    UNAUTHENTICATED: 401,
+    TOKEN_EXPIRED: 401,
+    INSUFFICIENT_FUNDS: 402,
+    PAYMENT_FAILED: 402,
+    FORBIDDEN: 403,
+    NOT_OWNER: 403,
+    STEP_UP_REQUIRED: 403,
+    SPENDING_LIMIT_EXCEEDED: 403,
+    PAYMENT_BLOCKED: 403,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+    REQUEST_IN_PROGRESS: 409,
+    IDEMPOTENCY_KEY_REUSED: 422,
+    CHAIN_REVERTED: 422,
+    RATE_LIMITED: 429,
+    INTERNAL_ERROR: 500,
+    UPSTREAM_FAILED: 502,
+    CHAIN_UNAVAILABLE: 503,
+});
+
+/**
+ * Base class for every error the API reports to clients
+ * The message and details are returned as-is, so they must not contain secrets;
+ * the original error goes in `cause` and is only logged.
+ */
+class AppError extends Error {
+    /**
+     * @param {string} message - Client-facing description
+     * @param {Object} [options] - Optional settings
+     * @param {string} [options.code] - One of ERROR_CODES (defaults to the class's code)
+     * @param {*} [options.details] - Extra machine-readable data (e.g. failed fields)
+     * @param {Error} [options.cause] - Underlying error, kept for logs
+     */
+    constructor(message, { code, details, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code || this.constructor.code;
+        this.status = ERROR_CODES[this.code] || 500;
+        if (details !== undefined) this.details = details;
+    }
+
+    /**
+     * Response body for this error
+     * @returns {Object} - { error: { code, message, details? } }
+     */
+    toJSON() {
+        const error = { code: this.code, message: this.message };
+        if (this.details !== undefined) error.details = this.details;
+        return { error };
+    }
+}
+AppError.code = 'INTERNAL_ERROR';
+
+class ValidationError extends AppError {}
+ValidationError.code = 'VALIDATION_FAILED';
+
+class AuthenticationError extends AppError {}
+AuthenticationError.code = 'UNAUTHENTICATED';
+
+class AuthorizationError extends AppError {}
+AuthorizationError.code = 'FORBIDDEN';
+
+class NotOwnerError extends AppError {}
+NotOwnerError.code = 'NOT_OWNER';
+
+// The payment needs a TOTP code or wallet signature; details say which methods the user has
+class StepUpRequiredError extends AuthorizationError {}
+StepUpRequiredError.code = 'STEP_UP_REQUIRED';
+
+// The payment breaks the user's spending policy (limit, daily cap or allowed recipients)
+class SpendingLimitError extends AuthorizationError {}
+SpendingLimitError.code = 'SPENDING_LIMIT_EXCEEDED';
+
+// The fraud checks refused the payment; details only carry the review ID, never the rules that fired
+class PaymentBlockedError extends AuthorizationError {}
+PaymentBlockedError.code = 'PAYMENT_BLOCKED';
+
+class NotFoundError extends AppError {}
+NotFoundError.code = 'NOT_FOUND';
+
+class ConflictError extends AppError {}
+ConflictError.code = 'CONFLICT';
+
+class PaymentError extends AppError {}
+PaymentError.code = 'PAYMENT_FAILED';
+
+class InsufficientFundsError extends PaymentError {}
+InsufficientFundsError.code = 'INSUFFICIENT_FUNDS';
+
+class RateLimitError extends AppError {}
+RateLimitError.code = 'RATE_LIMITED';
+
+class ChainError extends AppError {}
+ChainError.code = 'CHAIN_REVERTED';
+
+class IntegrationError extends AppError {}
+IntegrationError.code = 'UPSTREAM_FAILED';
+
+// ethers error codes that mean the node could not be reached or answered badly
+const CHAIN_UNAVAILABLE_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'];
+
+// ethers error codes that mean the transaction was (or would be) rejected
+const CHAIN_REJECTED_CODES = ['CALL_EXCEPTION', 'UNPREDICTABLE_GAS_LIMIT', 'TRANSACTION_REPLACED', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
+
+/**
+ * Translate an ethers error into the matching AppError
+ * @param {Error} error - Error thrown by ethers
+ * @returns {AppError|null} - Translated error, or null if it is not a chain error
+ */
+function fromChainError(error) {
+    const reason = error.reason || error.error?.reason;
+    const details = { chainCode: error.code };
+    if (reason) details.reason = reason;
+    if (error.transactionHash || error.receipt?.transactionHash) {
+        details.transactionHash = error.transactionHash || error.receipt.transactionHash;
+    }
+
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+        return new InsufficientFundsError('Insufficient funds to pay for the transaction', { details, cause: error });
+    }
+    if (CHAIN_UNAVAILABLE_CODES.includes(error.code)) {
+        return new ChainError('Blockchain node is unavailable. Please try again later.', { code: 'CHAIN_UNAVAILABLE', details, cause: error });
+    }
+    if (CHAIN_REJECTED_CODES.includes(error.code)) {
+        return new ChainError(reason ? `Transaction reverted: ${reason}` : 'Transaction reverted', { details, cause: error });
+    }
+    return null;
+}
+
+/**
+ * Convert any thrown value into an AppError
+ * Known library errors (ethers, JSON body parsing, Joi, Mongoose, jsonwebtoken) are mapped
+ * to their code; anything else becomes INTERNAL_ERROR with a generic message.
+ * @param {*} error - Thrown value
+ * @returns {AppError}
+ */
+function normalizeError(error) {
+    if (error instanceof AppError) return error;
+    if (!(error instanceof Error)) {
+        return new AppError('An internal error occurred. Please try again later.', { cause: new Error(String(error)) });
+    }
+
+    const chainError = fromChainError(error);
+    if (chainError) return chainError;
+
+    if (error.type === 'entity.parse.failed') {
+        return new ValidationError('Request body is not valid JSON', { cause: error });
+    }
+    if (error.isJoi) {
+        return new ValidationError(error.details[0].message, {
+            details: error.details.map((detail) => ({ field: detail.path.join('.'), message: detail.message })),
+            cause: error,
+        });
+    }
+    if (error.name === 'ValidationError' && error.errors) {
+        return new ValidationError('Validation errors occurred', {
+            details: Object.values(error.errors).map((detail) => ({ field: detail.path, message: detail.message })),
+            cause: error,
+        });
+    }
+    if (error.name === 'CastError') {
+        return new ValidationError(`Invalid ${error.path}`, { details: [{ field: error.path, message: error.message }], cause: error });
+    }
+    if (error.name === 'TokenExpiredError') {
+        return new AuthenticationError('Token expired. Please log in again.', { code: 'TOKEN_EXPIRED', cause: error });
+    }
+    if (error.name === 'JsonWebTokenError') {
+        return new AuthenticationError('Invalid token.', { cause: error });
+    }
+
+    return new AppError('An internal error occurred. Please try again later.', { cause: error });
+}
+
+/**
+ * Wrap an error caught in a service so the cause survives
+ * AppErrors and chain errors keep their own code; anything else is reported as
+ * `message` with the given code.
+ * @param {*} error - Caught error
+ * @param {string} message - Client-facing description of the failed operation
+ * @param {string} [code] - Code for unrecognised errors (defaults to UPSTREAM_FAILED)
+ * @returns {AppError}
+ */
+function wrapError(error, message, code = 'UPSTREAM_FAILED') {
+    if (error instanceof AppError) return error;
+    return fromChainError(error || {}) || new AppError(message, { code, cause: error });
+}
+
+module.exports = {
+    ERROR_CODES,
+    AppError,
+    ValidationError,
+    AuthenticationError,
+    AuthorizationError,
+    NotOwnerError,
+    StepUpRequiredError,
+    SpendingLimitError,
+    PaymentBlockedError,
+    NotFoundError,
+    ConflictError,
+    PaymentError,
+    InsufficientFundsError,
+    RateLimitError,
+    ChainError,
+    IntegrationError,
+    fromChainError,
+    normalizeError,
+    wrapError,
+};
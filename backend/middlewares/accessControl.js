@@ -0,0 +1,13 @@
+// Import necessary libraries and modules
+const { authorizeRoles } = require('./authMiddleware');
+
+// Role-based guards shared by the route modules
+const AccessControl = {
+    // Content creators (and admins acting on their behalf) may create attestations, licenses, etc.
+    isContentCreator: authorizeRoles('content_creator', 'admin'),
+
+    // Platform administrators only
+    isAdmin: authorizeRoles('admin'),
+};
+
+module.exports = AccessControl;
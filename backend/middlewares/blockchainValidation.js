@@ -1,13 +1,13 @@
 // Import necessary libraries and modules
 const { ethers } = require('ethers');
-const LayerZero = require('./LayerZero'); // LayerZero for cross-chain validation
-const Whitelist = require('./models/Whitelist'); // Model for managing whitelisted addresses
-const Superfluid = require('./Superfluid'); // Superfluid for royalty payments
-const StoryProtocol = require('./StoryProtocol'); // Story Protocol for payment validation
+const { LayerZero } = require('../adapters'); // LayerZero for cross-chain validation
+const Whitelist = require('../models/Whitelist'); // Model for managing whitelisted addresses
 const Redis = require('redis'); // Redis for caching
+const config = require('../config'); // Validated application configuration
+const { AuthorizationError, RateLimitError, ValidationError } = require('../errors');
 
 // Redis client for caching whitelisted addresses
-const redisClient = Redis.createClient();
+const redisClient = Redis.createClient({ url: config.redis.url });
 
 /**
  * Validate Transaction Parameters with stricter type checks
@@ -18,17 +18,17 @@ const redisClient = Redis.createClient();
 function validateTransactionParams(params, requiredKeys) {
     for (const key of requiredKeys) {
         if (typeof params[key] === 'undefined') {
-            throw new Error(`Missing required parameter: ${key}`);
+            throw new ValidationError(`Missing required parameter: ${key}`, { details: [{ field: key, message: 'Required' }] });
         }
         if (typeof params[key] !== 'string') {
-            throw new Error(`Invalid data type for parameter: ${key}. Expected a string.`);
+            throw new ValidationError(`Invalid data type for parameter: ${key}. Expected a string.`, { details: [{ field: key, message: 'Expected a string' }] });
         }
     }
     return true;
 }
 
 /**
- * Verify Whitelisted Address with caching and custom error codes
+ * Verify Whitelisted Address with caching
  * @param {string} address - Address to verify
  * @returns {Promise<boolean>} - True if the address is whitelisted, false otherwise
  */
@@ -42,7 +42,7 @@ async function verifyWhitelistedAddress(address) {
     // If not cached, check in the database
     const isWhitelisted = await Whitelist.exists({ address });
     if (!isWhitelisted) {
-        throw new Error('ERR_WHITELIST: Address not whitelisted.');
+        throw new AuthorizationError('Address not whitelisted.', { details: { address } });
     }
 
     // Cache the whitelisted address for future lookups
@@ -61,17 +61,17 @@ async function validateRoyaltyPayment(paymentData, signers) {
     const { amount, recipient } = paymentData;
 
     if (!amount || amount <= 0) {
-        throw new Error('Invalid payment amount. Amount must be greater than 0.');
+        throw new ValidationError('Invalid payment amount. Amount must be greater than 0.');
     }
 
     const isValidRecipient = ethers.utils.isAddress(recipient);
     if (!isValidRecipient) {
-        throw new Error('Invalid recipient address.');
+        throw new ValidationError('Invalid recipient address.');
     }
 
     // Check for sufficient signatures for multi-signature transactions
     if (signers && signers.length < 2) {
-        throw new Error('Multi-signature validation failed. At least two signers are required.');
+        throw new ValidationError('Multi-signature validation failed. At least two signers are required.');
     }
 
     // Further validations can be added here, such as checking balances
@@ -91,7 +91,7 @@ async function verifyCrossChainInteraction(interactionData, userIp) {
     const userRateKey = `crosschain:${userIp}`;
     const currentRate = await redisClient.get(userRateKey);
     if (currentRate && parseInt(currentRate) >= 10) {
-        throw new Error('Rate limit exceeded. Try again later.');
+        throw new RateLimitError('Rate limit exceeded. Try again later.');
     }
 
     // Increment the rate limit counter
@@ -101,13 +101,13 @@ async function verifyCrossChainInteraction(interactionData, userIp) {
     // Check if the source and target chains are valid
     const isValidChain = await LayerZero.validateChains(sourceChain, targetChain);
     if (!isValidChain) {
-        throw new Error('Invalid cross-chain interaction.');
+        throw new ValidationError('Invalid cross-chain interaction.');
     }
 
     // Verify the integrity of the message
     const isValidMessage = await LayerZero.verifyMessage(message);
     if (!isValidMessage) {
-        throw new Error('Invalid or tampered message.');
+        throw new ValidationError('Invalid or tampered message.');
     }
 
     return true;
@@ -0,0 +1,27 @@
+const config = require('../config');
+
+// Default sunset date for the legacy unversioned API paths (RFC 8594 HTTP-date)
+const DEFAULT_SUNSET = config.server.legacyApiSunset;
+
+/**
+ * Mark a legacy route as deprecated
+ * Adds Deprecation, Sunset and Link headers pointing clients to the versioned successor path.
+ * @param {string} successorPath - Base path of the replacement route (e.g. '/api/v1/auth')
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.sunset] - HTTP-date after which the legacy path may be removed
+ * @returns {Function} - Express middleware
+ */
+function deprecatedRoute(successorPath, { sunset = DEFAULT_SUNSET } = {}) {
+    return (req, res, next) => {
+        const successor = req.path === '/' ? successorPath : `${successorPath}${req.path}`;
+
+        res.set('Deprecation', 'true');
+        res.set('Sunset', sunset);
+        res.set('Link', `<${successor}>; rel="successor-version"`);
+        next();
+    };
+}
+
+module.exports = {
+    deprecatedRoute,
+};
@@ -0,0 +1,60 @@
+// Import necessary libraries and modules
+const logger = require('../utils/logger'); // Shared logger (redacts configured secrets)
+const { NotFoundError, RateLimitError, ValidationError, normalizeError } = require('../errors');
+
+/**
+ * Respond with the uniform error envelope: { error: { code, message, details? } }
+ * Server-side failures (5xx) are logged with their cause; client errors only at debug level.
+ */
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const error = normalizeError(err);
+    const context = { code: error.code, method: req.method, path: req.originalUrl };
+
+    if (error.status >= 500) {
+        const cause = error.cause || err;
+        logger.error(`${req.method} ${req.originalUrl} failed: ${error.message}`, { ...context, cause: cause?.stack || String(cause) });
+    } else {
+        logger.debug(`${req.method} ${req.originalUrl} rejected: ${error.message}`, context);
+    }
+
+    res.status(error.status).json(error.toJSON());
+}
+
+// Fallback for requests that no router handled
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError('Route not found'));
+}
+
+/**
+ * Handler for express-rate-limit that reports RATE_LIMITED through the error handler
+ * @param {string} message - Message returned to the client
+ * @returns {Function} - Value for the limiter's `handler` option
+ */
+function rateLimitExceeded(message) {
+    return (req, res, next) => next(new RateLimitError(message));
+}
+
+/**
+ * Reject the request with VALIDATION_FAILED if express-validator found problems
+ * @param {Object} result - Result of validationResult(req)
+ * @param {Function} next - Express next callback
+ * @returns {boolean} - True if the request was rejected
+ */
+function rejectInvalid(result, next) {
+    if (result.isEmpty()) return false;
+
+    const details = result.array().map((error) => ({ field: error.path || error.param, message: error.msg }));
+    next(new ValidationError(details[0].message, { details }));
+    return true;
+}
+
+module.exports = {
+    errorHandler,
+    notFoundHandler,
+    rateLimitExceeded,
+    rejectInvalid,
+};
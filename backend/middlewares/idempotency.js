@@ -0,0 +1,105 @@
+// Import necessary libraries and modules
+const crypto = require('crypto');
+const config = require('../config'); // Validated application configuration
+const IdempotencyKey = require('../models/IdempotencyKey'); // Stored first responses per key
+const logger = require('../utils/logger');
+const { AppError, ConflictError, ValidationError } = require('../errors');
+
+// Printable ASCII without spaces, e.g. a UUID generated by the client per user action
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+// Hash of what the request asks for, so a key cannot be reused for a different request
+function fingerprint(req) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([req.method, `${req.baseUrl}${req.path}`, req.body ?? null]))
+        .digest('hex');
+}
+
+/**
+ * Claim a key for this request
+ * @returns {Promise<Object>} - { record, claimed }: claimed is false when the key was already used
+ */
+async function claim(userId, key, hash) {
+    const now = new Date();
+    await IdempotencyKey.deleteOne({ userId, key, expiresAt: { $lte: now } }); // The TTL monitor runs only once a minute
+
+    try {
+        const record = await IdempotencyKey.create({
+            userId,
+            key,
+            fingerprint: hash,
+            expiresAt: new Date(now.getTime() + config.idempotency.ttlMs),
+        });
+        return { record, claimed: true };
+    } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+    }
+    return { record: await IdempotencyKey.findOne({ userId, key }), claimed: false };
+}
+
+// Keep the response for replay, or free the key if the request failed on our side
+async function settle(record, statusCode, body) {
+    try {
+        if (statusCode >= 500) {
+            await IdempotencyKey.deleteOne({ _id: record._id });
+            return;
+        }
+        await IdempotencyKey.updateOne({ _id: record._id }, {
+            status: 'completed',
+            response: { statusCode, body: JSON.parse(JSON.stringify(body)) },
+        });
+    } catch (error) {
+        logger.error(`Failed to store the response for idempotency key ${record.key}: ${error.message}`);
+    }
+}
+
+/**
+ * Make a money-moving route safe to retry with an Idempotency-Key header
+ * The first response (anything below 500) is stored per user and key and replayed, with an
+ * Idempotent-Replayed header, to later requests with the same key until it expires. A retry
+ * sent while the first request is still running gets REQUEST_IN_PROGRESS; a key reused with a
+ * different method, path or body gets IDEMPOTENCY_KEY_REUSED. Requests without the header are
+ * processed as usual. Mount after authenticateUser on routes that answer with res.json.
+ */
+async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!KEY_PATTERN.test(key)) {
+        return next(new ValidationError('Idempotency-Key must be 1-255 printable characters without spaces'));
+    }
+
+    const userId = req.user?.userId || req.user?.id;
+    const hash = fingerprint(req);
+
+    try {
+        const { record, claimed } = await claim(userId, key, hash);
+
+        if (!claimed) {
+            if (record && record.fingerprint !== hash) {
+                throw new AppError('This Idempotency-Key was already used for a different request.', { code: 'IDEMPOTENCY_KEY_REUSED' });
+            }
+            if (!record || record.status === 'processing') {
+                throw new ConflictError('A request with this Idempotency-Key is still being processed.', { code: 'REQUEST_IN_PROGRESS' });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(record.response.statusCode).json(record.response.body);
+        }
+
+        // Store the response as it is sent; this also works if the client has already disconnected
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            settle(record, res.statusCode, body);
+            return json(body);
+        };
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = {
+    idempotent,
+};
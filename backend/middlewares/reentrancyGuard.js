@@ -0,0 +1,29 @@
+// Import necessary libraries and modules
+const { ConflictError } = require('../errors');
+
+// Keys of requests that are currently being processed
+const inFlight = new Set();
+
+/**
+ * Reject a request while the same user already has an identical request in flight
+ * Mirrors OpenZeppelin's ReentrancyGuard at the API level so that double submissions
+ * cannot trigger the same on-chain action twice.
+ */
+function ReentrancyGuard(req, res, next) {
+    const userId = req.user?.userId || req.user?.id || req.ip;
+    const key = `${userId}:${req.method}:${req.baseUrl}${req.path}`;
+
+    if (inFlight.has(key)) {
+        return next(new ConflictError('A previous request is still being processed.', { code: 'REQUEST_IN_PROGRESS' }));
+    }
+
+    inFlight.add(key);
+    const release = () => inFlight.delete(key);
+    res.on('finish', release);
+    res.on('close', release);
+    next();
+}
+
+module.exports = {
+    ReentrancyGuard,
+};
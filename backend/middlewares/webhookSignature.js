@@ -0,0 +1,97 @@
+// Import necessary libraries and modules
+const crypto = require('crypto');
+const config = require('../config'); // Validated application configuration
+const { AuthenticationError } = require('../errors');
+
+// t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">; several v1 entries are allowed while a secret rotates
+const SIGNATURE_HEADER = 'X-Circle-Signature';
+
+/**
+ * Signature of a webhook body
+ * @param {string} secret - Shared signing secret
+ * @param {number|string} timestamp - Unix time in seconds, as sent in the header
+ * @param {Buffer|string} body - Raw request body
+ * @returns {string} - Hex HMAC-SHA256
+ */
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.`)
+        .update(body)
+        .digest('hex');
+}
+
+// { timestamp, signatures } from the header value
+function parseHeader(header) {
+    const parsed = { timestamp: NaN, signatures: [] };
+    header.split(',').forEach((part) => {
+        const [name, value] = part.trim().split('=');
+        if (name === 't') parsed.timestamp = Number(value);
+        if (name === 'v1' && value) parsed.signatures.push(value);
+    });
+    return parsed;
+}
+
+// Constant-time comparison of two hex signatures
+function matches(expected, actual) {
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(actual, 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check a signature header against the raw body
+ * Every secret given is accepted, so a new secret can be added before Circle starts using it
+ * and the old one removed afterwards. Deliveries signed more than toleranceSeconds ago are
+ * refused so a captured request cannot be replayed later.
+ * @param {string} header - X-Circle-Signature value
+ * @param {Buffer|string} body - Raw request body
+ * @param {Object} options - Verification settings
+ * @param {string[]} options.secrets - Accepted signing secrets
+ * @param {number} options.toleranceSeconds - Max age of the signature
+ * @param {number} [options.now] - Current time in milliseconds
+ * @throws {AuthenticationError} - If the signature is missing, stale or wrong
+ */
+function verifySignature(header, body, { secrets, toleranceSeconds, now = Date.now() }) {
+    if (secrets.length === 0) {
+        throw new AuthenticationError('Webhook signing secrets are not configured');
+    }
+    if (!header) {
+        throw new AuthenticationError(`Missing ${SIGNATURE_HEADER} header`);
+    }
+
+    const { timestamp, signatures } = parseHeader(header);
+    if (!Number.isInteger(timestamp) || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+        throw new AuthenticationError('Webhook timestamp is missing or outside the allowed window');
+    }
+
+    const valid = secrets.some((secret) => {
+        const expected = sign(secret, timestamp, body);
+        return signatures.some((signature) => matches(expected, signature));
+    });
+    if (!valid) {
+        throw new AuthenticationError('Invalid webhook signature');
+    }
+}
+
+/**
+ * Reject Circle webhook deliveries that are not signed with a secret in webhooks.circle.secrets
+ * Needs req.rawBody (kept by the JSON parser in app.js).
+ */
+function verifyCircleSignature(req, res, next) {
+    try {
+        verifySignature(req.get(SIGNATURE_HEADER), req.rawBody || '', {
+            secrets: config.webhooks.circle.secrets,
+            toleranceSeconds: config.webhooks.toleranceSeconds,
+        });
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    sign,
+    verifySignature,
+    verifyCircleSignature,
+};
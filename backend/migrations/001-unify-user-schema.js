@@ -0,0 +1,73 @@
+// Import necessary libraries and modules
+const User = require('../models/User');
+
+// Version of the user documents this migration writes. Fixed here: later migrations raise it further
+const SCHEMA_VERSION = 2;
+
+/**
+ * Move user documents written by the two old User schemas onto the unified one.
+ *
+ * - authRoutes users (security question + 2FA) never went through email verification,
+ *   so they are marked verified to keep them able to log in, and get the default role.
+ * - registration users stored their display name in `name`; it becomes `username`.
+ * - Emails are lower-cased to match the unified unique index.
+ */
+module.exports = {
+    description: 'Unify legacy user documents onto the shared User schema',
+
+    async up({ db }) {
+        const users = db.collection('users');
+        const stats = { renamed: 0, verified: 0, roles: 0, emails: 0, walletAddresses: 0, upgraded: 0 };
+
+        // `name` -> `username`, de-duplicating against existing usernames
+        const named = await users.find({ name: { $exists: true }, username: { $exists: false } }).toArray();
+        for (const doc of named) {
+            let username = doc.name;
+            if (await users.countDocuments({ username })) {
+                username = `${doc.name}-${doc._id.toString().slice(-6)}`;
+            }
+            await users.updateOne({ _id: doc._id }, { $set: { username }, $unset: { name: '' } });
+            stats.renamed += 1;
+        }
+
+        // `walletAddress` -> `blockchainAddress`
+        const walletResult = await users.updateMany(
+            { walletAddress: { $exists: true }, blockchainAddress: { $exists: false } },
+            { $rename: { walletAddress: 'blockchainAddress' } }
+        );
+        stats.walletAddresses = walletResult.modifiedCount;
+
+        // Users created by the auth flow had no verification step
+        const verifiedResult = await users.updateMany(
+            { emailVerified: { $exists: false } },
+            { $set: { emailVerified: true } }
+        );
+        stats.verified = verifiedResult.modifiedCount;
+
+        const roleResult = await users.updateMany({ role: { $exists: false } }, { $set: { role: 'user' } });
+        stats.roles = roleResult.modifiedCount;
+
+        // Lower-case emails, refusing to merge accounts that only differ by case
+        const mixedCase = await users.find({ email: { $regex: /[A-Z]/ } }).toArray();
+        for (const doc of mixedCase) {
+            const email = doc.email.toLowerCase();
+            if (await users.countDocuments({ email, _id: { $ne: doc._id } })) {
+                throw new Error(`Cannot lower-case email for user ${doc._id}: ${email} is already taken`);
+            }
+            await users.updateOne({ _id: doc._id }, { $set: { email } });
+            stats.emails += 1;
+        }
+
+        // Legacy documents carry no version
+        const versionResult = await users.updateMany(
+            { schemaVersion: { $exists: false } },
+            { $set: { schemaVersion: SCHEMA_VERSION } }
+        );
+        stats.upgraded = versionResult.modifiedCount;
+
+        // Build the indexes declared by the unified schema now that the data fits them
+        await User.syncIndexes();
+
+        return stats;
+    },
+};
@@ -0,0 +1,38 @@
+// Import necessary libraries and modules
+const ledgerService = require('../services/ledgerService');
+
+/**
+ * Move the old mutable user.balance field into the double-entry ledger.
+ *
+ * - Every positive balance becomes an 'opening_balance' journal entry from the Circle account
+ *   to the user's account, referenced by user ID so a re-run does not post it twice.
+ * - The balance field is then removed; balances are derived from the journal from now on.
+ * - Needs a replica set, like the ledger itself (journal writes use transactions).
+ */
+module.exports = {
+    description: 'Post user balances to the ledger as opening balances and drop user.balance',
+
+    async up({ db }) {
+        const users = db.collection('users');
+        const stats = { posted: 0, cleared: 0 };
+
+        const funded = await users.find({ balance: { $gt: 0 } }, { projection: { balance: 1 } }).toArray();
+        for (const doc of funded) {
+            await ledgerService.post({
+                type: 'opening_balance',
+                reference: `user:${doc._id}`,
+                postings: [
+                    { account: ledgerService.CIRCLE, amount: -ledgerService.toUnits(doc.balance) },
+                    { account: { type: 'user', ownerId: doc._id }, amount: ledgerService.toUnits(doc.balance) },
+                ],
+                memo: 'Balance carried over from user.balance',
+            });
+            stats.posted += 1;
+        }
+
+        const cleared = await users.updateMany({ balance: { $exists: true } }, { $unset: { balance: '' } });
+        stats.cleared = cleared.modifiedCount;
+
+        return stats;
+    },
+};
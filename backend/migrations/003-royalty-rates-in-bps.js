@@ -0,0 +1,24 @@
+/**
+ * Store content royalty rates in basis points.
+ *
+ * - Royalty.royaltyRate (a percentage, possibly fractional) becomes Royalty.rateBps, rounded to
+ *   the nearest basis point: 12.5 becomes 1250.
+ * - Only documents that still have royaltyRate are touched, so a re-run changes nothing.
+ * - Royalty shares stored in KosmaNFT and StoryIntegration are not converted: deployments that
+ *   hold percentages must be redeployed (see Contracts Deployment in the README).
+ */
+module.exports = {
+    description: 'Convert Royalty.royaltyRate percentages to Royalty.rateBps',
+
+    async up({ db }) {
+        const result = await db.collection('royalties').updateMany(
+            { royaltyRate: { $exists: true } },
+            [
+                { $set: { rateBps: { $round: [{ $multiply: ['$royaltyRate', 100] }, 0] } } },
+                { $unset: 'royaltyRate' },
+            ]
+        );
+
+        return { converted: result.modifiedCount };
+    },
+};
@@ -0,0 +1,31 @@
+// Import necessary libraries and modules
+const User = require('../models/User');
+
+// Version of the user documents this migration writes
+const SCHEMA_VERSION = 3;
+
+/**
+ * Make room for accounts created by Sign-In with Ethereum.
+ *
+ * - The unique email index becomes partial, so any number of wallet-only accounts can have no email.
+ * - Linked wallets get a unique index: a wallet signs in to one account only.
+ * - Existing users have no linked wallets. Their blockchainAddress was generated by the server,
+ *   so nobody can sign with it and it is not linked.
+ */
+module.exports = {
+    description: 'Allow wallet-only users and index linked wallets',
+
+    async up({ db }) {
+        const users = db.collection('users');
+
+        const result = await users.updateMany(
+            { schemaVersion: { $lt: SCHEMA_VERSION } },
+            { $set: { wallets: [], schemaVersion: SCHEMA_VERSION } }
+        );
+
+        // Replaces the old email_1 index with the partial one declared by the schema
+        await User.syncIndexes();
+
+        return { upgraded: result.modifiedCount };
+    },
+};
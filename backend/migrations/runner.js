@@ -0,0 +1,77 @@
+// Import necessary libraries and modules
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// Collection that records which migrations have already been applied
+const MIGRATIONS_COLLECTION = 'migrations';
+
+// Migration files are named <number>-<description>.js and run in numeric order
+const MIGRATION_FILE_REGEX = /^\d+-[\w-]+\.js$/;
+
+/**
+ * Load all migration modules from this directory, sorted by their numeric prefix
+ * @returns {Array<Object>} - Migrations as { id, description, up }
+ */
+function loadMigrations() {
+    return fs.readdirSync(__dirname)
+        .filter((file) => MIGRATION_FILE_REGEX.test(file))
+        .sort((a, b) => parseInt(a, 10) - parseInt(b, 10))
+        .map((file) => {
+            const migration = require(path.join(__dirname, file));
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${file} does not export an up() function`);
+            }
+            return { id: path.basename(file, '.js'), description: migration.description || '', up: migration.up };
+        });
+}
+
+/**
+ * Apply every migration that has not been recorded yet
+ * @param {Object} [options] - Runner options
+ * @param {boolean} [options.dryRun=false] - Report pending migrations without applying them
+ * @returns {Promise<Array<string>>} - IDs of the migrations that were applied (or would be, on a dry run)
+ */
+async function runMigrations({ dryRun = false } = {}) {
+    const collection = mongoose.connection.db.collection(MIGRATIONS_COLLECTION);
+    const applied = new Set((await collection.find({}, { projection: { _id: 1 } }).toArray()).map((doc) => doc._id));
+    const pending = loadMigrations().filter((migration) => !applied.has(migration.id));
+
+    for (const migration of pending) {
+        logger.info(`${dryRun ? '[dry run] ' : ''}Applying migration ${migration.id}: ${migration.description}`);
+        if (dryRun) continue;
+
+        const startedAt = new Date();
+        const result = await migration.up({ db: mongoose.connection.db, mongoose });
+        await collection.insertOne({ _id: migration.id, description: migration.description, startedAt, appliedAt: new Date(), result });
+        logger.info(`Migration ${migration.id} applied`, { result });
+    }
+
+    if (pending.length === 0) {
+        logger.info('No pending migrations.');
+    }
+    return pending.map((migration) => migration.id);
+}
+
+// CLI usage: node backend/migrations/runner.js [--dry-run]
+if (require.main === module) {
+    const db = require('../db/dbconfig'); // Opens the MongoDB connection on require
+
+    // The process ends by itself once the connection is closed
+    db.once('open', async () => {
+        try {
+            await runMigrations({ dryRun: process.argv.includes('--dry-run') });
+        } catch (error) {
+            logger.error(`Migration failed: ${error.stack || error.message}`);
+            process.exitCode = 1;
+        } finally {
+            await db.close();
+        }
+    });
+}
+
+module.exports = {
+    loadMigrations,
+    runMigrations,
+};
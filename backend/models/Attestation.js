@@ -0,0 +1,17 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// Sign Protocol attestation for a piece of content
+const attestationSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Attesting creator
+    contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content', required: true },
+    attestationData: { type: mongoose.Schema.Types.Mixed, required: true },
+    encrypted: { type: Boolean, default: false },
+    jobId: { type: String }, // Background job that created it; makes retries upsert instead of duplicating
+}, { timestamps: true });
+
+attestationSchema.index({ contentId: 1, createdAt: -1 });
+attestationSchema.index({ userId: 1 });
+attestationSchema.index({ jobId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Attestation', attestationSchema);
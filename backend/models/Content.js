@@ -0,0 +1,20 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+const { CHAIN_ADDRESS_REGEX } = require('./validators');
+
+// Content metadata; the metadata payload itself is stored encrypted
+const contentSchema = new mongoose.Schema({
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    description: { type: String, required: true, maxlength: 5000 },
+    owner: { type: String, required: true, match: CHAIN_ADDRESS_REGEX }, // Creator's blockchain address
+    ownerWalletAddress: { type: String, match: CHAIN_ADDRESS_REGEX }, // Payout address, if different from owner
+    metadata: { type: mongoose.Schema.Types.Mixed, required: true },
+    tag: { type: String, trim: true },
+    category: { type: String, trim: true },
+}, { timestamps: true });
+
+contentSchema.index({ owner: 1, createdAt: -1 });
+contentSchema.index({ tag: 1 });
+contentSchema.index({ category: 1 });
+
+module.exports = mongoose.model('Content', contentSchema);
@@ -0,0 +1,99 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+const { EVM_ADDRESS_REGEX } = require('./validators');
+
+const PAYMENT_TYPES = ['tip', 'purchase'];
+
+// burning -> attesting -> minting -> completed; failed when the burn does not go through (funds back to the payer)
+const STATUSES = ['burning', 'attesting', 'minting', 'completed', 'failed'];
+
+// CCTP stages in order, and the status a payment has while each one is under way
+const STAGES = [
+    { name: 'burn', status: 'burning' },
+    { name: 'attestation', status: 'attesting' },
+    { name: 'mint', status: 'minting' },
+];
+
+const stageSchema = new mongoose.Schema({
+    hash: { type: String }, // Transaction on the stage's chain (burn and mint)
+    at: { type: Date }, // When the stage finished
+}, { _id: false });
+
+// Tip or purchase paid to a creator's wallet on another chain with Circle CCTP
+// Amounts are USDC; amount = fee + netAmount and is set aside in the ledger until the USDC is minted.
+const crossChainPaymentSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Payer
+    creatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content' }, // Purchased content
+    type: { type: String, enum: PAYMENT_TYPES, required: true },
+    amount: { type: Number, required: true, min: 0 }, // Taken from the payer
+    fee: { type: Number, default: 0, min: 0 }, // Platform fee on purchases
+    netAmount: { type: Number, required: true, min: 0 }, // Burned and minted to the creator
+    recipient: { type: String, required: true, match: EVM_ADDRESS_REGEX }, // Creator's wallet
+    sourceChain: { type: String, required: true }, // Keys in config.chains
+    destinationChain: { type: String, required: true },
+
+    status: { type: String, enum: STATUSES, default: 'burning' },
+    message: { type: String }, // CCTP message emitted by the burn
+    messageHash: { type: String },
+    attestation: { type: String }, // Circle's signature over the message
+    attestationCheckedAt: { type: Date }, // Last time the attestation was asked for
+    stages: {
+        burn: stageSchema,
+        attestation: stageSchema,
+        mint: stageSchema,
+    },
+    error: {
+        stage: { type: String },
+        code: { type: String },
+        message: { type: String },
+    },
+    completedAt: { type: Date },
+}, { timestamps: true });
+
+crossChainPaymentSchema.index({ userId: 1, createdAt: -1 });
+crossChainPaymentSchema.index({ creatorId: 1, createdAt: -1 });
+crossChainPaymentSchema.index({ status: 1, attestationCheckedAt: 1 });
+crossChainPaymentSchema.index({ messageHash: 1 }, { unique: true, sparse: true });
+
+/**
+ * Client-facing view, with each CCTP stage as 'done', 'in_progress', 'waiting' or 'failed'
+ * @returns {Object} - Status fields without the CCTP message and attestation
+ */
+crossChainPaymentSchema.methods.toStatus = function toStatus() {
+    const current = STAGES.findIndex(({ status }) => status === this.status);
+    const failedAt = this.status === 'failed' ? STAGES.findIndex(({ name }) => name === (this.error?.stage || 'burn')) : -1;
+    const done = this.status === 'completed' ? STAGES.length : Math.max(current, failedAt);
+
+    return {
+        id: this.id,
+        type: this.type,
+        amount: this.amount,
+        fee: this.fee,
+        netAmount: this.netAmount,
+        recipient: this.recipient,
+        creatorId: this.creatorId,
+        contentId: this.contentId,
+        sourceChain: this.sourceChain,
+        destinationChain: this.destinationChain,
+        status: this.status,
+        stages: STAGES.map(({ name }, index) => {
+            let state = 'waiting';
+            if (index < done) state = 'done';
+            else if (index === failedAt) state = 'failed';
+            else if (index === current) state = 'in_progress';
+            return { name, state, hash: this.stages?.[name]?.hash, at: this.stages?.[name]?.at };
+        }),
+        error: this.error?.code ? this.error : undefined,
+        createdAt: this.createdAt,
+        completedAt: this.completedAt,
+    };
+};
+
+const CrossChainPayment = mongoose.model('CrossChainPayment', crossChainPaymentSchema);
+
+CrossChainPayment.TYPES = PAYMENT_TYPES;
+CrossChainPayment.STATUSES = STATUSES;
+CrossChainPayment.STAGES = STAGES.map(({ name }) => name);
+
+module.exports = CrossChainPayment;
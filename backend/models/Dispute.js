@@ -0,0 +1,23 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+const DISPUTE_STATUSES = ['open', 'resolved', 'rejected'];
+
+// Ownership or licensing dispute raised against a piece of content
+const disputeSchema = new mongoose.Schema({
+    contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // User who raised it
+    reason: { type: String, required: true, minlength: 10, maxlength: 2000 },
+    status: { type: String, enum: DISPUTE_STATUSES, default: 'open' },
+    resolution: { type: String },
+    resolvedAt: { type: Date },
+}, { timestamps: true });
+
+disputeSchema.index({ contentId: 1, status: 1 });
+disputeSchema.index({ userId: 1, createdAt: -1 });
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
+Dispute.STATUSES = DISPUTE_STATUSES;
+
+module.exports = Dispute;
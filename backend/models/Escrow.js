@@ -0,0 +1,58 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+const { EVM_ADDRESS_REGEX } = require('./validators');
+
+// funding -> held -> settling -> released, or refunded when an admin arbitrates; held -> disputed while an objection is open;
+// failed if the deposit never reached KosmaPayments
+const ESCROW_STATUSES = ['funding', 'held', 'disputed', 'settling', 'released', 'refunded', 'failed'];
+
+// Statuses from which the funds can still move
+const OPEN_STATUSES = ['funding', 'held', 'disputed', 'settling'];
+
+// How an escrow is settled: releaseFunds pays the receiver, emergencyWithdraw refunds the sender
+const OUTCOMES = ['release', 'refund'];
+
+// USDC held in KosmaPayments for commissioned work until the sender releases it
+const escrowSchema = new mongoose.Schema({
+    senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Pays for the work
+    receiverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Does the work
+    receiverAddress: { type: String, required: true, match: EVM_ADDRESS_REGEX }, // Paid by releaseFunds
+    amount: { type: Number, required: true, min: 0 }, // USDC
+    description: { type: String, required: true, maxlength: 1000 },
+    releaseAfter: { type: Date, required: true }, // Released automatically from then on unless disputed
+
+    status: { type: String, enum: ESCROW_STATUSES, default: 'funding' },
+    chain: { type: String, required: true }, // Key in config.chains
+    depositor: { type: String, match: EVM_ADDRESS_REGEX }, // Operator wallet that made the deposit (the escrow's on-chain sender)
+    onChainId: { type: String }, // KosmaPayments transactionId, from the Deposit event
+    depositTx: { type: mongoose.Schema.Types.ObjectId, ref: 'TxRecord' },
+    settlementTx: { type: mongoose.Schema.Types.ObjectId, ref: 'TxRecord' }, // releaseFunds or emergencyWithdraw
+
+    objection: {
+        raisedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reason: { type: String, maxlength: 1000 },
+        raisedAt: { type: Date },
+    },
+    outcome: { type: String, enum: OUTCOMES }, // Set once the escrow starts settling
+    settlementAttempts: { type: Number, default: 0 }, // Releases and refunds started, one settle job each
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Sender, admin, or none for an automatic release
+    note: { type: String, maxlength: 1000 }, // Admin's comment on the arbitration
+    error: {
+        code: { type: String },
+        message: { type: String },
+    },
+    settledAt: { type: Date },
+}, { timestamps: true });
+
+escrowSchema.index({ senderId: 1, createdAt: -1 });
+escrowSchema.index({ receiverId: 1, createdAt: -1 });
+escrowSchema.index({ status: 1, releaseAfter: 1 });
+escrowSchema.index({ chain: 1, onChainId: 1 }, { unique: true, sparse: true });
+
+const Escrow = mongoose.model('Escrow', escrowSchema);
+
+Escrow.STATUSES = ESCROW_STATUSES;
+Escrow.OPEN_STATUSES = OPEN_STATUSES;
+Escrow.OUTCOMES = OUTCOMES;
+
+module.exports = Escrow;
@@ -0,0 +1,27 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// processing -> completed; records of requests that failed server-side are deleted so the key can be retried
+const IDEMPOTENCY_STATUSES = ['processing', 'completed'];
+
+// First response to a request sent with an Idempotency-Key, replayed to retries with the same key
+const idempotencyKeySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Keys are scoped per user
+    key: { type: String, required: true, maxlength: 255 },
+    fingerprint: { type: String, required: true }, // Hash of method, path and body; a reused key must match
+    status: { type: String, enum: IDEMPOTENCY_STATUSES, default: 'processing' },
+    response: {
+        statusCode: { type: Number },
+        body: { type: mongoose.Schema.Types.Mixed },
+    },
+    expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired keys
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+IdempotencyKey.STATUSES = IDEMPOTENCY_STATUSES;
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,56 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// Business events that move money between ledger accounts
+const ENTRY_TYPES = ['opening_balance', 'deposit', 'purchase', 'tip', 'refund', 'chargeback', 'payout_hold', 'payout', 'payout_return', 'escrow_hold', 'escrow_release', 'escrow_return', 'cross_chain_hold', 'cross_chain_payment', 'cross_chain_return'];
+
+// Operations that would change a written entry
+const MUTATING_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+const IMMUTABLE_MESSAGE = 'Journal entries are immutable; post a reversing entry instead';
+
+// One side of an entry: a signed amount in the currency's smallest unit (micro-USDC)
+const postingSchema = new mongoose.Schema({
+    account: { type: mongoose.Schema.Types.ObjectId, ref: 'LedgerAccount', required: true },
+    amount: {
+        type: Number,
+        required: true,
+        validate: { validator: (value) => Number.isSafeInteger(value) && value !== 0, message: 'Posting amounts must be non-zero integers' },
+    },
+}, { _id: false });
+
+// Immutable journal entry; its postings always sum to zero
+const journalEntrySchema = new mongoose.Schema({
+    type: { type: String, enum: ENTRY_TYPES, required: true },
+    reference: { type: String, required: true }, // e.g. Circle transaction ID; one entry per type and reference
+    currency: { type: String, default: 'USDC' },
+    postings: {
+        type: [postingSchema],
+        validate: {
+            validator: (postings) => postings.length >= 2 && postings.reduce((sum, { amount }) => sum + amount, 0) === 0,
+            message: 'An entry needs at least two postings that sum to zero',
+        },
+    },
+    memo: { type: String, maxlength: 500 },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+    reverses: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' }, // Entry undone by this one (refunds, chargebacks)
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+journalEntrySchema.index({ type: 1, reference: 1 }, { unique: true });
+journalEntrySchema.index({ 'postings.account': 1, createdAt: -1 });
+journalEntrySchema.index({ reverses: 1 }, { sparse: true });
+
+// Entries are written once and never changed or removed
+journalEntrySchema.pre('save', function preventUpdate(next) {
+    next(this.isNew ? undefined : new Error(IMMUTABLE_MESSAGE));
+});
+MUTATING_QUERIES.forEach((operation) => {
+    journalEntrySchema.pre(operation, { document: false, query: true }, (next) => next(new Error(IMMUTABLE_MESSAGE)));
+});
+journalEntrySchema.pre('deleteOne', { document: true, query: false }, (next) => next(new Error(IMMUTABLE_MESSAGE)));
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+
+JournalEntry.TYPES = ENTRY_TYPES;
+
+module.exports = JournalEntry;
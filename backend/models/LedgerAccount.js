@@ -0,0 +1,26 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// user: a fan's spendable funds; creator: a creator's earnings; platform_fees, escrow,
+// payouts_pending (earnings set aside for requested payouts) and cross_chain_pending (payments
+// on their way to another chain) are held by the platform; external accounts mirror money
+// outside the ledger (e.g. USDC held at Circle)
+const ACCOUNT_TYPES = ['user', 'creator', 'platform_fees', 'escrow', 'payouts_pending', 'cross_chain_pending', 'external'];
+
+// Account in the internal double-entry ledger; its balance is the sum of its journal postings
+const ledgerAccountSchema = new mongoose.Schema({
+    type: { type: String, enum: ACCOUNT_TYPES, required: true },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // user and creator accounts
+    name: { type: String, default: 'main' }, // Tells system accounts of one type apart (e.g. external 'circle')
+    currency: { type: String, default: 'USDC' },
+    allowNegative: { type: Boolean, default: false }, // Only external accounts may go below zero
+    sequence: { type: Number, default: 0 }, // Bumped by every posting so concurrent postings to the account conflict
+}, { timestamps: true });
+
+ledgerAccountSchema.index({ type: 1, ownerId: 1, name: 1, currency: 1 }, { unique: true });
+
+const LedgerAccount = mongoose.model('LedgerAccount', ledgerAccountSchema);
+
+LedgerAccount.TYPES = ACCOUNT_TYPES;
+
+module.exports = LedgerAccount;
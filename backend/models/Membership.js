@@ -0,0 +1,22 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+const { EVM_ADDRESS_REGEX } = require('./validators');
+
+const MEMBERSHIP_TYPES = ['basic', 'premium', 'vip'];
+
+// Unlock Protocol membership purchased on-chain
+const membershipSchema = new mongoose.Schema({
+    walletAddress: { type: String, required: true, match: EVM_ADDRESS_REGEX },
+    membershipType: { type: String, enum: MEMBERSHIP_TYPES, required: true },
+    transactionHash: { type: String, required: true },
+    expiresAt: { type: Date },
+}, { timestamps: true });
+
+membershipSchema.index({ walletAddress: 1, membershipType: 1 });
+membershipSchema.index({ transactionHash: 1 }, { unique: true });
+
+const Membership = mongoose.model('Membership', membershipSchema);
+
+Membership.TYPES = MEMBERSHIP_TYPES;
+
+module.exports = Membership;
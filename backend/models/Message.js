@@ -0,0 +1,17 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// Encrypted cross-chain message sent through LayerZero
+const messageSchema = new mongoose.Schema({
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    recipient: { type: String, required: true }, // Address on the target chain
+    content: { type: mongoose.Schema.Types.Mixed, required: true }, // Encrypted payload
+    targetChain: { type: String, required: true },
+    transactionId: { type: String, required: true },
+}, { timestamps: true });
+
+messageSchema.index({ sender: 1, createdAt: -1 });
+messageSchema.index({ recipient: 1, createdAt: -1 });
+messageSchema.index({ transactionId: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,17 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// NFT minted from a piece of content
+const nftSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Current owner
+    contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content', required: true },
+    tokenId: { type: String, required: true },
+    chain: { type: String, enum: ['ethereum', 'polygon', 'flow'], default: 'flow' },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+}, { timestamps: true });
+
+nftSchema.index({ chain: 1, tokenId: 1 }, { unique: true });
+nftSchema.index({ userId: 1 });
+nftSchema.index({ contentId: 1 });
+
+module.exports = mongoose.model('NFT', nftSchema);
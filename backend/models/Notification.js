@@ -0,0 +1,16 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// Message for a user about something that happened to their account (e.g. a refund was approved)
+const notificationSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, required: true }, // e.g. 'refund.approved'
+    message: { type: String, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} }, // IDs and fields the client needs
+    readAt: { type: Date },
+}, { timestamps: true });
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
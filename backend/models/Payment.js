@@ -0,0 +1,35 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+const PAYMENT_TYPES = ['deposit', 'purchase', 'tip'];
+// pending -> completed or failed; a completed payment can later be refunded (in parts) or charged back
+const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'partially_refunded', 'refunded', 'chargeback'];
+
+// Record of a USDC payment processed through Circle
+const paymentSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Payer
+    creatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Payee of tips and purchases
+    contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content' }, // Purchased content
+    amount: { type: Number, required: true, min: 0 },
+    type: { type: String, enum: PAYMENT_TYPES, required: true },
+    transactionId: { type: String, required: true }, // Circle transaction ID
+    status: { type: String, enum: PAYMENT_STATUSES, default: 'pending' },
+    refundedAmount: { type: Number, default: 0, min: 0 }, // USDC returned to the payer so far
+    valuation: { // Value in the payer's currency at the rate in effect when it was paid
+        currency: String,
+        rate: Number, // 1 USDC = rate currency
+        value: Number,
+    },
+}, { timestamps: true });
+
+paymentSchema.index({ transactionId: 1 }, { unique: true });
+paymentSchema.index({ userId: 1, createdAt: -1 });
+paymentSchema.index({ creatorId: 1, createdAt: -1 });
+paymentSchema.index({ contentId: 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+Payment.TYPES = PAYMENT_TYPES;
+Payment.STATUSES = PAYMENT_STATUSES;
+
+module.exports = Payment;
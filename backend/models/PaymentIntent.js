@@ -0,0 +1,68 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+const { EVM_ADDRESS_REGEX } = require('./validators');
+
+const PAYMENT_TYPES = ['tip', 'purchase'];
+
+// pending -> executing -> executed or failed; expired when it was not signed in time;
+// executing -> held while the fraud checks wait for an admin, then executed or failed
+const STATUSES = ['pending', 'executing', 'held', 'executed', 'failed', 'expired'];
+
+// Purchase or tip the payer authorizes by signing it with their wallet as EIP-712 typed data
+// recipient, amount (micro-USDC), token, nonce and expiry are the signed fields; each nonce executes once.
+const paymentIntentSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Payer
+    creatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content' }, // Purchased content
+    type: { type: String, enum: PAYMENT_TYPES, required: true },
+    amount: { type: Number, required: true, min: 0 }, // USDC
+    currency: { type: String, uppercase: true, default: 'USD' }, // Currency to record the payment's value in
+
+    signer: { type: String, required: true, match: EVM_ADDRESS_REGEX }, // Payer's wallet, which must sign
+    recipient: { type: String, required: true, match: EVM_ADDRESS_REGEX }, // Creator's wallet
+    token: { type: String, required: true, match: EVM_ADDRESS_REGEX }, // USDC on the chain
+    chainId: { type: Number, required: true },
+    nonce: { type: String, required: true }, // uint256, in decimal
+    expiresAt: { type: Date, required: true },
+
+    status: { type: String, enum: STATUSES, default: 'pending' },
+    signature: { type: String },
+    reviewId: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentReview' }, // Review while held
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }, // Payment made once executed
+    executedAt: { type: Date },
+    error: {
+        code: { type: String },
+        message: { type: String },
+    },
+}, { timestamps: true });
+
+paymentIntentSchema.index({ nonce: 1 }, { unique: true });
+paymentIntentSchema.index({ userId: 1, createdAt: -1 });
+
+// Intent as shown to its payer
+paymentIntentSchema.methods.toStatus = function toStatus() {
+    return {
+        id: this.id,
+        type: this.type,
+        amount: this.amount,
+        creatorId: this.creatorId,
+        contentId: this.contentId,
+        signer: this.signer,
+        recipient: this.recipient,
+        chainId: this.chainId,
+        status: this.status,
+        expiresAt: this.expiresAt,
+        reviewId: this.reviewId,
+        paymentId: this.paymentId,
+        executedAt: this.executedAt,
+        error: this.error?.code ? this.error : undefined,
+        createdAt: this.createdAt,
+    };
+};
+
+const PaymentIntent = mongoose.model('PaymentIntent', paymentIntentSchema);
+
+PaymentIntent.TYPES = PAYMENT_TYPES;
+PaymentIntent.STATUSES = STATUSES;
+
+module.exports = PaymentIntent;
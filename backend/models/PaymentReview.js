@@ -0,0 +1,68 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// Where a held payment came from; each source releases it its own way (see fraudService.defineHold)
+const SOURCES = ['payment', 'intent', 'cross_chain'];
+
+// pending -> approved -> released, or failed when it cannot be paid any more; pending -> rejected.
+// blocked payments were refused outright and are kept for the record.
+const STATUSES = ['pending', 'approved', 'released', 'rejected', 'failed', 'blocked'];
+
+const paymentSchema = new mongoose.Schema({
+    type: { type: String, enum: ['tip', 'purchase'], required: true },
+    amount: { type: Number, required: true, min: 0 }, // USDC
+    recipientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content' }, // Purchased content
+}, { _id: false });
+
+const signalSchema = new mongoose.Schema({
+    rule: { type: String, required: true }, // e.g. 'accountVelocity'
+    score: { type: Number, required: true },
+    reason: { type: String, required: true },
+}, { _id: false });
+
+// Purchase or tip (or batch of tips) that the fraud rules held for review or blocked
+// Held payments are not charged until an admin approves them.
+const paymentReviewSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Payer
+    source: { type: String, enum: SOURCES, required: true },
+    payments: { type: [paymentSchema], required: true },
+    request: { type: mongoose.Schema.Types.Mixed, default: {} }, // What the source needs to make the payment
+    score: { type: Number, required: true },
+    signals: [signalSchema],
+
+    status: { type: String, enum: STATUSES, default: 'pending' },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    note: { type: String, trim: true, maxlength: 1000 }, // Reviewer's comment for the payer
+    result: { type: mongoose.Schema.Types.Mixed }, // What releasing it made, e.g. { paymentIds }
+    error: {
+        code: { type: String },
+        message: { type: String },
+    },
+}, { timestamps: true });
+
+paymentReviewSchema.index({ status: 1, createdAt: 1 });
+paymentReviewSchema.index({ userId: 1, createdAt: -1 });
+
+// Review as shown to the payer: the outcome, without the rules that fired
+paymentReviewSchema.methods.toStatus = function toStatus() {
+    return {
+        id: this.id,
+        source: this.source,
+        payments: this.payments.map(({ type, amount, recipientId, contentId }) => ({ type, amount, recipientId, contentId })),
+        status: this.status,
+        note: this.note,
+        reviewedAt: this.reviewedAt,
+        result: this.result,
+        error: this.error?.code ? this.error : undefined,
+        createdAt: this.createdAt,
+    };
+};
+
+const PaymentReview = mongoose.model('PaymentReview', paymentReviewSchema);
+
+PaymentReview.SOURCES = SOURCES;
+PaymentReview.STATUSES = STATUSES;
+
+module.exports = PaymentReview;
@@ -0,0 +1,48 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+const { EVM_ADDRESS_REGEX } = require('./validators');
+
+// requested -> processing when a payout run sends it -> paid, or failed (funds back in earnings);
+// requested -> on_hold while a dispute over the creator's content is open; cancelled by the creator before it is sent
+const PAYOUT_STATUSES = ['requested', 'on_hold', 'processing', 'paid', 'failed', 'cancelled'];
+
+// Statuses a payout run picks payouts up from, and the creator can still cancel from
+const QUEUED_STATUSES = ['requested', 'on_hold'];
+
+// Withdrawal of a creator's earnings to an address, sent by Circle in the next payout run
+// Amounts are USDC; amount = fee + netAmount and is set aside in the ledger from the request on.
+const payoutSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Withdrawing creator
+    amount: { type: Number, required: true, min: 0 }, // Taken from earnings
+    fee: { type: Number, required: true, min: 0 }, // Platform and network fees
+    netAmount: { type: Number, required: true, min: 0 }, // Sent to the address
+    address: { type: String, required: true, match: EVM_ADDRESS_REGEX },
+    chain: { type: String, required: true }, // Circle blockchain code (key in config.payouts.networkFees)
+
+    status: { type: String, enum: PAYOUT_STATUSES, default: 'requested' },
+    runId: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutRun' }, // Run that sent it
+    transferId: { type: String }, // Circle transfer ID
+    hash: { type: String }, // On-chain transaction, once Circle reports it
+    hold: {
+        reason: { type: String },
+        disputeIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Dispute' }],
+        since: { type: Date },
+    },
+    error: {
+        code: { type: String },
+        message: { type: String },
+    },
+    paidAt: { type: Date },
+}, { timestamps: true });
+
+payoutSchema.index({ userId: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: 1 });
+payoutSchema.index({ runId: 1 });
+payoutSchema.index({ transferId: 1 }, { unique: true, sparse: true });
+
+const Payout = mongoose.model('Payout', payoutSchema);
+
+Payout.STATUSES = PAYOUT_STATUSES;
+Payout.QUEUED_STATUSES = QUEUED_STATUSES;
+
+module.exports = Payout;
@@ -0,0 +1,15 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// One batch of requested payouts handed to Circle, periodically or by an admin
+const payoutRunSchema = new mongoose.Schema({
+    startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Admin, or none for a scheduled run
+    sent: { type: Number, default: 0 }, // Payouts queued for transfer
+    held: { type: Number, default: 0 }, // Payouts kept back by an open dispute
+    amount: { type: Number, default: 0 }, // USDC taken from earnings by the payouts sent, fees included
+    fees: { type: Number, default: 0 },
+}, { timestamps: true });
+
+payoutRunSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('PayoutRun', payoutRunSchema);
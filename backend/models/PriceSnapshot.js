@@ -0,0 +1,15 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// USD price of a crypto asset or fiat currency as fetched at one time
+// Every symbol fetched together shares the same `at`, so cross rates pair up by time.
+const priceSnapshotSchema = new mongoose.Schema({
+    symbol: { type: String, required: true, uppercase: true }, // e.g. ETH, USDC, EUR
+    usd: { type: Number, required: true, min: 0 }, // USD per unit
+    source: { type: String, required: true }, // Price source that quoted it
+    at: { type: Date, required: true },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+priceSnapshotSchema.index({ symbol: 1, at: -1 });
+
+module.exports = mongoose.model('PriceSnapshot', priceSnapshotSchema);
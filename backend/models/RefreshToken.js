@@ -0,0 +1,34 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// Why a session's tokens stopped working
+const REVOKE_REASONS = ['logout', 'logout_all', 'reuse', 'user_removed'];
+
+// Refresh token of a session, stored as a SHA-256 hash; never the token itself
+// Each refresh rotates it: the token is marked rotated and a new one joins the same family. A
+// family is one signed-in session; its ID is the `sid` claim of the session's access tokens.
+const refreshTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    family: { type: mongoose.Schema.Types.ObjectId, required: true },
+    tokenHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    rotatedAt: { type: Date }, // Exchanged for a new token; presenting it again revokes the family
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'RefreshToken' },
+    revokedAt: { type: Date },
+    revokedReason: { type: String, enum: REVOKE_REASONS },
+
+    // Device that holds the session
+    userAgent: { type: String },
+    ip: { type: String },
+}, { timestamps: true });
+
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired tokens
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+RefreshToken.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = RefreshToken;
@@ -0,0 +1,40 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// requested -> approved -> completed, or rejected; failed if Circle refused the refund
+const REFUND_STATUSES = ['requested', 'approved', 'completed', 'rejected', 'failed'];
+
+// Statuses in which a refund is still open; a payment has at most one open refund
+const OPEN_STATUSES = ['requested', 'approved'];
+
+// Buyer's request to get (part of) a purchase or tip back
+const refundSchema = new mongoose.Schema({
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true }, // Payment being refunded
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Buyer
+    creatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Approves or rejects it
+    amount: { type: Number, required: true, min: 0 }, // USDC asked for
+    approvedAmount: { type: Number, min: 0 }, // USDC granted (may be less than asked)
+    reason: { type: String, required: true, maxlength: 1000 },
+
+    status: { type: String, enum: REFUND_STATUSES, default: 'requested' },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: { type: Date },
+    note: { type: String, maxlength: 1000 }, // Creator's or admin's comment on the decision
+    transactionId: { type: String }, // Circle refund transaction ID
+    error: {
+        code: { type: String },
+        message: { type: String },
+    },
+    completedAt: { type: Date },
+}, { timestamps: true });
+
+refundSchema.index({ paymentId: 1 }, { unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } } });
+refundSchema.index({ userId: 1, createdAt: -1 });
+refundSchema.index({ creatorId: 1, status: 1, createdAt: -1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+Refund.STATUSES = REFUND_STATUSES;
+Refund.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = Refund;
@@ -0,0 +1,12 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// Royalty terms set for a piece of content
+const royaltySchema = new mongoose.Schema({
+    contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content', required: true },
+    rateBps: { type: Number, required: true, min: 1, max: 10000, validate: Number.isInteger }, // Basis points of each sale
+}, { timestamps: true });
+
+royaltySchema.index({ contentId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Royalty', royaltySchema);
@@ -0,0 +1,34 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// How the royalty was earned; a refund takes back part of an earlier one
+const EARNING_SOURCES = ['sale', 'license', 'refund'];
+
+// One recipient's share of one royalty payment, as split by services/royaltyService
+// Amounts are integers in micro-USDC, like the ledger. Refunds are recorded as earnings with
+// negative amounts that point at the earning they offset, so totals net them out.
+const royaltyEarningSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Recipient, when the address belongs to a KOSMA account
+    recipient: { type: String, required: true }, // Address (or ID) the royalty was paid to
+    source: { type: String, enum: EARNING_SOURCES, required: true },
+    reference: { type: String, required: true }, // Payment transaction hash, or refund ID for refunds
+    contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content' },
+    nftId: { type: mongoose.Schema.Types.ObjectId, ref: 'NFT' },
+    payer: { type: String }, // Buyer or licensee
+    grossAmount: { type: Number, required: true }, // Payment the royalty was taken from (negative for refunds)
+    bps: { type: Number, required: true, min: 1, max: 10000 }, // Recipient's share of it
+    amount: { type: Number, required: true }, // Paid to the recipient, rounding dust included (negative for refunds)
+    reverses: { type: mongoose.Schema.Types.ObjectId, ref: 'RoyaltyEarning' }, // Earning a refund offsets
+    earnedAt: { type: Date, required: true },
+}, { timestamps: true });
+
+royaltyEarningSchema.index({ reference: 1, recipient: 1 }, { unique: true });
+royaltyEarningSchema.index({ userId: 1, earnedAt: -1 });
+royaltyEarningSchema.index({ userId: 1, contentId: 1, earnedAt: -1 });
+royaltyEarningSchema.index({ reverses: 1 });
+
+const RoyaltyEarning = mongoose.model('RoyaltyEarning', royaltyEarningSchema);
+
+RoyaltyEarning.SOURCES = EARNING_SOURCES;
+
+module.exports = RoyaltyEarning;
@@ -0,0 +1,27 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+const { EVM_ADDRESS_REGEX } = require('./validators');
+
+// sign_in issues a session for the wallet; link adds the wallet to a signed-in user
+const PURPOSES = ['sign_in', 'link'];
+
+// Sign-In with Ethereum (EIP-4361) message handed out for a wallet to sign; each nonce is used once
+const siweNonceSchema = new mongoose.Schema({
+    nonce: { type: String, required: true },
+    purpose: { type: String, enum: PURPOSES, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Account the wallet is linked to (link)
+    address: { type: String, required: true, match: EVM_ADDRESS_REGEX }, // Wallet expected to sign
+    chainId: { type: Number, required: true },
+    message: { type: String, required: true },
+    usedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+siweNonceSchema.index({ nonce: 1 }, { unique: true });
+siweNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired nonces
+
+const SiweNonce = mongoose.model('SiweNonce', siweNonceSchema);
+
+SiweNonce.PURPOSES = PURPOSES;
+
+module.exports = SiweNonce;
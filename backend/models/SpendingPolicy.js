@@ -0,0 +1,17 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// Limits a user puts on the money leaving their account; unset limits do not apply
+const spendingPolicySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    perTransactionLimit: { type: Number, min: 0 }, // Largest single payment in USDC
+    dailyCap: { type: Number, min: 0 }, // Total purchases and tips in USDC over the last 24 hours
+    allowedRecipients: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // When set, the only creators that can be paid
+    stepUpThreshold: { type: Number, min: 0 }, // Lower than the platform's to ask for TOTP or a wallet signature sooner
+}, { timestamps: true });
+
+spendingPolicySchema.index({ userId: 1 }, { unique: true });
+
+const SpendingPolicy = mongoose.model('SpendingPolicy', spendingPolicySchema);
+
+module.exports = SpendingPolicy;
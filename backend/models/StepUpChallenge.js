@@ -0,0 +1,17 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// Message a user signs with their wallet to authorize a payment; each one can be used once
+const stepUpChallengeSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    address: { type: String, required: true }, // Wallet expected to sign
+    message: { type: String, required: true },
+    usedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+stepUpChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired challenges
+
+const StepUpChallenge = mongoose.model('StepUpChallenge', stepUpChallengeSchema);
+
+module.exports = StepUpChallenge;
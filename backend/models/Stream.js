@@ -0,0 +1,77 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// active -> stopped when the sender or receiver ends it, or insolvent when the sender ran out of funds
+const STREAM_STATUSES = ['active', 'stopped', 'insolvent'];
+
+// What the stream pays for: a fan supporting a creator, or royalties for a piece of content
+const STREAM_PURPOSES = ['payment', 'royalty'];
+
+const WEI_REGEX = /^\d+$/;
+
+// Superfluid constant flow opened through the backend
+// Amounts are super token wei strings: streamed so far = accrued + flowRate * seconds since rateSince.
+const streamSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Opened it; pays from their wallet
+    receiverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Paid user, when the receiver is a KOSMA account
+    purpose: { type: String, enum: STREAM_PURPOSES, default: 'payment' },
+    contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content' }, // Royalty streams
+
+    streamId: { type: String, required: true }, // Superfluid adapter ID
+    sender: { type: String, required: true },
+    receiver: { type: String, required: true },
+    token: { type: String, required: true }, // Super token
+    flowRate: { type: String, required: true, match: WEI_REGEX }, // Wei per second
+
+    status: { type: String, enum: STREAM_STATUSES, default: 'active' },
+    accrued: { type: String, default: '0', match: WEI_REGEX }, // Streamed before rateSince
+    rateSince: { type: Date, required: true }, // When flowRate took effect
+    endedAt: { type: Date }, // When the flow stopped (for insolvent streams, when the funds ran out)
+    balanceCheckedAt: { type: Date },
+}, { timestamps: true });
+
+streamSchema.index({ streamId: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+streamSchema.index({ userId: 1, createdAt: -1 });
+streamSchema.index({ receiverId: 1, createdAt: -1 });
+streamSchema.index({ status: 1, sender: 1, token: 1 });
+
+/**
+ * Amount streamed up to a moment, in wei
+ * @param {Date} [at] - Moment to compute for (defaults to now; capped at the end of the flow)
+ * @returns {string} - Wei streamed
+ */
+streamSchema.methods.accruedAt = function accruedAt(at = new Date()) {
+    const end = this.endedAt && this.endedAt < at ? this.endedAt : at;
+    const seconds = Math.max(Math.floor((end - this.rateSince) / 1000), 0);
+    return String(BigInt(this.accrued) + BigInt(this.flowRate) * BigInt(seconds));
+};
+
+/**
+ * Client-facing view of the stream, with the amount streamed so far
+ * @returns {Object}
+ */
+streamSchema.methods.toStatus = function toStatus() {
+    return {
+        id: this.id,
+        purpose: this.purpose,
+        contentId: this.contentId,
+        streamId: this.streamId,
+        sender: this.sender,
+        receiver: this.receiver,
+        receiverId: this.receiverId,
+        token: this.token,
+        flowRate: this.flowRate,
+        status: this.status,
+        streamed: this.accruedAt(),
+        endedAt: this.endedAt,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt,
+    };
+};
+
+const Stream = mongoose.model('Stream', streamSchema);
+
+Stream.STATUSES = STREAM_STATUSES;
+Stream.PURPOSES = STREAM_PURPOSES;
+
+module.exports = Stream;
@@ -0,0 +1,72 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+const { EVM_ADDRESS_REGEX } = require('./validators');
+
+const TX_HASH_REGEX = /^0x[a-fA-F0-9]{64}$/;
+
+// pending -> mined -> confirmed, or failed / replaced / dropped; a reorg can move mined or confirmed back
+const TX_STATUSES = ['pending', 'mined', 'confirmed', 'failed', 'replaced', 'dropped'];
+
+// Outcomes from which the transaction will not confirm
+const TERMINAL_STATUSES = ['failed', 'replaced', 'dropped'];
+
+// On-chain transaction submitted by the backend, followed by the transaction watcher
+const txRecordSchema = new mongoose.Schema({
+    chain: { type: String, required: true }, // Key in config.chains (e.g. 'polygon')
+    hash: { type: String, required: true, match: TX_HASH_REGEX },
+    from: { type: String, required: true, match: EVM_ADDRESS_REGEX },
+    to: { type: String, match: EVM_ADDRESS_REGEX },
+    nonce: { type: Number, required: true, min: 0 },
+    kind: { type: String, required: true }, // Operation that sent it, e.g. 'membership.purchase'
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // User who requested it
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} }, // Data needed once it settles
+
+    status: { type: String, enum: TX_STATUSES, default: 'pending' },
+    requiredConfirmations: { type: Number, required: true, min: 1 },
+    confirmations: { type: Number, default: 0, min: 0 },
+    blockNumber: { type: Number },
+    blockHash: { type: String },
+    reorgs: { type: Number, default: 0 }, // Times the transaction left the block it was seen in
+    replacedBy: { type: String, match: TX_HASH_REGEX },
+    error: {
+        code: { type: String },
+        message: { type: String },
+    },
+
+    finalized: { type: Boolean, default: false }, // Deep enough that the watcher stops re-checking
+    lastCheckedAt: { type: Date },
+    minedAt: { type: Date },
+    confirmedAt: { type: Date },
+}, { timestamps: true });
+
+txRecordSchema.index({ chain: 1, hash: 1 }, { unique: true });
+txRecordSchema.index({ finalized: 1, lastCheckedAt: 1 });
+txRecordSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Client-facing view of the record
+ * @returns {Object} - Status fields without internal metadata
+ */
+txRecordSchema.methods.toStatus = function toStatus() {
+    return {
+        id: this.id,
+        chain: this.chain,
+        hash: this.hash,
+        kind: this.kind,
+        status: this.status,
+        confirmations: this.confirmations,
+        requiredConfirmations: this.requiredConfirmations,
+        blockNumber: this.blockNumber,
+        replacedBy: this.replacedBy,
+        error: this.error?.code ? this.error : undefined,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt,
+    };
+};
+
+const TxRecord = mongoose.model('TxRecord', txRecordSchema);
+
+TxRecord.STATUSES = TX_STATUSES;
+TxRecord.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
+module.exports = TxRecord;
@@ -0,0 +1,94 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+const { CHAIN_ADDRESS_REGEX, EMAIL_REGEX, EVM_ADDRESS_REGEX } = require('./validators');
+
+// Version written by this schema. Each migration that changes user documents raises it:
+// 2 by migrations/001-unify-user-schema.js, 3 by migrations/004-wallet-sign-in.js
+const USER_SCHEMA_VERSION = 3;
+
+const ROLES = ['user', 'content_creator', 'admin'];
+
+// Wallet the user proved they own by signing a Sign-In with Ethereum message
+const walletSchema = new mongoose.Schema({
+    address: { type: String, required: true, match: EVM_ADDRESS_REGEX }, // EIP-55 checksummed
+    chainId: { type: Number, required: true }, // Chain the message was signed for
+    linkedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Accounts created by Sign-In with Ethereum have no email or password until the user adds them
+function hasNoWallet() {
+    return !this.wallets || this.wallets.length === 0;
+}
+
+// Unified user model (authentication, registration, profile and 2FA)
+const userSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true, trim: true, minlength: 3, maxlength: 50 },
+    email: { type: String, required: hasNoWallet, lowercase: true, trim: true, match: EMAIL_REGEX },
+    password: { type: String, required: hasNoWallet }, // bcrypt hash, never the plain password
+    wallets: { type: [walletSchema], default: [] },
+    blockchainAddress: {
+        type: String,
+        required: true,
+        match: CHAIN_ADDRESS_REGEX,
+        alias: 'walletAddress', // Older code paths read user.walletAddress
+    },
+    role: { type: String, enum: ROLES, default: 'user' },
+
+    // Email verification
+    emailVerified: { type: Boolean, default: false },
+    verificationToken: { type: String },
+
+    // Account recovery and two-factor authentication
+    securityQuestion: { type: String },
+    securityAnswer: { type: String },
+    twoFactorSecret: { type: String },
+    twoFactorPendingSecret: { type: String }, // Set up but not yet confirmed with a code
+    twoFactorLastStep: { type: Number }, // TOTP time step of the last code accepted; each code works once
+
+    // Profile
+    bio: { type: String, maxlength: 500 },
+    profilePicture: { type: String },
+    ledgerConnected: { type: Boolean, default: false },
+
+    schemaVersion: { type: Number, default: USER_SCHEMA_VERSION },
+}, { timestamps: true });
+
+userSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+userSchema.index({ 'wallets.address': 1 }, { unique: true, partialFilterExpression: { 'wallets.address': { $exists: true } } });
+userSchema.index({ blockchainAddress: 1 });
+userSchema.index({ verificationToken: 1 }, { sparse: true });
+userSchema.index({ role: 1 });
+
+/**
+ * Wallet the user proved they own, the only kind that can sign for the account
+ * blockchainAddress alone proves nothing: for password accounts the server generated it and kept no key.
+ * @param {string} [address] - Wallet to look for; defaults to blockchainAddress if linked, else the first linked wallet
+ * @returns {Object|null} - Linked wallet { address, chainId, linkedAt }, or null
+ */
+userSchema.methods.linkedWallet = function linkedWallet(address) {
+    const find = (candidate) => (candidate
+        ? this.wallets.find((wallet) => wallet.address.toLowerCase() === String(candidate).toLowerCase())
+        : undefined);
+    if (address) return find(address) || null;
+    return find(this.blockchainAddress) || this.wallets[0] || null;
+};
+
+// Never leak credentials when a user is serialised into an API response
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.securityAnswer;
+        delete ret.twoFactorSecret;
+        delete ret.twoFactorPendingSecret;
+        delete ret.twoFactorLastStep;
+        delete ret.verificationToken;
+        return ret;
+    },
+});
+
+const User = mongoose.model('User', userSchema);
+
+User.ROLES = ROLES;
+User.SCHEMA_VERSION = USER_SCHEMA_VERSION;
+
+module.exports = User;
@@ -0,0 +1,36 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+
+// pending -> processed or ignored; deferred until an earlier event for the transaction is applied;
+// failed events stay pending (with the error) so a redelivery or an admin replay runs them again
+const WEBHOOK_STATUSES = ['pending', 'deferred', 'processed', 'ignored'];
+
+// Notification received from a payment provider, stored before it is applied
+const webhookEventSchema = new mongoose.Schema({
+    provider: { type: String, required: true, default: 'circle' },
+    eventId: { type: String, required: true }, // Provider's event ID; deliveries of the same event share it
+    type: { type: String, required: true }, // e.g. 'payment_completed'
+    transactionId: { type: String }, // Provider transaction the event is about; events are applied in order per transaction
+    occurredAt: { type: Date, required: true }, // When the provider created the event
+    payload: { type: mongoose.Schema.Types.Mixed, required: true }, // Event body as received
+
+    status: { type: String, enum: WEBHOOK_STATUSES, default: 'pending' },
+    outcome: { type: String }, // Why the event was deferred or ignored
+    attempts: { type: Number, default: 0, min: 0 },
+    deliveries: { type: Number, default: 1, min: 1 }, // Times the provider sent it
+    error: {
+        code: { type: String },
+        message: { type: String },
+    },
+    processedAt: { type: Date },
+}, { timestamps: true });
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ provider: 1, transactionId: 1, occurredAt: 1 });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+WebhookEvent.STATUSES = WEBHOOK_STATUSES;
+
+module.exports = WebhookEvent;
@@ -0,0 +1,12 @@
+// Import necessary libraries
+const mongoose = require('mongoose');
+const { CHAIN_ADDRESS_REGEX } = require('./validators');
+
+// Addresses allowed to take part in validated blockchain interactions
+const whitelistSchema = new mongoose.Schema({
+    address: { type: String, required: true, unique: true, match: CHAIN_ADDRESS_REGEX },
+    label: { type: String, trim: true },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Whitelist', whitelistSchema);
@@ -0,0 +1,33 @@
+// Single entry point for every Mongoose model used by the routes and services
+module.exports = {
+    User: require('./User'),
+    Content: require('./Content'),
+    NFT: require('./NFT'),
+    Payment: require('./Payment'),
+    Royalty: require('./Royalty'),
+    Dispute: require('./Dispute'),
+    Message: require('./Message'),
+    Attestation: require('./Attestation'),
+    Membership: require('./Membership'),
+    Whitelist: require('./Whitelist'),
+    TxRecord: require('./TxRecord'),
+    IdempotencyKey: require('./IdempotencyKey'),
+    LedgerAccount: require('./LedgerAccount'),
+    JournalEntry: require('./JournalEntry'),
+    WebhookEvent: require('./WebhookEvent'),
+    Refund: require('./Refund'),
+    Notification: require('./Notification'),
+    Escrow: require('./Escrow'),
+    Stream: require('./Stream'),
+    RoyaltyEarning: require('./RoyaltyEarning'),
+    Payout: require('./Payout'),
+    PayoutRun: require('./PayoutRun'),
+    PriceSnapshot: require('./PriceSnapshot'),
+    CrossChainPayment: require('./CrossChainPayment'),
+    SpendingPolicy: require('./SpendingPolicy'),
+    StepUpChallenge: require('./StepUpChallenge'),
+    PaymentIntent: require('./PaymentIntent'),
+    PaymentReview: require('./PaymentReview'),
+    SiweNonce: require('./SiweNonce'),
+    RefreshToken: require('./RefreshToken'),
+};
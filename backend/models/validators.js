@@ -0,0 +1,15 @@
+// Shared field validators for the Mongoose schemas
+
+// EVM (Ethereum / Polygon) address, e.g. 0xAbC...123
+const EVM_ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/;
+
+// Any supported on-chain address: EVM (20 bytes) or Flow (8 bytes)
+const CHAIN_ADDRESS_REGEX = /^0x([a-fA-F0-9]{40}|[a-fA-F0-9]{16})$/;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+module.exports = {
+    EVM_ADDRESS_REGEX,
+    CHAIN_ADDRESS_REGEX,
+    EMAIL_REGEX,
+};
@@ -0,0 +1,265 @@
+// Import necessary libraries and modules
+const express = require('express');
+const signerPool = require('../services/signerPool'); // Nonce-managed operator wallets
+const jobQueue = require('../services/jobQueue'); // Background jobs with retries
+const webhookService = require('../services/webhookService'); // Stored Circle webhook events
+const escrowService = require('../services/escrowService'); // Escrows held in KosmaPayments
+const payoutService = require('../services/payoutService'); // Creator withdrawals
+const fraudService = require('../services/fraudService'); // Payments held or blocked by the fraud rules
+const { authenticateUser, authorizeRoles } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin whose session is still signed in
+router.use(authenticateUser, authorizeRoles('admin'));
+
+/**
+ * Operator Signers
+ * Queue depth and next nonce of each operator wallet in use, per chain.
+ * @route GET /admin/signers
+ */
+router.get('/signers', (req, res) => {
+    res.json({ signers: signerPool.stats() });
+});
+
+/**
+ * List Jobs
+ * Dead-lettered jobs by default; pass a state to inspect the live queue.
+ * @route GET /admin/jobs
+ * @param {string} [state] - waiting, active, delayed, completed, failed or dead
+ * @param {string} [name] - Job type (e.g. 'attestation.create')
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/jobs', async (req, res, next) => {
+    const { state, name } = req.query;
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const jobs = await jobQueue.list({ state, name, start, limit });
+        res.json({ jobs });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Retry Job
+ * Requeues a failed or dead-lettered job; steps it already completed are not repeated.
+ * @route POST /admin/jobs/:id/retry
+ * @param {string} id - Job id
+ */
+router.post('/jobs/:id/retry', async (req, res, next) => {
+    try {
+        const job = await jobQueue.retry(req.params.id);
+        res.json({ message: 'Job requeued', job });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Cancel Job
+ * Removes a job that has not started yet, or a failed or dead-lettered one.
+ * @route DELETE /admin/jobs/:id
+ * @param {string} id - Job id
+ */
+router.delete('/jobs/:id', async (req, res, next) => {
+    try {
+        const job = await jobQueue.cancel(req.params.id);
+        res.json({ message: 'Job cancelled', job });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List Webhook Events
+ * Stored Circle events, newest first; filter by status to find deferred or failing ones.
+ * @route GET /admin/webhooks
+ * @param {string} [status] - pending, deferred, processed or ignored
+ * @param {string} [type] - Event type (e.g. 'payment_refunded')
+ * @param {string} [transactionId] - Circle transaction ID
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/webhooks', async (req, res, next) => {
+    const { status, type, transactionId } = req.query;
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const events = await webhookService.list({ status, type, transactionId, start, limit });
+        res.json({ events });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Replay Webhook Event
+ * Applies a stored event again, together with any open events of the same transaction.
+ * Events that were already applied are ignored, so replaying is always safe.
+ * @route POST /admin/webhooks/:id/replay
+ * @param {string} id - Webhook event id
+ */
+router.post('/webhooks/:id/replay', async (req, res, next) => {
+    try {
+        const event = await webhookService.replay(req.params.id);
+        res.json({ message: 'Webhook event replayed', event });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List Escrows
+ * All escrows, newest first; filter by status to find disputed ones.
+ * @route GET /admin/escrows
+ * @param {string} [status] - funding, held, disputed, settling, released, refunded or failed
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/escrows', async (req, res, next) => {
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const escrows = await escrowService.list({ status: req.query.status, start, limit });
+        res.json({ escrows });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Resolve Escrow
+ * Arbitrates a held or disputed escrow: 'release' pays the receiver through releaseFunds,
+ * 'refund' returns the funds to the sender's balance through emergencyWithdraw.
+ * @route POST /admin/escrows/:id/resolve
+ * @param {string} id - Escrow id
+ * @param {string} outcome - 'release' or 'refund'
+ * @param {string} [note] - Comment for both parties
+ */
+router.post('/escrows/:id/resolve', async (req, res, next) => {
+    const { outcome, note } = req.body;
+
+    try {
+        const { escrow, job } = await escrowService.resolveEscrow(req.user, req.params.id, { outcome, note });
+        res.status(202).location(`/api/v1/jobs/${job.id}`).json({ message: 'Escrow resolution started', escrow, job });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List Payouts
+ * All creator payouts, newest first; filter by status to find held or failed ones.
+ * @route GET /admin/payouts
+ * @param {string} [status] - requested, on_hold, processing, paid, failed or cancelled
+ * @param {string} [userId] - Creator
+ * @param {string} [runId] - Payout run
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/payouts', async (req, res, next) => {
+    const { status, userId, runId } = req.query;
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const payouts = await payoutService.list({ status, userId, runId, start, limit });
+        res.json({ payouts });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List Payout Runs
+ * @route GET /admin/payouts/runs
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/payouts/runs', async (req, res, next) => {
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const runs = await payoutService.listRuns({ start, limit });
+        res.json({ runs });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Start Payout Run
+ * Sends requested payouts now instead of waiting for the scheduled run; payouts of creators
+ * with an open content dispute stay on hold.
+ * @route POST /admin/payouts/runs
+ */
+router.post('/payouts/runs', async (req, res, next) => {
+    try {
+        const run = await payoutService.startPayoutRun({ startedBy: req.user.userId || req.user.id });
+        res.status(201).json({ message: 'Payout run started', run });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Payment Review Queue
+ * Payments the fraud rules held or blocked, with the score and the rules that fired. Pending
+ * reviews are listed oldest first, the rest newest first.
+ * @route GET /admin/payment-reviews
+ * @param {string} [status] - pending, approved, released, rejected, failed or blocked
+ * @param {string} [userId] - Payer
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/payment-reviews', async (req, res, next) => {
+    const { status, userId } = req.query;
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const reviews = await fraudService.listReviews({ status, userId, start, limit });
+        res.json({ reviews });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Approve Held Payment
+ * Queues a 'payment.release' job that charges the payment as it was first asked for.
+ * @route POST /admin/payment-reviews/:id/approve
+ * @param {string} [note] - Comment for the payer
+ */
+router.post('/payment-reviews/:id/approve', async (req, res, next) => {
+    try {
+        const { review, job } = await fraudService.approveReview(req.user, req.params.id, { note: req.body.note });
+        res.status(202).location(`/api/v1/jobs/${job.id}`).json({ message: 'Payment release started', review, job });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Reject Held Payment
+ * The payment is never charged; a held payment intent is marked failed.
+ * @route POST /admin/payment-reviews/:id/reject
+ * @param {string} [note] - Comment for the payer
+ */
+router.post('/payment-reviews/:id/reject', async (req, res, next) => {
+    try {
+        const review = await fraudService.rejectReview(req.user, req.params.id, { note: req.body.note });
+        res.json({ message: 'Payment rejected', review });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,73 +1,57 @@
 // Import necessary libraries and modules
 const express = require('express');
-const SignProtocol = require('./SignProtocol'); // Sign Protocol for attestations
-const LitProtocol = require('./LitProtocol'); // Lit Protocol for encryption
-const { authenticateUser } = require('./middleware/auth'); // Middleware for user authentication
-const AccessControl = require('./middleware/accessControl'); // Middleware for access control
-const Attestation = require('./models/Attestation'); // MongoDB model for attestations
-const { ReentrancyGuard } = require('./middleware/reentrancyGuard'); // Middleware to prevent reentrancy
+const { SignProtocol } = require('../adapters'); // Sign Protocol for attestation verification
+const attestService = require('../services/attestService'); // Attestation jobs
+const { authenticateUser } = require('../middlewares/authMiddleware'); // Middleware for user authentication
+const AccessControl = require('../middlewares/accessControl'); // Middleware for access control
+const Attestation = require('../models/Attestation'); // MongoDB model for attestations
+const { ReentrancyGuard } = require('../middlewares/reentrancyGuard'); // Middleware to prevent reentrancy
+const { NotFoundError, ValidationError } = require('../errors');
 
 const router = express.Router();
 
+// Answer 202 with the queued job; clients poll its Location until it completes
+function acceptJob(res, message, job) {
+    res.status(202).location(`/api/v1/jobs/${job.id}`).json({ message, job });
+}
+
 /**
  * Create Attestation
+ * Queued as an 'attestation.create' job; the job result holds the attestationId.
  * @route POST /attestation/create
  * @param {string} contentId - ID of the content for which the attestation is created
  * @param {string} userId - User ID of the content creator
  */
-router.post('/create', authenticateUser, AccessControl.isContentCreator, ReentrancyGuard, async (req, res) => {
+router.post('/create', authenticateUser, AccessControl.isContentCreator, ReentrancyGuard, async (req, res, next) => {
     const { contentId } = req.body;
 
     try {
-        // Create attestation using Sign Protocol
-        const attestationData = await SignProtocol.createAttestation(req.user.id, contentId);
-
-        // Save attestation in the database
-        const newAttestation = new Attestation({
-            userId: req.user.id,
-            contentId,
-            attestationData,
-            createdAt: new Date(),
-        });
-        await newAttestation.save();
-
-        res.status(201).json({ message: 'Attestation created successfully', attestation: newAttestation });
+        const job = await attestService.queueAttestation(req.user.userId || req.user.id, contentId);
+        acceptJob(res, 'Attestation queued', job);
     } catch (error) {
-        console.error('Error creating attestation:', error);
-        res.status(500).json({ message: 'Error creating attestation', error: error.message });
+        next(error);
     }
 });
 
 /**
  * Create Encrypted Attestation
+ * Queued as an 'attestation.create' job; the details are encrypted with Lit Protocol by the job.
  * @route POST /attestation/encrypted
  * @param {string} contentId - ID of the content for which the attestation is created
  * @param {object} attestationDetails - Details of the attestation
  */
-router.post('/encrypted', authenticateUser, AccessControl.isContentCreator, ReentrancyGuard, async (req, res) => {
+router.post('/encrypted', authenticateUser, AccessControl.isContentCreator, ReentrancyGuard, async (req, res, next) => {
     const { contentId, attestationDetails } = req.body;
 
     try {
-        // Encrypt attestation details using Lit Protocol
-        const encryptedAttestation = await LitProtocol.encrypt(attestationDetails);
-
-        // Create attestation using Sign Protocol
-        const attestationData = await SignProtocol.createAttestation(req.user.id, contentId, encryptedAttestation);
-
-        // Save encrypted attestation in the database
-        const newAttestation = new Attestation({
-            userId: req.user.id,
-            contentId,
-            attestationData,
-            encrypted: true,
-            createdAt: new Date(),
-        });
-        await newAttestation.save();
+        if (attestationDetails === undefined) {
+            throw new ValidationError('attestationDetails is required');
+        }
 
-        res.status(201).json({ message: 'Encrypted attestation created successfully', attestation: newAttestation });
+        const job = await attestService.queueAttestation(req.user.userId || req.user.id, contentId, attestationDetails);
+        acceptJob(res, 'Encrypted attestation queued', job);
     } catch (error) {
-        console.error('Error creating encrypted attestation:', error);
-        res.status(500).json({ message: 'Error creating encrypted attestation', error: error.message });
+        next(error);
     }
 });
 
@@ -76,14 +60,14 @@ router.post('/encrypted', authenticateUser, AccessControl.isContentCreator, Reen
  * @route POST /attestation/verify
  * @param {string} attestationId - ID of the attestation to verify
  */
-router.post('/verify', async (req, res) => {
+router.post('/verify', async (req, res, next) => {
     const { attestationId } = req.body;
 
     try {
         // Fetch attestation details
         const attestation = await Attestation.findById(attestationId);
         if (!attestation) {
-            return res.status(404).json({ message: 'Attestation not found' });
+            throw new NotFoundError('Attestation not found');
         }
 
         // Verify attestation using Sign Protocol
@@ -91,8 +75,7 @@ router.post('/verify', async (req, res) => {
 
         res.json({ message: 'Attestation verification status', valid: isValid });
     } catch (error) {
-        console.error('Error verifying attestation:', error);
-        res.status(500).json({ message: 'Error verifying attestation', error: error.message });
+        next(error);
     }
 });
 
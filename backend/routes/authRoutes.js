@@ -1,61 +1,43 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { ethers } = require('ethers');
-const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const axios = require('axios');
 const rateLimit = require('express-rate-limit');
 const speakeasy = require('speakeasy'); // For 2FA
 const qrcode = require('qrcode'); // For QR code generation
+const config = require('../config'); // Validated application configuration
+const authService = require('../services/authService'); // Access tokens and Sign-In with Ethereum
+const { AuthenticationError, ConflictError, ValidationError } = require('../errors');
+const { rateLimitExceeded, rejectInvalid } = require('../middlewares/errorHandler');
+const { authenticateUser } = require('../middlewares/authMiddleware');
 
 // Create a router
 const router = express.Router();
 
-// MongoDB User model
-const User = mongoose.model('User', new mongoose.Schema({
-    username: { type: String, required: true, unique: true },
-    email: { type: String, required: true, unique: true },
-    password: { type: String, required: true },
-    blockchainAddress: { type: String, required: true },
-    securityQuestion: { type: String, required: true },  // New field for security question
-    securityAnswer: { type: String, required: true },    // New field for security answer
-    twoFactorSecret: { type: String },                   // New field for 2FA secret
-}));
-
-// Middleware for JWT authentication
-const authenticateJWT = (req, res, next) => {
-    const token = req.header('Authorization')?.split(' ')[1];
-    if (token) {
-        jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-            if (err) return res.sendStatus(403);
-            req.user = user;
-            next();
-        });
-    } else {
-        res.sendStatus(401);
-    }
-};
-
-// Error-handling middleware
-function errorHandler(err, req, res, next) {
-    console.error(err.stack); // Log error for debugging
-    res.status(500).json({
-        message: "An internal server error occurred.",
-        error: process.env.NODE_ENV === 'development' ? err.message : {}
-    });
-}
+// Shared MongoDB User model
+const User = require('../models/User');
 
 // Rate limiting for login route
 const loginLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 5, // Limit each IP to 5 login attempts per window
-    message: 'Too many login attempts, please try again later.'
+    handler: rateLimitExceeded('Too many login attempts, please try again later.')
 });
 
+// Rate limiting for refresh tokens; clients refresh every few minutes, attackers guess
+const refreshLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60, // Limit each IP to 60 refreshes per window
+    handler: rateLimitExceeded('Too many token refreshes, please try again later.')
+});
+
+// Device a session is started or refreshed from
+const deviceOf = (req) => ({ userAgent: req.get('User-Agent'), ip: req.ip });
+
 // CAPTCHA verification function
 const verifyCaptcha = async (token) => {
-    const secretKey = process.env.RECAPTCHA_SECRET;
+    const secretKey = config.recaptcha.secret;
     const response = await axios.post(`https://www.google.com/recaptcha/api/siteverify`, null, {
         params: {
             secret: secretKey,
@@ -80,17 +62,8 @@ router.post('/register', [
     body('securityAnswer').isString().notEmpty().withMessage('Security answer is required'),
     body('captchaToken').notEmpty().withMessage('CAPTCHA verification is required'),
     body('agreeTerms').equals('true').withMessage('You must agree to the Terms of Service and Privacy Policy'),
-], async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({
-            message: 'Validation errors occurred',
-            errors: errors.array().map(error => ({
-                field: error.param,
-                message: error.msg
-            }))
-        });
-    }
+], async (req, res, next) => {
+    if (rejectInvalid(validationResult(req), next)) return;
 
     const { username, email, password, securityQuestion, securityAnswer, captchaToken } = req.body;
 
@@ -98,13 +71,13 @@ router.post('/register', [
         // Verify CAPTCHA
         const captchaVerified = await verifyCaptcha(captchaToken);
         if (!captchaVerified) {
-            return res.status(400).json({ message: 'Please verify that you are not a robot.' });
+            throw new ValidationError('Please verify that you are not a robot.', { details: [{ field: 'captchaToken', message: 'CAPTCHA verification failed' }] });
         }
 
         // Pre-check for existing username or email
         const existingUser = await User.findOne({ $or: [{ username }, { email }] });
         if (existingUser) {
-            return res.status(400).json({ message: 'The username or email you entered is already in use. Please try again with a different one.' });
+            throw new ConflictError('The username or email you entered is already in use. Please try again with a different one.');
         }
 
         // Hash the password
@@ -132,51 +105,163 @@ router.post('/register', [
 });
 
 /**
- * Authenticates a user using email and password,
- * returning a JWT if successful.
+ * Authenticates a user using email and password, returning a short-lived JWT
+ * and a refresh token for POST /refresh-token if successful.
  *
  * @route POST /login
  */
 router.post('/login', loginLimiter, [
     body('email').isEmail().withMessage('Please enter a valid email'),
     body('password').notEmpty().withMessage('Password is required'),
-], async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-    }
+], async (req, res, next) => {
+    if (rejectInvalid(validationResult(req), next)) return;
 
     const { email, password } = req.body;
 
     try {
         const user = await User.findOne({ email });
-        if (!user) return res.status(401).json({ message: 'Invalid credentials' });
+        if (!user || !user.password) throw new AuthenticationError('Invalid credentials');
 
         // Verify password
         const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(401).json({ message: 'Invalid credentials' });
+        if (!isMatch) throw new AuthenticationError('Invalid credentials');
 
-        // Generate JWT token
-        const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
-        
-        res.json({ token });
+        // Start a session: access token plus refresh token
+        const { token, refreshToken } = await authService.startSession(user, deviceOf(req));
+        res.json({ token, refreshToken });
     } catch (error) {
         next(error); // Pass error to the error handler
     }
 });
 
 /**
- * Logs out the user by invalidating the JWT on the client side.
- * 
+ * Sign-In with Ethereum message (EIP-4361) for a wallet to sign
+ * The message is bound to the site's domain, the chain and a single-use nonce.
+ *
+ * @route GET /siwe/nonce
+ * @param {string} address - Wallet signing in
+ * @param {number|string} [chainId] - Chain ID or config key (defaults to the default chain)
+ */
+router.get('/siwe/nonce', async (req, res, next) => {
+    try {
+        const { message, nonce, expiresAt } = await authService.createSignInMessage({ address: req.query.address, chainId: req.query.chainId });
+        res.json({ message, nonce, expiresAt });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Signs in with a signed Sign-In with Ethereum message, returning the same tokens as /login
+ * A wallet that is not linked to an account gets a new wallet-only account (201).
+ *
+ * @route POST /siwe/verify
+ * @param {string} message - Message from GET /siwe/nonce, unchanged
+ * @param {string} signature - personal_sign signature of the message
+ */
+router.post('/siwe/verify', loginLimiter, [
+    body('message').isString().notEmpty().withMessage('Message is required'),
+    body('signature').isString().notEmpty().withMessage('Signature is required'),
+], async (req, res, next) => {
+    if (rejectInvalid(validationResult(req), next)) return;
+
+    try {
+        const { token, refreshToken, user, created } = await authService.signIn({ message: req.body.message, signature: req.body.signature }, deviceOf(req));
+        res.status(created ? 201 : 200).json({ token, refreshToken, user, created });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Sign-In with Ethereum message for linking another wallet to the signed-in account
+ *
+ * @route GET /wallets/nonce
+ * @param {string} address - Wallet to link
+ * @param {number|string} [chainId] - Chain ID or config key (defaults to the default chain)
+ */
+router.get('/wallets/nonce', authenticateUser, async (req, res, next) => {
+    try {
+        const { message, nonce, expiresAt } = await authService.createLinkMessage(req.user, { address: req.query.address, chainId: req.query.chainId });
+        res.json({ message, nonce, expiresAt });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Links a wallet to the signed-in account; the wallet can then sign in to it
+ *
+ * @route POST /wallets
+ * @param {string} message - Message from GET /wallets/nonce, unchanged
+ * @param {string} signature - personal_sign signature of the message
+ * @param {boolean} [primary] - Also make it the account's blockchainAddress
+ */
+router.post('/wallets', authenticateUser, [
+    body('message').isString().notEmpty().withMessage('Message is required'),
+    body('signature').isString().notEmpty().withMessage('Signature is required'),
+    body('primary').optional().isBoolean().withMessage('Primary must be a boolean'),
+], async (req, res, next) => {
+    if (rejectInvalid(validationResult(req), next)) return;
+
+    try {
+        const { message, signature, primary } = req.body;
+        const user = await authService.linkWallet(req.user, { message, signature, primary: primary === true || primary === 'true' });
+        res.json({ message: 'Wallet linked', wallets: user.wallets, blockchainAddress: user.blockchainAddress });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * Each refresh token works once; presenting a used one again logs the whole session out.
+ *
+ * @route POST /refresh-token
+ * @param {string} refreshToken - Refresh token from /login or the previous refresh
+ */
+router.post('/refresh-token', refreshLimiter, [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+], async (req, res, next) => {
+    if (rejectInvalid(validationResult(req), next)) return;
+
+    try {
+        const { token, refreshToken } = await authService.refreshSession(req.body.refreshToken, deviceOf(req));
+        res.json({ token, refreshToken });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Logs out the session of the access token (or of the refresh token, when sent).
+ * Its refresh and access tokens stop working at once.
+ *
  * @route POST /logout
+ * @param {string} [refreshToken] - Refresh token of the session
  */
-router.post('/logout', authenticateJWT, (req, res) => {
-    // In JWT, since it's stateless, "logout" is handled by the client removing the token.
-    res.json({ message: 'Logged out successfully' });
+router.post('/logout', authenticateUser, async (req, res, next) => {
+    try {
+        await authService.logout(req.user, req.body?.refreshToken);
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        next(error);
+    }
 });
 
-// Error-handling middleware for catching and returning errors
-router.use(errorHandler);
+/**
+ * Logs the user out on every device.
+ *
+ * @route POST /logout-all
+ */
+router.post('/logout-all', authenticateUser, async (req, res, next) => {
+    try {
+        const sessions = await authService.logoutAll(req.user);
+        res.json({ message: 'Logged out on all devices', sessions });
+    } catch (error) {
+        next(error);
+    }
+});
 
 // Export the router
 module.exports = router;
@@ -1,13 +1,16 @@
 // Import necessary libraries and modules
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const Content = require('./models/Content'); // MongoDB model for content metadata
-const SignProtocol = require('./SignProtocol'); // Import Sign Protocol for ownership verification
-const StoryProtocol = require('./StoryProtocol'); // Import Story Protocol for content metadata and licensing
-const { encryptMetadata } = require('./encryption'); // Import encryption utility
+const Content = require('../models/Content'); // MongoDB model for content metadata
+const { SignProtocol, StoryProtocol } = require('../adapters'); // Sign Protocol for ownership verification, Story Protocol for licensing
+const { encryptMetadata } = require('../utils/encryption'); // Import encryption utility
+const { authenticateUser } = require('../middlewares/authMiddleware'); // Middleware for user authentication
 const rateLimit = require('express-rate-limit');
 const redis = require('redis');
-const client = redis.createClient();
+const config = require('../config'); // Validated application configuration
+const { NotFoundError, NotOwnerError } = require('../errors');
+const { rateLimitExceeded, rejectInvalid } = require('../middlewares/errorHandler');
+const client = redis.createClient({ url: config.redis.url });
 
 const router = express.Router();
 
@@ -15,7 +18,7 @@ const router = express.Router();
 const createContentLimiter = rateLimit({
     windowMs: 10 * 60 * 1000, // 10 minutes
     max: 100, // limit each IP to 100 requests per window
-    message: 'Too many content creation requests, please try again later.'
+    handler: rateLimitExceeded('Too many content creation requests, please try again later.')
 });
 
 // Validation middleware
@@ -25,11 +28,7 @@ const validateContentCreation = [
     body('owner').isString().notEmpty().withMessage('Owner address is required'),
     body('metadata').isObject().withMessage('Metadata should be an object'),
     (req, res, next) => {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
-        }
-        next();
+        if (!rejectInvalid(validationResult(req), next)) next();
     }
 ];
 
@@ -38,11 +37,11 @@ const verifyOwnership = async (req, res, next) => {
     try {
         const content = await Content.findById(req.params.id);
         if (!content) {
-            return res.status(404).json({ message: 'Content not found' });
+            throw new NotFoundError('Content not found');
         }
         const isOwner = await SignProtocol.verifyOwnership(content.owner, req.user.address);
         if (!isOwner) {
-            return res.status(403).json({ message: 'Not authorized to modify this content' });
+            throw new NotOwnerError('Not authorized to modify this content');
         }
         req.content = content;  // Store content in request object for further use
         next();
@@ -51,17 +50,8 @@ const verifyOwnership = async (req, res, next) => {
     }
 };
 
-// Error handling middleware
-const errorHandler = (err, req, res, next) => {
-    console.error(err.stack);
-    res.status(err.status || 500).json({
-        message: err.message || 'Internal Server Error',
-        error: process.env.NODE_ENV === 'production' ? {} : err
-    });
-};
-
 // Create new content
-router.post('/v1/content/create', createContentLimiter, validateContentCreation, async (req, res, next) => {
+router.post('/create', createContentLimiter, validateContentCreation, async (req, res, next) => {
     const { title, description, owner, metadata } = req.body;
 
     try {
@@ -85,7 +75,7 @@ router.post('/v1/content/create', createContentLimiter, validateContentCreation,
 });
 
 // Update existing content
-router.put('/v1/content/update/:id', verifyOwnership, async (req, res, next) => {
+router.put('/update/:id', authenticateUser, verifyOwnership, async (req, res, next) => {
     const { title, description, metadata } = req.body;
 
     try {
@@ -106,13 +96,13 @@ router.put('/v1/content/update/:id', verifyOwnership, async (req, res, next) =>
 });
 
 // Delete content
-router.delete('/v1/content/delete/:id', verifyOwnership, async (req, res, next) => {
+router.delete('/delete/:id', authenticateUser, verifyOwnership, async (req, res, next) => {
     try {
         const content = req.content;
 
         // Revoke licensing using Story Protocol
         try {
-            await StoryProtocol.revokeLicense(content.id); // Assuming revokeLicense is implemented
+            await StoryProtocol.revokeLicense(content.id);
         } catch (error) {
             console.error('Failed to revoke license:', error); // Log error if revocation fails
         }
@@ -126,7 +116,7 @@ router.delete('/v1/content/delete/:id', verifyOwnership, async (req, res, next)
 });
 
 // Fetch content with caching and pagination
-router.get('/v1/content/fetch', async (req, res, next) => {
+router.get('/fetch', async (req, res, next) => {
     const { tag, category, page = 1, limit = 10 } = req.query;
     const cacheKey = `content:${tag || ''}:${category || ''}:${page}:${limit}`;
 
@@ -155,7 +145,4 @@ router.get('/v1/content/fetch', async (req, res, next) => {
     });
 });
 
-// Use the error handler middleware
-router.use(errorHandler);
-
 module.exports = router;
@@ -0,0 +1,97 @@
+// Import necessary libraries and modules
+const express = require('express');
+const escrowService = require('../services/escrowService'); // Escrows held in KosmaPayments
+const { authenticateUser } = require('../middlewares/authMiddleware'); // Middleware for user authentication
+const { idempotent } = require('../middlewares/idempotency'); // Replays the first response to retried requests
+
+const router = express.Router();
+
+/**
+ * Create Escrow
+ * Takes the amount from the sender's balance and deposits it in KosmaPayments as a background
+ * job; the escrow is 'held' once the deposit confirms on chain.
+ * @route POST /escrows
+ * @param {string} receiverId - User who does the work
+ * @param {number} amount - USDC to hold
+ * @param {string} description - What the funds pay for
+ * @param {string} [releaseAfter] - ISO date of the automatic release
+ */
+router.post('/', authenticateUser, idempotent, async (req, res, next) => {
+    const { receiverId, amount, description, releaseAfter } = req.body;
+
+    try {
+        const { escrow, job } = await escrowService.createEscrow(req.user, { receiverId, amount, description, releaseAfter });
+        res.status(202).location(`/api/v1/jobs/${job.id}`).json({ message: 'Escrow created', escrow, job });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List Escrows
+ * Escrows the user pays into, or with as=receiver the ones that pay them.
+ * @route GET /escrows
+ * @param {string} [as] - 'sender' (default) or 'receiver'
+ * @param {string} [status] - funding, held, disputed, settling, released, refunded or failed
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/', authenticateUser, async (req, res, next) => {
+    const { as, status } = req.query;
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const escrows = await escrowService.listForUser(req.user, { as, status, start, limit });
+        res.json({ escrows });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Escrow Status
+ * @route GET /escrows/:id
+ * @param {string} id - Escrow id
+ */
+router.get('/:id', authenticateUser, async (req, res, next) => {
+    try {
+        const escrow = await escrowService.getForUser(req.user, req.params.id);
+        res.json({ escrow });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Release Escrow
+ * Sender only. Pays the receiver through releaseFunds as a background job.
+ * @route POST /escrows/:id/release
+ * @param {string} id - Escrow id
+ */
+router.post('/:id/release', authenticateUser, idempotent, async (req, res, next) => {
+    try {
+        const { escrow, job } = await escrowService.releaseEscrow(req.user, req.params.id);
+        res.status(202).location(`/api/v1/jobs/${job.id}`).json({ message: 'Escrow release started', escrow, job });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Object to Escrow
+ * Sender or receiver. Stops the automatic release until an admin arbitrates.
+ * @route POST /escrows/:id/objection
+ * @param {string} id - Escrow id
+ * @param {string} reason - What is wrong
+ */
+router.post('/:id/objection', authenticateUser, async (req, res, next) => {
+    try {
+        const escrow = await escrowService.objectToEscrow(req.user, req.params.id, { reason: req.body.reason });
+        res.json({ message: 'Objection raised', escrow });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
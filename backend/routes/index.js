@@ -0,0 +1,47 @@
+// Import necessary libraries and modules
+const express = require('express');
+const authRoutes = require('./authRoutes');
+const registrationRoutes = require('./registrationRoutes');
+const contentRoutes = require('./contentRoutes');
+const nftRoutes = require('./nftRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const storyRoutes = require('./storyRoutes');
+const omnichainRoutes = require('./omnichainRoutes');
+const membershipRoutes = require('./membershipRoutes');
+const attestRoutes = require('./attestRoutes');
+const transactionRoutes = require('./transactionRoutes');
+const jobRoutes = require('./jobRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const escrowRoutes = require('./escrowRoutes');
+const royaltyRoutes = require('./royaltyRoutes');
+const payoutRoutes = require('./payoutRoutes');
+const priceRoutes = require('./priceRoutes');
+const adminRoutes = require('./adminRoutes');
+
+const router = express.Router();
+
+/**
+ * API version segment, mounted by app.js as /api/<version>
+ */
+router.version = 'v1';
+
+// Mount points match the base paths used by the frontend services
+router.use('/auth', authRoutes);
+router.use('/registration', registrationRoutes);
+router.use('/content', contentRoutes);
+router.use('/nft', nftRoutes);
+router.use('/payment', paymentRoutes);
+router.use('/story', storyRoutes);
+router.use('/omnichain', omnichainRoutes);
+router.use('/membership', membershipRoutes);
+router.use('/attest', attestRoutes);
+router.use('/transactions', transactionRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/escrows', escrowRoutes);
+router.use('/royalty', royaltyRoutes);
+router.use('/payouts', payoutRoutes);
+router.use('/prices', priceRoutes);
+router.use('/admin', adminRoutes);
+
+module.exports = router;
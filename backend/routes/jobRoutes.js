@@ -0,0 +1,24 @@
+// Import necessary libraries and modules
+const express = require('express');
+const jobQueue = require('../services/jobQueue'); // Background jobs with retries
+const { authenticateUser } = require('../middlewares/authMiddleware'); // Middleware for user authentication
+
+const router = express.Router();
+
+/**
+ * Job Status
+ * Routes that queue background work answer 202 with a job; clients poll here until the state
+ * is 'completed' (see `result`) or 'dead' (see `error`).
+ * @route GET /jobs/:id
+ * @param {string} id - Job id returned by the queueing route
+ */
+router.get('/:id', authenticateUser, async (req, res, next) => {
+    try {
+        const job = await jobQueue.getForUser(req.params.id, req.user);
+        res.json({ job });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -2,21 +2,31 @@
 
 const express = require('express');
 const router = express.Router();
-const { ethers } = require('ethers');
 const Membership = require('../models/Membership'); // Assuming Mongoose model for Membership
-const { validateToken, validateWalletOwnership } = require('../middleware/authMiddleware');
+const membershipService = require('../services/membershipService');
+const txTracker = require('../services/txTracker'); // Follows submitted transactions to confirmation
+const signerPool = require('../services/signerPool'); // Nonce-managed operator wallets
+const chainRegistry = require('../services/chainRegistry'); // Contracts per chain
+const { authenticateUser, validateWalletOwnership } = require('../middlewares/authMiddleware');
 const rateLimit = require('express-rate-limit');
 const Joi = require('joi');
-const logger = require('../utils/logger');
+const { NotFoundError, wrapError } = require('../errors');
+const { rateLimitExceeded } = require('../middlewares/errorHandler');
+const config = require('../config');
 const Redis = require('ioredis');
 
-const redis = new Redis(); // Assuming Redis is running and connected for caching
+const redis = new Redis(config.redis.url);
+
+// Unlock membership contract on the default chain
+const chain = chainRegistry.resolveChain(config.blockchain.defaultChain);
+const gasLimit = chain.gasLimit || config.blockchain.gasLimit;
+const unlockMemberships = (signer) => chainRegistry.getContract(chain.chainId, 'unlockMemberships', signer);
 
 // Rate Limiting
 const standardRateLimiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: "Too many requests from this IP, please try again later.",
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.max,
+  handler: rateLimitExceeded('Too many requests from this IP, please try again later.'),
 });
 
 // Validation Schema
@@ -25,94 +35,74 @@ const purchaseSchema = Joi.object({
   membershipType: Joi.string().valid('basic', 'premium', 'vip').required()
 });
 
+// Respond 202 with the tracked transaction; clients poll GET /transactions/:id
+const acceptTransaction = (res, message, record) =>
+  res.status(202).location(`/api/v1/transactions/${record.id}`).json({ message, transaction: record.toStatus() });
+
 // Membership Purchase Route
-router.post('/purchase', validateToken, validateWalletOwnership, standardRateLimiter, async (req, res) => {
+// The Membership document is saved by membershipService once the transaction confirms
+router.post('/purchase', authenticateUser, validateWalletOwnership, standardRateLimiter, async (req, res, next) => {
   const { error } = purchaseSchema.validate(req.body);
   if (error) {
-    return res.status(400).json({ error: error.details[0].message });
+    return next(error); // Reported as VALIDATION_FAILED
   }
 
   const { walletAddress, membershipType } = req.body;
 
   try {
-    // Caching mechanism
-    const cacheKey = `membership-${walletAddress}-${membershipType}`;
-    const cachedMembership = await redis.get(cacheKey);
-
-    if (cachedMembership) {
-      return res.status(200).json({ message: 'Membership information retrieved from cache.', data: JSON.parse(cachedMembership) });
-    }
-
     // Assume there's a smart contract interaction here using ethers.js
-    const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL);
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-    const membershipContract = new ethers.Contract(process.env.UNLOCK_CONTRACT_ADDRESS, UnlockMembershipABI, wallet);
+    const membershipContract = unlockMemberships(signerPool.acquire(chain.chainId));
 
     // Purchase Membership on Blockchain
     const txn = await membershipContract.purchaseMembership(walletAddress, membershipType, {
-      gasLimit: parseInt(process.env.GAS_LIMIT) || 500000,
+      gasLimit,
     });
 
-    // Wait for the transaction to be mined
-    const receipt = await txn.wait();
-
-    if (receipt.status === 1) {
-      // Save to DB and Cache
-      const membership = new Membership({
-        walletAddress,
-        membershipType,
-        transactionHash: receipt.transactionHash,
-      });
-
-      await membership.save();
-      await redis.setex(cacheKey, 3600, JSON.stringify(membership)); // Cache for 1 hour
+    const record = await txTracker.submit(txn, {
+      kind: 'membership.purchase',
+      userId: req.user.userId || req.user.id,
+      metadata: { walletAddress, membershipType },
+    });
 
-      res.status(201).json({ message: 'Membership purchased successfully', data: membership });
-    } else {
-      throw new Error('Transaction failed');
-    }
+    acceptTransaction(res, 'Membership purchase submitted', record);
   } catch (error) {
-    logger.error('Error purchasing membership:', error);
-    res.status(500).json({ error: 'Error occurred while purchasing membership.' });
+    next(wrapError(error, 'Error occurred while purchasing membership.'));
   }
 });
 
 // Subscription Management Routes
 // Renew Membership
-router.post('/renew', validateToken, standardRateLimiter, async (req, res) => {
+router.post('/renew', authenticateUser, standardRateLimiter, async (req, res, next) => {
   const { walletAddress, membershipType } = req.body;
   
   try {
     const membership = await Membership.findOne({ walletAddress, membershipType });
 
     if (!membership) {
-      return res.status(404).json({ error: 'Membership not found.' });
+      throw new NotFoundError('Membership not found.');
     }
 
     // Blockchain renewal logic here
-    const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL);
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-    const membershipContract = new ethers.Contract(process.env.UNLOCK_CONTRACT_ADDRESS, UnlockMembershipABI, wallet);
+    const membershipContract = unlockMemberships(signerPool.acquire(chain.chainId));
 
     const txn = await membershipContract.renewMembership(walletAddress, {
-      gasLimit: parseInt(process.env.GAS_LIMIT) || 500000,
+      gasLimit,
     });
 
-    const receipt = await txn.wait();
+    const record = await txTracker.submit(txn, {
+      kind: 'membership.renew',
+      userId: req.user.userId || req.user.id,
+      metadata: { walletAddress, membershipType },
+    });
 
-    if (receipt.status === 1) {
-      res.status(200).json({ message: 'Membership renewed successfully.' });
-    } else {
-      throw new Error('Transaction failed');
-    }
+    acceptTransaction(res, 'Membership renewal submitted', record);
   } catch (error) {
-    logger.error('Error renewing membership:', error);
-    res.status(500).json({ error: 'Error occurred while renewing membership.' });
+    next(wrapError(error, 'Error occurred while renewing membership.'));
   }
 });
 
 // Verify Membership Route
-router.get('/verify/:walletAddress/:membershipType', validateToken, standardRateLimiter, async (req, res) => {
+router.get('/verify/:walletAddress/:membershipType', authenticateUser, standardRateLimiter, async (req, res, next) => {
   const { walletAddress, membershipType } = req.params;
 
   try {
@@ -125,8 +115,7 @@ router.get('/verify/:walletAddress/:membershipType', validateToken, standardRate
     }
 
     // Blockchain verification logic
-    const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL);
-    const membershipContract = new ethers.Contract(process.env.UNLOCK_CONTRACT_ADDRESS, UnlockMembershipABI, provider);
+    const membershipContract = unlockMemberships();
 
     const isMember = await membershipContract.isMember(walletAddress, membershipType);
 
@@ -134,13 +123,24 @@ router.get('/verify/:walletAddress/:membershipType', validateToken, standardRate
 
     res.status(200).json({ walletAddress, membershipType, isMember });
   } catch (error) {
-    logger.error('Error verifying membership:', error);
-    res.status(500).json({ error: 'Error occurred while verifying membership.' });
+    next(wrapError(error, 'Error occurred while verifying membership.'));
+  }
+});
+
+// Verify Access to Premium Content
+router.get('/access/:walletAddress/:contentId', authenticateUser, standardRateLimiter, async (req, res, next) => {
+  const { walletAddress, contentId } = req.params;
+
+  try {
+    const hasAccess = await membershipService.verifyAccess(walletAddress, contentId);
+    res.status(200).json({ walletAddress, contentId, hasAccess });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Pagination for Memberships
-router.get('/memberships', validateToken, async (req, res) => {
+router.get('/memberships', authenticateUser, async (req, res, next) => {
   const { page = 1, limit = 10 } = req.query;
 
   try {
@@ -156,15 +156,8 @@ router.get('/memberships', validateToken, async (req, res) => {
       currentPage: page,
     });
   } catch (error) {
-    logger.error('Error fetching memberships:', error);
-    res.status(500).json({ error: 'Error occurred while fetching memberships.' });
+    next(error);
   }
 });
 
-// Global Error Handler Middleware
-router.use((err, req, res, next) => {
-  logger.error(err.message);
-  res.status(err.statusCode || 500).json({ error: err.message || 'Internal Server Error' });
-});
-
 module.exports = router;
@@ -1,12 +1,14 @@
 // Import necessary libraries and modules
 const express = require('express');
-const FlowNFT = require('./FlowNFT'); // Flow Blockchain SDK for NFT minting
-const StoryProtocol = require('./StoryProtocol'); // Story Protocol for NFT licensing
-const LayerZeroMessaging = require('./LayerZeroMessaging'); // LayerZero for cross-chain transfers
-const SignProtocol = require('./SignProtocol'); // Sign Protocol for ownership verification
-const NFT = require('./models/NFT'); // MongoDB model for NFTs
-const { authenticateUser } = require('./middleware/auth'); // Middleware for user authentication
+const { FlowNFT, StoryProtocol, LayerZero, SignProtocol } = require('../adapters'); // Flow minting, Story licensing, LayerZero transfers, Sign ownership
+const NFT = require('../models/NFT'); // MongoDB model for NFTs
+const royaltyService = require('../services/royaltyService'); // Basis-point royalty splits
+const nftService = require('../services/nftService'); // Royalty payments through Story Protocol
+const { toUnits, fromUnits } = require('../services/ledgerService'); // USDC <-> ledger units
+const { authenticateUser } = require('../middlewares/authMiddleware'); // Middleware for user authentication
 const rateLimit = require('express-rate-limit'); // Rate limiter for security
+const { NotFoundError, NotOwnerError } = require('../errors');
+const { rateLimitExceeded } = require('../middlewares/errorHandler');
 
 const router = express.Router();
 
@@ -14,7 +16,7 @@ const router = express.Router();
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // Limit each IP to 100 requests per windowMs
-    message: 'Too many requests, please try again later.',
+    handler: rateLimitExceeded('Too many requests, please try again later.'),
 });
 
 router.use(apiLimiter);
@@ -26,18 +28,18 @@ router.use(apiLimiter);
  * @param {string} contentId - ID of the content to mint as NFT
  * @param {object} metadata - Metadata for the NFT
  */
-router.post('/mint', authenticateUser, async (req, res) => {
+router.post('/mint', authenticateUser, async (req, res, next) => {
     const { userId, contentId, metadata } = req.body;
 
     try {
         // Verify ownership using Sign Protocol
         const isOwner = await SignProtocol.verifyOwnership(userId, contentId);
         if (!isOwner) {
-            return res.status(403).json({ message: 'Not authorized to mint this content as NFT' });
+            throw new NotOwnerError('Not authorized to mint this content as NFT');
         }
 
         // Mint NFT on Flow Blockchain
-        const nftData = await FlowNFT.mint(userId, contentId, metadata);
+        const nftData = await FlowNFT.mint({ owner: userId, contentId, metadata });
         
         // Save NFT details in the database
         const newNFT = new NFT({
@@ -51,8 +53,7 @@ router.post('/mint', authenticateUser, async (req, res) => {
 
         res.status(201).json({ message: 'NFT minted successfully', nft: newNFT });
     } catch (error) {
-        console.error('Error minting NFT:', error);
-        res.status(500).json({ message: 'Error minting NFT', error: error.message });
+        next(error);
     }
 });
 
@@ -60,25 +61,45 @@ router.post('/mint', authenticateUser, async (req, res) => {
  * License NFT
  * @route POST /nft/license
  * @param {string} nftId - ID of the NFT to license
- * @param {object} licenseData - Licensing details
+ * @param {object} licenseData - Licensing details, with royalty `recipients` and their `shares` of each sale in basis points,
+ * and the USDC `fee` the licensee pays now, if any, which is split and paid like a sale
  */
-router.post('/license', authenticateUser, async (req, res) => {
-    const { nftId, licenseData } = req.body;
+router.post('/license', authenticateUser, async (req, res, next) => {
+    const { nftId, licenseData = {} } = req.body;
 
     try {
         // Fetch NFT details
         const nft = await NFT.findById(nftId);
         if (!nft) {
-            return res.status(404).json({ message: 'NFT not found' });
+            throw new NotFoundError('NFT not found');
         }
 
+        const { fee, ...terms } = licenseData;
+        const split = royaltyService.validateSplit(terms.recipients, terms.shares);
+        const breakdown = fee === undefined ? null : royaltyService.splitPayment(toUnits(fee), split, { seller: String(nft.userId) });
+
         // License NFT using Story Protocol
-        await StoryProtocol.licenseNFT(nft.tokenId, licenseData);
+        await StoryProtocol.licenseNFT(nft.tokenId, {
+            ...terms,
+            recipients: split.map(({ recipient }) => recipient),
+            shares: split.map(({ bps }) => bps),
+        });
 
-        res.json({ message: 'NFT licensed successfully' });
+        if (!breakdown) {
+            return res.json({ message: 'NFT licensed successfully' });
+        }
+
+        // The license fee goes to the recipients just registered
+        await nftService.payRoyalties(nft.tokenId, breakdown, {
+            source: 'license',
+            contentId: nft.contentId,
+            nftId: nft._id,
+            payer: req.user.userId || req.user.id,
+        });
+
+        res.json({ message: 'NFT licensed successfully', royalties: royaltyService.convertBreakdown(breakdown, fromUnits) });
     } catch (error) {
-        console.error('Error licensing NFT:', error);
-        res.status(500).json({ message: 'Error licensing NFT', error: error.message });
+        next(error);
     }
 });
 
@@ -87,37 +108,38 @@ router.post('/license', authenticateUser, async (req, res) => {
  * @route POST /nft/transfer
  * @param {string} nftId - ID of the NFT to transfer
  * @param {string} toAddress - Address to transfer the NFT to
+ * @param {string} [targetChain] - Destination chain (defaults to the NFT's chain)
  */
-router.post('/transfer', authenticateUser, async (req, res) => {
-    const { nftId, toAddress } = req.body;
+router.post('/transfer', authenticateUser, async (req, res, next) => {
+    const { nftId, toAddress, targetChain } = req.body;
 
     try {
         // Fetch NFT details
         const nft = await NFT.findById(nftId);
         if (!nft) {
-            return res.status(404).json({ message: 'NFT not found' });
+            throw new NotFoundError('NFT not found');
         }
 
         // Verify ownership using Sign Protocol
         const isOwner = await SignProtocol.verifyOwnership(nft.userId, nft.tokenId);
         if (!isOwner) {
-            return res.status(403).json({ message: 'Not authorized to transfer this NFT' });
+            throw new NotOwnerError('Not authorized to transfer this NFT');
         }
 
-        // Transfer NFT using LayerZeroMessaging for cross-chain transfer
-        await LayerZeroMessaging.transfer(nft.tokenId, toAddress);
+        // Transfer NFT using LayerZero for cross-chain transfer
+        const transaction = await LayerZero.transferNFT(nft.tokenId, toAddress, targetChain || nft.chain);
 
-        res.json({ message: 'NFT transferred successfully' });
+        res.json({ message: 'NFT transferred successfully', transaction });
     } catch (error) {
-        console.error('Error transferring NFT:', error);
-        res.status(500).json({ message: 'Error transferring NFT', error: error.message });
+        next(error);
     }
 });
 
 /**
  * Enforce Royalties during Sale
  * Middleware to enforce royalties for each sale transaction
- * Uses Story Protocol to check and apply royalties.
+ * Splits the sale price with the royalty engine and pays the token's recipients through Story
+ * Protocol; the breakdown is left in res.locals.royalties.
  */
 const enforceRoyalties = async (req, res, next) => {
     const { nftId, salePrice } = req.body;
@@ -125,22 +147,28 @@ const enforceRoyalties = async (req, res, next) => {
     try {
         const nft = await NFT.findById(nftId);
         if (!nft) {
-            return res.status(404).json({ message: 'NFT not found' });
+            throw new NotFoundError('NFT not found');
         }
 
         // Check royalty details via Story Protocol
         const royalties = await StoryProtocol.getRoyaltyDetails(nft.tokenId);
-        if (royalties) {
-            const royaltyAmount = (salePrice * royalties.rate) / 100;
-
-            // Deduct royalty from sale and transfer to creator
-            await StoryProtocol.enforceRoyaltyPayment(nft.userId, royaltyAmount);
-        }
+        const split = royalties
+            ? royaltyService.validateSplit(royalties.recipients.map(({ address }) => address), royalties.recipients.map(({ share }) => share))
+            : [];
+        const breakdown = royaltyService.splitPayment(toUnits(salePrice), split, { seller: String(nft.userId) });
+
+        // The contract pays each recipient their share of what is left after the platform fee and returns the rest
+        await nftService.payRoyalties(nft.tokenId, breakdown, {
+            source: 'sale',
+            contentId: nft.contentId,
+            nftId: nft._id,
+            payer: req.body.buyerId,
+        });
 
+        res.locals.royalties = royaltyService.convertBreakdown(breakdown, fromUnits);
         next();
     } catch (error) {
-        console.error('Error enforcing royalties:', error);
-        res.status(500).json({ message: 'Error enforcing royalties', error: error.message });
+        next(error);
     }
 };
 
@@ -151,7 +179,7 @@ const enforceRoyalties = async (req, res, next) => {
  * @param {number} salePrice - Sale price of the NFT
  * @param {string} buyerId - User ID of the buyer
  */
-router.post('/sale', authenticateUser, enforceRoyalties, async (req, res) => {
+router.post('/sale', authenticateUser, enforceRoyalties, async (req, res, next) => {
     const { nftId, salePrice, buyerId } = req.body;
 
     try {
@@ -161,10 +189,9 @@ router.post('/sale', authenticateUser, enforceRoyalties, async (req, res) => {
         // Record the sale transaction
         // (You can integrate other blockchain sales handling logic here)
 
-        res.json({ message: 'NFT sold successfully', nft });
+        res.json({ message: 'NFT sold successfully', nft, royalties: res.locals.royalties });
     } catch (error) {
-        console.error('Error processing sale:', error);
-        res.status(500).json({ message: 'Error processing sale', error: error.message });
+        next(error);
     }
 });
 
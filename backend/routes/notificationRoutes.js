@@ -0,0 +1,75 @@
+// Import necessary libraries and modules
+const express = require('express');
+const notificationService = require('../services/notificationService'); // Stored and pushed user notifications
+const { authenticateUser } = require('../middlewares/authMiddleware'); // Middleware for user authentication
+
+const router = express.Router();
+
+// Comment sent on idle streams so proxies do not close them
+const HEARTBEAT_MS = 25000;
+
+/**
+ * List Notifications
+ * @route GET /notifications
+ * @param {boolean} [unread] - Only unread notifications
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/', authenticateUser, async (req, res, next) => {
+    const unread = req.query.unread === 'true';
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const notifications = await notificationService.list(req.user.userId || req.user.id, { unread, start, limit });
+        res.json({ notifications });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Notification Stream
+ * Server-sent events: each new notification arrives as a 'notification' event.
+ * Fetch GET /notifications after reconnecting to catch up on anything missed.
+ * @route GET /notifications/stream
+ */
+router.get('/stream', authenticateUser, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    // res.flush pushes the event through the compression middleware
+    const write = (chunk) => {
+        res.write(chunk);
+        if (res.flush) res.flush();
+    };
+    const unsubscribe = notificationService.subscribe(req.user.userId || req.user.id, (notification) => {
+        write(`event: notification\ndata: ${JSON.stringify(notification)}\n\n`);
+    });
+    const heartbeat = setInterval(() => write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+/**
+ * Mark Notification Read
+ * @route POST /notifications/:id/read
+ * @param {string} id - Notification id
+ */
+router.post('/:id/read', authenticateUser, async (req, res, next) => {
+    try {
+        const notification = await notificationService.markRead(req.user.userId || req.user.id, req.params.id);
+        res.json({ notification });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
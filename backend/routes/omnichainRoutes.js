@@ -1,12 +1,14 @@
 // Import necessary libraries and modules
 const express = require('express');
-const LayerZero = require('./LayerZero'); // LayerZero V2 for cross-chain messaging and asset transfer
-const { encryptMessage, decryptMessage } = require('./encryption'); // Encryption utility with Lit Protocol
-const { authenticateUser } = require('./middleware/auth'); // Middleware for user authentication
-const Message = require('./models/Message'); // MongoDB model for messages
-const NFT = require('./models/NFT'); // MongoDB model for NFTs
+const { LayerZero, DecentralizedOracle } = require('../adapters'); // LayerZero V2 for cross-chain messaging, oracle for data verification
+const { encryptMessage, decryptMessage } = require('../utils/encryption'); // Encryption utility with Lit Protocol
+const { authenticateUser } = require('../middlewares/authMiddleware'); // Middleware for user authentication
+const omnichainService = require('../services/omnichainService'); // Cross-chain NFT transfer jobs
+const Message = require('../models/Message'); // MongoDB model for messages
+const NFT = require('../models/NFT'); // MongoDB model for NFTs
 const rateLimit = require('express-rate-limit'); // Rate limiting for security
-const DecentralizedOracle = require('./DecentralizedOracle'); // Oracle service for data verification
+const { NotFoundError, ValidationError } = require('../errors');
+const { rateLimitExceeded } = require('../middlewares/errorHandler');
 
 const router = express.Router();
 
@@ -14,7 +16,7 @@ const router = express.Router();
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // Limit each IP to 100 requests per windowMs
-    message: 'Too many requests, please try again later.',
+    handler: rateLimitExceeded('Too many requests, please try again later.'),
 });
 
 router.use(apiLimiter);
@@ -26,17 +28,17 @@ router.use(apiLimiter);
  * @param {string} messageContent - Content of the message to send
  * @param {string} targetChain - The blockchain to send the message to
  */
-router.post('/send-message', authenticateUser, async (req, res) => {
+router.post('/send-message', authenticateUser, async (req, res, next) => {
     const { recipientAddress, messageContent, targetChain } = req.body;
 
     try {
         // Encrypt the message using Lit Protocol
-        const encryptedMessage = encryptMessage(messageContent);
+        const encryptedMessage = await encryptMessage(messageContent);
 
         // Verify the recipient address and target chain using a decentralized oracle
         const isValidRecipient = await DecentralizedOracle.verifyAddress(recipientAddress, targetChain);
         if (!isValidRecipient) {
-            return res.status(400).json({ message: 'Invalid recipient address or target chain' });
+            throw new ValidationError('Invalid recipient address or target chain');
         }
 
         // Send the message using LayerZero V2
@@ -55,41 +57,40 @@ router.post('/send-message', authenticateUser, async (req, res) => {
 
         res.status(201).json({ message: 'Message sent successfully', transaction });
     } catch (error) {
-        console.error('Error sending cross-chain message:', error);
-        res.status(500).json({ message: 'Error sending message', error: error.message });
+        next(error);
     }
 });
 
 /**
  * NFT Cross-Chain Transfer
+ * Queued as an 'nft.transfer' job; the job result holds the LayerZero transfer ID and hash.
  * @route POST /omnichain/transfer-nft
  * @param {string} nftId - ID of the NFT to transfer
  * @param {string} recipientAddress - Address to transfer the NFT to on the target blockchain
  * @param {string} targetChain - The blockchain to transfer the NFT to
  */
-router.post('/transfer-nft', authenticateUser, async (req, res) => {
+router.post('/transfer-nft', authenticateUser, async (req, res, next) => {
     const { nftId, recipientAddress, targetChain } = req.body;
 
     try {
         // Fetch NFT details from the database
         const nft = await NFT.findById(nftId);
         if (!nft) {
-            return res.status(404).json({ message: 'NFT not found' });
+            throw new NotFoundError('NFT not found');
         }
 
         // Validate recipient address and target chain using decentralized oracle services
         const isValidTransfer = await DecentralizedOracle.verifyAddress(recipientAddress, targetChain);
         if (!isValidTransfer) {
-            return res.status(400).json({ message: 'Invalid recipient address or target chain' });
+            throw new ValidationError('Invalid recipient address or target chain');
         }
 
-        // Transfer the NFT using LayerZero V2 for cross-chain interaction
-        const transaction = await LayerZero.transferNFT(nft.tokenId, recipientAddress, targetChain);
+        // Transfer the NFT using LayerZero V2 in a background job
+        const job = await omnichainService.queueNFTTransfer(req.user.userId || req.user.id, nft.tokenId, recipientAddress, targetChain);
 
-        res.status(201).json({ message: 'NFT transferred successfully', transaction });
+        res.status(202).location(`/api/v1/jobs/${job.id}`).json({ message: 'NFT transfer queued', job });
     } catch (error) {
-        console.error('Error transferring NFT cross-chain:', error);
-        res.status(500).json({ message: 'Error transferring NFT', error: error.message });
+        next(error);
     }
 });
 
@@ -98,17 +99,17 @@ router.post('/transfer-nft', authenticateUser, async (req, res) => {
  * @route POST /omnichain/receive-message
  * This endpoint is called by LayerZero V2 when a message is received.
  */
-router.post('/receive-message', async (req, res) => {
+router.post('/receive-message', async (req, res, next) => {
     const { sender, encryptedMessage, sourceChain } = req.body;
 
     try {
         // Decrypt the message using Lit Protocol
-        const decryptedMessage = decryptMessage(encryptedMessage);
+        const decryptedMessage = await decryptMessage(encryptedMessage);
 
         // Verify the sender and message using decentralized oracle services
         const isValidMessage = await DecentralizedOracle.verifyMessage(sender, sourceChain);
         if (!isValidMessage) {
-            return res.status(400).json({ message: 'Invalid message or untrusted sender' });
+            throw new ValidationError('Invalid message or untrusted sender');
         }
 
         // Handle the received message (e.g., notify the user)
@@ -116,8 +117,7 @@ router.post('/receive-message', async (req, res) => {
 
         res.status(200).json({ message: 'Message received and verified successfully' });
     } catch (error) {
-        console.error('Error receiving cross-chain message:', error);
-        res.status(500).json({ message: 'Error receiving message', error: error.message });
+        next(error);
     }
 });
 
@@ -1,124 +1,135 @@
 // Import necessary libraries and modules
 const express = require('express');
-const { Circle } = require('circle-sdk'); // Circle API for USDC payments
-const { SuperfluidSDK } = require('@superfluid-finance/sdk-core'); // Superfluid SDK for streaming payments
-const LedgerJS = require('ledger-js'); // LedgerJS for secure payment authorization
-const speakeasy = require('speakeasy'); // 2FA
-const redis = require('redis'); // Redis for caching
+const mongoose = require('mongoose');
+const { CircleAPI } = require('../adapters'); // Circle API for USDC payments
 const rateLimit = require('express-rate-limit'); // Rate limiting
-const User = require('./models/User'); // MongoDB model for users
-const Payment = require('./models/Payment'); // MongoDB model for payment records
-const { authenticateUser } = require('./middleware/auth'); // Middleware for user authentication
+const User = require('../models/User'); // MongoDB model for users
+const Payment = require('../models/Payment'); // MongoDB model for payment records
+const Content = require('../models/Content'); // MongoDB model for content
+const ledgerService = require('../services/ledgerService'); // Double-entry ledger of user funds
+const paymentService = require('../services/paymentService'); // Circle charges, refunds and payment valuations
+const refundService = require('../services/refundService'); // Refund requests and approvals
+const webhookService = require('../services/webhookService'); // Stores and applies Circle webhook events
+const streamService = require('../services/streamService'); // Registry of Superfluid streams
+const crossChainService = require('../services/crossChainService'); // Payments to creators on other chains (CCTP)
+const spendingPolicyService = require('../services/spendingPolicyService'); // Spending limits and step-up authorization
+const paymentIntentService = require('../services/paymentIntentService'); // Payments authorized by an EIP-712 wallet signature
+const fraudService = require('../services/fraudService'); // Velocity and fraud rules, review queue
+const CrossChainPayment = require('../models/CrossChainPayment'); // MongoDB model for cross-chain payments
+const { authenticateUser } = require('../middlewares/authMiddleware'); // Middleware for user authentication
+const { idempotent } = require('../middlewares/idempotency'); // Replays the first response to retried requests
+const { verifyCircleSignature } = require('../middlewares/webhookSignature'); // Authenticates Circle webhooks
+const { InsufficientFundsError, NotFoundError, ValidationError } = require('../errors');
+const { rateLimitExceeded } = require('../middlewares/errorHandler');
 
 const router = express.Router();
-const redisClient = redis.createClient();
 
 // Rate limiter to avoid API abuse
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // Limit each IP to 100 requests per window
-    message: 'Too many requests, please try again later.',
+    handler: rateLimitExceeded('Too many requests, please try again later.'),
 });
 
 // Use rate limiting for all payment routes
 router.use(apiLimiter);
 
-// Middleware to validate payment amounts
+// Routes that move money take an optional Idempotency-Key header (see middlewares/idempotency.js)
+// so a retried or double-submitted request is charged once.
+
+// Middleware to validate payment amounts: a positive USDC amount with at most 6 decimals, stored as a number
 const validateAmount = (req, res, next) => {
-    const { amount } = req.body;
-    if (amount <= 0) {
-        return res.status(400).json({ message: 'Invalid amount' });
+    try {
+        req.body.amount = ledgerService.fromUnits(ledgerService.toUnits(req.body.amount));
+    } catch (error) {
+        return next(error);
     }
     next();
 };
 
-// Check if user has sufficient balance
+// Middleware to validate a batch of tips: each one needs a creator and a valid amount
+const validateTips = (req, res, next) => {
+    const { tips } = req.body;
+    if (!Array.isArray(tips) || tips.length === 0) {
+        return next(new ValidationError('Invalid tips', { details: [{ field: 'tips', message: 'Must be a non-empty array' }] }));
+    }
+
+    const details = [];
+    req.body.tips = tips.map((tip, index) => {
+        if (!tip || !tip.creatorId) details.push({ field: `tips[${index}].creatorId`, message: 'Is required' });
+        try {
+            return { ...tip, amount: ledgerService.fromUnits(ledgerService.toUnits(tip && tip.amount)) };
+        } catch (error) {
+            details.push({ field: `tips[${index}].amount`, message: error.details[0].message });
+            return tip;
+        }
+    });
+    if (details.length > 0) return next(new ValidationError('Invalid tips', { details }));
+    next();
+};
+
+// Check if user has sufficient balance before calling Circle; the ledger checks again when the payment is posted
 const checkBalance = async (userId, amount) => {
     const user = await User.findById(userId);
     if (!user) {
-        throw new Error('User not found');
+        throw new NotFoundError('User not found');
     }
-    if (user.balance < amount) {
-        throw new Error('Insufficient funds');
+    const { available } = await ledgerService.balances(userId);
+    if (available < amount) {
+        throw new InsufficientFundsError('Insufficient funds', { details: { balance: available, required: amount } });
     }
 };
 
-// Cache transaction result for performance optimization
-const cacheTransaction = (transactionId, transactionData) => {
-    redisClient.setex(transactionId, 3600, JSON.stringify(transactionData)); // Cache for 1 hour
-};
+// User who created a piece of content (content stores the creator's blockchain address)
+const contentCreator = async (contentId) => {
+    const content = await Content.findById(contentId);
+    if (!content) throw new NotFoundError('Content not found');
 
-const getCachedTransaction = async (transactionId) => {
-    return new Promise((resolve, reject) => {
-        redisClient.get(transactionId, (err, data) => {
-            if (err) reject(err);
-            resolve(data ? JSON.parse(data) : null);
-        });
-    });
+    const creator = await User.findOne({ blockchainAddress: content.owner });
+    if (!creator) throw new NotFoundError('Content creator not found');
+    return creator;
 };
 
-// Custom error classes
-class PaymentError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'PaymentError';
-    }
-}
-
-class AuthorizationError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'AuthorizationError';
+// User tipped by a payment; users cannot tip themselves
+const tippedCreator = async (userId, creatorId, field = 'creatorId') => {
+    const creator = mongoose.isValidObjectId(creatorId) ? await User.findById(creatorId) : null;
+    if (!creator) throw new NotFoundError('Creator not found');
+    if (String(creator._id) === String(userId)) {
+        throw new ValidationError('You cannot pay yourself', { details: [{ field, message: 'You cannot pay yourself' }] });
     }
-}
-
-class InsufficientFundsError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'InsufficientFundsError';
-    }
-}
+    return creator;
+};
 
-// Rollback transaction in case of failure
-const rollbackTransaction = async (paymentRecord) => {
-    try {
-        // Reverse transaction in Circle API (if supported)
-        await Circle.reverseTransaction(paymentRecord.transactionId);
+// Answer a payment the fraud rules held: it is only charged if an admin approves it
+const heldForReview = (res, review) => res.status(202).location(`/api/v1/payment/reviews/${review.id}`).json({
+    message: 'Payment held for review',
+    review: review.toStatus(),
+});
 
-        // Update payment record to reflect failed status
-        paymentRecord.status = 'failed';
-        await paymentRecord.save();
-    } catch (err) {
-        console.error('Error rolling back transaction:', err);
-    }
-};
+// Step-up proof sent with a payment: { totp } or { challengeId, signature }; `token` is the older 2FA field
+const stepUpOf = (body) => body.stepUp || (body.token ? { totp: body.token } : undefined);
 
 /**
  * Deposit Funds
  * @route POST /payment/deposit
- * @param {string} userId - User ID
  * @param {number} amount - Amount in USDC to deposit
+ * @param {string} [currency] - Currency to record the payment's value in (defaults to USD)
  */
-router.post('/deposit', authenticateUser, validateAmount, async (req, res) => {
-    const { userId, amount } = req.body;
+router.post('/deposit', authenticateUser, idempotent, validateAmount, async (req, res, next) => {
+    const userId = req.user.userId || req.user.id;
+    const { amount, currency } = req.body;
 
     try {
-        const transactionId = await Circle.getPendingTransactionId(userId);
-
-        // Check if transaction is cached
-        const cachedTransaction = await getCachedTransaction(transactionId);
-        if (cachedTransaction) {
-            return res.json({ message: 'Transaction retrieved from cache', transaction: cachedTransaction });
-        }
+        const valuation = await paymentService.valuePayment(amount, currency);
 
         // Process deposit via Circle API
-        const transaction = await Circle.deposit(userId, amount);
-        cacheTransaction(transaction.id, transaction);
+        const transaction = await CircleAPI.deposit(userId, amount);
 
         // Record payment in the database
         const paymentRecord = new Payment({
             userId,
             amount,
+            valuation,
             type: 'deposit',
             transactionId: transaction.id,
             status: 'pending',
@@ -128,216 +139,640 @@ router.post('/deposit', authenticateUser, validateAmount, async (req, res) => {
 
         res.status(201).json({ message: 'Funds deposited successfully', transaction });
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Error depositing funds', error: error.message });
+        next(error);
     }
 });
 
 /**
  * Purchase Content
+ * Answers 202 with a review instead when the fraud rules hold the payment.
  * @route POST /payment/purchase
- * @param {string} userId - User ID
  * @param {string} contentId - Content ID
  * @param {number} amount - Amount in USDC
- * @param {string} token - 2FA token
+ * @param {Object} [stepUp] - { totp } or { challengeId, signature }, when the spending policy asks for it
+ * @param {string} [token] - 2FA token (same as stepUp.totp)
+ * @param {string} [currency] - Currency to record the payment's value in (defaults to USD)
  */
-router.post('/purchase', authenticateUser, validateAmount, async (req, res) => {
-    const { userId, contentId, amount, token } = req.body;
+router.post('/purchase', authenticateUser, idempotent, validateAmount, async (req, res, next) => {
+    const userId = req.user.userId || req.user.id;
+    const { contentId, amount, currency } = req.body;
 
     try {
         // Check balance
         await checkBalance(userId, amount);
+        const creator = await contentCreator(contentId);
 
-        // Verify 2FA token
-        const user = await User.findById(userId);
-        if (!user) return res.status(404).json({ message: 'User not found' });
+        // Check the spending policy; large payments need a TOTP code or wallet signature
+        await spendingPolicyService.authorizePayment(userId, { payments: [{ amount, recipientId: creator.id }], stepUp: stepUpOf(req.body) });
 
-        const verified = speakeasy.totp.verify({
-            secret: user.twoFactorSecret,
-            encoding: 'base32',
-            token,
-        });
+        // Score it for fraud; risky payments wait for an admin instead of being charged
+        const payments = [{ type: 'purchase', amount, recipientId: creator.id, contentId }];
+        const { review } = await fraudService.screenPayment(userId, { source: 'payment', payments, request: { currency } });
+        if (review) return heldForReview(res, review);
 
-        if (!verified) return res.status(403).json({ message: 'Invalid 2FA token' });
+        const valuation = await paymentService.valuePayment(amount, currency);
 
-        // Authorize payment with LedgerJS
-        const isAuthorized = await LedgerJS.authorizePayment(userId, amount);
-        if (!isAuthorized) return res.status(403).json({ message: 'Payment authorization failed' });
-
-        // Process purchase via Circle API
-        const transaction = await Circle.purchase(userId, contentId, amount);
-
-        // Record payment in the database
-        const paymentRecord = new Payment({
-            userId,
-            contentId,
-            amount,
-            type: 'purchase',
-            transactionId: transaction.id,
-            status: 'completed',
-            createdAt: new Date(),
-        });
-        await paymentRecord.save();
+        // Charge via Circle API, then record the payment and move the funds in the ledger
+        const { transaction } = await paymentService.collectPayment({ type: 'purchase', userId, creatorId: creator.id, contentId, amount, valuation });
 
         res.status(201).json({ message: 'Content purchased successfully', transaction });
     } catch (error) {
-        console.error('Error processing purchase', error);
-        await rollbackTransaction(paymentRecord);
-        res.status(500).json({ message: 'Error processing purchase, transaction rolled back', error: error.message });
+        next(error);
     }
 });
 
 /**
  * Tip Content Creator
+ * Answers 202 with a review instead when the fraud rules hold the payment.
  * @route POST /payment/tip
- * @param {string} userId - User ID
  * @param {string} creatorId - Creator's User ID
  * @param {number} amount - Amount in USDC to tip
+ * @param {Object} [stepUp] - { totp } or { challengeId, signature }, when the spending policy asks for it
+ * @param {string} [currency] - Currency to record the payment's value in (defaults to USD)
  */
-router.post('/tip', authenticateUser, validateAmount, async (req, res) => {
-    const { userId, creatorId, amount } = req.body;
+router.post('/tip', authenticateUser, idempotent, validateAmount, async (req, res, next) => {
+    const userId = req.user.userId || req.user.id;
+    const { creatorId, amount, currency } = req.body;
 
     try {
+        const creator = await tippedCreator(userId, creatorId);
+
         // Check balance
         await checkBalance(userId, amount);
 
-        // Authorize payment with LedgerJS
-        const isAuthorized = await LedgerJS.authorizePayment(userId, amount);
-        if (!isAuthorized) return res.status(403).json({ message: 'Payment authorization failed' });
+        // Check the spending policy; large payments need a TOTP code or wallet signature
+        await spendingPolicyService.authorizePayment(userId, { payments: [{ amount, recipientId: creator.id }], stepUp: stepUpOf(req.body) });
 
-        // Process tip via Circle API
-        const transaction = await Circle.tip(userId, creatorId, amount);
+        // Score it for fraud; risky payments wait for an admin instead of being charged
+        const payments = [{ type: 'tip', amount, recipientId: creator.id }];
+        const { review } = await fraudService.screenPayment(userId, { source: 'payment', payments, request: { currency } });
+        if (review) return heldForReview(res, review);
 
-        // Record payment in the database
-        const paymentRecord = new Payment({
-            userId,
-            creatorId,
-            amount,
-            type: 'tip',
-            transactionId: transaction.id,
-            createdAt: new Date(),
-        });
-        await paymentRecord.save();
+        const valuation = await paymentService.valuePayment(amount, currency);
+
+        // Charge via Circle API, then record the payment and move the funds in the ledger
+        const { transaction } = await paymentService.collectPayment({ type: 'tip', userId, creatorId: creator.id, amount, valuation });
 
         res.status(201).json({ message: 'Tip sent successfully', transaction });
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Error sending tip', error: error.message });
+        next(error);
     }
 });
 
 /**
  * Batch Tipping
+ * Answers 202 with a review instead when the fraud rules hold the payment.
  * @route POST /payment/batchTip
- * @param {string} userId - User ID
  * @param {Array} tips - Array of { creatorId, amount }
+ * @param {Object} [stepUp] - { totp } or { challengeId, signature }, when the spending policy asks for it
+ * @param {string} [currency] - Currency to record the payments' value in (defaults to USD)
  */
-router.post('/batchTip', authenticateUser, async (req, res) => {
-    const { userId, tips } = req.body;
+router.post('/batchTip', authenticateUser, idempotent, validateTips, async (req, res, next) => {
+    const userId = req.user.userId || req.user.id;
+    const { tips, currency } = req.body;
 
     try {
         const user = await User.findById(userId);
-        if (!user) return res.status(404).json({ message: 'User not found' });
+        if (!user) throw new NotFoundError('User not found');
 
-        let totalAmount = 0;
-        tips.forEach(tip => totalAmount += tip.amount);
+        // Every tipped creator must exist and be someone else
+        for (const [index, tip] of tips.entries()) {
+            tip.creatorId = (await tippedCreator(userId, tip.creatorId, `tips[${index}].creatorId`)).id;
+        }
+        const totalAmount = ledgerService.fromUnits(tips.reduce((total, tip) => total + ledgerService.toUnits(tip.amount), 0));
 
         // Check if the user has sufficient balance
         await checkBalance(userId, totalAmount);
 
+        // The spending policy applies to each tip, and step-up to their total
+        const payments = tips.map((tip) => ({ type: 'tip', amount: tip.amount, recipientId: tip.creatorId }));
+        await spendingPolicyService.authorizePayment(userId, { payments, stepUp: stepUpOf(req.body) });
+
+        // The fraud rules score the batch as a whole; a held batch is charged only if an admin approves it
+        const { review } = await fraudService.screenPayment(userId, { source: 'payment', payments, request: { currency } });
+        if (review) return heldForReview(res, review);
+
         // Process tips in batch
         const transactions = [];
         for (const tip of tips) {
-            const transaction = await Circle.tip(userId, tip.creatorId, tip.amount);
+            const valuation = await paymentService.valuePayment(tip.amount, currency);
+            const { transaction } = await paymentService.collectPayment({ type: 'tip', userId, creatorId: tip.creatorId, amount: tip.amount, valuation });
             transactions.push(transaction);
-
-            // Record each tip in the database
-            const paymentRecord = new Payment({
-                userId,
-                creatorId: tip.creatorId,
-                amount: tip.amount,
-                type: 'tip',
-                transactionId: transaction.id,
-                createdAt: new Date(),
-            });
-            await paymentRecord.save();
         }
 
         res.status(201).json({ message: 'Tips sent successfully', transactions });
     } catch (error) {
-        console.error('Error processing batch tip', error);
-        res.status(500).json({ message: 'Error processing batch tip', error: error.message });
+        next(error);
     }
 });
 
 /**
- * Set Up Streaming Payments
- * @route POST /payment/stream
- * @param {string} userId - User ID
- * @param {string} creatorId - Creator's User ID
- * @param {number} flowRate - Flow rate for streaming payments
+ * Create Payment Intent
+ * Returns EIP-712 typed data for the payer's wallet (a Ledger or any browser wallet) to sign;
+ * send the signature to /payment/intents/:id/execute to pay.
+ * @route POST /payment/intents
+ * @param {string} type - 'purchase' or 'tip'
+ * @param {string} [creatorId] - Tipped creator (tips)
+ * @param {string} [contentId] - Purchased content (purchases)
+ * @param {number} amount - Amount in USDC
+ * @param {string} [currency] - Currency to record the payment's value in (defaults to USD)
+ * @param {string} [chain] - Chain the wallet signs for (defaults to the default chain)
+ * @param {string} [signer] - Linked wallet that will sign (defaults to the primary one)
  */
-router.post('/stream', authenticateUser, async (req, res) => {
-    const { userId, creatorId, flowRate } = req.body;
+router.post('/intents', authenticateUser, validateAmount, async (req, res, next) => {
+    const { type, creatorId, contentId, amount, currency, chain, signer } = req.body;
 
     try {
-        // Initialize Superfluid framework
-        const sf = new SuperfluidSDK.Framework();
-        await sf.initialize();
+        const { intent, typedData } = await paymentIntentService.createIntent(req.user, { type, creatorId, contentId, amount, currency, chain, signer });
+        res.status(201).location(`/api/v1/payment/intents/${intent.id}`).json({ intent: intent.toStatus(), typedData });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        // Load user account
-        const user = await User.findById(userId);
-        const creator = await User.findById(creatorId);
-        if (!user || !creator) return res.status(404).json({ message: 'User or creator not found' });
-
-        // Set up streaming payment
-        const createFlowOperation = sf.cfa.createFlow({
-            sender: user.walletAddress,
-            receiver: creator.walletAddress,
-            flowRate, // Flow rate in USDC per second
-            superToken: sf.tokens.usdcx.address
+/**
+ * Payment Intent
+ * @route GET /payment/intents/:id
+ */
+router.get('/intents/:id', authenticateUser, async (req, res, next) => {
+    try {
+        const intent = await paymentIntentService.getForUser(req.user, req.params.id);
+        res.json({ intent: intent.toStatus(), typedData: paymentIntentService.typedDataOf(intent) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Execute Payment Intent
+ * Pays once the signature recovers to the payer's wallet, before the intent expires; each intent pays once.
+ * Answers 202 with a review instead when the fraud rules hold the payment.
+ * @route POST /payment/intents/:id/execute
+ * @param {string} signature - EIP-712 signature of the intent's typed data
+ */
+router.post('/intents/:id/execute', authenticateUser, idempotent, async (req, res, next) => {
+    try {
+        const { intent, review, transaction } = await paymentIntentService.executeIntent(req.user, req.params.id, req.body.signature);
+        if (review) return heldForReview(res, review);
+        res.status(201).json({ message: 'Payment sent successfully', intent: intent.toStatus(), transaction });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Held Payment
+ * Status of a payment the fraud rules held for review or blocked.
+ * @route GET /payment/reviews/:id
+ */
+router.get('/reviews/:id', authenticateUser, async (req, res, next) => {
+    try {
+        const review = await fraudService.getForUser(req.user, req.params.id);
+        res.json({ review: review.toStatus() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Balance
+ * Spendable funds and creator earnings, derived from the ledger.
+ * @route GET /payment/balance
+ */
+router.get('/balance', authenticateUser, async (req, res, next) => {
+    try {
+        const balances = await ledgerService.balances(req.user.userId || req.user.id);
+        res.json({ currency: 'USDC', ...balances });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Cross-Chain Payment
+ * Tips a creator, or buys their content, with USDC minted to their wallet on another chain by
+ * Circle CCTP. Answers 202; poll the Location for the burn, attestation and mint stages.
+ * When the fraud rules hold it, the Location is the review instead.
+ * @route POST /payment/cross-chain
+ * @param {string} type - 'tip' or 'purchase'
+ * @param {string} [creatorId] - Tipped creator (tips)
+ * @param {string} [contentId] - Purchased content (purchases)
+ * @param {number} amount - Amount in USDC
+ * @param {string} destinationChain - Chain of the creator's wallet (e.g. 'base' or 8453)
+ * @param {string} [sourceChain] - Chain to send from (defaults to the default chain)
+ * @param {Object} [stepUp] - { totp } or { challengeId, signature }, when the spending policy asks for it
+ */
+router.post('/cross-chain', authenticateUser, idempotent, validateAmount, async (req, res, next) => {
+    const { type, creatorId, contentId, amount, destinationChain, sourceChain } = req.body;
+
+    try {
+        const userId = req.user.userId || req.user.id;
+        const recipientId = type === 'purchase' ? (await contentCreator(contentId)).id : creatorId;
+        await spendingPolicyService.authorizePayment(userId, { payments: [{ amount, recipientId }], stepUp: stepUpOf(req.body) });
+
+        // Score it for fraud; a held payment is sent to the other chain only if an admin approves it
+        const { review } = await fraudService.screenPayment(userId, {
+            source: 'cross_chain',
+            payments: [{ type, amount, recipientId, contentId }],
+            request: { creatorId, contentId, destinationChain, sourceChain },
+        });
+        if (review) return heldForReview(res, review);
+
+        const { payment, job } = await crossChainService.sendPayment(req.user, { type, creatorId, contentId, amount, destinationChain, sourceChain });
+        res.status(202).location(`/api/v1/payment/cross-chain/${payment.id}`).json({
+            message: 'Cross-chain payment started',
+            payment: payment.toStatus(),
+            job,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List Cross-Chain Payments
+ * Payments the user sent, or with as=receiver the ones paid to them.
+ * @route GET /payment/cross-chain
+ * @param {string} [as] - 'payer' (default) or 'receiver'
+ * @param {string} [status] - burning, attesting, minting, completed or failed
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/cross-chain', authenticateUser, async (req, res, next) => {
+    const { as, status } = req.query;
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const payments = await crossChainService.listForUser(req.user, { as, status, start, limit });
+        res.json({ payments: payments.map((payment) => payment.toStatus()) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Cross-Chain Payment Status
+ * @route GET /payment/cross-chain/:id
+ * @param {string} id - Cross-chain payment id
+ */
+router.get('/cross-chain/:id', authenticateUser, async (req, res, next) => {
+    try {
+        const payment = await crossChainService.getForUser(req.user, req.params.id);
+        res.json({ payment: payment.toStatus() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Transaction History
+ * The user's payments, cross-chain ones included with their CCTP stages, newest first.
+ * @route GET /payment/transaction-history
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/transaction-history', authenticateUser, async (req, res, next) => {
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const userId = req.user.userId || req.user.id;
+
+    try {
+        // Enough of each to fill the page once merged
+        const [payments, crossChain] = await Promise.all([
+            Payment.find({ userId }).sort({ createdAt: -1 }).limit(start + limit),
+            CrossChainPayment.find({ userId }).sort({ createdAt: -1 }).limit(start + limit),
+        ]);
+        const transactions = [
+            ...payments.map((payment) => ({
+                id: payment.id,
+                kind: 'payment',
+                type: payment.type,
+                amount: payment.amount,
+                status: payment.status,
+                contentId: payment.contentId,
+                creatorId: payment.creatorId,
+                transactionId: payment.transactionId,
+                valuation: payment.valuation?.currency ? payment.valuation : undefined,
+                createdAt: payment.createdAt,
+            })),
+            ...crossChain.map((payment) => ({ kind: 'cross_chain', ...payment.toStatus() })),
+        ].sort((a, b) => b.createdAt - a.createdAt);
+
+        res.json({ transactions: transactions.slice(start, start + limit), start, limit });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Spending Policy
+ * The user's limits, the step-up threshold in effect, how they can confirm payments and what
+ * they paid in the last 24 hours.
+ * @route GET /payment/spending-policy
+ */
+router.get('/spending-policy', authenticateUser, async (req, res, next) => {
+    try {
+        const policy = await spendingPolicyService.getPolicy(req.user);
+        res.json({ policy });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Update Spending Policy
+ * Tightening is immediate; raising or removing a limit, or allowing more recipients, needs step-up.
+ * @route PUT /payment/spending-policy
+ * @param {number|null} [perTransactionLimit] - Largest single payment in USDC (null for none)
+ * @param {number|null} [dailyCap] - USDC that can be paid in 24 hours (null for none)
+ * @param {string[]} [allowedRecipients] - User IDs of the only creators that can be paid ([] for all)
+ * @param {number|null} [stepUpThreshold] - Ask for step-up above this amount (at most the platform's)
+ * @param {Object} [stepUp] - { totp } or { challengeId, signature }
+ */
+router.put('/spending-policy', authenticateUser, async (req, res, next) => {
+    const { perTransactionLimit, dailyCap, allowedRecipients, stepUpThreshold } = req.body;
+
+    try {
+        const policy = await spendingPolicyService.updatePolicy(req.user, {
+            perTransactionLimit,
+            dailyCap,
+            allowedRecipients,
+            stepUpThreshold,
+            stepUp: stepUpOf(req.body),
         });
+        res.json({ message: 'Spending policy updated', policy });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        // Execute the transaction on-chain
-        await createFlowOperation.exec(user.signer);
+/**
+ * Step-Up Challenge
+ * Message for one of the user's linked wallets to sign; send { challengeId, signature } as `stepUp`
+ * with the payment or policy change it confirms. Each challenge works once, until it expires.
+ * @route POST /payment/step-up/challenge
+ * @param {string} [address] - Linked wallet that will sign (defaults to the primary one)
+ */
+router.post('/step-up/challenge', authenticateUser, async (req, res, next) => {
+    try {
+        const challenge = await spendingPolicyService.createChallenge(req.user, { address: req.body.address });
+        res.status(201).json(challenge);
+    } catch (error) {
+        next(error);
+    }
+});
 
-        res.status(201).json({ message: 'Streaming payment set up successfully' });
+/**
+ * Set Up Two-Factor Authentication
+ * Returns the TOTP secret for an authenticator app; 2FA is on once a code is confirmed.
+ * @route POST /payment/step-up/totp
+ */
+router.post('/step-up/totp', authenticateUser, async (req, res, next) => {
+    try {
+        const { secret, otpauthUrl } = await spendingPolicyService.setupTotp(req.user);
+        res.status(201).json({ secret, otpauthUrl });
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Error setting up streaming payment', error: error.message });
+        next(error);
     }
 });
 
-// Webhook handling for Circle payment updates
-router.post('/payment/webhook', async (req, res) => {
+/**
+ * Confirm Two-Factor Authentication
+ * @route POST /payment/step-up/totp/confirm
+ * @param {string} token - Current code from the authenticator app
+ */
+router.post('/step-up/totp/confirm', authenticateUser, async (req, res, next) => {
     try {
-        const event = req.body;
+        const { stepUpMethods } = await spendingPolicyService.confirmTotp(req.user, req.body.token);
+        res.json({ message: 'Two-factor authentication enabled', stepUpMethods });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        if (event.type === 'payment_completed') {
-            const { transactionId, userId, amount } = event.data;
+/**
+ * Request Refund
+ * Opens a refund of one of the user's purchases or tips for the creator (or an admin) to decide.
+ * @route POST /payment/refunds
+ * @param {string} paymentId - Payment to refund
+ * @param {number} [amount] - USDC to get back (defaults to everything not refunded yet)
+ * @param {string} reason - Why the refund is requested
+ */
+router.post('/refunds', authenticateUser, async (req, res, next) => {
+    const { paymentId, amount, reason } = req.body;
 
-            // Update payment record in the database
-            await Payment.updateOne({ transactionId }, { status: 'completed' });
+    try {
+        const refund = await refundService.requestRefund(req.user, { paymentId, amount, reason });
+        res.status(201).json({ message: 'Refund requested', refund });
+    } catch (error) {
+        next(error);
+    }
+});
 
-            // Update user's balance in the database
-            const user = await User.findById(userId);
-            user.balance += amount;
-            await user.save();
+/**
+ * List Refunds
+ * Refunds the user requested, or with as=creator the ones they have to decide.
+ * @route GET /payment/refunds
+ * @param {string} [as] - 'buyer' (default) or 'creator'
+ * @param {string} [status] - requested, approved, completed, rejected or failed
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/refunds', authenticateUser, async (req, res, next) => {
+    const { as, status } = req.query;
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
 
-            return res.status(200).json({ message: 'Payment completed' });
+    try {
+        const refunds = await refundService.listForUser(req.user, { as, status, start, limit });
+        res.json({ refunds });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Refund Status
+ * @route GET /payment/refunds/:id
+ * @param {string} id - Refund id
+ */
+router.get('/refunds/:id', authenticateUser, async (req, res, next) => {
+    try {
+        const refund = await refundService.getForUser(req.user, req.params.id);
+        res.json({ refund });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Approve Refund
+ * Creator of the payment or an admin only. The refund runs as a background job; the buyer is
+ * notified when it completes.
+ * @route POST /payment/refunds/:id/approve
+ * @param {string} id - Refund id
+ * @param {number} [amount] - USDC granted, up to the amount requested (partial refund when lower)
+ * @param {string} [note] - Comment for the buyer
+ */
+router.post('/refunds/:id/approve', authenticateUser, async (req, res, next) => {
+    const { amount, note } = req.body;
+
+    try {
+        const { refund, job } = await refundService.approveRefund(req.user, req.params.id, { amount, note });
+        res.status(202).location(`/api/v1/jobs/${job.id}`).json({ message: 'Refund approved', refund, job });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Reject Refund
+ * Creator of the payment or an admin only.
+ * @route POST /payment/refunds/:id/reject
+ * @param {string} id - Refund id
+ * @param {string} [note] - Comment for the buyer
+ */
+router.post('/refunds/:id/reject', authenticateUser, async (req, res, next) => {
+    try {
+        const refund = await refundService.rejectRefund(req.user, req.params.id, { note: req.body.note });
+        res.json({ message: 'Refund rejected', refund });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Set Up Streaming Payments
+ * Streams from the authenticated user's linked wallet to the creator's and records the stream.
+ * @route POST /payment/stream
+ * @param {string} creatorId - Creator's User ID
+ * @param {string} flowRate - Flow rate in super token wei per second
+ * @param {Object} [stepUp] - { totp } or { challengeId, signature }, when the spending policy asks for it
+ */
+router.post('/stream', authenticateUser, async (req, res, next) => {
+    const { creatorId, flowRate } = req.body;
+
+    try {
+        const creator = await User.findById(creatorId);
+        if (!creator) throw new NotFoundError('Creator not found');
+        const wallet = creator.linkedWallet();
+        if (!wallet) {
+            throw new ValidationError('The creator has not linked a wallet to be paid to', { details: [{ field: 'creatorId', message: 'Creator must link a wallet first' }] });
+        }
+
+        // Limits and step-up apply to what the stream pays in a month; it is not counted toward the daily cap
+        await spendingPolicyService.authorizePayment(req.user.userId || req.user.id, {
+            payments: [{ amount: streamService.monthlyAmount(flowRate), recipientId: creator.id }],
+            stepUp: stepUpOf(req.body),
+            daily: false,
+        });
+
+        const stream = await streamService.openStream(req.user, { receiver: wallet.address, receiverId: creator._id, flowRate });
+        res.status(201).json({ message: 'Streaming payment set up successfully', stream: stream.toStatus() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List Streams
+ * Streams the user sends, or with as=receiver the ones paying them, with the amount streamed so far.
+ * @route GET /payment/streams
+ * @param {string} [as] - 'sender' (default) or 'receiver'
+ * @param {string} [status] - active, stopped or insolvent
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/streams', authenticateUser, async (req, res, next) => {
+    const { as, status } = req.query;
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const streams = await streamService.listForUser(req.user, { as, status, start, limit });
+        res.json({ streams: streams.map((stream) => stream.toStatus()) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Stream Status
+ * @route GET /payment/streams/:id
+ * @param {string} id - Stream id
+ */
+router.get('/streams/:id', authenticateUser, async (req, res, next) => {
+    try {
+        const stream = await streamService.getForUser(req.user, req.params.id);
+        res.json({ stream: stream.toStatus() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Update Stream Rate
+ * Sender only.
+ * @route POST /payment/streams/:id/rate
+ * @param {string} id - Stream id
+ * @param {string} flowRate - New flow rate in super token wei per second
+ * @param {Object} [stepUp] - { totp } or { challengeId, signature }, when the spending policy asks for it
+ */
+router.post('/streams/:id/rate', authenticateUser, async (req, res, next) => {
+    try {
+        // Raising the rate is checked against the sender's spending policy like a new stream
+        const current = await streamService.getForUser(req.user, req.params.id);
+        const monthly = streamService.monthlyAmount(req.body.flowRate);
+        if (monthly > streamService.monthlyAmount(current.flowRate)) {
+            await spendingPolicyService.authorizePayment(current.userId, {
+                payments: [{ amount: monthly, recipientId: current.receiverId }],
+                stepUp: stepUpOf(req.body),
+                daily: false,
+            });
         }
 
-        res.status(200).json({ message: 'Webhook received' });
+        const stream = await streamService.updateRate(req.user, req.params.id, req.body.flowRate);
+        res.json({ message: 'Stream rate updated', stream: stream.toStatus() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Stop Stream
+ * Sender or receiver.
+ * @route POST /payment/streams/:id/stop
+ * @param {string} id - Stream id
+ */
+router.post('/streams/:id/stop', authenticateUser, async (req, res, next) => {
+    try {
+        const stream = await streamService.stopStream(req.user, req.params.id);
+        res.json({ message: 'Stream stopped', stream: stream.toStatus() });
     } catch (error) {
-        console.error('Error processing webhook', error);
-        res.status(500).json({ message: 'Error processing webhook', error: error.message });
+        next(error);
     }
 });
 
-// Use the error handler middleware
-router.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ message: 'Internal Server Error', error: err.message });
+/**
+ * Circle Webhook
+ * Signed notifications about Circle payments: completed, failed, refunded and chargeback.
+ * Each event is stored once per event ID and applied in order per transaction.
+ * Answers 500 if the event could not be applied, so Circle delivers it again.
+ * @route POST /payment/payment/webhook
+ * @header X-Circle-Signature - t=<unix seconds>,v1=<HMAC-SHA256 of "<t>.<raw body>">
+ * @param {string} id - Event ID
+ * @param {string} type - Event type (e.g. 'payment_completed')
+ * @param {string} [createdAt] - When Circle created the event
+ * @param {Object} data - { transactionId }
+ */
+router.post('/payment/webhook', verifyCircleSignature, async (req, res, next) => {
+    try {
+        const { event, duplicate } = await webhookService.ingest(req.body);
+        res.status(200).json({ message: 'Webhook received', event: { id: event.eventId, status: event.status }, duplicate });
+    } catch (error) {
+        next(error);
+    }
 });
 
 module.exports = router;
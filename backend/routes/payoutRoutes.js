@@ -0,0 +1,95 @@
+// Import necessary libraries and modules
+const express = require('express');
+const payoutService = require('../services/payoutService'); // Creator withdrawals
+const { authenticateUser } = require('../middlewares/authMiddleware'); // Middleware for user authentication
+const { idempotent } = require('../middlewares/idempotency'); // Replays the first response to retried requests
+
+const router = express.Router();
+
+/**
+ * Preview Payout
+ * Fees and net amount of a withdrawal, with the minimum and the earnings available.
+ * @route GET /payouts/preview
+ * @param {number} [amount] - USDC to withdraw (defaults to all earnings)
+ * @param {string} [chain] - Circle blockchain code, e.g. MATIC (defaults to the configured one)
+ */
+router.get('/preview', authenticateUser, async (req, res, next) => {
+    const { amount, chain } = req.query;
+
+    try {
+        const preview = await payoutService.previewPayout(req.user, { amount, chain });
+        res.json(preview);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Request Payout
+ * Sets the amount aside from the creator's earnings; it is sent in the next payout run.
+ * @route POST /payouts
+ * @param {number} amount - USDC to take from earnings, fees included
+ * @param {string} [chain] - Circle blockchain code (defaults to the configured one)
+ * @param {string} [address] - Destination (defaults to the creator's primary linked wallet)
+ */
+router.post('/', authenticateUser, idempotent, async (req, res, next) => {
+    const { amount, chain, address } = req.body;
+
+    try {
+        const payout = await payoutService.requestPayout(req.user, { amount, chain, address });
+        res.status(201).json({ message: 'Payout requested', payout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List Payouts
+ * The creator's payout history, newest first.
+ * @route GET /payouts
+ * @param {string} [status] - requested, on_hold, processing, paid, failed or cancelled
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ */
+router.get('/', authenticateUser, async (req, res, next) => {
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const payouts = await payoutService.listForUser(req.user, { status: req.query.status, start, limit });
+        res.json({ payouts });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Payout Status
+ * @route GET /payouts/:id
+ * @param {string} id - Payout id
+ */
+router.get('/:id', authenticateUser, async (req, res, next) => {
+    try {
+        const payout = await payoutService.getForUser(req.user, req.params.id);
+        res.json({ payout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Cancel Payout
+ * Puts the amount back in the creator's earnings; only before the payout is sent.
+ * @route POST /payouts/:id/cancel
+ * @param {string} id - Payout id
+ */
+router.post('/:id/cancel', authenticateUser, async (req, res, next) => {
+    try {
+        const payout = await payoutService.cancelPayout(req.user, req.params.id);
+        res.json({ message: 'Payout cancelled', payout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// Import necessary libraries and modules
+const express = require('express');
+const priceService = require('../services/priceService'); // Prices and exchange rates
+
+const router = express.Router();
+
+// Prices are public market data, so these routes need no authentication
+
+/**
+ * Current Prices
+ * Every supported crypto asset and fiat currency, priced in one currency.
+ * @route GET /prices
+ * @param {string} [quote] - Currency to price in (defaults to USD)
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const prices = await priceService.getPrices(req.query.quote);
+        res.json({ ...prices, supported: priceService.supported() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Exchange Rate
+ * @route GET /prices/rate
+ * @param {string} base - Symbol priced, e.g. ETH
+ * @param {string} quote - Symbol it is priced in, e.g. EUR
+ * @param {string} [at] - ISO date for the rate in effect then (defaults to now)
+ */
+router.get('/rate', async (req, res, next) => {
+    const { base, quote, at } = req.query;
+
+    try {
+        const rate = await priceService.getRate(base, quote, { at });
+        res.json(rate);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Convert Amount
+ * @route GET /prices/convert
+ * @param {number} amount - Amount of `from`
+ * @param {string} from - Symbol of the amount
+ * @param {string} to - Symbol to convert to
+ * @param {string} [at] - ISO date for the rate in effect then (defaults to now)
+ */
+router.get('/convert', async (req, res, next) => {
+    const { amount, from, to, at } = req.query;
+
+    try {
+        const conversion = await priceService.convert(amount, from, to, { at });
+        res.json(conversion);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Rate History
+ * Stored rates between two symbols, oldest first.
+ * @route GET /prices/history
+ * @param {string} base - Symbol priced
+ * @param {string} quote - Symbol it is priced in
+ * @param {string} [from] - ISO date, inclusive
+ * @param {string} [to] - ISO date, exclusive (defaults to now)
+ * @param {number} [limit] - Number of rates (max 1000)
+ */
+router.get('/history', async (req, res, next) => {
+    const { base, quote, from, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 1000, 1), 1000);
+
+    try {
+        const history = await priceService.history(base, quote, { from, to, limit });
+        res.json(history);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
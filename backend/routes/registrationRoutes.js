@@ -1,45 +1,37 @@
 // Import necessary libraries and modules
 const express = require('express');
 const bcrypt = require('bcrypt'); // For password hashing
-const { generateBlockchainAddress } = require('./blockchain'); // Function to generate blockchain address
-const { authenticateUser } = require('./middleware/auth'); // Middleware for user authentication
-const User = require('./models/User'); // MongoDB model for users
-const LedgerJS = require('ledger-js'); // LedgerJS for secure address generation through Ledger devices
+const User = require('../models/User'); // MongoDB model for users
+const { ConflictError } = require('../errors');
 
 const router = express.Router();
 
 /**
  * User Registration
  * @route POST /registration
- * @param {string} name - User's name
+ * @param {string} username - User's display name
  * @param {string} email - User's email address
  * @param {string} password - User's password
- * @param {boolean} useLedger - Optional flag to use Ledger device for blockchain address generation
  */
-router.post('/', async (req, res) => {
-    const { name, email, password, useLedger } = req.body;
+router.post('/', async (req, res, next) => {
+    const { username, email, password } = req.body;
 
     try {
         // Check if the user already exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
-            return res.status(400).json({ message: 'User already exists.' });
+            throw new ConflictError('User already exists.');
         }
 
         // Hash the password
         const hashedPassword = await bcrypt.hash(password, 10);
 
         // Generate a blockchain address
-        let blockchainAddress;
-        if (useLedger) {
-            blockchainAddress = await generateLedgerAddress(); // Use Ledger for secure address creation
-        } else {
-            blockchainAddress = await generateBlockchainAddress(); // Generate a standard blockchain address
-        }
+        const blockchainAddress = await generateBlockchainAddress();
 
         // Create a new user record
         const newUser = new User({
-            name,
+            username,
             email,
             password: hashedPassword,
             blockchainAddress,
@@ -49,8 +41,7 @@ router.post('/', async (req, res) => {
 
         res.status(201).json({ message: 'User registered successfully', userId: newUser._id });
     } catch (error) {
-        console.error('Error registering user:', error);
-        res.status(500).json({ message: 'Error registering user', error: error.message });
+        next(error);
     }
 });
 
@@ -65,16 +56,5 @@ async function generateBlockchainAddress() {
     return wallet.address;
 }
 
-/**
- * Generate Blockchain Address via Ledger
- * @returns {Promise<string>} - A promise that resolves to a blockchain address generated via Ledger device
- */
-async function generateLedgerAddress() {
-    // Example logic to generate blockchain address using LedgerJS (depends on device setup)
-    const ledger = new LedgerJS();
-    const address = await ledger.getAddress();
-    return address;
-}
-
 // Export the router
 module.exports = router;
@@ -0,0 +1,76 @@
+// Import necessary libraries and modules
+const express = require('express');
+const royaltyReportService = require('../services/royaltyReportService'); // Royalty earnings and statements
+const { authenticateUser } = require('../middlewares/authMiddleware'); // Middleware for user authentication
+
+const router = express.Router();
+
+/**
+ * Royalty Earnings
+ * Totals of the user's royalties per period or per piece of content.
+ * @route GET /royalty/earnings
+ * @param {string} [groupBy] - 'day', 'month' (default), 'year' or 'content'
+ * @param {string} [from] - ISO date, inclusive
+ * @param {string} [to] - ISO date, exclusive
+ * @param {string} [contentId] - Only earnings from this content
+ */
+router.get('/earnings', authenticateUser, async (req, res, next) => {
+    const { groupBy, from, to, contentId } = req.query;
+
+    try {
+        const summary = await royaltyReportService.summarize(req.user, { groupBy, from, to, contentId });
+        res.json(summary);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Royalty History
+ * Each royalty payment to the user, newest first.
+ * @route GET /royalty/history
+ * @param {string} [from] - ISO date, inclusive
+ * @param {string} [to] - ISO date, exclusive
+ * @param {string} [contentId] - Only earnings from this content
+ * @param {number} [start] - Offset
+ * @param {number} [limit] - Page size (max 200)
+ * @param {string} [currency] - Also value each payment in this currency, at the rate when it was paid
+ */
+router.get('/history', authenticateUser, async (req, res, next) => {
+    const { from, to, contentId, currency } = req.query;
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const { history, total } = await royaltyReportService.history(req.user, { from, to, contentId, start, limit, currency });
+        res.json({ history, total, start, limit });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Download Royalty Statement
+ * Monthly or annual statement of the user's royalties, for bookkeeping and tax filing.
+ * @route GET /royalty/statements/:period
+ * @param {string} period - YYYY for a year, YYYY-MM for a month (UTC)
+ * @param {string} [format] - 'csv' (default) or 'pdf'
+ * @param {string} [currency] - Also value each payment in this currency (e.g. EUR)
+ */
+router.get('/statements/:period', authenticateUser, async (req, res, next) => {
+    try {
+        const { filename, contentType, body } = await royaltyReportService.statementFile(req.user, req.params.period, req.query.format, {
+            currency: req.query.currency,
+        });
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'private, no-store',
+        });
+        res.send(body);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
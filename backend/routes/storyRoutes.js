@@ -1,14 +1,18 @@
 // Import necessary libraries and modules
 const express = require('express');
-const StoryProtocol = require('./StoryProtocol'); // Story Protocol for licensing and royalties
-const SignProtocol = require('./SignProtocol'); // Sign Protocol for ownership verification
-const { encryptAgreement } = require('./encryption'); // Encryption utility using Lit Protocol
-const Content = require('./models/Content'); // MongoDB model for content
-const Royalty = require('./models/Royalty'); // MongoDB model for royalty records
-const Dispute = require('./models/Dispute'); // MongoDB model for disputes
-const { authenticateUser } = require('./middleware/auth'); // Middleware for user authentication
+const mongoose = require('mongoose');
+const { StoryProtocol, SignProtocol } = require('../adapters'); // Story (licensing) and Sign (ownership) adapters
+const { encryptAgreement } = require('../utils/encryption'); // Encryption utility using Lit Protocol
+const Content = require('../models/Content'); // MongoDB model for content
+const Royalty = require('../models/Royalty'); // MongoDB model for royalty records
+const Dispute = require('../models/Dispute'); // MongoDB model for disputes
+const streamService = require('../services/streamService'); // Registry of Superfluid streams
+const royaltyService = require('../services/royaltyService'); // Basis-point royalty splits
+const royaltyReportService = require('../services/royaltyReportService'); // Royalty earnings and statements
+const { authenticateUser } = require('../middlewares/authMiddleware'); // Middleware for user authentication
 const rateLimit = require('express-rate-limit'); // Rate limiter to secure API
-const SuperfluidSDK = require('@superfluid-finance/sdk-core'); // Superfluid for royalty streaming
+const { NotFoundError, NotOwnerError, ValidationError } = require('../errors');
+const { rateLimitExceeded } = require('../middlewares/errorHandler');
 
 const router = express.Router();
 
@@ -16,7 +20,7 @@ const router = express.Router();
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // Limit each IP to 100 requests per windowMs
-    message: 'Too many requests, please try again later.',
+    handler: rateLimitExceeded('Too many requests, please try again later.'),
 });
 
 router.use(apiLimiter);
@@ -27,29 +31,28 @@ router.use(apiLimiter);
  * @param {string} contentId - ID of the content to license
  * @param {object} licenseDetails - Licensing details (e.g., terms, type)
  */
-router.post('/license', authenticateUser, async (req, res) => {
+router.post('/license', authenticateUser, async (req, res, next) => {
     const { contentId, licenseDetails } = req.body;
 
     try {
         // Verify ownership using Sign Protocol
         const content = await Content.findById(contentId);
-        if (!content) return res.status(404).json({ message: 'Content not found' });
+        if (!content) throw new NotFoundError('Content not found');
 
         const isOwner = await SignProtocol.verifyOwnership(content.owner, req.user.address);
         if (!isOwner) {
-            return res.status(403).json({ message: 'Not authorized to create a license for this content' });
+            throw new NotOwnerError('Not authorized to create a license for this content');
         }
 
         // Encrypt the licensing agreement using Lit Protocol
-        const encryptedAgreement = encryptAgreement(licenseDetails);
+        const encryptedAgreement = await encryptAgreement(licenseDetails);
 
         // Create license using Story Protocol
-        await StoryProtocol.createLicense(contentId, encryptedAgreement);
+        const license = await StoryProtocol.createLicense(contentId, encryptedAgreement, { owner: content.owner });
 
-        res.status(201).json({ message: 'License created successfully' });
+        res.status(201).json({ message: 'License created successfully', license });
     } catch (error) {
-        console.error('Error creating license:', error);
-        res.status(500).json({ message: 'Error creating license', error: error.message });
+        next(error);
     }
 });
 
@@ -57,38 +60,63 @@ router.post('/license', authenticateUser, async (req, res) => {
  * Manage Royalties
  * @route POST /story/royalties
  * @param {string} contentId - ID of the content for which to set royalties
- * @param {number} royaltyRate - Royalty rate to set (as a percentage)
+ * @param {number} rateBps - Royalty rate to set, in basis points (1-10000)
  */
-router.post('/royalties', authenticateUser, async (req, res) => {
-    const { contentId, royaltyRate } = req.body;
+router.post('/royalties', authenticateUser, async (req, res, next) => {
+    const { contentId, rateBps } = req.body;
 
     try {
         // Verify ownership using Sign Protocol
         const content = await Content.findById(contentId);
-        if (!content) return res.status(404).json({ message: 'Content not found' });
+        if (!content) throw new NotFoundError('Content not found');
 
         const isOwner = await SignProtocol.verifyOwnership(content.owner, req.user.address);
         if (!isOwner) {
-            return res.status(403).json({ message: 'Not authorized to set royalties for this content' });
+            throw new NotOwnerError('Not authorized to set royalties for this content');
         }
 
         // Validate royalty rate
-        if (royaltyRate <= 0 || royaltyRate > 100) {
-            return res.status(400).json({ message: 'Invalid royalty rate. Must be between 1% and 100%' });
+        if (!Number.isInteger(rateBps) || rateBps <= 0 || rateBps > royaltyService.BPS) {
+            throw new ValidationError('Invalid royalty rate. Must be between 1 and 10000 basis points', { details: [{ field: 'rateBps', message: 'Must be a whole number between 1 and 10000' }] });
         }
 
         // Save royalty details in the database
         const royaltyRecord = new Royalty({
             contentId,
-            royaltyRate,
+            rateBps,
             createdAt: new Date(),
         });
         await royaltyRecord.save();
 
         res.status(201).json({ message: 'Royalty rate set successfully', royalty: royaltyRecord });
     } catch (error) {
-        console.error('Error setting royalties:', error);
-        res.status(500).json({ message: 'Error setting royalties', error: error.message });
+        next(error);
+    }
+});
+
+/**
+ * Royalty Earnings for Content
+ * The user's royalties from one piece of content, per month, with its current royalty rate.
+ * @route GET /story/royalties/:contentId
+ * @param {string} [from] - ISO date, inclusive
+ * @param {string} [to] - ISO date, exclusive
+ */
+router.get('/royalties/:contentId', authenticateUser, async (req, res, next) => {
+    const { contentId } = req.params;
+    const { from, to } = req.query;
+
+    try {
+        const content = mongoose.isValidObjectId(contentId) ? await Content.findById(contentId) : null;
+        if (!content) throw new NotFoundError('Content not found');
+
+        const [royalty, summary] = await Promise.all([
+            Royalty.findOne({ contentId: content._id }).sort({ createdAt: -1 }),
+            royaltyReportService.summarize(req.user, { contentId: content.id, from, to }),
+        ]);
+
+        res.json({ contentId: content.id, rateBps: royalty ? royalty.rateBps : null, ...summary });
+    } catch (error) {
+        next(error);
     }
 });
 
@@ -96,37 +124,32 @@ router.post('/royalties', authenticateUser, async (req, res) => {
  * Stream Royalties
  * @route POST /story/stream-royalties
  * @param {string} contentId - ID of the content for royalty streaming
- * @param {number} flowRate - Flow rate for royalty streaming
+ * @param {string} flowRate - Flow rate in super token wei per second
  */
-router.post('/stream-royalties', authenticateUser, async (req, res) => {
+router.post('/stream-royalties', authenticateUser, async (req, res, next) => {
     const { contentId, flowRate } = req.body;
 
     try {
         // Verify ownership using Sign Protocol
         const content = await Content.findById(contentId);
-        if (!content) return res.status(404).json({ message: 'Content not found' });
+        if (!content) throw new NotFoundError('Content not found');
 
         const isOwner = await SignProtocol.verifyOwnership(content.owner, req.user.address);
         if (!isOwner) {
-            return res.status(403).json({ message: 'Not authorized to stream royalties for this content' });
+            throw new NotOwnerError('Not authorized to stream royalties for this content');
         }
 
-        // Initialize Superfluid framework for royalty streaming
-        const sf = new SuperfluidSDK.Framework();
-        await sf.initialize();
-
-        // Stream royalties using Superfluid
-        const stream = await sf.cfa.createFlow({
-            sender: req.user.walletAddress,
-            receiver: content.ownerWalletAddress,
-            flowRate, // Flow rate for royalty distribution
-            superToken: sf.tokens.usdcx.address,
+        // Stream royalties using Superfluid, from the owner's wallet to the content's payout address
+        const stream = await streamService.openStream(req.user, {
+            receiver: content.ownerWalletAddress || content.owner,
+            flowRate, // Super token wei per second
+            purpose: 'royalty',
+            contentId: content._id,
         });
 
-        res.status(201).json({ message: 'Royalties streaming started successfully', stream });
+        res.status(201).json({ message: 'Royalties streaming started successfully', stream: stream.toStatus() });
     } catch (error) {
-        console.error('Error streaming royalties:', error);
-        res.status(500).json({ message: 'Error streaming royalties', error: error.message });
+        next(error);
     }
 });
 
@@ -136,17 +159,17 @@ router.post('/stream-royalties', authenticateUser, async (req, res) => {
  * @param {string} contentId - ID of the content in dispute
  * @param {string} reason - Reason for the dispute
  */
-router.post('/dispute', authenticateUser, async (req, res) => {
+router.post('/dispute', authenticateUser, async (req, res, next) => {
     const { contentId, reason } = req.body;
 
     try {
         // Fetch content details
         const content = await Content.findById(contentId);
-        if (!content) return res.status(404).json({ message: 'Content not found' });
+        if (!content) throw new NotFoundError('Content not found');
 
         // Validate dispute reason
         if (!reason || reason.length < 10) {
-            return res.status(400).json({ message: 'Dispute reason must be at least 10 characters long' });
+            throw new ValidationError('Dispute reason must be at least 10 characters long', { details: [{ field: 'reason', message: 'Must be at least 10 characters' }] });
         }
 
         // Create a dispute record
@@ -163,8 +186,7 @@ router.post('/dispute', authenticateUser, async (req, res) => {
 
         res.status(201).json({ message: 'Dispute raised successfully', dispute: disputeRecord });
     } catch (error) {
-        console.error('Error raising dispute:', error);
-        res.status(500).json({ message: 'Error raising dispute', error: error.message });
+        next(error);
     }
 });
 
@@ -0,0 +1,24 @@
+// Import necessary libraries and modules
+const express = require('express');
+const txTracker = require('../services/txTracker'); // Persistent transaction tracking
+const { authenticateUser } = require('../middlewares/authMiddleware'); // Middleware for user authentication
+
+const router = express.Router();
+
+/**
+ * Transaction Status
+ * Routes that submit on-chain transactions answer 202 with a transaction id; clients poll here
+ * until the status is 'confirmed', 'failed', 'replaced' or 'dropped'.
+ * @route GET /transactions/:id
+ * @param {string} id - Transaction id returned by the submitting route
+ */
+router.get('/:id', authenticateUser, async (req, res, next) => {
+    try {
+        const record = await txTracker.getForUser(req.params.id, req.user);
+        res.json({ transaction: record.toStatus() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
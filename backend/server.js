@@ -0,0 +1,74 @@
+// Validate configuration before anything connects; exit with the list of problems if it is invalid
+let config;
+try {
+  config = require('./config');
+} catch (error) {
+  // The logger reads the configuration, so a configuration error goes straight to stderr
+  process.stderr.write(`${error.message}\n`);
+  process.exitCode = 1;
+}
+
+/**
+ * Start the HTTP server and the background workers, once the configuration is valid
+ * @returns {http.Server} - The listening server
+ */
+function start() {
+  const app = require('./app');
+  const logger = require('./utils/logger');
+  const db = require('./db/dbconfig'); // Opens the MongoDB connection on require
+  const { monitorEvents } = require('./services/omnichainService');
+  const txTracker = require('./services/txTracker');
+  const jobQueue = require('./services/jobQueue');
+  const escrowService = require('./services/escrowService');
+  const streamService = require('./services/streamService');
+  const payoutService = require('./services/payoutService');
+  const priceService = require('./services/priceService');
+  const crossChainService = require('./services/crossChainService');
+
+  const PORT = config.server.port;
+
+  // Single HTTP server for the whole backend; services only export logic
+  const server = app.listen(PORT, () => {
+    logger.info(`Server is running on port ${PORT}`);
+
+    // Background listeners that used to be started by the standalone service servers
+    monitorEvents().catch((err) => logger.error(`Failed to start contract event monitor: ${err.message}`));
+    txTracker.startWatcher(); // Follows submitted transactions to confirmation
+    jobQueue.start(); // Runs queued background jobs
+    escrowService.startAutoRelease(); // Releases escrows whose deadline has passed
+    streamService.startSolvencyWatcher(); // Flags streams whose sender ran out of funds
+    payoutService.startPayoutRuns(); // Sends requested creator payouts in periodic runs
+    priceService.startSnapshots(); // Stores prices for valuing past payments
+    crossChainService.startAttestationWatcher(); // Mints cross-chain payments once Circle attests their burn
+  });
+
+  // Graceful shutdown for MongoDB and the server; the process ends once nothing is left open
+  function shutdown(signal) {
+    logger.info(`${signal} received. Shutting down gracefully...`);
+    txTracker.stopWatcher();
+    escrowService.stopAutoRelease();
+    streamService.stopSolvencyWatcher();
+    payoutService.stopPayoutRuns();
+    priceService.stopSnapshots();
+    crossChainService.stopAttestationWatcher();
+    server.close(async () => {
+      logger.info('HTTP server closed.');
+      try {
+        await jobQueue.stop();
+        logger.info('Job queue closed.');
+        await db.close();
+        logger.info('MongoDB connection closed.');
+      } catch (err) {
+        logger.error(`Error closing MongoDB connection: ${err.message}`);
+        process.exitCode = 1;
+      }
+    });
+  }
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  return server;
+}
+
+module.exports = config ? start() : null;
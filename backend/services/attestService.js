@@ -1,15 +1,12 @@
 // Import necessary libraries and modules
-const { ethers } = require('ethers');
-const SignProtocol = require('./SignProtocol'); // Sign Protocol for attestation management
-const LitProtocol = require('./LitProtocol'); // Lit Protocol for encryption
-const User = require('./models/User'); // User model to fetch user data
-
-// Set up provider for blockchain interactions
-const provider = new ethers.providers.JsonRpcProvider(process.env.BLOCKCHAIN_RPC_URL);
-const signer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+const { SignProtocol, LitProtocol } = require('../adapters'); // Sign Protocol for attestations, Lit Protocol for encryption
+const User = require('../models/User'); // User model to fetch user data
+const Attestation = require('../models/Attestation'); // MongoDB model for attestations
+const jobQueue = require('./jobQueue'); // Background jobs with retries
+const { NotFoundError, ValidationError, wrapError } = require('../errors');
 
 /**
- * Create Attestation with input validation and gas estimation
+ * Create Attestation with input validation
  * @param {string} creatorId - ID of the content creator
  * @param {string} contentId - ID of the content for which attestation is created
  * @param {string} licenseTerms - Terms of the license associated with the content
@@ -19,27 +16,21 @@ async function createAttestation(creatorId, contentId, licenseTerms) {
     try {
         // Input validation
         if (!creatorId || !contentId || !licenseTerms) {
-            throw new Error('Invalid input parameters');
+            throw new ValidationError('Invalid input parameters');
         }
 
         const creator = await User.findById(creatorId);
-        if (!creator) throw new Error('Creator not found');
+        if (!creator) throw new NotFoundError('Creator not found');
 
-        const attestationData = {
-            creator: creator.blockchainAddress,
+        const tx = await SignProtocol.createAttestation({
+            attester: creator.blockchainAddress,
             contentId,
-            licenseTerms,
-        };
-
-        // Gas estimation for creating attestation
-        const gasEstimate = await SignProtocol.estimateGas.createAttestation(attestationData);
-
-        const tx = await SignProtocol.createAttestation(attestationData, { gasLimit: gasEstimate });
-        await tx.wait(); // Wait for transaction confirmation
+            data: { licenseTerms },
+        });
         return tx.hash;
     } catch (error) {
         console.error('Error creating attestation:', error);
-        throw new Error('Attestation creation failed');
+        throw wrapError(error, 'Attestation creation failed');
     }
 }
 
@@ -51,19 +42,19 @@ async function createAttestation(creatorId, contentId, licenseTerms) {
 async function verifyAttestation(attestationId) {
     try {
         if (!attestationId) {
-            throw new Error('Invalid attestation ID');
+            throw new ValidationError('Invalid attestation ID');
         }
 
         const isValid = await SignProtocol.verifyAttestation(attestationId);
         return isValid;
     } catch (error) {
         console.error('Error verifying attestation:', error, { attestationId });
-        throw new Error('Attestation verification failed');
+        throw wrapError(error, 'Attestation verification failed');
     }
 }
 
 /**
- * Create Encrypted Attestation with error handling and gas estimation
+ * Create Encrypted Attestation with error handling
  * @param {string} creatorId - ID of the content creator
  * @param {string} contentId - ID of the content for which encrypted attestation is created
  * @param {string} licenseTerms - Terms of the license associated with the content
@@ -72,28 +63,28 @@ async function verifyAttestation(attestationId) {
 async function createEncryptedAttestation(creatorId, contentId, licenseTerms) {
     try {
         if (!creatorId || !contentId || !licenseTerms) {
-            throw new Error('Invalid input parameters');
+            throw new ValidationError('Invalid input parameters');
         }
 
         const creator = await User.findById(creatorId);
-        if (!creator) throw new Error('Creator not found');
+        if (!creator) throw new NotFoundError('Creator not found');
 
         // Encrypt attestation data using Lit Protocol
-        const encryptedData = await LitProtocol.encryptData({
+        const encryptedData = await LitProtocol.encrypt({
             creator: creator.blockchainAddress,
             contentId,
             licenseTerms,
         });
 
-        // Estimate gas for encrypted attestation creation
-        const gasEstimate = await SignProtocol.estimateGas.createAttestation(encryptedData);
-
-        const tx = await SignProtocol.createAttestation(encryptedData, { gasLimit: gasEstimate });
-        await tx.wait(); // Wait for transaction confirmation
+        const tx = await SignProtocol.createAttestation({
+            attester: creator.blockchainAddress,
+            contentId,
+            data: encryptedData,
+        });
         return tx.hash;
     } catch (error) {
         console.error('Error creating encrypted attestation:', error);
-        throw new Error('Encrypted attestation creation failed');
+        throw wrapError(error, 'Encrypted attestation creation failed');
     }
 }
 
@@ -106,19 +97,17 @@ async function createEncryptedAttestation(creatorId, contentId, licenseTerms) {
 async function disputeAttestation(attestationId, disputeDetails) {
     try {
         if (!attestationId || !disputeDetails) {
-            throw new Error('Invalid input parameters');
+            throw new ValidationError('Invalid input parameters');
         }
 
         let retries = 0;
         let tx = null;
+        let lastError;
         while (!tx && retries < 3) {
             try {
-                // Estimate gas for raising a dispute
-                const gasEstimate = await SignProtocol.estimateGas.raiseDispute(attestationId, disputeDetails);
-
-                tx = await SignProtocol.raiseDispute(attestationId, disputeDetails, { gasLimit: gasEstimate });
-                await tx.wait(); // Wait for transaction confirmation
+                tx = await SignProtocol.raiseDispute(attestationId, disputeDetails);
             } catch (error) {
+                lastError = error;
                 retries += 1;
                 console.error(`Retry ${retries}: Error disputing attestation`, error);
                 await new Promise(resolve => setTimeout(resolve, 1000)); // Retry after 1 second
@@ -126,20 +115,58 @@ async function disputeAttestation(attestationId, disputeDetails) {
         }
 
         if (!tx) {
-            throw new Error('Dispute resolution failed after 3 retries');
+            throw wrapError(lastError, 'Dispute resolution failed after 3 retries');
         }
 
         return tx.hash;
     } catch (error) {
         console.error('Error disputing attestation:', error);
-        throw new Error('Dispute resolution failed');
+        throw wrapError(error, 'Dispute resolution failed');
     }
 }
 
+/**
+ * Queue an attestation for a creator's content
+ * Sign Protocol (and Lit Protocol for encrypted details) is called by the 'attestation.create'
+ * job; queueing the same content again returns the existing job.
+ * @param {string} userId - ID of the content creator
+ * @param {string} contentId - ID of the content to attest
+ * @param {Object} [attestationDetails] - Details to encrypt into the attestation (plain attestation if omitted)
+ * @returns {Promise<Object>} - Job summary; its result holds the attestationId once completed
+ */
+async function queueAttestation(userId, contentId, attestationDetails) {
+    const encrypted = attestationDetails !== undefined;
+    return jobQueue.enqueue('attestation.create', { userId, contentId, attestationDetails, encrypted }, {
+        key: `${userId}:${contentId}:${encrypted ? 'encrypted' : 'plain'}`,
+        userId,
+    });
+}
+
+// Sign the attestation once, then save it under the job ID so a retry cannot store it twice
+jobQueue.define('attestation.create', {
+    handler: async ({ userId, contentId, attestationDetails, encrypted }, { id, step }) => {
+        const attestationData = await step('sign', async () => {
+            if (!encrypted) {
+                return SignProtocol.createAttestation({ attester: userId, contentId });
+            }
+            const encryptedAttestation = await LitProtocol.encrypt(attestationDetails);
+            return SignProtocol.createAttestation({ attester: userId, contentId, data: encryptedAttestation });
+        });
+
+        const attestation = await Attestation.findOneAndUpdate(
+            { jobId: String(id) },
+            { $setOnInsert: { userId, contentId, attestationData, encrypted } },
+            { upsert: true, new: true }
+        );
+        return { attestationId: attestation.id };
+    },
+});
+
 // Export the functions for use in other modules
 module.exports = {
     createAttestation,
     verifyAttestation,
     createEncryptedAttestation,
     disputeAttestation,
+    queueAttestation,
 };
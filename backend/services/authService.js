@@ -0,0 +1,355 @@
+// Import necessary libraries and modules
+const crypto = require('crypto');
+const { URL } = require('url');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { ethers } = require('ethers');
+const config = require('../config'); // Validated application configuration
+const User = require('../models/User'); // MongoDB model for users
+const SiweNonce = require('../models/SiweNonce'); // Sign-In with Ethereum messages handed out
+const RefreshToken = require('../models/RefreshToken'); // Hashed refresh tokens, one family per session
+const chainRegistry = require('./chainRegistry'); // Chains a wallet can sign in on
+const logger = require('../utils/logger');
+const { EVM_ADDRESS_REGEX } = require('../models/validators');
+const {
+    AuthenticationError,
+    AuthorizationError,
+    ConflictError,
+    NotFoundError,
+    ValidationError,
+} = require('../errors');
+
+// Statement shown by the wallet, per purpose of the message
+const STATEMENTS = {
+    sign_in: 'Sign in to KOSMA.',
+    link: 'Link this wallet to your KOSMA account.',
+};
+
+const userIdOf = (user) => String(user.userId || user.id);
+
+// Mongo duplicate key error, raised when two requests create or link the same wallet at once
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// Refresh tokens are random, and only their SHA-256 hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Access token for a session, the same for password and wallet sign-in
+ * @param {Object} user - User document
+ * @param {string} sessionId - Family of the session's refresh tokens
+ * @returns {string} - JWT with { userId, role, sid }, valid for config.auth.jwtExpiresIn
+ */
+function issueToken(user, sessionId) {
+    return jwt.sign({ userId: user._id, role: user.role, sid: String(sessionId) }, config.auth.jwtSecret, { expiresIn: config.auth.jwtExpiresIn });
+}
+
+// Store a new refresh token in a family and return it, unhashed, with its document
+async function issueRefreshToken(user, family, { userAgent, ip } = {}) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const doc = await RefreshToken.create({
+        userId: user._id,
+        family,
+        tokenHash: hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + config.auth.refreshTokenTtlMs),
+        userAgent,
+        ip,
+    });
+    return { refreshToken, doc };
+}
+
+// Revoke every token of the matching sessions that is still valid; returns the sessions revoked
+async function revokeFamilies(filter, reason) {
+    const families = await RefreshToken.distinct('family', { ...filter, revokedAt: { $exists: false } });
+    if (families.length > 0) {
+        await RefreshToken.updateMany({ family: { $in: families }, revokedAt: { $exists: false } }, { revokedAt: new Date(), revokedReason: reason });
+    }
+    return families.length;
+}
+
+/**
+ * Sign a user in on a device: a short-lived access token and a refresh token to renew it
+ * @param {Object} user - User document
+ * @param {Object} [device] - { userAgent, ip } of the request, shown with the session
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId }
+ */
+async function startSession(user, device) {
+    const family = new mongoose.Types.ObjectId();
+    const { refreshToken } = await issueRefreshToken(user, family, device);
+
+    logger.info(`User ${user._id} started session ${family}`);
+    return { token: issueToken(user, family), refreshToken, sessionId: String(family) };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * Each refresh token works once. Presenting one that was already exchanged means it was copied,
+ * so the whole session is revoked and both holders have to sign in again.
+ * @param {string} refreshToken - Refresh token from startSession() or a previous refresh
+ * @param {Object} [device] - { userAgent, ip } of the request
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId }
+ * @throws {AuthenticationError} - If the token is unknown, expired, revoked or reused
+ */
+async function refreshSession(refreshToken, device) {
+    if (typeof refreshToken !== 'string' || refreshToken.length === 0) {
+        throw new AuthenticationError('Refresh token is required');
+    }
+    const tokenHash = hashToken(refreshToken);
+
+    // Claimed before the new token is issued, so two refreshes with one token cannot both succeed
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, rotatedAt: { $exists: false }, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+        { rotatedAt: new Date() },
+        { new: true }
+    );
+    if (!current) {
+        const known = await RefreshToken.findOne({ tokenHash });
+        if (known && known.rotatedAt && !known.revokedAt) {
+            await revokeFamilies({ family: known.family }, 'reuse');
+            logger.warn(`Refresh token reused in session ${known.family} of user ${known.userId}; session revoked`);
+        }
+        throw new AuthenticationError('Refresh token is invalid, expired or revoked. Please log in again.');
+    }
+
+    const user = await User.findById(current.userId);
+    if (!user) {
+        await revokeFamilies({ family: current.family }, 'user_removed');
+        throw new AuthenticationError('Refresh token is invalid, expired or revoked. Please log in again.');
+    }
+
+    const { refreshToken: next, doc } = await issueRefreshToken(user, current.family, device);
+    await RefreshToken.updateOne({ _id: current._id }, { replacedBy: doc._id });
+
+    return { token: issueToken(user, current.family), refreshToken: next, sessionId: String(current.family) };
+}
+
+/**
+ * Whether the session an access token belongs to is still signed in
+ * @param {string} sessionId - `sid` claim of the access token
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+    const active = await RefreshToken.exists({ family: sessionId, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } });
+    return Boolean(active);
+}
+
+/**
+ * Log out one session: its refresh and access tokens stop working at once
+ * The session is the one of the access token, or of the refresh token when one is given.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} [refreshToken] - Refresh token of the session
+ * @returns {Promise<number>} - Sessions revoked (0 when already logged out)
+ */
+async function logout(user, refreshToken) {
+    const userId = userIdOf(user);
+    let family = mongoose.isValidObjectId(user.sid) ? user.sid : null;
+    if (typeof refreshToken === 'string' && refreshToken.length > 0) {
+        const token = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken), userId });
+        if (token) family = token.family;
+    }
+    if (!family) return 0;
+
+    const revoked = await revokeFamilies({ family, userId }, 'logout');
+    logger.info(`User ${userId} logged out of session ${family}`);
+    return revoked;
+}
+
+/**
+ * Log a user out on every device
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<number>} - Sessions revoked
+ */
+async function logoutAll(user) {
+    const userId = userIdOf(user);
+    if (!mongoose.isValidObjectId(userId)) return 0;
+
+    const revoked = await revokeFamilies({ userId }, 'logout_all');
+    logger.info(`User ${userId} logged out of all ${revoked} sessions`);
+    return revoked;
+}
+
+// Domain the wallet shows the user; it must be the site asking for the signature
+const siweDomain = () => config.auth.siweDomain || new URL(config.server.frontendUrl).host;
+
+// Checksummed wallet address, or a validation error
+function walletOf(address) {
+    if (!EVM_ADDRESS_REGEX.test(address || '')) {
+        throw new ValidationError('Invalid wallet address', { details: [{ field: 'address', message: 'Must be an EVM address' }] });
+    }
+    try {
+        return ethers.utils.getAddress(address);
+    } catch (error) {
+        throw new ValidationError('Invalid wallet address', { details: [{ field: 'address', message: 'Checksum does not match' }] });
+    }
+}
+
+// Store and return an EIP-4361 message for the wallet to sign
+async function issueMessage(purpose, { address, chainId } = {}, userId) {
+    const wallet = walletOf(address);
+    const chain = chainRegistry.resolveChain(chainId || config.blockchain.defaultChain);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + config.auth.siweNonceTtlMs);
+
+    const message = [
+        `${siweDomain()} wants you to sign in with your Ethereum account:`,
+        wallet,
+        '',
+        STATEMENTS[purpose],
+        '',
+        `URI: ${config.server.frontendUrl}`,
+        'Version: 1',
+        `Chain ID: ${chain.chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt.toISOString()}`,
+        `Expiration Time: ${expiresAt.toISOString()}`,
+    ].join('\n');
+
+    await SiweNonce.create({ nonce, purpose, userId, address: wallet, chainId: chain.chainId, message, expiresAt });
+    return { message, nonce, expiresAt };
+}
+
+// Use up the nonce of a signed message and check the wallet signed it; `Failure` is the error to throw
+async function consumeMessage(purpose, { message, signature } = {}, Failure) {
+    const nonce = typeof message === 'string' ? /^Nonce: ([a-zA-Z0-9]{8,})$/m.exec(message)?.[1] : null;
+    if (!nonce || typeof signature !== 'string') {
+        throw new Failure('A signed Sign-In with Ethereum message is required');
+    }
+
+    // Used up before checking the signature, so a nonce can never be tried twice
+    const challenge = await SiweNonce.findOneAndUpdate(
+        { nonce, purpose, usedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() },
+        { new: true }
+    );
+    if (!challenge || challenge.message !== message) {
+        throw new Failure('Sign-In with Ethereum message is invalid, expired or already used');
+    }
+
+    let signer = null;
+    try {
+        signer = ethers.utils.verifyMessage(message, signature);
+    } catch (error) {
+        signer = null;
+    }
+    if (!signer || signer !== challenge.address) {
+        throw new Failure('Message is not signed by the wallet');
+    }
+    return challenge;
+}
+
+/**
+ * Sign-In with Ethereum message for a wallet to sign (EIP-4361)
+ * The message is bound to config.auth.siweDomain, the chain and a single-use nonce, and expires
+ * after config.auth.siweNonceTtlMs.
+ * @param {Object} request - Wallet signing in
+ * @param {string} request.address - EVM address
+ * @param {number|string} [request.chainId] - Chain ID or config key (defaults to the default chain)
+ * @returns {Promise<Object>} - { message, nonce, expiresAt }
+ */
+async function createSignInMessage(request) {
+    return issueMessage('sign_in', request);
+}
+
+/**
+ * Sign in with a signed message from createSignInMessage()
+ * A wallet that is not linked to any account gets a new wallet-only account.
+ * @param {Object} request - Signed message
+ * @param {string} request.message - Message as returned, unchanged
+ * @param {string} request.signature - personal_sign signature of the message
+ * @param {Object} [device] - { userAgent, ip } of the request
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId, user, created }
+ * @throws {AuthenticationError} - If the message is unknown, expired, used or not signed by its wallet
+ */
+async function signIn(request, device) {
+    const { address, chainId } = await consumeMessage('sign_in', request, AuthenticationError);
+
+    let user = await User.findOne({ 'wallets.address': address });
+    let created = false;
+    if (!user) {
+        try {
+            user = await User.create({
+                username: `wallet-${address.toLowerCase()}`,
+                blockchainAddress: address,
+                wallets: [{ address, chainId }],
+            });
+            created = true;
+            logger.info(`Created wallet-only user ${user.id} for ${address}`);
+        } catch (error) {
+            // Signed in twice at once: the other request created the account
+            if (!isDuplicateKey(error)) throw error;
+            user = await User.findOne({ 'wallets.address': address });
+            if (!user) throw error;
+        }
+    }
+
+    logger.info(`User ${user.id} signed in with wallet ${address} on chain ${chainId}`);
+    return { ...(await startSession(user, device)), user, created };
+}
+
+/**
+ * Message for a signed-in user to link another wallet to their account
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} request - Wallet to link: { address, chainId }
+ * @returns {Promise<Object>} - { message, nonce, expiresAt }
+ */
+async function createLinkMessage(user, request) {
+    const userId = userIdOf(user);
+    if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId }))) {
+        throw new NotFoundError('User not found');
+    }
+    return issueMessage('link', request, userId);
+}
+
+/**
+ * Link a wallet to the user's account with a signed message from createLinkMessage()
+ * The wallet can then sign in to the account. A wallet is linked to one account only.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} request - Signed message
+ * @param {string} request.message - Message as returned, unchanged
+ * @param {string} request.signature - personal_sign signature of the message
+ * @param {boolean} [request.primary] - Also make it the account's blockchainAddress, which is paid and signs payments
+ * @returns {Promise<Object>} - Updated user
+ * @throws {AuthorizationError} - If the message is unknown, expired, used, for another user or not signed by its wallet
+ * @throws {ConflictError} - If the wallet is linked to another account
+ */
+async function linkWallet(user, { message, signature, primary = false } = {}) {
+    const userId = userIdOf(user);
+    const account = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!account) throw new NotFoundError('User not found');
+
+    const { address, chainId, userId: ownerId } = await consumeMessage('link', { message, signature }, AuthorizationError);
+    if (String(ownerId) !== userId) {
+        throw new AuthorizationError('Sign-In with Ethereum message is invalid, expired or already used');
+    }
+
+    const owner = await User.findOne({ 'wallets.address': address });
+    if (owner && String(owner._id) !== userId) {
+        throw new ConflictError('This wallet is already linked to another account');
+    }
+    if (!owner) account.wallets.push({ address, chainId });
+    if (primary) account.blockchainAddress = address;
+
+    try {
+        await account.save();
+    } catch (error) {
+        if (isDuplicateKey(error)) throw new ConflictError('This wallet is already linked to another account');
+        throw error;
+    }
+
+    logger.info(`Linked wallet ${address} to user ${userId}${primary ? ' as its primary address' : ''}`);
+    return account;
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    startSession,
+    refreshSession,
+    isSessionActive,
+    logout,
+    logoutAll,
+    createSignInMessage,
+    signIn,
+    createLinkMessage,
+    linkWallet,
+};
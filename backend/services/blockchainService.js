@@ -1,27 +1,15 @@
 // Import necessary libraries and modules
 const { ethers } = require('ethers');
-const LayerZero = require('./LayerZero'); // LayerZero V2 Endpoint for cross-chain messaging
-const StoryProtocol = require('./StoryProtocol'); // Story Protocol for licensing and royalty management
+const { LayerZero } = require('../adapters'); // LayerZero V2 for cross-chain messaging
+const txTracker = require('./txTracker'); // Follows submitted transactions to confirmation
+const signerPool = require('./signerPool'); // Nonce-managed operator wallets
+const { wrapError } = require('../errors');
 
-// Set up default provider and signer for blockchain interactions
-let provider = new ethers.providers.JsonRpcProvider(process.env.BLOCKCHAIN_RPC_URL);
-let signer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-
-// Centralized error handling function with extended logging
+// Centralized error handling: log, then rethrow as CHAIN_REVERTED, CHAIN_UNAVAILABLE, INSUFFICIENT_FUNDS, ...
 function handleError(error, context = {}) {
     console.error('Blockchain Error:', error);
     console.error('Context:', context);
-    throw new Error('Blockchain transaction failed. Please try again.');
-}
-
-/**
- * Update provider dynamically if interacting with multiple blockchains
- * @param {string} rpcUrl - The RPC URL for the new blockchain
- * @param {string} privateKey - Private key of the signer (optional, falls back to environment)
- */
-function updateProvider(rpcUrl, privateKey = process.env.PRIVATE_KEY) {
-    provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-    signer = new ethers.Wallet(privateKey, provider);
+    throw wrapError(error, 'Blockchain transaction failed. Please try again.');
 }
 
 /**
@@ -29,17 +17,17 @@ function updateProvider(rpcUrl, privateKey = process.env.PRIVATE_KEY) {
  * @param {string} contractAddress - Address of the NFT contract
  * @param {string} tokenURI - Metadata URI for the NFT
  * @param {Array} abi - Contract ABI for flexibility
- * @returns {Promise<string>} - Transaction hash of the minting process
+ * @param {number|string} [chain] - Chain ID or name the contract is on (defaults to the default chain)
+ * @returns {Promise<Object>} - TxRecord tracking the minting transaction
  */
-async function mintNFT(contractAddress, tokenURI, abi) {
+async function mintNFT(contractAddress, tokenURI, abi, chain) {
     try {
-        const contract = new ethers.Contract(contractAddress, abi, signer);
+        const contract = new ethers.Contract(contractAddress, abi, signerPool.acquire(chain));
         const gasEstimate = await contract.estimateGas.mint(tokenURI);
         const tx = await contract.mint(tokenURI, { gasLimit: gasEstimate });
-        await tx.wait(); // Wait for transaction confirmation
-        return tx.hash;
+        return await txTracker.submit(tx, { kind: 'nft.mint', chain, metadata: { contractAddress, tokenURI } });
     } catch (error) {
-        handleError(error, { method: 'mintNFT', contractAddress, tokenURI });
+        handleError(error, { method: 'mintNFT', contractAddress, tokenURI, chain });
     }
 }
 
@@ -49,17 +37,21 @@ async function mintNFT(contractAddress, tokenURI, abi) {
  * @param {string} recipient - Address of the recipient
  * @param {ethers.BigNumber} amount - Amount to be sent
  * @param {Array} abi - Contract ABI for flexibility
- * @returns {Promise<string>} - Transaction hash of the payment
+ * @param {number|string} [chain] - Chain ID or name the contract is on (defaults to the default chain)
+ * @returns {Promise<Object>} - TxRecord tracking the payment transaction
  */
-async function handlePayment(contractAddress, recipient, amount, abi) {
+async function handlePayment(contractAddress, recipient, amount, abi, chain) {
     try {
-        const contract = new ethers.Contract(contractAddress, abi, signer);
+        const contract = new ethers.Contract(contractAddress, abi, signerPool.acquire(chain));
         const gasEstimate = await contract.estimateGas.sendPayment(recipient, amount);
         const tx = await contract.sendPayment(recipient, amount, { gasLimit: gasEstimate });
-        await tx.wait(); // Wait for transaction confirmation
-        return tx.hash;
+        return await txTracker.submit(tx, {
+            kind: 'payment.send',
+            chain,
+            metadata: { contractAddress, recipient, amount: amount.toString() },
+        });
     } catch (error) {
-        handleError(error, { method: 'handlePayment', contractAddress, recipient, amount });
+        handleError(error, { method: 'handlePayment', contractAddress, recipient, amount, chain });
     }
 }
 
@@ -69,18 +61,17 @@ async function handlePayment(contractAddress, recipient, amount, abi) {
  * @param {string} userId - User ID for membership management
  * @param {string} action - Action to perform (e.g., 'purchase', 'renew', 'upgrade')
  * @param {Array} abi - Contract ABI for flexibility
- * @returns {Promise<string>} - Transaction hash of the membership action
+ * @param {number|string} [chain] - Chain ID or name the contract is on (defaults to the default chain)
+ * @returns {Promise<Object>} - TxRecord tracking the membership transaction
  */
-async function manageMembership(contractAddress, userId, action, abi) {
+async function manageMembership(contractAddress, userId, action, abi, chain) {
     try {
-        const contract = new ethers.Contract(contractAddress, abi, signer);
-        let tx;
+        const contract = new ethers.Contract(contractAddress, abi, signerPool.acquire(chain));
         const gasEstimate = await contract.estimateGas[action](userId);
-        tx = await contract[action](userId, { gasLimit: gasEstimate });
-        await tx.wait(); // Wait for transaction confirmation
-        return tx.hash;
+        const tx = await contract[action](userId, { gasLimit: gasEstimate });
+        return await txTracker.submit(tx, { kind: `membership.${action}`, chain, metadata: { contractAddress, userId } });
     } catch (error) {
-        handleError(error, { method: 'manageMembership', contractAddress, userId, action });
+        handleError(error, { method: 'manageMembership', contractAddress, userId, action, chain });
     }
 }
 
@@ -88,40 +79,30 @@ async function manageMembership(contractAddress, userId, action, abi) {
  * Cross-Chain Messaging with timeout
  * @param {string} message - Message to be sent across chains
  * @param {string} destination - Destination address for the message
+ * @param {string} targetChain - Chain the destination address is on
  * @returns {Promise<string>} - Transaction hash of the messaging process
  */
-async function sendCrossChainMessage(message, destination) {
+async function sendCrossChainMessage(message, destination, targetChain) {
     try {
-        const tx = await LayerZero.sendMessage(destination, message);
-        await tx.wait(); // Wait for transaction confirmation
+        const tx = await LayerZero.sendMessage(destination, message, targetChain);
         return tx.hash;
     } catch (error) {
-        handleError(error, { method: 'sendCrossChainMessage', destination, message });
+        handleError(error, { method: 'sendCrossChainMessage', destination, targetChain, message });
     }
 }
 
 /**
- * Track Transaction Status with retry mechanism
+ * Track Transaction Status; the transaction watcher keeps following it afterwards
  * @param {string} txHash - Transaction hash to track
- * @returns {Promise<Object>} - Transaction receipt with status and other details
+ * @param {number|string} [chain] - Chain ID or name the transaction was sent on (defaults to the default chain)
+ * @returns {Promise<Object>} - TxRecord with the current status and confirmations
  */
-async function trackTransaction(txHash) {
+async function trackTransaction(txHash, chain) {
     try {
-        let retries = 0;
-        let receipt = null;
-        while (retries < 5 && !receipt) {
-            receipt = await provider.getTransactionReceipt(txHash);
-            if (!receipt) {
-                await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retrying
-                retries += 1;
-            }
-        }
-        if (!receipt) {
-            throw new Error('Transaction not found');
-        }
-        return receipt;
+        const record = await txTracker.trackHash(txHash, { chain });
+        return await txTracker.refresh(record);
     } catch (error) {
-        handleError(error, { method: 'trackTransaction', txHash });
+        handleError(error, { method: 'trackTransaction', txHash, chain });
     }
 }
 
@@ -132,5 +113,4 @@ module.exports = {
     manageMembership,
     sendCrossChainMessage,
     trackTransaction,
-    updateProvider,
 };
@@ -0,0 +1,160 @@
+// Import necessary libraries and modules
+const { ethers } = require('ethers');
+const config = require('../config'); // Validated application configuration
+const { AppError, ValidationError } = require('../errors');
+
+// ABIs of the KOSMA contracts (Contracts/*.sol), by their key in a chain's contracts section
+const CONTRACT_ABIS = {
+    kosmaNFT: require('./abi/KosmaNFT.json'),
+    kosmaPayments: require('./abi/KosmaPayments.json'),
+    layerZeroMessaging: require('./abi/LayerZeroMessaging.json'),
+    storyIntegration: require('./abi/StoryIntegration.json'),
+    signAttestations: require('./abi/SignAttestations.json'),
+    unlockMemberships: require('./abi/UnlockMemberships.json'),
+    usdc: require('./abi/ERC20.json'),
+    messageTransmitter: require('./abi/MessageTransmitter.json'), // Circle CCTP
+};
+
+// Milliseconds before a slow RPC endpoint is bypassed for the next one
+const RPC_STALL_TIMEOUT = 2000;
+
+// Configured chains keyed by chain ID, each with its config key as `name`
+const chains = new Map(Object.entries(config.chains).map(([name, settings]) => [settings.chainId, { name, ...settings }]));
+
+// One provider per chain ID, created on first use
+const providers = new Map();
+
+/**
+ * Settings of a configured chain
+ * @param {number|string} [ref] - Chain ID (e.g. 137) or config key (e.g. 'polygon'); defaults to the default chain
+ * @returns {Object} - Chain settings plus `name`
+ * @throws {ValidationError} - If the chain is not configured
+ */
+function resolveChain(ref = config.blockchain.defaultChain) {
+    const chain = /^\d+$/.test(String(ref))
+        ? chains.get(Number(ref))
+        : [...chains.values()].find(({ name }) => name === String(ref).toLowerCase());
+    if (!chain) {
+        throw new ValidationError(`Unsupported chain "${ref}"`, { details: { chain: ref, supported: [...chains.keys()] } });
+    }
+    return chain;
+}
+
+/**
+ * Provider for a chain, falling back through rpcFallbacks when rpcUrl errors or stalls
+ * @param {number|string} [ref] - Chain ID or config key (defaults to the default chain)
+ * @returns {ethers.providers.Provider}
+ */
+function getProvider(ref) {
+    const chain = resolveChain(ref);
+    if (!providers.has(chain.chainId)) {
+        const urls = [chain.rpcUrl, ...chain.rpcFallbacks].filter(Boolean);
+        if (urls.length === 0) {
+            throw new AppError(`No RPC endpoint configured for chain "${chain.name}"`, { code: 'CHAIN_UNAVAILABLE' });
+        }
+
+        const network = { name: chain.name, chainId: chain.chainId };
+        const endpoints = urls.map((url) => new ethers.providers.StaticJsonRpcProvider(url, network));
+        providers.set(chain.chainId, endpoints.length === 1
+            ? endpoints[0]
+            : new ethers.providers.FallbackProvider(endpoints.map((provider, index) => ({
+                provider,
+                priority: index + 1,
+                stallTimeout: RPC_STALL_TIMEOUT,
+            })), 1));
+    }
+    return providers.get(chain.chainId);
+}
+
+/**
+ * Deployed address of a KOSMA contract
+ * @param {number|string} ref - Chain ID or config key
+ * @param {string} name - Contract key (e.g. 'unlockMemberships')
+ * @returns {string} - Contract address
+ * @throws {ValidationError} - If the contract is not deployed on that chain
+ */
+function getAddress(ref, name) {
+    const chain = resolveChain(ref);
+    const address = chain.contracts[name];
+    if (!address) {
+        throw new ValidationError(`${name} is not deployed on ${chain.name}`, { details: { chain: chain.name, contract: name } });
+    }
+    return address;
+}
+
+/**
+ * ABI of a KOSMA contract
+ * @param {string} name - Contract key (e.g. 'unlockMemberships')
+ * @returns {string[]} - Human-readable ABI fragments
+ */
+function getAbi(name) {
+    if (!CONTRACT_ABIS[name]) {
+        throw new Error(`Unknown contract: ${name}`);
+    }
+    return CONTRACT_ABIS[name];
+}
+
+/**
+ * Contract instance on a chain
+ * Pass a signer from signerPool to send transactions; the default is read-only.
+ * @param {number|string} ref - Chain ID or config key
+ * @param {string} name - Contract key (e.g. 'unlockMemberships')
+ * @param {Object} [signerOrProvider] - Signer or provider to connect (defaults to the chain's provider)
+ * @returns {ethers.Contract}
+ */
+function getContract(ref, name, signerOrProvider = getProvider(ref)) {
+    return new ethers.Contract(getAddress(ref, name), getAbi(name), signerOrProvider);
+}
+
+/**
+ * LayerZero endpoint ID of a chain
+ * @param {number|string} ref - Chain ID or config key
+ * @returns {number} - ID used as destChainId/srcChainId by LayerZeroMessaging
+ */
+function layerZeroChainId(ref) {
+    const chain = resolveChain(ref);
+    if (!chain.layerZeroChainId) {
+        throw new ValidationError(`${chain.name} is not a LayerZero destination`, { details: { chain: chain.name } });
+    }
+    return chain.layerZeroChainId;
+}
+
+/**
+ * Chain with the given LayerZero endpoint ID
+ * @param {number} id - LayerZero endpoint ID
+ * @returns {Object} - Chain settings plus `name`
+ */
+function chainForLayerZeroId(id) {
+    const chain = [...chains.values()].find((candidate) => candidate.layerZeroChainId === Number(id));
+    if (!chain) {
+        throw new ValidationError(`Unsupported LayerZero chain ${id}`);
+    }
+    return chain;
+}
+
+/**
+ * Circle CCTP domain of a chain
+ * @param {number|string} ref - Chain ID or config key
+ * @returns {number} - Domain ID used in CCTP messages and attestations
+ * @throws {ValidationError} - If cross-chain USDC is not set up for the chain
+ */
+function cctpDomain(ref) {
+    const chain = resolveChain(ref);
+    if (chain.cctpDomain === undefined) {
+        throw new ValidationError(`${chain.name} does not support cross-chain USDC`, { details: { chain: chain.name } });
+    }
+    return chain.cctpDomain;
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    CONTRACT_ABIS,
+    resolveChain,
+    getProvider,
+    getAddress,
+    getAbi,
+    getContract,
+    layerZeroChainId,
+    chainForLayerZeroId,
+    cctpDomain,
+};
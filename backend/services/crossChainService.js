@@ -0,0 +1,334 @@
+// Import necessary libraries and modules
+const mongoose = require('mongoose');
+const { CCTP } = require('../adapters'); // Circle CCTP burn, attestation and mint
+const config = require('../config'); // Validated application configuration
+const CrossChainPayment = require('../models/CrossChainPayment'); // Payments to creators on other chains
+const User = require('../models/User'); // MongoDB model for users
+const Content = require('../models/Content'); // MongoDB model for content
+const ledgerService = require('./ledgerService'); // Double-entry ledger of user funds
+const royaltyService = require('./royaltyService'); // Platform fee
+const chainRegistry = require('./chainRegistry'); // CCTP domains per chain
+const notificationService = require('./notificationService'); // Pushes status updates to users
+const jobQueue = require('./jobQueue'); // Background jobs with retries
+const fraudService = require('./fraudService'); // Releases cross-chain payments held for review
+const logger = require('../utils/logger');
+const { NotFoundError, ValidationError, wrapError } = require('../errors');
+
+const userIdOf = (user) => String(user.userId || user.id);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const invalid = (field, message) => new ValidationError(`Invalid cross-chain payment: ${message}`, { details: [{ field, message }] });
+
+// Config key of a chain that can send or receive cross-chain USDC
+function cctpChain(ref, field) {
+    if (!ref) throw invalid(field, 'Required');
+    const { name } = chainRegistry.resolveChain(ref);
+    chainRegistry.cctpDomain(name);
+    return name;
+}
+
+// Creator paid by a tip, or the owner of purchased content
+async function payee(type, { creatorId, contentId }) {
+    if (type === 'tip') {
+        const creator = mongoose.isValidObjectId(creatorId) ? await User.findById(creatorId) : null;
+        if (!creator) throw new NotFoundError('Creator not found');
+        return { creator };
+    }
+
+    const content = mongoose.isValidObjectId(contentId) ? await Content.findById(contentId) : null;
+    if (!content) throw new NotFoundError('Content not found');
+    const creator = content.owner && await User.findOne({ blockchainAddress: new RegExp(`^${escapeRegex(content.owner)}$`, 'i') });
+    if (!creator) throw new NotFoundError('Content creator not found');
+    return { creator, content };
+}
+
+// Tell the payer, and the creator once paid, how far the payment got
+function announce(payment, type, message, recipients = [payment.userId]) {
+    const data = { crossChainPaymentId: payment.id, status: payment.status, destinationChain: payment.destinationChain };
+    return Promise.all(recipients.map((userId) => notificationService.notify(userId, type, message, data)));
+}
+
+/**
+ * Pay a creator's wallet on another chain with Circle CCTP
+ * The amount is set aside from the payer's funds now; the 'cctp.burn' job burns it on the source
+ * chain, the attestation watcher waits for Circle's attestation, and the 'cctp.mint' job mints
+ * it on the destination chain. Purchases keep the platform fee and send the rest.
+ * @param {Object} user - Authenticated payer (req.user)
+ * @param {Object} request - Payment details
+ * @param {string} request.type - 'tip' or 'purchase'
+ * @param {string} [request.creatorId] - Tipped creator (tips)
+ * @param {string} [request.contentId] - Purchased content (purchases)
+ * @param {number} request.amount - USDC to pay
+ * @param {string} request.destinationChain - Chain ID or config key of the creator's wallet
+ * @param {string} [request.sourceChain] - Chain to burn on (defaults to the default chain)
+ * @returns {Promise<Object>} - { payment, job }
+ * @throws {InsufficientFundsError} - If the payer's balance cannot cover the amount
+ */
+async function sendPayment(user, { type, creatorId, contentId, amount, destinationChain, sourceChain } = {}) {
+    if (!CrossChainPayment.TYPES.includes(type)) {
+        throw invalid('type', `Must be one of ${CrossChainPayment.TYPES.join(', ')}`);
+    }
+    const units = ledgerService.toUnits(amount);
+    if (units <= 0) throw invalid('amount', 'Must be greater than 0');
+
+    const source = cctpChain(sourceChain || config.blockchain.defaultChain, 'sourceChain');
+    const destination = cctpChain(destinationChain, 'destinationChain');
+    if (source === destination) throw invalid('destinationChain', `Must differ from the source chain (${source})`);
+
+    const userId = userIdOf(user);
+    const { creator, content } = await payee(type, { creatorId, contentId });
+    if (String(creator._id) === userId) throw invalid(type === 'tip' ? 'creatorId' : 'contentId', 'You cannot pay yourself');
+    // USDC is minted to this address, so it must be a wallet the creator proved they own
+    const wallet = creator.linkedWallet();
+    if (!wallet) {
+        throw invalid(type === 'tip' ? 'creatorId' : 'contentId', 'The creator has not linked a wallet to be paid to');
+    }
+
+    const fee = type === 'purchase' ? royaltyService.platformFee(units) : 0;
+    const payment = await ledgerService.transaction(async (session) => {
+        const [created] = await CrossChainPayment.create([{
+            userId,
+            creatorId: creator._id,
+            contentId: content?._id,
+            type,
+            amount: ledgerService.fromUnits(units),
+            fee: ledgerService.fromUnits(fee),
+            netAmount: ledgerService.fromUnits(units - fee),
+            recipient: wallet.address,
+            sourceChain: source,
+            destinationChain: destination,
+        }], { session });
+        await ledgerService.recordCrossChainHold(userId, created.amount, created.id, { session });
+        return created;
+    });
+
+    const job = await jobQueue.enqueue('cctp.burn', { crossChainPaymentId: payment.id }, { key: payment.id, userId });
+    logger.info(`Cross-chain ${type} ${payment.id} of ${payment.amount} USDC from ${source} to ${destination} queued`);
+    return { payment, job };
+}
+
+/**
+ * Cross-chain payment visible to the user: one they paid or received, or any for an admin
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} id - CrossChainPayment ID
+ * @returns {Promise<Object>} - CrossChainPayment
+ */
+async function getForUser(user, id) {
+    const payment = mongoose.isValidObjectId(id) ? await CrossChainPayment.findById(id) : null;
+    const userId = userIdOf(user);
+    if (!payment || (String(payment.userId) !== userId && String(payment.creatorId) !== userId && user.role !== 'admin')) {
+        throw new NotFoundError('Cross-chain payment not found');
+    }
+    return payment;
+}
+
+/**
+ * Cross-chain payments the user sent, or with as=receiver the ones paid to them, newest first
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} [filter] - { as, status, start, limit }
+ * @returns {Promise<Object[]>} - CrossChainPayments
+ */
+async function listForUser(user, { as = 'payer', status, start = 0, limit = 50 } = {}) {
+    if (status && !CrossChainPayment.STATUSES.includes(status)) {
+        throw new ValidationError(`Unknown cross-chain payment status "${status}"`, { details: { status, supported: CrossChainPayment.STATUSES } });
+    }
+
+    const query = as === 'receiver' ? { creatorId: userIdOf(user) } : { userId: userIdOf(user) };
+    if (status) query.status = status;
+    return CrossChainPayment.find(query).sort({ createdAt: -1 }).skip(start).limit(limit);
+}
+
+// Give the payer their funds back after a burn that did not go through
+async function failBurn(payment, error) {
+    const failed = await ledgerService.transaction(async (session) => {
+        const current = await CrossChainPayment.findOneAndUpdate(
+            { _id: payment._id, status: 'burning' },
+            { status: 'failed', error: { stage: 'burn', code: error.code || 'BURN_FAILED', message: error.message } },
+            { new: true, session }
+        );
+        if (current) await ledgerService.recordCrossChainReturn(current.userId, current.amount, current.id, { session });
+        return current;
+    });
+
+    if (failed) {
+        logger.warn(`Cross-chain payment ${failed.id} failed to burn: ${error.message}`);
+        await announce(failed, 'cross_chain.failed', `Your payment of ${failed.amount} USDC to ${failed.destinationChain} failed; the amount is back in your balance`);
+    }
+    return failed;
+}
+
+/**
+ * Burn a payment's USDC on the source chain (the 'cctp.burn' job)
+ * @param {Object} payload - { crossChainPaymentId }
+ * @param {Object} context - Job context ({ step })
+ * @returns {Promise<Object>} - { crossChainPaymentId, hash }
+ */
+async function burnPayment({ crossChainPaymentId }, { step }) {
+    const payment = await CrossChainPayment.findById(crossChainPaymentId);
+    if (!payment) throw new NotFoundError('Cross-chain payment not found');
+    if (payment.status !== 'burning') return { crossChainPaymentId, hash: payment.stages?.burn?.hash };
+
+    let burn;
+    try {
+        burn = await step('burn', () => CCTP.burn({
+            receiver: payment.recipient,
+            amount: payment.netAmount,
+            sourceChain: payment.sourceChain,
+            destinationChain: payment.destinationChain,
+        }));
+    } catch (error) {
+        const wrapped = wrapError(error, 'Cross-chain burn failed.');
+        if (!jobQueue.isRetryable(wrapped)) await failBurn(payment, wrapped);
+        throw wrapped;
+    }
+
+    const burned = await CrossChainPayment.findOneAndUpdate(
+        { _id: payment._id, status: 'burning' },
+        { status: 'attesting', message: burn.message, messageHash: burn.messageHash, 'stages.burn': { hash: burn.hash, at: new Date() } },
+        { new: true }
+    );
+    if (burned) {
+        logger.info(`Cross-chain payment ${burned.id} burned on ${burned.sourceChain} (${burn.hash}); waiting for the attestation`);
+        await announce(burned, 'cross_chain.burned', `Your payment of ${burned.amount} USDC left ${burned.sourceChain} and is waiting for Circle's attestation`);
+    }
+    return { crossChainPaymentId, hash: burn.hash };
+}
+
+/**
+ * Ask for the attestation of every burned payment, and queue the mint of those attested
+ * @returns {Promise<number>} - Number of payments attested
+ */
+async function checkAttestations() {
+    const waiting = await CrossChainPayment.find({ status: 'attesting' })
+        .sort({ attestationCheckedAt: 1 })
+        .limit(config.crossChain.batchSize);
+
+    let attested = 0;
+    for (const payment of waiting) {
+        try {
+            const { status, attestation } = await CCTP.getAttestation(payment.messageHash);
+            if (status !== 'complete') {
+                await CrossChainPayment.updateOne({ _id: payment._id, status: 'attesting' }, { attestationCheckedAt: new Date() });
+                continue;
+            }
+
+            const minting = await CrossChainPayment.findOneAndUpdate(
+                { _id: payment._id, status: 'attesting' },
+                { status: 'minting', attestation, 'stages.attestation': { at: new Date() } },
+                { new: true }
+            );
+            if (!minting) continue;
+
+            await jobQueue.enqueue('cctp.mint', { crossChainPaymentId: minting.id }, { key: minting.id, userId: String(minting.userId) });
+            attested += 1;
+        } catch (error) {
+            logger.warn(`Could not check the attestation of cross-chain payment ${payment.id}: ${error.message}`);
+        }
+    }
+    return attested;
+}
+
+/**
+ * Mint an attested payment's USDC to the creator on the destination chain (the 'cctp.mint' job)
+ * The burned USDC cannot come back, so a mint that keeps failing leaves the payment minting and
+ * its job in the dead-letter queue for an admin to retry.
+ * @param {Object} payload - { crossChainPaymentId }
+ * @param {Object} context - Job context ({ step })
+ * @returns {Promise<Object>} - { crossChainPaymentId, hash }
+ */
+async function mintPayment({ crossChainPaymentId }, { step }) {
+    const payment = await CrossChainPayment.findById(crossChainPaymentId);
+    if (!payment) throw new NotFoundError('Cross-chain payment not found');
+    if (payment.status !== 'minting') return { crossChainPaymentId, hash: payment.stages?.mint?.hash };
+
+    let mint;
+    try {
+        mint = await step('mint', () => CCTP.mint({
+            message: payment.message,
+            attestation: payment.attestation,
+            destinationChain: payment.destinationChain,
+        }));
+    } catch (error) {
+        const wrapped = wrapError(error, 'Cross-chain mint failed.');
+        await CrossChainPayment.updateOne(
+            { _id: payment._id, status: 'minting' },
+            { error: { stage: 'mint', code: wrapped.code, message: wrapped.message } }
+        );
+        throw wrapped;
+    }
+
+    const completed = await ledgerService.transaction(async (session) => {
+        const current = await CrossChainPayment.findOneAndUpdate(
+            { _id: payment._id, status: 'minting' },
+            { status: 'completed', completedAt: new Date(), 'stages.mint': { hash: mint.hash, at: new Date() }, $unset: { error: 1 } },
+            { new: true, session }
+        );
+        if (current) await ledgerService.recordCrossChainPayment(current.creatorId, current.amount, current.fee, current.id, { session });
+        return current;
+    });
+
+    if (completed) {
+        logger.info(`Cross-chain payment ${completed.id} minted on ${completed.destinationChain} (${mint.hash})`);
+        await Promise.all([
+            announce(completed, 'cross_chain.completed', `Your payment of ${completed.amount} USDC arrived on ${completed.destinationChain}`),
+            announce(completed, 'cross_chain.received', `${completed.netAmount} USDC was sent to your wallet on ${completed.destinationChain}`, [completed.creatorId]),
+        ]);
+    }
+    return { crossChainPaymentId, hash: mint.hash };
+}
+
+// Payments held by the fraud checks: sent once an admin approves them, the same way as when first asked
+fraudService.defineHold('cross_chain', {
+    release: (review, { step }) => step('send', async () => {
+        const [{ type, amount }] = review.payments;
+        const { creatorId, contentId, destinationChain, sourceChain } = review.request;
+        const { payment, job } = await sendPayment({ userId: String(review.userId) }, { type, creatorId, contentId, amount, destinationChain, sourceChain });
+        return { crossChainPaymentId: payment.id, jobId: job.id };
+    }),
+});
+
+jobQueue.define('cctp.burn', { handler: burnPayment });
+jobQueue.define('cctp.mint', { handler: mintPayment });
+
+let timer = null;
+let checking = false;
+
+/**
+ * Check burned payments for their attestation until stopAttestationWatcher() is called
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.intervalMs] - Delay between checks (defaults to config)
+ */
+function startAttestationWatcher({ intervalMs = config.crossChain.attestationPollMs } = {}) {
+    if (timer) return;
+
+    timer = setInterval(async () => {
+        if (checking) return; // Previous check still running
+        checking = true;
+        try {
+            await checkAttestations();
+        } catch (error) {
+            logger.error(`Attestation check failed: ${error.message}`);
+        } finally {
+            checking = false;
+        }
+    }, intervalMs);
+    timer.unref();
+}
+
+function stopAttestationWatcher() {
+    clearInterval(timer);
+    timer = null;
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    sendPayment,
+    getForUser,
+    listForUser,
+    burnPayment,
+    checkAttestations,
+    mintPayment,
+    startAttestationWatcher,
+    stopAttestationWatcher,
+};
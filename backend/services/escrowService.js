@@ -0,0 +1,523 @@
+// Import necessary libraries and modules
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const config = require('../config'); // Validated application configuration
+const Escrow = require('../models/Escrow'); // Escrows for commissioned work
+const User = require('../models/User'); // MongoDB model for users
+const TxRecord = require('../models/TxRecord'); // Persistent transaction records
+const ledgerService = require('./ledgerService'); // Double-entry ledger of user funds
+const notificationService = require('./notificationService'); // Pushes status updates to users
+const chainRegistry = require('./chainRegistry'); // KosmaPayments and USDC per chain
+const signerPool = require('./signerPool'); // Nonce-managed operator wallets
+const txTracker = require('./txTracker'); // Follows submitted transactions to confirmation
+const jobQueue = require('./jobQueue'); // Background jobs with retries
+const logger = require('../utils/logger');
+const { AuthorizationError, ChainError, ConflictError, NotFoundError, ValidationError, normalizeError, wrapError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Escrows released per auto-release sweep
+const SWEEP_BATCH_SIZE = 100;
+
+const userIdOf = (user) => String(user.userId || user.id);
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Whether the user pays, does the work, or arbitrates
+function roleIn(escrow, user) {
+    const userId = userIdOf(user);
+    if (String(escrow.senderId) === userId) return 'sender';
+    if (String(escrow.receiverId) === userId) return 'receiver';
+    return user.role === 'admin' ? 'admin' : null;
+}
+
+// Tell both parties where the escrow stands
+function announce(escrow, type, message, recipients = [escrow.senderId, escrow.receiverId]) {
+    const data = { escrowId: escrow.id, status: escrow.status, amount: escrow.amount };
+    return Promise.all(recipients.map((userId) => notificationService.notify(userId, type, message, data)));
+}
+
+// Auto-release deadline: the date asked for, or the configured number of days from now
+function deadline(releaseAfter) {
+    const now = Date.now();
+    if (releaseAfter == null) {
+        return new Date(now + config.escrow.defaultReleaseDays * DAY_MS);
+    }
+
+    const date = new Date(releaseAfter);
+    const latest = now + config.escrow.maxReleaseDays * DAY_MS;
+    if (Number.isNaN(date.getTime()) || date.getTime() <= now || date.getTime() > latest) {
+        throw new ValidationError('Invalid release date', {
+            details: [{ field: 'releaseAfter', message: `Must be a future date within ${config.escrow.maxReleaseDays} days` }],
+        });
+    }
+    return date;
+}
+
+/**
+ * Put USDC in escrow for a receiver
+ * The funds are taken from the sender's balance now; the 'escrow.deposit' job then deposits
+ * them in KosmaPayments, and the escrow is held once the Deposit event confirms.
+ * @param {Object} user - Authenticated sender (req.user)
+ * @param {Object} request - Escrow details
+ * @param {string} request.receiverId - User who does the work
+ * @param {number} request.amount - USDC to hold
+ * @param {string} request.description - What the funds pay for
+ * @param {string} [request.releaseAfter] - ISO date of the automatic release (defaults to escrow.defaultReleaseDays from now)
+ * @returns {Promise<Object>} - { escrow, job }
+ * @throws {InsufficientFundsError} - If the sender's balance cannot cover the amount
+ */
+async function createEscrow(user, { receiverId, amount, description, releaseAfter }) {
+    if (!description) {
+        throw new ValidationError('A description is required', { details: [{ field: 'description', message: 'Required' }] });
+    }
+    const senderId = userIdOf(user);
+    if (String(receiverId) === senderId) {
+        throw new ValidationError('You cannot put funds in escrow for yourself');
+    }
+
+    const receiver = mongoose.isValidObjectId(receiverId) ? await User.findById(receiverId) : null;
+    if (!receiver) {
+        throw new NotFoundError('Receiver not found');
+    }
+    // KosmaPayments releases to this address, so it must be a wallet the receiver proved they own
+    const wallet = receiver.linkedWallet();
+    if (!wallet) {
+        throw new ValidationError('The receiver has not linked a wallet to be paid to', { details: [{ field: 'receiverId', message: 'Receiver must link a wallet first' }] });
+    }
+
+    const { name: chain } = chainRegistry.resolveChain();
+    chainRegistry.getAddress(chain, 'kosmaPayments'); // Fail now rather than in the job if it is not deployed
+    const units = ledgerService.toUnits(amount);
+    const releaseDate = deadline(releaseAfter);
+
+    const escrow = await ledgerService.transaction(async (session) => {
+        const [created] = await Escrow.create([{
+            senderId,
+            receiverId: receiver._id,
+            receiverAddress: wallet.address,
+            amount: ledgerService.fromUnits(units),
+            description,
+            releaseAfter: releaseDate,
+            chain,
+        }], { session });
+        await ledgerService.recordEscrowHold(senderId, created.amount, created.id, { session });
+        return created;
+    });
+    const job = await jobQueue.enqueue('escrow.deposit', { escrowId: escrow.id }, { key: escrow.id, userId: senderId });
+
+    return { escrow, job };
+}
+
+/**
+ * Escrow visible to the user: its sender, its receiver, or an admin
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} id - Escrow ID
+ * @returns {Promise<Object>} - Escrow
+ */
+async function getForUser(user, id) {
+    const escrow = mongoose.isValidObjectId(id) ? await Escrow.findById(id) : null;
+    if (!escrow || !roleIn(escrow, user)) {
+        throw new NotFoundError('Escrow not found');
+    }
+    return escrow;
+}
+
+/**
+ * Escrows the user pays into, or (as receiver) is paid from, newest first
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} [filter] - Listing options
+ * @param {string} [filter.as] - 'sender' (default) or 'receiver'
+ * @param {string} [filter.status] - One of Escrow.STATUSES
+ * @param {number} [filter.start] - Offset
+ * @param {number} [filter.limit] - Page size
+ * @returns {Promise<Object[]>} - Escrows
+ */
+async function listForUser(user, { as = 'sender', status, start = 0, limit = 50 } = {}) {
+    const query = as === 'receiver' ? { receiverId: userIdOf(user) } : { senderId: userIdOf(user) };
+    return list({ ...query, status, start, limit });
+}
+
+/**
+ * All escrows, newest first (admin view)
+ * @param {Object} [filter] - { status, senderId, receiverId, start, limit }
+ * @returns {Promise<Object[]>} - Escrows
+ */
+async function list({ status, start = 0, limit = 50, ...parties } = {}) {
+    if (status && !Escrow.STATUSES.includes(status)) {
+        throw new ValidationError(`Unknown escrow status "${status}"`, { details: { status, supported: Escrow.STATUSES } });
+    }
+
+    const query = { ...parties };
+    if (status) query.status = status;
+    return Escrow.find(query).sort({ createdAt: -1 }).skip(start).limit(limit);
+}
+
+// Start releasing or refunding an escrow in one of the `from` statuses, once, and queue the transaction
+async function settle(escrow, outcome, { from, resolvedBy, note }) {
+    const update = { status: 'settling', outcome, $inc: { settlementAttempts: 1 }, $unset: { error: 1 } };
+    if (resolvedBy) update.resolvedBy = resolvedBy;
+    if (note) update.note = note;
+
+    const settling = await Escrow.findOneAndUpdate({ _id: escrow._id, status: { $in: from } }, update, { new: true });
+    if (!settling) {
+        throw new ConflictError(`Escrow is ${escrow.status} and cannot be ${outcome === 'release' ? 'released' : 'refunded'}`);
+    }
+
+    const job = await jobQueue.enqueue('escrow.settle', { escrowId: settling.id }, {
+        key: `${settling.id}:${settling.settlementAttempts}`,
+        userId: settling.senderId,
+    });
+    return { escrow: settling, job };
+}
+
+/**
+ * Pay the escrow to the receiver
+ * Sender only; releasing a disputed escrow also settles the objection in the receiver's favour.
+ * @param {Object} user - Authenticated sender (req.user)
+ * @param {string} id - Escrow ID
+ * @returns {Promise<Object>} - { escrow, job }
+ */
+async function releaseEscrow(user, id) {
+    const escrow = await getForUser(user, id);
+    if (roleIn(escrow, user) !== 'sender') {
+        throw new AuthorizationError('Only the sender can release an escrow');
+    }
+    return settle(escrow, 'release', { from: ['held', 'disputed'], resolvedBy: userIdOf(user) });
+}
+
+/**
+ * Object to an escrow, stopping its automatic release until an admin resolves it
+ * @param {Object} user - Authenticated sender or receiver (req.user)
+ * @param {string} id - Escrow ID
+ * @param {Object} objection - { reason }
+ * @returns {Promise<Object>} - Escrow (status 'disputed')
+ */
+async function objectToEscrow(user, id, { reason } = {}) {
+    if (!reason) {
+        throw new ValidationError('A reason is required', { details: [{ field: 'reason', message: 'Required' }] });
+    }
+    const escrow = await getForUser(user, id);
+    const role = roleIn(escrow, user);
+    if (role !== 'sender' && role !== 'receiver') {
+        throw new AuthorizationError('Only the sender or the receiver can object to an escrow');
+    }
+
+    const disputed = await Escrow.findOneAndUpdate(
+        { _id: escrow._id, status: 'held' },
+        { status: 'disputed', objection: { raisedBy: userIdOf(user), reason, raisedAt: new Date() } },
+        { new: true }
+    );
+    if (!disputed) {
+        throw new ConflictError(`Escrow is ${escrow.status} and cannot be disputed`);
+    }
+
+    const other = role === 'sender' ? disputed.receiverId : disputed.senderId;
+    await announce(disputed, 'escrow.disputed', `Objection raised to an escrow of ${disputed.amount} USDC`, [other]);
+    return disputed;
+}
+
+/**
+ * Arbitrate an escrow: pay it to the receiver, or give it back to the sender through emergencyWithdraw
+ * @param {Object} admin - Authenticated admin (req.user)
+ * @param {string} id - Escrow ID
+ * @param {Object} decision - Arbitration
+ * @param {string} decision.outcome - 'release' or 'refund'
+ * @param {string} [decision.note] - Comment for both parties
+ * @returns {Promise<Object>} - { escrow, job }
+ */
+async function resolveEscrow(admin, id, { outcome, note } = {}) {
+    if (!Escrow.OUTCOMES.includes(outcome)) {
+        throw new ValidationError('Invalid outcome', { details: [{ field: 'outcome', message: `Must be one of ${Escrow.OUTCOMES.join(', ')}` }] });
+    }
+    const escrow = await getForUser(admin, id);
+    return settle(escrow, outcome, { from: ['held', 'disputed'], resolvedBy: userIdOf(admin), note });
+}
+
+/**
+ * Start releasing held escrows whose deadline has passed
+ * Disputed escrows wait for arbitration, and one whose last release failed waits for its
+ * sender or an admin, so a failing release is not retried on every sweep.
+ * @param {Object} [options] - { now } to release as of another time
+ * @returns {Promise<number>} - Number of escrows released
+ */
+async function releaseDue({ now = new Date() } = {}) {
+    const due = await Escrow.find({ status: 'held', releaseAfter: { $lte: now }, 'error.code': { $exists: false } })
+        .sort({ releaseAfter: 1 })
+        .limit(SWEEP_BATCH_SIZE);
+
+    let released = 0;
+    for (const escrow of due) {
+        try {
+            await settle(escrow, 'release', { from: ['held'] });
+            released += 1;
+        } catch (error) {
+            logger.warn(`Could not auto-release escrow ${escrow.id}: ${error.message}`);
+        }
+    }
+    return released;
+}
+
+// Record that the deposit never reached KosmaPayments and give the sender their funds back
+async function failFunding(escrow, error) {
+    const { code } = normalizeError(error);
+    const failed = await ledgerService.transaction(async (session) => {
+        const current = await Escrow.findOneAndUpdate(
+            { _id: escrow._id, status: 'funding' },
+            { status: 'failed', error: { code, message: error.message } },
+            { new: true, session }
+        );
+        if (current) await ledgerService.recordEscrowReturn(current.senderId, current.amount, current.id, { session });
+        return current;
+    });
+    if (failed) await announce(failed, 'escrow.failed', 'Escrow could not be funded; the amount is back in your balance', [failed.senderId]);
+}
+
+// Record that a release or refund did not go through, so it can be tried again
+async function reopen(escrow, error) {
+    const { outcome } = escrow;
+    const { code } = normalizeError(error);
+    const reopened = await Escrow.findOneAndUpdate(
+        { _id: escrow._id, status: 'settling' },
+        {
+            status: escrow.objection?.raisedAt ? 'disputed' : 'held',
+            error: { code, message: error.message },
+            $unset: { outcome: 1, resolvedBy: 1, settlementTx: 1 },
+        },
+        { new: true }
+    );
+    if (reopened) logger.warn(`Escrow ${escrow.id} ${outcome} failed: ${error.message}`);
+}
+
+/**
+ * Deposit an escrow's funds in KosmaPayments (the 'escrow.deposit' job)
+ * The primary operator wallet deposits, so it is the escrow's sender on chain.
+ * @param {Object} payload - { escrowId }
+ * @param {Object} context - Job context ({ step })
+ * @returns {Promise<Object>} - { escrowId, depositTx } where depositTx is the TxRecord ID
+ */
+async function fundEscrow({ escrowId }, { step }) {
+    const escrow = await Escrow.findById(escrowId);
+    if (!escrow) throw new NotFoundError('Escrow not found');
+    if (escrow.status !== 'funding') return { escrowId, depositTx: escrow.depositTx && String(escrow.depositTx) };
+
+    const signer = signerPool.primary(escrow.chain);
+    const units = ledgerService.toUnits(escrow.amount);
+    let deposit;
+    try {
+        // KosmaPayments pulls the USDC with transferFrom; one unlimited allowance covers every escrow
+        await step('approve', async () => {
+            const usdc = chainRegistry.getContract(escrow.chain, 'usdc', signer);
+            const spender = chainRegistry.getAddress(escrow.chain, 'kosmaPayments');
+            if ((await usdc.allowance(signer.address, spender)).gte(units)) return { hash: null };
+            const tx = await usdc.approve(spender, ethers.constants.MaxUint256);
+            await tx.wait();
+            return { hash: tx.hash };
+        });
+        deposit = await step('deposit', async () => {
+            const payments = chainRegistry.getContract(escrow.chain, 'kosmaPayments', signer);
+            const tx = await payments.deposit(units, escrow.receiverAddress);
+            const record = await txTracker.submit(tx, {
+                kind: 'escrow.deposit',
+                chain: escrow.chain,
+                userId: escrow.senderId,
+                metadata: { escrowId },
+            });
+            return { txId: record.id, from: tx.from };
+        });
+    } catch (error) {
+        const wrapped = wrapError(error, 'Escrow deposit failed.');
+        if (!jobQueue.isRetryable(wrapped)) await failFunding(escrow, wrapped);
+        throw wrapped;
+    }
+
+    await Escrow.updateOne({ _id: escrow._id }, { depositTx: deposit.txId, depositor: deposit.from });
+    return { escrowId, depositTx: deposit.txId };
+}
+
+// releaseFunds must come from the wallet that deposited; emergencyWithdraw from the contract owner, the primary wallet
+function settlementSigner(escrow) {
+    if (escrow.outcome === 'refund') return signerPool.primary(escrow.chain);
+
+    const signer = signerPool.signersFor(escrow.chain).find(({ address }) => sameAddress(address, escrow.depositor));
+    if (!signer) {
+        throw new ConflictError(`Operator wallet ${escrow.depositor} that deposited the escrow is no longer configured`);
+    }
+    return signer;
+}
+
+/**
+ * Send the release or refund of an escrow (the 'escrow.settle' job)
+ * The escrow is settled once the Withdrawal event confirms.
+ * @param {Object} payload - { escrowId }
+ * @param {Object} context - Job context ({ step })
+ * @returns {Promise<Object>} - { escrowId, settlementTx } where settlementTx is the TxRecord ID
+ */
+async function settleEscrow({ escrowId }, { step }) {
+    const escrow = await Escrow.findById(escrowId);
+    if (!escrow) throw new NotFoundError('Escrow not found');
+    if (escrow.status !== 'settling') return { escrowId, settlementTx: escrow.settlementTx && String(escrow.settlementTx) };
+
+    let sent;
+    try {
+        sent = await step(escrow.outcome, async () => {
+            const payments = chainRegistry.getContract(escrow.chain, 'kosmaPayments', settlementSigner(escrow));
+            const tx = escrow.outcome === 'release'
+                ? await payments.releaseFunds(escrow.onChainId)
+                : await payments.emergencyWithdraw(escrow.onChainId);
+            const record = await txTracker.submit(tx, {
+                kind: `escrow.${escrow.outcome}`,
+                chain: escrow.chain,
+                userId: escrow.senderId,
+                metadata: { escrowId },
+            });
+            return { txId: record.id };
+        });
+    } catch (error) {
+        const wrapped = wrapError(error, `Escrow ${escrow.outcome} failed.`);
+        if (!jobQueue.isRetryable(wrapped)) await reopen(escrow, wrapped);
+        throw wrapped;
+    }
+
+    await Escrow.updateOne({ _id: escrow._id, status: 'settling' }, { settlementTx: sent.txId });
+    return { escrowId, settlementTx: sent.txId };
+}
+
+// Deposit: the escrow now exists on chain under the event's transactionId
+async function mirrorDeposit(escrowId, { sender, transactionId }) {
+    const held = await Escrow.findOneAndUpdate(
+        { _id: escrowId, status: 'funding' },
+        { status: 'held', onChainId: transactionId.toString(), depositor: sender },
+        { new: true }
+    );
+    if (held) await announce(held, 'escrow.held', `${held.amount} USDC is held in escrow`);
+}
+
+// Withdrawal: paid to the receiver by releaseFunds, or back to the depositor by emergencyWithdraw
+async function mirrorWithdrawal(chain, { receiver, transactionId }) {
+    const escrow = await Escrow.findOne({ chain, onChainId: transactionId.toString() });
+    if (!escrow) return;
+    const released = sameAddress(receiver, escrow.receiverAddress);
+    if (!released && !sameAddress(receiver, escrow.depositor)) {
+        logger.warn(`Withdrawal of escrow ${escrow.id} paid unknown address ${receiver}`);
+        return;
+    }
+
+    const settled = await ledgerService.transaction(async (session) => {
+        const current = await Escrow.findOneAndUpdate(
+            { _id: escrow._id, status: { $in: ['held', 'disputed', 'settling'] } },
+            { status: released ? 'released' : 'refunded', settledAt: new Date() },
+            { new: true, session }
+        );
+        if (!current) return null;
+        if (released) {
+            await ledgerService.recordEscrowRelease(current.receiverId, current.amount, current.id, { session });
+        } else {
+            await ledgerService.recordEscrowReturn(current.senderId, current.amount, current.id, { session });
+        }
+        return current;
+    });
+
+    if (settled) {
+        logger.info(`Escrow ${settled.id} of ${settled.amount} USDC ${settled.status}`);
+        await announce(settled, `escrow.${settled.status}`, released
+            ? `Escrow of ${settled.amount} USDC released to the receiver`
+            : `Escrow of ${settled.amount} USDC refunded to the sender`);
+    }
+}
+
+/**
+ * Mirror the KosmaPayments Deposit and Withdrawal events of a confirmed escrow transaction
+ * Idempotent: the watcher can confirm the same transaction again after a reorg.
+ * @param {Object} record - Confirmed TxRecord of kind 'escrow.deposit', 'escrow.release' or 'escrow.refund'
+ */
+async function mirrorEvents(record) {
+    const receipt = await chainRegistry.getProvider(record.chain).getTransactionReceipt(record.hash);
+    const contract = chainRegistry.getContract(record.chain, 'kosmaPayments');
+
+    for (const log of receipt.logs.filter(({ address }) => sameAddress(address, contract.address))) {
+        const { name, args } = contract.interface.parseLog(log);
+        if (name === 'Deposit') await mirrorDeposit(record.metadata.escrowId, args);
+        if (name === 'Withdrawal') await mirrorWithdrawal(record.chain, args);
+    }
+}
+
+/**
+ * Undo the effect of an escrow transaction that will not confirm (reverted, replaced or dropped)
+ * @param {Object} record - TxRecord in one of TxRecord.TERMINAL_STATUSES
+ */
+async function abandon(record) {
+    const escrow = await Escrow.findById(record.metadata.escrowId);
+    if (!escrow) return;
+
+    const error = new ChainError(`Escrow transaction ${record.hash} ${record.status}`, { code: record.error?.code });
+    if (record.kind === 'escrow.deposit') {
+        await failFunding(escrow, error);
+    } else if (String(escrow.settlementTx) === String(record._id)) {
+        await reopen(escrow, error);
+    }
+}
+
+const isEscrowTx = (record) => record.kind.startsWith('escrow.');
+
+// Follow escrow state from the transaction watcher instead of inside the request or job
+txTracker.on('confirmed', (record) => {
+    if (!isEscrowTx(record)) return;
+    mirrorEvents(record).catch((error) => logger.error(`Error mirroring escrow events of ${record.hash}: ${error.message}`));
+});
+
+txTracker.on('status', (record) => {
+    if (!isEscrowTx(record) || !TxRecord.TERMINAL_STATUSES.includes(record.status)) return;
+    abandon(record).catch((error) => logger.error(`Error abandoning escrow transaction ${record.hash}: ${error.message}`));
+});
+
+jobQueue.define('escrow.deposit', { handler: fundEscrow });
+jobQueue.define('escrow.settle', { handler: settleEscrow });
+
+let timer = null;
+let sweeping = false;
+
+/**
+ * Release due escrows in the background until stopAutoRelease() is called
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.intervalMs] - Delay between sweeps (defaults to config)
+ */
+function startAutoRelease({ intervalMs = config.escrow.sweepIntervalMs } = {}) {
+    if (timer) return;
+
+    timer = setInterval(async () => {
+        if (sweeping) return; // Previous sweep still running
+        sweeping = true;
+        try {
+            await releaseDue();
+        } catch (error) {
+            logger.error(`Escrow auto-release sweep failed: ${error.message}`);
+        } finally {
+            sweeping = false;
+        }
+    }, intervalMs);
+    timer.unref();
+}
+
+function stopAutoRelease() {
+    clearInterval(timer);
+    timer = null;
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    createEscrow,
+    getForUser,
+    listForUser,
+    list,
+    releaseEscrow,
+    objectToEscrow,
+    resolveEscrow,
+    releaseDue,
+    fundEscrow,
+    settleEscrow,
+    mirrorEvents,
+    abandon,
+    startAutoRelease,
+    stopAutoRelease,
+};
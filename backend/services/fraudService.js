@@ -0,0 +1,406 @@
+// Import necessary libraries and modules
+const mongoose = require('mongoose');
+const config = require('../config'); // Validated application configuration
+const PaymentReview = require('../models/PaymentReview'); // Payments held or blocked by the fraud rules
+const Payment = require('../models/Payment'); // MongoDB model for payment records
+const CrossChainPayment = require('../models/CrossChainPayment'); // Payments to creators on other chains
+const User = require('../models/User'); // MongoDB model for users
+const ledgerService = require('./ledgerService'); // Double-entry ledger of user funds
+const paymentService = require('./paymentService'); // Circle charges and payment valuations
+const notificationService = require('./notificationService'); // Pushes status updates to users
+const jobQueue = require('./jobQueue'); // Background jobs with retries
+const logger = require('../utils/logger');
+const {
+    ConflictError,
+    InsufficientFundsError,
+    NotFoundError,
+    PaymentBlockedError,
+    ValidationError,
+    normalizeError,
+} = require('../errors');
+
+// Score each rule adds when it fires; config.fraud.holdScore and blockScore turn the total into a decision
+const SCORES = {
+    accountVelocity: 60, // Twice over the limit scores velocityExtreme
+    velocityExtreme: 100,
+    recipientVelocity: 50,
+    newAccount: 25, // newAccountLargePayment above config.fraud.newAccountAmount
+    newAccountLargePayment: 50,
+    circularTipping: 50,
+    amountSpike: 40,
+};
+
+const EMPTY = { count: 0, amount: 0 };
+
+const userIdOf = (user) => String(user.userId || user.id);
+
+const since = (ms) => new Date(Date.now() - ms);
+
+const objectIds = (ids) => [...new Set(ids.map(String))].filter((id) => mongoose.isValidObjectId(id)).map((id) => new mongoose.Types.ObjectId(id));
+
+const humanize = (ms) => (ms >= 86400000 ? `${Math.round(ms / 86400000)} days` : `${Math.round(ms / 60000)} minutes`);
+
+const signal = (rule, score, reason) => ({ rule, score, reason });
+
+// How each source of held payments pays them once approved, and cleans up when they never will be
+const holds = new Map();
+
+/**
+ * Register a source of held payments
+ * @param {string} source - One of PaymentReview.SOURCES
+ * @param {Object} handlers - What to do with its reviews
+ * @param {Function} handlers.release - async (review, { step }) => JSON-serializable result; run by the 'payment.release' job
+ * @param {Function} [handlers.cancel] - async (review, error) => void; when the review is rejected or cannot be paid
+ */
+function defineHold(source, { release, cancel }) {
+    if (holds.has(source)) {
+        throw new Error(`Payment source "${source}" is already defined`);
+    }
+    holds.set(source, { release, cancel });
+}
+
+/**
+ * Purchases and tips, cross-chain ones included and failed ones left out, grouped by a field
+ * @param {Object} match - Extra $match conditions (ObjectIds, not strings)
+ * @param {string|null} [by] - Field to group by (e.g. '$creatorId'), or null for one total
+ * @returns {Promise<Map>} - String of the group key => { count, amount }
+ */
+async function paymentStats(match, by = null) {
+    const pipeline = [
+        { $match: { type: { $in: ['purchase', 'tip'] }, status: { $ne: 'failed' }, ...match } },
+        { $group: { _id: by, count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+    ];
+    const groups = await Promise.all([Payment.aggregate(pipeline), CrossChainPayment.aggregate(pipeline)]);
+
+    const stats = new Map();
+    groups.flat().forEach(({ _id, count, amount }) => {
+        const current = stats.get(String(_id)) || EMPTY;
+        stats.set(String(_id), { count: current.count + count, amount: current.amount + amount });
+    });
+    return stats;
+}
+
+// Many payments from one account in a short time, e.g. a script emptying a stolen account
+function accountVelocity({ payments, recent }) {
+    const { maxPaymentsPerWindow: max, velocityWindowMs } = config.fraud;
+    const count = (recent.get('null') || EMPTY).count + payments.length;
+    if (count <= max) return null;
+    return signal('accountVelocity', count > 2 * max ? SCORES.velocityExtreme : SCORES.accountVelocity,
+        `${count} payments within ${humanize(velocityWindowMs)} (limit ${max})`);
+}
+
+// A creator suddenly paid by many accounts, e.g. farmed sign-ups funnelling money to one wallet
+function recipientVelocity({ payments, received }) {
+    const { maxRecipientPaymentsPerWindow: max, velocityWindowMs } = config.fraud;
+    const counts = new Map();
+    payments.forEach(({ recipientId }) => {
+        const id = String(recipientId);
+        counts.set(id, (counts.get(id) || (received.get(id) || EMPTY).count) + 1);
+    });
+
+    const busy = [...counts].filter(([, count]) => count > max).map(([id]) => id);
+    if (busy.length === 0) return null;
+    return signal('recipientVelocity', SCORES.recipientVelocity,
+        `Recipient ${busy.join(', ')} was paid more than ${max} times within ${humanize(velocityWindowMs)}`);
+}
+
+// Accounts created moments ago, more so when they pay a lot at once
+function newAccount({ account, amount }) {
+    const { newAccountAgeMs, newAccountAmount } = config.fraud;
+    if (!account.createdAt || Date.now() - account.createdAt.getTime() >= newAccountAgeMs) return null;
+    if (amount > newAccountAmount) {
+        return signal('newAccount', SCORES.newAccountLargePayment, `Account younger than ${humanize(newAccountAgeMs)} paying ${amount} USDC`);
+    }
+    return signal('newAccount', SCORES.newAccount, `Account younger than ${humanize(newAccountAgeMs)}`);
+}
+
+// Tips going back to someone who tipped the payer, e.g. two accounts cycling funds to fake activity
+function circularTipping({ payments, tippedBack }) {
+    const circular = [...new Set(payments.filter(({ type, recipientId }) => type === 'tip' && tippedBack.has(String(recipientId)))
+        .map(({ recipientId }) => String(recipientId)))];
+    if (circular.length === 0) return null;
+    return signal('circularTipping', SCORES.circularTipping,
+        `Tipping ${circular.join(', ')}, who tipped the payer within ${humanize(config.fraud.circularWindowMs)}`);
+}
+
+// A payment far larger than the payer usually makes
+function amountSpike({ payments, history }) {
+    const { spikeMultiplier, spikeMinPayments } = config.fraud;
+    const { count, amount } = history.get('null') || EMPTY;
+    if (count < spikeMinPayments) return null;
+
+    const average = amount / count;
+    const largest = Math.max(...payments.map((payment) => Number(payment.amount)));
+    if (largest <= spikeMultiplier * average) return null;
+    return signal('amountSpike', SCORES.amountSpike, `${largest} USDC is over ${spikeMultiplier} times the usual ${Number(average.toFixed(2))} USDC`);
+}
+
+// Rules, in the order their signals are reported
+const RULES = [accountVelocity, recipientVelocity, newAccount, circularTipping, amountSpike];
+
+/**
+ * Score a purchase or tip (or a batch of tips) against the fraud rules
+ * Rules look at the payer's and recipients' payments in the last config.fraud.velocityWindowMs,
+ * the payer's account age, tips the other way and the payer's usual amount. Their scores add up.
+ * @param {string} userId - Paying user
+ * @param {Object[]} payments - [{ type, amount, recipientId }]
+ * @returns {Promise<Object>} - { decision: 'allow', 'hold' or 'block', score, signals }
+ */
+async function assessPayment(userId, payments) {
+    const account = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!account) throw new NotFoundError('User not found');
+
+    const payerId = account._id;
+    const recipients = objectIds(payments.map(({ recipientId }) => recipientId));
+    const tipped = objectIds(payments.filter(({ type }) => type === 'tip').map(({ recipientId }) => recipientId));
+    const { velocityWindowMs, circularWindowMs, spikeHistoryMs, holdScore, blockScore } = config.fraud;
+
+    const [recent, received, tippedBack, history] = await Promise.all([
+        paymentStats({ userId: payerId, createdAt: { $gte: since(velocityWindowMs) } }),
+        paymentStats({ creatorId: { $in: recipients }, createdAt: { $gte: since(velocityWindowMs) } }, '$creatorId'),
+        tipped.length > 0
+            ? paymentStats({ type: 'tip', userId: { $in: tipped }, creatorId: payerId, createdAt: { $gte: since(circularWindowMs) } }, '$userId')
+            : new Map(),
+        paymentStats({ userId: payerId, createdAt: { $gte: since(spikeHistoryMs) } }),
+    ]);
+
+    const context = {
+        account,
+        payments,
+        amount: Number(payments.reduce((total, payment) => total + Number(payment.amount), 0).toFixed(6)),
+        recent,
+        received,
+        tippedBack,
+        history,
+    };
+    const signals = RULES.map((rule) => rule(context)).filter(Boolean);
+    const score = signals.reduce((total, { score: points }) => total + points, 0);
+
+    let decision = 'allow';
+    if (score >= blockScore) decision = 'block';
+    else if (score >= holdScore) decision = 'hold';
+    return { decision, score, signals };
+}
+
+// Tell the payer what happened to their held payment
+function announce(review, type, message) {
+    return notificationService.notify(review.userId, type, message, { reviewId: review.id, status: review.status });
+}
+
+/**
+ * Run the fraud rules on a payment before it is charged
+ * Allowed payments go ahead. Held ones are stored for an admin to review, and the caller must not
+ * charge them: they are paid by the source's release handler once approved. Blocked ones are
+ * stored for the record and refused.
+ * @param {string} userId - Paying user
+ * @param {Object} request - The payment
+ * @param {string} request.source - Source that releases it if held (see defineHold)
+ * @param {Object[]} request.payments - [{ type, amount, recipientId, contentId }]
+ * @param {Object} [request.request] - What the source's release handler needs besides the payments
+ * @returns {Promise<Object>} - { assessment, review }; review is set when the payment was held
+ * @throws {PaymentBlockedError} - If the payment scored config.fraud.blockScore or more
+ */
+async function screenPayment(userId, { source, payments, request = {} }) {
+    if (!holds.has(source)) {
+        throw new Error(`Unknown payment source "${source}"`);
+    }
+
+    const assessment = await assessPayment(userId, payments);
+    if (assessment.decision === 'allow') return { assessment };
+
+    const { decision, score, signals } = assessment;
+    const review = await PaymentReview.create({
+        userId,
+        source,
+        payments: payments.map(({ type, amount, recipientId, contentId }) => ({ type, amount: Number(amount), recipientId, contentId })),
+        request,
+        score,
+        signals,
+        status: decision === 'block' ? 'blocked' : 'pending',
+    });
+    const rules = signals.map(({ rule }) => rule).join(', ');
+
+    if (decision === 'block') {
+        logger.warn(`Payment by user ${userId} blocked with score ${score} (${rules}); recorded as review ${review.id}`);
+        throw new PaymentBlockedError('This payment was blocked by our fraud checks. Contact support if you think this is a mistake.', {
+            details: { reviewId: review.id },
+        });
+    }
+
+    logger.warn(`Payment by user ${userId} held for review ${review.id} with score ${score} (${rules})`);
+    const amount = review.payments.reduce((total, payment) => total + payment.amount, 0);
+    await announce(review, 'payment.held', `Your payment of ${Number(amount.toFixed(6))} USDC is being reviewed and will be sent once approved`);
+    return { assessment, review };
+}
+
+/**
+ * Held or blocked payment of the user, or any for an admin
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} id - PaymentReview ID
+ * @returns {Promise<Object>} - PaymentReview
+ */
+async function getForUser(user, id) {
+    const review = mongoose.isValidObjectId(id) ? await PaymentReview.findById(id) : null;
+    if (!review || (String(review.userId) !== userIdOf(user) && user.role !== 'admin')) {
+        throw new NotFoundError('Payment review not found');
+    }
+    return review;
+}
+
+/**
+ * Review queue: held and blocked payments, pending ones oldest first and the rest newest first
+ * @param {Object} [filter] - Listing options
+ * @param {string} [filter.status] - One of PaymentReview.STATUSES
+ * @param {string} [filter.userId] - Payer
+ * @param {number} [filter.start] - Offset
+ * @param {number} [filter.limit] - Page size
+ * @returns {Promise<Object[]>} - PaymentReviews
+ */
+async function listReviews({ status, userId, start = 0, limit = 50 } = {}) {
+    if (status && !PaymentReview.STATUSES.includes(status)) {
+        throw new ValidationError(`Unknown payment review status "${status}"`, { details: { status, supported: PaymentReview.STATUSES } });
+    }
+
+    const query = {};
+    if (userId) {
+        if (!mongoose.isValidObjectId(userId)) throw new ValidationError('Invalid userId', { details: [{ field: 'userId', message: 'Must be an ID' }] });
+        query.userId = userId;
+    }
+    if (status) query.status = status;
+    return PaymentReview.find(query).sort({ createdAt: status === 'pending' ? 1 : -1 }).skip(start).limit(limit);
+}
+
+// Move a pending review to its decision, once
+async function decide(admin, id, update) {
+    const decided = mongoose.isValidObjectId(id) ? await PaymentReview.findOneAndUpdate(
+        { _id: id, status: 'pending' },
+        { ...update, reviewedBy: userIdOf(admin), reviewedAt: new Date() },
+        { new: true }
+    ) : null;
+    if (decided) return decided;
+
+    const review = mongoose.isValidObjectId(id) ? await PaymentReview.findById(id) : null;
+    if (!review) throw new NotFoundError('Payment review not found');
+    throw new ConflictError(`Payment review is already ${review.status}`);
+}
+
+/**
+ * Approve a held payment and queue it; the 'payment.release' job pays it
+ * @param {Object} admin - Authenticated admin (req.user)
+ * @param {string} id - PaymentReview ID
+ * @param {Object} [decision] - { note } for the payer
+ * @returns {Promise<Object>} - { review, job }
+ */
+async function approveReview(admin, id, { note } = {}) {
+    const review = await decide(admin, id, { status: 'approved', note });
+    const job = await jobQueue.enqueue('payment.release', { reviewId: review.id }, { key: review.id, userId: review.userId });
+
+    logger.info(`Payment review ${review.id} approved by ${userIdOf(admin)}`);
+    return { review, job };
+}
+
+/**
+ * Reject a held payment; it is never charged
+ * @param {Object} admin - Authenticated admin (req.user)
+ * @param {string} id - PaymentReview ID
+ * @param {Object} [decision] - { note } for the payer
+ * @returns {Promise<Object>} - PaymentReview
+ */
+async function rejectReview(admin, id, { note } = {}) {
+    const review = await decide(admin, id, { status: 'rejected', note });
+    const { cancel } = holds.get(review.source);
+    if (cancel) await cancel(review, new PaymentBlockedError('Payment rejected after review'));
+
+    logger.info(`Payment review ${review.id} rejected by ${userIdOf(admin)}`);
+    await announce(review, 'payment.rejected', 'Your held payment was rejected and you were not charged');
+    return review;
+}
+
+// Record that an approved payment cannot be made, e.g. the payer no longer has the funds
+async function fail(review, error) {
+    const { code } = normalizeError(error);
+    const failed = await PaymentReview.findOneAndUpdate(
+        { _id: review._id, status: 'approved' },
+        { status: 'failed', error: { code, message: error.message } },
+        { new: true }
+    );
+    if (!failed) return;
+
+    const { cancel } = holds.get(failed.source);
+    if (cancel) await cancel(failed, error);
+    await announce(failed, 'payment.failed', 'Your approved payment could not be sent');
+}
+
+/**
+ * Pay an approved payment (the 'payment.release' job)
+ * The source's release handler wraps each charge in a step, so a retry never charges twice.
+ * @param {Object} payload - { reviewId }
+ * @param {Object} context - Job context ({ step })
+ * @returns {Promise<Object>} - { reviewId, ...what the release handler returned }
+ */
+async function releaseReview({ reviewId }, { step }) {
+    const review = await PaymentReview.findById(reviewId);
+    if (!review) throw new NotFoundError('Payment review not found');
+    if (review.status === 'released') return { reviewId, ...review.result };
+    if (review.status !== 'approved') throw new ConflictError(`Payment review is ${review.status}`);
+
+    let result;
+    try {
+        result = await holds.get(review.source).release(review, { step });
+    } catch (error) {
+        if (!jobQueue.isRetryable(error)) await fail(review, error);
+        throw error;
+    }
+
+    const released = await PaymentReview.findOneAndUpdate(
+        { _id: review._id, status: 'approved' },
+        { status: 'released', result },
+        { new: true }
+    );
+    if (released) {
+        logger.info(`Held payment ${review.id} released`);
+        await announce(released, 'payment.released', 'Your held payment was approved and sent');
+    }
+    return { reviewId, ...result };
+}
+
+// Purchases and tips made directly: charged one by one from the payer's balance
+defineHold('payment', {
+    release: async (review, { step }) => {
+        const userId = String(review.userId);
+        const payments = [];
+        for (const [index, { type, amount, recipientId, contentId }] of review.payments.entries()) {
+            payments.push(await step(`pay:${index}`, async () => {
+                const { available } = await ledgerService.balances(userId);
+                if (available < amount) {
+                    throw new InsufficientFundsError('Insufficient funds', { details: { balance: available, required: amount } });
+                }
+                const valuation = await paymentService.valuePayment(amount, review.request.currency);
+                const { payment, transaction } = await paymentService.collectPayment({
+                    type,
+                    userId,
+                    creatorId: String(recipientId),
+                    contentId: contentId && String(contentId),
+                    amount,
+                    valuation,
+                });
+                return { paymentId: payment.id, transactionId: transaction.id };
+            }));
+        }
+        return { payments };
+    },
+});
+
+jobQueue.define('payment.release', { handler: releaseReview });
+
+// Export the functions for use in other modules
+module.exports = {
+    defineHold,
+    assessPayment,
+    screenPayment,
+    getForUser,
+    listReviews,
+    approveReview,
+    rejectReview,
+    releaseReview,
+};
@@ -0,0 +1,357 @@
+// Import necessary libraries and modules
+const Queue = require('bull'); // Redis-backed job queue
+const config = require('../config'); // Validated application configuration
+const logger = require('../utils/logger');
+const { ConflictError, NotFoundError, ValidationError, normalizeError } = require('../errors');
+
+// Redis queue names: work waiting to run, and jobs that ran out of attempts
+const QUEUE_NAME = 'kosma-jobs';
+const DEAD_LETTER_QUEUE_NAME = 'kosma-jobs-dead';
+
+// States a job can be listed by; 'dead' means moved to the dead-letter queue
+const JOB_STATES = ['waiting', 'active', 'delayed', 'completed', 'failed', 'dead'];
+
+// States in which a job has not started yet, or will not run again, and can be removed
+const CANCELLABLE_STATES = ['waiting', 'delayed', 'paused', 'failed'];
+
+/**
+ * Whether running the job again could succeed
+ * Client errors (validation, not found, reverted transactions, ...) fail the same way every time.
+ * @param {Error} error - Error thrown by the handler
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    return normalizeError(error).status >= 500;
+}
+
+/**
+ * Named background jobs on a Bull queue
+ * Failed jobs are retried with exponential backoff; once out of attempts (or on an error that
+ * is not retryable) they move to the dead-letter queue, where admins can retry or cancel them.
+ * Queues are opened on first use, so defining jobs does not connect to Redis.
+ */
+class JobQueue {
+    /**
+     * @param {Function} createQueue - Returns the Bull queue with the given name
+     */
+    constructor(createQueue) {
+        this.createQueue = createQueue;
+        this.definitions = new Map();
+        this.queues = null;
+    }
+
+    // Main and dead-letter queues, opened on first use
+    get queue() {
+        return this.open().queue;
+    }
+
+    get deadLetters() {
+        return this.open().deadLetters;
+    }
+
+    open() {
+        if (!this.queues) {
+            this.queues = {
+                queue: this.createQueue(QUEUE_NAME),
+                deadLetters: this.createQueue(DEAD_LETTER_QUEUE_NAME),
+            };
+        }
+        return this.queues;
+    }
+
+    /**
+     * Register a job type
+     * The handler may run more than once for the same job, so it must be idempotent: wrap each
+     * side effect in `context.step(name, fn)`, whose result is saved on the job and reused on retries.
+     * @param {string} name - Job type (e.g. 'attestation.create')
+     * @param {Object} options - Job settings
+     * @param {Function} options.handler - async (payload, context) => JSON-serializable result
+     * @param {number} [options.attempts] - Runs before dead-lettering (defaults to jobs.attempts)
+     * @param {number} [options.backoffMs] - First retry delay, doubled each attempt (defaults to jobs.backoffMs)
+     */
+    define(name, { handler, attempts, backoffMs }) {
+        if (this.definitions.has(name)) {
+            throw new Error(`Job type "${name}" is already defined`);
+        }
+        this.definitions.set(name, { handler, attempts, backoffMs });
+    }
+
+    // Settings of a registered job type
+    definition(name) {
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            throw new ValidationError(`Unknown job type "${name}"`, { details: { name, supported: [...this.definitions.keys()] } });
+        }
+        return definition;
+    }
+
+    // Bull options for a new job of the given type
+    jobOptions(name) {
+        const { attempts = config.jobs.attempts, backoffMs = config.jobs.backoffMs } = this.definition(name);
+        return {
+            attempts,
+            backoff: { type: 'exponential', delay: backoffMs },
+            removeOnComplete: config.jobs.keepCompleted > 0 ? config.jobs.keepCompleted : true,
+            removeOnFail: false, // Moved to the dead-letter queue instead
+        };
+    }
+
+    /**
+     * Queue a job
+     * With a key, the job is added at most once: queueing the same type and key again returns
+     * the existing job (including completed and dead-lettered ones) instead of a new one.
+     * @param {string} name - Job type
+     * @param {Object} payload - Handler input (JSON-serializable)
+     * @param {Object} [options] - Queueing options
+     * @param {string} [options.key] - Deduplication key
+     * @param {string} [options.userId] - User who requested it, for access checks
+     * @returns {Promise<Object>} - Job summary (see summarize)
+     */
+    async enqueue(name, payload, { key, userId } = {}) {
+        const options = this.jobOptions(name);
+        const jobId = key ? `${name}:${key}` : undefined;
+
+        if (jobId) {
+            const dead = await this.deadLetters.getJob(jobId);
+            if (dead) return this.summarize(dead, 'dead');
+        }
+
+        const job = await this.queue.add(name, { payload, userId: userId ? String(userId) : null, steps: {} }, { ...options, jobId });
+        return this.summarize(job, await job.getState());
+    }
+
+    /**
+     * Run a job with its registered handler (the queue's processor)
+     * @param {Object} job - Bull job
+     * @returns {Promise<*>} - Handler result, stored as the job's return value
+     */
+    async run(job) {
+        const definition = this.definitions.get(job.name);
+        if (!definition) {
+            // Retryable: the module defining it may not be loaded in this process yet
+            throw new Error(`No handler registered for job type "${job.name}"`);
+        }
+        const { handler } = definition;
+        const context = {
+            id: job.id,
+            attempt: job.attemptsMade + 1,
+            userId: job.data.userId,
+            step: (step, fn) => this.step(job, step, fn),
+        };
+
+        try {
+            return await handler(job.data.payload, context);
+        } catch (error) {
+            if (!isRetryable(error)) await job.discard(); // No point waiting out the backoff
+            throw error;
+        }
+    }
+
+    /**
+     * Run a side effect once per job
+     * The result is saved on the job before continuing, so a retry skips steps that already succeeded.
+     * @param {Object} job - Bull job
+     * @param {string} step - Step name, unique within the handler
+     * @param {Function} fn - async () => JSON-serializable result
+     * @returns {Promise<*>} - Result of fn, now or from an earlier attempt
+     */
+    async step(job, step, fn) {
+        const steps = job.data.steps || {};
+        if (Object.prototype.hasOwnProperty.call(steps, step)) {
+            return steps[step];
+        }
+
+        const result = await fn();
+        job.data = { ...job.data, steps: { ...steps, [step]: result === undefined ? null : result } };
+        await job.update(job.data);
+        return result;
+    }
+
+    /**
+     * Handle a failed run: leave it for Bull to retry, or move it to the dead-letter queue
+     * @param {Object} job - Bull job
+     * @param {Error} error - Error thrown by the handler
+     */
+    async onFailed(job, error) {
+        if (isRetryable(error) && job.attemptsMade < job.opts.attempts) {
+            logger.warn(`Job ${job.name} (${job.id}) failed on attempt ${job.attemptsMade} of ${job.opts.attempts}; retrying: ${error.message}`);
+            return;
+        }
+
+        logger.error(`Job ${job.name} (${job.id}) failed after ${job.attemptsMade} attempt(s); moved to the dead-letter queue: ${error.message}`);
+        await this.deadLetters.add(job.name, {
+            ...job.data,
+            failure: {
+                code: normalizeError(error).code,
+                reason: error.message,
+                attemptsMade: job.attemptsMade,
+                failedAt: new Date().toISOString(),
+            },
+        }, { jobId: job.id });
+        await job.remove();
+    }
+
+    /**
+     * Public view of a job
+     * @param {Object} job - Bull job from either queue
+     * @param {string} state - Job state ('dead' for dead-lettered jobs)
+     * @returns {Object} - { id, name, state, userId, attempts, attemptsMade, result, error, createdAt, processedAt, finishedAt }
+     */
+    summarize(job, state) {
+        const { userId = null, failure } = job.data;
+        const time = (timestamp) => (timestamp ? new Date(timestamp) : null);
+        return {
+            id: job.id,
+            name: job.name,
+            state,
+            userId,
+            attempts: job.opts.attempts ?? null,
+            attemptsMade: failure ? failure.attemptsMade : job.attemptsMade,
+            result: job.returnvalue ?? null,
+            error: failure ? { code: failure.code, message: failure.reason } : (job.failedReason ? { message: job.failedReason } : null),
+            createdAt: time(job.timestamp),
+            processedAt: time(job.processedOn),
+            finishedAt: failure ? new Date(failure.failedAt) : time(job.finishedOn),
+        };
+    }
+
+    // Bull job and its state, looking in the main queue first
+    async find(id) {
+        const job = await this.queue.getJob(id);
+        if (job) return { job, state: await job.getState() };
+
+        const dead = await this.deadLetters.getJob(id);
+        if (dead) return { job: dead, state: 'dead' };
+
+        throw new NotFoundError('Job not found');
+    }
+
+    /**
+     * Job summary by ID
+     * @param {string} id - Job ID
+     * @returns {Promise<Object>} - Job summary
+     */
+    async get(id) {
+        const { job, state } = await this.find(id);
+        return this.summarize(job, state);
+    }
+
+    /**
+     * Job summary for its owner (or an admin); other users get NOT_FOUND
+     * @param {string} id - Job ID
+     * @param {Object} user - Authenticated user (req.user)
+     * @returns {Promise<Object>} - Job summary
+     */
+    async getForUser(id, user) {
+        const job = await this.get(id);
+        const userId = String(user?.userId || user?.id);
+        if (job.userId !== userId && user?.role !== 'admin') {
+            throw new NotFoundError('Job not found');
+        }
+        return job;
+    }
+
+    /**
+     * Jobs in a state, newest first
+     * @param {Object} [filter] - Listing options
+     * @param {string} [filter.state] - One of JOB_STATES (defaults to 'dead')
+     * @param {string} [filter.name] - Only jobs of this type, within the page
+     * @param {number} [filter.start] - Offset
+     * @param {number} [filter.limit] - Page size
+     * @returns {Promise<Object[]>} - Job summaries
+     */
+    async list({ state = 'dead', name, start = 0, limit = 50 } = {}) {
+        if (!JOB_STATES.includes(state)) {
+            throw new ValidationError(`Unknown job state "${state}"`, { details: { state, supported: JOB_STATES } });
+        }
+
+        const jobs = state === 'dead'
+            ? await this.deadLetters.getJobs(['waiting'], start, start + limit - 1)
+            : await this.queue.getJobs([state], start, start + limit - 1);
+        return jobs
+            .filter((job) => job && (!name || job.name === name))
+            .map((job) => this.summarize(job, state));
+    }
+
+    /**
+     * Run a failed or dead-lettered job again, keeping the steps it already completed
+     * @param {string} id - Job ID
+     * @returns {Promise<Object>} - Job summary
+     */
+    async retry(id) {
+        const { job, state } = await this.find(id);
+
+        if (state === 'dead') {
+            const data = { ...job.data };
+            delete data.failure; // Recorded when the job was dead-lettered
+            const requeued = await this.queue.add(job.name, data, { ...this.jobOptions(job.name), jobId: job.id });
+            await job.remove();
+            logger.info(`Job ${job.name} (${job.id}) requeued from the dead-letter queue`);
+            return this.summarize(requeued, await requeued.getState());
+        }
+        if (state !== 'failed') {
+            throw new ConflictError(`Job is ${state}; only failed or dead-lettered jobs can be retried`);
+        }
+
+        await job.retry();
+        return this.summarize(job, await job.getState());
+    }
+
+    /**
+     * Remove a job that has not started, or will not run again
+     * @param {string} id - Job ID
+     * @returns {Promise<Object>} - Summary of the removed job (state 'cancelled')
+     */
+    async cancel(id) {
+        const { job, state } = await this.find(id);
+        if (state !== 'dead' && !CANCELLABLE_STATES.includes(state)) {
+            throw new ConflictError(`Job is ${state} and can no longer be cancelled`);
+        }
+
+        await job.remove();
+        logger.info(`Job ${job.name} (${job.id}) cancelled`);
+        return this.summarize(job, 'cancelled');
+    }
+
+    /**
+     * Start processing jobs of every registered type
+     * @param {number} [concurrency] - Jobs run in parallel (defaults to jobs.concurrency)
+     */
+    start(concurrency = config.jobs.concurrency) {
+        this.queue.on('failed', (job, error) => {
+            this.onFailed(job, error).catch((err) => logger.error(`Failed to dead-letter job ${job.id}: ${err.message}`));
+        });
+        this.queue.process('*', concurrency, (job) => this.run(job));
+        logger.info(`Job workers started for ${[...this.definitions.keys()].join(', ') || 'no job types'}`);
+    }
+
+    /**
+     * Stop processing and close the Redis connections
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.queues) return;
+        const { queue, deadLetters } = this.queues;
+        this.queues = null;
+        await Promise.all([queue.close(), deadLetters.close()]);
+    }
+}
+
+// Shared queue for the whole backend
+const jobs = new JobQueue((name) => new Queue(name, config.redis.url));
+
+// Export the functions for use in other modules
+module.exports = {
+    JOB_STATES,
+    JobQueue,
+    isRetryable,
+    define: (name, options) => jobs.define(name, options),
+    enqueue: (name, payload, options) => jobs.enqueue(name, payload, options),
+    get: (id) => jobs.get(id),
+    getForUser: (id, user) => jobs.getForUser(id, user),
+    list: (filter) => jobs.list(filter),
+    retry: (id) => jobs.retry(id),
+    cancel: (id) => jobs.cancel(id),
+    start: (concurrency) => jobs.start(concurrency),
+    stop: () => jobs.stop(),
+};
@@ -0,0 +1,534 @@
+// Import necessary libraries and modules
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const LedgerAccount = require('../models/LedgerAccount'); // Ledger accounts
+const JournalEntry = require('../models/JournalEntry'); // Immutable journal
+const royaltyService = require('./royaltyService'); // Platform fee and royalty splits
+const { InsufficientFundsError, ValidationError } = require('../errors');
+
+// Amounts are stored as integers in USDC's smallest unit
+const USDC_DECIMALS = 6;
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+// System accounts
+const CIRCLE = { type: 'external', name: 'circle' }; // USDC held at Circle for the platform's users
+const PAYOUTS = { type: 'external', name: 'payouts' }; // USDC paid out of the platform
+const PLATFORM_FEES = { type: 'platform_fees' };
+const PAYOUTS_PENDING = { type: 'payouts_pending' }; // Creator earnings set aside for requested payouts
+const ESCROW = { type: 'escrow' };
+const CROSS_CHAIN_PENDING = { type: 'cross_chain_pending' }; // Payments on their way to a creator on another chain
+
+/**
+ * Convert a USDC amount to ledger units
+ * @param {number|string} amount - Amount in USDC (at most 6 decimals)
+ * @returns {number} - Amount in micro-USDC
+ * @throws {ValidationError} - If the amount is not a positive USDC amount
+ */
+function toUnits(amount) {
+    let units;
+    try {
+        units = ethers.utils.parseUnits(String(amount), USDC_DECIMALS);
+    } catch (error) {
+        throw new ValidationError(`Invalid USDC amount: ${amount}`, { details: [{ field: 'amount', message: 'Must be a number with at most 6 decimals' }] });
+    }
+    if (units.lte(0)) {
+        throw new ValidationError(`Invalid USDC amount: ${amount}`, { details: [{ field: 'amount', message: 'Must be greater than 0' }] });
+    }
+    if (units.gt(String(Number.MAX_SAFE_INTEGER))) {
+        throw new ValidationError(`Invalid USDC amount: ${amount}`, { details: [{ field: 'amount', message: 'Too large' }] });
+    }
+    return units.toNumber();
+}
+
+/**
+ * Convert ledger units to a USDC amount
+ * @param {number} units - Amount in micro-USDC
+ * @returns {number} - Amount in USDC
+ */
+function fromUnits(units) {
+    return Number(ethers.utils.formatUnits(units, USDC_DECIMALS));
+}
+
+/**
+ * Run writes in one MongoDB transaction (retried on transient errors)
+ * Pass the session to every write, including ledger calls: { session }.
+ * @param {Function} fn - async (session) => result
+ * @returns {Promise<*>} - Result of fn
+ */
+function transaction(fn) {
+    return mongoose.connection.transaction(fn);
+}
+
+// Join the caller's transaction, or start one
+function inTransaction(session, fn) {
+    return session ? fn(session) : transaction(fn);
+}
+
+/**
+ * Ledger account, created on first use
+ * @param {Object} ref - { type, ownerId?, name? }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - LedgerAccount
+ */
+async function getAccount({ type, ownerId = null, name = 'main' }, { session } = {}) {
+    const filter = { type, ownerId, name, currency: 'USDC' };
+    try {
+        return await LedgerAccount.findOneAndUpdate(filter, { $setOnInsert: { allowNegative: type === 'external' } }, { upsert: true, new: true, session });
+    } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+        return LedgerAccount.findOne(filter).session(session || null); // Created concurrently
+    }
+}
+
+/**
+ * Balance of an account, summed from its journal postings
+ * @param {Object} accountId - LedgerAccount _id
+ * @param {Object} [options] - { session }
+ * @returns {Promise<number>} - Balance in micro-USDC
+ */
+async function balanceOf(accountId, { session } = {}) {
+    const [result] = await JournalEntry.aggregate([
+        { $match: { 'postings.account': accountId } },
+        { $unwind: '$postings' },
+        { $match: { 'postings.account': accountId } },
+        { $group: { _id: null, total: { $sum: '$postings.amount' } } },
+    ]).session(session || null);
+    return result ? result.total : 0;
+}
+
+/**
+ * Write a journal entry
+ * Every account touched is locked for the transaction, and accounts that may not go negative
+ * are checked against their balance first. Posting the same type and reference again returns
+ * the existing entry, so replayed webhooks and retries are recorded once.
+ * @param {Object} entry - Entry to write
+ * @param {string} entry.type - One of JournalEntry.TYPES
+ * @param {string} entry.reference - External ID of the event (e.g. Circle transaction ID)
+ * @param {Array<Object>} entry.postings - { account: { type, ownerId?, name? }, amount } in micro-USDC, summing to zero
+ * @param {string} [entry.memo] - Human-readable note
+ * @param {Object} [entry.metadata] - Related IDs (content, payment, ...)
+ * @param {Object} [entry.reverses] - _id of the entry this one undoes
+ * @param {Object} [options] - { session } to join a transaction; { overdraft: true } to record
+ *   money that has already left even if an account goes below zero (e.g. a chargeback)
+ * @returns {Promise<Object>} - JournalEntry
+ * @throws {InsufficientFundsError} - If an account would go below zero
+ */
+async function post({ type, reference, postings, memo, metadata, reverses }, { session, overdraft = false } = {}) {
+    const total = postings.reduce((sum, { amount }) => sum + amount, 0);
+    if (postings.length < 2 || total !== 0 || postings.some(({ amount }) => !Number.isSafeInteger(amount) || amount === 0)) {
+        throw new ValidationError('Journal entry postings must be non-zero integers that sum to zero', { details: { type, reference } });
+    }
+
+    return inTransaction(session, async (s) => {
+        const existing = await JournalEntry.findOne({ type, reference }).session(s);
+        if (existing) return existing;
+
+        const resolved = [];
+        for (const { account, amount } of postings) {
+            const ledgerAccount = await getAccount(account, { session: s });
+            await LedgerAccount.updateOne({ _id: ledgerAccount._id }, { $inc: { sequence: 1 } }, { session: s });
+
+            if (amount < 0 && !ledgerAccount.allowNegative && !overdraft) {
+                const balance = await balanceOf(ledgerAccount._id, { session: s });
+                if (balance + amount < 0) {
+                    throw new InsufficientFundsError('Insufficient funds', { details: { balance: fromUnits(balance), required: fromUnits(-amount) } });
+                }
+            }
+            resolved.push({ account: ledgerAccount._id, amount });
+        }
+
+        const [entry] = await JournalEntry.create([{ type, reference, postings: resolved, memo, metadata, reverses }], { session: s });
+        return entry;
+    });
+}
+
+/**
+ * Credit a confirmed Circle deposit to the user
+ * @param {string} userId - Depositing user
+ * @param {number} amount - Amount in USDC
+ * @param {string} reference - Circle transaction ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - JournalEntry
+ */
+function recordDeposit(userId, amount, reference, options) {
+    const units = toUnits(amount);
+    return post({
+        type: 'deposit',
+        reference,
+        postings: [
+            { account: CIRCLE, amount: -units },
+            { account: { type: 'user', ownerId: userId }, amount: units },
+        ],
+        metadata: { userId },
+    }, options);
+}
+
+/**
+ * Move a purchase from the buyer to the creator, keeping the platform fee
+ * @param {string} userId - Buyer
+ * @param {string} creatorId - Creator of the content
+ * @param {number} amount - Price in USDC
+ * @param {string} reference - Circle transaction ID
+ * @param {Object} [options] - { session, contentId }
+ * @returns {Promise<Object>} - JournalEntry
+ */
+function recordPurchase(userId, creatorId, amount, reference, { contentId, ...options } = {}) {
+    const units = toUnits(amount);
+    const fee = royaltyService.platformFee(units);
+    const postings = [
+        { account: { type: 'user', ownerId: userId }, amount: -units },
+        { account: { type: 'creator', ownerId: creatorId }, amount: units - fee },
+    ];
+    if (fee > 0) postings.push({ account: PLATFORM_FEES, amount: fee });
+
+    return post({ type: 'purchase', reference, postings, metadata: { userId, creatorId, contentId } }, options);
+}
+
+/**
+ * Move a tip from a fan to a creator
+ * @param {string} userId - Tipping user
+ * @param {string} creatorId - Tipped creator
+ * @param {number} amount - Amount in USDC
+ * @param {string} reference - Circle transaction ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - JournalEntry
+ */
+function recordTip(userId, creatorId, amount, reference, options) {
+    const units = toUnits(amount);
+    return post({
+        type: 'tip',
+        reference,
+        postings: [
+            { account: { type: 'user', ownerId: userId }, amount: -units },
+            { account: { type: 'creator', ownerId: creatorId }, amount: units },
+        ],
+        metadata: { userId, creatorId },
+    }, options);
+}
+
+/**
+ * Postings that undo `units` of an entry
+ * The payer gets back exactly `units`; every other posting is reversed in proportion, with the
+ * rounding remainder taken from the largest one, so a partial refund also takes back the same
+ * share of the creator's and the platform's cut.
+ */
+function reversalPostings(postings, payer, units) {
+    const paid = -payer.amount;
+    const reversed = postings.map(({ account, amount }) => ({
+        account,
+        amount: -Number((BigInt(amount) * BigInt(units)) / BigInt(paid)),
+    }));
+    const remainder = reversed.reduce((sum, { amount }) => sum + amount, 0);
+    if (remainder !== 0) {
+        const largest = reversed.reduce((max, posting) => (posting.amount < max.amount ? posting : max));
+        largest.amount -= remainder;
+    }
+    return reversed.filter(({ amount }) => amount !== 0);
+}
+
+// Post the postings of an entry with the opposite sign, in full or for part of the amount paid
+async function reverse(entryType, type, originalReference, reference, { amount, session, overdraft } = {}) {
+    return inTransaction(session, async (s) => {
+        const existing = await JournalEntry.findOne({ type: entryType, reference }).session(s);
+        if (existing) return existing;
+
+        const original = await JournalEntry.findOne({ type, reference: originalReference }).session(s);
+        if (!original) {
+            throw new ValidationError(`No ${type} entry for ${originalReference}`);
+        }
+
+        // Earlier refunds of the same entry, counted by what the payer got back
+        const payer = original.postings.find((posting) => posting.amount < 0);
+        const reversals = await JournalEntry.find({ reverses: original._id }).session(s);
+        const returned = reversals.reduce((sum, entry) => sum + entry.postings
+            .filter((posting) => String(posting.account) === String(payer.account))
+            .reduce((total, posting) => total + posting.amount, 0), 0);
+        const left = -payer.amount - returned;
+        const units = amount === undefined ? left : toUnits(amount);
+        if (left <= 0 || units > left) {
+            throw new ValidationError('Refund exceeds the amount left to refund', {
+                details: { paid: fromUnits(-payer.amount), refunded: fromUnits(returned), requested: fromUnits(units) },
+            });
+        }
+
+        const accounts = await LedgerAccount.find({ _id: { $in: original.postings.map(({ account }) => account) } }).session(s);
+        const byId = new Map(accounts.map((account) => [String(account._id), account]));
+        return post({
+            type: entryType,
+            reference,
+            postings: reversalPostings(original.postings, payer, units).map(({ account, amount: reversedAmount }) => {
+                const { type: accountType, ownerId, name } = byId.get(String(account));
+                return { account: { type: accountType, ownerId, name }, amount: reversedAmount };
+            }),
+            metadata: original.metadata,
+            reverses: original._id,
+        }, { session: s, overdraft });
+    });
+}
+
+/**
+ * Undo an entry, in full or in part, by posting its postings with the opposite sign
+ * Several partial refunds can be made against one entry until the whole amount is returned.
+ * @param {string} type - Type of the original entry
+ * @param {string} originalReference - Reference of the original entry
+ * @param {string} reference - Refund ID
+ * @param {Object} [options] - { session, overdraft, amount } where amount (USDC) defaults to
+ *   everything not refunded yet
+ * @returns {Promise<Object>} - JournalEntry of type 'refund'
+ * @throws {ValidationError} - If the amount is more than is left to refund
+ */
+function recordRefund(type, originalReference, reference, options) {
+    return reverse('refund', type, originalReference, reference, options);
+}
+
+/**
+ * Undo what is left of an entry whose payment was disputed and pulled back by the card network
+ * The funds are already gone, so the entry is recorded even if an account goes negative.
+ * @param {string} type - Type of the original entry
+ * @param {string} originalReference - Reference of the original entry
+ * @param {string} reference - Chargeback ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - JournalEntry of type 'chargeback'
+ */
+function recordChargeback(type, originalReference, reference, options) {
+    return reverse('chargeback', type, originalReference, reference, { ...options, amount: undefined, overdraft: true });
+}
+
+/**
+ * Set aside a creator's earnings for a requested payout
+ * @param {string} creatorId - Withdrawing creator
+ * @param {number} amount - Amount in USDC, fees included
+ * @param {string} reference - Payout ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - JournalEntry
+ * @throws {InsufficientFundsError} - If the creator's earnings cannot cover the amount
+ */
+function recordPayoutHold(creatorId, amount, reference, options) {
+    const units = toUnits(amount);
+    return post({
+        type: 'payout_hold',
+        reference,
+        postings: [
+            { account: { type: 'creator', ownerId: creatorId }, amount: -units },
+            { account: PAYOUTS_PENDING, amount: units },
+        ],
+        metadata: { creatorId },
+    }, options);
+}
+
+/**
+ * Record a sent payout: the net amount left the platform and the fee is kept
+ * @param {string} creatorId - Paid creator
+ * @param {number} amount - Amount held for the payout in USDC, fees included
+ * @param {number} fee - Fee in USDC
+ * @param {string} reference - Payout ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - JournalEntry
+ */
+function recordPayout(creatorId, amount, fee, reference, options) {
+    const units = toUnits(amount);
+    const feeUnits = fee > 0 ? toUnits(fee) : 0;
+    const postings = [
+        { account: PAYOUTS_PENDING, amount: -units },
+        { account: PAYOUTS, amount: units - feeUnits },
+    ];
+    if (feeUnits > 0) postings.push({ account: PLATFORM_FEES, amount: feeUnits });
+
+    return post({ type: 'payout', reference, postings, metadata: { creatorId } }, options);
+}
+
+/**
+ * Give a cancelled or failed payout back to the creator's earnings
+ * @param {string} creatorId - Withdrawing creator
+ * @param {number} amount - Amount held for the payout in USDC
+ * @param {string} reference - Payout ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - JournalEntry
+ */
+function recordPayoutReturn(creatorId, amount, reference, options) {
+    const units = toUnits(amount);
+    return post({
+        type: 'payout_return',
+        reference,
+        postings: [
+            { account: PAYOUTS_PENDING, amount: -units },
+            { account: { type: 'creator', ownerId: creatorId }, amount: units },
+        ],
+        metadata: { creatorId },
+    }, options);
+}
+
+/**
+ * Hold a user's funds in escrow
+ * @param {string} userId - Paying user
+ * @param {number} amount - Amount in USDC
+ * @param {string} reference - Escrow ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - JournalEntry
+ * @throws {InsufficientFundsError} - If the user cannot cover the amount
+ */
+function recordEscrowHold(userId, amount, reference, options) {
+    const units = toUnits(amount);
+    return post({
+        type: 'escrow_hold',
+        reference,
+        postings: [
+            { account: { type: 'user', ownerId: userId }, amount: -units },
+            { account: ESCROW, amount: units },
+        ],
+        metadata: { userId },
+    }, options);
+}
+
+/**
+ * Pay escrowed funds out to the receiver's wallet
+ * @param {string} receiverId - Paid user
+ * @param {number} amount - Amount in USDC
+ * @param {string} reference - Escrow ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - JournalEntry
+ */
+function recordEscrowRelease(receiverId, amount, reference, options) {
+    const units = toUnits(amount);
+    return post({
+        type: 'escrow_release',
+        reference,
+        postings: [
+            { account: ESCROW, amount: -units },
+            { account: PAYOUTS, amount: units },
+        ],
+        metadata: { receiverId },
+    }, options);
+}
+
+/**
+ * Give escrowed funds back to the user who put them in
+ * @param {string} userId - Paying user
+ * @param {number} amount - Amount in USDC
+ * @param {string} reference - Escrow ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - JournalEntry
+ */
+function recordEscrowReturn(userId, amount, reference, options) {
+    const units = toUnits(amount);
+    return post({
+        type: 'escrow_return',
+        reference,
+        postings: [
+            { account: ESCROW, amount: -units },
+            { account: { type: 'user', ownerId: userId }, amount: units },
+        ],
+        metadata: { userId },
+    }, options);
+}
+
+/**
+ * Set a cross-chain payment aside from the payer's funds until it is minted on the other chain
+ * @param {string} userId - Paying user
+ * @param {number} amount - Amount in USDC, fee included
+ * @param {string} reference - CrossChainPayment ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - JournalEntry
+ * @throws {InsufficientFundsError} - If the user cannot cover the amount
+ */
+function recordCrossChainHold(userId, amount, reference, options) {
+    const units = toUnits(amount);
+    return post({
+        type: 'cross_chain_hold',
+        reference,
+        postings: [
+            { account: { type: 'user', ownerId: userId }, amount: -units },
+            { account: CROSS_CHAIN_PENDING, amount: units },
+        ],
+        metadata: { userId },
+    }, options);
+}
+
+/**
+ * Record a cross-chain payment minted to the creator: the net amount left the platform and the fee is kept
+ * @param {string} creatorId - Paid creator
+ * @param {number} amount - Amount held for the payment in USDC, fee included
+ * @param {number} fee - Platform fee in USDC
+ * @param {string} reference - CrossChainPayment ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - JournalEntry
+ */
+function recordCrossChainPayment(creatorId, amount, fee, reference, options) {
+    const units = toUnits(amount);
+    const feeUnits = fee > 0 ? toUnits(fee) : 0;
+    const postings = [
+        { account: CROSS_CHAIN_PENDING, amount: -units },
+        { account: PAYOUTS, amount: units - feeUnits },
+    ];
+    if (feeUnits > 0) postings.push({ account: PLATFORM_FEES, amount: feeUnits });
+
+    return post({ type: 'cross_chain_payment', reference, postings, metadata: { creatorId } }, options);
+}
+
+/**
+ * Give a cross-chain payment whose burn failed back to the payer
+ * @param {string} userId - Paying user
+ * @param {number} amount - Amount held for the payment in USDC
+ * @param {string} reference - CrossChainPayment ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - JournalEntry
+ */
+function recordCrossChainReturn(userId, amount, reference, options) {
+    const units = toUnits(amount);
+    return post({
+        type: 'cross_chain_return',
+        reference,
+        postings: [
+            { account: CROSS_CHAIN_PENDING, amount: -units },
+            { account: { type: 'user', ownerId: userId }, amount: units },
+        ],
+        metadata: { userId },
+    }, options);
+}
+
+/**
+ * A user's spendable funds and creator earnings
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - { available, earnings } in USDC
+ */
+async function balances(userId, { session } = {}) {
+    const total = async (type) => {
+        const account = await LedgerAccount.findOne({ type, ownerId: userId, name: 'main', currency: 'USDC' }).session(session || null);
+        return account ? fromUnits(await balanceOf(account._id, { session })) : 0;
+    };
+    return { available: await total('user'), earnings: await total('creator') };
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    CIRCLE,
+    PAYOUTS,
+    PLATFORM_FEES,
+    PAYOUTS_PENDING,
+    ESCROW,
+    CROSS_CHAIN_PENDING,
+    toUnits,
+    fromUnits,
+    transaction,
+    getAccount,
+    balanceOf,
+    post,
+    recordDeposit,
+    recordPurchase,
+    recordTip,
+    recordRefund,
+    recordChargeback,
+    recordPayoutHold,
+    recordPayout,
+    recordPayoutReturn,
+    recordEscrowHold,
+    recordEscrowRelease,
+    recordEscrowReturn,
+    recordCrossChainHold,
+    recordCrossChainPayment,
+    recordCrossChainReturn,
+    balances,
+};
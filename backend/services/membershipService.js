@@ -1,21 +1,21 @@
 // Import necessary packages
-const express = require("express");
 const { ethers } = require("ethers");
 const redis = require("redis");
+const config = require("../config");
+const Membership = require("../models/Membership");
+const txTracker = require("./txTracker");
+const signerPool = require("./signerPool");
+const chainRegistry = require("./chainRegistry");
+const { ValidationError, wrapError } = require("../errors");
 
 // Initialize Redis client with connection error handling
-const redisClient = redis.createClient();
+const redisClient = redis.createClient({ url: config.redis.url });
 redisClient.on("error", (err) => console.error("Redis connection error:", err));
 redisClient.connect();
 
-// ABI and environment variables
-const contractABI = require("./abi/UnlockMemberships.json");
-const { UNLOCK_CONTRACT_ADDRESS, INFURA_URL, PRIVATE_KEY, PORT = 3000 } = process.env;
-
-// Initialize Ethers.js provider, signer, and contract instance
-const provider = new ethers.JsonRpcProvider(INFURA_URL);
-const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-const contract = new ethers.Contract(UNLOCK_CONTRACT_ADDRESS, contractABI, wallet);
+// UnlockMemberships on the default chain, connected to the least busy operator wallet
+const membershipContract = () =>
+  chainRegistry.getContract(config.blockchain.defaultChain, "unlockMemberships", signerPool.acquire());
 
 // Helper functions for Redis caching
 const getCache = async (key) => {
@@ -36,25 +36,37 @@ const setCache = async (key, value, ttl = 3600) => {
   }
 };
 
+// Drop cached membership lookups once a purchase settles or is reorged out
+const clearMembershipCache = async (walletAddress, membershipType) => {
+  try {
+    await redisClient.del([`membership:${walletAddress}`, `membership-${walletAddress}-${membershipType}`]);
+  } catch (error) {
+    console.error("Redis del error:", error);
+  }
+};
+
 // Membership service methods
 const membershipService = {
   /**
-   * @dev Handle membership purchase.
+   * @dev Handle membership purchase. The membership is recorded once the transaction confirms.
+   * @returns {Promise<Object>} - TxRecord tracking the purchase
    */
   purchaseMembership: async (userAddress, membershipType, amount) => {
     if (!userAddress || !membershipType || !amount) {
-      throw new Error("Invalid input parameters.");
+      throw new ValidationError("Invalid input parameters.");
     }
     try {
-      const tx = await contract.purchaseMembership(userAddress, membershipType, {
-        value: ethers.parseEther(amount.toString()),
+      const tx = await membershipContract().purchaseMembership(userAddress, membershipType, {
+        value: ethers.utils.parseEther(amount.toString()),
+      });
+      console.log(`Membership purchase submitted: ${tx.hash}`);
+      return await txTracker.submit(tx, {
+        kind: "membership.purchase",
+        metadata: { walletAddress: userAddress, membershipType },
       });
-      await tx.wait();
-      console.log(`Membership purchased: ${tx.hash}`);
-      return tx.hash;
     } catch (error) {
       console.error("Error purchasing membership:", error);
-      throw new Error("Membership purchase failed.");
+      throw wrapError(error, "Membership purchase failed.");
     }
   },
 
@@ -63,39 +75,42 @@ const membershipService = {
    */
   verifyMembership: async (userAddress) => {
     if (!userAddress) {
-      throw new Error("User address is required.");
+      throw new ValidationError("User address is required.");
     }
     try {
       const cacheKey = `membership:${userAddress}`;
       const cachedStatus = await getCache(cacheKey);
       if (cachedStatus !== null) return cachedStatus;
 
-      const hasMembership = await contract.isMember(userAddress);
+      const hasMembership = await membershipContract().isMember(userAddress);
       await setCache(cacheKey, hasMembership);
       return hasMembership;
     } catch (error) {
       console.error("Error verifying membership:", error);
-      throw new Error("Membership verification failed.");
+      throw wrapError(error, "Membership verification failed.");
     }
   },
 
   /**
    * @dev Renew membership.
+   * @returns {Promise<Object>} - TxRecord tracking the renewal
    */
   renewMembership: async (userAddress, amount) => {
     if (!userAddress || !amount) {
-      throw new Error("Invalid input parameters.");
+      throw new ValidationError("Invalid input parameters.");
     }
     try {
-      const tx = await contract.renewMembership(userAddress, {
-        value: ethers.parseEther(amount.toString()),
+      const tx = await membershipContract().renewMembership(userAddress, {
+        value: ethers.utils.parseEther(amount.toString()),
+      });
+      console.log(`Membership renewal submitted: ${tx.hash}`);
+      return await txTracker.submit(tx, {
+        kind: "membership.renew",
+        metadata: { walletAddress: userAddress },
       });
-      await tx.wait();
-      console.log(`Membership renewed: ${tx.hash}`);
-      return tx.hash;
     } catch (error) {
       console.error("Error renewing membership:", error);
-      throw new Error("Membership renewal failed.");
+      throw wrapError(error, "Membership renewal failed.");
     }
   },
 
@@ -104,74 +119,56 @@ const membershipService = {
    */
   verifyAccess: async (userAddress, contentId) => {
     if (!userAddress || !contentId) {
-      throw new Error("Invalid input parameters.");
+      throw new ValidationError("Invalid input parameters.");
     }
     try {
       const cacheKey = `access:${userAddress}:${contentId}`;
       const cachedAccess = await getCache(cacheKey);
       if (cachedAccess !== null) return cachedAccess;
 
-      const hasAccess = await contract.hasAccess(userAddress, contentId);
+      const hasAccess = await membershipContract().hasAccess(userAddress, contentId);
       await setCache(cacheKey, hasAccess);
       return hasAccess;
     } catch (error) {
       console.error("Error verifying access:", error);
-      throw new Error("Access verification failed.");
+      throw wrapError(error, "Access verification failed.");
     }
   },
-};
 
-// Express server setup
-const app = express();
-app.use(express.json());
-
-// Route to purchase membership
-app.post("/membership/purchase", async (req, res) => {
-  const { userAddress, membershipType, amount } = req.body;
-  try {
-    const txHash = await membershipService.purchaseMembership(userAddress, membershipType, amount);
-    res.json({ success: true, txHash });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
-
-// Route to verify membership
-app.get("/membership/verify/:userAddress", async (req, res) => {
-  const { userAddress } = req.params;
-  try {
-    const hasMembership = await membershipService.verifyMembership(userAddress);
-    res.json({ success: true, hasMembership });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
+  /**
+   * @dev Record a confirmed purchase. Idempotent: the watcher can confirm the same transaction again after a reorg.
+   * @param {Object} record - Confirmed TxRecord of kind "membership.purchase"
+   */
+  recordPurchase: async (record) => {
+    const { walletAddress, membershipType } = record.metadata;
+    await Membership.updateOne(
+      { transactionHash: record.hash },
+      { $setOnInsert: { walletAddress, membershipType, transactionHash: record.hash } },
+      { upsert: true }
+    );
+    await clearMembershipCache(walletAddress, membershipType);
+  },
 
-// Route to renew membership
-app.post("/membership/renew", async (req, res) => {
-  const { userAddress, amount } = req.body;
-  try {
-    const txHash = await membershipService.renewMembership(userAddress, amount);
-    res.json({ success: true, txHash });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
+  /**
+   * @dev Remove a purchase whose transaction was reorged out after confirming.
+   * @param {Object} record - TxRecord of kind "membership.purchase"
+   */
+  revokePurchase: async (record) => {
+    const { walletAddress, membershipType } = record.metadata;
+    await Membership.deleteOne({ transactionHash: record.hash });
+    await clearMembershipCache(walletAddress, membershipType);
+  },
+};
 
-// Route to verify access to premium content
-app.get("/membership/access/:userAddress/:contentId", async (req, res) => {
-  const { userAddress, contentId } = req.params;
-  try {
-    const hasAccess = await membershipService.verifyAccess(userAddress, contentId);
-    res.json({ success: true, hasAccess });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+// Settle purchases from the transaction watcher instead of inside the request
+txTracker.on("confirmed", (record) => {
+  if (record.kind !== "membership.purchase") return;
+  membershipService.recordPurchase(record).catch((error) => console.error("Error recording membership:", error));
 });
 
-// Start the Express server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
+txTracker.on("status", (record, previous) => {
+  if (record.kind !== "membership.purchase" || previous !== "confirmed") return;
+  membershipService.revokePurchase(record).catch((error) => console.error("Error revoking membership:", error));
 });
 
 module.exports = membershipService;
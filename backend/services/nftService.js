@@ -1,28 +1,24 @@
 // Import necessary libraries and modules
-const { FlowSDK } = require('@onflow/sdk'); // Flow SDK for minting NFTs
-const LayerZero = require('./LayerZero'); // LayerZero for cross-chain messaging
-const StoryProtocol = require('./StoryProtocol'); // Story Protocol for NFT licensing
-const User = require('./models/User'); // User model to fetch user data
-const { ReentrancyGuard } = require('./middleware/reentrancyGuard'); // Middleware for reentrancy protection
-
-// Initialize Flow SDK
-const flowClient = new FlowSDK({
-    // Configuration for Flow blockchain
-    api: process.env.FLOW_API_URL,
-    // Add any other necessary config here
-});
+const { FlowNFT, LayerZero, StoryProtocol } = require('../adapters'); // Flow minting, LayerZero transfers, Story Protocol licensing
+const User = require('../models/User'); // User model to fetch user data
+const { ReentrancyGuard } = require('../middlewares/reentrancyGuard'); // Middleware for reentrancy protection
+const royaltyService = require('./royaltyService'); // Basis-point royalty splits
+const royaltyReportService = require('./royaltyReportService'); // Royalty earnings and statements
+const { toUnits, fromUnits } = require('./ledgerService'); // USDC <-> ledger units
+const logger = require('../utils/logger');
+const { NotFoundError, wrapError } = require('../errors');
 
 /**
- * Error handling utility with context logging
+ * Log a failed operation and rethrow it as an AppError (the original error is kept as its cause)
  */
 function handleError(error, context = {}) {
     console.error('NFT Service Error:', error);
     console.error('Context:', context);
-    throw new Error('Operation failed. Please try again.');
+    throw wrapError(error, 'NFT operation failed. Please try again.');
 }
 
 /**
- * Mint NFT with gas estimation and retry logic
+ * Mint NFT on Flow
  * @param {string} userId - ID of the user minting the NFT
  * @param {string} tokenURI - Metadata URI for the NFT
  * @returns {Promise<string>} - Transaction hash of the minting process
@@ -30,9 +26,8 @@ function handleError(error, context = {}) {
 async function mintNFT(userId, tokenURI) {
     try {
         const user = await User.findById(userId);
-        const gasEstimate = await flowClient.estimateGas.mintNFT(user.blockchainAddress, tokenURI);
-        const tx = await flowClient.mintNFT(user.blockchainAddress, tokenURI, { gasLimit: gasEstimate });
-        await tx.wait(); // Wait for transaction confirmation
+        if (!user) throw new NotFoundError('User not found');
+        const tx = await FlowNFT.mint({ owner: user.blockchainAddress, contentId: tokenURI, metadata: { tokenURI } });
         return tx.hash;
     } catch (error) {
         handleError(error, { method: 'mintNFT', userId, tokenURI });
@@ -43,48 +38,83 @@ async function mintNFT(userId, tokenURI) {
  * Transfer NFT with retry logic
  * @param {string} nftId - ID of the NFT to transfer
  * @param {string} recipient - Address of the recipient
+ * @param {string} targetChain - Chain to transfer the NFT to
  * @returns {Promise<string>} - Transaction hash of the transfer process
  */
-async function transferNFT(nftId, recipient) {
+async function transferNFT(nftId, recipient, targetChain) {
     try {
         let retries = 0;
         let tx = null;
+        let lastError;
         while (!tx && retries < 3) {
             try {
-                tx = await LayerZero.transferNFT(nftId, recipient);
-                await tx.wait(); // Wait for transaction confirmation
+                tx = await LayerZero.transferNFT(nftId, recipient, targetChain);
             } catch (error) {
+                lastError = error;
                 retries += 1;
                 await new Promise(resolve => setTimeout(resolve, 1000)); // Retry after 1 second
             }
         }
         if (!tx) {
-            throw new Error('NFT transfer failed after 3 retries');
+            throw wrapError(lastError, 'NFT transfer failed after 3 retries');
         }
         return tx.hash;
     } catch (error) {
-        handleError(error, { method: 'transferNFT', nftId, recipient });
+        handleError(error, { method: 'transferNFT', nftId, recipient, targetChain });
     }
 }
 
 /**
- * License NFT with validation of royalty splits and gas estimation
+ * Pay the royalties of a split payment through Story Protocol and record them as earnings
+ * The contract takes no fee, so it is sent what is left after the platform fee and pays each
+ * recipient their share of that. The royalties are paid by the time they are recorded, so a
+ * failure to record them is logged rather than thrown.
+ * @param {string} tokenId - Token or license whose royalty recipients are paid
+ * @param {Object} breakdown - Result of royaltyService.splitPayment (amounts in ledger units)
+ * @param {Object} payment - Payment details for royaltyReportService.recordEarnings
+ * @param {string} payment.source - 'sale' or 'license'
+ * @param {string} [payment.contentId] - Content the royalties are for
+ * @param {string} [payment.nftId] - NFT sold or licensed
+ * @param {string} [payment.payer] - Buyer or licensee
+ * @returns {Promise<string|null>} - Transaction hash of the payment, or null when there were no royalties to pay
+ */
+async function payRoyalties(tokenId, breakdown, { source, contentId, nftId, payer }) {
+    if (breakdown.royalties === 0) return null;
+
+    const { hash } = await StoryProtocol.enforceRoyaltyPayment(tokenId, fromUnits(breakdown.amount - breakdown.platformFee));
+    await royaltyReportService.recordEarnings(breakdown, { source, reference: hash, contentId, nftId, payer })
+        .catch((error) => logger.error(`Failed to record royalty earnings for ${hash}: ${error.message}`));
+
+    return hash;
+}
+
+/**
+ * License NFT with validation of royalty splits
+ * When a license fee is given, the licensee's fee is split and paid to the new recipients at once.
  * @param {string} nftId - ID of the NFT to license
  * @param {Array<string>} royaltyRecipients - Array of recipient addresses for royalty splits
- * @param {Array<number>} royaltyShares - Corresponding shares for each recipient
- * @returns {Promise<string>} - Transaction hash of the licensing process
+ * @param {Array<number>} royaltyShares - Share of each sale for each recipient, in basis points (at most 10000 in total)
+ * @param {Object} [licenseFee] - License fee paid now
+ * @param {number} [licenseFee.fee] - Fee in USDC
+ * @param {string} [licenseFee.owner] - NFT owner, who keeps what the recipients do not
+ * @param {string} [licenseFee.payer] - Licensee paying the fee
+ * @returns {Promise<Object>} - { hash, royalties }: transaction hash of the licensing process and the fee's breakdown in USDC (null without a fee)
  */
-async function licenseNFT(nftId, royaltyRecipients, royaltyShares) {
+async function licenseNFT(nftId, royaltyRecipients, royaltyShares, { fee, owner, payer } = {}) {
     try {
-        const totalShares = royaltyShares.reduce((sum, share) => sum + share, 0);
-        if (totalShares !== 100) {
-            throw new Error('Total royalty shares must equal 100%');
-        }
+        const split = royaltyService.validateSplit(royaltyRecipients, royaltyShares);
+        // Split the fee before licensing, so an invalid fee fails before anything is sent
+        const breakdown = fee === undefined ? null : royaltyService.splitPayment(toUnits(fee), split, { seller: owner });
 
-        const gasEstimate = await StoryProtocol.estimateGas.licenseNFT(nftId, royaltyRecipients, royaltyShares);
-        const tx = await StoryProtocol.licenseNFT(nftId, royaltyRecipients, royaltyShares, { gasLimit: gasEstimate });
-        await tx.wait(); // Wait for transaction confirmation
-        return tx.hash;
+        const tx = await StoryProtocol.licenseNFT(nftId, {
+            recipients: split.map(({ recipient }) => recipient),
+            shares: split.map(({ bps }) => bps),
+        });
+
+        if (!breakdown) return { hash: tx.hash, royalties: null };
+
+        await payRoyalties(nftId, breakdown, { source: 'license', payer });
+        return { hash: tx.hash, royalties: royaltyService.convertBreakdown(breakdown, fromUnits) };
     } catch (error) {
         handleError(error, { method: 'licenseNFT', nftId, royaltyRecipients, royaltyShares });
     }
@@ -97,7 +127,7 @@ async function licenseNFT(nftId, royaltyRecipients, royaltyShares) {
  */
 function listenForEvents(eventType, callback) {
     try {
-        flowClient.on(eventType, callback);
+        FlowNFT.on(eventType, callback);
         LayerZero.on(eventType, callback);
         StoryProtocol.on(eventType, callback);
     } catch (error) {
@@ -109,6 +139,7 @@ function listenForEvents(eventType, callback) {
 module.exports = {
     mintNFT,
     transferNFT,
+    payRoyalties,
     licenseNFT,
     listenForEvents,
 };
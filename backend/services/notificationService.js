@@ -0,0 +1,76 @@
+// Import necessary libraries and modules
+const { EventEmitter } = require('events');
+const Notification = require('../models/Notification'); // Stored user notifications
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../errors');
+
+// Emits each new notification under its user's ID, for clients connected to the stream
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open stream
+
+/**
+ * Store a notification and push it to the user's open streams
+ * Never throws: a notification that cannot be stored is logged and dropped, so it cannot
+ * fail the operation that triggered it.
+ * @param {string} userId - Recipient
+ * @param {string} type - Notification type (e.g. 'refund.completed')
+ * @param {string} message - Human-readable text
+ * @param {Object} [data] - IDs and fields the client needs
+ * @returns {Promise<Object|null>} - Notification, or null if it could not be stored
+ */
+async function notify(userId, type, message, data = {}) {
+    try {
+        const notification = await Notification.create({ userId, type, message, data });
+        events.emit(String(userId), notification);
+        return notification;
+    } catch (error) {
+        logger.error(`Failed to notify user ${userId} (${type}): ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Listen for a user's new notifications (only those created by this process)
+ * @param {string} userId - User ID
+ * @param {Function} listener - (notification) => void
+ * @returns {Function} - Stops listening
+ */
+function subscribe(userId, listener) {
+    events.on(String(userId), listener);
+    return () => events.off(String(userId), listener);
+}
+
+/**
+ * A user's notifications, newest first
+ * @param {string} userId - User ID
+ * @param {Object} [filter] - Listing options
+ * @param {boolean} [filter.unread] - Only notifications not marked as read
+ * @param {number} [filter.start] - Offset
+ * @param {number} [filter.limit] - Page size
+ * @returns {Promise<Object[]>} - Notifications
+ */
+async function list(userId, { unread = false, start = 0, limit = 50 } = {}) {
+    const query = { userId };
+    if (unread) query.readAt = null;
+    return Notification.find(query).sort({ createdAt: -1 }).skip(start).limit(limit);
+}
+
+/**
+ * Mark one of the user's notifications as read
+ * @param {string} userId - User ID
+ * @param {string} id - Notification ID
+ * @returns {Promise<Object>} - Notification
+ */
+async function markRead(userId, id) {
+    const notification = await Notification.findOneAndUpdate({ _id: id, userId }, { readAt: new Date() }, { new: true });
+    if (!notification) throw new NotFoundError('Notification not found');
+    return notification;
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    notify,
+    subscribe,
+    list,
+    markRead,
+};
@@ -0,0 +1,278 @@
+// Import necessary libraries and modules
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const config = require('../config'); // Validated application configuration
+const PaymentIntent = require('../models/PaymentIntent'); // Payments authorized by a wallet signature
+const User = require('../models/User'); // MongoDB model for users
+const Content = require('../models/Content'); // MongoDB model for content
+const ledgerService = require('./ledgerService'); // Double-entry ledger of user funds
+const paymentService = require('./paymentService'); // Circle charges and payment valuations
+const spendingPolicyService = require('./spendingPolicyService'); // Spending limits and step-up authorization
+const fraudService = require('./fraudService'); // Velocity and fraud rules, review queue
+const chainRegistry = require('./chainRegistry'); // USDC address per chain
+const logger = require('../utils/logger');
+const { EVM_ADDRESS_REGEX } = require('../models/validators');
+const {
+    AuthorizationError,
+    ConflictError,
+    InsufficientFundsError,
+    NotFoundError,
+    ValidationError,
+    normalizeError,
+} = require('../errors');
+
+// EIP-712 domain and type the payer's wallet signs; the chain ID is added per intent
+const DOMAIN = { name: 'KOSMA', version: '1' };
+const TYPES = {
+    PaymentIntent: [
+        { name: 'recipient', type: 'address' },
+        { name: 'amount', type: 'uint256' }, // micro-USDC
+        { name: 'token', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'expiry', type: 'uint256' }, // Unix seconds
+    ],
+};
+
+const userIdOf = (user) => String(user.userId || user.id);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const invalid = (field, message) => new ValidationError(`Invalid payment intent: ${message}`, { details: [{ field, message }] });
+
+// Creator paid by a tip, or the owner of purchased content
+async function payee(type, { creatorId, contentId }) {
+    if (type === 'tip') {
+        const creator = mongoose.isValidObjectId(creatorId) ? await User.findById(creatorId) : null;
+        if (!creator) throw new NotFoundError('Creator not found');
+        return { creator };
+    }
+
+    const content = mongoose.isValidObjectId(contentId) ? await Content.findById(contentId) : null;
+    if (!content) throw new NotFoundError('Content not found');
+    const creator = content.owner && await User.findOne({ blockchainAddress: new RegExp(`^${escapeRegex(content.owner)}$`, 'i') });
+    if (!creator) throw new NotFoundError('Content creator not found');
+    return { creator, content };
+}
+
+/**
+ * EIP-712 typed data of an intent, as wallets sign it (eth_signTypedData_v4, or ethers' _signTypedData)
+ * @param {Object} intent - PaymentIntent
+ * @returns {Object} - { domain, types, primaryType, message }
+ */
+function typedDataOf(intent) {
+    return {
+        domain: { ...DOMAIN, chainId: intent.chainId },
+        types: TYPES,
+        primaryType: 'PaymentIntent',
+        message: {
+            recipient: intent.recipient,
+            amount: String(ledgerService.toUnits(intent.amount)),
+            token: intent.token,
+            nonce: intent.nonce,
+            expiry: String(Math.floor(intent.expiresAt.getTime() / 1000)),
+        },
+    };
+}
+
+// Wallet that signed the intent, or null when the signature is malformed
+function signerOf(intent, signature) {
+    const { domain, types, message } = typedDataOf(intent);
+    try {
+        return ethers.utils.verifyTypedData(domain, types, message, signature);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Creator credited for a signed intent, and the amount; both must be what the payer signed
+async function signedPosting(intent) {
+    const { message } = typedDataOf(intent);
+    const creator = await User.findById(intent.creatorId);
+    if (!creator) throw new NotFoundError('Creator not found');
+
+    const recipient = message.recipient.toLowerCase();
+    if (String(creator.blockchainAddress).toLowerCase() !== recipient && !creator.linkedWallet(recipient)) {
+        throw new ConflictError('The signed recipient is no longer a wallet of the creator; start the payment again');
+    }
+    const amount = ledgerService.fromUnits(message.amount);
+    if (amount !== intent.amount) throw new ConflictError('The signed amount does not match the payment');
+    return { creatorId: String(creator._id), amount };
+}
+
+/**
+ * Start a purchase or tip that the payer authorizes by signing it with their wallet
+ * The signing wallet (a Ledger or any browser wallet) must be linked to the payer's account, so
+ * the server knows the payer holds its key. It signs the returned typed data, and executeIntent()
+ * makes the payment once the signature checks out. The intent is valid for config.payments.intentTtlMs.
+ * @param {Object} user - Authenticated payer (req.user)
+ * @param {Object} request - Payment details
+ * @param {string} request.type - 'purchase' or 'tip'
+ * @param {string} [request.creatorId] - Tipped creator (tips)
+ * @param {string} [request.contentId] - Purchased content (purchases)
+ * @param {number} request.amount - USDC to pay
+ * @param {string} [request.currency] - Currency to record the payment's value in (defaults to USD)
+ * @param {number|string} [request.chain] - Chain ID or config key the wallet signs for (defaults to the default chain)
+ * @param {string} [request.signer] - Linked wallet that will sign (defaults to the primary one)
+ * @returns {Promise<Object>} - { intent, typedData }
+ */
+async function createIntent(user, { type, creatorId, contentId, amount, currency, chain, signer } = {}) {
+    if (!PaymentIntent.TYPES.includes(type)) {
+        throw invalid('type', `Must be one of ${PaymentIntent.TYPES.join(', ')}`);
+    }
+    const units = ledgerService.toUnits(amount);
+
+    const userId = userIdOf(user);
+    const account = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!account) throw new NotFoundError('User not found');
+    const wallet = account.linkedWallet(signer);
+    if (!wallet) {
+        throw new ValidationError('Link a wallet to your account to sign payments with it', { details: [{ field: 'signer', message: 'Must be a wallet linked to the account' }] });
+    }
+
+    const field = type === 'tip' ? 'creatorId' : 'contentId';
+    const { creator, content } = await payee(type, { creatorId, contentId });
+    if (String(creator._id) === userId) throw invalid(field, 'You cannot pay yourself');
+    if (!EVM_ADDRESS_REGEX.test(creator.blockchainAddress || '')) throw invalid(field, 'The creator has no EVM wallet');
+
+    const { name, chainId } = chainRegistry.resolveChain(chain || config.blockchain.defaultChain);
+    const intent = await PaymentIntent.create({
+        userId,
+        creatorId: creator._id,
+        contentId: content?._id,
+        type,
+        amount: ledgerService.fromUnits(units),
+        currency,
+        signer: wallet.address,
+        recipient: creator.blockchainAddress,
+        token: chainRegistry.getAddress(name, 'usdc'),
+        chainId,
+        nonce: BigInt(`0x${crypto.randomBytes(32).toString('hex')}`).toString(),
+        expiresAt: new Date(Date.now() + config.payments.intentTtlMs),
+    });
+
+    logger.info(`Payment intent ${intent.id}: ${type} of ${intent.amount} USDC by user ${userId} waiting for a signature`);
+    return { intent, typedData: typedDataOf(intent) };
+}
+
+// Charge a signed intent from the payer's balance, posting exactly what was signed
+async function pay(intent) {
+    const userId = String(intent.userId);
+    const { creatorId, amount } = await signedPosting(intent);
+    const { available } = await ledgerService.balances(userId);
+    if (available < amount) {
+        throw new InsufficientFundsError('Insufficient funds', { details: { balance: available, required: amount } });
+    }
+
+    const valuation = await paymentService.valuePayment(amount, intent.currency);
+    return paymentService.collectPayment({
+        type: intent.type,
+        userId,
+        creatorId,
+        contentId: intent.contentId && String(intent.contentId),
+        amount,
+        valuation,
+    });
+}
+
+/**
+ * Payment intent of the user
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} id - PaymentIntent ID
+ * @returns {Promise<Object>} - PaymentIntent
+ */
+async function getForUser(user, id) {
+    const intent = mongoose.isValidObjectId(id) ? await PaymentIntent.findById(id) : null;
+    if (!intent || String(intent.userId) !== userIdOf(user)) {
+        throw new NotFoundError('Payment intent not found');
+    }
+    return intent;
+}
+
+/**
+ * Make the payment of a signed intent
+ * The signature must recover to the payer's linked wallet and the intent must not have expired. Its
+ * nonce is used up before anything is charged, so an intent pays at most once. The spending
+ * policy still applies, with the signature standing in for wallet step-up, and so do the fraud
+ * rules: a held intent is paid if an admin approves it.
+ * @param {Object} user - Authenticated payer (req.user)
+ * @param {string} id - PaymentIntent ID
+ * @param {string} signature - EIP-712 signature of typedDataOf(intent)
+ * @returns {Promise<Object>} - { intent, payment, transaction }, or { intent, review } when held for review
+ * @throws {AuthorizationError} - If the payer's wallet did not sign the intent
+ * @throws {ConflictError} - If the intent expired or was already used
+ */
+async function executeIntent(user, id, signature) {
+    const intent = await getForUser(user, id);
+    if (intent.status !== 'pending') throw new ConflictError(`Payment intent is already ${intent.status}`);
+    if (intent.expiresAt <= new Date()) {
+        await PaymentIntent.updateOne({ _id: intent._id, status: 'pending' }, { status: 'expired' });
+        throw new ConflictError('Payment intent has expired; start the payment again');
+    }
+
+    const signer = typeof signature === 'string' ? signerOf(intent, signature) : null;
+    if (!signer || signer.toLowerCase() !== intent.signer.toLowerCase()) {
+        throw new AuthorizationError('Payment intent is not signed by your wallet');
+    }
+
+    // Claim the nonce first; a second request with the same signature finds it taken
+    const claimed = await PaymentIntent.findOneAndUpdate(
+        { _id: intent._id, status: 'pending', expiresAt: { $gt: new Date() } },
+        { status: 'executing', signature },
+        { new: true }
+    );
+    if (!claimed) throw new ConflictError('Payment intent was already used');
+
+    const userId = String(claimed.userId);
+    const payment = { type: claimed.type, amount: claimed.amount, recipientId: String(claimed.creatorId), contentId: claimed.contentId };
+    let collected;
+    try {
+        await spendingPolicyService.authorizePayment(userId, { payments: [payment], confirmedWith: 'wallet' });
+
+        const { review } = await fraudService.screenPayment(userId, { source: 'intent', payments: [payment], request: { intentId: claimed.id } });
+        if (review) {
+            claimed.set({ status: 'held', reviewId: review._id });
+            await claimed.save();
+            return { intent: claimed, review };
+        }
+
+        collected = await pay(claimed);
+    } catch (error) {
+        const { code } = normalizeError(error);
+        await PaymentIntent.updateOne({ _id: claimed._id }, { status: 'failed', error: { code, message: error.message } });
+        throw error;
+    }
+
+    claimed.set({ status: 'executed', paymentId: collected.payment._id, executedAt: new Date() });
+    await claimed.save();
+
+    logger.info(`Payment intent ${claimed.id} executed as payment ${collected.payment.id}, signed by ${signer}`);
+    return { intent: claimed, ...collected };
+}
+
+// Intents held by the fraud checks: paid once an admin approves them, failed otherwise
+fraudService.defineHold('intent', {
+    release: async (review, { step }) => {
+        const intent = await PaymentIntent.findById(review.request.intentId);
+        if (!intent) throw new NotFoundError('Payment intent not found');
+
+        const paid = await step('pay', async () => {
+            const { payment, transaction } = await pay(intent);
+            return { paymentId: payment.id, transactionId: transaction.id };
+        });
+        await PaymentIntent.updateOne({ _id: intent._id, status: 'held' }, { status: 'executed', paymentId: paid.paymentId, executedAt: new Date() });
+        return paid;
+    },
+    cancel: async (review, error) => {
+        const { code } = normalizeError(error);
+        await PaymentIntent.updateOne({ _id: review.request.intentId, status: 'held' }, { status: 'failed', error: { code, message: error.message } });
+    },
+});
+
+// Export the functions for use in other modules
+module.exports = {
+    createIntent,
+    getForUser,
+    executeIntent,
+    typedDataOf,
+};
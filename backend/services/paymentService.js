@@ -1,22 +1,20 @@
 // Import necessary libraries and modules
-const { ethers } = require('ethers');
-const CircleAPI = require('./CircleAPI'); // Circle API for USDC payments
-const Superfluid = require('./Superfluid'); // Superfluid for streaming payments
-const { ReentrancyGuard } = require('./middleware/reentrancyGuard'); // Middleware for reentrancy protection
-const LedgerJS = require('ledger-js'); // LedgerJS for secure payment authorization
-const User = require('./models/User'); // User model to fetch user data
-
-// Set up provider for blockchain interactions
-const provider = new ethers.providers.JsonRpcProvider(process.env.BLOCKCHAIN_RPC_URL);
-const signer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+const { CircleAPI, Superfluid } = require('../adapters'); // Circle API for USDC payments, Superfluid for streaming payments
+const { ReentrancyGuard } = require('../middlewares/reentrancyGuard'); // Middleware for reentrancy protection
+const User = require('../models/User'); // User model to fetch user data
+const Payment = require('../models/Payment'); // MongoDB model for payment records
+const ledgerService = require('./ledgerService'); // Double-entry ledger of user funds
+const priceService = require('./priceService'); // Exchange rates for payment valuations
+const logger = require('../utils/logger');
+const { NotFoundError, ValidationError, wrapError } = require('../errors');
 
 /**
- * Enhanced Error Handling Function
+ * Log a failed operation and rethrow it as an AppError (the original error is kept as its cause)
  */
 function handleError(error, context = {}) {
     console.error('Payment Service Error:', error);
     console.error('Context:', context);
-    throw new Error('Payment operation failed. Please try again.');
+    throw wrapError(error, 'Payment operation failed. Please try again.');
 }
 
 /**
@@ -28,6 +26,7 @@ function handleError(error, context = {}) {
 async function depositUSDC(userId, amount) {
     try {
         const user = await User.findById(userId);
+        if (!user) throw new NotFoundError('User not found');
         const tx = await CircleAPI.deposit(user.blockchainAddress, amount);
         return tx;
     } catch (error) {
@@ -43,8 +42,7 @@ async function depositUSDC(userId, amount) {
  */
 async function approveUSDC(contractAddress, amount) {
     try {
-        const gasEstimate = await CircleAPI.estimateGas.approve(contractAddress, amount);
-        const tx = await CircleAPI.approve(contractAddress, amount, { gasLimit: gasEstimate });
+        const tx = await CircleAPI.approve(contractAddress, amount);
         return tx;
     } catch (error) {
         handleError(error, { method: 'approveUSDC', contractAddress, amount });
@@ -52,21 +50,16 @@ async function approveUSDC(contractAddress, amount) {
 }
 
 /**
- * Transfer USDC to another user with Ledger support
+ * Transfer USDC to another user
+ * Hardware wallets authorize payments by signing a payment intent (see paymentIntentService.js);
+ * the server never signs for them.
  * @param {string} recipient - Address of the recipient
  * @param {number} amount - Amount of USDC to transfer
- * @param {boolean} useLedger - Flag to use Ledger for secure authorization
  * @returns {Promise<string>} - Transaction hash of the transfer
  */
-async function transferUSDC(recipient, amount, useLedger = false) {
+async function transferUSDC(recipient, amount) {
     try {
-        let tx;
-        if (useLedger) {
-            const ledger = new LedgerJS();
-            tx = await ledger.signAndSendPayment(recipient, amount);
-        } else {
-            tx = await CircleAPI.transfer(recipient, amount);
-        }
+        const tx = await CircleAPI.transfer(recipient, amount);
         return tx;
     } catch (error) {
         handleError(error, { method: 'transferUSDC', recipient, amount });
@@ -83,16 +76,18 @@ async function startStreamingPayment(recipient, amountPerSecond) {
     try {
         let retries = 0;
         let tx = null;
+        let lastError;
         while (!tx && retries < 3) {
             try {
-                tx = await Superfluid.createStream(recipient, amountPerSecond);
+                tx = await Superfluid.createStream({ receiver: recipient, flowRate: amountPerSecond });
             } catch (err) {
+                lastError = err;
                 retries += 1;
                 await new Promise(resolve => setTimeout(resolve, 1000)); // Retry after 1 second
             }
         }
         if (!tx) {
-            throw new Error('Streaming payment setup failed after 3 retries.');
+            throw wrapError(lastError, 'Streaming payment setup failed after 3 retries.');
         }
         return tx;
     } catch (error) {
@@ -117,15 +112,92 @@ async function cancelStreamingPayment(streamId) {
 /**
  * Process Refund with extended handling for blockchain interactions
  * @param {string} transactionId - ID of the transaction to refund
- * @returns {Promise<string>} - Transaction hash of the refund
+ * @param {number} [amount] - Amount in USDC to refund (defaults to everything left)
+ * @returns {Promise<Object>} - Circle refund transaction
  */
-async function processRefund(transactionId) {
+async function processRefund(transactionId, amount) {
     try {
-        const tx = await CircleAPI.refund(transactionId);
+        const tx = await CircleAPI.refund(transactionId, amount);
         return tx;
     } catch (error) {
-        handleError(error, { method: 'processRefund', transactionId });
+        handleError(error, { method: 'processRefund', transactionId, amount });
+    }
+}
+
+/**
+ * Value a payment in the payer's currency at the rate in effect now
+ * A price outage never blocks a payment: the payment is then recorded without a valuation.
+ * @param {number} amount - Amount in USDC
+ * @param {string} [currency] - Currency code (defaults to USD)
+ * @returns {Promise<Object|undefined>} - { currency, rate, value }
+ * @throws {ValidationError} - If the currency is not supported
+ */
+async function valuePayment(amount, currency = 'USD') {
+    try {
+        const { to, rate, value } = await priceService.convert(amount, 'USDC', currency);
+        return { currency: to, rate, value };
+    } catch (error) {
+        if (error instanceof ValidationError) throw error;
+        logger.warn(`Could not value a payment in ${currency}: ${error.message}`);
+        return undefined;
+    }
+}
+
+// Give the money back when a charged payment could not be recorded, and mark it failed
+async function rollbackPayment(payment) {
+    try {
+        await processRefund(payment.transactionId);
+
+        payment.status = 'failed';
+        await payment.save();
+    } catch (err) {
+        logger.error(`Error rolling back transaction ${payment.transactionId}: ${err.message}`);
+    }
+}
+
+/**
+ * Charge a purchase or tip through Circle, then record the payment and move its funds in the ledger together
+ * If recording fails the charge is refunded and the payment marked failed.
+ * @param {Object} request - Payment details
+ * @param {string} request.type - 'purchase' or 'tip'
+ * @param {string} request.userId - Payer: the authenticated user, or the payer stored on an intent or held review
+ * @param {string} request.creatorId - Creator's User ID
+ * @param {string} [request.contentId] - Purchased content (purchases)
+ * @param {number} request.amount - Amount in USDC
+ * @param {Object} [request.valuation] - Value in the payer's currency, from valuePayment()
+ * @returns {Promise<Object>} - { payment, transaction }
+ * @throws {InsufficientFundsError} - If the ledger balance cannot cover the amount
+ */
+async function collectPayment({ type, userId, creatorId, contentId, amount, valuation }) {
+    const transaction = type === 'purchase'
+        ? await CircleAPI.purchase(userId, contentId, amount)
+        : await CircleAPI.tip(userId, creatorId, amount);
+
+    const payment = new Payment({
+        userId,
+        creatorId,
+        contentId,
+        amount,
+        valuation,
+        type,
+        transactionId: transaction.id,
+        status: 'completed',
+        createdAt: new Date(),
+    });
+    try {
+        await ledgerService.transaction(async (session) => {
+            await payment.save({ session });
+            if (type === 'purchase') {
+                await ledgerService.recordPurchase(userId, creatorId, amount, transaction.id, { contentId, session });
+            } else {
+                await ledgerService.recordTip(userId, creatorId, amount, transaction.id, { session });
+            }
+        });
+    } catch (error) {
+        await rollbackPayment(payment);
+        throw error;
     }
+    return { payment, transaction };
 }
 
 // Export the functions for use in other modules
@@ -133,6 +205,8 @@ module.exports = {
     depositUSDC,
     approveUSDC,
     transferUSDC,
+    valuePayment,
+    collectPayment,
     startStreamingPayment,
     cancelStreamingPayment,
     processRefund,
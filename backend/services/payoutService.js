@@ -0,0 +1,452 @@
+// Import necessary libraries and modules
+const mongoose = require('mongoose');
+const { CircleAPI } = require('../adapters'); // Circle API for USDC transfers out of the master wallet
+const config = require('../config'); // Validated application configuration
+const Payout = require('../models/Payout'); // Creator withdrawals
+const PayoutRun = require('../models/PayoutRun'); // Batches of payouts sent together
+const User = require('../models/User'); // MongoDB model for users
+const Content = require('../models/Content'); // MongoDB model for content
+const Dispute = require('../models/Dispute'); // Disputes over content
+const ledgerService = require('./ledgerService'); // Double-entry ledger of user funds
+const royaltyService = require('./royaltyService'); // Basis-point shares
+const notificationService = require('./notificationService'); // Pushes status updates to users
+const jobQueue = require('./jobQueue'); // Background jobs with retries
+const logger = require('../utils/logger');
+const { EVM_ADDRESS_REGEX } = require('../models/validators');
+const { ConflictError, NotFoundError, ValidationError, wrapError } = require('../errors');
+
+// Circle sends whole cents; the sub-cent remainder of a payout is added to its fee
+const CENT = 10000;
+
+// Circle event types that settle a transfer, and the payout status each one moves to
+const TRANSFER_OUTCOMES = {
+    payment_completed: 'paid',
+    payment_failed: 'failed',
+};
+
+const userIdOf = (user) => String(user.userId || user.id);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const invalid = (field, message) => new ValidationError(`Invalid payout: ${message}`, { details: [{ field, message }] });
+
+// Blockchains creators can withdraw to
+const supportedChains = () => Object.keys(config.payouts.networkFees);
+
+// The chain asked for, or Circle's configured one
+function resolveChain(chain) {
+    const name = chain ? String(chain).toUpperCase() : config.integrations.circle.chain;
+    if (!supportedChains().includes(name)) {
+        throw invalid('chain', `Must be one of ${supportedChains().join(', ')}`);
+    }
+    return name;
+}
+
+/**
+ * Fees and net amount of a withdrawal, in ledger units
+ * The platform fee (payouts.feeBps) and the chain's flat network fee come off the amount, and
+ * the net is rounded down to whole cents.
+ */
+function quote(units, chain) {
+    const minimum = ledgerService.toUnits(config.payouts.minAmount);
+    if (units < minimum) {
+        throw invalid('amount', `Must be at least ${config.payouts.minAmount} USDC`);
+    }
+
+    const platformFee = royaltyService.platformFee(units, config.payouts.feeBps);
+    const networkFee = config.payouts.networkFees[chain] > 0 ? ledgerService.toUnits(config.payouts.networkFees[chain]) : 0;
+    const gross = units - platformFee - networkFee;
+    const netAmount = gross - (gross % CENT);
+    if (netAmount <= 0) {
+        throw invalid('amount', 'Does not cover the payout fees');
+    }
+    return { amount: units, platformFee, networkFee, fee: units - netAmount, netAmount };
+}
+
+const toUsdc = (units) => (units > 0 ? ledgerService.fromUnits(units) : 0);
+
+/**
+ * Fees and net amount of a withdrawal, before requesting it
+ * @param {Object} user - Authenticated creator (req.user)
+ * @param {Object} [request] - Withdrawal to price
+ * @param {number} [request.amount] - USDC to withdraw (defaults to all earnings)
+ * @param {string} [request.chain] - Circle blockchain code (defaults to the configured one)
+ * @returns {Promise<Object>} - { amount, chain, platformFee, networkFee, fee, netAmount, minAmount, available, chains } in USDC
+ */
+async function previewPayout(user, { amount, chain } = {}) {
+    const { earnings } = await ledgerService.balances(userIdOf(user));
+    const name = resolveChain(chain);
+    const units = ledgerService.toUnits(amount ?? earnings);
+    const priced = quote(units, name);
+
+    return {
+        chain: name,
+        amount: toUsdc(priced.amount),
+        platformFee: toUsdc(priced.platformFee),
+        networkFee: toUsdc(priced.networkFee),
+        fee: toUsdc(priced.fee),
+        netAmount: toUsdc(priced.netAmount),
+        minAmount: config.payouts.minAmount,
+        available: earnings,
+        chains: supportedChains(),
+    };
+}
+
+/**
+ * Request a withdrawal of the creator's earnings (royalties, sales and tips)
+ * The amount is set aside in the ledger now and sent in the next payout run.
+ * @param {Object} user - Authenticated creator (req.user)
+ * @param {Object} request - Withdrawal details
+ * @param {number} request.amount - USDC to take from earnings, fees included
+ * @param {string} [request.chain] - Circle blockchain code (defaults to the configured one)
+ * @param {string} [request.address] - Destination (defaults to the creator's primary linked wallet)
+ * @returns {Promise<Object>} - Payout (status 'requested')
+ * @throws {InsufficientFundsError} - If the creator's earnings cannot cover the amount
+ */
+async function requestPayout(user, { amount, chain, address } = {}) {
+    const userId = userIdOf(user);
+    const name = resolveChain(chain);
+    const priced = quote(ledgerService.toUnits(amount), name);
+
+    // Only a wallet the creator proved they own; blockchainAddress alone may have no key behind it
+    let destination = address;
+    if (!destination) {
+        const creator = await User.findById(userId);
+        const wallet = creator && creator.linkedWallet();
+        destination = wallet && wallet.address;
+    }
+    if (!EVM_ADDRESS_REGEX.test(destination || '')) {
+        throw invalid('address', address ? 'Must be a 0x-prefixed 20-byte address' : 'Required; link a wallet to your account or send an address');
+    }
+
+    const payout = await ledgerService.transaction(async (session) => {
+        const [created] = await Payout.create([{
+            userId,
+            amount: toUsdc(priced.amount),
+            fee: toUsdc(priced.fee),
+            netAmount: toUsdc(priced.netAmount),
+            address: destination,
+            chain: name,
+        }], { session });
+        await ledgerService.recordPayoutHold(userId, created.amount, created.id, { session });
+        return created;
+    });
+
+    logger.info(`Payout ${payout.id} of ${payout.amount} USDC requested to ${payout.address} on ${payout.chain}`);
+    return payout;
+}
+
+/**
+ * Payout visible to the user: their own, or any for an admin
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} id - Payout ID
+ * @returns {Promise<Object>} - Payout
+ */
+async function getForUser(user, id) {
+    const payout = mongoose.isValidObjectId(id) ? await Payout.findById(id) : null;
+    if (!payout || (String(payout.userId) !== userIdOf(user) && user.role !== 'admin')) {
+        throw new NotFoundError('Payout not found');
+    }
+    return payout;
+}
+
+/**
+ * All payouts, newest first (admin view)
+ * @param {Object} [filter] - { status, userId, runId, start, limit }
+ * @returns {Promise<Object[]>} - Payouts
+ */
+async function list({ status, start = 0, limit = 50, ...filter } = {}) {
+    if (status && !Payout.STATUSES.includes(status)) {
+        throw new ValidationError(`Unknown payout status "${status}"`, { details: { status, supported: Payout.STATUSES } });
+    }
+
+    const query = {};
+    Object.entries(filter).forEach(([field, value]) => {
+        if (!value) return;
+        if (!mongoose.isValidObjectId(value)) {
+            throw new ValidationError(`Invalid ${field}`, { details: [{ field, message: 'Must be an ID' }] });
+        }
+        query[field] = value;
+    });
+    if (status) query.status = status;
+    return Payout.find(query).sort({ createdAt: -1 }).skip(start).limit(limit);
+}
+
+/**
+ * The creator's payouts, newest first
+ * @param {Object} user - Authenticated creator (req.user)
+ * @param {Object} [filter] - { status, start, limit }
+ * @returns {Promise<Object[]>} - Payouts
+ */
+async function listForUser(user, { status, start = 0, limit = 50 } = {}) {
+    return list({ userId: userIdOf(user), status, start, limit });
+}
+
+/**
+ * Cancel a payout that has not been sent yet and put the amount back in the creator's earnings
+ * @param {Object} user - Authenticated creator (req.user)
+ * @param {string} id - Payout ID
+ * @returns {Promise<Object>} - Payout (status 'cancelled')
+ */
+async function cancelPayout(user, id) {
+    const payout = await getForUser(user, id);
+    const cancelled = await ledgerService.transaction(async (session) => {
+        const current = await Payout.findOneAndUpdate(
+            { _id: payout._id, status: { $in: Payout.QUEUED_STATUSES } },
+            { status: 'cancelled' },
+            { new: true, session }
+        );
+        if (current) await ledgerService.recordPayoutReturn(current.userId, current.amount, current.id, { session });
+        return current;
+    });
+    if (!cancelled) {
+        throw new ConflictError(`Payout is ${payout.status} and cannot be cancelled`);
+    }
+    return cancelled;
+}
+
+/**
+ * Open disputes over content the creator owns
+ * @param {string} userId - Creator
+ * @returns {Promise<Array>} - Dispute IDs
+ */
+async function openDisputes(userId) {
+    const creator = await User.findById(userId);
+    if (!creator || !creator.blockchainAddress) return [];
+
+    const owner = new RegExp(`^${escapeRegex(creator.blockchainAddress)}$`, 'i');
+    const contentIds = await Content.find({ owner }).distinct('_id');
+    if (contentIds.length === 0) return [];
+    const disputes = await Dispute.find({ contentId: { $in: contentIds }, status: 'open' }).select('_id');
+    return disputes.map(({ _id }) => _id);
+}
+
+// Keep a payout back while its creator's content is disputed, telling them the first time
+async function hold(payout, disputeIds) {
+    const wasHeld = payout.status === 'on_hold';
+    const held = await Payout.findOneAndUpdate(
+        { _id: payout._id, status: { $in: Payout.QUEUED_STATUSES } },
+        {
+            status: 'on_hold',
+            hold: { reason: 'Open dispute over your content', disputeIds, since: payout.hold?.since || new Date() },
+        },
+        { new: true }
+    );
+    if (held && !wasHeld) {
+        await notificationService.notify(held.userId, 'payout.on_hold', `Payout of ${held.amount} USDC is on hold while a dispute over your content is open`, {
+            payoutId: held.id,
+            disputeIds: disputeIds.map(String),
+        });
+    }
+    return held;
+}
+
+/**
+ * Send the oldest requested payouts, and those whose hold has been lifted, in one run
+ * Payouts of creators with an open dispute over their content stay on hold until the next run.
+ * @param {Object} [options] - { startedBy } when an admin starts the run
+ * @returns {Promise<Object>} - PayoutRun
+ */
+async function startPayoutRun({ startedBy } = {}) {
+    const run = await PayoutRun.create({ startedBy });
+    const queued = await Payout.find({ status: { $in: Payout.QUEUED_STATUSES } })
+        .sort({ createdAt: 1 })
+        .limit(config.payouts.batchSize);
+
+    const disputesOf = new Map(); // Per creator, looked up once per run
+    const totals = { sent: 0, held: 0, amount: 0, fees: 0 };
+    for (const payout of queued) {
+        const userId = String(payout.userId);
+        if (!disputesOf.has(userId)) disputesOf.set(userId, await openDisputes(userId));
+        const disputeIds = disputesOf.get(userId);
+
+        if (disputeIds.length > 0) {
+            if (await hold(payout, disputeIds)) totals.held += 1;
+            continue;
+        }
+
+        const sending = await Payout.findOneAndUpdate(
+            { _id: payout._id, status: { $in: Payout.QUEUED_STATUSES } },
+            { status: 'processing', runId: run._id, $unset: { hold: 1 } },
+            { new: true }
+        );
+        if (!sending) continue; // Cancelled meanwhile
+
+        await jobQueue.enqueue('payouts.transfer', { payoutId: sending.id }, { key: sending.id, userId });
+        totals.sent += 1;
+        totals.amount += ledgerService.toUnits(sending.amount);
+        totals.fees += sending.fee > 0 ? ledgerService.toUnits(sending.fee) : 0;
+    }
+
+    const summary = { sent: totals.sent, held: totals.held, amount: toUsdc(totals.amount), fees: toUsdc(totals.fees) };
+    logger.info(`Payout run ${run.id}: ${summary.sent} sent (${summary.amount} USDC), ${summary.held} on hold`);
+    return PayoutRun.findByIdAndUpdate(run._id, summary, { new: true });
+}
+
+/**
+ * Payout runs, newest first
+ * @param {Object} [options] - { start, limit }
+ * @returns {Promise<Object[]>} - PayoutRuns
+ */
+async function listRuns({ start = 0, limit = 50 } = {}) {
+    return PayoutRun.find().sort({ createdAt: -1 }).skip(start).limit(limit);
+}
+
+/**
+ * Record the outcome of a payout's transfer
+ * A paid payout moves its net amount out of the platform and keeps the fee; a failed one goes
+ * back to the creator's earnings. Only a payout that is still processing is settled, so a
+ * repeated webhook or check does nothing.
+ * @param {Object} payout - Payout
+ * @param {string} outcome - 'paid' or 'failed'
+ * @param {Object} [options] - { session, hash, error }
+ * @returns {Promise<Object|null>} - Settled payout, or null if it was already settled
+ */
+async function settleTransfer(payout, outcome, { session, hash, error } = {}) {
+    const update = outcome === 'paid'
+        ? { status: 'paid', paidAt: new Date(), ...(hash ? { hash } : {}) }
+        : { status: 'failed', error: { code: error?.code || 'TRANSFER_FAILED', message: error?.message || 'Circle transfer failed' } };
+
+    const write = async (s) => {
+        const current = await Payout.findOneAndUpdate({ _id: payout._id, status: 'processing' }, update, { new: true, session: s });
+        if (!current) return null;
+        if (outcome === 'paid') {
+            await ledgerService.recordPayout(current.userId, current.amount, current.fee, current.id, { session: s });
+        } else {
+            await ledgerService.recordPayoutReturn(current.userId, current.amount, current.id, { session: s });
+        }
+        return current;
+    };
+    const settled = session ? await write(session) : await ledgerService.transaction(write);
+
+    if (settled) {
+        logger.info(`Payout ${settled.id} of ${settled.netAmount} USDC ${settled.status}`);
+        await notificationService.notify(settled.userId, `payout.${settled.status}`, outcome === 'paid'
+            ? `${settled.netAmount} USDC was sent to ${settled.address}`
+            : `Payout of ${settled.amount} USDC failed; the amount is back in your earnings`, { payoutId: settled.id, status: settled.status });
+    }
+    return settled;
+}
+
+/**
+ * Send a payout through Circle (the 'payouts.transfer' job)
+ * Circle may complete the transfer at once; otherwise its webhook, or the check before the
+ * next run, settles the payout.
+ * @param {Object} payload - { payoutId }
+ * @param {Object} context - Job context ({ step })
+ * @returns {Promise<Object>} - { payoutId, transferId }
+ */
+async function sendPayout({ payoutId }, { step }) {
+    const payout = await Payout.findById(payoutId);
+    if (!payout) throw new NotFoundError('Payout not found');
+    if (payout.status !== 'processing') return { payoutId, transferId: payout.transferId };
+
+    let transfer;
+    try {
+        transfer = await step('transfer', () => CircleAPI.transfer(payout.address, payout.netAmount, payout.chain));
+    } catch (error) {
+        const wrapped = wrapError(error, 'Payout transfer failed.');
+        if (!jobQueue.isRetryable(wrapped)) await settleTransfer(payout, 'failed', { error: wrapped });
+        throw wrapped;
+    }
+
+    await Payout.updateOne({ _id: payout._id, status: 'processing' }, { transferId: transfer.id, hash: transfer.hash });
+    if (transfer.status === 'complete') await settleTransfer(payout, 'paid', { hash: transfer.hash });
+    if (transfer.status === 'failed') await settleTransfer(payout, 'failed');
+    return { payoutId, transferId: transfer.id };
+}
+
+/**
+ * Apply a Circle webhook event to the payout whose transfer it reports
+ * @param {Object} event - WebhookEvent ({ type, transactionId })
+ * @param {Object} session - Transaction of the webhook
+ * @returns {Promise<Object|null>} - { status, outcome } for the event, or null if no payout has the transfer
+ */
+async function applyTransferEvent({ type, transactionId }, session) {
+    const payout = await Payout.findOne({ transferId: transactionId }).session(session);
+    if (!payout) return null;
+
+    const outcome = TRANSFER_OUTCOMES[type];
+    if (!outcome) return { status: 'ignored', outcome: `Payout transfers do not take ${type}` };
+    if (payout.status !== 'processing') return { status: 'ignored', outcome: `Payout is ${payout.status}` };
+
+    await settleTransfer(payout, outcome, { session });
+    return { status: 'processed', outcome: `Payout ${outcome}` };
+}
+
+/**
+ * Settle sent payouts whose transfer Circle has finished, in case its webhook was missed
+ * @returns {Promise<number>} - Number of payouts settled
+ */
+async function reconcile() {
+    const sent = await Payout.find({ status: 'processing', transferId: { $exists: true } })
+        .sort({ updatedAt: 1 })
+        .limit(config.payouts.batchSize);
+
+    let settled = 0;
+    for (const payout of sent) {
+        try {
+            const transfer = await CircleAPI.getTransaction(payout.transferId);
+            if (transfer && transfer.status === 'complete') {
+                if (await settleTransfer(payout, 'paid', { hash: transfer.transactionHash || transfer.hash })) settled += 1;
+            } else if (transfer && transfer.status === 'failed') {
+                if (await settleTransfer(payout, 'failed')) settled += 1;
+            }
+        } catch (error) {
+            logger.warn(`Could not check the transfer of payout ${payout.id}: ${error.message}`);
+        }
+    }
+    return settled;
+}
+
+jobQueue.define('payouts.transfer', { handler: sendPayout });
+
+let timer = null;
+let running = false;
+
+/**
+ * Start a payout run periodically until stopPayoutRuns() is called
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.intervalMs] - Delay between runs (defaults to config)
+ */
+function startPayoutRuns({ intervalMs = config.payouts.runIntervalMs } = {}) {
+    if (timer) return;
+
+    timer = setInterval(async () => {
+        if (running) return; // Previous run still going
+        running = true;
+        try {
+            await reconcile();
+            await startPayoutRun();
+        } catch (error) {
+            logger.error(`Scheduled payout run failed: ${error.message}`);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+}
+
+function stopPayoutRuns() {
+    clearInterval(timer);
+    timer = null;
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    previewPayout,
+    requestPayout,
+    getForUser,
+    list,
+    listForUser,
+    cancelPayout,
+    openDisputes,
+    startPayoutRun,
+    listRuns,
+    settleTransfer,
+    sendPayout,
+    applyTransferEvent,
+    reconcile,
+    startPayoutRuns,
+    stopPayoutRuns,
+};
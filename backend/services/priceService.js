@@ -0,0 +1,352 @@
+// Import necessary libraries and modules
+const config = require('../config'); // Validated application configuration
+const PriceSnapshot = require('../models/PriceSnapshot'); // Stored historical prices
+const logger = require('../utils/logger');
+const { IntegrationError, ValidationError } = require('../errors');
+
+// Every price is kept in USD; other pairs are crossed through it
+const BASE = 'USD';
+
+// Largest number of rates returned by history()
+const MAX_HISTORY = 1000;
+
+// Bundled price sources by name, as listed in config.prices.sources
+const BUNDLED = {
+    coingecko: './priceSources/coinGecko', // Crypto prices
+    exchangerate: './priceSources/exchangeRate', // Fiat exchange rates
+    fixture: './priceSources/fixture', // Fixed prices for offline use
+};
+
+// Sources in use; bundled ones are only required when first used, so the fixture source works
+// without the HTTP client installed
+const SOURCES = new Map();
+
+function sourceNamed(name) {
+    if (!SOURCES.has(name) && BUNDLED[name]) {
+        SOURCES.set(name, require(BUNDLED[name]));
+    }
+    return SOURCES.get(name);
+}
+
+/**
+ * Add a price source, or replace the one with the same name
+ * It is used once its name is listed in prices.sources (PRICE_SOURCES).
+ * @param {Object} source - { name, fetchPrices(symbols) => Promise<{ [symbol]: usdPerUnit }> }
+ */
+function registerSource(source) {
+    if (!source || !source.name || typeof source.fetchPrices !== 'function') {
+        throw new Error('A price source needs a name and a fetchPrices(symbols) function');
+    }
+    SOURCES.set(source.name, source);
+}
+
+/**
+ * Crypto assets and fiat currencies that can be priced
+ * @returns {Object} - { assets, fiat }
+ */
+function supported() {
+    return { assets: [...config.prices.assets], fiat: [...config.prices.fiat] };
+}
+
+const symbols = () => [...config.prices.assets, ...config.prices.fiat];
+
+// Upper-cased symbol, if it can be priced
+function symbolOf(value, field) {
+    const symbol = String(value || '').toUpperCase();
+    if (!symbols().includes(symbol)) {
+        throw new ValidationError(`Unsupported currency "${value}"`, { details: [{ field, message: `Must be one of ${symbols().join(', ')}` }] });
+    }
+    return symbol;
+}
+
+// Optional ISO date parameter
+function dateOf(value, field) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ValidationError(`Invalid date "${value}"`, { details: [{ field, message: 'Must be an ISO 8601 date' }] });
+    }
+    return date;
+}
+
+// Values are kept to 6 decimals, the precision of USDC
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Ask the configured sources, in order, for the symbols none of the earlier ones quoted
+ * A source that fails is logged and skipped.
+ */
+async function fetchFromSources(wanted) {
+    const prices = { [BASE]: 1 };
+    const sources = { [BASE]: 'base' };
+    let missing = wanted.filter((symbol) => symbol !== BASE);
+
+    for (const name of config.prices.sources) {
+        if (missing.length === 0) break;
+        const source = sourceNamed(name);
+        if (!source) {
+            logger.warn(`Unknown price source "${name}"`);
+            continue;
+        }
+
+        try {
+            const quoted = await source.fetchPrices(missing);
+            missing.forEach((symbol) => {
+                if (quoted[symbol] > 0) {
+                    prices[symbol] = quoted[symbol];
+                    sources[symbol] = name;
+                }
+            });
+            missing = missing.filter((symbol) => !prices[symbol]);
+        } catch (error) {
+            logger.warn(`Price source ${name} failed: ${error.message}`);
+        }
+    }
+
+    if (missing.length > 0) logger.warn(`No price source quoted ${missing.join(', ')}`);
+    return { prices, sources };
+}
+
+let cache = null; // { prices, sources, at, expiresAt }
+let refreshing = null; // Fetch in progress, shared by concurrent callers
+
+// Fetch every supported price now and cache it
+async function refresh() {
+    const at = new Date();
+    const { prices, sources } = await fetchFromSources(symbols());
+    if (Object.keys(prices).length === 1) {
+        throw new IntegrationError('Prices are unavailable. Please try again later.', { details: { sources: config.prices.sources } });
+    }
+    cache = { prices, sources, at, expiresAt: at.getTime() + config.prices.cacheTtlMs };
+    return cache;
+}
+
+/**
+ * Current USD prices, fetched at most once per prices.cacheTtlMs
+ * @returns {Promise<Object>} - { prices: { [symbol]: usdPerUnit }, sources: { [symbol]: source }, at }
+ */
+async function latest() {
+    if (cache && cache.expiresAt > Date.now()) return cache;
+    if (!refreshing) {
+        refreshing = refresh().finally(() => {
+            refreshing = null;
+        });
+    }
+    return refreshing;
+}
+
+// Forget the cached prices (for tests, or after changing sources)
+function clearCache() {
+    cache = null;
+}
+
+/**
+ * Fetch current prices and store them for historical lookups
+ * @returns {Promise<number>} - Number of prices stored
+ */
+async function snapshot() {
+    const { prices, sources, at } = await refresh();
+    const docs = Object.keys(prices)
+        .filter((symbol) => symbol !== BASE)
+        .map((symbol) => ({ symbol, usd: prices[symbol], source: sources[symbol], at }));
+    await PriceSnapshot.insertMany(docs);
+    return docs.length;
+}
+
+/**
+ * Stored USD prices of a symbol that cover a time range, oldest first
+ * Starts with the last price stored at or before `from`. A range before the first stored price
+ * gets the earliest one, and a symbol never stored gets its current price.
+ */
+async function seriesFor(symbol, from, to) {
+    if (symbol === BASE) return [{ usd: 1, at: new Date(0) }];
+
+    const [before, within] = await Promise.all([
+        PriceSnapshot.findOne({ symbol, at: { $lte: from } }).sort({ at: -1 }),
+        PriceSnapshot.find({ symbol, at: { $gt: from, $lte: to } }).sort({ at: 1 }),
+    ]);
+    const series = before ? [before, ...within] : within;
+    if (series.length > 0) return series;
+
+    const earliest = await PriceSnapshot.findOne({ symbol }).sort({ at: 1 });
+    if (earliest) return [earliest];
+
+    const current = await latest();
+    if (!current.prices[symbol]) {
+        throw new IntegrationError(`No ${symbol} price is available`, { details: { symbol } });
+    }
+    return [{ usd: current.prices[symbol], at: current.at }];
+}
+
+// Price in effect at a time: the last one at or before it, or the first one for earlier times
+function priceAt(series, at) {
+    let low = 0;
+    let high = series.length - 1;
+    let found = 0;
+    while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        if (series[middle].at <= at) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return series[found].usd;
+}
+
+/**
+ * Current prices of every supported symbol in one currency
+ * @param {string} [quote] - Currency to price in (defaults to USD)
+ * @returns {Promise<Object>} - { quote, at, prices: { [symbol]: price }, sources }
+ */
+async function getPrices(quote = BASE) {
+    const currency = symbolOf(quote, 'quote');
+    const { prices, sources, at } = await latest();
+    if (!prices[currency]) {
+        throw new IntegrationError(`No ${currency} price is available`, { details: { symbol: currency } });
+    }
+
+    const quoted = {};
+    Object.entries(prices).forEach(([symbol, usd]) => {
+        quoted[symbol] = usd / prices[currency];
+    });
+    return { quote: currency, at, prices: quoted, sources };
+}
+
+/**
+ * Exchange rate between two symbols, now or at a past time
+ * @param {string} base - Symbol priced (e.g. ETH)
+ * @param {string} quote - Symbol it is priced in (e.g. EUR)
+ * @param {Object} [options] - { at } for the rate in effect at an ISO date
+ * @returns {Promise<Object>} - { base, quote, rate, at } where 1 base = rate quote
+ */
+async function getRate(base, quote, { at } = {}) {
+    const from = symbolOf(base, 'base');
+    const to = symbolOf(quote, 'quote');
+    const date = dateOf(at, 'at');
+
+    if (!date) {
+        const { prices, at: fetchedAt } = await latest();
+        if (!prices[from] || !prices[to]) {
+            throw new IntegrationError(`No ${prices[from] ? to : from} price is available`);
+        }
+        return { base: from, quote: to, rate: prices[from] / prices[to], at: fetchedAt };
+    }
+
+    const [baseSeries, quoteSeries] = await Promise.all([seriesFor(from, date, date), seriesFor(to, date, date)]);
+    return { base: from, quote: to, rate: priceAt(baseSeries, date) / priceAt(quoteSeries, date), at: date };
+}
+
+/**
+ * Convert an amount between symbols, at the current rate or the one in effect at a time
+ * @param {number|string} amount - Amount of `from`
+ * @param {string} from - Symbol of the amount
+ * @param {string} to - Symbol to convert to
+ * @param {Object} [options] - { at } ISO date
+ * @returns {Promise<Object>} - { amount, from, to, rate, value, at }
+ */
+async function convert(amount, from, to, { at } = {}) {
+    const number = Number(amount);
+    if (amount === undefined || amount === '' || !Number.isFinite(number) || number < 0) {
+        throw new ValidationError(`Invalid amount: ${amount}`, { details: [{ field: 'amount', message: 'Must be a number of at least 0' }] });
+    }
+
+    const { base, quote, rate, at: rateAt } = await getRate(from, to, { at });
+    return { amount: number, from: base, to: quote, rate, value: round(number * rate), at: rateAt };
+}
+
+/**
+ * Value many amounts of one symbol at the rate in effect at each one's time
+ * Loads the stored prices covering the whole range once, so statements with many entries
+ * cost a few queries.
+ * @param {Array<Object>} entries - [{ amount, at }]
+ * @param {Object} currencies - { from, to } symbols
+ * @returns {Promise<Array<Object>>} - [{ rate, value }] in the order of entries
+ */
+async function valueAll(entries, { from, to }) {
+    const base = symbolOf(from, 'from');
+    const quote = symbolOf(to, 'currency');
+    if (entries.length === 0) return [];
+
+    const times = entries.map(({ at }) => new Date(at).getTime());
+    const start = new Date(Math.min(...times));
+    const end = new Date(Math.max(...times));
+    const [baseSeries, quoteSeries] = await Promise.all([seriesFor(base, start, end), seriesFor(quote, start, end)]);
+
+    return entries.map(({ amount, at }) => {
+        const date = new Date(at);
+        const rate = priceAt(baseSeries, date) / priceAt(quoteSeries, date);
+        return { rate, value: round(amount * rate) };
+    });
+}
+
+/**
+ * Stored rates between two symbols over a time range, oldest first
+ * @param {string} base - Symbol priced
+ * @param {string} quote - Symbol it is priced in
+ * @param {Object} [options] - { from, to } ISO dates, { limit } at most 1000
+ * @returns {Promise<Object>} - { base, quote, rates: [{ at, rate }] }
+ */
+async function history(base, quote, { from, to, limit = MAX_HISTORY } = {}) {
+    const baseSymbol = symbolOf(base, 'base');
+    const quoteSymbol = symbolOf(quote, 'quote');
+    const range = { from: dateOf(from, 'from') || new Date(0), to: dateOf(to, 'to') || new Date() };
+    if (range.from >= range.to) {
+        throw new ValidationError('"from" must be before "to"', { details: [{ field: 'from', message: 'Must be before to' }] });
+    }
+
+    // Rates change whenever either price does; USD never does
+    const pivot = baseSymbol === BASE ? quoteSymbol : baseSymbol;
+    const times = pivot === BASE ? [] : await PriceSnapshot.find({ symbol: pivot, at: { $gte: range.from, $lt: range.to } })
+        .sort({ at: 1 })
+        .limit(Math.min(limit, MAX_HISTORY));
+    if (times.length === 0) return { base: baseSymbol, quote: quoteSymbol, rates: [] };
+
+    const first = times[0].at;
+    const last = times[times.length - 1].at;
+    const [baseSeries, quoteSeries] = await Promise.all([seriesFor(baseSymbol, first, last), seriesFor(quoteSymbol, first, last)]);
+    return {
+        base: baseSymbol,
+        quote: quoteSymbol,
+        rates: times.map(({ at }) => ({ at, rate: priceAt(baseSeries, at) / priceAt(quoteSeries, at) })),
+    };
+}
+
+let timer = null;
+
+/**
+ * Store prices every prices.snapshotIntervalMs until stopSnapshots() is called
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.intervalMs] - Delay between snapshots (defaults to config)
+ */
+function startSnapshots({ intervalMs = config.prices.snapshotIntervalMs } = {}) {
+    if (timer) return;
+
+    const take = () => snapshot().catch((error) => logger.error(`Price snapshot failed: ${error.message}`));
+    take();
+    timer = setInterval(take, intervalMs);
+    timer.unref();
+}
+
+function stopSnapshots() {
+    clearInterval(timer);
+    timer = null;
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    BASE,
+    registerSource,
+    supported,
+    latest,
+    clearCache,
+    snapshot,
+    getPrices,
+    getRate,
+    convert,
+    valueAll,
+    history,
+    startSnapshots,
+    stopSnapshots,
+};
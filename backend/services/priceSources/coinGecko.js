@@ -0,0 +1,40 @@
+// Import necessary libraries and modules
+const axios = require('axios');
+const config = require('../../config');
+
+// CoinGecko coin IDs of the crypto assets it can price
+const COIN_IDS = {
+    ETH: 'ethereum',
+    MATIC: 'matic-network',
+    FLOW: 'flow',
+    USDC: 'usd-coin',
+};
+
+/**
+ * USD prices of crypto assets from the CoinGecko simple price API
+ * @param {Array<string>} symbols - Asset symbols (others than COIN_IDS are skipped)
+ * @returns {Promise<Object>} - USD per unit, by symbol
+ */
+async function fetchPrices(symbols) {
+    const wanted = symbols.filter((symbol) => COIN_IDS[symbol]);
+    if (wanted.length === 0) return {};
+
+    const { baseUrl, apiKey } = config.integrations.coinGecko;
+    const { data } = await axios.get(`${baseUrl}/simple/price`, {
+        params: { ids: wanted.map((symbol) => COIN_IDS[symbol]).join(','), vs_currencies: 'usd' },
+        headers: apiKey ? { 'x-cg-demo-api-key': apiKey } : {},
+        timeout: 10000,
+    });
+
+    const prices = {};
+    wanted.forEach((symbol) => {
+        const usd = data[COIN_IDS[symbol]]?.usd;
+        if (usd > 0) prices[symbol] = usd;
+    });
+    return prices;
+}
+
+module.exports = {
+    name: 'coingecko',
+    fetchPrices,
+};
@@ -0,0 +1,28 @@
+// Import necessary libraries and modules
+const axios = require('axios');
+const config = require('../../config');
+
+/**
+ * USD prices of fiat currencies from the ExchangeRate-API open access endpoint
+ * The API quotes units of each currency per dollar; prices are the inverse.
+ * @param {Array<string>} symbols - Currency codes
+ * @returns {Promise<Object>} - USD per unit, by currency
+ */
+async function fetchPrices(symbols) {
+    const { data } = await axios.get(`${config.integrations.exchangeRate.baseUrl}/latest/USD`, { timeout: 10000 });
+    if (data.result && data.result !== 'success') {
+        throw new Error(`Exchange rate API returned ${data['error-type'] || data.result}`);
+    }
+
+    const prices = {};
+    symbols.forEach((symbol) => {
+        const perDollar = data.rates?.[symbol];
+        if (perDollar > 0) prices[symbol] = 1 / perDollar;
+    });
+    return prices;
+}
+
+module.exports = {
+    name: 'exchangerate',
+    fetchPrices,
+};
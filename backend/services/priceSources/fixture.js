@@ -0,0 +1,31 @@
+// Import necessary libraries and modules
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+const DEFAULT_PATH = path.join(__dirname, 'fixturePrices.json');
+
+let loaded = null;
+
+/**
+ * Fixed USD prices from a local JSON file, for development, tests and offline demos
+ * The file maps symbols to USD per unit: { "ETH": 3000, "EUR": 1.08, ... }.
+ * @param {Array<string>} symbols - Asset symbols and currency codes
+ * @returns {Promise<Object>} - USD per unit, by symbol
+ */
+async function fetchPrices(symbols) {
+    if (!loaded) {
+        loaded = JSON.parse(await fs.promises.readFile(config.prices.fixturePath || DEFAULT_PATH, 'utf8'));
+    }
+
+    const prices = {};
+    symbols.forEach((symbol) => {
+        if (loaded[symbol] > 0) prices[symbol] = loaded[symbol];
+    });
+    return prices;
+}
+
+module.exports = {
+    name: 'fixture',
+    fetchPrices,
+};
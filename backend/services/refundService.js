@@ -0,0 +1,268 @@
+// Import necessary libraries and modules
+const Payment = require('../models/Payment'); // MongoDB model for payment records
+const Refund = require('../models/Refund'); // Refund requests
+const paymentService = require('./paymentService'); // Circle refunds
+const ledgerService = require('./ledgerService'); // Double-entry ledger of user funds
+const royaltyReportService = require('./royaltyReportService'); // Royalty earnings and statements
+const notificationService = require('./notificationService'); // Pushes status updates to users
+const jobQueue = require('./jobQueue'); // Background jobs with retries
+const logger = require('../utils/logger');
+const { AuthorizationError, ConflictError, NotFoundError, ValidationError, normalizeError } = require('../errors');
+
+// Payments that can be refunded, and the statuses they can be refunded from
+const REFUNDABLE_TYPES = ['purchase', 'tip'];
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+// Amount in ledger units, where zero is allowed
+const units = (amount) => (amount ? ledgerService.toUnits(amount) : 0);
+
+// USDC of a payment not refunded yet
+const refundable = (payment) => ledgerService.fromUnits(units(payment.amount) - units(payment.refundedAmount));
+
+const userIdOf = (user) => String(user.userId || user.id);
+
+// Whether the user is the buyer, the creator who decides, or an admin
+function roleIn(refund, user) {
+    const userId = userIdOf(user);
+    if (String(refund.creatorId) === userId) return 'creator';
+    if (String(refund.userId) === userId) return 'buyer';
+    return user.role === 'admin' ? 'admin' : null;
+}
+
+// Tell the buyer (and the creator, for new requests) where the refund stands
+function announce(refund, type, message) {
+    const data = { refundId: refund.id, paymentId: String(refund.paymentId), status: refund.status, amount: refund.approvedAmount ?? refund.amount };
+    const recipients = type === 'refund.requested' ? [refund.userId, refund.creatorId] : [refund.userId];
+    return Promise.all(recipients.map((userId) => notificationService.notify(userId, type, message, data)));
+}
+
+/**
+ * Open a refund request for one of the user's purchases or tips
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} request - Refund request
+ * @param {string} request.paymentId - Payment to refund
+ * @param {number} [request.amount] - USDC to get back (defaults to everything not refunded yet)
+ * @param {string} request.reason - Why the buyer wants it back
+ * @returns {Promise<Object>} - Refund (status 'requested')
+ * @throws {ConflictError} - If the payment cannot be refunded now or already has an open refund
+ */
+async function requestRefund(user, { paymentId, amount, reason }) {
+    if (!reason) {
+        throw new ValidationError('A reason is required', { details: [{ field: 'reason', message: 'Required' }] });
+    }
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment || String(payment.userId) !== userIdOf(user)) {
+        throw new NotFoundError('Payment not found');
+    }
+    if (!REFUNDABLE_TYPES.includes(payment.type) || !payment.creatorId) {
+        throw new ValidationError('Only purchases and tips can be refunded');
+    }
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+        throw new ConflictError(`Payment is ${payment.status} and cannot be refunded`);
+    }
+
+    const left = refundable(payment);
+    const requested = amount === undefined ? left : amount;
+    if (units(requested) > units(left)) {
+        throw new ValidationError('Refund exceeds the amount left to refund', { details: { refundable: left, requested } });
+    }
+
+    let refund;
+    try {
+        refund = await Refund.create({
+            paymentId: payment._id,
+            userId: payment.userId,
+            creatorId: payment.creatorId,
+            amount: ledgerService.fromUnits(ledgerService.toUnits(requested)),
+            reason,
+        });
+    } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+        throw new ConflictError('This payment already has an open refund request');
+    }
+
+    await announce(refund, 'refund.requested', `Refund of ${refund.amount} USDC requested`);
+    return refund;
+}
+
+/**
+ * Refund visible to the user: its buyer, the creator who decides it, or an admin
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} id - Refund ID
+ * @returns {Promise<Object>} - Refund
+ */
+async function getForUser(user, id) {
+    const refund = await Refund.findById(id);
+    if (!refund || !roleIn(refund, user)) {
+        throw new NotFoundError('Refund not found');
+    }
+    return refund;
+}
+
+/**
+ * Refunds the user asked for, or (as creator) has to decide, newest first
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} [filter] - Listing options
+ * @param {string} [filter.as] - 'buyer' (default) or 'creator'
+ * @param {string} [filter.status] - One of Refund.STATUSES
+ * @param {number} [filter.start] - Offset
+ * @param {number} [filter.limit] - Page size
+ * @returns {Promise<Object[]>} - Refunds
+ */
+async function listForUser(user, { as = 'buyer', status, start = 0, limit = 50 } = {}) {
+    if (status && !Refund.STATUSES.includes(status)) {
+        throw new ValidationError(`Unknown refund status "${status}"`, { details: { status, supported: Refund.STATUSES } });
+    }
+
+    const query = as === 'creator' ? { creatorId: userIdOf(user) } : { userId: userIdOf(user) };
+    if (status) query.status = status;
+    return Refund.find(query).sort({ createdAt: -1 }).skip(start).limit(limit);
+}
+
+// Move a requested refund to its decision, once
+async function decide(user, refund, update) {
+    const role = roleIn(refund, user);
+    if (role !== 'creator' && role !== 'admin') {
+        throw new AuthorizationError('Only the creator or an admin can decide a refund');
+    }
+
+    const decided = await Refund.findOneAndUpdate(
+        { _id: refund._id, status: 'requested' },
+        { ...update, decidedBy: userIdOf(user), decidedAt: new Date() },
+        { new: true }
+    );
+    if (!decided) {
+        throw new ConflictError(`Refund is already ${refund.status}`);
+    }
+    return decided;
+}
+
+/**
+ * Approve a refund and queue it; the Circle refund and the ledger entries are made by the job
+ * @param {Object} user - Authenticated creator or admin (req.user)
+ * @param {string} id - Refund ID
+ * @param {Object} [decision] - Decision details
+ * @param {number} [decision.amount] - USDC granted, up to the amount asked (defaults to all of it)
+ * @param {string} [decision.note] - Comment for the buyer
+ * @returns {Promise<Object>} - { refund, job }
+ */
+async function approveRefund(user, id, { amount, note } = {}) {
+    const refund = await getForUser(user, id);
+    const granted = amount === undefined ? refund.amount : amount;
+    if (units(granted) > units(refund.amount)) {
+        throw new ValidationError('Approved amount exceeds the amount requested', { details: { requested: refund.amount, approved: granted } });
+    }
+
+    const approved = await decide(user, refund, {
+        status: 'approved',
+        approvedAmount: ledgerService.fromUnits(ledgerService.toUnits(granted)),
+        note,
+    });
+    const job = await jobQueue.enqueue('payment.refund', { refundId: approved.id }, { key: approved.id, userId: approved.userId });
+
+    await announce(approved, 'refund.approved', `Refund of ${approved.approvedAmount} USDC approved`);
+    return { refund: approved, job };
+}
+
+/**
+ * Reject a refund
+ * @param {Object} user - Authenticated creator or admin (req.user)
+ * @param {string} id - Refund ID
+ * @param {Object} [decision] - { note } for the buyer
+ * @returns {Promise<Object>} - Refund
+ */
+async function rejectRefund(user, id, { note } = {}) {
+    const rejected = await decide(user, await getForUser(user, id), { status: 'rejected', note });
+    await announce(rejected, 'refund.rejected', 'Refund request rejected');
+    return rejected;
+}
+
+// Record that Circle refused the refund, so the buyer can ask again
+async function fail(refund, error) {
+    const { code } = normalizeError(error);
+    const failed = await Refund.findOneAndUpdate(
+        { _id: refund._id, status: 'approved' },
+        { status: 'failed', error: { code, message: error.message } },
+        { new: true }
+    );
+    if (failed) await announce(failed, 'refund.failed', 'Refund could not be completed');
+}
+
+/**
+ * Carry out an approved refund (the 'payment.refund' job)
+ * Sends the money back through Circle once, then records the refund, reverses the ledger split
+ * and the royalty earnings, and updates the payment together, so a retry never refunds or posts twice.
+ * @param {Object} payload - { refundId }
+ * @param {Object} context - Job context ({ step })
+ * @returns {Promise<Object>} - { refundId, transactionId }
+ */
+async function executeRefund({ refundId }, { step }) {
+    const refund = await Refund.findById(refundId);
+    if (!refund) throw new NotFoundError('Refund not found');
+    if (refund.status === 'completed') return { refundId, transactionId: refund.transactionId };
+    if (refund.status !== 'approved') throw new ConflictError(`Refund is ${refund.status}`);
+
+    const payment = await Payment.findById(refund.paymentId);
+    if (!payment) throw new NotFoundError('Payment not found');
+    let transaction;
+    try {
+        transaction = await step('circle', () => paymentService.processRefund(payment.transactionId, refund.approvedAmount));
+    } catch (error) {
+        if (!jobQueue.isRetryable(error)) await fail(refund, error);
+        throw error;
+    }
+
+    const completed = await ledgerService.transaction(async (session) => {
+        const current = await Refund.findOneAndUpdate(
+            { _id: refund._id, status: 'approved' },
+            { status: 'completed', transactionId: transaction.id, completedAt: new Date() },
+            { new: true, session }
+        );
+        if (!current) return null;
+
+        // Takes back the same share of the creator's and the platform's cut
+        await ledgerService.recordRefund(payment.type, payment.transactionId, `refund:${refund.id}`, {
+            amount: refund.approvedAmount,
+            overdraft: true, // The creator may have been paid out already
+            session,
+        });
+
+        const paid = await Payment.findById(payment._id).session(session);
+        const refunded = ledgerService.fromUnits(units(paid.refundedAmount) + units(refund.approvedAmount));
+
+        // Royalty reports and statements stop counting the refunded share
+        await royaltyReportService.reverseEarnings(payment.transactionId, {
+            reference: `refund:${refund.id}`,
+            refunded: units(refunded),
+            paid: units(paid.amount),
+        }, { session });
+
+        await Payment.updateOne({ _id: paid._id }, {
+            refundedAmount: refunded,
+            status: units(refunded) >= units(paid.amount) ? 'refunded' : 'partially_refunded',
+        }, { session });
+        return current;
+    });
+
+    if (completed) {
+        logger.info(`Refund ${refund.id} of ${refund.approvedAmount} USDC completed (${transaction.id})`);
+        await announce(completed, 'refund.completed', `Refund of ${completed.approvedAmount} USDC completed`);
+    }
+    return { refundId, transactionId: transaction.id };
+}
+
+jobQueue.define('payment.refund', { handler: executeRefund });
+
+// Export the functions for use in other modules
+module.exports = {
+    requestRefund,
+    getForUser,
+    listForUser,
+    approveRefund,
+    rejectRefund,
+    executeRefund,
+};
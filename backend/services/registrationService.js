@@ -3,7 +3,6 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { ethers } = require('ethers');
-const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
 const nodemailer = require('nodemailer');
@@ -12,16 +11,11 @@ const AccessControl = require('accesscontrol');
 // Create a router
 const router = express.Router();
 
-// MongoDB User model
-const User = mongoose.model('User', new mongoose.Schema({
-    username: { type: String, required: true, unique: true },
-    email: { type: String, required: true, unique: true },
-    password: { type: String, required: true },
-    blockchainAddress: { type: String, required: true },
-    emailVerified: { type: Boolean, default: false },
-    verificationToken: { type: String },
-    role: { type: String, required: true, default: 'user' }, // Default role is 'user'
-}));
+// Shared MongoDB User model
+const User = require('../models/User');
+const config = require('../config'); // Validated application configuration
+const { AuthenticationError, AuthorizationError, ConflictError, ValidationError, normalizeError } = require('../errors');
+const { rejectInvalid } = require('../middlewares/errorHandler');
 
 // Access Control setup
 const ac = new AccessControl();
@@ -32,8 +26,8 @@ ac.grant('content_creator').extend('user').createOwn('content').readAny('content
 const transporter = nodemailer.createTransport({
     service: 'Gmail',
     auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
+        user: config.email.user,
+        pass: config.email.pass
     }
 });
 
@@ -41,13 +35,13 @@ const transporter = nodemailer.createTransport({
 const authenticateJWT = (req, res, next) => {
     const token = req.header('Authorization')?.split(' ')[1];
     if (token) {
-        jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-            if (err) return res.sendStatus(403);
+        jwt.verify(token, config.auth.jwtSecret, (err, user) => {
+            if (err) return next(normalizeError(err));
             req.user = user;
             next();
         });
     } else {
-        res.sendStatus(401);
+        next(new AuthenticationError('Access denied. No token provided.'));
     }
 };
 
@@ -55,7 +49,7 @@ const authenticateJWT = (req, res, next) => {
 const checkRole = (action, resource) => (req, res, next) => {
     const permission = ac.can(req.user.role)[action](resource);
     if (!permission.granted) {
-        return res.status(403).json({ message: 'Forbidden' });
+        return next(new AuthorizationError('Forbidden'));
     }
     next();
 };
@@ -68,18 +62,15 @@ router.post('/register', [
     body('username').isString().notEmpty(),
     body('email').isEmail(),
     body('password').isLength({ min: 6 })
-], async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-    }
+], async (req, res, next) => {
+    if (rejectInvalid(validationResult(req), next)) return;
 
     const { username, email, password, role } = req.body;
 
     try {
         // Check if user already exists
         const existingUser = await User.findOne({ email });
-        if (existingUser) return res.status(400).json({ message: 'User already exists' });
+        if (existingUser) throw new ConflictError('User already exists');
 
         // Hash the password
         const hashedPassword = await bcrypt.hash(password, 10);
@@ -104,9 +95,9 @@ router.post('/register', [
         await newUser.save();
 
         // Send verification email
-        const verificationUrl = `${process.env.BASE_URL}/verify-email?token=${verificationToken}`;
+        const verificationUrl = `${config.server.baseUrl}/verify-email?token=${verificationToken}`;
         await transporter.sendMail({
-            from: process.env.EMAIL_USER,
+            from: config.email.user,
             to: email,
             subject: 'Email Verification - Kosma Platform',
             html: `<p>Please verify your email by clicking <a href="${verificationUrl}">here</a>.</p>`
@@ -114,7 +105,7 @@ router.post('/register', [
 
         res.status(201).json({ message: 'User registered successfully. Please check your email to verify your account.', blockchainAddress });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -122,13 +113,13 @@ router.post('/register', [
  * Route to verify email after registration
  * Verifies the email by matching the token from the URL query parameter
  */
-router.get('/verify-email', async (req, res) => {
+router.get('/verify-email', async (req, res, next) => {
     const { token } = req.query;
 
     try {
         // Find user by verification token
         const user = await User.findOne({ verificationToken: token });
-        if (!user) return res.status(400).json({ message: 'Invalid or expired verification token' });
+        if (!user) throw new ValidationError('Invalid or expired verification token');
 
         // Update user to mark email as verified
         user.emailVerified = true;
@@ -137,7 +128,7 @@ router.get('/verify-email', async (req, res) => {
 
         res.json({ message: 'Email verified successfully' });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -148,32 +139,29 @@ router.get('/verify-email', async (req, res) => {
 router.post('/login', [
     body('email').isEmail(),
     body('password').notEmpty()
-], async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-    }
+], async (req, res, next) => {
+    if (rejectInvalid(validationResult(req), next)) return;
 
     const { email, password } = req.body;
 
     try {
         const user = await User.findOne({ email });
-        if (!user) return res.status(401).json({ message: 'Invalid credentials' });
+        if (!user) throw new AuthenticationError('Invalid credentials');
 
         // Verify password
         const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(401).json({ message: 'Invalid credentials' });
+        if (!isMatch) throw new AuthenticationError('Invalid credentials');
 
         // Ensure email is verified
         if (!user.emailVerified) {
-            return res.status(403).json({ message: 'Email not verified. Please verify your email to login.' });
+            throw new AuthorizationError('Email not verified. Please verify your email to login.');
         }
 
         // Generate JWT
-        const token = jwt.sign({ userId: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
+        const token = jwt.sign({ userId: user._id, role: user.role }, config.auth.jwtSecret, { expiresIn: config.auth.jwtExpiresIn });
         res.json({ token });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
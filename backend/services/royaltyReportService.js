@@ -0,0 +1,384 @@
+// Import necessary libraries and modules
+const mongoose = require('mongoose');
+const RoyaltyEarning = require('../models/RoyaltyEarning'); // Per-recipient royalty payments
+const User = require('../models/User'); // MongoDB model for users
+const { fromUnits } = require('./ledgerService'); // Ledger units -> USDC
+const priceService = require('./priceService'); // Historical exchange rates
+const { renderTextPdf } = require('../utils/pdf'); // Statement PDFs
+const logger = require('../utils/logger');
+const { ValidationError } = require('../errors');
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+// Aggregation periods and their $dateToString formats (UTC)
+const PERIOD_FORMATS = { day: '%Y-%m-%d', month: '%Y-%m', year: '%Y' };
+const GROUPINGS = [...Object.keys(PERIOD_FORMATS), 'content'];
+
+// Statement periods: a year (2026) or a month (2026-03)
+const STATEMENT_PERIOD_REGEX = /^(\d{4})(?:-(0[1-9]|1[0-2]))?$/;
+const STATEMENT_FORMATS = ['csv', 'pdf'];
+
+const userIdOf = (user) => new mongoose.Types.ObjectId(String(user.userId || user.id));
+
+/**
+ * Record each recipient's share of a royalty payment
+ * Recording the same payment again is a no-op, so callers can retry.
+ * @param {Object} breakdown - Result of royaltyService.splitPayment (amounts in ledger units)
+ * @param {Object} payment - Payment details
+ * @param {string} payment.source - One of RoyaltyEarning.SOURCES
+ * @param {string} payment.reference - Payment transaction hash
+ * @param {string} [payment.contentId] - Content the royalties are for
+ * @param {string} [payment.nftId] - NFT sold or licensed
+ * @param {string} [payment.payer] - Buyer or licensee
+ * @param {Date} [payment.earnedAt] - When the royalties were paid (defaults to now)
+ * @returns {Promise<number>} - Number of earnings recorded
+ */
+async function recordEarnings(breakdown, { source, reference, contentId, nftId, payer, earnedAt = new Date() }) {
+    const paid = breakdown.recipients.filter(({ amount }) => amount > 0);
+    if (paid.length === 0) return 0;
+
+    // Link addresses that belong to KOSMA accounts, whatever their letter case
+    const addresses = paid.map(({ recipient }) => recipient);
+    const users = await User.find({ blockchainAddress: { $in: [...addresses, ...addresses.map((address) => address.toLowerCase())] } });
+    const userIds = new Map(users.map((user) => [user.blockchainAddress.toLowerCase(), user._id]));
+
+    const grossAmount = breakdown.amount - breakdown.platformFee;
+    const earnings = paid.map(({ recipient, bps, amount }) => ({
+        userId: userIds.get(recipient.toLowerCase()),
+        recipient,
+        source,
+        reference,
+        contentId,
+        nftId,
+        payer,
+        grossAmount,
+        bps,
+        amount,
+        earnedAt,
+    }));
+
+    try {
+        const inserted = await RoyaltyEarning.insertMany(earnings, { ordered: false });
+        return inserted.length;
+    } catch (error) {
+        const codes = error.writeErrors ? error.writeErrors.map(({ code }) => code) : [error.code];
+        if (!codes.every((code) => code === DUPLICATE_KEY)) {
+            throw error;
+        }
+        logger.info(`Royalty earnings for ${reference} were already recorded`);
+        return (error.insertedDocs || []).length;
+    }
+}
+
+/**
+ * Offset the earnings of a refunded payment by the refunded share
+ * Each earning gets a negative 'refund' earning dated now, so reports and statements take it back
+ * in the period the money went back. Shares are worked out on the total refunded so far, so the
+ * offsets of a payment refunded in parts add up to its earnings exactly.
+ * @param {string} paymentReference - Reference the earnings were recorded under
+ * @param {Object} refund - Refund details
+ * @param {string} refund.reference - Refund ID
+ * @param {number} refund.refunded - Ledger units refunded so far, this refund included
+ * @param {number} refund.paid - Ledger units of the payment
+ * @param {Date} [refund.refundedAt] - When the money went back (defaults to now)
+ * @param {Object} [options] - { session }
+ * @returns {Promise<number>} - Number of offsets recorded
+ */
+async function reverseEarnings(paymentReference, { reference, refunded, paid, refundedAt = new Date() }, { session } = {}) {
+    const earnings = await RoyaltyEarning.find({ reference: paymentReference, source: { $ne: 'refund' } }).session(session);
+    if (earnings.length === 0) return 0;
+
+    // Offsets recorded by earlier refunds of the payment
+    const offsets = await RoyaltyEarning.find({ reverses: { $in: earnings.map(({ _id }) => _id) } }).session(session);
+    const offset = (earning, field) => offsets
+        .filter(({ reverses }) => String(reverses) === String(earning._id))
+        .reduce((sum, doc) => sum - doc[field], 0);
+    const share = (earning, field) => Number((BigInt(earning[field]) * BigInt(refunded)) / BigInt(paid)) - offset(earning, field);
+
+    const reversals = earnings
+        .map((earning) => ({
+            userId: earning.userId,
+            recipient: earning.recipient,
+            source: 'refund',
+            reference,
+            contentId: earning.contentId,
+            nftId: earning.nftId,
+            payer: earning.payer,
+            grossAmount: -share(earning, 'grossAmount'),
+            bps: earning.bps,
+            amount: -share(earning, 'amount'),
+            reverses: earning._id,
+            earnedAt: refundedAt,
+        }))
+        .filter(({ amount }) => amount < 0);
+    if (reversals.length === 0) return 0;
+
+    const inserted = await RoyaltyEarning.insertMany(reversals, { session });
+    logger.info(`Royalty earnings of ${paymentReference} offset by refund ${reference}`);
+    return inserted.length;
+}
+
+// Parse an optional ISO date query parameter
+function parseDate(value, field) {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ValidationError(`Invalid date "${value}"`, { details: [{ field, message: 'Must be an ISO 8601 date' }] });
+    }
+    return date;
+}
+
+// Filter on the user's earnings, from `from` (inclusive) to `to` (exclusive)
+function earningsQuery(user, { from, to, contentId }) {
+    const query = { userId: userIdOf(user) };
+    const range = { from: parseDate(from, 'from'), to: parseDate(to, 'to') };
+    if (range.from && range.to && range.from >= range.to) {
+        throw new ValidationError('"from" must be before "to"', { details: [{ field: 'from', message: 'Must be before to' }] });
+    }
+    if (range.from || range.to) {
+        query.earnedAt = {};
+        if (range.from) query.earnedAt.$gte = range.from;
+        if (range.to) query.earnedAt.$lt = range.to;
+    }
+    if (contentId) {
+        if (!mongoose.isValidObjectId(contentId)) {
+            throw new ValidationError('Invalid content ID', { details: [{ field: 'contentId', message: 'Must be an ObjectId' }] });
+        }
+        query.contentId = new mongoose.Types.ObjectId(String(contentId));
+    }
+    return query;
+}
+
+// Start of a UTC period key such as 2026, 2026-03 or 2026-03-14
+function periodStart(key) {
+    const [year, month = '01', day = '01'] = key.split('-');
+    return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+}
+
+/**
+ * Royalty earnings of the user, totalled per period or per piece of content
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} [options] - Report options
+ * @param {string} [options.groupBy] - 'day', 'month' (default), 'year' or 'content'
+ * @param {string} [options.from] - ISO date, inclusive
+ * @param {string} [options.to] - ISO date, exclusive
+ * @param {string} [options.contentId] - Only earnings from this content
+ * @returns {Promise<Object>} - { groupBy, total, count, earnings: [{ period, date, amount, count } | { contentId, amount, count }] }
+ */
+async function summarize(user, { groupBy = 'month', from, to, contentId } = {}) {
+    if (!GROUPINGS.includes(groupBy)) {
+        throw new ValidationError(`Unknown grouping "${groupBy}"`, { details: { groupBy, supported: GROUPINGS } });
+    }
+
+    const byContent = groupBy === 'content';
+    const rows = await RoyaltyEarning.aggregate([
+        { $match: earningsQuery(user, { from, to, contentId }) },
+        {
+            $group: {
+                _id: byContent ? '$contentId' : { $dateToString: { format: PERIOD_FORMATS[groupBy], date: '$earnedAt', timezone: 'UTC' } },
+                amount: { $sum: '$amount' },
+                count: { $sum: 1 },
+            },
+        },
+        { $sort: byContent ? { amount: -1, _id: 1 } : { _id: 1 } },
+    ]);
+
+    const earnings = rows.map(({ _id, amount, count }) => (byContent
+        ? { contentId: _id, amount: fromUnits(amount), count }
+        : { period: _id, date: periodStart(_id), amount: fromUnits(amount), count }));
+    return {
+        groupBy,
+        total: fromUnits(rows.reduce((sum, { amount }) => sum + amount, 0)),
+        count: rows.reduce((sum, { count }) => sum + count, 0),
+        earnings,
+    };
+}
+
+// Client-facing view of an earning
+function toEntry(earning) {
+    return {
+        id: earning.id,
+        date: earning.earnedAt,
+        source: earning.source,
+        contentId: earning.contentId,
+        nftId: earning.nftId,
+        payer: earning.payer,
+        recipient: earning.recipient,
+        grossAmount: fromUnits(earning.grossAmount),
+        bps: earning.bps,
+        amount: fromUnits(earning.amount),
+        reference: earning.reference,
+    };
+}
+
+// Add each entry's value in another currency, at the rate in effect when it was paid
+async function withValues(entries, currency) {
+    if (!currency) return entries;
+    const values = await priceService.valueAll(entries.map(({ amount, date }) => ({ amount, at: date })), { from: 'USDC', to: currency });
+    return entries.map((entry, index) => ({ ...entry, value: { currency: currency.toUpperCase(), ...values[index] } }));
+}
+
+/**
+ * Royalty payments to the user, newest first
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} [options] - Listing options
+ * @param {string} [options.from] - ISO date, inclusive
+ * @param {string} [options.to] - ISO date, exclusive
+ * @param {string} [options.contentId] - Only earnings from this content
+ * @param {number} [options.start] - Offset
+ * @param {number} [options.limit] - Page size
+ * @param {string} [options.currency] - Also value each payment in this currency (e.g. EUR)
+ * @returns {Promise<Object>} - { history, total }
+ */
+async function history(user, { from, to, contentId, start = 0, limit = 50, currency } = {}) {
+    const query = earningsQuery(user, { from, to, contentId });
+    const [earnings, total] = await Promise.all([
+        RoyaltyEarning.find(query).sort({ earnedAt: -1, _id: -1 }).skip(start).limit(limit),
+        RoyaltyEarning.countDocuments(query),
+    ]);
+    return { history: await withValues(earnings.map(toEntry), currency), total };
+}
+
+/**
+ * Statement of the user's royalty earnings for a calendar month or year (UTC)
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} period - '2026' for a year, '2026-03' for a month
+ * @param {Object} [options] - Statement options
+ * @param {string} [options.currency] - Also value each payment in this currency, at the rate of its day
+ * @returns {Promise<Object>} - { period, from, to, creator, entries, byContent, total, currency?, totalValue?, generatedAt }
+ */
+async function buildStatement(user, period, { currency } = {}) {
+    const match = STATEMENT_PERIOD_REGEX.exec(String(period));
+    if (!match) {
+        throw new ValidationError(`Invalid statement period "${period}"`, { details: [{ field: 'period', message: 'Use YYYY for a year or YYYY-MM for a month' }] });
+    }
+    const [, year, month] = match;
+    const from = new Date(Date.UTC(Number(year), month ? Number(month) - 1 : 0, 1));
+    const to = month ? new Date(Date.UTC(Number(year), Number(month), 1)) : new Date(Date.UTC(Number(year) + 1, 0, 1));
+
+    const [creator, earnings] = await Promise.all([
+        User.findById(userIdOf(user)),
+        RoyaltyEarning.find(earningsQuery(user, { from, to })).sort({ earnedAt: 1, _id: 1 }),
+    ]);
+
+    const byContent = new Map();
+    earnings.forEach(({ contentId, amount }) => {
+        const key = contentId ? String(contentId) : '-';
+        const row = byContent.get(key) || { contentId: key, amount: 0, count: 0 };
+        row.amount += amount;
+        row.count += 1;
+        byContent.set(key, row);
+    });
+
+    const entries = await withValues(earnings.map(toEntry), currency);
+    const statement = {
+        period: match[0],
+        from,
+        to,
+        creator: creator ? { id: creator.id, username: creator.username, address: creator.blockchainAddress } : { id: String(userIdOf(user)) },
+        entries,
+        byContent: [...byContent.values()].map((row) => ({ ...row, amount: fromUnits(row.amount) })),
+        total: fromUnits(earnings.reduce((sum, { amount }) => sum + amount, 0)),
+        generatedAt: new Date(),
+    };
+    if (currency) {
+        statement.currency = currency.toUpperCase();
+        statement.totalValue = Math.round(entries.reduce((sum, { value }) => sum + value.value, 0) * 1e6) / 1e6;
+    }
+    return statement;
+}
+
+// Quote a CSV field when it contains a separator, quote or line break
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value instanceof Date ? value.toISOString() : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Statement as CSV, one row per royalty payment
+ * Statements valued in another currency add its rate and amount columns.
+ * @param {Object} statement - Result of buildStatement
+ * @returns {string} - CSV text
+ */
+function toCsv(statement) {
+    const { currency } = statement;
+    const header = ['date', 'source', 'content_id', 'nft_id', 'payer', 'gross_usdc', 'share_bps', 'amount_usdc', 'reference'];
+    if (currency) header.push(`usdc_${currency.toLowerCase()}_rate`, `amount_${currency.toLowerCase()}`);
+    const rows = statement.entries.map((entry) => [
+        entry.date, entry.source, entry.contentId, entry.nftId, entry.payer, entry.grossAmount, entry.bps, entry.amount, entry.reference,
+        ...(currency ? [entry.value.rate, entry.value.value] : []),
+    ]);
+    return `${[header, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+const usdc = (amount) => `${amount.toFixed(6)} USDC`;
+const day = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Statement as a PDF with totals per content and every payment
+ * @param {Object} statement - Result of buildStatement
+ * @returns {Buffer} - PDF file
+ */
+function toPdf(statement) {
+    const { creator } = statement;
+    const last = new Date(statement.to.getTime() - 1);
+    const lines = [
+        `KOSMA royalty statement - ${statement.period}`,
+        '',
+        `Creator:   ${creator.username || creator.id}${creator.address ? ` (${creator.address})` : ''}`,
+        `Period:    ${day(statement.from)} to ${day(last)} (UTC)`,
+        `Generated: ${statement.generatedAt.toISOString()}`,
+        '',
+        `Total royalties: ${usdc(statement.total)} from ${statement.entries.length} payment(s)`,
+        ...(statement.currency
+            ? [`Valued at:       ${statement.totalValue.toFixed(2)} ${statement.currency} (at the USDC rate on each payment's date)`]
+            : []),
+        '',
+        'By content',
+        `${'Content'.padEnd(26)}${'Payments'.padStart(10)}${'Amount'.padStart(24)}`,
+        ...statement.byContent.map((row) => `${row.contentId.padEnd(26)}${String(row.count).padStart(10)}${usdc(row.amount).padStart(24)}`),
+        '',
+        'Payments',
+        `${'Date'.padEnd(12)}${'Source'.padEnd(9)}${'Content'.padEnd(26)}${'Share'.padStart(7)}${'Amount'.padStart(24)}`,
+        ...statement.entries.map((entry) => `${day(entry.date).padEnd(12)}${entry.source.padEnd(9)}${String(entry.contentId || '-').padEnd(26)}`
+            + `${`${entry.bps / 100}%`.padStart(7)}${usdc(entry.amount).padStart(24)}`),
+    ];
+    if (statement.entries.length === 0) {
+        lines.push('No royalties were paid in this period.');
+    }
+
+    return renderTextPdf(lines, { title: `KOSMA royalty statement ${statement.period}`, footer: `KOSMA royalty statement ${statement.period}` });
+}
+
+/**
+ * Downloadable statement file
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} period - '2026' for a year, '2026-03' for a month
+ * @param {string} [format] - 'csv' (default) or 'pdf'
+ * @param {Object} [options] - { currency } to also value payments in (e.g. EUR)
+ * @returns {Promise<Object>} - { filename, contentType, body }
+ */
+async function statementFile(user, period, format = 'csv', { currency } = {}) {
+    if (!STATEMENT_FORMATS.includes(format)) {
+        throw new ValidationError(`Unknown statement format "${format}"`, { details: { format, supported: STATEMENT_FORMATS } });
+    }
+
+    const statement = await buildStatement(user, period, { currency });
+    const filename = `kosma-royalties-${statement.period}.${format}`;
+    return format === 'pdf'
+        ? { filename, contentType: 'application/pdf', body: toPdf(statement) }
+        : { filename, contentType: 'text/csv; charset=utf-8', body: toCsv(statement) };
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    recordEarnings,
+    reverseEarnings,
+    summarize,
+    history,
+    buildStatement,
+    toCsv,
+    toPdf,
+    statementFile,
+};
@@ -0,0 +1,146 @@
+// Import necessary libraries and modules
+const config = require('../config'); // Validated application configuration
+const { ValidationError } = require('../errors');
+
+// Basis points in 100%; every rate, share and fee here is an integer number of them
+const BPS = 10000;
+
+// Share of `units` for `bps`, rounded down
+const share = (units, bps) => Number((BigInt(units) * BigInt(bps)) / BigInt(BPS));
+
+function invalid(field, message) {
+    return new ValidationError(`Invalid royalty split: ${message}`, { details: [{ field, message }] });
+}
+
+/**
+ * Check a royalty split and pair each recipient with their share
+ * @param {Array<string>} recipients - Recipient addresses (or user IDs), in priority order
+ * @param {Array<number>} shares - Share of each payment for each recipient, in basis points
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.whole] - Require the shares to total exactly 10000 (100%)
+ * @returns {Array<Object>} - [{ recipient, bps }]
+ * @throws {ValidationError} - If the split is malformed or totals more than 100%
+ */
+function validateSplit(recipients, shares, { whole = false } = {}) {
+    if (!Array.isArray(recipients) || !Array.isArray(shares) || recipients.length === 0) {
+        throw invalid('recipients', 'At least one recipient is required');
+    }
+    if (recipients.length !== shares.length) {
+        throw invalid('shares', 'Each recipient needs exactly one share');
+    }
+
+    const seen = new Set();
+    const split = recipients.map((recipient, index) => {
+        const bps = Number(shares[index]);
+        if (!recipient) {
+            throw invalid(`recipients[${index}]`, 'Recipient is required');
+        }
+        if (seen.has(String(recipient).toLowerCase())) {
+            throw invalid(`recipients[${index}]`, `${recipient} is listed more than once`);
+        }
+        if (!Number.isInteger(bps) || bps <= 0 || bps > BPS) {
+            throw invalid(`shares[${index}]`, 'Must be a whole number of basis points between 1 and 10000');
+        }
+        seen.add(String(recipient).toLowerCase());
+        return { recipient: String(recipient), bps };
+    });
+
+    const total = totalBps(split);
+    if (total > BPS || (whole && total !== BPS)) {
+        throw invalid('shares', `Shares must total ${whole ? 'exactly' : 'at most'} 10000 basis points (got ${total})`);
+    }
+    return split;
+}
+
+/**
+ * Combined share of a split
+ * @param {Array<Object>} split - [{ bps }]
+ * @returns {number} - Basis points
+ */
+function totalBps(split) {
+    return split.reduce((sum, { bps }) => sum + bps, 0);
+}
+
+/**
+ * Fee the platform keeps from a payment, rounded down
+ * @param {number} units - Payment in ledger units
+ * @param {number} [feeBps] - Fee in basis points (defaults to PLATFORM_FEE_BPS)
+ * @returns {number} - Fee in ledger units
+ */
+function platformFee(units, feeBps = config.payments.platformFeeBps) {
+    return share(units, feeBps);
+}
+
+/**
+ * Split a payment between the platform, royalty recipients and the seller
+ * The platform fee comes off first. Each recipient then gets their share of the rest, rounded
+ * down, and the seller gets whatever the recipients do not. The units lost to rounding (the dust)
+ * go to the first recipient, so the parts always add up to the payment and the same inputs
+ * always give the same breakdown. Without a seller the shares must total 100%, as for license fees.
+ * KosmaNFT and StoryIntegration take no fee: they split the whole amount they are sent with the
+ * same rounding, so callers send them the amount after the fee (breakdown.amount - platformFee).
+ * @param {number} units - Payment in ledger units (integer)
+ * @param {Array<Object>} split - [{ recipient, bps }] from validateSplit
+ * @param {Object} [options] - Split options
+ * @param {string} [options.seller] - Receives what is left after the fee and royalties (sales)
+ * @param {number} [options.feeBps] - Platform fee in basis points (defaults to PLATFORM_FEE_BPS)
+ * @returns {Object} - { amount, feeBps, platformFee, royaltyBps, royalties, dust, recipients: [{ recipient, bps, amount }], seller }
+ */
+function splitPayment(units, split, { seller, feeBps = config.payments.platformFeeBps } = {}) {
+    if (!Number.isSafeInteger(units) || units < 0) {
+        throw invalid('amount', 'Must be a whole number of ledger units');
+    }
+    if (!Number.isInteger(feeBps) || feeBps < 0 || feeBps > BPS) {
+        throw invalid('feeBps', 'Must be a whole number of basis points between 0 and 10000');
+    }
+    const royaltyBps = totalBps(split);
+    if (!seller && royaltyBps !== BPS) {
+        throw invalid('shares', 'Without a seller the shares must total exactly 10000 basis points');
+    }
+
+    const fee = platformFee(units, feeBps);
+    const net = units - fee;
+    const royalties = share(net, royaltyBps);
+    const recipients = split.map(({ recipient, bps }) => ({ recipient, bps, amount: share(net, bps) }));
+    const dust = royalties - recipients.reduce((sum, { amount }) => sum + amount, 0);
+    if (recipients.length > 0) recipients[0].amount += dust;
+
+    return {
+        amount: units,
+        feeBps,
+        platformFee: fee,
+        royaltyBps,
+        royalties,
+        dust,
+        recipients,
+        seller: seller ? { recipient: String(seller), amount: net - royalties } : null,
+    };
+}
+
+/**
+ * Breakdown with every amount converted, e.g. from ledger units to USDC for a response
+ * @param {Object} breakdown - Result of splitPayment
+ * @param {Function} convert - (units) => amount
+ * @returns {Object} - Breakdown with converted amounts
+ */
+function convertBreakdown(breakdown, convert) {
+    return {
+        ...breakdown,
+        amount: convert(breakdown.amount),
+        platformFee: convert(breakdown.platformFee),
+        royalties: convert(breakdown.royalties),
+        dust: convert(breakdown.dust),
+        recipients: breakdown.recipients.map((recipient) => ({ ...recipient, amount: convert(recipient.amount) })),
+        seller: breakdown.seller && { ...breakdown.seller, amount: convert(breakdown.seller.amount) },
+    };
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    BPS,
+    validateSplit,
+    totalBps,
+    platformFee,
+    splitPayment,
+    convertBreakdown,
+};
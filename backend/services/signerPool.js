@@ -0,0 +1,165 @@
+// Import necessary libraries and modules
+const { ethers } = require('ethers');
+const config = require('../config'); // Validated application configuration
+const chainRegistry = require('./chainRegistry'); // Providers per chain
+const logger = require('../utils/logger');
+
+// Errors meaning the nonce we used is already taken on chain
+const NONCE_TAKEN = ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
+
+/**
+ * Operator wallet that assigns nonces itself
+ * Sends are queued and signed one at a time, so concurrent requests never reuse a nonce.
+ * The next nonce is read from the chain ('pending' count) on first use and again after any
+ * failed send, which also covers restarts and transactions sent from the key elsewhere.
+ */
+class ManagedSigner extends ethers.Signer {
+    constructor(wallet, chain) {
+        super();
+        ethers.utils.defineReadOnly(this, 'provider', wallet.provider);
+        this.wallet = wallet;
+        this.chain = chain;
+        this.address = wallet.address;
+        this.nextNonce = null;
+        this.queueDepth = 0;
+        this.queue = Promise.resolve();
+    }
+
+    getAddress() {
+        return Promise.resolve(this.address);
+    }
+
+    signMessage(message) {
+        return this.wallet.signMessage(message);
+    }
+
+    signTransaction(transaction) {
+        return this.wallet.signTransaction(transaction);
+    }
+
+    _signTypedData(domain, types, value) {
+        return this.wallet._signTypedData(domain, types, value);
+    }
+
+    connect() {
+        throw new Error('ManagedSigner is bound to its chain; use signerPool.acquire(chain) instead');
+    }
+
+    /**
+     * Re-read the next nonce from the chain
+     * @returns {Promise<number>} - Next nonce
+     */
+    async resync() {
+        this.nextNonce = await this.provider.getTransactionCount(this.address, 'pending');
+        return this.nextNonce;
+    }
+
+    // Run sends one after another, counting how many are waiting
+    enqueue(task) {
+        this.queueDepth += 1;
+        const run = this.queue.then(task);
+        const done = () => { this.queueDepth -= 1; };
+        this.queue = run.then(done, done);
+        return run;
+    }
+
+    /**
+     * Sign and broadcast with the next nonce (an explicit nonce, e.g. for a replacement, is kept)
+     * @param {Object} transaction - Transaction request
+     * @returns {Promise<Object>} - ethers TransactionResponse
+     */
+    sendTransaction(transaction) {
+        return this.enqueue(async () => {
+            const request = await ethers.utils.resolveProperties(transaction);
+            if (request.nonce != null) {
+                return this.wallet.sendTransaction(request);
+            }
+
+            for (let attempt = 0; ; attempt += 1) {
+                if (this.nextNonce === null) await this.resync();
+                try {
+                    const response = await this.wallet.sendTransaction({ ...request, nonce: this.nextNonce });
+                    this.nextNonce += 1;
+                    return response;
+                } catch (error) {
+                    this.nextNonce = null; // The nonce may or may not have been consumed
+                    if (attempt > 0 || !NONCE_TAKEN.includes(error.code)) throw error;
+                    logger.warn(`Nonce already used by ${this.address} on ${this.chain}; resyncing`);
+                }
+            }
+        });
+    }
+}
+
+// Signers per chain, created on first use
+const pools = new Map();
+let turn = 0;
+
+// Operator keys, or the single PRIVATE_KEY when no pool is configured
+function operatorKeys() {
+    const { operatorKeys: keys, privateKey } = config.blockchain;
+    return keys.length > 0 ? keys : [privateKey].filter(Boolean);
+}
+
+/**
+ * All signers for a chain
+ * @param {number|string} [chain] - Chain ID or config key (defaults to the default chain)
+ * @returns {ManagedSigner[]}
+ */
+function signersFor(chain) {
+    const { name } = chainRegistry.resolveChain(chain);
+    if (!pools.has(name)) {
+        const keys = operatorKeys();
+        if (keys.length === 0) {
+            throw new Error('blockchain.privateKey (PRIVATE_KEY) or blockchain.operatorKeys (OPERATOR_PRIVATE_KEYS) is required to send transactions');
+        }
+        const provider = chainRegistry.getProvider(name);
+        pools.set(name, keys.map((key) => new ManagedSigner(new ethers.Wallet(key, provider), name)));
+    }
+    return pools.get(name);
+}
+
+/**
+ * Signer with the shortest queue, rotating between equally busy ones
+ * Use for calls any operator key may make; every key needs the same contract roles.
+ * @param {number|string} [chain] - Chain ID or config key (defaults to the default chain)
+ * @returns {ManagedSigner}
+ */
+function acquire(chain) {
+    const signers = signersFor(chain);
+    turn = (turn + 1) % signers.length;
+    const ordered = [...signers.slice(turn), ...signers.slice(0, turn)];
+    return ordered.reduce((best, signer) => (signer.queueDepth < best.queueDepth ? signer : best));
+}
+
+/**
+ * Signer for the first operator key
+ * Use when later calls must come from the same account (streams, allowances, ownership).
+ * @param {number|string} [chain] - Chain ID or config key (defaults to the default chain)
+ * @returns {ManagedSigner}
+ */
+function primary(chain) {
+    return signersFor(chain)[0];
+}
+
+/**
+ * Queue depth and next nonce of every signer in use
+ * @returns {Array<Object>} - { chain, address, queueDepth, nextNonce } per signer
+ */
+function stats() {
+    return [...pools.values()].flat().map(({ chain, address, queueDepth, nextNonce }) => ({
+        chain,
+        address,
+        queueDepth,
+        nextNonce,
+    }));
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    ManagedSigner,
+    signersFor,
+    acquire,
+    primary,
+    stats,
+};
@@ -0,0 +1,364 @@
+// Import necessary libraries and modules
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const config = require('../config'); // Validated application configuration
+const SpendingPolicy = require('../models/SpendingPolicy'); // Per-user spending limits
+const StepUpChallenge = require('../models/StepUpChallenge'); // Messages signed to confirm payments
+const User = require('../models/User'); // MongoDB model for users
+const Payment = require('../models/Payment'); // MongoDB model for payment records
+const CrossChainPayment = require('../models/CrossChainPayment'); // Payments to creators on other chains
+const ledgerService = require('./ledgerService'); // USDC <-> ledger units
+const logger = require('../utils/logger');
+const {
+    AuthorizationError,
+    ConflictError,
+    NotFoundError,
+    SpendingLimitError,
+    StepUpRequiredError,
+    ValidationError,
+} = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LIMIT_FIELDS = ['perTransactionLimit', 'dailyCap', 'stepUpThreshold'];
+const MAX_ALLOWED_RECIPIENTS = 100;
+const TOTP_STEP_SECONDS = 30; // speakeasy's default time step
+
+const userIdOf = (user) => String(user.userId || user.id);
+
+const invalid = (field, message) => new ValidationError(`Invalid spending policy: ${message}`, { details: [{ field, message }] });
+
+// Loaded on first use, so the limit checks work without the TOTP library installed
+const speakeasy = () => require('speakeasy');
+
+async function accountOf(userId) {
+    const account = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!account) throw new NotFoundError('User not found');
+    return account;
+}
+
+// Ways the user can confirm a payment: a TOTP code once 2FA is set up, a signature from a wallet they linked
+function methodsOf(account) {
+    const methods = [];
+    if (account.twoFactorSecret) methods.push('totp');
+    if (account.linkedWallet()) methods.push('wallet');
+    return methods;
+}
+
+/**
+ * Accept a TOTP code once: its time step is recorded, and codes from that step or earlier are refused
+ * @param {Object} account - User document
+ * @param {string} secret - Base32 TOTP secret the code was generated from
+ * @param {string} token - TOTP code
+ * @throws {AuthorizationError} - If the code is wrong or was already used
+ */
+async function useTotpCode(account, secret, token) {
+    const match = speakeasy().totp.verifyDelta({ secret, encoding: 'base32', token: String(token || ''), window: 1 });
+    if (!match) throw new AuthorizationError('Invalid 2FA token');
+
+    // Claimed atomically, so two requests with the same code cannot both pass
+    const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + match.delta;
+    const claimed = await User.updateOne(
+        { _id: account._id, $or: [{ twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: { $lt: step } }] },
+        { $set: { twoFactorLastStep: step } }
+    );
+    if (claimed.modifiedCount === 0) throw new AuthorizationError('2FA code already used; wait for the next one');
+    account.twoFactorLastStep = step;
+}
+
+// Saved policy, or an unsaved empty one (no limits) for users who never set one
+async function policyFor(userId) {
+    return (await SpendingPolicy.findOne({ userId })) || new SpendingPolicy({ userId });
+}
+
+// Users can ask for step-up sooner than the platform does, never later
+function thresholdOf(policy) {
+    const platform = config.payments.stepUpThreshold;
+    return policy.stepUpThreshold != null ? Math.min(policy.stepUpThreshold, platform) : platform;
+}
+
+// Total in USDC, rounded to its 6 decimals
+const sum = (amounts) => Number(amounts.reduce((total, amount) => total + Number(amount), 0).toFixed(6));
+
+/**
+ * USDC the user paid in purchases and tips, cross-chain ones included, over the last 24 hours
+ * Failed payments do not count; refunded ones do.
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Amount in USDC
+ */
+async function spentToday(userId) {
+    const match = { userId: new mongoose.Types.ObjectId(String(userId)), status: { $ne: 'failed' }, createdAt: { $gte: new Date(Date.now() - DAY_MS) } };
+    const total = [{ $group: { _id: null, amount: { $sum: '$amount' } } }];
+
+    const [payments, crossChain] = await Promise.all([
+        Payment.aggregate([{ $match: { ...match, type: { $in: ['purchase', 'tip'] } } }, ...total]),
+        CrossChainPayment.aggregate([{ $match: match }, ...total]),
+    ]);
+    return sum([payments[0]?.amount || 0, crossChain[0]?.amount || 0]);
+}
+
+/**
+ * Check a step-up proof: a TOTP code, or a signature of a challenge from createChallenge()
+ * @param {Object} account - User document
+ * @param {Object} [stepUp] - { totp } or { challengeId, signature }
+ * @returns {Promise<string|null>} - Method used ('totp' or 'wallet'), or null when no proof was sent
+ * @throws {AuthorizationError} - If the proof is wrong, expired or already used
+ */
+async function verifyStepUp(account, { totp, challengeId, signature } = {}) {
+    if (totp) {
+        if (!account.twoFactorSecret) throw new AuthorizationError('Two-factor authentication is not set up');
+        await useTotpCode(account, account.twoFactorSecret, totp);
+        return 'totp';
+    }
+    if (!challengeId && !signature) return null;
+
+    // Used up before checking the signature, so a challenge can never be tried twice
+    const challenge = mongoose.isValidObjectId(challengeId) ? await StepUpChallenge.findOneAndUpdate(
+        { _id: challengeId, userId: account._id, usedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() },
+        { new: true }
+    ) : null;
+    if (!challenge) throw new AuthorizationError('Step-up challenge is invalid, expired or already used');
+
+    let signer;
+    try {
+        signer = ethers.utils.verifyMessage(challenge.message, signature);
+    } catch (error) {
+        signer = null;
+    }
+    if (!signer || signer.toLowerCase() !== challenge.address.toLowerCase()) {
+        throw new AuthorizationError('Invalid wallet signature');
+    }
+    return 'wallet';
+}
+
+/**
+ * Message for one of the user's linked wallets to sign, confirming one payment or policy change
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} [options] - Challenge options
+ * @param {string} [options.address] - Linked wallet that will sign (defaults to the primary one)
+ * @returns {Promise<Object>} - { challengeId, address, message, expiresAt }
+ * @throws {ValidationError} - If the wallet is not linked to the account
+ */
+async function createChallenge(user, { address } = {}) {
+    const account = await accountOf(userIdOf(user));
+    const wallet = account.linkedWallet(address);
+    if (!wallet) {
+        throw new ValidationError('Link a wallet to your account to confirm payments with it', { details: [{ field: 'address', message: 'Must be a wallet linked to the account' }] });
+    }
+
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + config.payments.stepUpChallengeTtlMs);
+    const message = [
+        'Confirm a payment or a spending limit change on your KOSMA account.',
+        '',
+        `Wallet: ${wallet.address}`,
+        `Nonce: ${crypto.randomBytes(16).toString('hex')}`,
+        `Issued At: ${issuedAt.toISOString()}`,
+        `Expiration Time: ${expiresAt.toISOString()}`,
+    ].join('\n');
+
+    const challenge = await StepUpChallenge.create({ userId: account._id, address: wallet.address, message, expiresAt });
+    return { challengeId: challenge.id, address: wallet.address, message, expiresAt };
+}
+
+/**
+ * Check payments against the payer's spending policy, and ask for step-up above the threshold
+ * Every payment must be within the per-transaction limit and go to an allowed recipient; the
+ * total must fit in what is left of the daily cap. A total over the step-up threshold needs a
+ * TOTP code or wallet signature.
+ * @param {string} userId - Paying user
+ * @param {Object} request - What is being paid
+ * @param {Object[]} request.payments - [{ amount, recipientId }]
+ * @param {Object} [request.stepUp] - { totp } or { challengeId, signature }
+ * @param {boolean} [request.daily] - Count the payments toward the daily cap (default true)
+ * @param {string} [request.confirmedWith] - Step-up method the payer already used, e.g. 'wallet' for a signed payment intent
+ * @returns {Promise<Object>} - { amount, stepUp } with the method used, if one was needed
+ * @throws {ValidationError} - If an amount is not a positive USDC amount
+ * @throws {SpendingLimitError} - If a limit of the policy is broken
+ * @throws {StepUpRequiredError} - If step-up is needed and no proof was sent
+ */
+async function authorizePayment(userId, { payments, stepUp, daily = true, confirmedWith }) {
+    // A negative amount would lower the total checked against the cap and threshold
+    payments.forEach((payment) => ledgerService.toUnits(payment.amount));
+
+    const account = await accountOf(userId);
+    const policy = await policyFor(account._id);
+    const amount = sum(payments.map((payment) => payment.amount));
+
+    const largest = Math.max(...payments.map((payment) => Number(payment.amount)));
+    if (policy.perTransactionLimit != null && largest > policy.perTransactionLimit) {
+        throw new SpendingLimitError(`Your spending policy limits payments to ${policy.perTransactionLimit} USDC each`, {
+            details: { rule: 'perTransactionLimit', limit: policy.perTransactionLimit, amount: largest },
+        });
+    }
+
+    if (policy.allowedRecipients.length > 0) {
+        const allowed = new Set(policy.allowedRecipients.map(String));
+        const blocked = payments.map((payment) => String(payment.recipientId)).filter((recipientId) => !allowed.has(recipientId));
+        if (blocked.length > 0) {
+            throw new SpendingLimitError('Your spending policy does not allow paying this recipient', {
+                details: { rule: 'allowedRecipients', recipients: [...new Set(blocked)] },
+            });
+        }
+    }
+
+    if (daily && policy.dailyCap != null) {
+        const spent = await spentToday(account._id);
+        if (sum([spent, amount]) > policy.dailyCap) {
+            throw new SpendingLimitError(`Your spending policy caps payments at ${policy.dailyCap} USDC a day`, {
+                details: { rule: 'dailyCap', limit: policy.dailyCap, spent, amount },
+            });
+        }
+    }
+
+    const threshold = thresholdOf(policy);
+    if (amount <= threshold) return { amount, stepUp: null };
+
+    const method = confirmedWith || await verifyStepUp(account, stepUp);
+    if (!method) {
+        throw new StepUpRequiredError(`Payments over ${threshold} USDC need your 2FA code or a wallet signature`, {
+            details: { threshold, amount, methods: methodsOf(account) },
+        });
+    }
+    logger.info(`Payment of ${amount} USDC by user ${account.id} confirmed with ${method}`);
+    return { amount, stepUp: method };
+}
+
+/**
+ * The user's spending policy, with the threshold in effect and what they spent today
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} - Policy view
+ */
+async function getPolicy(user) {
+    const account = await accountOf(userIdOf(user));
+    const policy = await policyFor(account._id);
+
+    return {
+        perTransactionLimit: policy.perTransactionLimit ?? null,
+        dailyCap: policy.dailyCap ?? null,
+        allowedRecipients: policy.allowedRecipients.map(String),
+        stepUpThreshold: thresholdOf(policy),
+        platformStepUpThreshold: config.payments.stepUpThreshold,
+        stepUpMethods: methodsOf(account),
+        spentToday: await spentToday(account._id),
+    };
+}
+
+// Whether a change lets more money leave the account than the current policy does
+function loosens(policy, changes) {
+    const raised = LIMIT_FIELDS.some((field) => (
+        changes[field] !== undefined && policy[field] != null && (changes[field] === null || changes[field] > policy[field])
+    ));
+    if (raised || changes.allowedRecipients === undefined || policy.allowedRecipients.length === 0) return raised;
+
+    const current = new Set(policy.allowedRecipients.map(String));
+    return changes.allowedRecipients.length === 0 || changes.allowedRecipients.some((recipientId) => !current.has(recipientId));
+}
+
+/**
+ * Change the user's spending policy
+ * Limits can be tightened freely; raising or removing one, or allowing more recipients, needs
+ * step-up when the user has a way to confirm it. null removes a limit.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} request - Fields to change
+ * @param {number|null} [request.perTransactionLimit] - Largest single payment in USDC
+ * @param {number|null} [request.dailyCap] - USDC that can be paid in 24 hours
+ * @param {string[]} [request.allowedRecipients] - User IDs of the only creators that can be paid; [] allows all
+ * @param {number|null} [request.stepUpThreshold] - Ask for step-up above this (at most the platform's)
+ * @param {Object} [request.stepUp] - { totp } or { challengeId, signature }
+ * @returns {Promise<Object>} - Policy view, as getPolicy()
+ */
+async function updatePolicy(user, { stepUp, ...request } = {}) {
+    const account = await accountOf(userIdOf(user));
+    const changes = {};
+
+    LIMIT_FIELDS.forEach((field) => {
+        if (request[field] === undefined) return;
+        if (request[field] === null || request[field] === '') {
+            changes[field] = null;
+            return;
+        }
+        const value = Number(request[field]);
+        if (!Number.isFinite(value) || value < 0) throw invalid(field, 'Must be a positive number, or null for no limit');
+        changes[field] = value;
+    });
+    if (changes.stepUpThreshold > config.payments.stepUpThreshold) {
+        throw invalid('stepUpThreshold', `Must be at most ${config.payments.stepUpThreshold}`);
+    }
+
+    if (request.allowedRecipients !== undefined) {
+        const recipients = [...new Set((request.allowedRecipients || []).map(String))];
+        if (recipients.length > MAX_ALLOWED_RECIPIENTS) throw invalid('allowedRecipients', `At most ${MAX_ALLOWED_RECIPIENTS} recipients`);
+        if (!recipients.every((recipientId) => mongoose.isValidObjectId(recipientId))
+            || await User.countDocuments({ _id: { $in: recipients } }) !== recipients.length) {
+            throw invalid('allowedRecipients', 'Must be IDs of existing users');
+        }
+        changes.allowedRecipients = recipients;
+    }
+
+    const policy = await policyFor(account._id);
+    if (loosens(policy, changes) && methodsOf(account).length > 0 && !(await verifyStepUp(account, stepUp))) {
+        throw new StepUpRequiredError('Confirm raising your limits with your 2FA code or a wallet signature', {
+            details: { methods: methodsOf(account) },
+        });
+    }
+
+    const update = { $setOnInsert: { userId: account._id } };
+    Object.entries(changes).forEach(([field, value]) => {
+        const operator = value === null ? '$unset' : '$set';
+        update[operator] = { ...update[operator], [field]: value === null ? 1 : value };
+    });
+    await SpendingPolicy.findOneAndUpdate({ userId: account._id }, update, { upsert: true, new: true, runValidators: true });
+
+    logger.info(`Spending policy of user ${account.id} updated: ${Object.keys(changes).join(', ') || 'no changes'}`);
+    return getPolicy(user);
+}
+
+/**
+ * Start setting up TOTP 2FA; confirmTotp() turns it on once the app shows a valid code
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} - { secret, otpauthUrl } to enter in an authenticator app
+ * @throws {ConflictError} - If 2FA is already set up
+ */
+async function setupTotp(user) {
+    const account = await accountOf(userIdOf(user));
+    if (account.twoFactorSecret) throw new ConflictError('Two-factor authentication is already set up');
+
+    const secret = speakeasy().generateSecret({ name: `KOSMA (${account.email})` });
+    account.twoFactorPendingSecret = secret.base32;
+    await account.save();
+    return { secret: secret.base32, otpauthUrl: secret.otpauth_url };
+}
+
+/**
+ * Turn on TOTP 2FA with a code from the authenticator app set up by setupTotp()
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} token - Current TOTP code
+ * @returns {Promise<Object>} - { stepUpMethods }
+ */
+async function confirmTotp(user, token) {
+    const account = await accountOf(userIdOf(user));
+    if (!account.twoFactorPendingSecret) throw new ConflictError('Set up two-factor authentication first');
+
+    // The confirming code counts as used, so it cannot also approve a payment
+    await useTotpCode(account, account.twoFactorPendingSecret, token);
+
+    account.twoFactorSecret = account.twoFactorPendingSecret;
+    account.twoFactorPendingSecret = undefined;
+    await account.save();
+    logger.info(`User ${account.id} turned on two-factor authentication`);
+    return { stepUpMethods: methodsOf(account) };
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    authorizePayment,
+    verifyStepUp,
+    createChallenge,
+    spentToday,
+    getPolicy,
+    updatePolicy,
+    setupTotp,
+    confirmTotp,
+};
@@ -1,73 +1,82 @@
 // Import necessary libraries and modules
-const StoryProtocol = require('./StoryProtocol'); // Story Protocol for licensing and royalty management
-const Superfluid = require('./Superfluid'); // Superfluid for royalty streaming
-const User = require('./models/User'); // User model to fetch user data
-const { validateInputs, validateRoyalties } = require('./validators'); // Input validation utility
-const { ReentrancyGuard } = require('./middleware/reentrancyGuard'); // Middleware for reentrancy protection
+const { StoryProtocol, Superfluid } = require('../adapters'); // Story Protocol for licensing, Superfluid for royalty streaming
+const User = require('../models/User'); // User model to fetch user data
+const { validateInputs } = require('./validators'); // Input validation utility
+const royaltyService = require('./royaltyService'); // Basis-point royalty splits
+const nftService = require('./nftService'); // Royalty payments through Story Protocol
+const { toUnits, fromUnits } = require('./ledgerService'); // USDC <-> ledger units
+const jobQueue = require('./jobQueue'); // Background jobs with retries
+const { ReentrancyGuard } = require('../middlewares/reentrancyGuard'); // Middleware for reentrancy protection
+const { NotFoundError, wrapError } = require('../errors');
 
 /**
- * Create License with input validation and gas estimation
+ * Create License with input validation
+ * When a license fee is given, the licensees' shares are registered on the license and the fee is
+ * split and paid to them at once.
  * @param {string} creatorId - ID of the content creator
  * @param {string} contentId - ID of the content to be licensed
  * @param {Array<string>} licenseeAddresses - Array of addresses for licensees
- * @param {Array<number>} royaltyShares - Corresponding shares for each licensee
- * @returns {Promise<string>} - Transaction hash of the license creation
+ * @param {Array<number>} royaltyShares - Share of each license fee for each licensee, in basis points (10000 in total)
+ * @param {number} [fee] - License fee paid now, in USDC
+ * @returns {Promise<Object>} - { hash, royalties }: transaction hash of the license creation and the fee's breakdown in USDC (null without a fee)
  */
-async function createLicense(creatorId, contentId, licenseeAddresses, royaltyShares) {
+async function createLicense(creatorId, contentId, licenseeAddresses, royaltyShares, fee) {
     try {
         // Input validation
         validateInputs({ creatorId, contentId, licenseeAddresses, royaltyShares });
-        validateRoyalties(royaltyShares);
+        const split = royaltyService.validateSplit(licenseeAddresses, royaltyShares, { whole: true });
+        const breakdown = fee === undefined ? null : royaltyService.splitPayment(toUnits(fee), split);
 
         const creator = await User.findById(creatorId);
-        
-        // Estimate gas for the license creation
-        const gasEstimate = await StoryProtocol.estimateGas.createLicense(creator.blockchainAddress, contentId, licenseeAddresses, royaltyShares);
+        if (!creator) throw new NotFoundError('Creator not found');
 
         // Create license
-        const tx = await StoryProtocol.createLicense(creator.blockchainAddress, contentId, licenseeAddresses, royaltyShares, { gasLimit: gasEstimate });
-        await tx.wait(); // Wait for the transaction to be confirmed on-chain
-        
-        return tx.hash;
+        const tx = await StoryProtocol.createLicense(contentId, {}, {
+            owner: creator.blockchainAddress,
+            licensees: licenseeAddresses,
+            shares: royaltyShares,
+        });
+        if (!breakdown) return { hash: tx.hash, royalties: null };
+
+        // Royalties are paid to the recipients registered for the license
+        await StoryProtocol.licenseNFT(tx.licenseId, {
+            recipients: split.map(({ recipient }) => recipient),
+            shares: split.map(({ bps }) => bps),
+        });
+        await nftService.payRoyalties(tx.licenseId, breakdown, { source: 'license', contentId });
+
+        return { hash: tx.hash, royalties: royaltyService.convertBreakdown(breakdown, fromUnits) };
     } catch (error) {
         console.error('Error creating license:', error);
-        throw new Error('License creation failed');
+        throw wrapError(error, 'License creation failed');
     }
 }
 
 /**
- * Manage Royalties with retry logic and batch processing
+ * Manage Royalties by queueing a batch distribution
+ * The 'royalties.distribute' job retries with backoff and dead-letters after its last attempt.
  * @param {string} contentId - ID of the licensed content
  * @param {number} amount - Amount to be distributed as royalties
- * @returns {Promise<string>} - Transaction hash of the royalty distribution
+ * @param {string} [key] - Deduplication key (e.g. the royalty period), so a distribution is queued once
+ * @returns {Promise<Object>} - Job summary; its result holds the transaction hash once completed
  */
-async function manageRoyalties(contentId, amount) {
+async function manageRoyalties(contentId, amount, key) {
     try {
-        let retries = 0;
-        let tx = null;
-        while (!tx && retries < 3) {
-            try {
-                // Batch processing for royalties
-                const tx = await Superfluid.batchDistributeRoyalties(contentId, amount);
-                await tx.wait(); // Wait for transaction confirmation
-            } catch (error) {
-                retries += 1;
-                console.error(`Retry ${retries}: Error managing royalties`, error);
-                await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retrying
-            }
-        }
-        
-        if (!tx) {
-            throw new Error('Royalty distribution failed after 3 retries');
-        }
-        
-        return tx.hash;
+        return await jobQueue.enqueue('royalties.distribute', { contentId, amount }, { key });
     } catch (error) {
         console.error('Error managing royalties:', error);
-        throw new Error('Royalty management failed');
+        throw wrapError(error, 'Royalty management failed');
     }
 }
 
+// Batch distribution through Superfluid; a sent distribution is not repeated on retry
+jobQueue.define('royalties.distribute', {
+    handler: ({ contentId, amount }, { step }) => step('distribute', async () => {
+        const tx = await Superfluid.batchDistributeRoyalties(contentId, amount);
+        return { transactionHash: tx.hash };
+    }),
+});
+
 /**
  * Handle Dispute with input validation and enhanced error logging
  * @param {string} disputeId - ID of the dispute to be resolved
@@ -81,12 +90,11 @@ async function handleDispute(disputeId, resolution) {
 
         // Resolve the dispute
         const tx = await StoryProtocol.resolveDispute(disputeId, resolution);
-        await tx.wait(); // Wait for transaction confirmation
-        
+
         return tx.hash;
     } catch (error) {
         console.error('Error handling dispute:', error);
-        throw new Error('Dispute resolution failed');
+        throw wrapError(error, 'Dispute resolution failed');
     }
 }
 
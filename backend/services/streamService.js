@@ -0,0 +1,300 @@
+// Import necessary libraries and modules
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const config = require('../config'); // Validated application configuration
+const { Superfluid } = require('../adapters'); // Superfluid constant flows
+const Stream = require('../models/Stream'); // Registry of open flows
+const User = require('../models/User'); // MongoDB model for users
+const notificationService = require('./notificationService'); // Pushes status updates to users
+const logger = require('../utils/logger');
+const { AuthorizationError, ConflictError, NotFoundError, ValidationError, wrapError } = require('../errors');
+
+const userIdOf = (user) => String(user.userId || user.id);
+
+// Whether the user opened the stream, is paid by it, or is an admin
+function roleIn(stream, user) {
+    const userId = userIdOf(user);
+    if (String(stream.userId) === userId) return 'sender';
+    if (stream.receiverId && String(stream.receiverId) === userId) return 'receiver';
+    return user.role === 'admin' ? 'admin' : null;
+}
+
+// Flow rate as a positive integer of wei per second
+function parseFlowRate(flowRate) {
+    if (!/^\d+$/.test(String(flowRate ?? '')) || BigInt(flowRate) <= 0n) {
+        throw new ValidationError('Invalid flow rate', { details: [{ field: 'flowRate', message: 'Must be a positive integer (wei per second)' }] });
+    }
+    return String(BigInt(flowRate));
+}
+
+// Streams are priced per 30-day month
+const SECONDS_PER_MONTH = 30 * 24 * 60 * 60;
+
+/**
+ * Amount a flow rate streams in a 30-day month, in super tokens (18 decimals)
+ * @param {string} flowRate - Wei per second
+ * @returns {number} - Tokens per month
+ * @throws {ValidationError} - If the flow rate is not a positive integer
+ */
+function monthlyAmount(flowRate) {
+    return Number(ethers.utils.formatUnits(BigInt(parseFlowRate(flowRate)) * BigInt(SECONDS_PER_MONTH), 18));
+}
+
+/**
+ * Open a Superfluid stream from the user's linked wallet and record it
+ * @param {Object} user - Authenticated sender (req.user)
+ * @param {Object} request - Stream details
+ * @param {string} request.receiver - Receiving wallet address
+ * @param {string} [request.receiverId] - Receiving user, when they have a KOSMA account
+ * @param {string} request.flowRate - Wei per second
+ * @param {string} [request.purpose] - 'payment' (default) or 'royalty'
+ * @param {string} [request.contentId] - Content the royalties are for
+ * @returns {Promise<Object>} - Stream
+ * @throws {ValidationError} - If the user has not linked a wallet
+ * @throws {ConflictError} - If the user already streams to the receiver
+ */
+async function openStream(user, { receiver, receiverId, flowRate, purpose = 'payment', contentId }) {
+    const rate = parseFlowRate(flowRate);
+    const sender = await User.findById(userIdOf(user));
+    if (!sender) {
+        throw new NotFoundError('User not found');
+    }
+    if (!receiver) {
+        throw new ValidationError('Stream receiver is required', { details: [{ field: 'receiver', message: 'Required' }] });
+    }
+    // The flow is signed from this address, so it must be a wallet the sender proved they own
+    const wallet = sender.linkedWallet();
+    if (!wallet) {
+        throw new ValidationError('You have not linked a wallet to stream from', { details: [{ field: 'sender', message: 'Link a wallet first' }] });
+    }
+
+    // Superfluid allows one flow per sender, receiver and token; change its rate instead
+    if (await Stream.exists({ sender: wallet.address, receiver, status: 'active' })) {
+        throw new ConflictError('You already stream to this receiver; update its flow rate instead');
+    }
+
+    let created;
+    try {
+        created = await Superfluid.createStream({ sender: wallet.address, receiver, flowRate: rate });
+    } catch (error) {
+        throw wrapError(error, 'Failed to start the stream.');
+    }
+
+    const stream = await Stream.create({
+        userId: sender._id,
+        receiverId,
+        purpose,
+        contentId,
+        streamId: created.streamId,
+        sender: created.sender,
+        receiver,
+        token: created.token,
+        flowRate: rate,
+        rateSince: new Date(),
+    });
+    logger.info(`Stream ${stream.id} opened: ${rate} wei/s from ${stream.sender} to ${receiver} (${created.hash})`);
+    return stream;
+}
+
+/**
+ * Stream visible to the user: its sender, its receiver, or an admin
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} id - Stream ID
+ * @returns {Promise<Object>} - Stream
+ */
+async function getForUser(user, id) {
+    const stream = mongoose.isValidObjectId(id) ? await Stream.findById(id) : null;
+    if (!stream || !roleIn(stream, user)) {
+        throw new NotFoundError('Stream not found');
+    }
+    return stream;
+}
+
+/**
+ * Streams the user sends, or (as receiver) is paid by, newest first
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} [filter] - Listing options
+ * @param {string} [filter.as] - 'sender' (default) or 'receiver'
+ * @param {string} [filter.status] - One of Stream.STATUSES
+ * @param {number} [filter.start] - Offset
+ * @param {number} [filter.limit] - Page size
+ * @returns {Promise<Object[]>} - Streams
+ */
+async function listForUser(user, { as = 'sender', status, start = 0, limit = 50 } = {}) {
+    if (status && !Stream.STATUSES.includes(status)) {
+        throw new ValidationError(`Unknown stream status "${status}"`, { details: { status, supported: Stream.STATUSES } });
+    }
+
+    const query = as === 'receiver' ? { receiverId: userIdOf(user) } : { userId: userIdOf(user) };
+    if (status) query.status = status;
+    return Stream.find(query).sort({ createdAt: -1 }).skip(start).limit(limit);
+}
+
+// Active stream the user may change
+async function activeForUser(user, id, roles) {
+    const stream = await getForUser(user, id);
+    if (!roles.includes(roleIn(stream, user))) {
+        throw new AuthorizationError(`Only the ${roles.filter((role) => role !== 'admin').join(' or ')} can change this stream`);
+    }
+    if (stream.status !== 'active') {
+        throw new ConflictError(`Stream is ${stream.status}`);
+    }
+    return stream;
+}
+
+/**
+ * Change the flow rate of an active stream
+ * What was streamed at the old rate is kept in `accrued`.
+ * @param {Object} user - Authenticated sender or admin (req.user)
+ * @param {string} id - Stream ID
+ * @param {string} flowRate - New rate in wei per second
+ * @returns {Promise<Object>} - Stream
+ */
+async function updateRate(user, id, flowRate) {
+    const rate = parseFlowRate(flowRate);
+    const stream = await activeForUser(user, id, ['sender', 'admin']);
+
+    try {
+        await Superfluid.updateStream(stream.streamId, rate);
+    } catch (error) {
+        throw wrapError(error, 'Failed to update the stream.');
+    }
+
+    const now = new Date();
+    const updated = await Stream.findOneAndUpdate(
+        { _id: stream._id, status: 'active', flowRate: stream.flowRate, rateSince: stream.rateSince },
+        { flowRate: rate, accrued: stream.accruedAt(now), rateSince: now },
+        { new: true }
+    );
+    if (!updated) {
+        throw new ConflictError('Stream changed while it was being updated; try again');
+    }
+    return updated;
+}
+
+/**
+ * Stop an active stream
+ * @param {Object} user - Authenticated sender, receiver or admin (req.user)
+ * @param {string} id - Stream ID
+ * @returns {Promise<Object>} - Stream (status 'stopped')
+ */
+async function stopStream(user, id) {
+    const stream = await activeForUser(user, id, ['sender', 'receiver', 'admin']);
+
+    try {
+        await Superfluid.cancelStream(stream.streamId);
+    } catch (error) {
+        throw wrapError(error, 'Failed to stop the stream.');
+    }
+
+    const stopped = await Stream.findOneAndUpdate(
+        { _id: stream._id, status: 'active' },
+        { status: 'stopped', endedAt: new Date() },
+        { new: true }
+    );
+    return stopped || Stream.findById(stream._id);
+}
+
+// When a balance reaching `available` at `now` while changing by `netFlowRate` per second ran out
+function ranOutAt(available, netFlowRate, now) {
+    if (netFlowRate >= 0n) return now;
+    const seconds = Number(available / -netFlowRate); // Zero or negative: the balance is already gone
+    return new Date(now.getTime() + seconds * 1000);
+}
+
+/**
+ * Mark the active streams of senders who have run out of funds as insolvent
+ * Superfluid closes such flows, so nothing is streamed after the balance reached zero.
+ * Each sender's balance is read once, however many streams they have.
+ * @param {Object} [options] - { now } to check as of another time
+ * @returns {Promise<number>} - Number of streams marked insolvent
+ */
+async function checkSolvency({ now = new Date() } = {}) {
+    const streams = await Stream.find({ status: 'active' });
+    const senders = new Map();
+    streams.forEach((stream) => {
+        const key = `${stream.token}:${stream.sender}`;
+        senders.set(key, [...(senders.get(key) || []), stream]);
+    });
+
+    let insolvent = 0;
+    for (const group of senders.values()) {
+        const { sender, token } = group[0];
+        let balance;
+        try {
+            balance = await Superfluid.getBalance(sender, token);
+        } catch (error) {
+            logger.warn(`Could not read the ${token} balance of ${sender}: ${error.message}`);
+            continue;
+        }
+
+        const ids = group.map(({ _id }) => _id);
+        const available = BigInt(balance.availableBalance);
+        if (available > 0n) {
+            await Stream.updateMany({ _id: { $in: ids } }, { balanceCheckedAt: now });
+            continue;
+        }
+
+        const endedAt = ranOutAt(available, BigInt(balance.netFlowRate), now);
+        for (const stream of group) {
+            const marked = await Stream.findOneAndUpdate(
+                { _id: stream._id, status: 'active' },
+                { status: 'insolvent', endedAt: endedAt < stream.rateSince ? stream.rateSince : endedAt, balanceCheckedAt: now },
+                { new: true }
+            );
+            if (!marked) continue;
+
+            insolvent += 1;
+            logger.warn(`Stream ${marked.id} from ${sender} is insolvent`);
+            const data = { streamId: marked.id, receiver: marked.receiver, streamed: marked.accruedAt() };
+            await notificationService.notify(marked.userId, 'stream.insolvent', 'A stream stopped because your balance ran out', data);
+            if (marked.receiverId) {
+                await notificationService.notify(marked.receiverId, 'stream.insolvent', 'A stream paying you stopped because its sender ran out of funds', data);
+            }
+        }
+    }
+    return insolvent;
+}
+
+let timer = null;
+let checking = false;
+
+/**
+ * Check sender balances in the background until stopSolvencyWatcher() is called
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.intervalMs] - Delay between checks (defaults to config)
+ */
+function startSolvencyWatcher({ intervalMs = config.streams.solvencyCheckMs } = {}) {
+    if (timer) return;
+
+    timer = setInterval(async () => {
+        if (checking) return; // Previous check still running
+        checking = true;
+        try {
+            await checkSolvency();
+        } catch (error) {
+            logger.error(`Stream solvency check failed: ${error.message}`);
+        } finally {
+            checking = false;
+        }
+    }, intervalMs);
+    timer.unref();
+}
+
+function stopSolvencyWatcher() {
+    clearInterval(timer);
+    timer = null;
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    monthlyAmount,
+    openStream,
+    getForUser,
+    listForUser,
+    updateRate,
+    stopStream,
+    checkSolvency,
+    startSolvencyWatcher,
+    stopSolvencyWatcher,
+};
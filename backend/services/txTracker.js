@@ -0,0 +1,230 @@
+// Import necessary libraries and modules
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const config = require('../config'); // Validated application configuration
+const chainRegistry = require('./chainRegistry'); // Providers per chain
+const TxRecord = require('../models/TxRecord'); // Persistent transaction records
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../errors');
+
+// A record stops being re-checked for reorgs once it is this many times its required confirmations deep
+const FINALITY_FACTOR = 2;
+
+// Emits 'status' (record, previousStatus) on every change, plus the new status name (e.g. 'confirmed')
+// and 'reorg' (record). Listeners must be idempotent: after a reorg the same record can confirm again.
+const events = new EventEmitter();
+
+/**
+ * Start tracking a broadcast transaction instead of waiting for it inside the request
+ * @param {Object} tx - ethers TransactionResponse (hash, from, to, nonce)
+ * @param {Object} options - Tracking details
+ * @param {string} options.kind - Operation that sent it (e.g. 'membership.purchase')
+ * @param {number|string} [options.chain] - Chain ID or config key (defaults to the default chain)
+ * @param {string} [options.userId] - User who requested it, for access checks
+ * @param {Object} [options.metadata] - Data the settlement listeners need
+ * @returns {Promise<Object>} - The new TxRecord (status 'pending')
+ */
+async function submit(tx, { kind, chain, userId, metadata = {} }) {
+    const settings = chainRegistry.resolveChain(chain);
+
+    const record = await TxRecord.create({
+        chain: settings.name,
+        hash: tx.hash,
+        from: tx.from,
+        to: tx.to || undefined,
+        nonce: tx.nonce,
+        kind,
+        userId,
+        metadata,
+        requiredConfirmations: settings.confirmations,
+    });
+    logger.info(`Tracking ${kind} transaction ${tx.hash} on ${settings.name}`);
+    return record;
+}
+
+/**
+ * Track a transaction known only by its hash (no-op if it is already tracked)
+ * @param {string} hash - Transaction hash
+ * @param {Object} [options] - Same options as submit(); kind defaults to 'external'
+ * @returns {Promise<Object>} - The TxRecord
+ */
+async function trackHash(hash, { kind = 'external', chain, userId, metadata } = {}) {
+    const { name } = chainRegistry.resolveChain(chain);
+    const existing = await TxRecord.findOne({ chain: name, hash });
+    if (existing) return existing;
+
+    const tx = await chainRegistry.getProvider(name).getTransaction(hash);
+    if (!tx) {
+        throw new NotFoundError('Transaction not found', { details: { hash, chain: name } });
+    }
+    return submit(tx, { kind, chain: name, userId, metadata });
+}
+
+// Apply a receipt; detects the transaction moving to a different block
+function applyReceipt(record, receipt, head) {
+    if (record.blockHash && record.blockHash !== receipt.blockHash) {
+        record.reorgs += 1;
+        record.confirmedAt = undefined;
+        events.emit('reorg', record);
+    }
+
+    record.blockNumber = receipt.blockNumber;
+    record.blockHash = receipt.blockHash;
+    record.confirmations = Math.max(head - receipt.blockNumber + 1, 0);
+    record.minedAt = record.minedAt || new Date();
+
+    if (receipt.status === 0) {
+        record.status = 'failed';
+        record.error = { code: 'CHAIN_REVERTED', message: 'Transaction reverted' };
+    } else if (record.confirmations >= record.requiredConfirmations) {
+        record.status = 'confirmed';
+        record.confirmedAt = record.confirmedAt || new Date();
+        record.error = undefined;
+    } else {
+        record.status = 'mined';
+        record.error = undefined;
+    }
+    record.finalized = record.confirmations >= record.requiredConfirmations * FINALITY_FACTOR;
+}
+
+// No receipt: still in the mempool, reorged out, replaced by another nonce, or dropped
+async function applyMissing(record, provider) {
+    if (record.blockHash) {
+        record.reorgs += 1;
+        record.blockNumber = undefined;
+        record.blockHash = undefined;
+        record.confirmations = 0;
+        record.minedAt = undefined;
+        record.confirmedAt = undefined;
+        record.status = 'pending';
+        events.emit('reorg', record);
+    }
+
+    if (await provider.getTransaction(record.hash)) {
+        record.status = 'pending';
+        return;
+    }
+
+    const minedNonce = await provider.getTransactionCount(record.from, 'latest');
+    if (minedNonce > record.nonce) {
+        const replacement = await TxRecord.findOne({
+            chain: record.chain,
+            from: record.from,
+            nonce: record.nonce,
+            hash: { $ne: record.hash },
+        });
+        record.status = 'replaced';
+        record.replacedBy = replacement?.hash;
+        record.finalized = true;
+    } else if (Date.now() - record.createdAt.getTime() > config.blockchain.txWatcher.dropAfterMs) {
+        record.status = 'dropped';
+        record.finalized = true;
+    }
+}
+
+/**
+ * Re-check one record against the chain and persist the result
+ * @param {Object} record - TxRecord document
+ * @param {Object} [provider] - Provider to use (defaults to the record's chain)
+ * @returns {Promise<Object>} - The updated record
+ */
+async function refresh(record, provider = chainRegistry.getProvider(record.chain)) {
+    const previous = record.status;
+    const [receipt, head] = await Promise.all([
+        provider.getTransactionReceipt(record.hash),
+        provider.getBlockNumber(),
+    ]);
+
+    if (receipt && receipt.blockNumber != null) {
+        applyReceipt(record, receipt, head);
+    } else {
+        await applyMissing(record, provider);
+    }
+    record.lastCheckedAt = new Date();
+    await record.save();
+
+    if (record.status !== previous) {
+        logger.info(`Transaction ${record.hash} on ${record.chain}: ${previous} -> ${record.status}`);
+        events.emit('status', record, previous);
+        events.emit(record.status, record);
+    }
+    return record;
+}
+
+/**
+ * Re-check the records that have waited longest, up to the configured batch size
+ * @returns {Promise<number>} - Number of records checked
+ */
+async function pollOnce() {
+    const records = await TxRecord.find({ finalized: false })
+        .sort({ lastCheckedAt: 1 })
+        .limit(config.blockchain.txWatcher.batchSize);
+
+    for (const record of records) {
+        try {
+            await refresh(record);
+        } catch (error) {
+            logger.warn(`Could not refresh transaction ${record.hash} on ${record.chain}: ${error.message}`);
+        }
+    }
+    return records.length;
+}
+
+let timer = null;
+let polling = false;
+
+/**
+ * Poll unfinalized records in the background until stopWatcher() is called
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.intervalMs] - Delay between polls (defaults to config)
+ */
+function startWatcher({ intervalMs = config.blockchain.txWatcher.intervalMs } = {}) {
+    if (timer) return;
+
+    timer = setInterval(async () => {
+        if (polling) return; // Previous poll still running
+        polling = true;
+        try {
+            await pollOnce();
+        } catch (error) {
+            logger.error(`Transaction watcher poll failed: ${error.message}`);
+        } finally {
+            polling = false;
+        }
+    }, intervalMs);
+    timer.unref();
+}
+
+function stopWatcher() {
+    clearInterval(timer);
+    timer = null;
+}
+
+/**
+ * Find a record the user is allowed to see
+ * @param {string} id - TxRecord ID
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} - The TxRecord
+ * @throws {NotFoundError} - If it does not exist or belongs to another user
+ */
+async function getForUser(id, user) {
+    const record = mongoose.isValidObjectId(id) ? await TxRecord.findById(id) : null;
+    const userId = String(user?.userId || user?.id);
+    if (!record || (record.userId && String(record.userId) !== userId && user?.role !== 'admin')) {
+        throw new NotFoundError('Transaction not found');
+    }
+    return record;
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    events,
+    on: events.on.bind(events),
+    submit,
+    trackHash,
+    refresh,
+    pollOnce,
+    startWatcher,
+    stopWatcher,
+    getForUser,
+};
@@ -6,14 +6,15 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User'); // Assuming a User model is defined in models/User.js
 const { UnlockProtocol } = require('../services/unlockProtocol'); // Assuming a service for Unlock Protocol
 const { StoryProtocol } = require('../services/storyProtocol'); // Assuming a service for Story Protocol
-const Ledger = require('ledgerjs'); // Assuming LedgerJS is installed
+const config = require('../config'); // Validated application configuration
+const { AuthenticationError, NotFoundError } = require('../errors');
 
 // Configure Nodemailer for password reset
 const transporter = nodemailer.createTransport({
     service: 'gmail', // Use your email service
     auth: {
-        user: process.env.EMAIL_USER, // Your email
-        pass: process.env.EMAIL_PASS, // Your email password
+        user: config.email.user,
+        pass: config.email.pass,
     },
 });
 
@@ -22,13 +23,13 @@ class UserService {
     // Profile Management
     async getProfile(userId) {
         const user = await User.findById(userId).select('-password'); // Exclude password
-        if (!user) throw new Error('User not found.');
+        if (!user) throw new NotFoundError('User not found.');
         return user;
     }
 
     async updateProfile(userId, profileData) {
         const user = await User.findById(userId);
-        if (!user) throw new Error('User not found.');
+        if (!user) throw new NotFoundError('User not found.');
 
         // Update profile fields
         user.username = profileData.username || user.username;
@@ -39,25 +40,13 @@ class UserService {
         return { message: 'Profile updated successfully.' };
     }
 
-    async connectLedger(userId) {
-        const user = await User.findById(userId);
-        if (!user) throw new Error('User not found.');
-
-        // Logic to connect Ledger wallet (pseudo-code)
-        const ledgerConnection = await Ledger.connect(); // Mock LedgerJS connection
-        user.ledgerConnected = true; // Update connection status
-        await user.save();
-
-        return { message: 'Ledger wallet connected successfully.' };
-    }
-
     // Password Management
     async updatePassword(userId, oldPassword, newPassword) {
         const user = await User.findById(userId);
-        if (!user) throw new Error('User not found.');
+        if (!user) throw new NotFoundError('User not found.');
 
         const isMatch = await bcrypt.compare(oldPassword, user.password);
-        if (!isMatch) throw new Error('Old password is incorrect.');
+        if (!isMatch) throw new AuthenticationError('Old password is incorrect.');
 
         user.password = await bcrypt.hash(newPassword, 10);
         await user.save();
@@ -66,13 +55,13 @@ class UserService {
 
     async resetPassword(email) {
         const user = await User.findOne({ email });
-        if (!user) throw new Error('User not found.');
+        if (!user) throw new NotFoundError('User not found.');
 
         const token = this.generateResetToken(user._id);
-        const resetLink = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
+        const resetLink = `${config.server.frontendUrl}/reset-password?token=${token}`;
 
         const mailOptions = {
-            from: process.env.EMAIL_USER,
+            from: config.email.user,
             to: email,
             subject: 'Password Reset',
             text: `Please reset your password by clicking on the following link: ${resetLink}`,
@@ -84,17 +73,17 @@ class UserService {
 
     generateResetToken(userId) {
         // Generate a secure token (could use JWT or a simple random string)
-        return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '1h' });
+        return jwt.sign({ userId }, config.auth.jwtSecret, { expiresIn: '1h' });
     }
 
     async verifyResetToken(token) {
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            const decoded = jwt.verify(token, config.auth.jwtSecret);
             const user = await User.findById(decoded.userId);
-            if (!user) throw new Error('Invalid token.');
+            if (!user) throw new AuthenticationError('Invalid token.');
             return user;
         } catch (error) {
-            throw new Error('Invalid or expired token.');
+            throw new AuthenticationError('Invalid or expired token.', { cause: error });
         }
     }
 
@@ -109,7 +98,7 @@ class UserService {
     // Membership and Royalty Data
     async getMembershipStatus(userId) {
         const user = await User.findById(userId);
-        if (!user) throw new Error('User not found.');
+        if (!user) throw new NotFoundError('User not found.');
 
         // Fetch membership data from Unlock Protocol
         const memberships = await UnlockProtocol.getMemberships(userId);
@@ -118,7 +107,7 @@ class UserService {
 
     async getRoyaltyInformation(userId) {
         const user = await User.findById(userId);
-        if (!user) throw new Error('User not found.');
+        if (!user) throw new NotFoundError('User not found.');
 
         // Fetch royalty data from Story Protocol
         const royalties = await StoryProtocol.getRoyalties(userId);
@@ -0,0 +1,225 @@
+// Import necessary libraries and modules
+const WebhookEvent = require('../models/WebhookEvent'); // Stored provider notifications
+const Payment = require('../models/Payment'); // MongoDB model for payment records
+const ledgerService = require('./ledgerService'); // Double-entry ledger of user funds
+const payoutService = require('./payoutService'); // Creator withdrawals sent as Circle transfers
+const logger = require('../utils/logger');
+const { NotFoundError, ValidationError, normalizeError } = require('../errors');
+
+const PROVIDER = 'circle';
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+// Payment status each Circle event moves to, and the statuses it may move from
+const TRANSITIONS = {
+    payment_completed: { from: ['pending'], to: 'completed' },
+    payment_failed: { from: ['pending', 'completed'], to: 'failed' },
+    payment_refunded: { from: ['completed', 'partially_refunded'], to: 'refunded' },
+    payment_chargeback: { from: ['completed', 'partially_refunded'], to: 'chargeback' },
+};
+
+// Statuses of a payment whose ledger entry has been posted
+const POSTED_STATUSES = ['completed', 'partially_refunded'];
+
+// Statuses an event can still be applied from
+const OPEN_STATUSES = ['pending', 'deferred'];
+
+/**
+ * Ledger side of a payment status change
+ * Deposits are credited when Circle completes them; purchases and tips were posted when they
+ * were made, so failing, refunding or charging back a completed payment reverses its entry, or
+ * what a partial refund left of it.
+ * Refunds and chargebacks have already moved the money, so they are recorded even if the
+ * user or creator has spent it in the meantime.
+ */
+async function post(payment, to, session) {
+    const { type, transactionId, userId, amount } = payment;
+
+    if (to === 'completed') {
+        if (type === 'deposit') await ledgerService.recordDeposit(userId, amount, transactionId, { session });
+        return;
+    }
+    if (!POSTED_STATUSES.includes(payment.status)) return; // Nothing was posted yet
+
+    if (to === 'chargeback') {
+        await ledgerService.recordChargeback(type, transactionId, `${transactionId}:chargeback`, { session });
+    } else {
+        await ledgerService.recordRefund(type, transactionId, `${transactionId}:${to}`, { session, overdraft: true });
+    }
+}
+
+/**
+ * Apply one event to its payment, or to the payout whose transfer it reports
+ * @returns {Promise<Object>} - { status, outcome } for the event
+ */
+async function handle(event, session) {
+    const transition = TRANSITIONS[event.type];
+    if (!transition) return { status: 'ignored', outcome: `Unsupported event type ${event.type}` };
+
+    const payment = await Payment.findOne({ transactionId: event.transactionId }).session(session);
+    if (!payment) {
+        const payout = await payoutService.applyTransferEvent(event, session);
+        return payout || { status: 'deferred', outcome: 'Payment not recorded yet' };
+    }
+    if (payment.status === transition.to) return { status: 'ignored', outcome: `Payment already ${transition.to}` };
+
+    if (!transition.from.includes(payment.status)) {
+        // A pending payment may still get the event this one follows; any other status is final for it
+        return payment.status === 'pending'
+            ? { status: 'deferred', outcome: 'Waiting for the payment to complete' }
+            : { status: 'ignored', outcome: `Payment is ${payment.status}` };
+    }
+
+    await post(payment, transition.to, session);
+    await Payment.updateOne({ _id: payment._id }, { status: transition.to }, { session });
+    return { status: 'processed', outcome: `Payment ${transition.to}` };
+}
+
+/**
+ * Apply an event and record the result on it, in one transaction
+ * @param {Object} event - WebhookEvent
+ * @returns {Promise<string|null>} - New event status, or null if another delivery applied it first
+ */
+async function apply(event) {
+    try {
+        return await ledgerService.transaction(async (session) => {
+            const current = await WebhookEvent.findOne({ _id: event._id, status: { $in: OPEN_STATUSES } }).session(session);
+            if (!current) return null;
+
+            const { status, outcome } = await handle(current, session);
+            await WebhookEvent.updateOne({ _id: current._id }, {
+                status,
+                outcome,
+                $inc: { attempts: 1 },
+                $unset: { error: 1 },
+                ...(status === 'deferred' ? {} : { processedAt: new Date() }),
+            }, { session });
+            return status;
+        });
+    } catch (error) {
+        const { code } = normalizeError(error);
+        await WebhookEvent.updateOne({ _id: event._id }, { $inc: { attempts: 1 }, error: { code, message: error.message } });
+        logger.error(`Failed to apply ${PROVIDER} event ${event.eventId} (${event.type}): ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Apply the open events of a transaction, oldest first
+ * Deferred events are tried again each time a later one is applied, so events that arrive out
+ * of order still take effect in order. Stops at the first failure, leaving the rest for the
+ * next delivery or replay.
+ * @param {string} transactionId - Circle transaction ID
+ */
+async function drain(transactionId) {
+    let applied = true;
+    while (applied) {
+        applied = false;
+        const events = await WebhookEvent.find({ provider: PROVIDER, transactionId, status: { $in: OPEN_STATUSES } })
+            .sort({ occurredAt: 1, _id: 1 });
+
+        for (const event of events) {
+            if (await apply(event) === 'processed') {
+                applied = true;
+                break;
+            }
+        }
+    }
+}
+
+// Apply an event on its own, or together with the rest of its transaction
+async function run(event) {
+    if (event.transactionId) {
+        await drain(event.transactionId);
+    } else {
+        await apply(event);
+    }
+    return WebhookEvent.findById(event._id);
+}
+
+/**
+ * Store a verified Circle event and apply it
+ * Deliveries are deduplicated on the event ID: a repeat is not stored again, but if the first
+ * delivery failed to apply it is applied now.
+ * @param {Object} body - Event as sent by Circle: { id, type, createdAt?, data: { transactionId? } }
+ * @returns {Promise<Object>} - { event, duplicate }
+ * @throws {ValidationError} - If the body is not an event
+ */
+async function ingest(body) {
+    const { id, type, createdAt, data = {} } = body || {};
+    if (typeof id !== 'string' || !id || typeof type !== 'string' || !type) {
+        throw new ValidationError('Webhook event must have an id and a type');
+    }
+    const occurredAt = createdAt ? new Date(createdAt) : new Date();
+    if (Number.isNaN(occurredAt.getTime())) {
+        throw new ValidationError('Invalid event createdAt', { details: [{ field: 'createdAt', message: 'Must be a date' }] });
+    }
+
+    let event;
+    let duplicate = false;
+    try {
+        event = await WebhookEvent.create({
+            provider: PROVIDER,
+            eventId: id,
+            type,
+            transactionId: data.transactionId,
+            occurredAt,
+            payload: body,
+        });
+    } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+        duplicate = true;
+        event = await WebhookEvent.findOneAndUpdate({ provider: PROVIDER, eventId: id }, { $inc: { deliveries: 1 } }, { new: true });
+    }
+
+    return { event: await run(event), duplicate };
+}
+
+/**
+ * Apply a stored event again, whatever its status
+ * Safe for events that were already applied: their payment has moved on, so they are ignored.
+ * @param {string} id - WebhookEvent _id
+ * @returns {Promise<Object>} - WebhookEvent
+ */
+async function replay(id) {
+    const event = await WebhookEvent.findByIdAndUpdate(id, {
+        status: 'pending',
+        $unset: { outcome: 1, error: 1, processedAt: 1 },
+    }, { new: true });
+    if (!event) throw new NotFoundError('Webhook event not found');
+
+    logger.info(`Replaying ${event.provider} event ${event.eventId} (${event.type})`);
+    return run(event);
+}
+
+/**
+ * Stored events, newest first
+ * @param {Object} [filter] - Listing options
+ * @param {string} [filter.status] - One of WebhookEvent.STATUSES
+ * @param {string} [filter.type] - Event type
+ * @param {string} [filter.transactionId] - Circle transaction ID
+ * @param {number} [filter.start] - Offset
+ * @param {number} [filter.limit] - Page size
+ * @returns {Promise<Object[]>} - WebhookEvents
+ */
+async function list({ status, type, transactionId, start = 0, limit = 50 } = {}) {
+    if (status && !WebhookEvent.STATUSES.includes(status)) {
+        throw new ValidationError(`Unknown webhook event status "${status}"`, { details: { status, supported: WebhookEvent.STATUSES } });
+    }
+
+    const query = { provider: PROVIDER };
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (transactionId) query.transactionId = transactionId;
+    return WebhookEvent.find(query).sort({ createdAt: -1 }).skip(start).limit(limit);
+}
+
+// Export the functions for use in other modules
+module.exports = {
+    EVENT_TYPES: Object.keys(TRANSITIONS),
+    ingest,
+    drain,
+    replay,
+    list,
+};
@@ -0,0 +1,129 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const adapters = require('../adapters'); // Protocol adapters (sandbox drivers outside production)
+const { INTERFACES } = require('../adapters/interfaces');
+
+const { FlowNFT, StoryProtocol, SignProtocol, CircleAPI, Superfluid, LayerZero, LitProtocol, DecentralizedOracle } = adapters;
+
+// Mock data for tests
+const creator = '0x1111111111111111111111111111111111111111';
+const fan = '0x2222222222222222222222222222222222222222';
+
+// Run the main platform flow against the sandbox drivers
+async function runFlow() {
+    const nft = await FlowNFT.mint({ owner: creator, contentId: 'content-1', metadata: { title: 'Song' } });
+    const license = await StoryProtocol.licenseNFT(nft.tokenId, { recipients: [creator], shares: [1000] });
+    const deposit = await CircleAPI.deposit('fan-account', 100);
+    const tip = await CircleAPI.tip('fan-account', 'creator-account', 5);
+    const stream = await Superfluid.createStream({ sender: fan, receiver: creator, flowRate: '385802469135' });
+    const transfer = await LayerZero.transferNFT(nft.tokenId, fan, 'polygon');
+    const attestation = await SignProtocol.createAttestation({ attester: creator, contentId: 'content-1', data: { terms: 'CC-BY' } });
+
+    return { nft, license, deposit, tip, stream, transfer, attestation };
+}
+
+// Test suite for the protocol adapter layer
+describe('Protocol Adapters (sandbox)', () => {
+
+    beforeEach(() => {
+        adapters.resetSandbox();
+    });
+
+    it('should select sandbox drivers outside production', () => {
+        expect(adapters.driverFor('CircleAPI')).to.equal('sandbox');
+    });
+
+    it('should implement every method of each interface', () => {
+        Object.keys(INTERFACES).forEach((name) => {
+            Object.keys(INTERFACES[name]).forEach((method) => {
+                expect(adapters[name][method], `${name}.${method}`).to.be.a('function');
+            });
+        });
+    });
+
+    it('should run mint, license, tip, stream, transfer and attest end to end', async () => {
+        const { nft, deposit, tip, stream, transfer, attestation } = await runFlow();
+
+        expect(await FlowNFT.ownerOf(nft.tokenId)).to.equal(creator);
+        expect(await StoryProtocol.getRoyaltyDetails(nft.tokenId)).to.deep.equal({ rate: 1000, recipients: [{ address: creator, share: 1000 }] });
+        expect(deposit.status).to.equal('pending');
+        expect(await CircleAPI.getPendingTransactionId('fan-account')).to.equal(deposit.id);
+        expect(tip.status).to.equal('complete');
+        expect((await Superfluid.getStream(stream.streamId)).status).to.equal('active');
+        expect(transfer.id).to.match(/^lz-transfer-/);
+        expect(await SignProtocol.verifyAttestation({ attestationId: attestation.attestationId, data: { terms: 'CC-BY' } })).to.be.true;
+        expect(await SignProtocol.verifyOwnership(creator, 'content-1')).to.be.true;
+        expect(await SignProtocol.verifyOwnership(fan, 'content-1')).to.be.false;
+    });
+
+    it('should produce identical IDs and hashes for the same sequence of calls', async () => {
+        const first = await runFlow();
+        adapters.resetSandbox();
+        const second = await runFlow();
+
+        expect(second).to.deep.equal(first);
+    });
+
+    it('should verify sent LayerZero messages against their payload', async () => {
+        const message = await LayerZero.sendMessage(fan, 'hello', 'polygon');
+
+        expect(await LayerZero.verifyMessage({ id: message.id, payload: 'hello' })).to.be.true;
+        expect(await LayerZero.verifyMessage({ id: message.id, payload: 'tampered' })).to.be.false;
+        expect(await LayerZero.validateChains('ethereum', 'polygon')).to.be.true;
+    });
+
+    it('should refund completed Circle transactions only', async () => {
+        const tip = await CircleAPI.tip('fan-account', 'creator-account', 5);
+        const refund = await CircleAPI.refund(tip.id);
+
+        expect(refund.amount).to.equal(5);
+        expect((await CircleAPI.getTransaction(tip.id)).status).to.equal('refunded');
+
+        try {
+            await CircleAPI.refund(tip.id);
+            expect.fail('Expected refund to be rejected');
+        } catch (error) {
+            expect(error.message).to.include('cannot be refunded');
+        }
+    });
+
+    it('should refund Circle transactions in parts up to the original amount', async () => {
+        const purchase = await CircleAPI.purchase('fan-account', 'content-1', 10);
+
+        expect((await CircleAPI.refund(purchase.id, 4)).amount).to.equal(4);
+        expect((await CircleAPI.getTransaction(purchase.id)).status).to.equal('complete');
+        try {
+            await CircleAPI.refund(purchase.id, 7);
+            expect.fail('Expected refund to be rejected');
+        } catch (error) {
+            expect(error.message).to.include('exceeds');
+        }
+        expect((await CircleAPI.refund(purchase.id)).amount).to.equal(6);
+        expect((await CircleAPI.getTransaction(purchase.id)).status).to.equal('refunded');
+    });
+
+    it('should round-trip data through sandbox encryption', async () => {
+        const encrypted = await LitProtocol.encrypt({ secret: 'license terms' });
+
+        expect(encrypted.ciphertext).to.not.include('license terms');
+        expect(await LitProtocol.decrypt(encrypted)).to.deep.equal({ secret: 'license terms' });
+    });
+
+    it('should emit protocol events', async () => {
+        const events = [];
+        const listener = (event) => events.push(event);
+        FlowNFT.on('Minted', listener);
+
+        await FlowNFT.mint({ owner: creator, contentId: 'content-2', metadata: {} });
+        FlowNFT.removeListener('Minted', listener);
+
+        expect(events).to.have.lengthOf(1);
+        expect(events[0].contentId).to.equal('content-2');
+    });
+
+    it('should validate addresses per chain', async () => {
+        expect(await DecentralizedOracle.verifyAddress(creator, 'polygon')).to.be.true;
+        expect(await DecentralizedOracle.verifyAddress(creator, 'flow')).to.be.false;
+        expect(await DecentralizedOracle.verifyAddress('0x01cf0e2f2f715450', 'flow')).to.be.true;
+    });
+});
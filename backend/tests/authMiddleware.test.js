@@ -0,0 +1,61 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const config = require('../config'); // Validated application configuration
+const authService = require('../services/authService');
+const { verifyToken } = require('../middlewares/authMiddleware');
+
+// Mock data for tests
+const sid = String(new mongoose.Types.ObjectId());
+const token = jwt.sign({ userId: String(new mongoose.Types.ObjectId()), role: 'user', sid }, config.auth.jwtSecret);
+
+// Run the middleware on a request with the given Authorization header; resolves with what it passed to next()
+const authenticate = (authorization) => new Promise((resolve) => {
+    const req = { headers: authorization ? { authorization } : {} };
+    verifyToken(req, {}, (error) => resolve({ req, error }));
+});
+
+// Test suite for access token verification
+describe('Auth Middleware', () => {
+    let isSessionActive;
+
+    beforeEach(() => {
+        isSessionActive = sinon.stub(authService, 'isSessionActive').resolves(true);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should let the token of a signed-in session through', async () => {
+        const { req, error } = await authenticate(`Bearer ${token}`);
+
+        expect(error).to.be.undefined;
+        expect(req.user).to.include({ role: 'user', sid });
+        expect(isSessionActive.calledOnceWith(sid)).to.be.true;
+    });
+
+    it('should reject the token of a session that was logged out', async () => {
+        isSessionActive.resolves(false);
+
+        const { req, error } = await authenticate(`Bearer ${token}`);
+
+        expect(error.code).to.equal('UNAUTHENTICATED');
+        expect(error.status).to.equal(401);
+        expect(error.message).to.equal('Session invalid. Please log in again.');
+        expect(req.user).to.be.undefined;
+    });
+
+    it('should reject missing, expired and forged tokens without looking up a session', async () => {
+        expect((await authenticate()).error.code).to.equal('UNAUTHENTICATED');
+
+        const expired = jwt.sign({ userId: 'u1', sid }, config.auth.jwtSecret, { expiresIn: '-1s' });
+        expect((await authenticate(`Bearer ${expired}`)).error.code).to.equal('TOKEN_EXPIRED');
+
+        const forged = jwt.sign({ userId: 'u1', sid }, 'not-the-secret');
+        expect((await authenticate(`Bearer ${forged}`)).error.code).to.equal('UNAUTHENTICATED');
+        expect(isSessionActive.called).to.be.false;
+    });
+});
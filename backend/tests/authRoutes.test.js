@@ -4,8 +4,9 @@ const { expect } = require('chai');
 const app = require('../app'); // Main application file
 const User = require('../models/User'); // User model for database interactions
 const jwt = require('jsonwebtoken');
-const sinon = require('sinon'); // For mocking
-const LedgerJS = require('ledgerjs'); // Mock LedgerJS for testing
+const { ethers } = require('ethers');
+const config = require('../config'); // Validated application configuration
+const authService = require('../services/authService'); // Sessions behind the access tokens
 
 // Mock data for tests
 const mockUser = {
@@ -46,8 +47,9 @@ describe('User Registration', () => {
             .post('/api/auth/register')
             .send(mockUser);
 
-        expect(res.status).to.equal(400);
-        expect(res.body.message).to.equal('Email already exists.');
+        expect(res.status).to.equal(409);
+        expect(res.body.error.code).to.equal('CONFLICT');
+        expect(res.body.error.message).to.equal('The username or email you entered is already in use. Please try again with a different one.');
     });
 
     it('should reject weak passwords', async () => {
@@ -57,7 +59,11 @@ describe('User Registration', () => {
             .send(weakPasswordUser);
 
         expect(res.status).to.equal(400);
-        expect(res.body.message).to.include('Password must be stronger');
+        expect(res.body.error.code).to.equal('VALIDATION_FAILED');
+        expect(res.body.error.details).to.deep.include({
+            field: 'password',
+            message: 'Password must contain at least one uppercase letter, one number, and be at least 6 characters long',
+        });
     });
 });
 
@@ -90,7 +96,8 @@ describe('User Login', () => {
             });
 
         expect(res.status).to.equal(401);
-        expect(res.body.message).to.equal('Invalid email or password.');
+        expect(res.body.error.code).to.equal('UNAUTHENTICATED');
+        expect(res.body.error.message).to.equal('Invalid credentials');
     });
 
     it('should reject login with missing fields', async () => {
@@ -101,7 +108,8 @@ describe('User Login', () => {
             });
 
         expect(res.status).to.equal(400);
-        expect(res.body.message).to.equal('Email and password are required.');
+        expect(res.body.error.code).to.equal('VALIDATION_FAILED');
+        expect(res.body.error.message).to.equal('Password is required');
     });
 });
 
@@ -126,63 +134,57 @@ describe('JWT Verification', () => {
     });
 
     it('should reject an expired JWT token', async () => {
-        const expiredToken = jwt.sign({ id: 'testId' }, process.env.JWT_SECRET, { expiresIn: '-1s' });
+        const expiredToken = jwt.sign({ id: 'testId' }, config.auth.jwtSecret, { expiresIn: '-1s' });
         const res = await request(app)
             .get('/api/protected-route')
             .set('Authorization', `Bearer ${expiredToken}`);
 
         expect(res.status).to.equal(401);
-        expect(res.body.message).to.equal('Invalid token.');
+        expect(res.body.error.code).to.equal('TOKEN_EXPIRED');
+        expect(res.body.error.message).to.equal('Token expired. Please log in again.');
     });
 
     it('should reject requests without JWT', async () => {
         const res = await request(app)
             .get('/api/protected-route');
 
-        expect(res.status).to.equal(403);
-        expect(res.body.message).to.equal('Access denied. No token provided.');
+        expect(res.status).to.equal(401);
+        expect(res.body.error.code).to.equal('UNAUTHENTICATED');
+        expect(res.body.error.message).to.equal('Access denied. No token provided.');
     });
 });
 
-// Ledger Wallet Test
-describe('Ledger Wallet Integration', () => {
-    let ledgerStub;
+// Session Test
+describe('Sessions', () => {
+    let session;
 
-    beforeEach(() => {
-        // Mock Ledger signature verification
-        ledgerStub = sinon.stub(LedgerJS, 'verifySignature').returns(Promise.resolve(true));
-    });
-
-    afterEach(() => {
-        ledgerStub.restore();
+    beforeEach(async () => {
+        const user = await User.create({ username: 'sessionuser', email: 'sessionuser@example.com', password: 'hashed', blockchainAddress: ethers.Wallet.createRandom().address });
+        session = await authService.startSession(user);
     });
 
-    it('should authenticate user using Ledger wallet', async () => {
-        const ledgerSignature = 'mockLedgerSignature';
-
-        const res = await request(app)
-            .post('/api/auth/login/ledger')
-            .send({
-                email: mockUser.email,
-                ledgerSignature,
-            });
-
-        expect(res.status).to.equal(200);
-        expect(res.body).to.have.property('token');
-    });
+    it('should reject the access token of a logged-out session on a payment route', async () => {
+        // Signed in: the token passes authentication and the empty tip fails validation
+        const before = await request(app)
+            .post('/api/v1/payment/tip')
+            .set('Authorization', `Bearer ${session.token}`)
+            .send({});
+        expect(before.status).to.equal(400);
 
-    it('should reject invalid Ledger signature', async () => {
-        ledgerStub.returns(Promise.resolve(false)); // Simulate invalid signature
+        const logout = await request(app)
+            .post('/api/v1/auth/logout')
+            .set('Authorization', `Bearer ${session.token}`);
+        expect(logout.status).to.equal(200);
 
+        // The token has not expired, but its session is gone
         const res = await request(app)
-            .post('/api/auth/login/ledger')
-            .send({
-                email: mockUser.email,
-                ledgerSignature: 'invalidSignature',
-            });
+            .post('/api/v1/payment/tip')
+            .set('Authorization', `Bearer ${session.token}`)
+            .send({ creatorId: 'creatorId', amount: 5 });
 
-        expect(res.status).to.equal(403);
-        expect(res.body.message).to.equal('Invalid Ledger signature.');
+        expect(res.status).to.equal(401);
+        expect(res.body.error.code).to.equal('UNAUTHENTICATED');
+        expect(res.body.error.message).to.equal('Session invalid. Please log in again.');
     });
 });
 
@@ -206,6 +208,7 @@ describe('Rate Limiting', () => {
             });
 
         expect(res.status).to.equal(429); // Too many requests
-        expect(res.body.message).to.equal('Too many login attempts. Please try again later.');
+        expect(res.body.error.code).to.equal('RATE_LIMITED');
+        expect(res.body.error.message).to.equal('Too many login attempts, please try again later.');
     });
 });
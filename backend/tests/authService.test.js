@@ -0,0 +1,250 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { ethers } = require('ethers');
+const config = require('../config'); // Validated application configuration
+const User = require('../models/User');
+const SiweNonce = require('../models/SiweNonce');
+const RefreshToken = require('../models/RefreshToken');
+const authService = require('../services/authService');
+
+// Mock data for tests
+const wallet = ethers.Wallet.createRandom();
+const other = ethers.Wallet.createRandom();
+
+// Expect a promise to reject with an error code
+const rejection = async (promise, code) => {
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.code).to.equal(code);
+        return error;
+    }
+    return expect.fail(`Expected ${code}`);
+};
+
+// Whether a stored refresh token matches a query of the service
+const matches = (doc, query) => Object.entries(query).every(([field, condition]) => {
+    const value = doc[field];
+    if (condition && condition.$exists !== undefined) return (value !== undefined) === condition.$exists;
+    if (condition && condition.$gt) return value > condition.$gt;
+    if (condition && condition.$in) return condition.$in.map(String).includes(String(value));
+    return String(value) === String(condition);
+});
+
+// Test suite for Sign-In with Ethereum, wallet linking and sessions
+describe('Auth Service', () => {
+    let users;
+    let nonces;
+    let tokens;
+
+    // In-memory User, SiweNonce and RefreshToken collections
+    beforeEach(() => {
+        users = [];
+        nonces = new Map();
+        tokens = [];
+
+        const byWallet = (address) => users.find((user) => user.wallets.some((linked) => linked.address === address)) || null;
+        sinon.stub(User, 'findOne').callsFake(async (query) => byWallet(query['wallets.address']));
+        sinon.stub(User, 'findById').callsFake(async (id) => users.find((user) => user.id === String(id)) || null);
+        sinon.stub(User, 'exists').callsFake(async ({ _id }) => users.some((user) => user.id === String(_id)));
+        sinon.stub(User, 'create').callsFake(async (doc) => {
+            const user = new User(doc);
+            const invalid = user.validateSync();
+            if (invalid) throw invalid;
+            users.push(user);
+            return user;
+        });
+        sinon.stub(User.prototype, 'save').callsFake(async function save() {
+            const invalid = this.validateSync();
+            if (invalid) throw invalid;
+            return this;
+        });
+
+        sinon.stub(SiweNonce, 'create').callsFake(async (doc) => {
+            const challenge = new SiweNonce(doc);
+            nonces.set(challenge.nonce, challenge);
+            return challenge;
+        });
+        sinon.stub(SiweNonce, 'findOneAndUpdate').callsFake(async ({ nonce, purpose, expiresAt }, update) => {
+            const challenge = nonces.get(nonce);
+            if (!challenge || challenge.purpose !== purpose || challenge.usedAt || challenge.expiresAt <= expiresAt.$gt) return null;
+            return challenge.set(update);
+        });
+
+        const find = (query) => tokens.filter((token) => matches(token, query));
+        sinon.stub(RefreshToken, 'create').callsFake(async (doc) => {
+            const token = new RefreshToken(doc);
+            tokens.push(token);
+            return token;
+        });
+        sinon.stub(RefreshToken, 'findOne').callsFake(async (query) => find(query)[0] || null);
+        sinon.stub(RefreshToken, 'findOneAndUpdate').callsFake(async (query, update) => (find(query)[0] || null)?.set(update) || null);
+        sinon.stub(RefreshToken, 'updateOne').callsFake(async (query, update) => { find(query)[0]?.set(update); });
+        sinon.stub(RefreshToken, 'updateMany').callsFake(async (query, update) => { find(query).forEach((token) => token.set(update)); });
+        sinon.stub(RefreshToken, 'distinct').callsFake(async (field, query) => [...new Set(find(query).map((token) => String(token[field])))]);
+        sinon.stub(RefreshToken, 'exists').callsFake(async (query) => (find(query).length > 0 ? { _id: find(query)[0]._id } : null));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    // Email account from password registration, with its server-generated address
+    const emailAccount = () => {
+        const user = new User({ username: 'artist', email: 'artist@example.com', password: 'hashed', blockchainAddress: ethers.Wallet.createRandom().address, role: 'content_creator' });
+        users.push(user);
+        return user;
+    };
+
+    it('should sign a wallet in with an EIP-4361 message, creating its account the first time', async () => {
+        const { message, nonce, expiresAt } = await authService.createSignInMessage({ address: wallet.address.toLowerCase(), chainId: '137' });
+        const lines = message.split('\n');
+        expect(lines[0]).to.equal(`${new URL(config.server.frontendUrl).host} wants you to sign in with your Ethereum account:`);
+        expect(lines[1]).to.equal(wallet.address);
+        expect(lines.slice(3)).to.include.members(['Sign in to KOSMA.', `URI: ${config.server.frontendUrl}`, 'Version: 1', 'Chain ID: 137', `Nonce: ${nonce}`]);
+        expect(lines[lines.length - 1]).to.equal(`Expiration Time: ${expiresAt.toISOString()}`);
+
+        const first = await authService.signIn({ message, signature: await wallet.signMessage(message) });
+        expect(first.created).to.be.true;
+        expect(first.user).to.deep.include({ username: `wallet-${wallet.address.toLowerCase()}`, blockchainAddress: wallet.address, role: 'user' });
+        expect(first.user.email).to.equal(undefined);
+        expect(first.user.wallets[0]).to.include({ address: wallet.address, chainId: 137 });
+        expect(jwt.verify(first.token, config.auth.jwtSecret)).to.include({ userId: first.user.id, role: 'user', sid: first.sessionId });
+        expect(first.refreshToken).to.be.a('string');
+
+        const again = await authService.createSignInMessage({ address: wallet.address, chainId: 137 });
+        const second = await authService.signIn({ message: again.message, signature: await wallet.signMessage(again.message) });
+        expect(second.created).to.be.false;
+        expect(second.user.id).to.equal(first.user.id);
+        expect(users).to.have.length(1);
+
+        // A nonce signs in once
+        await rejection(authService.signIn({ message, signature: await wallet.signMessage(message) }), 'UNAUTHENTICATED');
+    });
+
+    it('should refuse messages that are altered, expired, signed by another wallet or not handed out', async () => {
+        const issue = async () => (await authService.createSignInMessage({ address: wallet.address })).message;
+
+        const forged = await issue();
+        const error = await rejection(authService.signIn({ message: forged, signature: await other.signMessage(forged) }), 'UNAUTHENTICATED');
+        expect(error.message).to.equal('Message is not signed by the wallet');
+        expect(error.status).to.equal(401);
+
+        const altered = (await issue()).replace('Chain ID: 137', 'Chain ID: 1');
+        await rejection(authService.signIn({ message: altered, signature: await wallet.signMessage(altered) }), 'UNAUTHENTICATED');
+
+        const expired = await issue();
+        [...nonces.values()].pop().expiresAt = new Date(Date.now() - 1000);
+        await rejection(authService.signIn({ message: expired, signature: await wallet.signMessage(expired) }), 'UNAUTHENTICATED');
+
+        const invented = `${(await issue()).split('\nNonce: ')[0]}\nNonce: 0123456789abcdef`;
+        await rejection(authService.signIn({ message: invented, signature: await wallet.signMessage(invented) }), 'UNAUTHENTICATED');
+        await rejection(authService.signIn({ message: await issue(), signature: 'not a signature' }), 'UNAUTHENTICATED');
+        await rejection(authService.signIn({}), 'UNAUTHENTICATED');
+        expect(users).to.have.length(0);
+
+        const invalid = await rejection(authService.createSignInMessage({ address: '0x1234' }), 'VALIDATION_FAILED');
+        expect(invalid.details[0].field).to.equal('address');
+        await rejection(authService.createSignInMessage({ address: wallet.address, chainId: 999999 }), 'VALIDATION_FAILED');
+    });
+
+    it('should link a wallet to an email account, which the wallet then signs in to', async () => {
+        const account = emailAccount();
+        const { message } = await authService.createLinkMessage({ userId: account.id }, { address: wallet.address });
+        expect(message).to.include('Link this wallet to your KOSMA account.');
+
+        // A link message cannot sign in
+        await rejection(authService.signIn({ message, signature: await wallet.signMessage(message) }), 'UNAUTHENTICATED');
+
+        const { message: linking } = await authService.createLinkMessage({ userId: account.id }, { address: wallet.address });
+        const linked = await authService.linkWallet({ userId: account.id }, { message: linking, signature: await wallet.signMessage(linking), primary: true });
+        expect(linked.wallets.map(({ address }) => address)).to.deep.equal([wallet.address]);
+        expect(linked.blockchainAddress).to.equal(wallet.address);
+
+        const { message: signingIn } = await authService.createSignInMessage({ address: wallet.address });
+        const { user, created, token } = await authService.signIn({ message: signingIn, signature: await wallet.signMessage(signingIn) });
+        expect(created).to.be.false;
+        expect(user.id).to.equal(account.id);
+        expect(jwt.verify(token, config.auth.jwtSecret).role).to.equal('content_creator');
+    });
+
+    it('should not link a wallet to two accounts, or with another user\'s message', async () => {
+        const { message } = await authService.createSignInMessage({ address: wallet.address });
+        const { user: walletUser } = await authService.signIn({ message, signature: await wallet.signMessage(message) });
+        const account = emailAccount();
+
+        const { message: linking } = await authService.createLinkMessage({ userId: account.id }, { address: wallet.address });
+        const taken = await rejection(authService.linkWallet({ userId: account.id }, { message: linking, signature: await wallet.signMessage(linking) }), 'CONFLICT');
+        expect(taken.message).to.equal('This wallet is already linked to another account');
+
+        const { message: theirs } = await authService.createLinkMessage({ userId: walletUser.id }, { address: other.address });
+        const stolen = await rejection(authService.linkWallet({ userId: account.id }, { message: theirs, signature: await other.signMessage(theirs) }), 'FORBIDDEN');
+        expect(stolen.status).to.equal(403);
+        expect(account.wallets).to.have.length(0);
+
+        await rejection(authService.createLinkMessage({ userId: String(new mongoose.Types.ObjectId()) }, { address: other.address }), 'NOT_FOUND');
+    });
+
+    it('should rotate refresh tokens, and revoke the session when a used one comes back', async () => {
+        const account = emailAccount();
+        const session = await authService.startSession(account, { userAgent: 'Firefox', ip: '203.0.113.7' });
+        expect(jwt.verify(session.token, config.auth.jwtSecret)).to.include({ userId: account.id, role: 'content_creator', sid: session.sessionId });
+
+        // Only hashes are stored
+        expect(tokens[0].tokenHash).to.have.length(64);
+        expect(tokens.map((token) => token.tokenHash)).to.not.include(session.refreshToken);
+        expect(tokens[0]).to.include({ userAgent: 'Firefox', ip: '203.0.113.7' });
+
+        const renewed = await authService.refreshSession(session.refreshToken);
+        expect(renewed.sessionId).to.equal(session.sessionId);
+        expect(renewed.refreshToken).to.not.equal(session.refreshToken);
+        expect(jwt.verify(renewed.token, config.auth.jwtSecret).sid).to.equal(session.sessionId);
+        expect(String(tokens[0].replacedBy)).to.equal(tokens[1].id);
+        const next = await authService.refreshSession(renewed.refreshToken);
+        expect(await authService.isSessionActive(session.sessionId)).to.be.true;
+
+        // The first token again: stolen, so the thief and the user both lose the session
+        const reused = await rejection(authService.refreshSession(session.refreshToken), 'UNAUTHENTICATED');
+        expect(reused.status).to.equal(401);
+        expect(tokens.map((token) => token.revokedReason)).to.deep.equal(['reuse', 'reuse', 'reuse']);
+        await rejection(authService.refreshSession(next.refreshToken), 'UNAUTHENTICATED');
+        expect(await authService.isSessionActive(session.sessionId)).to.be.false;
+
+        await rejection(authService.refreshSession('made-up'), 'UNAUTHENTICATED');
+        await rejection(authService.refreshSession(), 'UNAUTHENTICATED');
+        const expired = await authService.startSession(account);
+        tokens[tokens.length - 1].expiresAt = new Date(Date.now() - 1000);
+        await rejection(authService.refreshSession(expired.refreshToken), 'UNAUTHENTICATED');
+        expect(tokens).to.have.length(4);
+    });
+
+    it('should log out one session, or every device', async () => {
+        const account = emailAccount();
+        const user = (session) => jwt.verify(session.token, config.auth.jwtSecret);
+        const laptop = await authService.startSession(account);
+        const phone = await authService.startSession(account);
+        const tablet = await authService.startSession(account);
+        const renewed = await authService.refreshSession(laptop.refreshToken);
+
+        expect(await authService.logout(user(renewed))).to.equal(1);
+        expect(await authService.isSessionActive(laptop.sessionId)).to.be.false;
+        expect(await authService.isSessionActive(phone.sessionId)).to.be.true;
+        await rejection(authService.refreshSession(renewed.refreshToken), 'UNAUTHENTICATED');
+        expect(await authService.logout(user(renewed))).to.equal(0);
+
+        // The refresh token picks the session; another user's token logs out nothing
+        expect(await authService.logout({ userId: String(new mongoose.Types.ObjectId()) }, phone.refreshToken)).to.equal(0);
+        expect(await authService.logout(user(tablet), phone.refreshToken)).to.equal(1);
+        expect(await authService.isSessionActive(phone.sessionId)).to.be.false;
+
+        const other = await authService.startSession(emailAccount());
+        expect(await authService.logoutAll(user(tablet))).to.equal(1);
+        expect(await authService.isSessionActive(tablet.sessionId)).to.be.false;
+        expect(await authService.isSessionActive(other.sessionId)).to.be.true;
+        expect(tokens.filter((token) => token.revokedReason === 'logout_all')).to.have.length(1);
+        expect(await authService.isSessionActive(undefined)).to.be.false;
+    });
+});
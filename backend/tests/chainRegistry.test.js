@@ -0,0 +1,52 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const chainRegistry = require('../services/chainRegistry');
+
+// Expect a call to throw an AppError with the given code
+const expectCode = (fn, code) => {
+    try {
+        fn();
+        expect.fail(`Expected ${code}`);
+    } catch (error) {
+        expect(error.code).to.equal(code);
+    }
+};
+
+// Test suite for the chain registry
+describe('Chain Registry', () => {
+
+    it('should resolve chains by ID, numeric string or name', () => {
+        expect(chainRegistry.resolveChain(137).name).to.equal('polygon');
+        expect(chainRegistry.resolveChain('42161').name).to.equal('arbitrum');
+        expect(chainRegistry.resolveChain('Ethereum').chainId).to.equal(1);
+        expect(chainRegistry.resolveChain().name).to.equal('polygon'); // Default chain
+    });
+
+    it('should reject chains that are not configured', () => {
+        expectCode(() => chainRegistry.resolveChain(56), 'VALIDATION_FAILED');
+        expectCode(() => chainRegistry.resolveChain('flow'), 'VALIDATION_FAILED');
+    });
+
+    it('should provide a parseable ABI for every contract', () => {
+        Object.keys(chainRegistry.CONTRACT_ABIS).forEach((name) => {
+            const contractInterface = new ethers.utils.Interface(chainRegistry.getAbi(name));
+            expect(Object.keys(contractInterface.functions), name).to.not.be.empty;
+        });
+        expect(() => chainRegistry.getAbi('NFTContract')).to.throw('Unknown contract');
+    });
+
+    it('should refuse contracts that are not deployed on the chain', () => {
+        expectCode(() => chainRegistry.getAddress(137, 'kosmaPayments'), 'VALIDATION_FAILED');
+    });
+
+    it('should map chains to LayerZero endpoint IDs and back', () => {
+        expect(chainRegistry.layerZeroChainId('polygon')).to.equal(109);
+        expect(chainRegistry.chainForLayerZeroId(110).name).to.equal('arbitrum');
+        expectCode(() => chainRegistry.chainForLayerZeroId(999), 'VALIDATION_FAILED');
+    });
+
+    it('should report chains without an RPC endpoint as unavailable', () => {
+        expectCode(() => chainRegistry.getProvider('base'), 'CHAIN_UNAVAILABLE');
+    });
+});
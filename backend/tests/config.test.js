@@ -0,0 +1,69 @@
+// Import necessary libraries and modules
+const util = require('util');
+const { expect } = require('chai');
+const { ConfigError, REDACTED, loadConfig } = require('../config/loader');
+
+// Mock data for tests
+const jwtSecret = 'a-test-secret-that-is-long-enough-for-production';
+const privateKey = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+// Load configuration from the given variables only (ignores the real environment)
+const load = (env) => loadConfig({ env: { NODE_ENV: 'development', JWT_SECRET: jwtSecret, ...env } });
+
+describe('Configuration', () => {
+    it('should merge defaults with environment variables and convert types', () => {
+        const config = load({ PORT: '4000', POLYGON_RPC_URL: 'https://polygon.example' });
+
+        expect(config.server.port).to.equal(4000);
+        expect(config.chains.polygon.chainId).to.equal(137);
+        expect(config.chains.polygon.rpcUrl).to.equal('https://polygon.example');
+        expect(Object.isFrozen(config.server)).to.equal(true);
+    });
+
+    it('should fail fast naming the variable to set when a required secret is missing', () => {
+        expect(() => loadConfig({ env: { NODE_ENV: 'development' } }))
+            .to.throw(ConfigError, /auth\.jwtSecret.*\(set JWT_SECRET\)/);
+    });
+
+    it('should report every invalid value with the variable it came from', () => {
+        try {
+            load({ PORT: 'not-a-port', GAS_LIMIT: '-1' });
+            expect.fail('loadConfig should have thrown');
+        } catch (error) {
+            expect(error).to.be.instanceOf(ConfigError);
+            expect(error.problems).to.have.length(2);
+            expect(error.message).to.include('(from PORT)').and.to.include('(from GAS_LIMIT)');
+        }
+    });
+
+    it('should require a signing key and a default chain RPC endpoint in production', () => {
+        expect(() => loadConfig({ env: { NODE_ENV: 'production', JWT_SECRET: jwtSecret } }))
+            .to.throw(ConfigError, /PRIVATE_KEY[\s\S]*BLOCKCHAIN_RPC_URL/);
+    });
+
+    it('should map deprecated RPC variables to the default chain with a warning', () => {
+        const config = load({ INFURA_URL: 'https://mainnet.example', UNLOCK_CONTRACT_ADDRESS: '0x3333333333333333333333333333333333333333' });
+
+        expect(config.chains.polygon.rpcUrl).to.equal('https://mainnet.example');
+        expect(config.chains.polygon.contracts.unlockMemberships).to.equal('0x3333333333333333333333333333333333333333');
+        expect(config.warnings).to.have.length(2);
+        expect(config.warnings[0]).to.include('INFURA_URL is deprecated');
+    });
+
+    it('should prefer BLOCKCHAIN_RPC_URL over the deprecated names', () => {
+        const config = load({ BLOCKCHAIN_RPC_URL: 'https://current.example', RPC_URL: 'https://old.example' });
+
+        expect(config.chains.polygon.rpcUrl).to.equal('https://current.example');
+        expect(config.warnings[0]).to.include('RPC_URL is ignored');
+    });
+
+    it('should redact secrets when the configuration or a section is printed', () => {
+        const config = load({ PRIVATE_KEY: privateKey });
+
+        expect(config.blockchain.privateKey).to.equal(privateKey);
+        expect(JSON.stringify(config)).to.not.include(privateKey).and.to.not.include(jwtSecret);
+        expect(JSON.stringify(config.auth)).to.include(REDACTED);
+        expect(util.inspect(config.blockchain)).to.not.include(privateKey);
+        expect(config.redacted().blockchain.privateKey).to.equal(REDACTED);
+    });
+});
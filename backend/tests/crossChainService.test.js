@@ -0,0 +1,192 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const { CCTP, resetSandbox } = require('../adapters');
+const CrossChainPayment = require('../models/CrossChainPayment');
+const User = require('../models/User');
+const Content = require('../models/Content');
+const ledgerService = require('../services/ledgerService');
+const royaltyService = require('../services/royaltyService');
+const chainRegistry = require('../services/chainRegistry');
+const notificationService = require('../services/notificationService');
+const jobQueue = require('../services/jobQueue');
+const crossChainService = require('../services/crossChainService');
+
+// Mock data for tests
+const buyer = { userId: String(new mongoose.Types.ObjectId()) };
+const creatorId = new mongoose.Types.ObjectId();
+const creatorWallet = '0x1111111111111111111111111111111111111111';
+const contentId = new mongoose.Types.ObjectId();
+
+// Apply the parts of a MongoDB update the service uses
+const apply = (doc, { $unset = {}, ...fields }) => {
+    Object.keys($unset).forEach((field) => doc.set(field, undefined));
+    return doc.set(fields);
+};
+
+// Test suite for cross-chain payments
+describe('Cross-Chain Service', () => {
+    let payments;
+    let creatorWallets;
+
+    // In-memory CrossChainPayment collection and the sandbox CCTP driver
+    beforeEach(() => {
+        payments = new Map();
+        creatorWallets = [{ address: creatorWallet, chainId: 10 }];
+        resetSandbox();
+
+        sinon.stub(User, 'findById').callsFake(async (id) => (
+            String(id) === String(creatorId) ? new User({ _id: creatorId, username: 'artist', blockchainAddress: creatorWallet, wallets: creatorWallets }) : null
+        ));
+        sinon.stub(User, 'findOne').callsFake(async ({ blockchainAddress }) => (
+            blockchainAddress.test(creatorWallet) ? new User({ _id: creatorId, username: 'artist', blockchainAddress: creatorWallet, wallets: creatorWallets }) : null
+        ));
+        sinon.stub(Content, 'findById').callsFake(async (id) => (
+            String(id) === String(contentId) ? new Content({ _id: contentId, title: 'Song', owner: creatorWallet }) : null
+        ));
+
+        sinon.stub(CrossChainPayment, 'create').callsFake(async ([doc]) => {
+            const payment = new CrossChainPayment(doc);
+            payments.set(payment.id, payment);
+            return [payment];
+        });
+        sinon.stub(CrossChainPayment, 'findById').callsFake(async (id) => payments.get(String(id)) || null);
+        sinon.stub(CrossChainPayment, 'find').callsFake(({ status }) => ({
+            sort: () => ({ limit: async () => [...payments.values()].filter((doc) => doc.status === status) }),
+        }));
+        sinon.stub(CrossChainPayment, 'findOneAndUpdate').callsFake(async ({ _id, status }, update) => {
+            const payment = payments.get(String(_id));
+            if (!payment || payment.status !== status) return null;
+            return apply(payment, update);
+        });
+        sinon.stub(CrossChainPayment, 'updateOne').callsFake(async ({ _id }, update) => apply(payments.get(String(_id)), update));
+
+        sinon.stub(notificationService, 'notify').resolves();
+        sinon.stub(jobQueue, 'enqueue').callsFake(async (name, payload, { key }) => ({ id: `${name}:${key}`, state: 'waiting' }));
+        sinon.stub(ledgerService, 'transaction').callsFake((fn) => fn({}));
+        sinon.stub(ledgerService, 'recordCrossChainHold').resolves();
+        sinon.stub(ledgerService, 'recordCrossChainPayment').resolves();
+        sinon.stub(ledgerService, 'recordCrossChainReturn').resolves();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const step = (name, fn) => fn();
+
+    it('should hold the amount and queue the burn, keeping the platform fee on purchases', async () => {
+        sinon.stub(royaltyService, 'platformFee').callsFake((units) => units / 10);
+
+        const { payment, job } = await crossChainService.sendPayment(buyer, { type: 'purchase', contentId: String(contentId), amount: '12.5', destinationChain: 'base' });
+        expect(payment).to.include({ type: 'purchase', amount: 12.5, fee: 1.25, netAmount: 11.25, recipient: creatorWallet, sourceChain: 'polygon', destinationChain: 'base', status: 'burning' });
+        expect(String(payment.creatorId)).to.equal(String(creatorId));
+        expect(ledgerService.recordCrossChainHold.calledOnceWith(buyer.userId, 12.5, payment.id)).to.be.true;
+        expect(job.id).to.equal(`cctp.burn:${payment.id}`);
+
+        const tip = await crossChainService.sendPayment(buyer, { type: 'tip', creatorId: String(creatorId), amount: 3, destinationChain: 8453, sourceChain: 'arbitrum' });
+        expect(tip.payment).to.include({ fee: 0, netAmount: 3, sourceChain: 'arbitrum', destinationChain: 'base' });
+
+        const invalid = [
+            [{ type: 'gift', creatorId: String(creatorId), amount: 1, destinationChain: 'base' }, 'type'],
+            [{ type: 'tip', creatorId: String(creatorId), amount: 0, destinationChain: 'base' }, 'amount'],
+            [{ type: 'tip', creatorId: String(creatorId), amount: 1 }, 'destinationChain'],
+            [{ type: 'tip', creatorId: String(creatorId), amount: 1, destinationChain: 'polygon' }, 'destinationChain'],
+        ];
+        for (const [request, field] of invalid) {
+            try {
+                await crossChainService.sendPayment(buyer, request);
+                expect.fail('Expected ValidationError');
+            } catch (error) {
+                expect(error.code).to.equal('VALIDATION_FAILED');
+                expect(error.details[0].field).to.equal(field);
+            }
+        }
+        try {
+            await crossChainService.sendPayment({ userId: String(creatorId) }, { type: 'tip', creatorId: String(creatorId), amount: 1, destinationChain: 'base' });
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error.details[0]).to.deep.equal({ field: 'creatorId', message: 'You cannot pay yourself' });
+        }
+
+        // USDC minted to an address nobody proved they hold could never be spent
+        creatorWallets = [];
+        try {
+            await crossChainService.sendPayment(buyer, { type: 'tip', creatorId: String(creatorId), amount: 1, destinationChain: 'base' });
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error.details[0]).to.deep.equal({ field: 'creatorId', message: 'The creator has not linked a wallet to be paid to' });
+        }
+    });
+
+    it('should burn, wait for the attestation and mint to the creator on the destination chain', async () => {
+        const { payment } = await crossChainService.sendPayment(buyer, { type: 'tip', creatorId: String(creatorId), amount: 5, destinationChain: 'optimism' });
+
+        const { hash } = await crossChainService.burnPayment({ crossChainPaymentId: payment.id }, { step });
+        expect(payment.status).to.equal('attesting');
+        expect(payment.stages.burn.hash).to.equal(hash);
+        expect(payment.toStatus().stages.map(({ state }) => state)).to.deep.equal(['done', 'in_progress', 'waiting']);
+        expect(notificationService.notify.lastCall.args[1]).to.equal('cross_chain.burned');
+
+        // Burning again is a no-op once the payment has moved on
+        expect(await crossChainService.burnPayment({ crossChainPaymentId: payment.id }, { step })).to.deep.equal({ crossChainPaymentId: payment.id, hash });
+
+        expect(await crossChainService.checkAttestations()).to.equal(1);
+        expect(payment.status).to.equal('minting');
+        expect(jobQueue.enqueue.calledWith('cctp.mint', { crossChainPaymentId: payment.id })).to.be.true;
+
+        await crossChainService.mintPayment({ crossChainPaymentId: payment.id }, { step });
+        expect(payment.status).to.equal('completed');
+        expect(payment.toStatus().stages.map(({ state }) => state)).to.deep.equal(['done', 'done', 'done']);
+        expect(ledgerService.recordCrossChainPayment.calledOnceWith(creatorId, 5, 0, payment.id)).to.be.true;
+        expect(notificationService.notify.calledWith(creatorId, 'cross_chain.received')).to.be.true;
+
+        // The message cannot be minted twice
+        try {
+            await CCTP.mint({ message: payment.message, attestation: payment.attestation, destinationChain: 'optimism' });
+            expect.fail('Expected the mint to fail');
+        } catch (error) {
+            expect(error.message).to.equal('Nonce already used');
+        }
+    });
+
+    it('should give the payer their funds back when the burn is rejected, and keep retrying failed mints', async () => {
+        const { payment } = await crossChainService.sendPayment(buyer, { type: 'tip', creatorId: String(creatorId), amount: 4, destinationChain: 'base' });
+        sinon.stub(CCTP, 'burn').rejects(Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', reason: 'ERC20: transfer amount exceeds balance' }));
+
+        try {
+            await crossChainService.burnPayment({ crossChainPaymentId: payment.id }, { step });
+            expect.fail('Expected the burn to fail');
+        } catch (error) {
+            expect(jobQueue.isRetryable(error)).to.be.false;
+        }
+        expect(payment.status).to.equal('failed');
+        expect(payment.toStatus().stages.map(({ state }) => state)).to.deep.equal(['failed', 'waiting', 'waiting']);
+        expect(ledgerService.recordCrossChainReturn.calledOnceWith(payment.userId, 4, payment.id)).to.be.true;
+        expect(notificationService.notify.lastCall.args[1]).to.equal('cross_chain.failed');
+
+        // A failed mint keeps the payment minting so the job can retry it
+        CCTP.burn.restore();
+        const { payment: minted } = await crossChainService.sendPayment(buyer, { type: 'tip', creatorId: String(creatorId), amount: 2, destinationChain: 'base' });
+        await crossChainService.burnPayment({ crossChainPaymentId: minted.id }, { step });
+        await crossChainService.checkAttestations();
+        sinon.stub(CCTP, 'mint').rejects(new Error('Gas price spiked'));
+
+        try {
+            await crossChainService.mintPayment({ crossChainPaymentId: minted.id }, { step });
+            expect.fail('Expected the mint to fail');
+        } catch (error) {
+            expect(jobQueue.isRetryable(error)).to.be.true;
+        }
+        expect(minted.status).to.equal('minting');
+        expect(minted.error.stage).to.equal('mint');
+        expect(minted.toStatus().stages.map(({ state }) => state)).to.deep.equal(['done', 'done', 'in_progress']);
+        expect(ledgerService.recordCrossChainPayment.called).to.be.false;
+    });
+
+    it('should only send cross-chain payments between chains with a CCTP domain', () => {
+        expect(chainRegistry.cctpDomain('base')).to.equal(6);
+        expect(chainRegistry.cctpDomain(1)).to.equal(0);
+    });
+});
@@ -0,0 +1,117 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const {
+    ERROR_CODES,
+    AppError,
+    InsufficientFundsError,
+    NotOwnerError,
+    ValidationError,
+    normalizeError,
+    wrapError,
+} = require('../errors');
+const { errorHandler, rateLimitExceeded } = require('../middlewares/errorHandler');
+
+// Minimal Express response double
+const mockResponse = () => {
+    const res = { headersSent: false };
+    res.status = sinon.stub().returns(res);
+    res.json = sinon.stub().returns(res);
+    return res;
+};
+
+const mockRequest = { method: 'POST', originalUrl: '/api/v1/payment/purchase' };
+
+// Error shaped like the ones ethers v5 throws
+const ethersError = (code, extra = {}) => Object.assign(new Error(`ethers ${code}`), { code, ...extra });
+
+describe('Error Taxonomy', () => {
+    it('should map each error class to its code and HTTP status', () => {
+        const insufficient = new InsufficientFundsError('Insufficient funds', { details: { balance: 1, required: 5 } });
+
+        expect(insufficient.code).to.equal('INSUFFICIENT_FUNDS');
+        expect(insufficient.status).to.equal(ERROR_CODES.INSUFFICIENT_FUNDS);
+        expect(new NotOwnerError('Not yours').status).to.equal(403);
+        expect(new ValidationError('Bad input').status).to.equal(400);
+        expect(insufficient.toJSON()).to.deep.equal({
+            error: { code: 'INSUFFICIENT_FUNDS', message: 'Insufficient funds', details: { balance: 1, required: 5 } },
+        });
+    });
+
+    it('should translate ethers errors into chain codes', () => {
+        const reverted = normalizeError(ethersError('CALL_EXCEPTION', { reason: 'not owner', transactionHash: '0xabc' }));
+        const unavailable = normalizeError(ethersError('NETWORK_ERROR'));
+        const noGas = normalizeError(ethersError('INSUFFICIENT_FUNDS'));
+
+        expect(reverted.code).to.equal('CHAIN_REVERTED');
+        expect(reverted.message).to.equal('Transaction reverted: not owner');
+        expect(reverted.details).to.include({ reason: 'not owner', transactionHash: '0xabc' });
+        expect(unavailable.code).to.equal('CHAIN_UNAVAILABLE');
+        expect(unavailable.status).to.equal(503);
+        expect(noGas.code).to.equal('INSUFFICIENT_FUNDS');
+    });
+
+    it('should keep the cause when wrapping unknown errors and pass AppErrors through', () => {
+        const cause = new Error('Circle returned 500');
+        const wrapped = wrapError(cause, 'Payment operation failed. Please try again.');
+        const notOwner = new NotOwnerError('Not yours');
+
+        expect(wrapped).to.be.instanceOf(AppError);
+        expect(wrapped.code).to.equal('UPSTREAM_FAILED');
+        expect(wrapped.cause).to.equal(cause);
+        expect(wrapError(notOwner, 'ignored')).to.equal(notOwner);
+    });
+
+    it('should hide unexpected errors behind INTERNAL_ERROR', () => {
+        const error = normalizeError(new TypeError("Cannot read properties of undefined (reading 'balance')"));
+
+        expect(error.code).to.equal('INTERNAL_ERROR');
+        expect(error.status).to.equal(500);
+        expect(error.message).to.not.include('balance');
+    });
+});
+
+describe('Error Handler Middleware', () => {
+    it('should send the error envelope with the mapped status', () => {
+        const res = mockResponse();
+        errorHandler(new NotOwnerError('Not authorized to transfer this NFT'), mockRequest, res, sinon.spy());
+
+        expect(res.status.calledWith(403)).to.be.true;
+        expect(res.json.firstCall.args[0]).to.deep.equal({ error: { code: 'NOT_OWNER', message: 'Not authorized to transfer this NFT' } });
+    });
+
+    it('should report Joi and JSON body errors as VALIDATION_FAILED', () => {
+        const res = mockResponse();
+        const joiError = Object.assign(new Error('"walletAddress" is required'), {
+            isJoi: true,
+            details: [{ path: ['walletAddress'], message: '"walletAddress" is required' }],
+        });
+        errorHandler(joiError, mockRequest, res, sinon.spy());
+
+        expect(res.status.calledWith(400)).to.be.true;
+        expect(res.json.firstCall.args[0].error.details).to.deep.equal([{ field: 'walletAddress', message: '"walletAddress" is required' }]);
+
+        const parseRes = mockResponse();
+        errorHandler(Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed' }), mockRequest, parseRes, sinon.spy());
+        expect(parseRes.json.firstCall.args[0].error.code).to.equal('VALIDATION_FAILED');
+    });
+
+    it('should delegate to Express when headers were already sent', () => {
+        const res = mockResponse();
+        res.headersSent = true;
+        const next = sinon.spy();
+        const error = new Error('late failure');
+        errorHandler(error, mockRequest, res, next);
+
+        expect(next.calledWith(error)).to.be.true;
+        expect(res.status.called).to.be.false;
+    });
+
+    it('should turn rate limiter rejections into RATE_LIMITED', () => {
+        const next = sinon.spy();
+        rateLimitExceeded('Too many login attempts, please try again later.')({}, mockResponse(), next);
+
+        expect(next.firstCall.args[0].code).to.equal('RATE_LIMITED');
+        expect(next.firstCall.args[0].status).to.equal(429);
+    });
+});
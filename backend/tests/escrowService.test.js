@@ -0,0 +1,254 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const Escrow = require('../models/Escrow');
+const User = require('../models/User');
+const ledgerService = require('../services/ledgerService');
+const notificationService = require('../services/notificationService');
+const chainRegistry = require('../services/chainRegistry');
+const signerPool = require('../services/signerPool');
+const txTracker = require('../services/txTracker');
+const jobQueue = require('../services/jobQueue');
+const escrowService = require('../services/escrowService');
+
+// Mock data for tests
+const sender = { userId: String(new mongoose.Types.ObjectId()) };
+const receiver = { userId: String(new mongoose.Types.ObjectId()) };
+const admin = { userId: String(new mongoose.Types.ObjectId()), role: 'admin' };
+const receiverAddress = '0x2222222222222222222222222222222222222222';
+const operator = '0x3333333333333333333333333333333333333333';
+const paymentsAddress = '0x4444444444444444444444444444444444444444';
+const txHash = `0x${'a'.repeat(64)}`;
+
+const payments = new ethers.utils.Interface(chainRegistry.getAbi('kosmaPayments'));
+
+// KosmaPayments log as it appears in a receipt
+const log = (name, args) => ({ address: paymentsAddress, ...payments.encodeEventLog(payments.getEvent(name), args) });
+
+// Apply the parts of a MongoDB update the service uses
+const apply = (doc, { $inc = {}, $unset = {}, ...fields }) => {
+    Object.entries($inc).forEach(([field, by]) => doc.set(field, (doc.get(field) || 0) + by));
+    Object.keys($unset).forEach((field) => doc.set(field, undefined));
+    return doc.set(fields);
+};
+
+// Test suite for escrows held in KosmaPayments
+describe('Escrow Service', () => {
+    let escrows;
+    let contracts;
+    let receiverWallets;
+
+    // In-memory Escrow collection, and chain doubles for USDC and KosmaPayments
+    beforeEach(() => {
+        escrows = new Map();
+        receiverWallets = [{ address: receiverAddress, chainId: 137 }];
+        contracts = {
+            usdc: {
+                allowance: sinon.stub().resolves(ethers.BigNumber.from(0)),
+                approve: sinon.stub().resolves({ hash: `0x${'b'.repeat(64)}`, wait: async () => ({}) }),
+            },
+            kosmaPayments: {
+                address: paymentsAddress,
+                interface: payments,
+                deposit: sinon.stub().resolves({ hash: txHash, from: operator }),
+                releaseFunds: sinon.stub().resolves({ hash: txHash, from: operator }),
+                emergencyWithdraw: sinon.stub().resolves({ hash: txHash, from: operator }),
+            },
+        };
+
+        sinon.stub(User, 'findById').callsFake(async (id) => (String(id) === receiver.userId
+            ? new User({ _id: id, username: 'artist', email: 'artist@kosma.io', password: 'x', blockchainAddress: receiverAddress, wallets: receiverWallets })
+            : null));
+        sinon.stub(Escrow, 'create').callsFake(async ([doc]) => {
+            const escrow = new Escrow(doc);
+            escrows.set(escrow.id, escrow);
+            return [escrow];
+        });
+        sinon.stub(Escrow, 'findById').callsFake(async (id) => escrows.get(String(id)) || null);
+        sinon.stub(Escrow, 'findOne').callsFake(async ({ chain, onChainId }) => [...escrows.values()]
+            .find((escrow) => escrow.chain === chain && escrow.onChainId === onChainId) || null);
+        sinon.stub(Escrow, 'findOneAndUpdate').callsFake(async ({ _id, status }, update) => {
+            const escrow = escrows.get(String(_id));
+            const allowed = status && status.$in ? status.$in : [status];
+            if (!escrow || !allowed.includes(escrow.status)) return null;
+            return apply(escrow, update);
+        });
+        sinon.stub(Escrow, 'updateOne').callsFake(async ({ _id }, update) => apply(escrows.get(String(_id)), update));
+
+        sinon.stub(chainRegistry, 'getAddress').returns(paymentsAddress);
+        sinon.stub(chainRegistry, 'getContract').callsFake((chain, name) => contracts[name]);
+        sinon.stub(signerPool, 'primary').returns({ address: operator });
+        sinon.stub(signerPool, 'signersFor').returns([{ address: operator }]);
+        sinon.stub(txTracker, 'submit').callsFake(async (tx, { kind }) => ({ id: `tx:${kind}` }));
+
+        sinon.stub(notificationService, 'notify').resolves();
+        sinon.stub(jobQueue, 'enqueue').callsFake(async (name, payload, { key }) => ({ id: `${name}:${key}`, state: 'waiting' }));
+        sinon.stub(ledgerService, 'transaction').callsFake((fn) => fn({}));
+        sinon.stub(ledgerService, 'recordEscrowHold').resolves();
+        sinon.stub(ledgerService, 'recordEscrowRelease').resolves();
+        sinon.stub(ledgerService, 'recordEscrowReturn').resolves();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const step = (name, fn) => fn();
+
+    // Escrow created, deposited and confirmed on chain as KosmaPayments transaction 7
+    const heldEscrow = async () => {
+        const { escrow } = await escrowService.createEscrow(sender, { receiverId: receiver.userId, amount: 25, description: 'Album cover' });
+        await escrowService.fundEscrow({ escrowId: escrow.id }, { step });
+        sinon.stub(chainRegistry, 'getProvider').returns({
+            getTransactionReceipt: async () => ({ logs: [log('Deposit', [operator, 25000000, 7])] }),
+        });
+        await escrowService.mirrorEvents({ chain: escrow.chain, hash: txHash, kind: 'escrow.deposit', metadata: { escrowId: escrow.id } });
+        chainRegistry.getProvider.restore();
+        return escrow;
+    };
+
+    it('should hold the sender\'s funds and deposit them in KosmaPayments', async () => {
+        const { escrow, job } = await escrowService.createEscrow(sender, {
+            receiverId: receiver.userId,
+            amount: 25,
+            description: 'Album cover',
+        });
+
+        expect(escrow).to.include({ status: 'funding', amount: 25, receiverAddress });
+        expect(ledgerService.recordEscrowHold.calledOnceWith(sender.userId, 25, escrow.id)).to.be.true;
+        expect(job.id).to.equal(`escrow.deposit:${escrow.id}`);
+
+        const result = await escrowService.fundEscrow({ escrowId: escrow.id }, { step });
+        expect(contracts.usdc.approve.calledOnceWith(paymentsAddress, ethers.constants.MaxUint256)).to.be.true;
+        expect(contracts.kosmaPayments.deposit.calledOnceWith(25000000, receiverAddress)).to.be.true;
+        expect(result).to.deep.equal({ escrowId: escrow.id, depositTx: 'tx:escrow.deposit' });
+        expect(escrows.get(escrow.id)).to.include({ status: 'funding', depositor: operator });
+
+        try {
+            await escrowService.createEscrow(sender, { receiverId: sender.userId, amount: 5, description: 'Self' });
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error.code).to.equal('VALIDATION_FAILED');
+        }
+        try {
+            await escrowService.createEscrow(sender, { receiverId: receiver.userId, amount: 5, description: 'Late', releaseAfter: '2000-01-01' });
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error.details[0].field).to.equal('releaseAfter');
+        }
+
+        // A receiver who never linked a wallet: nobody may hold the key of their blockchainAddress
+        receiverWallets = [];
+        try {
+            await escrowService.createEscrow(sender, { receiverId: receiver.userId, amount: 5, description: 'Unlinked' });
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error.details[0].field).to.equal('receiverId');
+        }
+    });
+
+    it('should mirror the Deposit and Withdrawal events into the escrow and the ledger', async () => {
+        const escrow = await heldEscrow();
+        expect(escrows.get(escrow.id)).to.include({ status: 'held', onChainId: '7' });
+
+        const { job } = await escrowService.releaseEscrow(sender, escrow.id);
+        expect(job.id).to.equal(`escrow.settle:${escrow.id}:1`);
+        await escrowService.settleEscrow({ escrowId: escrow.id }, { step });
+        expect(contracts.kosmaPayments.releaseFunds.calledOnceWith('7')).to.be.true;
+
+        sinon.stub(chainRegistry, 'getProvider').returns({
+            getTransactionReceipt: async () => ({ logs: [log('Withdrawal', [receiverAddress, 25000000, 7])] }),
+        });
+        const record = { chain: escrow.chain, hash: txHash, kind: 'escrow.release', metadata: { escrowId: escrow.id } };
+        await escrowService.mirrorEvents(record);
+        await escrowService.mirrorEvents(record); // Confirmed again after a reorg
+
+        expect(escrows.get(escrow.id).status).to.equal('released');
+        expect(ledgerService.recordEscrowRelease.calledOnce).to.be.true;
+        expect(ledgerService.recordEscrowRelease.firstCall.args.slice(0, 3).map(String)).to.deep.equal([receiver.userId, '25', escrow.id]);
+        expect(notificationService.notify.lastCall.args[1]).to.equal('escrow.released');
+    });
+
+    it('should stop the automatic release once someone objects, until an admin refunds it', async () => {
+        const escrow = await heldEscrow();
+        const found = sinon.stub(Escrow, 'find').callsFake(({ status }) => ({
+            sort: () => ({ limit: async () => [...escrows.values()].filter((doc) => doc.status === status) }),
+        }));
+
+        const disputed = await escrowService.objectToEscrow(receiver, escrow.id, { reason: 'Sender stopped answering' });
+        expect(disputed.objection.reason).to.equal('Sender stopped answering');
+        expect(notificationService.notify.lastCall.args.slice(0, 2)).to.deep.equal([disputed.senderId, 'escrow.disputed']);
+
+        expect(await escrowService.releaseDue()).to.equal(0);
+        expect(found.firstCall.args[0]).to.deep.include({ status: 'held' });
+        expect(escrows.get(escrow.id).status).to.equal('disputed');
+
+        try {
+            await escrowService.resolveEscrow(admin, escrow.id, { outcome: 'split' });
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error.details[0].field).to.equal('outcome');
+        }
+        await escrowService.resolveEscrow(admin, escrow.id, { outcome: 'refund', note: 'No delivery' });
+        await escrowService.settleEscrow({ escrowId: escrow.id }, { step });
+        expect(contracts.kosmaPayments.emergencyWithdraw.calledOnceWith('7')).to.be.true;
+
+        sinon.stub(chainRegistry, 'getProvider').returns({
+            getTransactionReceipt: async () => ({ logs: [log('Withdrawal', [operator, 25000000, 7])] }),
+        });
+        await escrowService.mirrorEvents({ chain: escrow.chain, hash: txHash, kind: 'escrow.refund', metadata: { escrowId: escrow.id } });
+
+        expect(escrows.get(escrow.id)).to.include({ status: 'refunded', outcome: 'refund', note: 'No delivery' });
+        expect(ledgerService.recordEscrowReturn.calledOnceWith(disputed.senderId, 25, escrow.id)).to.be.true;
+    });
+
+    it('should only let the sender release, and only a held escrow', async () => {
+        const escrow = await heldEscrow();
+
+        try {
+            await escrowService.releaseEscrow(receiver, escrow.id);
+            expect.fail('Expected AuthorizationError');
+        } catch (error) {
+            expect(error.code).to.equal('FORBIDDEN');
+        }
+        try {
+            await escrowService.getForUser({ userId: String(new mongoose.Types.ObjectId()) }, escrow.id);
+            expect.fail('Expected NotFoundError');
+        } catch (error) {
+            expect(error.code).to.equal('NOT_FOUND');
+        }
+
+        await escrowService.releaseEscrow(sender, escrow.id);
+        try {
+            await escrowService.releaseEscrow(sender, escrow.id);
+            expect.fail('Expected ConflictError');
+        } catch (error) {
+            expect(error.message).to.equal('Escrow is settling and cannot be released');
+        }
+    });
+
+    it('should return the funds when the deposit never confirms, and reopen a reverted release', async () => {
+        const { escrow } = await escrowService.createEscrow(sender, { receiverId: receiver.userId, amount: 25, description: 'Album cover' });
+        await escrowService.abandon({ _id: 'tx1', hash: txHash, kind: 'escrow.deposit', status: 'dropped', metadata: { escrowId: escrow.id } });
+
+        expect(escrows.get(escrow.id).status).to.equal('failed');
+        expect(ledgerService.recordEscrowReturn.firstCall.args.slice(0, 3).map(String)).to.deep.equal([sender.userId, '25', escrow.id]);
+
+        const held = await heldEscrow();
+        await escrowService.releaseEscrow(sender, held.id);
+        escrows.get(held.id).settlementTx = new mongoose.Types.ObjectId();
+        await escrowService.abandon({
+            _id: escrows.get(held.id).settlementTx,
+            hash: txHash,
+            kind: 'escrow.release',
+            status: 'failed',
+            error: { code: 'CHAIN_REVERTED' },
+            metadata: { escrowId: held.id },
+        });
+
+        expect(escrows.get(held.id)).to.include({ status: 'held', outcome: undefined });
+        expect(escrows.get(held.id).error.code).to.equal('CHAIN_REVERTED');
+    });
+});
@@ -0,0 +1,192 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const PaymentReview = require('../models/PaymentReview');
+const Payment = require('../models/Payment');
+const CrossChainPayment = require('../models/CrossChainPayment');
+const User = require('../models/User');
+const ledgerService = require('../services/ledgerService');
+const paymentService = require('../services/paymentService');
+const notificationService = require('../services/notificationService');
+const jobQueue = require('../services/jobQueue');
+const fraudService = require('../services/fraudService');
+
+// Mock data for tests
+const DAY = 24 * 60 * 60 * 1000;
+const payer = new User({ _id: new mongoose.Types.ObjectId(), username: 'buyer', email: 'buyer@example.com', createdAt: new Date(Date.now() - 30 * DAY) });
+const newcomer = new User({ _id: new mongoose.Types.ObjectId(), username: 'newcomer', email: 'new@example.com', createdAt: new Date() });
+const creatorId = String(new mongoose.Types.ObjectId());
+const otherCreatorId = String(new mongoose.Types.ObjectId());
+const admin = { userId: String(new mongoose.Types.ObjectId()), role: 'admin' };
+
+// Expect a promise to reject with an error code
+const rejection = async (promise, code) => {
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.code).to.equal(code);
+        return error;
+    }
+    return expect.fail(`Expected ${code}`);
+};
+
+// Whether a stored payment matches a $match stage of the service's aggregations
+const matches = (doc, match) => Object.entries(match).every(([field, condition]) => {
+    const value = doc[field];
+    if (condition && condition.$in) return condition.$in.map(String).includes(String(value));
+    if (condition && condition.$ne) return value !== condition.$ne;
+    if (condition && condition.$gte) return value >= condition.$gte;
+    return String(value) === String(condition);
+});
+
+// Test suite for the velocity and fraud rules
+describe('Fraud Service', () => {
+    let history;
+    let reviews;
+
+    // Past payments in memory, an in-memory PaymentReview collection, and stubbed charges
+    beforeEach(() => {
+        history = [];
+        reviews = new Map();
+
+        sinon.stub(User, 'findById').callsFake(async (id) => [payer, newcomer].find((account) => account.id === String(id)) || null);
+        sinon.stub(Payment, 'aggregate').callsFake(async ([{ $match }, { $group }]) => {
+            const groups = new Map();
+            history.filter((doc) => matches(doc, $match)).forEach((doc) => {
+                const key = $group._id ? String(doc[$group._id.slice(1)]) : null;
+                const group = groups.get(key) || { _id: key, count: 0, amount: 0 };
+                groups.set(key, { ...group, count: group.count + 1, amount: group.amount + doc.amount });
+            });
+            return [...groups.values()];
+        });
+        sinon.stub(CrossChainPayment, 'aggregate').resolves([]);
+
+        sinon.stub(PaymentReview, 'create').callsFake(async (doc) => {
+            const review = new PaymentReview(doc);
+            reviews.set(review.id, review);
+            return review;
+        });
+        sinon.stub(PaymentReview, 'findById').callsFake(async (id) => reviews.get(String(id)) || null);
+        sinon.stub(PaymentReview, 'findOneAndUpdate').callsFake(async ({ _id, status }, update) => {
+            const review = reviews.get(String(_id));
+            if (!review || review.status !== status) return null;
+            return review.set(update);
+        });
+
+        sinon.stub(notificationService, 'notify').resolves();
+        sinon.stub(jobQueue, 'enqueue').callsFake(async (name, payload, { key }) => ({ id: `${name}:${key}`, state: 'waiting' }));
+        sinon.stub(ledgerService, 'balances').resolves({ available: 100 });
+        sinon.stub(paymentService, 'valuePayment').resolves(undefined);
+        sinon.stub(paymentService, 'collectPayment').callsFake(async (request) => ({
+            payment: new Payment({ ...request, transactionId: `circle-${request.creatorId}`, status: 'completed' }),
+            transaction: { id: `circle-${request.creatorId}` },
+        }));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    // A past payment
+    const paid = (fields) => history.push({ userId: payer._id, type: 'tip', status: 'completed', createdAt: new Date(), ...fields });
+
+    const step = (name, fn) => fn();
+
+    it('should score velocity, new accounts, circular tipping and amount spikes', async () => {
+        const tip = [{ type: 'tip', amount: 5, recipientId: creatorId }];
+        expect(await fraudService.assessPayment(payer.id, tip)).to.deep.equal({ decision: 'allow', score: 0, signals: [] });
+
+        // New accounts only get held when they pay a lot at once
+        expect((await fraudService.assessPayment(newcomer.id, tip)).score).to.equal(25);
+        const large = await fraudService.assessPayment(newcomer.id, [{ type: 'purchase', amount: 80, recipientId: creatorId }]);
+        expect(large).to.deep.include({ decision: 'hold', score: 50 });
+        expect(large.signals[0].rule).to.equal('newAccount');
+
+        // The creator tipped the payer last week
+        history.push({ userId: creatorId, creatorId: payer._id, type: 'tip', amount: 5, status: 'completed', createdAt: new Date(Date.now() - 2 * DAY) });
+        const circular = await fraudService.assessPayment(payer.id, tip);
+        expect(circular).to.deep.include({ decision: 'hold', score: 50 });
+        expect(circular.signals.map(({ rule }) => rule)).to.deep.equal(['circularTipping']);
+        expect((await fraudService.assessPayment(payer.id, [{ type: 'purchase', amount: 5, recipientId: creatorId }])).decision).to.equal('allow');
+
+        // Usually 2 USDC, now 15; failed payments are left out of the history
+        [2, 2, 2].forEach((amount) => paid({ creatorId: otherCreatorId, amount, createdAt: new Date(Date.now() - 3 * DAY) }));
+        paid({ creatorId: otherCreatorId, amount: 500, status: 'failed', createdAt: new Date(Date.now() - 3 * DAY) });
+        const spike = await fraudService.assessPayment(payer.id, [{ type: 'purchase', amount: 15, recipientId: otherCreatorId }]);
+        expect(spike).to.deep.include({ decision: 'allow', score: 40 });
+        expect(spike.signals[0].reason).to.equal('15 USDC is over 5 times the usual 2 USDC');
+
+        // 20 payments an hour are allowed; the 21st is held and twice as many are blocked
+        for (let index = 0; index < 19; index += 1) paid({ creatorId: otherCreatorId, amount: 2 });
+        expect((await fraudService.assessPayment(payer.id, [{ type: 'purchase', amount: 2, recipientId: otherCreatorId }])).decision).to.equal('allow');
+        paid({ creatorId: otherCreatorId, amount: 2 });
+        expect((await fraudService.assessPayment(payer.id, [{ type: 'purchase', amount: 2, recipientId: otherCreatorId }])).score).to.equal(60);
+        const batch = Array.from({ length: 21 }, () => ({ type: 'tip', amount: 1, recipientId: otherCreatorId }));
+        expect(await fraudService.assessPayment(payer.id, batch)).to.deep.include({ decision: 'block', score: 100 });
+    });
+
+    it('should hold risky payments for review and block the riskiest without telling why', async () => {
+        const payments = [{ type: 'tip', amount: 80, recipientId: creatorId }];
+        const { review } = await fraudService.screenPayment(newcomer.id, { source: 'payment', payments, request: { currency: 'EUR' } });
+        expect(review).to.include({ source: 'payment', score: 50, status: 'pending' });
+        expect(review.request).to.deep.equal({ currency: 'EUR' });
+        expect(review.toStatus()).to.not.have.property('signals');
+        expect(notificationService.notify.calledWith(newcomer._id, 'payment.held')).to.be.true;
+
+        const allowed = await fraudService.screenPayment(payer.id, { source: 'payment', payments });
+        expect(allowed.review).to.equal(undefined);
+
+        for (let index = 0; index < 41; index += 1) paid({ creatorId: otherCreatorId, amount: 1 });
+        const blocked = await rejection(fraudService.screenPayment(payer.id, { source: 'payment', payments }), 'PAYMENT_BLOCKED');
+        expect(blocked.status).to.equal(403);
+        expect(Object.keys(blocked.details)).to.deep.equal(['reviewId']);
+        expect(reviews.get(blocked.details.reviewId).status).to.equal('blocked');
+
+        // Blocked payments are not in the queue to decide
+        await rejection(fraudService.approveReview(admin, blocked.details.reviewId), 'CONFLICT');
+        await rejection(fraudService.getForUser({ userId: String(newcomer._id) }, blocked.details.reviewId), 'NOT_FOUND');
+    });
+
+    it('should charge a held batch once approved, and never when rejected', async () => {
+        const payments = [{ type: 'tip', amount: 30, recipientId: creatorId }, { type: 'tip', amount: 30, recipientId: otherCreatorId }];
+        const { review } = await fraudService.screenPayment(newcomer.id, { source: 'payment', payments, request: {} });
+        expect(paymentService.collectPayment.called).to.be.false;
+
+        const { review: approved, job } = await fraudService.approveReview(admin, review.id, { note: 'Checked with the buyer' });
+        expect(approved).to.include({ status: 'approved', note: 'Checked with the buyer' });
+        expect(String(approved.reviewedBy)).to.equal(admin.userId);
+        expect(job.id).to.equal(`payment.release:${review.id}`);
+        await rejection(fraudService.rejectReview(admin, review.id), 'CONFLICT');
+
+        const result = await fraudService.releaseReview({ reviewId: review.id }, { step });
+        expect(result.payments.map(({ transactionId }) => transactionId)).to.deep.equal([`circle-${creatorId}`, `circle-${otherCreatorId}`]);
+        expect(paymentService.collectPayment.firstCall.args[0]).to.deep.include({ type: 'tip', userId: newcomer.id, creatorId, amount: 30 });
+        expect(review.status).to.equal('released');
+        expect(notificationService.notify.lastCall.args[1]).to.equal('payment.released');
+
+        // Released once: running the job again charges nothing more
+        await fraudService.releaseReview({ reviewId: review.id }, { step });
+        expect(paymentService.collectPayment.calledTwice).to.be.true;
+
+        const { review: held } = await fraudService.screenPayment(newcomer.id, { source: 'payment', payments, request: {} });
+        const rejected = await fraudService.rejectReview(admin, held.id, { note: 'Stolen card' });
+        expect(rejected.status).to.equal('rejected');
+        expect(notificationService.notify.lastCall.args[1]).to.equal('payment.rejected');
+        await rejection(fraudService.releaseReview({ reviewId: held.id }, { step }), 'CONFLICT');
+        expect(paymentService.collectPayment.calledTwice).to.be.true;
+    });
+
+    it('should fail an approved payment the payer can no longer afford', async () => {
+        const { review } = await fraudService.screenPayment(newcomer.id, { source: 'payment', payments: [{ type: 'purchase', amount: 80, recipientId: creatorId }] });
+        await fraudService.approveReview(admin, review.id);
+        ledgerService.balances.resolves({ available: 10 });
+
+        const error = await rejection(fraudService.releaseReview({ reviewId: review.id }, { step }), 'INSUFFICIENT_FUNDS');
+        expect(jobQueue.isRetryable(error)).to.be.false;
+        expect(review.status).to.equal('failed');
+        expect(review.error.code).to.equal('INSUFFICIENT_FUNDS');
+        expect(notificationService.notify.lastCall.args[1]).to.equal('payment.failed');
+        expect(paymentService.collectPayment.called).to.be.false;
+    });
+});
@@ -0,0 +1,125 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('../middlewares/idempotency');
+
+// Mock data for tests
+const userId = '64b7f0000000000000000001';
+
+const mockRequest = (key, body = { creatorId: 'c1', amount: 5 }) => ({
+    method: 'POST',
+    baseUrl: '/api/v1/payment',
+    path: '/tip',
+    body,
+    user: { userId },
+    get: (header) => (header === 'Idempotency-Key' ? key : undefined),
+});
+
+// Response double recording status, headers and body
+const mockResponse = () => {
+    const res = { statusCode: 200, headers: {} };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.set = (name, value) => { res.headers[name] = value; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+};
+
+// Run the middleware and the route handler behind it
+const handle = async (req, res, handler) => {
+    let error;
+    await idempotent(req, res, (err) => {
+        error = err;
+        if (!err) handler(req, res);
+    });
+    return error;
+};
+
+// Test suite for the Idempotency-Key middleware
+describe('Idempotency Middleware', () => {
+    let records;
+
+    // In-memory IdempotencyKey collection with the unique (userId, key) index
+    beforeEach(() => {
+        records = new Map();
+        const id = (doc) => `${doc.userId}:${doc.key}`;
+        sinon.stub(IdempotencyKey, 'deleteOne').callsFake(async (query) => {
+            const match = [...records.values()].find((doc) => (query._id ? doc._id === query._id : id(doc) === id(query) && doc.expiresAt <= query.expiresAt.$lte));
+            if (match) records.delete(id(match));
+        });
+        sinon.stub(IdempotencyKey, 'create').callsFake(async (doc) => {
+            if (records.has(id(doc))) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+            const record = { _id: id(doc), status: 'processing', ...doc };
+            records.set(id(doc), record);
+            return record;
+        });
+        sinon.stub(IdempotencyKey, 'findOne').callsFake(async (query) => records.get(id(query)) || null);
+        sinon.stub(IdempotencyKey, 'updateOne').callsFake(async ({ _id }, update) => Object.assign(records.get(_id), update));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should pass requests without a key straight through', async () => {
+        const handler = sinon.spy();
+        await handle(mockRequest(undefined), mockResponse(), handler);
+
+        expect(handler.calledOnce).to.be.true;
+        expect(IdempotencyKey.create.called).to.be.false;
+    });
+
+    it('should replay the first response to a retry with the same key', async () => {
+        const charge = sinon.spy((req, res) => res.status(201).json({ message: 'Tip sent successfully', transaction: { id: 'tx-1' } }));
+
+        await handle(mockRequest('tip-1'), mockResponse(), charge);
+        await new Promise(setImmediate); // Let the response be stored
+        const res = mockResponse();
+        await handle(mockRequest('tip-1'), res, charge);
+
+        expect(charge.calledOnce).to.be.true;
+        expect(res.statusCode).to.equal(201);
+        expect(res.body.transaction.id).to.equal('tx-1');
+        expect(res.headers['Idempotent-Replayed']).to.equal('true');
+    });
+
+    it('should reject a duplicate while the first request is still running', async () => {
+        await handle(mockRequest('tip-1'), mockResponse(), () => {}); // Never responds
+
+        const error = await handle(mockRequest('tip-1'), mockResponse(), sinon.spy());
+        expect(error.code).to.equal('REQUEST_IN_PROGRESS');
+        expect(error.status).to.equal(409);
+    });
+
+    it('should reject a key reused for a different request', async () => {
+        await handle(mockRequest('tip-1'), mockResponse(), (req, res) => res.status(201).json({}));
+        await new Promise(setImmediate);
+
+        const error = await handle(mockRequest('tip-1', { creatorId: 'c1', amount: 50 }), mockResponse(), sinon.spy());
+        expect(error.code).to.equal('IDEMPOTENCY_KEY_REUSED');
+    });
+
+    it('should free the key when the request fails on the server', async () => {
+        await handle(mockRequest('tip-1'), mockResponse(), (req, res) => res.status(502).json({ error: { code: 'UPSTREAM_FAILED' } }));
+        await new Promise(setImmediate);
+
+        const retry = sinon.spy();
+        await handle(mockRequest('tip-1'), mockResponse(), retry);
+        expect(retry.calledOnce).to.be.true;
+    });
+
+    it('should accept a key again once it has expired', async () => {
+        await handle(mockRequest('tip-1'), mockResponse(), (req, res) => res.status(201).json({}));
+        await new Promise(setImmediate);
+        records.get(`${userId}:tip-1`).expiresAt = new Date(Date.now() - 1000);
+
+        const charge = sinon.spy();
+        await handle(mockRequest('tip-1'), mockResponse(), charge);
+        expect(charge.calledOnce).to.be.true;
+    });
+
+    it('should reject malformed keys', async () => {
+        const error = await handle(mockRequest('has spaces'), mockResponse(), sinon.spy());
+        expect(error.code).to.equal('VALIDATION_FAILED');
+    });
+});
@@ -0,0 +1,174 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const { JobQueue } = require('../services/jobQueue');
+const { ValidationError } = require('../errors');
+
+// Bull queue double: jobs kept in memory with a fixed state
+const mockQueue = () => {
+    const jobs = new Map();
+    let sequence = 0;
+    const queue = {
+        jobs,
+        add: sinon.stub().callsFake(async (name, data, opts = {}) => {
+            const id = opts.jobId || String(sequence += 1);
+            if (!jobs.has(id)) jobs.set(id, mockJob({ id, name, data, opts, queue }));
+            return jobs.get(id);
+        }),
+        getJob: async (id) => jobs.get(id) || null,
+        getJobs: async ([state]) => [...jobs.values()].filter((job) => job.state === state),
+    };
+    return queue;
+};
+
+const mockJob = ({ id, name, data, opts = {}, queue, state = 'waiting' }) => ({
+    id,
+    name,
+    data,
+    opts,
+    state,
+    attemptsMade: 0,
+    timestamp: Date.now(),
+    getState: async function getState() { return this.state; },
+    update: sinon.stub().resolves(),
+    discard: sinon.stub(),
+    retry: sinon.stub().callsFake(async function retry() { this.state = 'waiting'; }),
+    remove: sinon.stub().callsFake(async () => { queue.jobs.delete(id); }),
+});
+
+// Queue with both Bull queues mocked
+const newJobQueue = () => {
+    const jobs = new JobQueue(() => mockQueue());
+    return { jobs, main: () => jobs.queue, dead: () => jobs.deadLetters };
+};
+
+// Test suite for the background job queue
+describe('Job Queue', () => {
+
+    it('should queue a job once per deduplication key', async () => {
+        const { jobs, main } = newJobQueue();
+        jobs.define('attestation.create', { handler: async () => ({}) });
+
+        const first = await jobs.enqueue('attestation.create', { contentId: 'c1' }, { key: 'u1:c1', userId: 'u1' });
+        const second = await jobs.enqueue('attestation.create', { contentId: 'c1' }, { key: 'u1:c1', userId: 'u1' });
+
+        expect(first.id).to.equal('attestation.create:u1:c1');
+        expect(second.id).to.equal(first.id);
+        expect(main().jobs.size).to.equal(1);
+        expect(first).to.include({ name: 'attestation.create', state: 'waiting', userId: 'u1', attempts: 5 });
+        expect(main().add.firstCall.args[2].backoff).to.deep.equal({ type: 'exponential', delay: 5000 });
+    });
+
+    it('should refuse unknown job types', async () => {
+        const { jobs } = newJobQueue();
+        try {
+            await jobs.enqueue('nft.mint', {});
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error).to.be.instanceOf(ValidationError);
+        }
+    });
+
+    it('should skip steps that completed on an earlier attempt', async () => {
+        const { jobs, main } = newJobQueue();
+        const send = sinon.stub();
+        send.onFirstCall().resolves({ hash: '0x1' });
+        const save = sinon.stub();
+        save.onFirstCall().rejects(new Error('connection reset'));
+        save.onSecondCall().resolves('a1');
+        jobs.define('attestation.create', {
+            handler: async (payload, { step }) => {
+                const { hash } = await step('sign', send);
+                return { hash, attestationId: await save() };
+            },
+        });
+        await jobs.enqueue('attestation.create', {});
+        const job = main().jobs.get('1');
+
+        try {
+            await jobs.run(job);
+            expect.fail('Expected the first attempt to fail');
+        } catch (error) {
+            expect(error.message).to.equal('connection reset');
+        }
+        expect(job.discard.called).to.be.false; // Retryable
+        expect(job.update.calledOnce).to.be.true;
+
+        job.attemptsMade = 1;
+        const result = await jobs.run(job);
+        expect(result).to.deep.equal({ hash: '0x1', attestationId: 'a1' });
+        expect(send.calledOnce).to.be.true;
+    });
+
+    it('should not retry errors that would fail the same way again', async () => {
+        const { jobs, main } = newJobQueue();
+        jobs.define('nft.transfer', { handler: async () => { throw new ValidationError('Unsupported target chain'); } });
+        await jobs.enqueue('nft.transfer', {});
+        const job = main().jobs.get('1');
+
+        try {
+            await jobs.run(job);
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(job.discard.calledOnce).to.be.true;
+        }
+    });
+
+    it('should dead-letter a job after its last attempt and requeue it on retry', async () => {
+        const { jobs, main, dead } = newJobQueue();
+        jobs.define('royalties.distribute', { handler: async () => ({}), attempts: 3 });
+        await jobs.enqueue('royalties.distribute', { contentId: 'c1' }, { userId: 'u1' });
+        const job = main().jobs.get('1');
+        job.data.steps = { distribute: { transactionHash: '0x1' } };
+
+        job.attemptsMade = 2;
+        await jobs.onFailed(job, new Error('timeout'));
+        expect(dead().jobs.size).to.equal(0); // Bull retries it
+
+        job.attemptsMade = 3;
+        await jobs.onFailed(job, new Error('timeout'));
+        expect(main().jobs.has('1')).to.be.false;
+        const [deadJob] = await jobs.list({ state: 'dead' });
+        expect(deadJob).to.include({ id: '1', state: 'dead', attemptsMade: 3, userId: 'u1' });
+        expect(deadJob.error).to.deep.equal({ code: 'INTERNAL_ERROR', message: 'timeout' });
+
+        const requeued = await jobs.retry('1');
+        expect(requeued.state).to.equal('waiting');
+        expect(dead().jobs.size).to.equal(0);
+        expect(main().jobs.get('1').data).to.deep.equal({ payload: { contentId: 'c1' }, userId: 'u1', steps: { distribute: { transactionHash: '0x1' } } });
+    });
+
+    it('should only cancel jobs that are not running', async () => {
+        const { jobs, main } = newJobQueue();
+        jobs.define('nft.transfer', { handler: async () => ({}) });
+        await jobs.enqueue('nft.transfer', {});
+        await jobs.enqueue('nft.transfer', {});
+        main().jobs.get('2').state = 'active';
+
+        const cancelled = await jobs.cancel('1');
+        expect(cancelled.state).to.equal('cancelled');
+        expect(main().jobs.has('1')).to.be.false;
+
+        try {
+            await jobs.cancel('2');
+            expect.fail('Expected ConflictError');
+        } catch (error) {
+            expect(error.code).to.equal('CONFLICT');
+        }
+    });
+
+    it('should hide other users\' jobs', async () => {
+        const { jobs } = newJobQueue();
+        jobs.define('nft.transfer', { handler: async () => ({}) });
+        const { id } = await jobs.enqueue('nft.transfer', {}, { userId: 'u1' });
+
+        expect((await jobs.getForUser(id, { userId: 'u1' })).id).to.equal(id);
+        expect((await jobs.getForUser(id, { userId: 'u2', role: 'admin' })).id).to.equal(id);
+        try {
+            await jobs.getForUser(id, { userId: 'u2' });
+            expect.fail('Expected NotFoundError');
+        } catch (error) {
+            expect(error.code).to.equal('NOT_FOUND');
+        }
+    });
+});
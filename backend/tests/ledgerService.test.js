@@ -0,0 +1,173 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const ledgerService = require('../services/ledgerService');
+
+// Mock data for tests
+const fan = new mongoose.Types.ObjectId();
+const creator = new mongoose.Types.ObjectId();
+const session = {}; // Joins a transaction instead of starting one
+
+// Query double resolving to `value` once its session is set
+const query = (value) => ({ session: async () => value });
+
+// Test suite for the double-entry ledger
+describe('Ledger Service', () => {
+    let accounts;
+    let balances;
+
+    // Accounts are created on first use; balances are set per account type
+    beforeEach(() => {
+        accounts = new Map();
+        balances = {};
+        sinon.stub(LedgerAccount, 'findOneAndUpdate').callsFake(async (filter) => {
+            const key = `${filter.type}:${filter.ownerId}:${filter.name}`;
+            if (!accounts.has(key)) {
+                accounts.set(key, { _id: new mongoose.Types.ObjectId(), ...filter, allowNegative: filter.type === 'external' });
+            }
+            return accounts.get(key);
+        });
+        sinon.stub(LedgerAccount, 'updateOne').resolves({ modifiedCount: 1 });
+        sinon.stub(JournalEntry, 'findOne').returns(query(null));
+        sinon.stub(JournalEntry, 'aggregate').callsFake(([match]) => {
+            const account = [...accounts.values()].find(({ _id }) => _id.equals(match.$match['postings.account']));
+            return query([{ total: balances[account.type] || 0 }]);
+        });
+        sinon.stub(JournalEntry, 'create').callsFake(async ([doc]) => [new JournalEntry(doc)]);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should convert USDC amounts to integer units and back', () => {
+        expect(ledgerService.toUnits(12.5)).to.equal(12500000);
+        expect(ledgerService.toUnits('0.000001')).to.equal(1);
+        expect(ledgerService.fromUnits(12500000)).to.equal(12.5);
+        expect(() => ledgerService.toUnits('0.0000001')).to.throw('Invalid USDC amount');
+        expect(() => ledgerService.toUnits(0)).to.throw('Invalid USDC amount');
+        expect(() => ledgerService.toUnits('ten')).to.throw('Invalid USDC amount');
+    });
+
+    it('should refuse entries whose postings do not balance', async () => {
+        try {
+            await ledgerService.post({
+                type: 'tip',
+                reference: 'tx-1',
+                postings: [{ account: { type: 'user', ownerId: fan }, amount: -5 }, { account: { type: 'creator', ownerId: creator }, amount: 4 }],
+            }, { session });
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error.code).to.equal('VALIDATION_FAILED');
+        }
+        expect(JournalEntry.create.called).to.be.false;
+    });
+
+    it('should credit a deposit from the Circle account', async () => {
+        const entry = await ledgerService.recordDeposit(fan, 20, 'circle-1', { session });
+
+        expect(entry.type).to.equal('deposit');
+        expect(entry.postings.map(({ amount }) => amount)).to.deep.equal([-20000000, 20000000]);
+        expect(accounts.get('external:null:circle').allowNegative).to.be.true;
+        expect(entry.validateSync()).to.be.undefined;
+    });
+
+    it('should move a tip from the fan to the creator and lock both accounts', async () => {
+        balances.user = 10000000;
+        const entry = await ledgerService.recordTip(fan, creator, 4, 'circle-2', { session });
+
+        expect(entry.postings[0].account).to.equal(accounts.get(`user:${fan}:main`)._id);
+        expect(entry.postings[1].account).to.equal(accounts.get(`creator:${creator}:main`)._id);
+        expect(entry.postings.map(({ amount }) => amount)).to.deep.equal([-4000000, 4000000]);
+        expect(LedgerAccount.updateOne.calledTwice).to.be.true;
+    });
+
+    it('should reject a payment the fan cannot cover', async () => {
+        balances.user = 3000000;
+        try {
+            await ledgerService.recordPurchase(fan, creator, 5, 'circle-3', { session });
+            expect.fail('Expected InsufficientFundsError');
+        } catch (error) {
+            expect(error.code).to.equal('INSUFFICIENT_FUNDS');
+            expect(error.details).to.deep.equal({ balance: 3, required: 5 });
+        }
+        expect(JournalEntry.create.called).to.be.false;
+    });
+
+    it('should set a payout aside from earnings and keep its fee once it is sent', async () => {
+        balances.creator = 30000000;
+        const held = await ledgerService.recordPayoutHold(creator, 30, 'payout-1', { session });
+        expect(held.postings.map(({ amount }) => amount)).to.deep.equal([-30000000, 30000000]);
+        expect(held.postings[1].account).to.equal(accounts.get('payouts_pending:null:main')._id);
+
+        balances.payouts_pending = 30000000;
+        const paid = await ledgerService.recordPayout(creator, 30, 0.1, 'payout-1', { session });
+        expect(paid.type).to.equal('payout');
+        expect(paid.postings.map(({ amount }) => amount)).to.deep.equal([-30000000, 29900000, 100000]);
+        expect(paid.postings[2].account).to.equal(accounts.get('platform_fees:null:main')._id);
+        expect(paid.validateSync()).to.be.undefined;
+    });
+
+    it('should take back the same share of each cut on a partial refund', async () => {
+        Object.assign(balances, { creator: 8500000, platform_fees: 1500000 });
+        const user = await ledgerService.getAccount({ type: 'user', ownerId: fan });
+        const creatorAccount = await ledgerService.getAccount({ type: 'creator', ownerId: creator });
+        const fees = await ledgerService.getAccount(ledgerService.PLATFORM_FEES);
+        const original = new JournalEntry({
+            type: 'purchase',
+            reference: 'circle-4',
+            postings: [{ account: user._id, amount: -10000000 }, { account: creatorAccount._id, amount: 8500000 }, { account: fees._id, amount: 1500000 }],
+        });
+        const earlierRefund = { postings: [{ account: user._id, amount: 3000000 }] };
+        JournalEntry.findOne.withArgs({ type: 'purchase', reference: 'circle-4' }).returns(query(original));
+        sinon.stub(JournalEntry, 'find').returns(query([earlierRefund]));
+        sinon.stub(LedgerAccount, 'find').returns(query([user, creatorAccount, fees]));
+
+        const entry = await ledgerService.recordRefund('purchase', 'circle-4', 'refund-2', { amount: '3.333333', session });
+        expect(entry.type).to.equal('refund');
+        expect(entry.reverses).to.equal(original._id);
+        expect(entry.postings.map(({ amount }) => amount)).to.deep.equal([3333333, -2833334, -499999]);
+
+        try {
+            await ledgerService.recordRefund('purchase', 'circle-4', 'refund-3', { amount: 7.5, session });
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error.code).to.equal('VALIDATION_FAILED');
+            expect(error.details).to.deep.equal({ paid: 10, refunded: 3, requested: 7.5 });
+        }
+
+        // A chargeback takes back everything the earlier refund left
+        const chargeback = await ledgerService.recordChargeback('purchase', 'circle-4', 'circle-4:chargeback', { session });
+        expect(chargeback.type).to.equal('chargeback');
+        expect(chargeback.postings.map(({ amount }) => amount)).to.deep.equal([7000000, -5950000, -1050000]);
+    });
+
+    it('should return the existing entry when an event is posted again', async () => {
+        const existing = new JournalEntry({ type: 'deposit', reference: 'circle-1', postings: [] });
+        JournalEntry.findOne.returns(query(existing));
+
+        const entry = await ledgerService.recordDeposit(fan, 20, 'circle-1', { session });
+        expect(entry).to.equal(existing);
+        expect(JournalEntry.create.called).to.be.false;
+    });
+
+    it('should not let a journal entry be changed once written', async () => {
+        const entry = new JournalEntry({
+            type: 'deposit',
+            reference: 'circle-1',
+            postings: [{ account: new mongoose.Types.ObjectId(), amount: -1 }, { account: new mongoose.Types.ObjectId(), amount: 1 }],
+        });
+        entry.isNew = false;
+        entry.memo = 'edited';
+
+        try {
+            await entry.save();
+            expect.fail('Expected the save to be refused');
+        } catch (error) {
+            expect(error.message).to.include('immutable');
+        }
+    });
+});
@@ -48,7 +48,7 @@ describe('Mint NFT', () => {
             .send({}); // Sending empty data
 
         expect(res.status).to.equal(400);
-        expect(res.body.message).to.equal('Invalid NFT data.');
+        expect(res.body.error.message).to.equal('Invalid NFT data.');
     });
 
     it('should handle blockchain network error during NFT minting', async () => {
@@ -59,7 +59,7 @@ describe('Mint NFT', () => {
             .send(mockNFTData);
 
         expect(res.status).to.equal(500);
-        expect(res.body.message).to.equal('Network error');
+        expect(res.body.error.message).to.equal('Network error');
 
         NFTContract.mint.restore(); // Restore original behavior
     });
@@ -127,7 +127,7 @@ describe('Transfer NFT', () => {
             });
 
         expect(res.status).to.equal(404);
-        expect(res.body.message).to.equal('NFT not found.');
+        expect(res.body.error.message).to.equal('NFT not found.');
     });
 
     it('should fail to transfer NFT with invalid recipient address', async () => {
@@ -140,7 +140,7 @@ describe('Transfer NFT', () => {
             });
 
         expect(res.status).to.equal(400);
-        expect(res.body.message).to.equal('Invalid recipient address.');
+        expect(res.body.error.message).to.equal('Invalid recipient address.');
     });
 
     it('should handle NFT transfer events correctly', async () => {
@@ -172,7 +172,7 @@ describe('Transfer NFT', () => {
             });
 
         expect(res.status).to.equal(400);
-        expect(res.body.message).to.equal('Unsupported blockchain.');
+        expect(res.body.error.message).to.equal('Unsupported blockchain.');
     });
 });
 
@@ -210,7 +210,7 @@ describe('License NFT', () => {
             });
 
         expect(res.status).to.equal(400);
-        expect(res.body.message).to.equal('Invalid royalties percentage.');
+        expect(res.body.error.message).to.equal('Invalid royalties percentage.');
     });
 
     it('should fail to license NFT with missing recipient address', async () => {
@@ -222,7 +222,7 @@ describe('License NFT', () => {
             });
 
         expect(res.status).to.equal(400);
-        expect(res.body.message).to.equal('Recipient address is required.');
+        expect(res.body.error.message).to.equal('Recipient address is required.');
     });
 
     it('should allow licensing an NFT with zero royalties', async () => {
@@ -248,7 +248,7 @@ describe('License NFT', () => {
             });
 
         expect(res.status).to.equal(400);
-        expect(res.body.message).to.equal('Invalid royalties percentage.');
+        expect(res.body.error.message).to.equal('Invalid royalties percentage.');
     });
 
     it('should revoke an NFT license successfully', async () => {
@@ -0,0 +1,61 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const adapters = require('../adapters'); // Sandbox Story Protocol outside production
+const royaltyService = require('../services/royaltyService');
+const { fromUnits } = require('../services/ledgerService');
+const royaltyReportService = require('../services/royaltyReportService');
+const nftService = require('../services/nftService');
+
+// Mock data for tests
+const creator = '0x1111111111111111111111111111111111111111';
+const producer = '0x2222222222222222222222222222222222222222';
+const owner = '0x4444444444444444444444444444444444444444';
+
+// Test suite for NFT licensing
+describe('NFT Service', () => {
+    let recordEarnings;
+
+    beforeEach(() => {
+        adapters.resetSandbox();
+        sinon.spy(adapters.StoryProtocol, 'enforceRoyaltyPayment');
+        recordEarnings = sinon.stub(royaltyReportService, 'recordEarnings').resolves(2);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should split a license fee like a sale, pay the recipients their share and record it', async () => {
+        const { hash, royalties } = await nftService.licenseNFT('7', [creator, producer], [750, 250], { fee: 100, owner, payer: 'licensee' });
+
+        // The same breakdown as a sale with the NFT owner as the seller
+        const expected = royaltyService.splitPayment(100000000, royaltyService.validateSplit([creator, producer], [750, 250]), { seller: owner });
+        expect(hash).to.be.a('string');
+        expect(royalties).to.deep.equal(royaltyService.convertBreakdown(expected, fromUnits));
+
+        // The contract takes no fee, so it is sent the fee after the platform's cut
+        expect(adapters.StoryProtocol.enforceRoyaltyPayment.calledOnceWith('7', fromUnits(expected.amount - expected.platformFee))).to.be.true;
+        const [breakdown, payment] = recordEarnings.firstCall.args;
+        expect(breakdown).to.deep.equal(expected);
+        expect(payment).to.include({ source: 'license', payer: 'licensee' });
+        expect(payment.reference).to.be.a('string');
+    });
+
+    it('should license without paying when there is no fee, and reject an invalid fee before licensing', async () => {
+        expect((await nftService.licenseNFT('7', [creator], [500])).royalties).to.be.null;
+        expect(adapters.StoryProtocol.enforceRoyaltyPayment.called).to.be.false;
+
+        const licenseNFT = sinon.spy(adapters.StoryProtocol, 'licenseNFT');
+        for (const options of [{ fee: -1, owner }, { fee: 100 }]) {
+            try {
+                await nftService.licenseNFT('7', [creator], [500], options);
+                expect.fail('Expected ValidationError');
+            } catch (error) {
+                expect(error.code).to.equal('VALIDATION_FAILED');
+            }
+        }
+        expect(licenseNFT.called).to.be.false;
+        expect(recordEarnings.called).to.be.false;
+    });
+});
@@ -0,0 +1,171 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const PaymentIntent = require('../models/PaymentIntent');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const ledgerService = require('../services/ledgerService');
+const paymentService = require('../services/paymentService');
+const spendingPolicyService = require('../services/spendingPolicyService');
+const chainRegistry = require('../services/chainRegistry');
+const fraudService = require('../services/fraudService');
+const paymentIntentService = require('../services/paymentIntentService');
+
+// Mock data for tests
+const wallet = ethers.Wallet.createRandom();
+const payer = new User({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'buyer',
+    email: 'buyer@example.com',
+    blockchainAddress: wallet.address,
+    wallets: [{ address: wallet.address, chainId: 137 }],
+});
+const creator = new User({ _id: new mongoose.Types.ObjectId(), username: 'artist', email: 'artist@example.com', blockchainAddress: '0x1111111111111111111111111111111111111111' });
+const user = { userId: payer.id };
+const usdc = '0x2222222222222222222222222222222222222222';
+
+// Expect a promise to reject with an error code
+const rejection = async (promise, code) => {
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.code).to.equal(code);
+        return error;
+    }
+    return expect.fail(`Expected ${code}`);
+};
+
+// Sign typed data the way a browser wallet does
+const sign = ({ domain, types, message }, signer = wallet) => signer._signTypedData(domain, types, message);
+
+// Test suite for payment intents signed with EIP-712
+describe('Payment Intent Service', () => {
+    let intents;
+    let balance;
+
+    // In-memory PaymentIntent collection; Circle charges and the ledger are stubbed
+    beforeEach(() => {
+        intents = new Map();
+        balance = 100;
+
+        sinon.stub(User, 'findById').callsFake(async (id) => [payer, creator].find((account) => account.id === String(id)) || null);
+        sinon.stub(chainRegistry, 'getAddress').returns(usdc);
+        sinon.stub(PaymentIntent, 'create').callsFake(async (doc) => {
+            const intent = new PaymentIntent(doc);
+            intents.set(intent.id, intent);
+            return intent;
+        });
+        sinon.stub(PaymentIntent, 'findById').callsFake(async (id) => intents.get(String(id)) || null);
+        sinon.stub(PaymentIntent, 'findOneAndUpdate').callsFake(async ({ _id, status, expiresAt }, update) => {
+            const intent = intents.get(String(_id));
+            if (!intent || intent.status !== status || intent.expiresAt <= expiresAt.$gt) return null;
+            return intent.set(update);
+        });
+        sinon.stub(PaymentIntent, 'updateOne').callsFake(async ({ _id, status }, update) => {
+            const intent = intents.get(String(_id));
+            if (!status || intent.status === status) intent.set(update);
+        });
+        sinon.stub(PaymentIntent.prototype, 'save').callsFake(async function save() { return this; });
+
+        sinon.stub(fraudService, 'screenPayment').resolves({ assessment: { decision: 'allow', score: 0, signals: [] } });
+        sinon.stub(spendingPolicyService, 'authorizePayment').callsFake(async (userId, { payments }) => ({ amount: payments[0].amount, stepUp: 'wallet' }));
+        sinon.stub(ledgerService, 'balances').callsFake(async () => ({ available: balance }));
+        sinon.stub(paymentService, 'valuePayment').resolves(undefined);
+        sinon.stub(paymentService, 'collectPayment').callsFake(async (request) => ({
+            payment: new Payment({ ...request, transactionId: 'circle-tx', status: 'completed' }),
+            transaction: { id: 'circle-tx' },
+        }));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should pay once the payer\'s wallet signs the intent, and only once', async () => {
+        const { intent, typedData } = await paymentIntentService.createIntent(user, { type: 'tip', creatorId: creator.id, amount: '12.5' });
+        expect(intent).to.include({ type: 'tip', amount: 12.5, signer: wallet.address, recipient: creator.blockchainAddress, token: usdc, chainId: 137, status: 'pending' });
+        expect(typedData.domain).to.deep.equal({ name: 'KOSMA', version: '1', chainId: 137 });
+        expect(typedData.message).to.deep.include({ recipient: creator.blockchainAddress, amount: '12500000', token: usdc, nonce: intent.nonce });
+        expect(Number(typedData.message.expiry)).to.equal(Math.floor(intent.expiresAt.getTime() / 1000));
+
+        const signature = await sign(typedData);
+        const { intent: executed, transaction } = await paymentIntentService.executeIntent(user, intent.id, signature);
+        expect(executed.status).to.equal('executed');
+        expect(transaction.id).to.equal('circle-tx');
+        expect(paymentService.collectPayment.calledOnceWith({ type: 'tip', userId: payer.id, creatorId: creator.id, contentId: undefined, amount: 12.5, valuation: undefined })).to.be.true;
+        expect(spendingPolicyService.authorizePayment.firstCall.args[1]).to.deep.equal({ payments: [{ type: 'tip', amount: 12.5, recipientId: creator.id, contentId: undefined }], confirmedWith: 'wallet' });
+        expect(fraudService.screenPayment.firstCall.args[1]).to.deep.include({ source: 'intent', request: { intentId: intent.id } });
+
+        // The same signature cannot pay again
+        const replayed = await rejection(paymentIntentService.executeIntent(user, intent.id, signature), 'CONFLICT');
+        expect(replayed.message).to.match(/already executed/);
+        expect(paymentService.collectPayment.calledOnce).to.be.true;
+    });
+
+    it('should refuse signatures from other wallets, over other amounts, and after the expiry', async () => {
+        const { intent, typedData } = await paymentIntentService.createIntent(user, { type: 'tip', creatorId: creator.id, amount: 5 });
+
+        const forged = await rejection(paymentIntentService.executeIntent(user, intent.id, await sign(typedData, ethers.Wallet.createRandom())), 'FORBIDDEN');
+        expect(forged.message).to.equal('Payment intent is not signed by your wallet');
+
+        const tampered = { ...typedData, message: { ...typedData.message, amount: '500000000' } };
+        await rejection(paymentIntentService.executeIntent(user, intent.id, await sign(tampered)), 'FORBIDDEN');
+        await rejection(paymentIntentService.executeIntent(user, intent.id, 'not a signature'), 'FORBIDDEN');
+
+        // Other users cannot see or execute it
+        await rejection(paymentIntentService.executeIntent({ userId: creator.id }, intent.id, await sign(typedData)), 'NOT_FOUND');
+
+        intent.expiresAt = new Date(Date.now() - 1000);
+        const expired = await rejection(paymentIntentService.executeIntent(user, intent.id, await sign(paymentIntentService.typedDataOf(intent))), 'CONFLICT');
+        expect(expired.message).to.match(/expired/);
+        expect(intent.status).to.equal('expired');
+        expect(paymentService.collectPayment.called).to.be.false;
+
+        const invalid = [
+            [{ type: 'gift', creatorId: creator.id, amount: 1 }, 'type'],
+            [{ type: 'tip', creatorId: payer.id, amount: 1 }, 'creatorId'],
+        ];
+        for (const [request, field] of invalid) {
+            const error = await rejection(paymentIntentService.createIntent(user, request), 'VALIDATION_FAILED');
+            expect(error.details[0].field).to.equal(field);
+        }
+    });
+
+    it('should only let a linked wallet sign, and pay the creator the signed recipient belongs to', async () => {
+        // blockchainAddress of a password account is generated by the server; nobody can sign with it
+        const keyless = new User({ _id: new mongoose.Types.ObjectId(), username: 'saver', email: 'saver@example.com', blockchainAddress: ethers.Wallet.createRandom().address });
+        User.findById.restore();
+        sinon.stub(User, 'findById').callsFake(async (id) => [payer, creator, keyless].find((account) => account.id === String(id)) || null);
+
+        for (const [account, signer] of [[{ userId: keyless.id }, undefined], [user, ethers.Wallet.createRandom().address]]) {
+            const error = await rejection(paymentIntentService.createIntent(account, { type: 'tip', creatorId: creator.id, amount: 5, signer }), 'VALIDATION_FAILED');
+            expect(error.details[0].field).to.equal('signer');
+        }
+
+        // The creator moved to another address after the payer signed: the signature no longer says who gets paid
+        const { intent, typedData } = await paymentIntentService.createIntent(user, { type: 'tip', creatorId: creator.id, amount: 5, signer: wallet.address.toLowerCase() });
+        expect(intent.signer).to.equal(wallet.address);
+        const moved = sinon.stub(creator, 'blockchainAddress').value('0x3333333333333333333333333333333333333333');
+        const error = await rejection(paymentIntentService.executeIntent(user, intent.id, await sign(typedData)), 'CONFLICT');
+        moved.restore();
+        expect(error.message).to.match(/signed recipient/);
+        expect(intent.status).to.equal('failed');
+        expect(paymentService.collectPayment.called).to.be.false;
+    });
+
+    it('should fail the intent, using up its nonce, when the payment cannot be made', async () => {
+        balance = 3;
+        const { intent, typedData } = await paymentIntentService.createIntent(user, { type: 'tip', creatorId: creator.id, amount: 5 });
+        const signature = await sign(typedData);
+
+        await rejection(paymentIntentService.executeIntent(user, intent.id, signature), 'INSUFFICIENT_FUNDS');
+        expect(intent.status).to.equal('failed');
+        expect(intent.error.code).to.equal('INSUFFICIENT_FUNDS');
+
+        balance = 10;
+        await rejection(paymentIntentService.executeIntent(user, intent.id, signature), 'CONFLICT');
+        expect(paymentService.collectPayment.called).to.be.false;
+    });
+});
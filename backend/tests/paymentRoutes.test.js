@@ -0,0 +1,114 @@
+// Import necessary libraries and modules
+const request = require('supertest');
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const app = require('../app'); // Main application file
+const config = require('../config'); // Validated application configuration
+const User = require('../models/User');
+const authService = require('../services/authService');
+const ledgerService = require('../services/ledgerService');
+const fraudService = require('../services/fraudService');
+const paymentService = require('../services/paymentService');
+const spendingPolicyService = require('../services/spendingPolicyService');
+const streamService = require('../services/streamService');
+
+// Mock data for tests
+const fanId = String(new mongoose.Types.ObjectId());
+const creatorId = String(new mongoose.Types.ObjectId());
+const creatorWallet = '0x2222222222222222222222222222222222222222';
+const token = jwt.sign({ userId: fanId, role: 'user', sid: String(new mongoose.Types.ObjectId()) }, config.auth.jwtSecret);
+
+// Test suite for the payment routes, against in-memory users
+describe('Payment Routes', () => {
+    let creatorWallets;
+
+    beforeEach(() => {
+        creatorWallets = [{ address: creatorWallet, chainId: 137 }];
+
+        sinon.stub(authService, 'isSessionActive').resolves(true);
+        sinon.stub(User, 'findById').callsFake(async (id) => {
+            if (String(id) === creatorId) {
+                return new User({ _id: id, username: 'artist', email: 'artist@kosma.io', password: 'x', blockchainAddress: creatorWallet, wallets: creatorWallets });
+            }
+            return String(id) === fanId ? new User({ _id: id, username: 'fan', email: 'fan@kosma.io', password: 'x' }) : null;
+        });
+        sinon.stub(spendingPolicyService, 'authorizePayment').resolves();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('POST /api/v1/payment/tip', () => {
+        let collectPayment;
+
+        beforeEach(() => {
+            sinon.stub(ledgerService, 'balances').resolves({ available: 100 });
+            sinon.stub(fraudService, 'screenPayment').resolves({});
+            sinon.stub(paymentService, 'valuePayment').resolves({ currency: 'USD', rate: 1, value: 5 });
+            collectPayment = sinon.stub(paymentService, 'collectPayment').resolves({ transaction: { id: 'tx1' } });
+        });
+
+        const tip = (body) => request(app)
+            .post('/api/v1/payment/tip')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ amount: 5, ...body });
+
+        it('should tip an existing creator', async () => {
+            const res = await tip({ creatorId });
+
+            expect(res.status).to.equal(201);
+            expect(spendingPolicyService.authorizePayment.firstCall.args[1].payments).to.deep.equal([{ amount: 5, recipientId: creatorId }]);
+            expect(collectPayment.firstCall.args[0]).to.include({ type: 'tip', userId: fanId, creatorId, amount: 5 });
+        });
+
+        it('should reject unknown creators and self-tips before any authorization or charge', async () => {
+            for (const id of ['not-an-id', String(new mongoose.Types.ObjectId())]) {
+                const res = await tip({ creatorId: id });
+                expect(res.status).to.equal(404);
+                expect(res.body.error).to.include({ code: 'NOT_FOUND', message: 'Creator not found' });
+            }
+
+            const res = await tip({ creatorId: fanId });
+            expect(res.status).to.equal(400);
+            expect(res.body.error.code).to.equal('VALIDATION_FAILED');
+            expect(res.body.error.details).to.deep.equal([{ field: 'creatorId', message: 'You cannot pay yourself' }]);
+
+            expect(spendingPolicyService.authorizePayment.called).to.be.false;
+            expect(collectPayment.called).to.be.false;
+        });
+    });
+
+    describe('POST /api/v1/payment/stream', () => {
+        it('should stream to the creator\'s linked wallet', async () => {
+            const stream = { toStatus: () => ({ receiver: creatorWallet }) };
+            const openStream = sinon.stub(streamService, 'openStream').resolves(stream);
+
+            const res = await request(app)
+                .post('/api/v1/payment/stream')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ creatorId, flowRate: '1000000000000' });
+
+            expect(res.status).to.equal(201);
+            expect(openStream.firstCall.args[1]).to.include({ receiver: creatorWallet, flowRate: '1000000000000' });
+        });
+
+        it('should reject a creator who has not linked a wallet before any authorization', async () => {
+            creatorWallets = [];
+            const openStream = sinon.stub(streamService, 'openStream');
+
+            const res = await request(app)
+                .post('/api/v1/payment/stream')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ creatorId, flowRate: '1000000000000' });
+
+            expect(res.status).to.equal(400);
+            expect(res.body.error.code).to.equal('VALIDATION_FAILED');
+            expect(res.body.error.details[0].field).to.equal('creatorId');
+            expect(spendingPolicyService.authorizePayment.called).to.be.false;
+            expect(openStream.called).to.be.false;
+        });
+    });
+});
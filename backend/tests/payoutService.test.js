@@ -0,0 +1,175 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const { CircleAPI } = require('../adapters');
+const Payout = require('../models/Payout');
+const PayoutRun = require('../models/PayoutRun');
+const User = require('../models/User');
+const Content = require('../models/Content');
+const Dispute = require('../models/Dispute');
+const ledgerService = require('../services/ledgerService');
+const notificationService = require('../services/notificationService');
+const jobQueue = require('../services/jobQueue');
+const payoutService = require('../services/payoutService');
+
+// Mock data for tests
+const creator = { userId: String(new mongoose.Types.ObjectId()) };
+const disputed = { userId: String(new mongoose.Types.ObjectId()) };
+const unlinked = { userId: String(new mongoose.Types.ObjectId()) }; // Password account; nobody holds its blockchainAddress key
+const creatorWallet = '0x1111111111111111111111111111111111111111';
+const disputedWallet = '0x2222222222222222222222222222222222222222';
+const payoutWallet = '0x3333333333333333333333333333333333333333';
+const disputeId = new mongoose.Types.ObjectId();
+
+// Apply the parts of a MongoDB update the service uses
+const apply = (doc, { $unset = {}, ...fields }) => {
+    Object.keys($unset).forEach((field) => doc.set(field, undefined));
+    return doc.set(fields);
+};
+
+// Test suite for creator payouts
+describe('Payout Service', () => {
+    let payouts;
+
+    // In-memory Payout collection; the disputed creator owns content with an open dispute
+    beforeEach(() => {
+        payouts = new Map();
+
+        sinon.stub(User, 'findById').callsFake(async (id) => {
+            const wallets = { [creator.userId]: creatorWallet, [disputed.userId]: disputedWallet, [unlinked.userId]: payoutWallet };
+            if (!wallets[String(id)]) return null;
+            const linked = String(id) === unlinked.userId ? [] : [{ address: wallets[String(id)], chainId: 137 }];
+            return new User({ _id: id, username: 'artist', blockchainAddress: wallets[String(id)], wallets: linked });
+        });
+        sinon.stub(Content, 'find').callsFake(({ owner }) => ({
+            distinct: async () => (owner.test(disputedWallet) ? [new mongoose.Types.ObjectId()] : []),
+        }));
+        sinon.stub(Dispute, 'find').returns({ select: async () => [{ _id: disputeId }] });
+
+        sinon.stub(Payout, 'create').callsFake(async ([doc]) => {
+            const payout = new Payout(doc);
+            payouts.set(payout.id, payout);
+            return [payout];
+        });
+        sinon.stub(Payout, 'findById').callsFake(async (id) => payouts.get(String(id)) || null);
+        sinon.stub(Payout, 'find').callsFake(({ status }) => ({
+            sort: () => ({ limit: async () => [...payouts.values()].filter((doc) => status.$in.includes(doc.status)) }),
+        }));
+        sinon.stub(Payout, 'findOneAndUpdate').callsFake(async ({ _id, status }, update) => {
+            const payout = payouts.get(String(_id));
+            const allowed = status && status.$in ? status.$in : [status];
+            if (!payout || !allowed.includes(payout.status)) return null;
+            return apply(payout, update);
+        });
+        sinon.stub(Payout, 'updateOne').callsFake(async ({ _id }, update) => apply(payouts.get(String(_id)), update));
+        sinon.stub(PayoutRun, 'create').callsFake(async (doc) => new PayoutRun(doc));
+        sinon.stub(PayoutRun, 'findByIdAndUpdate').callsFake(async (id, update) => new PayoutRun({ _id: id, ...update }));
+
+        sinon.stub(notificationService, 'notify').resolves();
+        sinon.stub(jobQueue, 'enqueue').callsFake(async (name, payload, { key }) => ({ id: `${name}:${key}`, state: 'waiting' }));
+        sinon.stub(ledgerService, 'balances').resolves({ available: 0, earnings: 40 });
+        sinon.stub(ledgerService, 'transaction').callsFake((fn) => fn({}));
+        sinon.stub(ledgerService, 'recordPayoutHold').resolves();
+        sinon.stub(ledgerService, 'recordPayout').resolves();
+        sinon.stub(ledgerService, 'recordPayoutReturn').resolves();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const step = (name, fn) => fn();
+
+    it('should preview the fees and round the amount sent down to whole cents', async () => {
+        const preview = await payoutService.previewPayout(creator, { amount: '25.123456', chain: 'matic' });
+        expect(preview).to.deep.include({ chain: 'MATIC', amount: 25.123456, networkFee: 0.1, fee: 0.103456, netAmount: 25.02, minAmount: 10, available: 40 });
+
+        // Without an amount the preview is for all earnings, on Circle's configured chain
+        expect(await payoutService.previewPayout(creator)).to.deep.include({ chain: 'ETH', amount: 40, fee: 5, netAmount: 35 });
+
+        for (const [request, field] of [[{ amount: 9.99 }, 'amount'], [{ amount: 20, chain: 'DOGE' }, 'chain']]) {
+            try {
+                await payoutService.previewPayout(creator, request);
+                expect.fail('Expected ValidationError');
+            } catch (error) {
+                expect(error.code).to.equal('VALIDATION_FAILED');
+                expect(error.details[0].field).to.equal(field);
+            }
+        }
+    });
+
+    it('should set the amount aside in the ledger until the payout is sent or cancelled', async () => {
+        const payout = await payoutService.requestPayout(creator, { amount: 20, chain: 'MATIC' });
+        expect(payout).to.include({ status: 'requested', amount: 20, fee: 0.1, netAmount: 19.9, address: creatorWallet, chain: 'MATIC' });
+        expect(ledgerService.recordPayoutHold.calledOnceWith(creator.userId, 20, payout.id)).to.be.true;
+
+        const cancelled = await payoutService.cancelPayout(creator, payout.id);
+        expect(cancelled.status).to.equal('cancelled');
+        expect(ledgerService.recordPayoutReturn.calledOnceWith(payout.userId, 20, payout.id)).to.be.true;
+
+        try {
+            await payoutService.cancelPayout(creator, payout.id);
+            expect.fail('Expected ConflictError');
+        } catch (error) {
+            expect(error.code).to.equal('CONFLICT');
+        }
+        for (const [payee, address] of [[creator, 'not-an-address'], [unlinked, undefined]]) {
+            try {
+                await payoutService.requestPayout(payee, { amount: 20, address });
+                expect.fail('Expected ValidationError');
+            } catch (error) {
+                expect(error.details[0].field).to.equal('address');
+            }
+        }
+
+        // A creator without a linked wallet names the destination
+        expect((await payoutService.requestPayout(unlinked, { amount: 20, address: creatorWallet })).address).to.equal(creatorWallet);
+    });
+
+    it('should send requested payouts in a run and hold those of creators with an open dispute', async () => {
+        const sent = await payoutService.requestPayout(creator, { amount: 30, chain: 'MATIC', address: payoutWallet });
+        const held = await payoutService.requestPayout(disputed, { amount: 15, chain: 'MATIC' });
+
+        const run = await payoutService.startPayoutRun();
+        expect(run).to.include({ sent: 1, held: 1, amount: 30, fees: 0.1 });
+        expect(payouts.get(sent.id)).to.include({ status: 'processing' });
+        expect(String(payouts.get(sent.id).runId)).to.equal(run.id);
+        expect(jobQueue.enqueue.calledOnceWith('payouts.transfer', { payoutId: sent.id })).to.be.true;
+
+        expect(payouts.get(held.id).status).to.equal('on_hold');
+        expect(payouts.get(held.id).hold.disputeIds.map(String)).to.deep.equal([String(disputeId)]);
+        expect(notificationService.notify.calledOnceWith(held.userId, 'payout.on_hold')).to.be.true;
+
+        // Still disputed at the next run: kept on hold without notifying again
+        await payoutService.startPayoutRun();
+        expect(payouts.get(held.id).status).to.equal('on_hold');
+        expect(notificationService.notify.calledOnce).to.be.true;
+    });
+
+    it('should settle a transfer from Circle\'s answer or its webhook, and return failed payouts to earnings', async () => {
+        const transfer = sinon.stub(CircleAPI, 'transfer').resolves({ id: 'circle-7', status: 'complete', amount: 29.9, hash: '0xpaid' });
+        const paid = await payoutService.requestPayout(creator, { amount: 30, chain: 'MATIC', address: payoutWallet });
+        await payoutService.startPayoutRun();
+
+        expect(await payoutService.sendPayout({ payoutId: paid.id }, { step })).to.deep.equal({ payoutId: paid.id, transferId: 'circle-7' });
+        expect(transfer.calledOnceWith(payoutWallet, 29.9, 'MATIC')).to.be.true;
+        expect(payouts.get(paid.id)).to.include({ status: 'paid', hash: '0xpaid' });
+        expect(ledgerService.recordPayout.calledOnceWith(paid.userId, 30, 0.1, paid.id)).to.be.true;
+
+        // Pending at Circle, then failed by webhook
+        transfer.resolves({ id: 'circle-8', status: 'pending', amount: 19.9, hash: 'circle-8' });
+        const failed = await payoutService.requestPayout(creator, { amount: 20, chain: 'MATIC' });
+        await payoutService.startPayoutRun();
+        await payoutService.sendPayout({ payoutId: failed.id }, { step });
+        expect(payouts.get(failed.id).status).to.equal('processing');
+
+        sinon.stub(Payout, 'findOne').returns({ session: async () => payouts.get(failed.id) });
+        const event = { type: 'payment_failed', transactionId: 'circle-8' };
+        expect(await payoutService.applyTransferEvent(event, {})).to.deep.equal({ status: 'processed', outcome: 'Payout failed' });
+        expect(await payoutService.applyTransferEvent(event, {})).to.deep.equal({ status: 'ignored', outcome: 'Payout is failed' });
+        expect(payouts.get(failed.id).status).to.equal('failed');
+        expect(ledgerService.recordPayoutReturn.calledOnceWith(failed.userId, 20, failed.id)).to.be.true;
+        expect(notificationService.notify.lastCall.args[1]).to.equal('payout.failed');
+    });
+});
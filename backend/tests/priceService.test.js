@@ -0,0 +1,117 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const PriceSnapshot = require('../models/PriceSnapshot');
+const fixture = require('../services/priceSources/fixture');
+const priceService = require('../services/priceService');
+
+// Stored prices: ETH moved from 2000 to 2500 USD, EUR from 1.10 to 1.05 USD
+const stored = [
+    { symbol: 'ETH', usd: 2000, at: new Date('2026-01-01T00:00:00Z') },
+    { symbol: 'EUR', usd: 1.1, at: new Date('2026-01-01T00:00:00Z') },
+    { symbol: 'USDC', usd: 1, at: new Date('2026-01-01T00:00:00Z') },
+    { symbol: 'ETH', usd: 2500, at: new Date('2026-02-01T00:00:00Z') },
+    { symbol: 'EUR', usd: 1.05, at: new Date('2026-02-01T00:00:00Z') },
+    { symbol: 'USDC', usd: 0.999, at: new Date('2026-02-01T00:00:00Z') },
+];
+
+// Apply the parts of a MongoDB query the service uses
+const matches = ({ symbol, at = {} }) => (doc) => doc.symbol === symbol
+    && (!at.$lte || doc.at <= at.$lte) && (!at.$lt || doc.at < at.$lt)
+    && (!at.$gte || doc.at >= at.$gte) && (!at.$gt || doc.at > at.$gt);
+const sorted = (docs, { at }) => [...docs].sort((a, b) => (a.at - b.at) * at);
+
+// Test suite for prices and exchange rates
+describe('Price Service', () => {
+
+    beforeEach(() => {
+        priceService.clearCache();
+        sinon.stub(PriceSnapshot, 'findOne').callsFake((query) => ({
+            sort: async (order) => sorted(stored.filter(matches(query)), order)[0] || null,
+        }));
+        sinon.stub(PriceSnapshot, 'find').callsFake((query) => ({
+            sort: (order) => {
+                const docs = sorted(stored.filter(matches(query)), order);
+                return Object.assign(Promise.resolve(docs), { limit: async (limit) => docs.slice(0, limit) });
+            },
+        }));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        priceService.registerSource(fixture);
+    });
+
+    it('should price every supported symbol from the configured sources and cache the result', async () => {
+        const fetchPrices = sinon.spy(fixture, 'fetchPrices');
+        priceService.registerSource(fixture);
+
+        const { quote, prices, sources } = await priceService.getPrices('eur');
+        expect(quote).to.equal('EUR');
+        expect(prices.ETH).to.be.closeTo(3000 / 1.08, 1e-9);
+        expect(prices.EUR).to.equal(1);
+        expect(sources).to.include({ ETH: 'fixture', USD: 'base' });
+
+        expect(await priceService.convert('2', 'ETH', 'USDC')).to.include({ amount: 2, from: 'ETH', to: 'USDC', rate: 3000, value: 6000 });
+        expect(fetchPrices.calledOnce).to.be.true;
+
+        for (const [call, field] of [[() => priceService.getRate('DOGE', 'USD'), 'base'], [() => priceService.convert(-1, 'ETH', 'USD'), 'amount']]) {
+            try {
+                await call();
+                expect.fail('Expected ValidationError');
+            } catch (error) {
+                expect(error.code).to.equal('VALIDATION_FAILED');
+                expect(error.details[0].field).to.equal(field);
+            }
+        }
+    });
+
+    it('should use the rate in effect at a past time, or the earliest one stored before that', async () => {
+        const january = await priceService.getRate('ETH', 'EUR', { at: '2026-01-20T12:00:00Z' });
+        expect(january.rate).to.be.closeTo(2000 / 1.1, 1e-9);
+        expect((await priceService.getRate('ETH', 'USD', { at: '2026-03-01' })).rate).to.equal(2500);
+        expect((await priceService.getRate('ETH', 'USD', { at: '2025-06-01' })).rate).to.equal(2000);
+
+        // Statements value many payments with a few queries
+        PriceSnapshot.find.resetHistory();
+        const values = await priceService.valueAll([
+            { amount: 100, at: new Date('2026-01-15T00:00:00Z') },
+            { amount: 100, at: new Date('2026-02-15T00:00:00Z') },
+        ], { from: 'USDC', to: 'EUR' });
+        expect(values.map(({ value }) => value)).to.deep.equal([90.909091, 95.142857]);
+        expect(PriceSnapshot.find.callCount).to.equal(2);
+
+        try {
+            await priceService.getRate('ETH', 'USD', { at: 'last tuesday' });
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error.details[0].field).to.equal('at');
+        }
+    });
+
+    it('should list stored rates of a pair over a time range', async () => {
+        const { rates } = await priceService.history('ETH', 'EUR', { from: '2026-01-01', to: '2026-03-01' });
+        expect(rates.map(({ at }) => at.toISOString())).to.deep.equal(['2026-01-01T00:00:00.000Z', '2026-02-01T00:00:00.000Z']);
+        expect(rates[1].rate).to.be.closeTo(2500 / 1.05, 1e-9);
+
+        expect((await priceService.history('ETH', 'USD', { from: '2026-01-15' })).rates).to.have.length(1);
+    });
+
+    it('should store a snapshot of every symbol and fail when no source answers', async () => {
+        const insertMany = sinon.stub(PriceSnapshot, 'insertMany').resolves();
+        expect(await priceService.snapshot()).to.equal(7);
+        const [docs] = insertMany.firstCall.args;
+        expect(docs.map(({ symbol }) => symbol)).to.have.members(['ETH', 'MATIC', 'FLOW', 'USDC', 'EUR', 'GBP', 'JPY']);
+        expect(new Set(docs.map(({ at }) => at.getTime())).size).to.equal(1);
+        expect(docs[0].source).to.equal('fixture');
+
+        priceService.clearCache();
+        priceService.registerSource({ name: 'fixture', fetchPrices: sinon.stub().rejects(new Error('offline')) });
+        try {
+            await priceService.getPrices();
+            expect.fail('Expected IntegrationError');
+        } catch (error) {
+            expect(error.code).to.equal('UPSTREAM_FAILED');
+        }
+    });
+});
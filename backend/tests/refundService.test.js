@@ -0,0 +1,166 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const paymentService = require('../services/paymentService');
+const ledgerService = require('../services/ledgerService');
+const royaltyReportService = require('../services/royaltyReportService');
+const notificationService = require('../services/notificationService');
+const jobQueue = require('../services/jobQueue');
+const refundService = require('../services/refundService');
+const { IntegrationError, ValidationError } = require('../errors');
+
+// Mock data for tests
+const buyer = { userId: String(new mongoose.Types.ObjectId()) };
+const creator = { userId: String(new mongoose.Types.ObjectId()) };
+const admin = { userId: String(new mongoose.Types.ObjectId()), role: 'admin' };
+
+// Query double resolving to `value` once its session is set
+const query = (value) => ({ session: async () => value });
+
+// Test suite for refund requests and approvals
+describe('Refund Service', () => {
+    let payment;
+    let refunds;
+
+    // One completed purchase and an in-memory Refund collection with its one-open-refund index
+    beforeEach(() => {
+        payment = new Payment({ userId: buyer.userId, creatorId: creator.userId, amount: 10, type: 'purchase', transactionId: 'circle-1', status: 'completed' });
+        refunds = new Map();
+
+        sinon.stub(Payment, 'findById').callsFake((id) => {
+            const found = String(id) === payment.id ? payment : null;
+            return Object.assign(Promise.resolve(found), query(found));
+        });
+        sinon.stub(Payment, 'updateOne').callsFake(async (filter, update) => Object.assign(payment, update));
+
+        sinon.stub(Refund, 'create').callsFake(async (doc) => {
+            if ([...refunds.values()].some((refund) => Refund.OPEN_STATUSES.includes(refund.status))) {
+                throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+            }
+            const refund = new Refund(doc);
+            refunds.set(refund.id, refund);
+            return refund;
+        });
+        sinon.stub(Refund, 'findById').callsFake(async (id) => refunds.get(String(id)) || null);
+        sinon.stub(Refund, 'findOneAndUpdate').callsFake(async ({ _id, status }, update) => {
+            const refund = refunds.get(String(_id));
+            if (!refund || refund.status !== status) return null;
+            return refund.set(update);
+        });
+
+        sinon.stub(notificationService, 'notify').resolves();
+        sinon.stub(jobQueue, 'enqueue').callsFake(async (name, payload, { key }) => ({ id: `${name}:${key}`, state: 'waiting' }));
+        sinon.stub(ledgerService, 'transaction').callsFake((fn) => fn({}));
+        sinon.stub(ledgerService, 'recordRefund').resolves();
+        sinon.stub(royaltyReportService, 'reverseEarnings').resolves(0);
+        sinon.stub(paymentService, 'processRefund').resolves({ id: 'circle-2', status: 'complete', amount: 4 });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should let the buyer ask for part of a purchase back and tell the creator', async () => {
+        const refund = await refundService.requestRefund(buyer, { paymentId: payment.id, amount: 4, reason: 'Video cuts off halfway' });
+
+        expect(refund).to.include({ status: 'requested', amount: 4 });
+        expect(String(refund.creatorId)).to.equal(creator.userId);
+        expect(notificationService.notify.calledTwice).to.be.true;
+        expect(notificationService.notify.secondCall.args.slice(0, 2)).to.deep.equal([refund.creatorId, 'refund.requested']);
+
+        try {
+            await refundService.requestRefund(buyer, { paymentId: payment.id, amount: 1, reason: 'Again' });
+            expect.fail('Expected ConflictError');
+        } catch (error) {
+            expect(error.code).to.equal('CONFLICT');
+        }
+    });
+
+    it('should refuse refunds of someone else\'s payment or of more than is left', async () => {
+        payment.refundedAmount = 7;
+
+        try {
+            await refundService.requestRefund(creator, { paymentId: payment.id, reason: 'Not mine' });
+            expect.fail('Expected NotFoundError');
+        } catch (error) {
+            expect(error.code).to.equal('NOT_FOUND');
+        }
+        try {
+            await refundService.requestRefund(buyer, { paymentId: payment.id, amount: 3.5, reason: 'Too much' });
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error).to.be.instanceOf(ValidationError);
+            expect(error.details).to.deep.equal({ refundable: 3, requested: 3.5 });
+        }
+    });
+
+    it('should only let the creator or an admin decide, and only once', async () => {
+        const refund = await refundService.requestRefund(buyer, { paymentId: payment.id, amount: 4, reason: 'Wrong item' });
+
+        try {
+            await refundService.approveRefund(buyer, refund.id);
+            expect.fail('Expected AuthorizationError');
+        } catch (error) {
+            expect(error.code).to.equal('FORBIDDEN');
+        }
+
+        const { refund: approved, job } = await refundService.approveRefund(creator, refund.id, { amount: 3, note: 'Partial credit' });
+        expect(approved).to.include({ status: 'approved', approvedAmount: 3 });
+        expect(job.id).to.equal(`payment.refund:${refund.id}`);
+
+        try {
+            await refundService.rejectRefund(admin, refund.id);
+            expect.fail('Expected ConflictError');
+        } catch (error) {
+            expect(error.message).to.equal('Refund is already approved');
+        }
+    });
+
+    it('should refund through Circle, reverse the split and tell the buyer', async () => {
+        const refund = await refundService.requestRefund(buyer, { paymentId: payment.id, amount: 4, reason: 'Wrong item' });
+        await refundService.approveRefund(admin, refund.id);
+        const step = (name, fn) => fn();
+
+        const result = await refundService.executeRefund({ refundId: refund.id }, { step });
+
+        expect(result).to.deep.equal({ refundId: refund.id, transactionId: 'circle-2' });
+        expect(paymentService.processRefund.calledOnceWith('circle-1', 4)).to.be.true;
+        expect(ledgerService.recordRefund.firstCall.args.slice(0, 3)).to.deep.equal(['purchase', 'circle-1', `refund:${refund.id}`]);
+        expect(ledgerService.recordRefund.firstCall.args[3]).to.include({ amount: 4, overdraft: true });
+        expect(royaltyReportService.reverseEarnings.firstCall.args.slice(0, 2))
+            .to.deep.equal(['circle-1', { reference: `refund:${refund.id}`, refunded: 4000000, paid: 10000000 }]);
+        expect(payment).to.include({ refundedAmount: 4, status: 'partially_refunded' });
+        expect(refunds.get(refund.id).status).to.equal('completed');
+        expect(notificationService.notify.lastCall.args.slice(1, 2)).to.deep.equal(['refund.completed']);
+    });
+
+    it('should mark the refund failed when Circle refuses it', async () => {
+        const refund = await refundService.requestRefund(buyer, { paymentId: payment.id, reason: 'Wrong item' });
+        await refundService.approveRefund(creator, refund.id);
+        paymentService.processRefund.rejects(new ValidationError('Transfer cannot be reversed'));
+
+        try {
+            await refundService.executeRefund({ refundId: refund.id }, { step: (name, fn) => fn() });
+            expect.fail('Expected the refund to fail');
+        } catch (error) {
+            expect(error.code).to.equal('VALIDATION_FAILED');
+        }
+        expect(refunds.get(refund.id).status).to.equal('failed');
+        expect(ledgerService.recordRefund.called).to.be.false;
+
+        // A transient failure is left for the job queue to retry
+        const retried = await refundService.requestRefund(buyer, { paymentId: payment.id, reason: 'Try again' });
+        await refundService.approveRefund(creator, retried.id);
+        paymentService.processRefund.rejects(new IntegrationError('Circle is unavailable'));
+        try {
+            await refundService.executeRefund({ refundId: retried.id }, { step: (name, fn) => fn() });
+            expect.fail('Expected the refund to fail');
+        } catch (error) {
+            expect(error.code).to.equal('UPSTREAM_FAILED');
+        }
+        expect(refunds.get(retried.id).status).to.equal('approved');
+    });
+});
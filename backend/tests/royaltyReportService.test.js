@@ -0,0 +1,158 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const RoyaltyEarning = require('../models/RoyaltyEarning');
+const User = require('../models/User');
+const royaltyService = require('../services/royaltyService');
+const priceService = require('../services/priceService');
+const royaltyReportService = require('../services/royaltyReportService');
+
+// Mock data for tests
+const creatorWallet = '0xAbCdEf0000000000000000000000000000000001';
+const producerWallet = '0x2222222222222222222222222222222222222222';
+const creatorId = new mongoose.Types.ObjectId();
+const creator = { userId: String(creatorId) };
+const contentId = new mongoose.Types.ObjectId();
+
+const earning = (overrides) => new RoyaltyEarning({
+    userId: creatorId,
+    recipient: creatorWallet,
+    source: 'sale',
+    reference: '0xhash',
+    contentId,
+    payer: 'buyer, "the collector"',
+    grossAmount: 95000000,
+    bps: 750,
+    amount: 7125000,
+    earnedAt: new Date('2026-03-14T10:00:00Z'),
+    ...overrides,
+});
+
+// Test suite for royalty reporting
+describe('Royalty Report Service', () => {
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should record each paid recipient once, linked to their account', async () => {
+        sinon.stub(User, 'find').resolves([new User({ _id: creatorId, blockchainAddress: creatorWallet.toLowerCase() })]);
+        const insertMany = sinon.stub(RoyaltyEarning, 'insertMany').callsFake(async (docs) => docs);
+        const split = royaltyService.validateSplit([creatorWallet, producerWallet], [750, 250]);
+        const breakdown = royaltyService.splitPayment(100000000, split, { seller: 'seller', feeBps: 500 });
+
+        expect(await royaltyReportService.recordEarnings(breakdown, { source: 'sale', reference: '0xhash', contentId })).to.equal(2);
+        const [docs] = insertMany.firstCall.args;
+        expect(docs.map(({ userId }) => userId)).to.deep.equal([creatorId, undefined]);
+        expect(docs[0]).to.include({ recipient: creatorWallet, grossAmount: 95000000, bps: 750, amount: 7125000 });
+
+        // A retried sale hits the unique (reference, recipient) index
+        insertMany.rejects(Object.assign(new Error('E11000'), { code: 11000, writeErrors: [{ code: 11000 }, { code: 11000 }], insertedDocs: [] }));
+        expect(await royaltyReportService.recordEarnings(breakdown, { source: 'sale', reference: '0xhash' })).to.equal(0);
+    });
+
+    it('should offset the refunded share of a payment\'s earnings, to the unit once fully refunded', async () => {
+        const earnings = [earning()];
+        sinon.stub(RoyaltyEarning, 'find').callsFake(({ reference, reverses }) => ({
+            session: async () => earnings.filter((doc) => (reverses
+                ? reverses.$in.some((id) => id.equals(doc.reverses))
+                : doc.reference === reference && doc.source !== 'refund')),
+        }));
+        sinon.stub(RoyaltyEarning, 'insertMany').callsFake(async (docs) => {
+            earnings.push(...docs.map((doc) => new RoyaltyEarning(doc)));
+            return docs;
+        });
+        const refundedAt = new Date('2026-04-02T00:00:00Z');
+
+        // A third of the payment, then the rest
+        expect(await royaltyReportService.reverseEarnings('0xhash', { reference: 'refund:1', refunded: 33333333, paid: 100000000, refundedAt })).to.equal(1);
+        expect(earnings[1]).to.include({ source: 'refund', reference: 'refund:1', amount: -2374999, grossAmount: -31666666, bps: 750, earnedAt: refundedAt });
+        expect(earnings[1].reverses.equals(earnings[0]._id)).to.equal(true);
+        expect(earnings[1].validateSync()).to.be.undefined;
+
+        await royaltyReportService.reverseEarnings('0xhash', { reference: 'refund:2', refunded: 100000000, paid: 100000000, refundedAt });
+        expect(earnings.reduce((sum, { amount }) => sum + amount, 0)).to.equal(0);
+        expect(earnings.reduce((sum, { grossAmount }) => sum + grossAmount, 0)).to.equal(0);
+
+        // Payments without royalty earnings have nothing to offset
+        expect(await royaltyReportService.reverseEarnings('circle-1', { reference: 'refund:3', refunded: 1, paid: 2 })).to.equal(0);
+        expect(earnings).to.have.length(3);
+    });
+
+    it('should total earnings per month within the date range', async () => {
+        const aggregate = sinon.stub(RoyaltyEarning, 'aggregate').resolves([
+            { _id: '2026-02', amount: 1500000, count: 2 },
+            { _id: '2026-03', amount: 7125000, count: 1 },
+        ]);
+
+        const summary = await royaltyReportService.summarize(creator, { from: '2026-01-01', to: '2026-04-01' });
+
+        const [[{ $match }, { $group }]] = aggregate.firstCall.args;
+        expect($match.userId.equals(creatorId)).to.equal(true);
+        expect($match.earnedAt).to.deep.equal({ $gte: new Date('2026-01-01'), $lt: new Date('2026-04-01') });
+        expect($group._id.$dateToString.format).to.equal('%Y-%m');
+        expect(summary).to.deep.include({ groupBy: 'month', total: 8.625, count: 3 });
+        expect(summary.earnings[1]).to.deep.equal({ period: '2026-03', date: new Date('2026-03-01T00:00:00Z'), amount: 7.125, count: 1 });
+
+        try {
+            await royaltyReportService.summarize(creator, { from: '2026-04-01', to: '2026-01-01' });
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error.code).to.equal('VALIDATION_FAILED');
+        }
+    });
+
+    it('should write monthly statements as CSV and PDF', async () => {
+        sinon.stub(User, 'findById').resolves(new User({ _id: creatorId, username: 'creator', blockchainAddress: creatorWallet }));
+        const find = sinon.stub(RoyaltyEarning, 'find').returns({ sort: sinon.stub().resolves([earning(), earning({ reference: '0xother', amount: 1000000 })]) });
+
+        const csv = await royaltyReportService.statementFile(creator, '2026-03');
+        expect(find.firstCall.args[0].earnedAt).to.deep.equal({ $gte: new Date('2026-03-01T00:00:00Z'), $lt: new Date('2026-04-01T00:00:00Z') });
+        expect(csv).to.include({ filename: 'kosma-royalties-2026-03.csv', contentType: 'text/csv; charset=utf-8' });
+        const rows = csv.body.trim().split('\r\n');
+        expect(rows[0]).to.equal('date,source,content_id,nft_id,payer,gross_usdc,share_bps,amount_usdc,reference');
+        expect(rows[1]).to.equal(`2026-03-14T10:00:00.000Z,sale,${contentId},,"buyer, ""the collector""",95,750,7.125,0xhash`);
+
+        const pdf = await royaltyReportService.statementFile(creator, '2026-03', 'pdf');
+        const text = pdf.body.toString('latin1');
+        expect(pdf.contentType).to.equal('application/pdf');
+        expect(text.startsWith('%PDF-1.4')).to.equal(true);
+        expect(text).to.include('(Total royalties: 8.125000 USDC from 2 payment\\(s\\)) Tj');
+        expect(text).to.include('(Period:    2026-03-01 to 2026-03-31 \\(UTC\\)) Tj');
+
+        // The cross-reference table points at each object
+        const xref = Number(/startxref\n(\d+)/.exec(text)[1]);
+        const firstOffset = Number(/0000000000 65535 f \n(\d{10})/.exec(text.slice(xref))[1]);
+        expect(text.slice(firstOffset, firstOffset + 7)).to.equal('1 0 obj');
+    });
+
+    it('should value statement payments in another currency at the rate of their date', async () => {
+        sinon.stub(User, 'findById').resolves(null);
+        sinon.stub(RoyaltyEarning, 'find').returns({ sort: sinon.stub().resolves([earning(), earning({ reference: '0xother', amount: 1000000 })]) });
+        const valueAll = sinon.stub(priceService, 'valueAll').resolves([{ rate: 0.92, value: 6.555 }, { rate: 0.9, value: 0.9 }]);
+
+        const statement = await royaltyReportService.buildStatement(creator, '2026-03', { currency: 'eur' });
+        expect(valueAll.firstCall.args).to.deep.equal([
+            [{ amount: 7.125, at: new Date('2026-03-14T10:00:00Z') }, { amount: 1, at: new Date('2026-03-14T10:00:00Z') }],
+            { from: 'USDC', to: 'eur' },
+        ]);
+        expect(statement).to.include({ currency: 'EUR', totalValue: 7.455 });
+        expect(statement.entries[0].value).to.deep.equal({ currency: 'EUR', rate: 0.92, value: 6.555 });
+
+        const rows = royaltyReportService.toCsv(statement).trim().split('\r\n');
+        expect(rows[0].endsWith(',reference,usdc_eur_rate,amount_eur')).to.equal(true);
+        expect(rows[1].endsWith(',0xhash,0.92,6.555')).to.equal(true);
+    });
+
+    it('should reject unknown statement periods and formats', async () => {
+        for (const [period, format] of [['2026-13', 'csv'], ['March', 'csv'], ['2026', 'xlsx']]) {
+            try {
+                await royaltyReportService.statementFile(creator, period, format);
+                expect.fail('Expected ValidationError');
+            } catch (error) {
+                expect(error.code).to.equal('VALIDATION_FAILED');
+            }
+        }
+    });
+});
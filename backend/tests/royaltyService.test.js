@@ -0,0 +1,66 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const royaltyService = require('../services/royaltyService');
+
+// Mock data for tests
+const creator = '0x1111111111111111111111111111111111111111';
+const producer = '0x2222222222222222222222222222222222222222';
+const vocalist = '0x3333333333333333333333333333333333333333';
+const seller = '0x4444444444444444444444444444444444444444';
+
+// Sum of every part of a breakdown
+const parts = ({ platformFee, recipients, seller: rest }) => platformFee
+    + recipients.reduce((sum, { amount }) => sum + amount, 0)
+    + (rest ? rest.amount : 0);
+
+// Test suite for the royalty engine
+describe('Royalty Service', () => {
+
+    it('should take the platform fee, pay royalties on the rest and leave the remainder to the seller', () => {
+        const split = royaltyService.validateSplit([creator, producer], [750, 250]);
+        const breakdown = royaltyService.splitPayment(100000000, split, { seller, feeBps: 500 });
+
+        expect(breakdown).to.include({ platformFee: 5000000, royaltyBps: 1000, royalties: 9500000, dust: 0 });
+        expect(breakdown.recipients).to.deep.equal([
+            { recipient: creator, bps: 750, amount: 7125000 },
+            { recipient: producer, bps: 250, amount: 2375000 },
+        ]);
+        expect(breakdown.seller).to.deep.equal({ recipient: seller, amount: 85500000 });
+        expect(parts(breakdown)).to.equal(100000000);
+    });
+
+    it('should give the rounding dust to the first recipient, the same way every time', () => {
+        const split = royaltyService.validateSplit([creator, producer, vocalist], [3333, 3333, 3334], { whole: true });
+
+        const breakdown = royaltyService.splitPayment(100, split, { feeBps: 0 });
+        expect(breakdown.recipients.map(({ amount }) => amount)).to.deep.equal([34, 33, 33]);
+        expect(breakdown.dust).to.equal(1);
+        expect(parts(breakdown)).to.equal(100);
+        expect(royaltyService.splitPayment(100, split, { feeBps: 0 })).to.deep.equal(breakdown);
+
+        // Many recipients and an awkward amount still add up exactly
+        const many = Array.from({ length: 7 }, (_, index) => `0x${String(index + 1).repeat(40)}`);
+        const uneven = royaltyService.validateSplit(many, [1429, 1429, 1428, 1428, 1429, 1428, 1429], { whole: true });
+        const license = royaltyService.splitPayment(999999, uneven, { feeBps: 250 });
+        expect(parts(license)).to.equal(999999);
+        expect(license.dust).to.be.within(0, many.length - 1);
+    });
+
+    it('should reject malformed splits', () => {
+        const cases = [
+            [[creator], [100.5]],
+            [[creator, producer], [5000]],
+            [[creator, creator.toUpperCase()], [100, 100]],
+            [[creator, producer], [6000, 4001]],
+            [[], []],
+        ];
+        cases.forEach(([recipients, shares]) => {
+            expect(() => royaltyService.validateSplit(recipients, shares)).to.throw('Invalid royalty split');
+        });
+
+        // License fees go entirely to the recipients, so their shares must total 100%
+        expect(() => royaltyService.validateSplit([creator], [9000], { whole: true })).to.throw('exactly');
+        expect(() => royaltyService.splitPayment(100, [{ recipient: creator, bps: 9000 }])).to.throw('Without a seller');
+        expect(() => royaltyService.splitPayment(1.5, [], { seller })).to.throw('ledger units');
+    });
+});
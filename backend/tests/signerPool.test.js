@@ -0,0 +1,90 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const { ManagedSigner } = require('../services/signerPool');
+
+// Mock data for tests
+const operator = '0x1111111111111111111111111111111111111111';
+const recipient = '0x2222222222222222222222222222222222222222';
+
+// Wallet double: the chain reports `onChainNonce` pending transactions, sends echo the nonce
+const mockWallet = (state) => ({
+    address: operator,
+    provider: { getTransactionCount: sinon.stub().callsFake(async () => state.onChainNonce) },
+    sendTransaction: sinon.stub().callsFake(async (tx) => {
+        await new Promise((resolve) => setImmediate(resolve));
+        return { hash: `0x${tx.nonce}`, from: operator, nonce: tx.nonce };
+    }),
+});
+
+const nonceError = () => Object.assign(new Error('nonce has already been used'), { code: 'NONCE_EXPIRED' });
+
+// Test suite for the signer pool
+describe('Managed Signer', () => {
+
+    it('should hand out consecutive nonces to concurrent sends', async () => {
+        const wallet = mockWallet({ onChainNonce: 5 });
+        const signer = new ManagedSigner(wallet, 'polygon');
+
+        const sent = await Promise.all([1, 2, 3, 4].map(() => signer.sendTransaction({ to: recipient, value: 1 })));
+
+        expect(sent.map((tx) => tx.nonce)).to.deep.equal([5, 6, 7, 8]);
+        expect(wallet.provider.getTransactionCount.calledOnceWith(operator, 'pending')).to.be.true;
+        expect(signer.nextNonce).to.equal(9);
+    });
+
+    it('should report how many sends are waiting', async () => {
+        const signer = new ManagedSigner(mockWallet({ onChainNonce: 0 }), 'polygon');
+
+        const pending = [signer.sendTransaction({ to: recipient }), signer.sendTransaction({ to: recipient })];
+        expect(signer.queueDepth).to.equal(2);
+
+        await Promise.all(pending);
+        await signer.queue;
+        expect(signer.queueDepth).to.equal(0);
+    });
+
+    it('should resync from the chain after a failed send', async () => {
+        const state = { onChainNonce: 3 };
+        const wallet = mockWallet(state);
+        const signer = new ManagedSigner(wallet, 'polygon');
+        wallet.sendTransaction.onFirstCall().rejects(Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' }));
+
+        try {
+            await signer.sendTransaction({ to: recipient });
+            expect.fail('Expected the send to fail');
+        } catch (error) {
+            expect(error.code).to.equal('CALL_EXCEPTION');
+        }
+        expect(signer.nextNonce).to.be.null;
+
+        const tx = await signer.sendTransaction({ to: recipient });
+        expect(tx.nonce).to.equal(3);
+        expect(wallet.provider.getTransactionCount.calledTwice).to.be.true;
+    });
+
+    it('should retry once with a fresh nonce when the key was used elsewhere', async () => {
+        const state = { onChainNonce: 10 };
+        const wallet = mockWallet(state);
+        const signer = new ManagedSigner(wallet, 'polygon');
+        await signer.sendTransaction({ to: recipient }); // nonce 10
+
+        state.onChainNonce = 13; // Another process sent 11 and 12
+        wallet.sendTransaction.onSecondCall().rejects(nonceError());
+
+        const tx = await signer.sendTransaction({ to: recipient });
+        expect(tx.nonce).to.equal(13);
+        expect(signer.nextNonce).to.equal(14);
+    });
+
+    it('should keep an explicit nonce without consuming the next one', async () => {
+        const signer = new ManagedSigner(mockWallet({ onChainNonce: 20 }), 'polygon');
+        await signer.sendTransaction({ to: recipient }); // nonce 20
+
+        const replacement = await signer.sendTransaction({ to: recipient, nonce: 20, gasPrice: 2 });
+        const next = await signer.sendTransaction({ to: recipient });
+
+        expect(replacement.nonce).to.equal(20);
+        expect(next.nonce).to.equal(21);
+    });
+});
@@ -0,0 +1,195 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const SpendingPolicy = require('../models/SpendingPolicy');
+const StepUpChallenge = require('../models/StepUpChallenge');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const CrossChainPayment = require('../models/CrossChainPayment');
+const streamService = require('../services/streamService');
+const spendingPolicyService = require('../services/spendingPolicyService');
+
+// Mock data for tests
+const wallet = ethers.Wallet.createRandom();
+const payer = new User({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'buyer',
+    email: 'buyer@example.com',
+    blockchainAddress: wallet.address,
+    wallets: [{ address: wallet.address, chainId: 1 }],
+});
+const user = { userId: payer.id };
+
+// Password account: its blockchainAddress was generated by the server and nobody holds the key
+const unlinked = new User({ _id: new mongoose.Types.ObjectId(), username: 'saver', email: 'saver@example.com', blockchainAddress: ethers.Wallet.createRandom().address });
+const creatorId = String(new mongoose.Types.ObjectId());
+const otherCreatorId = String(new mongoose.Types.ObjectId());
+
+// Expect a promise to reject with an error code
+const rejection = async (promise, code) => {
+    try {
+        await promise;
+    } catch (error) {
+        expect(error.code).to.equal(code);
+        return error;
+    }
+    return expect.fail(`Expected ${code}`);
+};
+
+// Test suite for spending policies and step-up authorization
+describe('Spending Policy Service', () => {
+    let policy;
+    let challenges;
+    let spent;
+
+    // One stored policy, in-memory challenges, and 24-hour spending split between payments and cross-chain payments
+    beforeEach(() => {
+        policy = null;
+        challenges = new Map();
+        spent = { payments: 0, crossChain: 0 };
+
+        sinon.stub(User, 'findById').callsFake(async (id) => [payer, unlinked].find((account) => account.id === String(id)) || null);
+        sinon.stub(User, 'updateOne').callsFake(async ({ $or }, { $set }) => {
+            const lastStep = payer.twoFactorLastStep;
+            const fresh = lastStep === undefined || lastStep < $or[1].twoFactorLastStep.$lt;
+            if (fresh) payer.twoFactorLastStep = $set.twoFactorLastStep;
+            return { modifiedCount: fresh ? 1 : 0 };
+        });
+        sinon.stub(User, 'countDocuments').callsFake(async ({ _id }) => _id.$in.filter((id) => [creatorId, otherCreatorId].includes(id)).length);
+        sinon.stub(SpendingPolicy, 'findOne').callsFake(async () => policy);
+        sinon.stub(SpendingPolicy, 'findOneAndUpdate').callsFake(async (filter, { $set = {}, $unset = {} }) => {
+            policy = policy || new SpendingPolicy({ userId: payer._id });
+            Object.keys($unset).forEach((field) => policy.set(field, undefined));
+            return policy.set($set);
+        });
+        sinon.stub(Payment, 'aggregate').callsFake(async () => [{ amount: spent.payments }]);
+        sinon.stub(CrossChainPayment, 'aggregate').callsFake(async () => [{ amount: spent.crossChain }]);
+        sinon.stub(StepUpChallenge, 'create').callsFake(async (doc) => {
+            const challenge = new StepUpChallenge(doc);
+            challenges.set(challenge.id, challenge);
+            return challenge;
+        });
+        sinon.stub(StepUpChallenge, 'findOneAndUpdate').callsFake(async ({ _id, expiresAt }, update) => {
+            const challenge = challenges.get(String(_id));
+            if (!challenge || challenge.usedAt || challenge.expiresAt <= expiresAt.$gt) return null;
+            return challenge.set(update);
+        });
+    });
+
+    afterEach(() => {
+        payer.twoFactorSecret = undefined;
+        payer.twoFactorLastStep = undefined;
+        sinon.restore();
+    });
+
+    // Sign a fresh challenge with the payer's wallet
+    const signChallenge = async () => {
+        const { challengeId, message } = await spendingPolicyService.createChallenge(user);
+        return { challengeId, signature: await wallet.signMessage(message) };
+    };
+
+    it('should reject payments over the per-transaction limit, to other recipients or past the daily cap', async () => {
+        policy = new SpendingPolicy({ userId: payer._id, perTransactionLimit: 25, dailyCap: 60, allowedRecipients: [creatorId] });
+        spent = { payments: 20.5, crossChain: 10 };
+
+        expect(await spendingPolicyService.authorizePayment(payer.id, { payments: [{ amount: 25, recipientId: creatorId }] }))
+            .to.deep.equal({ amount: 25, stepUp: null });
+
+        const tooLarge = await rejection(spendingPolicyService.authorizePayment(payer.id, { payments: [{ amount: 25.01, recipientId: creatorId }] }), 'SPENDING_LIMIT_EXCEEDED');
+        expect(tooLarge.status).to.equal(403);
+        expect(tooLarge.details).to.deep.equal({ rule: 'perTransactionLimit', limit: 25, amount: 25.01 });
+
+        const recipients = [{ amount: 5, recipientId: creatorId }, { amount: 5, recipientId: otherCreatorId }];
+        const blocked = await rejection(spendingPolicyService.authorizePayment(payer.id, { payments: recipients }), 'SPENDING_LIMIT_EXCEEDED');
+        expect(blocked.details).to.deep.equal({ rule: 'allowedRecipients', recipients: [otherCreatorId] });
+
+        const capped = await rejection(spendingPolicyService.authorizePayment(payer.id, { payments: [{ amount: 20, recipientId: creatorId }, { amount: 9.6, recipientId: creatorId }] }), 'SPENDING_LIMIT_EXCEEDED');
+        expect(capped.details).to.deep.equal({ rule: 'dailyCap', limit: 60, spent: 30.5, amount: 29.6 });
+
+        // Streams are not counted toward the daily cap; their limits apply to what they pay in a month
+        spent = { payments: 59, crossChain: 0 };
+        const monthly = streamService.monthlyAmount(String(10n ** 18n / 2592000n));
+        expect(monthly).to.be.closeTo(1, 1e-6);
+        expect((await spendingPolicyService.authorizePayment(payer.id, { payments: [{ amount: 24, recipientId: creatorId }], daily: false })).stepUp).to.equal(null);
+    });
+
+    it('should reject a negative or non-numeric amount before adding payments up', async () => {
+        // Without the check, -100 would bring a 150 USDC tip under the step-up threshold
+        for (const amount of [-100, 'ten', 0, '1e3']) {
+            const payments = [{ amount: 150, recipientId: creatorId }, { amount, recipientId: otherCreatorId }];
+            const error = await rejection(spendingPolicyService.authorizePayment(payer.id, { payments }), 'VALIDATION_FAILED');
+            expect(error.details[0].field).to.equal('amount');
+        }
+    });
+
+    it('should ask for a wallet signature above the step-up threshold and accept each challenge once', async () => {
+        const payments = [{ amount: 60, recipientId: creatorId }, { amount: 40.5, recipientId: otherCreatorId }];
+
+        const required = await rejection(spendingPolicyService.authorizePayment(payer.id, { payments }), 'STEP_UP_REQUIRED');
+        expect(required.details).to.deep.equal({ threshold: 100, amount: 100.5, methods: ['wallet'] });
+
+        const stepUp = await signChallenge();
+        expect(await spendingPolicyService.authorizePayment(payer.id, { payments, stepUp })).to.deep.equal({ amount: 100.5, stepUp: 'wallet' });
+        const reused = await rejection(spendingPolicyService.authorizePayment(payer.id, { payments, stepUp }), 'FORBIDDEN');
+        expect(reused.message).to.match(/already used/);
+
+        // Signed by another wallet
+        const { challengeId, message } = await spendingPolicyService.createChallenge(user);
+        const signature = await ethers.Wallet.createRandom().signMessage(message);
+        const forged = await rejection(spendingPolicyService.authorizePayment(payer.id, { payments, stepUp: { challengeId, signature } }), 'FORBIDDEN');
+        expect(forged.message).to.equal('Invalid wallet signature');
+
+        // A wallet that is not linked cannot be asked to sign
+        await rejection(spendingPolicyService.createChallenge(user, { address: ethers.Wallet.createRandom().address }), 'VALIDATION_FAILED');
+
+        // A lower threshold of the user's own asks sooner
+        policy = new SpendingPolicy({ userId: payer._id, stepUpThreshold: 10 });
+        await rejection(spendingPolicyService.authorizePayment(payer.id, { payments: [{ amount: 11, recipientId: creatorId }] }), 'STEP_UP_REQUIRED');
+    });
+
+    it('should accept each TOTP code once', async () => {
+        const speakeasy = require('speakeasy');
+        payer.twoFactorSecret = speakeasy.generateSecret().base32;
+        const payments = [{ amount: 150, recipientId: creatorId }];
+        const totp = speakeasy.totp({ secret: payer.twoFactorSecret, encoding: 'base32' });
+
+        expect(await spendingPolicyService.authorizePayment(payer.id, { payments, stepUp: { totp } })).to.deep.equal({ amount: 150, stepUp: 'totp' });
+        const replayed = await rejection(spendingPolicyService.authorizePayment(payer.id, { payments, stepUp: { totp } }), 'FORBIDDEN');
+        expect(replayed.message).to.match(/already used/);
+    });
+
+    it('should not offer wallet step-up for an address the user never linked', async () => {
+        const payments = [{ amount: 150, recipientId: creatorId }];
+        const required = await rejection(spendingPolicyService.authorizePayment(unlinked.id, { payments }), 'STEP_UP_REQUIRED');
+        expect(required.details.methods).to.deep.equal([]);
+
+        const error = await rejection(spendingPolicyService.createChallenge({ userId: unlinked.id }), 'VALIDATION_FAILED');
+        expect(error.details[0].field).to.equal('address');
+
+        // With no method to confirm it, loosening the policy does not wait for a step-up that cannot come
+        policy = new SpendingPolicy({ userId: unlinked._id, dailyCap: 50 });
+        expect(await spendingPolicyService.updatePolicy({ userId: unlinked.id }, { dailyCap: null })).to.deep.include({ dailyCap: null, stepUpMethods: [] });
+    });
+
+    it('should tighten the policy at once and need step-up to loosen it', async () => {
+        const tightened = await spendingPolicyService.updatePolicy(user, { perTransactionLimit: 50, dailyCap: 200, allowedRecipients: [creatorId] });
+        expect(tightened).to.deep.include({ perTransactionLimit: 50, dailyCap: 200, allowedRecipients: [creatorId], stepUpThreshold: 100, stepUpMethods: ['wallet'], spentToday: 0 });
+
+        // Lowering a limit is tightening too
+        expect((await spendingPolicyService.updatePolicy(user, { perTransactionLimit: 40 })).perTransactionLimit).to.equal(40);
+
+        for (const changes of [{ perTransactionLimit: 80 }, { dailyCap: null }, { allowedRecipients: [creatorId, otherCreatorId] }, { allowedRecipients: [] }]) {
+            await rejection(spendingPolicyService.updatePolicy(user, changes), 'STEP_UP_REQUIRED');
+        }
+
+        const loosened = await spendingPolicyService.updatePolicy(user, { dailyCap: null, allowedRecipients: [], stepUp: await signChallenge() });
+        expect(loosened).to.deep.include({ perTransactionLimit: 40, dailyCap: null, allowedRecipients: [] });
+
+        for (const [changes, field] of [[{ stepUpThreshold: 150 }, 'stepUpThreshold'], [{ dailyCap: -1 }, 'dailyCap'], [{ allowedRecipients: ['nobody'] }, 'allowedRecipients']]) {
+            const error = await rejection(spendingPolicyService.updatePolicy(user, changes), 'VALIDATION_FAILED');
+            expect(error.details[0].field).to.equal(field);
+        }
+    });
+});
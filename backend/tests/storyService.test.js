@@ -52,7 +52,7 @@ describe('Create License', () => {
             .send({}); // Sending empty data
 
         expect(res.status).to.equal(400);
-        expect(res.body.message).to.equal('Invalid license data.');
+        expect(res.body.error.message).to.equal('Invalid license data.');
     });
 });
 
@@ -90,7 +90,7 @@ describe('Royalty Distribution', () => {
             });
 
         expect(res.status).to.equal(404);
-        expect(res.body.message).to.equal('License not found.');
+        expect(res.body.error.message).to.equal('License not found.');
     });
 });
 
@@ -145,6 +145,6 @@ describe('Dispute Resolution', () => {
             });
 
         expect(res.status).to.equal(404);
-        expect(res.body.message).to.equal('Dispute not found.');
+        expect(res.body.error.message).to.equal('Dispute not found.');
     });
 });
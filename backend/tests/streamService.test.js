@@ -0,0 +1,152 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const mongoose = require('mongoose');
+const adapters = require('../adapters'); // Sandbox Superfluid outside production
+const Stream = require('../models/Stream');
+const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+const streamService = require('../services/streamService');
+
+// Mock data for tests
+const fanWallet = '0x1111111111111111111111111111111111111111';
+const creatorWallet = '0x2222222222222222222222222222222222222222';
+const fan = { userId: String(new mongoose.Types.ObjectId()) };
+const creator = { userId: String(new mongoose.Types.ObjectId()) };
+const rate = '1000000000000'; // 0.000001 USDCx per second
+const start = Date.UTC(2026, 0, 1);
+
+// Test suite for the Superfluid stream registry
+describe('Stream Service', () => {
+    let streams;
+    let clock;
+    let fanWallets;
+
+    // In-memory Stream collection against the sandbox Superfluid driver
+    beforeEach(() => {
+        adapters.resetSandbox();
+        clock = sinon.useFakeTimers({ now: start, toFake: ['Date'] });
+        streams = new Map();
+        fanWallets = [{ address: fanWallet, chainId: 137 }];
+
+        sinon.stub(User, 'findById').callsFake(async (id) => (String(id) === fan.userId
+            ? new User({ _id: id, username: 'fan', email: 'fan@kosma.io', password: 'x', blockchainAddress: fanWallet, wallets: fanWallets })
+            : null));
+        sinon.stub(Stream, 'exists').callsFake(async ({ sender, receiver, status }) => [...streams.values()]
+            .some((stream) => stream.sender === sender && stream.receiver === receiver && stream.status === status));
+        sinon.stub(Stream, 'create').callsFake(async (doc) => {
+            const stream = new Stream(doc);
+            streams.set(stream.id, stream);
+            return stream;
+        });
+        sinon.stub(Stream, 'findById').callsFake(async (id) => streams.get(String(id)) || null);
+        sinon.stub(Stream, 'find').callsFake(async ({ status }) => [...streams.values()].filter((stream) => stream.status === status));
+        sinon.stub(Stream, 'findOneAndUpdate').callsFake(async ({ _id, status, flowRate }, update) => {
+            const stream = streams.get(String(_id));
+            if (!stream || stream.status !== status || (flowRate && stream.flowRate !== flowRate)) return null;
+            return stream.set(update);
+        });
+        sinon.stub(Stream, 'updateMany').resolves();
+        sinon.stub(notificationService, 'notify').resolves();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const open = () => streamService.openStream(fan, { receiver: creatorWallet, receiverId: creator.userId, flowRate: rate });
+
+    it('should record the stream and count what it has streamed each second', async () => {
+        const stream = await open();
+
+        expect(stream).to.include({ sender: fanWallet, receiver: creatorWallet, token: 'USDCx', flowRate: rate, status: 'active' });
+        expect((await adapters.Superfluid.getStream(stream.streamId)).flowRate).to.equal(rate);
+
+        clock.tick(90 * 1000);
+        expect(stream.toStatus().streamed).to.equal(String(90n * BigInt(rate)));
+
+        try {
+            await open();
+            expect.fail('Expected ConflictError');
+        } catch (error) {
+            expect(error.code).to.equal('CONFLICT');
+        }
+        try {
+            await streamService.openStream(fan, { receiver: creatorWallet, flowRate: '1.5' });
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error.details[0].field).to.equal('flowRate');
+        }
+    });
+
+    it('should only stream from a wallet the sender linked', async () => {
+        // Nobody holds the key of a password account's blockchainAddress
+        fanWallets = [];
+        try {
+            await open();
+            expect.fail('Expected ValidationError');
+        } catch (error) {
+            expect(error.code).to.equal('VALIDATION_FAILED');
+            expect(error.details[0].field).to.equal('sender');
+        }
+        expect(streams.size).to.equal(0);
+
+        const linked = '0x3333333333333333333333333333333333333333';
+        fanWallets = [{ address: linked, chainId: 137 }];
+        expect((await open()).sender).to.equal(linked);
+    });
+
+    it('should keep what was streamed at the old rate when the rate changes', async () => {
+        const stream = await open();
+        clock.tick(60 * 1000);
+
+        try {
+            await streamService.updateRate(creator, stream.id, '1');
+            expect.fail('Expected AuthorizationError');
+        } catch (error) {
+            expect(error.code).to.equal('FORBIDDEN');
+        }
+
+        const updated = await streamService.updateRate(fan, stream.id, String(2n * BigInt(rate)));
+        clock.tick(30 * 1000);
+
+        expect(updated.accruedAt()).to.equal(String(60n * BigInt(rate) + 30n * 2n * BigInt(rate)));
+        expect((await adapters.Superfluid.getStream(stream.streamId)).flowRate).to.equal(String(2n * BigInt(rate)));
+    });
+
+    it('should let the receiver stop the stream and freeze its total', async () => {
+        const stream = await open();
+        clock.tick(10 * 1000);
+
+        const stopped = await streamService.stopStream(creator, stream.id);
+        clock.tick(3600 * 1000);
+
+        expect(stopped.status).to.equal('stopped');
+        expect(stopped.toStatus().streamed).to.equal(String(10n * BigInt(rate)));
+        expect((await adapters.Superfluid.getStream(stream.streamId)).status).to.equal('stopped');
+        try {
+            await streamService.updateRate(fan, stream.id, rate);
+            expect.fail('Expected ConflictError');
+        } catch (error) {
+            expect(error.message).to.equal('Stream is stopped');
+        }
+    });
+
+    it('should flag streams whose sender ran out of funds as of when the balance hit zero', async () => {
+        adapters.Superfluid.setBalance(fanWallet, String(100n * BigInt(rate)));
+        const stream = await open();
+
+        clock.tick(50 * 1000);
+        expect(await streamService.checkSolvency()).to.equal(0);
+        expect(stream.status).to.equal('active');
+
+        clock.tick(70 * 1000);
+        expect(await streamService.checkSolvency()).to.equal(1);
+
+        expect(stream.status).to.equal('insolvent');
+        expect(stream.endedAt.getTime()).to.equal(start + 100 * 1000);
+        expect(stream.toStatus().streamed).to.equal(String(100n * BigInt(rate)));
+        expect(notificationService.notify.firstCall.args.slice(0, 2)).to.deep.equal([stream.userId, 'stream.insolvent']);
+        expect(String(notificationService.notify.secondCall.args[0])).to.equal(creator.userId);
+    });
+});
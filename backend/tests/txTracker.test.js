@@ -0,0 +1,159 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const TxRecord = require('../models/TxRecord');
+const txTracker = require('../services/txTracker');
+
+// Mock data for tests
+const hash = `0x${'a'.repeat(64)}`;
+const replacementHash = `0x${'b'.repeat(64)}`;
+const sender = '0x1111111111111111111111111111111111111111';
+const blockA = `0x${'1'.repeat(64)}`;
+const blockB = `0x${'2'.repeat(64)}`;
+
+// Provider double: set head, receipt, mempool and nonce per test
+const mockProvider = (state) => ({
+    getBlockNumber: async () => state.head,
+    getTransactionReceipt: async () => state.receipt || null,
+    getTransaction: async () => (state.inMempool ? { hash } : null),
+    getTransactionCount: async () => state.nonce ?? 0,
+});
+
+const newRecord = (fields = {}) => new TxRecord({
+    chain: 'polygon',
+    hash,
+    from: sender,
+    nonce: 7,
+    kind: 'membership.purchase',
+    requiredConfirmations: 3,
+    ...fields,
+});
+
+// Test suite for the transaction tracker
+describe('Transaction Tracker', () => {
+    let listeners = [];
+
+    // Subscribe for one test only, leaving the services' own listeners in place
+    const listen = (event, fn) => {
+        listeners.push([event, fn]);
+        txTracker.on(event, fn);
+    };
+
+    beforeEach(() => {
+        sinon.stub(TxRecord.prototype, 'save').callsFake(async function save() { return this; });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        listeners.forEach(([event, fn]) => txTracker.events.removeListener(event, fn));
+        listeners = [];
+    });
+
+    it('should move from pending to mined to confirmed and emit each change', async () => {
+        const record = newRecord();
+        const state = { head: 100, inMempool: true };
+        const provider = mockProvider(state);
+        const seen = [];
+        listen('status', (rec, previous) => seen.push(`${previous}->${rec.status}`));
+
+        await txTracker.refresh(record, provider);
+        expect(record.status).to.equal('pending');
+
+        state.receipt = { blockNumber: 100, blockHash: blockA, status: 1 };
+        await txTracker.refresh(record, provider);
+        expect(record.status).to.equal('mined');
+        expect(record.confirmations).to.equal(1);
+
+        state.head = 102;
+        await txTracker.refresh(record, provider);
+        expect(record.status).to.equal('confirmed');
+        expect(record.confirmations).to.equal(3);
+        expect(record.finalized).to.be.false;
+        expect(seen).to.deep.equal(['pending->mined', 'mined->confirmed']);
+    });
+
+    it('should finalize once the block is twice the required depth', async () => {
+        const record = newRecord();
+        await txTracker.refresh(record, mockProvider({ head: 105, receipt: { blockNumber: 100, blockHash: blockA, status: 1 } }));
+
+        expect(record.status).to.equal('confirmed');
+        expect(record.finalized).to.be.true;
+    });
+
+    it('should mark reverted transactions as failed', async () => {
+        const record = newRecord();
+        await txTracker.refresh(record, mockProvider({ head: 100, receipt: { blockNumber: 100, blockHash: blockA, status: 0 } }));
+
+        expect(record.status).to.equal('failed');
+        expect(record.toStatus().error.code).to.equal('CHAIN_REVERTED');
+    });
+
+    it('should recount confirmations when a reorg moves the transaction to another block', async () => {
+        const record = newRecord();
+        const state = { head: 102, receipt: { blockNumber: 100, blockHash: blockA, status: 1 } };
+        const provider = mockProvider(state);
+        const reorg = sinon.spy();
+        listen('reorg', reorg);
+
+        await txTracker.refresh(record, provider);
+        expect(record.status).to.equal('confirmed');
+
+        state.receipt = { blockNumber: 102, blockHash: blockB, status: 1 };
+        await txTracker.refresh(record, provider);
+        expect(record.status).to.equal('mined');
+        expect(record.blockHash).to.equal(blockB);
+        expect(record.reorgs).to.equal(1);
+        expect(reorg.calledOnce).to.be.true;
+    });
+
+    it('should return to pending when a reorg removes the block', async () => {
+        const record = newRecord();
+        const state = { head: 102, receipt: { blockNumber: 100, blockHash: blockA, status: 1 } };
+        const provider = mockProvider(state);
+        const onStatus = sinon.spy();
+
+        await txTracker.refresh(record, provider);
+        listen('status', onStatus);
+
+        state.receipt = null;
+        state.inMempool = true;
+        await txTracker.refresh(record, provider);
+        expect(record.status).to.equal('pending');
+        expect(record.blockHash).to.be.undefined;
+        expect(onStatus.calledWith(record, 'confirmed')).to.be.true;
+    });
+
+    it('should mark the transaction replaced when its nonce was used by another', async () => {
+        const record = newRecord();
+        sinon.stub(TxRecord, 'findOne').resolves({ hash: replacementHash });
+
+        await txTracker.refresh(record, mockProvider({ head: 100, nonce: 8 }));
+        expect(record.status).to.equal('replaced');
+        expect(record.replacedBy).to.equal(replacementHash);
+        expect(record.finalized).to.be.true;
+    });
+
+    it('should mark the transaction dropped after it leaves the mempool for too long', async () => {
+        const record = newRecord();
+        record.createdAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+        await txTracker.refresh(record, mockProvider({ head: 100, nonce: 7 }));
+        expect(record.status).to.equal('dropped');
+        expect(record.finalized).to.be.true;
+    });
+
+    it('should hide other users\' transactions', async () => {
+        const record = newRecord({ userId: '64b7f0000000000000000001' });
+        sinon.stub(TxRecord, 'findById').resolves(record);
+
+        const own = await txTracker.getForUser(record.id, { userId: '64b7f0000000000000000001' });
+        expect(own).to.equal(record);
+
+        try {
+            await txTracker.getForUser(record.id, { userId: '64b7f0000000000000000002' });
+            expect.fail('Expected NotFoundError');
+        } catch (error) {
+            expect(error.code).to.equal('NOT_FOUND');
+        }
+    });
+});
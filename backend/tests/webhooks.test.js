@@ -0,0 +1,163 @@
+// Import necessary libraries and modules
+const { expect } = require('chai');
+const sinon = require('sinon'); // For mocking
+const WebhookEvent = require('../models/WebhookEvent');
+const Payment = require('../models/Payment');
+const ledgerService = require('../services/ledgerService');
+const webhookService = require('../services/webhookService');
+const { sign, verifySignature } = require('../middlewares/webhookSignature');
+
+// Mock data for tests
+const secrets = ['whsec_current_0123456789', 'whsec_previous_0123456789'];
+const body = JSON.stringify({ id: 'evt-1', type: 'payment_completed', data: { transactionId: 'tx-1' } });
+const now = Date.UTC(2026, 0, 1);
+const timestamp = now / 1000;
+
+// Circle event for tx-1
+const event = (id, type, minute) => ({ id, type, createdAt: new Date(now + minute * 60000).toISOString(), data: { transactionId: 'tx-1' } });
+
+// Apply a Mongoose update (plain fields, $inc and $unset) to an in-memory document
+const applyUpdate = (doc, { $inc = {}, $unset = {}, ...fields }) => {
+    Object.assign(doc, fields);
+    Object.entries($inc).forEach(([field, by]) => { doc[field] = (doc[field] || 0) + by; });
+    Object.keys($unset).forEach((field) => delete doc[field]);
+    return doc;
+};
+
+// Test suite for Circle webhook signatures
+describe('Webhook Signatures', () => {
+    const verify = (header, options = {}) => verifySignature(header, body, { secrets, toleranceSeconds: 300, now, ...options });
+
+    it('should accept a body signed with any configured secret', () => {
+        expect(() => verify(`t=${timestamp},v1=${sign(secrets[0], timestamp, body)}`)).to.not.throw();
+        expect(() => verify(`t=${timestamp},v1=${sign(secrets[1], timestamp, body)}`)).to.not.throw();
+        expect(() => verify(`t=${timestamp},v1=${'0'.repeat(64)},v1=${sign(secrets[1], timestamp, body)}`)).to.not.throw();
+    });
+
+    it('should reject unsigned, tampered and stale deliveries', () => {
+        const signature = sign(secrets[0], timestamp, body);
+
+        expect(() => verify(undefined)).to.throw('Missing X-Circle-Signature header');
+        expect(() => verify(`t=${timestamp},v1=${sign('whsec_unknown_0123456789', timestamp, body)}`)).to.throw('Invalid webhook signature');
+        expect(() => verifySignature(`t=${timestamp},v1=${signature}`, body.replace('tx-1', 'tx-2'), { secrets, toleranceSeconds: 300, now }))
+            .to.throw('Invalid webhook signature');
+        expect(() => verify(`t=${timestamp},v1=${signature}`, { now: now + 301000 })).to.throw('outside the allowed window');
+        expect(() => verify(`t=${timestamp},v1=${signature}`, { secrets: [] })).to.throw('not configured');
+    });
+});
+
+// Test suite for storing and applying Circle events
+describe('Webhook Service', () => {
+    let events;
+    let payment;
+
+    // In-memory WebhookEvent collection with the unique eventId index, and one payment
+    beforeEach(() => {
+        events = [];
+        payment = { _id: 'p1', transactionId: 'tx-1', type: 'deposit', userId: 'u1', amount: 20, status: 'pending' };
+
+        const matches = (doc, query) => Object.entries(query).every(([field, value]) => {
+            if (value && value.$in) return value.$in.includes(doc[field]);
+            return doc[field] === value;
+        });
+        const query = (value) => ({ session: async () => value, sort: async () => value });
+
+        sinon.stub(ledgerService, 'transaction').callsFake((fn) => fn({}));
+        sinon.stub(ledgerService, 'recordDeposit').resolves();
+        sinon.stub(ledgerService, 'recordRefund').resolves();
+        sinon.stub(ledgerService, 'recordChargeback').resolves();
+        sinon.stub(Payment, 'findOne').callsFake(() => query(payment));
+        sinon.stub(Payment, 'updateOne').callsFake(async (filter, update) => Object.assign(payment, update));
+
+        sinon.stub(WebhookEvent, 'create').callsFake(async (doc) => {
+            if (events.some(({ eventId }) => eventId === doc.eventId)) {
+                throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+            }
+            const stored = { _id: `e${events.length + 1}`, status: 'pending', attempts: 0, deliveries: 1, ...doc };
+            events.push(stored);
+            return stored;
+        });
+        sinon.stub(WebhookEvent, 'findOneAndUpdate').callsFake(async (filter) => {
+            const stored = events.find((doc) => doc.eventId === filter.eventId);
+            stored.deliveries += 1;
+            return stored;
+        });
+        sinon.stub(WebhookEvent, 'findOne').callsFake((filter) => query(events.find((doc) => matches(doc, filter)) || null));
+        sinon.stub(WebhookEvent, 'find').callsFake((filter) => query(events
+            .filter((doc) => matches(doc, { transactionId: filter.transactionId, status: filter.status }))
+            .sort((a, b) => a.occurredAt - b.occurredAt)));
+        sinon.stub(WebhookEvent, 'findById').callsFake(async (id) => events.find((doc) => doc._id === id));
+        sinon.stub(WebhookEvent, 'updateOne').callsFake(async ({ _id }, update) => {
+            applyUpdate(events.find((doc) => doc._id === _id), update);
+        });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should credit a completed deposit once, however often it is delivered', async () => {
+        const first = await webhookService.ingest(event('evt-1', 'payment_completed', 0));
+        const second = await webhookService.ingest(event('evt-1', 'payment_completed', 0));
+
+        expect(first).to.deep.include({ duplicate: false });
+        expect(first.event.status).to.equal('processed');
+        expect(second.duplicate).to.be.true;
+        expect(events).to.have.length(1);
+        expect(events[0].deliveries).to.equal(2);
+        expect(ledgerService.recordDeposit.calledOnceWith('u1', 20, 'tx-1')).to.be.true;
+        expect(payment.status).to.equal('completed');
+    });
+
+    it('should hold an event that arrives before the one it follows', async () => {
+        const refund = await webhookService.ingest(event('evt-2', 'payment_refunded', 5));
+        expect(refund.event.status).to.equal('deferred');
+        expect(ledgerService.recordRefund.called).to.be.false;
+
+        await webhookService.ingest(event('evt-1', 'payment_completed', 0));
+
+        expect(events.map(({ status }) => status)).to.deep.equal(['processed', 'processed']);
+        expect(ledgerService.recordDeposit.calledBefore(ledgerService.recordRefund)).to.be.true;
+        expect(ledgerService.recordRefund.firstCall.args.slice(0, 3)).to.deep.equal(['deposit', 'tx-1', 'tx-1:refunded']);
+        expect(payment.status).to.equal('refunded');
+    });
+
+    it('should reverse a charged-back purchase and ignore events for a final payment', async () => {
+        Object.assign(payment, { type: 'purchase', status: 'completed' });
+
+        await webhookService.ingest(event('evt-3', 'payment_chargeback', 0));
+        const late = await webhookService.ingest(event('evt-4', 'payment_refunded', 1));
+
+        expect(ledgerService.recordChargeback.calledOnceWith('purchase', 'tx-1', 'tx-1:chargeback')).to.be.true;
+        expect(late.event).to.include({ status: 'ignored', outcome: 'Payment is chargeback' });
+        expect(ledgerService.recordRefund.called).to.be.false;
+    });
+
+    it('should reverse what is left of a partially refunded payment on a chargeback', async () => {
+        Object.assign(payment, { type: 'tip', status: 'partially_refunded', refundedAmount: 5 });
+
+        const chargeback = await webhookService.ingest(event('evt-5', 'payment_chargeback', 0));
+
+        expect(chargeback.event).to.include({ status: 'processed', outcome: 'Payment chargeback' });
+        expect(ledgerService.recordChargeback.calledOnceWith('tip', 'tx-1', 'tx-1:chargeback')).to.be.true;
+        expect(payment.status).to.equal('chargeback');
+    });
+
+    it('should keep a failed event open and apply it on replay', async () => {
+        ledgerService.recordDeposit.onFirstCall().rejects(new Error('connection reset'));
+
+        try {
+            await webhookService.ingest(event('evt-1', 'payment_completed', 0));
+            expect.fail('Expected the delivery to fail');
+        } catch (error) {
+            expect(error.message).to.equal('connection reset');
+        }
+        expect(events[0]).to.include({ status: 'pending' });
+        expect(events[0].error).to.deep.equal({ code: 'INTERNAL_ERROR', message: 'connection reset' });
+
+        sinon.stub(WebhookEvent, 'findByIdAndUpdate').callsFake(async (id, update) => applyUpdate(events[0], update));
+        const replayed = await webhookService.replay('e1');
+        expect(replayed.status).to.equal('processed');
+        expect(payment.status).to.equal('completed');
+    });
+});
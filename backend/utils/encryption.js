@@ -0,0 +1,45 @@
+// Import necessary libraries and modules
+const { LitProtocol } = require('../adapters'); // Lit Protocol adapter for encryption
+
+/**
+ * Encrypt content metadata before it is stored
+ * @param {Object} metadata - Content metadata
+ * @returns {Promise<Object>} - Encrypted payload ({ ciphertext, dataToEncryptHash, accessControlConditions })
+ */
+async function encryptMetadata(metadata) {
+    return LitProtocol.encrypt(metadata);
+}
+
+/**
+ * Encrypt a licensing agreement
+ * @param {Object} agreement - License terms
+ * @returns {Promise<Object>} - Encrypted payload
+ */
+async function encryptAgreement(agreement) {
+    return LitProtocol.encrypt(agreement);
+}
+
+/**
+ * Encrypt a cross-chain message
+ * @param {string|Object} message - Message content
+ * @returns {Promise<Object>} - Encrypted payload
+ */
+async function encryptMessage(message) {
+    return LitProtocol.encrypt(message);
+}
+
+/**
+ * Decrypt a cross-chain message produced by encryptMessage
+ * @param {Object} encryptedMessage - Encrypted payload
+ * @returns {Promise<string|Object>} - Original message content
+ */
+async function decryptMessage(encryptedMessage) {
+    return LitProtocol.decrypt(encryptedMessage);
+}
+
+module.exports = {
+    encryptMetadata,
+    encryptAgreement,
+    encryptMessage,
+    decryptMessage,
+};
@@ -0,0 +1,58 @@
+// Import necessary libraries and modules
+const winston = require('winston');
+const config = require('../config');
+const { SECRET_PATHS } = require('../config/schema');
+const { REDACTED } = require('../config/loader');
+
+// Secret values currently configured; short values are skipped to avoid masking ordinary words
+const secretValues = SECRET_PATHS
+    .map((secretPath) => secretPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), config))
+    .filter((value) => typeof value === 'string' && value.length >= 8);
+
+/**
+ * Replace any configured secret that appears in a log line
+ * @param {string} text - Text to scrub
+ * @returns {string} - Text with secrets replaced by [REDACTED]
+ */
+function scrub(text) {
+    return secretValues.reduce((result, secret) => result.split(secret).join(REDACTED), text);
+}
+
+// Winston format that scrubs the message and any string metadata
+const redactSecrets = winston.format((info) => {
+    Object.keys(info).forEach((key) => {
+        if (typeof info[key] === 'string') info[key] = scrub(info[key]);
+    });
+    if (info.stack) info.stack = scrub(info.stack);
+    return info;
+});
+
+const transports = [new winston.transports.Console()];
+if (config.env === 'production') {
+    transports.push(new winston.transports.File({ filename: 'logfile.log' }));
+}
+
+/**
+ * Shared application logger
+ * JSON lines in production, colourised text elsewhere. Configured secrets never reach the output.
+ */
+const logger = winston.createLogger({
+    level: config.logging.level,
+    format: winston.format.combine(
+        winston.format.errors({ stack: true }),
+        winston.format.splat(),
+        redactSecrets(),
+        winston.format.timestamp(),
+        config.env === 'production'
+            ? winston.format.json()
+            : winston.format.combine(winston.format.colorize(), winston.format.simple())
+    ),
+    transports,
+});
+
+logger.scrub = scrub;
+
+// Config cannot log its own warnings: the logger is built from it
+config.warnings.forEach((warning) => logger.warn(`[config] ${warning}`));
+
+module.exports = logger;
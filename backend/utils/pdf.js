@@ -0,0 +1,72 @@
+// Minimal PDF writer for plain-text documents such as royalty statements
+// Lines are set in Courier so that columns padded with spaces stay aligned.
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+// Escape a line for a PDF string literal; characters outside Latin-1 become '?'
+function escapeText(text) {
+    return String(text)
+        .replace(/[^\x20-\xff]/g, '?')
+        .replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+// Content stream drawing one page of lines from the top margin down
+function pageContent(lines) {
+    const body = lines.map((line) => `(${escapeText(line)}) Tj T*`).join('\n');
+    return `BT\n/F1 ${FONT_SIZE} Tf\n${LINE_HEIGHT} TL\n${MARGIN} ${PAGE_HEIGHT - MARGIN} Td\n${body}\nET`;
+}
+
+/**
+ * Render lines of text as a PDF, breaking pages as needed
+ * @param {Array<string>} lines - Lines of text (an empty string for a blank line)
+ * @param {Object} [options] - Document options
+ * @param {string} [options.title] - Document title shown by PDF readers
+ * @param {string} [options.footer] - Text at the bottom of every page, before the page number
+ * @returns {Buffer} - PDF file
+ */
+function renderTextPdf(lines, { title = '', footer = '' } = {}) {
+    const pages = [];
+    for (let index = 0; index < Math.max(lines.length, 1); index += LINES_PER_PAGE) {
+        pages.push(lines.slice(index, index + LINES_PER_PAGE));
+    }
+
+    // Objects 1-4 are fixed; each page then takes a page object and a content stream
+    const objects = [];
+    const pageIds = pages.map((_, index) => 5 + index * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+    objects[4] = `<< /Title (${escapeText(title)}) /Producer (KOSMA) >>`;
+    pages.forEach((pageLines, index) => {
+        const pageFooter = `${footer}${footer ? ' - ' : ''}Page ${index + 1} of ${pages.length}`;
+        const content = `${pageContent(pageLines)}\nBT\n/F1 ${FONT_SIZE - 1} Tf\n${MARGIN} ${MARGIN / 2} Td\n(${escapeText(pageFooter)}) Tj\nET`;
+        objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+            + `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+        objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id += 1) {
+        offsets[id] = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    pdf += offsets.slice(1).map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+    LINES_PER_PAGE,
+    renderTextPdf,
+};
@@ -4,7 +4,7 @@ import TransportWebUSB from '@ledgerhq/hw-transport-webusb';
 import Ledger from '@ledgerhq/hw-app-eth';
 import { setWalletConnected, setWalletDisconnected } from '../redux/actions/walletActions'; 
 import { useNotifications } from '../hooks/useNotifications'; // Custom hook for notifications
-import axios from 'axios'; // Axios for making backend requests
+import authService, { signMessageWithLedger } from '../services/authService'; // Sign-In with Ethereum
 
 const LedgerConnect = () => {
   const [ledgerConnected, setLedgerConnected] = useState(false);
@@ -49,6 +49,7 @@ const LedgerConnect = () => {
 
       const ledger = new Ledger(transport);
       const result = await ledger.getAddress("44'/60'/0'/0/0");
+      await transport.close(); // Signing opens the device again
 
       setWalletAddress(result.address);
       setLedgerConnected(true);
@@ -86,30 +87,11 @@ const LedgerConnect = () => {
       }
 
       setLoading(true);
-      notifyInfo('Generating unique signature for login...');
+      notifyInfo('Approve the sign-in message on your Ledger device...');
 
-      // Generate a unique message to sign (nonce)
-      const nonce = `Sign this message to authenticate with KOSMA at ${new Date().toISOString()}`;
-      
-      const transport = await TransportWebUSB.create();
-      const ledger = new Ledger(transport);
-
-      // Sign the nonce with Ledger
-      const result = await ledger.signPersonalMessage("44'/60'/0'/0/0", Buffer.from(nonce).toString('hex'));
-      const signature = `0x${result.r}${result.s}${result.v}`;
-
-      // Send the signed message to backend for verification
-      const response = await axios.post('/api/auth/verify-signature', {
-        address: walletAddress,
-        signature,
-        nonce
-      });
-
-      if (response.data.success) {
-        notifySuccess('Successfully signed in with Ledger!');
-      } else {
-        throw new Error('Signature verification failed.');
-      }
+      // Sign-In with Ethereum: the backend hands out a one-time message, the Ledger signs it
+      const { created } = await authService.signInWithEthereum({ address: walletAddress, signMessage: signMessageWithLedger });
+      notifySuccess(created ? 'Signed in with Ledger; a new account was created for this wallet.' : 'Successfully signed in with Ledger!');
     } catch (error) {
       setErrorMessage('Failed to sign in with Ledger. Please try again.');
       notifyError('Error signing in with Ledger.');
@@ -136,6 +118,7 @@ const LedgerConnect = () => {
           <li>Open the Ethereum app on your Ledger device.</li>
           <li>Click the "Connect Ledger Wallet" button below to initiate the connection.</li>
           <li>Approve the connection request on your Ledger device.</li>
+          <li>While it stays connected, approve each purchase or tip by signing it on the device.</li>
         </ol>
       </div>
 
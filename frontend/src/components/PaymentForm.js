@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { ethers } from 'ethers';
-import CircleAPI from './CircleAPI'; // Assuming Circle API integration in a separate file
+import axios from 'axios';
 import SuperfluidSDK from '@superfluid-finance/js-sdk'; // Superfluid SDK
 import { useLit } from './useLitProtocol'; // Custom hook for Lit Protocol encryption
 import TransportWebUSB from '@ledgerhq/hw-transport-webusb'; // Ledger Transport
@@ -36,12 +36,11 @@ const PaymentForm = ({ kosmaPaymentsAddress }) => {
     signer
   );
 
-  // Fetch real-time USDC exchange rate (mocked)
+  // Fetch the current USD to USDC rate from the backend price service
   const fetchExchangeRate = useCallback(async () => {
     try {
-      // Assuming backend API fetches the exchange rate
-      const rate = await CircleAPI.getUSDCExchangeRate(); // Get exchange rate from Circle API
-      setUsdToUsdcRate(rate);
+      const { data } = await axios.get('/api/v1/prices/rate', { params: { base: 'USD', quote: 'USDC' } });
+      setUsdToUsdcRate(Number(data.rate.toFixed(4)));
     } catch (error) {
       console.error('Error fetching exchange rate:', error);
     }
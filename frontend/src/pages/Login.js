@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import TransportWebUSB from '@ledgerhq/hw-transport-webusb'; // LedgerJS for blockchain wallet login
 import Ledger from '@ledgerhq/hw-app-eth'; // LedgerJS Ethereum integration
 import { useLit } from './useLitProtocol'; // Custom hook for encryption with Lit Protocol
+import authService, { signMessageWithLedger } from '../services/authService'; // Sign-In with Ethereum
 import './Login.css'; // Assuming custom CSS for login styling
 
 const Login = ({ onLogin }) => {
@@ -70,22 +71,13 @@ const Login = ({ onLogin }) => {
       const transport = await TransportWebUSB.create();
       const ledger = new Ledger(transport);
       const result = await ledger.getAddress("44'/60'/0'/0/0"); // Ethereum address derivation path
+      await transport.close(); // The device is opened again to sign
 
       setWalletAddress(result.address);
       setLedgerConnected(true);
 
-      // Simulate API request for Ledger-based login with wallet address
-      const response = await fetch('/api/login-ledger', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ walletAddress: result.address }),
-      });
-
-      if (!response.ok) {
-        throw new Error('Ledger login failed.');
-      }
-
-      const userData = await response.json();
+      // Sign-In with Ethereum: the Ledger signs a one-time message and the backend returns a token
+      const userData = await authService.signInWithEthereum({ address: result.address, signMessage: signMessageWithLedger });
       onLogin(userData); // Handle successful login
 
     } catch (error) {
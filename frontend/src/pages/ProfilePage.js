@@ -6,6 +6,7 @@ import UnlockProtocol from '@unlock-protocol/unlock-js'; // Unlock Protocol for
 import TransportWebUSB from '@ledgerhq/hw-transport-webusb'; // Ledger Transport for Ledger integration
 import Ledger from '@ledgerhq/hw-app-eth'; // LedgerJS for profile security integration
 import LayerZeroMessaging from './LayerZeroMessaging'; // LayerZero Messaging for cross-chain NFT transfer
+import paymentService from '../services/paymentService'; // Payment history, cross-chain payments included
 import './ProfilePage.css'; // Custom CSS for profile page styling
 
 const ProfilePage = () => {
@@ -13,6 +14,7 @@ const ProfilePage = () => {
   const [ownedNFTs, setOwnedNFTs] = useState([]);
   const [membershipDetails, setMembershipDetails] = useState(null);
   const [royaltyEarnings, setRoyaltyEarnings] = useState(0);
+  const [transactions, setTransactions] = useState([]);
   const [ledgerConnected, setLedgerConnected] = useState(false);
   const [walletAddress, setWalletAddress] = useState('');
   const [profilePicture, setProfilePicture] = useState('/path/to/default-avatar.png');
@@ -23,6 +25,7 @@ const ProfilePage = () => {
     ledger: false,
     transfer: false,
     profilePicture: false,
+    transactions: false,
   });
   const [errorMessage, setErrorMessage] = useState('');
 
@@ -85,6 +88,19 @@ const ProfilePage = () => {
     }
   };
 
+  // Fetch the user's payments; cross-chain ones show how far their burn, attestation and mint got
+  const fetchTransactions = async () => {
+    setLoadingState('transactions', true);
+    try {
+      const { transactions: history } = await paymentService.getTransactionHistory({ limit: 20 });
+      setTransactions(history);
+    } catch (error) {
+      setErrorMessage('Failed to load transaction history.');
+    } finally {
+      setLoadingState('transactions', false);
+    }
+  };
+
   // Connect Ledger Wallet
   const connectLedgerWallet = async () => {
     setLoadingState('ledger', true);
@@ -151,6 +167,10 @@ const ProfilePage = () => {
   };
 
   // Fetch data on component mount
+  useEffect(() => {
+    fetchTransactions();
+  }, []);
+
   useEffect(() => {
     if (walletAddress) {
       fetchUserContent();
@@ -235,6 +255,36 @@ const ProfilePage = () => {
           )}
         </section>
 
+        <section className="transaction-section">
+          <h3>Transaction History</h3>
+          {loading.transactions ? (
+            <p>Loading transactions...</p>
+          ) : transactions.length ? (
+            <ul className="transaction-list">
+              {transactions.map((transaction) => (
+                <li key={transaction.id} className="transaction-item">
+                  <p>
+                    {new Date(transaction.createdAt).toLocaleDateString()} - {transaction.type} of {transaction.amount} USDC
+                    {transaction.kind === 'cross_chain' && ` (${transaction.sourceChain} to ${transaction.destinationChain})`}: {transaction.status}
+                  </p>
+                  {transaction.kind === 'cross_chain' && (
+                    <ol className="cross-chain-stages">
+                      {transaction.stages.map((stage) => (
+                        <li key={stage.name} className={`stage-${stage.state}`}>
+                          {stage.name}: {stage.state.replace('_', ' ')}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                  {transaction.error && <p className="error-message">{transaction.error.message}</p>}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p>No transactions yet</p>
+          )}
+        </section>
+
         <section className="royalty-section">
           <h3>Royalty Earnings</h3>
           <p>Total Royalties Earned: {royaltyEarnings} ETH</p>
@@ -1,9 +1,9 @@
 import React, { useState, useEffect } from "react";
 import axios from "axios";
 import { Line } from "react-chartjs-2";
-import { ethers } from "ethers";
 import Chart from "chart.js/auto";
 import 'tailwindcss/tailwind.css';
+import { toApiError } from "../services/apiError";
 
 const RoyaltyDashboard = () => {
   const [earnings, setEarnings] = useState([]);
@@ -14,19 +14,21 @@ const RoyaltyDashboard = () => {
   const [currentPage, setCurrentPage] = useState(1);
   const itemsPerPage = 10;
   const [withdrawalAmount, setWithdrawalAmount] = useState('');
-  const [currency, setCurrency] = useState('ETH');
+  const [currency, setCurrency] = useState('USDC');
   const [conversionRate, setConversionRate] = useState(1);
 
-  // Fetch earnings and transaction history
+  // Fetch earnings and transaction history; each payment is also valued at the rate on its date
   const fetchData = async () => {
     try {
       setLoading(true);
+      const headers = { Authorization: `Bearer ${localStorage.getItem('authToken')}` };
+      const historyParams = currency === "USDC" ? { limit: 200 } : { limit: 200, currency };
       const [earningsResponse, historyResponse] = await Promise.all([
-        axios.get("/api/royalty/earnings"),
-        axios.get("/api/royalty/history")
+        axios.get("/api/v1/royalty/earnings", { headers, params: { groupBy: "day" } }),
+        axios.get("/api/v1/royalty/history", { headers, params: historyParams })
       ]);
-      setEarnings(earningsResponse.data);
-      setTransactionHistory(historyResponse.data);
+      setEarnings(earningsResponse.data.earnings);
+      setTransactionHistory(historyResponse.data.history);
       setLoading(false);
     } catch (err) {
       setError("Failed to load data");
@@ -36,35 +38,39 @@ const RoyaltyDashboard = () => {
 
   useEffect(() => {
     fetchData();
-  }, []);
+  }, [currency]);
 
-  // Fetch conversion rate when currency changes
+  // Current USDC rate from the backend price service when the currency changes
   useEffect(() => {
     const fetchConversionRate = async () => {
-      if (currency !== "ETH") {
-        const response = await axios.get(`https://api.exchangerate-api.com/v4/latest/ETH`);
-        setConversionRate(response.data.rates[currency]);
+      if (currency === "USDC") {
+        setConversionRate(1);
+        return;
+      }
+      try {
+        const { data } = await axios.get("/api/v1/prices/rate", { params: { base: "USDC", quote: currency } });
+        setConversionRate(data.rate);
+      } catch (err) {
+        setError(toApiError(err, "Failed to load exchange rates").message);
       }
     };
     fetchConversionRate();
   }, [currency]);
 
-  // Handle withdrawal of earnings
+  // Request a payout of earnings; it is sent to the creator's wallet in the next payout run
   const handleWithdraw = async () => {
-    if (!window.ethereum) {
-      setWithdrawalStatus("Please install MetaMask to withdraw earnings.");
-      return;
-    }
     try {
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const signer = provider.getSigner();
-      const contract = new ethers.Contract('contractAddress', 'ABI', signer);
-      await contract.withdraw(ethers.utils.parseEther(withdrawalAmount));
-      setWithdrawalStatus("Withdrawal successful!");
+      const headers = { Authorization: `Bearer ${localStorage.getItem('authToken')}` };
+      const { data: preview } = await axios.get("/api/v1/payouts/preview", { headers, params: { amount: withdrawalAmount } });
+      const { data } = await axios.post("/api/v1/payouts", { amount: withdrawalAmount, chain: preview.chain }, {
+        headers: { ...headers, "Idempotency-Key": `payout-${Date.now()}-${withdrawalAmount}` },
+      });
+      setWithdrawalStatus(`Payout requested: ${data.payout.netAmount} USDC after ${data.payout.fee} USDC in fees.`);
+      setWithdrawalAmount('');
       fetchData(); // Refresh data after withdrawal
     } catch (error) {
       console.error("Error withdrawing:", error);
-      setWithdrawalStatus("Withdrawal failed. Please try again.");
+      setWithdrawalStatus(toApiError(error, "Withdrawal failed. Please try again.").message);
     }
   };
 
@@ -109,9 +115,10 @@ const RoyaltyDashboard = () => {
       <div className="total-earnings mb-4">
         <h2 className="text-xl">Total Earnings: {(earnings.reduce((acc, curr) => acc + curr.amount, 0) * conversionRate).toFixed(2)} {currency}</h2>
         <select onChange={(e) => setCurrency(e.target.value)} value={currency} className="mt-2">
-          <option value="ETH">ETH</option>
+          <option value="USDC">USDC</option>
           <option value="USD">USD</option>
           <option value="EUR">EUR</option>
+          <option value="ETH">ETH</option>
         </select>
       </div>
       <Line data={chartData} />
@@ -139,14 +146,16 @@ const RoyaltyDashboard = () => {
               <th>Date</th>
               <th>Licensee</th>
               <th>Amount</th>
+              {currency !== "USDC" && <th>Value ({currency})</th>}
             </tr>
           </thead>
           <tbody>
             {displayedTransactions.map((transaction, index) => (
               <tr key={index}>
                 <td>{new Date(transaction.date).toLocaleDateString()}</td>
-                <td>{transaction.licensee}</td>
+                <td>{transaction.payer}</td>
                 <td>{transaction.amount}</td>
+                {currency !== "USDC" && <td>{transaction.value ? transaction.value.value.toFixed(2) : "-"}</td>}
               </tr>
             ))}
           </tbody>
@@ -4,6 +4,8 @@ import { useNotifications } from './Notification'; // Notification component for
 import TransportWebUSB from '@ledgerhq/hw-transport-webusb'; // Ledger Transport for securing privacy controls
 import Ledger from '@ledgerhq/hw-app-eth'; // LedgerJS for privacy settings
 import { useLit } from './useLitProtocol'; // Custom Lit Protocol hook for encryption
+import paymentService from '../services/paymentService'; // Spending limits and step-up authorization
+import { ERROR_CODES } from '../services/apiError';
 import './SettingsPage.css'; // Custom CSS for styling
 
 const SettingsPage = () => {
@@ -11,7 +13,11 @@ const SettingsPage = () => {
   const [privacySettings, setPrivacySettings] = useState({ showEmail: false, showBio: true });
   const [notificationPrefs, setNotificationPrefs] = useState({ newsletter: true, productUpdates: false });
   const [ledgerConnected, setLedgerConnected] = useState(false);
-  const [loading, setLoading] = useState({ profile: false, privacy: false, notifications: false, ledger: false });
+  const [spendingPolicy, setSpendingPolicy] = useState(null);
+  const [limits, setLimits] = useState({ perTransactionLimit: '', dailyCap: '', stepUpThreshold: '', allowedRecipients: '' });
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [loading, setLoading] = useState({ profile: false, privacy: false, notifications: false, ledger: false, spending: false });
   const [errorMessage, setErrorMessage] = useState('');
 
   const { notifySuccess, notifyError } = useNotifications(); // Notifications for managing preferences
@@ -86,6 +92,73 @@ const SettingsPage = () => {
     }
   };
 
+  // Show the saved spending policy in the form; empty fields mean no limit
+  const showSpendingPolicy = (policy) => {
+    setSpendingPolicy(policy);
+    setLimits({
+      perTransactionLimit: policy.perTransactionLimit ?? '',
+      dailyCap: policy.dailyCap ?? '',
+      stepUpThreshold: policy.stepUpThreshold < policy.platformStepUpThreshold ? policy.stepUpThreshold : '',
+      allowedRecipients: policy.allowedRecipients.join(', '),
+    });
+  };
+
+  useEffect(() => {
+    paymentService.getSpendingPolicy()
+      .then(showSpendingPolicy)
+      .catch(() => setErrorMessage('Failed to load spending limits.'));
+  }, []);
+
+  // Save spending limits; raising one is confirmed with the 2FA code, or else a wallet signature
+  const handleSpendingPolicyUpdate = async () => {
+    setLoadingState('spending', true);
+    const changes = {
+      perTransactionLimit: limits.perTransactionLimit === '' ? null : Number(limits.perTransactionLimit),
+      dailyCap: limits.dailyCap === '' ? null : Number(limits.dailyCap),
+      stepUpThreshold: limits.stepUpThreshold === '' ? null : Number(limits.stepUpThreshold),
+      allowedRecipients: limits.allowedRecipients.split(',').map((id) => id.trim()).filter(Boolean),
+    };
+    try {
+      let policy;
+      try {
+        policy = await paymentService.updateSpendingPolicy(changes, twoFactorCode ? { totp: twoFactorCode } : undefined);
+      } catch (error) {
+        if (error.code !== ERROR_CODES.STEP_UP_REQUIRED || twoFactorCode || !error.details?.methods?.includes('wallet')) throw error;
+        policy = await paymentService.updateSpendingPolicy(changes, await paymentService.confirmWithWallet());
+      }
+
+      showSpendingPolicy(policy);
+      setTwoFactorCode('');
+      notifySuccess('Spending limits updated successfully.');
+    } catch (error) {
+      setErrorMessage(error.code === ERROR_CODES.STEP_UP_REQUIRED ? 'Enter your 2FA code to raise your limits.' : error.message);
+      notifyError('Spending limits update failed.');
+    } finally {
+      setLoadingState('spending', false);
+    }
+  };
+
+  // Set up 2FA: show the secret, then turn it on with the first code from the authenticator app
+  const handleTwoFactorSetup = async () => {
+    setLoadingState('spending', true);
+    try {
+      if (!twoFactorSetup) {
+        setTwoFactorSetup(await paymentService.setupTwoFactor());
+        return;
+      }
+      await paymentService.confirmTwoFactor(twoFactorCode);
+      setTwoFactorSetup(null);
+      setTwoFactorCode('');
+      showSpendingPolicy(await paymentService.getSpendingPolicy());
+      notifySuccess('Two-factor authentication enabled.');
+    } catch (error) {
+      setErrorMessage(error.message);
+      notifyError('Two-factor authentication setup failed.');
+    } finally {
+      setLoadingState('spending', false);
+    }
+  };
+
   // Handle notification preferences update
   const handleNotificationUpdate = async () => {
     setLoadingState('notifications', true);
@@ -178,6 +251,85 @@ const SettingsPage = () => {
         </button>
       </section>
 
+      {/* Spending Limits */}
+      <section className="spending-settings">
+        <h3>Spending Limits</h3>
+        {spendingPolicy && (
+          <p>
+            Spent in the last 24 hours: {spendingPolicy.spentToday} USDC. Payments over {spendingPolicy.stepUpThreshold} USDC
+            need {spendingPolicy.stepUpMethods.includes('totp') ? 'your 2FA code or a wallet signature' : 'a wallet signature'}.
+          </p>
+        )}
+        <div className="form-group">
+          <label>Limit per payment (USDC):</label>
+          <input
+            type="number"
+            min="0"
+            value={limits.perTransactionLimit}
+            onChange={(e) => setLimits({ ...limits, perTransactionLimit: e.target.value })}
+            placeholder="No limit"
+            disabled={loading.spending}
+          />
+        </div>
+        <div className="form-group">
+          <label>Daily cap (USDC):</label>
+          <input
+            type="number"
+            min="0"
+            value={limits.dailyCap}
+            onChange={(e) => setLimits({ ...limits, dailyCap: e.target.value })}
+            placeholder="No cap"
+            disabled={loading.spending}
+          />
+        </div>
+        <div className="form-group">
+          <label>Confirm payments over (USDC):</label>
+          <input
+            type="number"
+            min="0"
+            max={spendingPolicy?.platformStepUpThreshold}
+            value={limits.stepUpThreshold}
+            onChange={(e) => setLimits({ ...limits, stepUpThreshold: e.target.value })}
+            placeholder={spendingPolicy ? String(spendingPolicy.platformStepUpThreshold) : ''}
+            disabled={loading.spending}
+          />
+        </div>
+        <div className="form-group">
+          <label>Only pay these creators (user IDs, comma-separated):</label>
+          <input
+            type="text"
+            value={limits.allowedRecipients}
+            onChange={(e) => setLimits({ ...limits, allowedRecipients: e.target.value })}
+            placeholder="Any creator"
+            disabled={loading.spending}
+          />
+        </div>
+        <div className="form-group">
+          <label>2FA code:</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={twoFactorCode}
+            onChange={(e) => setTwoFactorCode(e.target.value)}
+            placeholder="Needed to raise limits"
+            disabled={loading.spending}
+          />
+        </div>
+        {twoFactorSetup && (
+          <p>
+            Add this key to your authenticator app, then enter its code: <code>{twoFactorSetup.secret}</code>
+          </p>
+        )}
+        <button onClick={handleSpendingPolicyUpdate} disabled={loading.spending}>
+          {loading.spending ? 'Updating...' : 'Update Spending Limits'}
+        </button>
+        {spendingPolicy && !spendingPolicy.stepUpMethods.includes('totp') && (
+          <button onClick={handleTwoFactorSetup} disabled={loading.spending}>
+            {twoFactorSetup ? 'Confirm 2FA Code' : 'Set Up Two-Factor Authentication'}
+          </button>
+        )}
+      </section>
+
       {/* Notification Preferences */}
       <section className="notification-settings">
         <h3>Notification Preferences</h3>
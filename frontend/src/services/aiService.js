@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { toApiError } from './apiError'; // Typed errors carrying the backend's error code
 
 // Base URL for AI-related API routes (adjust as per your backend)
 const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/ai';
@@ -43,9 +44,9 @@ const authHeaders = () => {
 
 // Centralized error handling with logging and user-friendly messages
 const handleError = (error, fallbackMessage) => {
-  const message = error.response?.data?.message || fallbackMessage || 'An unexpected error occurred. Please try again.';
-  console.error(`Error: ${message}`, error); // Log the error for debugging
-  throw new Error(message); // Throw the error to propagate it further
+  const apiError = toApiError(error, fallbackMessage);
+  console.error(`Error [${apiError.code}]: ${apiError.message}`, error); // Log the error for debugging
+  throw apiError; // Throw the error to propagate it further
 };
 
 const aiService = {
@@ -0,0 +1,59 @@
+// Error codes returned by the backend in { error: { code, message, details } }
+// Branch on these rather than on messages, which are for display only.
+export const ERROR_CODES = Object.freeze({
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  PAYMENT_FAILED: 'PAYMENT_FAILED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_OWNER: 'NOT_OWNER',
+  STEP_UP_REQUIRED: 'STEP_UP_REQUIRED',
+  SPENDING_LIMIT_EXCEEDED: 'SPENDING_LIMIT_EXCEEDED',
+  PAYMENT_BLOCKED: 'PAYMENT_BLOCKED',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  REQUEST_IN_PROGRESS: 'REQUEST_IN_PROGRESS',
+  IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+  CHAIN_REVERTED: 'CHAIN_REVERTED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  UPSTREAM_FAILED: 'UPSTREAM_FAILED',
+  CHAIN_UNAVAILABLE: 'CHAIN_UNAVAILABLE',
+  // Client-side only: the request never got a response, or failed before it was sent
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  CLIENT_ERROR: 'CLIENT_ERROR',
+});
+
+// Error thrown by the frontend services, carrying the backend's code, status and details
+export class ApiError extends Error {
+  constructor(message, { code, status, details, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.cause = cause;
+  }
+
+  // True when the user has to sign in again
+  get isAuthError() {
+    return this.code === ERROR_CODES.UNAUTHENTICATED || this.code === ERROR_CODES.TOKEN_EXPIRED;
+  }
+}
+
+// Convert an axios (or any other) error into an ApiError
+export const toApiError = (error, fallbackMessage) => {
+  if (error instanceof ApiError) return error;
+
+  const body = error.response?.data?.error;
+  let code = ERROR_CODES.CLIENT_ERROR;
+  if (error.response) {
+    code = body?.code || ERROR_CODES.INTERNAL_ERROR;
+  } else if (error.isAxiosError) {
+    code = ERROR_CODES.NETWORK_ERROR;
+  }
+
+  const message = body?.message || fallbackMessage || 'An unexpected error occurred. Please try again.';
+  return new ApiError(message, { code, status: error.response?.status, details: body?.details, cause: error });
+};
@@ -1,9 +1,10 @@
 import axios from 'axios';
 import SignProtocol from '@sign-protocol/sign'; // Sign Protocol for managing attestations
 import { useLit } from './useLitProtocol'; // Custom hook for encryption using Lit Protocol
+import { toApiError } from './apiError'; // Typed errors carrying the backend's error code
 
 // Base URL for attestation-related API routes (adjust as per your backend)
-const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/attest';
+const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/api/v1/attest';
 
 // Helper function to securely get the authentication token
 const getAuthToken = () => {
@@ -41,9 +42,9 @@ const getAuthHeaders = () => {
 
 // Centralized error handling with logging and user-friendly messages
 const handleError = (error, fallbackMessage) => {
-  const message = error.response?.data?.message || fallbackMessage || 'An unexpected error occurred. Please try again.';
-  console.error(`Error: ${message}`, error); // Log the error for debugging
-  throw new Error(message); // Throw the error to propagate it further
+  const apiError = toApiError(error, fallbackMessage);
+  console.error(`Error [${apiError.code}]: ${apiError.message}`, error); // Log the error for debugging
+  throw apiError; // Throw the error to propagate it further
 };
 
 const attestService = {
@@ -1,7 +1,26 @@
 import axios from 'axios';
+import { ethers } from 'ethers';
+import TransportWebUSB from '@ledgerhq/hw-transport-webusb'; // USB connection to Ledger devices
+import Ledger from '@ledgerhq/hw-app-eth'; // Ledger Ethereum app, signs sign-in messages
+import { toApiError } from './apiError'; // Typed errors carrying the backend's error code
 
 // Base URL for authentication-related API routes (adjust as per your backend)
-const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/auth';
+const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/api/v1/auth';
+
+// Sign a message with personal_sign on a Ledger; the device shows the message to approve
+export const signMessageWithLedger = async (message) => {
+  const transport = await TransportWebUSB.create();
+  try {
+    const ledger = new Ledger(transport);
+    const hex = ethers.utils.hexlify(ethers.utils.toUtf8Bytes(message)).slice(2);
+    const { v, r, s } = await ledger.signPersonalMessage("44'/60'/0'/0/0", hex);
+    return ethers.utils.joinSignature({ v, r: `0x${r}`, s: `0x${s}` });
+  } finally {
+    await transport.close();
+  }
+};
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('authToken')}` });
 
 const authService = {
   // 1. User Registration
@@ -28,7 +47,7 @@ const authService = {
       });
 
       if (response.data.token) {
-        this.storeToken(response.data.token);
+        this.storeToken(response.data.token, response.data.refreshToken);
       }
       return response.data; // Return user data or success message
     } catch (error) {
@@ -36,10 +55,28 @@ const authService = {
     }
   },
 
-  // 3. Logout Method
-  logout() {
-    // Remove token from localStorage
-    localStorage.removeItem('authToken');
+  // 3. Logout Method: ends the session on the server, then forgets the tokens
+  async logout() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    try {
+      if (refreshToken && !this.isAuthenticated()) await this.refreshToken(); // The access token expired
+      await axios.post(`${API_URL}/logout`, { refreshToken }, { headers: authHeaders() });
+    } catch (error) {
+      console.error('Failed to end the session on the server', error);
+    } finally {
+      this.clearTokens();
+    }
+  },
+
+  // Log out on every device, this one included
+  async logoutAll() {
+    try {
+      const response = await axios.post(`${API_URL}/logout-all`, {}, { headers: authHeaders() });
+      this.clearTokens();
+      return response.data; // { message, sessions }
+    } catch (error) {
+      this.handleError(error, 'Logging out of all devices failed.');
+    }
   },
 
   // 4. Password Reset Method
@@ -52,10 +89,11 @@ const authService = {
     }
   },
 
-  // 5. Store JWT token securely in HttpOnly cookie or local storage
-  storeToken(token) {
+  // 5. Store JWT token securely in HttpOnly cookie or local storage; the refresh token replaces the previous one
+  storeToken(token, refreshToken) {
     try {
       localStorage.setItem('authToken', token);
+      if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
       // Optionally send token to a secure cookie for HttpOnly storage on the backend
     } catch (error) {
       console.error('Failed to store token', error);
@@ -63,6 +101,12 @@ const authService = {
     }
   },
 
+  // Forget the access and refresh tokens
+  clearTokens() {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+  },
+
   // 6. Get the currently stored authentication token (if available)
   getAuthToken() {
     return localStorage.getItem('authToken');
@@ -76,8 +120,7 @@ const authService = {
     // Optionally, check if the token is expired
     const decodedToken = this.decodeToken(token);
     if (decodedToken?.exp && decodedToken.exp * 1000 < Date.now()) {
-      this.logout(); // Automatically log out if token has expired
-      return false;
+      return false; // Expired; refreshToken() gets a new one while the session lasts
     }
     return true; // Return true if token exists and is valid
   },
@@ -100,27 +143,54 @@ const authService = {
     }
   },
 
-  // 9. Refresh Token Mechanism (Optional)
+  // 9. Refresh Token Mechanism: trades the refresh token for a new access token and a new refresh token
+  // Each refresh token works once; when the session was logged out, the tokens are forgotten.
   async refreshToken() {
     try {
       const response = await axios.post(`${API_URL}/refresh-token`, {
-        token: this.getAuthToken(),
+        refreshToken: localStorage.getItem('refreshToken'),
       });
 
-      if (response.data.token) {
-        this.storeToken(response.data.token);
-      }
+      this.storeToken(response.data.token, response.data.refreshToken);
       return response.data.token;
     } catch (error) {
+      if (error.response?.status === 401) this.clearTokens();
       this.handleError(error, 'Token refresh failed.');
     }
   },
 
-  // 10. Handle errors and show user-friendly messages
+  // 10. Sign in with a wallet (Sign-In with Ethereum); signMessage(message) returns the wallet's
+  // personal_sign signature, e.g. signMessageWithLedger. New wallets get a wallet-only account.
+  async signInWithEthereum({ address, chainId, signMessage }) {
+    try {
+      const { data } = await axios.get(`${API_URL}/siwe/nonce`, { params: { address, chainId } });
+      const signature = await signMessage(data.message);
+      const response = await axios.post(`${API_URL}/siwe/verify`, { message: data.message, signature });
+
+      if (response.data.token) {
+        this.storeToken(response.data.token, response.data.refreshToken);
+      }
+      return response.data; // { token, refreshToken, user, created }
+    } catch (error) {
+      this.handleError(error, 'Wallet sign-in failed.');
+    }
+  },
+
+  // 11. Link another wallet to the signed-in account, optionally as its primary blockchain address
+  async linkWallet({ address, chainId, signMessage, primary = false }) {
+    try {
+      const { data } = await axios.get(`${API_URL}/wallets/nonce`, { params: { address, chainId }, headers: authHeaders() });
+      const signature = await signMessage(data.message);
+      const response = await axios.post(`${API_URL}/wallets`, { message: data.message, signature, primary }, { headers: authHeaders() });
+      return response.data; // { message, wallets, blockchainAddress }
+    } catch (error) {
+      this.handleError(error, 'Linking the wallet failed.');
+    }
+  },
+
+  // 12. Handle errors and show user-friendly messages
   handleError(error, fallbackMessage) {
-    const message =
-      error.response?.data?.message || fallbackMessage || 'An error occurred. Please try again.';
-    throw new Error(message);
+    throw toApiError(error, fallbackMessage);
   },
 };
 
@@ -77,7 +77,11 @@ router.post('/create',
 
         try {
             // Encrypt and upload file to IPFS in a background job
-            contentQueue.add({ task: 'uploadIPFS', file, title, description, user: req.user });
+            contentQueue.add({ task: 'uploadIPFS', file, title, description, user: req.user }, {
+                attempts: 5,
+                backoff: { type: 'exponential', delay: 5000 }, // 5s, 10s, 20s, ...
+                removeOnComplete: true,
+            });
             res.status(202).json({ message: 'Content creation in progress' });
         } catch (error) {
             next(error);
@@ -112,6 +116,13 @@ contentQueue.process(async (job) => {
     console.log(`Content created successfully for user ${user.address}`);
 });
 
+// Report jobs that ran out of attempts instead of dropping them silently
+contentQueue.on('failed', (job, error) => {
+    if (job.attemptsMade >= job.opts.attempts) {
+        console.error(`Content job ${job.id} failed after ${job.attemptsMade} attempts:`, error);
+    }
+});
+
 /**
  * Update existing content
  * @route PUT /content/update/:id
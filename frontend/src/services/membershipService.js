@@ -1,8 +1,9 @@
 import axios from 'axios';
 import UnlockProtocol from '@unlock-protocol/unlock-js'; // Unlock Protocol for managing memberships
+import { toApiError } from './apiError'; // Typed errors carrying the backend's error code
 
 // Base URL for membership-related API routes (adjust as per your backend)
-const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/membership';
+const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/api/v1/membership';
 
 // Helper function to securely get the authentication token from localStorage
 const getAuthToken = () => localStorage.getItem('authToken');
@@ -20,9 +21,9 @@ const isTokenExpired = (token) => {
 
 // Centralized error handling to provide better user feedback
 const handleError = (error, fallbackMessage) => {
-  const message = error.response?.data?.message || fallbackMessage || 'An unexpected error occurred. Please try again.';
-  console.error(`Error: ${message}`, error); // Log the error for debugging purposes
-  throw new Error(message); // Throw the error to propagate it further
+  const apiError = toApiError(error, fallbackMessage);
+  console.error(`Error [${apiError.code}]: ${apiError.message}`, error); // Log the error for debugging purposes
+  throw apiError; // Throw the error to propagate it further
 };
 
 const membershipService = {
@@ -2,9 +2,10 @@ import axios from 'axios';
 import FlowClient from '@onflow/fcl'; // Flow Blockchain SDK
 import LayerZeroMessaging from './LayerZeroMessaging'; // LayerZero for cross-chain NFT transfers
 import jwt_decode from 'jwt-decode'; // JWT decoding for token expiration checks
+import { toApiError } from './apiError'; // Typed errors carrying the backend's error code
 
 // Base URL for NFT-related API routes (adjust as per your backend)
-const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/nft';
+const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/api/v1/nft';
 
 // Helper function to get the authentication token
 const getAuthToken = () => localStorage.getItem('authToken');
@@ -118,9 +119,9 @@ const nftService = {
 
   // 5. Helper function to handle errors with logging and detailed fallback messages
   handleError(error, fallbackMessage) {
-    const message = error.response?.data?.message || fallbackMessage || 'An error occurred. Please try again.';
-    console.error(`Error: ${message}`, error); // Log the error to the console for debugging
-    throw new Error(message);
+    const apiError = toApiError(error, fallbackMessage);
+    console.error(`Error [${apiError.code}]: ${apiError.message}`, error); // Log the error to the console for debugging
+    throw apiError;
   },
 };
 
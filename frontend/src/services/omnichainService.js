@@ -1,8 +1,9 @@
 import axios from 'axios';
 import LayerZeroMessaging from './LayerZeroMessaging'; // LayerZero SDK for cross-chain interactions
+import { toApiError } from './apiError'; // Typed errors carrying the backend's error code
 
 // Base URL for cross-chain-related API routes (adjust as per your backend)
-const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/omnichain';
+const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/api/v1/omnichain';
 
 // Helper function to securely get the authentication token
 const getAuthToken = () => localStorage.getItem('authToken');
@@ -34,9 +35,9 @@ const authHeaders = () => {
 
 // Centralized error handling with logging and user-friendly messages
 const handleError = (error, fallbackMessage) => {
-  const message = error.response?.data?.message || fallbackMessage || 'An unexpected error occurred. Please try again.';
-  console.error(`Error: ${message}`, error); // Log the error for debugging
-  throw new Error(message); // Throw the error to propagate it further
+  const apiError = toApiError(error, fallbackMessage);
+  console.error(`Error [${apiError.code}]: ${apiError.message}`, error); // Log the error for debugging
+  throw apiError; // Throw the error to propagate it further
 };
 
 // Helper to ensure interaction with LayerZero is properly formatted and errors are handled
@@ -1,11 +1,12 @@
 import axios from 'axios';
 import { ethers } from 'ethers';
 import SuperfluidSDK from '@superfluid-finance/js-sdk'; // Superfluid SDK for streaming payments
-import TransportWebUSB from '@ledgerhq/hw-transport-webusb'; // LedgerJS for secure transaction authorization
-import Ledger from '@ledgerhq/hw-app-eth'; // LedgerJS for signing Ethereum-based payments
+import TransportWebUSB from '@ledgerhq/hw-transport-webusb'; // USB connection to Ledger devices
+import Ledger from '@ledgerhq/hw-app-eth'; // Ledger Ethereum app, signs payment intents
+import { toApiError } from './apiError'; // Typed errors carrying the backend's error code
 
 // Base URL for payment-related API routes (adjust as per your backend)
-const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/payment';
+const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/api/v1/payment';
 
 // Helper function to get the authentication token securely
 const getAuthToken = () => localStorage.getItem('authToken');
@@ -23,9 +24,24 @@ const isTokenExpired = (token) => {
 
 // Centralized error handling with logging
 const handleError = (error, fallbackMessage) => {
-  const message = error.response?.data?.message || fallbackMessage || 'An error occurred. Please try again.';
-  console.error(`Error: ${message}`, error); // Log the error for debugging
-  throw new Error(message); // Throw error to propagate it
+  const apiError = toApiError(error, fallbackMessage);
+  console.error(`Error [${apiError.code}]: ${apiError.message}`, error); // Log the error for debugging
+  throw apiError; // Throw error to propagate it
+};
+
+// Sign EIP-712 typed data on a Ledger; the device shows the domain and message hashes to approve
+const signTypedDataWithLedger = async ({ domain, types, message, primaryType }) => {
+  const transport = await TransportWebUSB.create();
+  try {
+    const ledger = new Ledger(transport);
+    const domainSeparator = ethers.utils._TypedDataEncoder.hashDomain(domain);
+    const structHash = ethers.utils._TypedDataEncoder.hashStruct(primaryType, types, message);
+
+    const { v, r, s } = await ledger.signEIP712HashedMessage("44'/60'/0'/0/0", domainSeparator.slice(2), structHash.slice(2));
+    return ethers.utils.joinSignature({ v, r: `0x${r}`, s: `0x${s}` });
+  } finally {
+    await transport.close();
+  }
 };
 
 const paymentService = {
@@ -81,13 +97,14 @@ const paymentService = {
     }
   },
 
-  // 3. View transaction/payment history
-  async getTransactionHistory() {
+  // 3. View transaction/payment history; cross-chain payments carry their burn, attestation and mint stages
+  async getTransactionHistory({ start, limit } = {}) {
     try {
       const authToken = getAuthToken();
       if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
 
       const response = await axios.get(`${API_URL}/transaction-history`, {
+        params: { start, limit },
         headers: {
           Authorization: `Bearer ${authToken}`,
         },
@@ -99,40 +116,199 @@ const paymentService = {
     }
   },
 
-  // 4. Secure payment authorization using Ledger wallet
-  async authorizePaymentWithLedger({ recipientAddress, amount, tokenAddress }) {
+  // 4. Buy content or tip a creator by signing a payment intent (EIP-712) with the connected Ledger,
+  //    or with the browser wallet when no Ledger is connected; the backend pays once it verifies the signature
+  async payWithSignedIntent({ type, creatorId, contentId, amount, currency, chain }) {
     try {
-      const transport = await TransportWebUSB.create();
-      const ledger = new Ledger(transport);
+      const authToken = getAuthToken();
+      if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
+      const headers = { Authorization: `Bearer ${authToken}` };
+
+      // The signing wallet must be linked to the account (authService.linkWallet)
+      const useLedger = Boolean(sessionStorage.getItem('ledgerConnected'));
+      const browserSigner = useLedger ? null : new ethers.providers.Web3Provider(window.ethereum).getSigner();
+      const signer = useLedger ? sessionStorage.getItem('ledgerWalletAddress') : await browserSigner.getAddress();
 
-      // Get Ethereum wallet address from Ledger
-      const { address } = await ledger.getAddress("44'/60'/0'/0/0");
+      const created = await axios.post(`${API_URL}/intents`, { type, creatorId, contentId, amount, currency, chain, signer }, { headers });
+      const { intent, typedData } = created.data;
 
-      // Build transaction details
-      const transaction = {
-        to: recipientAddress,
-        value: ethers.utils.parseEther(amount), // Convert amount to wei
-        gasPrice: ethers.utils.parseUnits('20', 'gwei'), // Optional gas price
-        chainId: 1, // Ethereum mainnet chain ID
-      };
+      const signature = useLedger
+        ? await signTypedDataWithLedger(typedData)
+        : await browserSigner._signTypedData(typedData.domain, typedData.types, typedData.message);
 
-      // Sign transaction using Ledger wallet
-      const signedTx = await ledger.signTransaction("44'/60'/0'/0/0", transaction);
+      const response = await axios.post(`${API_URL}/intents/${intent.id}/execute`, { signature }, { headers });
+
+      return response.data; // { message, intent, transaction }
+    } catch (error) {
+      handleError(error, 'Failed to authorize the payment with your wallet.');
+    }
+  },
+
+  // 5. Ask for (part of) a purchase or tip back; amount defaults to everything not refunded yet
+  async requestRefund({ paymentId, amount, reason }) {
+    try {
+      const authToken = getAuthToken();
+      if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
+
+      const response = await axios.post(`${API_URL}/refunds`, { paymentId, amount, reason }, { headers: { Authorization: `Bearer ${authToken}` } });
+
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Failed to request the refund.');
+    }
+  },
+
+  // 6. Refunds the user requested, or with as: 'creator' the ones waiting for their decision
+  async getRefunds({ as, status } = {}) {
+    try {
+      const authToken = getAuthToken();
+      if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
+
+      const response = await axios.get(`${API_URL}/refunds`, { params: { as, status }, headers: { Authorization: `Bearer ${authToken}` } });
+
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Failed to retrieve refunds.');
+    }
+  },
+
+  // 7. Approve a refund as the creator; a lower amount grants a partial refund
+  async approveRefund(refundId, { amount, note } = {}) {
+    try {
+      const authToken = getAuthToken();
+      if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
+
+      const response = await axios.post(`${API_URL}/refunds/${refundId}/approve`, { amount, note }, { headers: { Authorization: `Bearer ${authToken}` } });
+
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Failed to approve the refund.');
+    }
+  },
+
+  // 8. Reject a refund as the creator
+  async rejectRefund(refundId, { note } = {}) {
+    try {
+      const authToken = getAuthToken();
+      if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
+
+      const response = await axios.post(`${API_URL}/refunds/${refundId}/reject`, { note }, { headers: { Authorization: `Bearer ${authToken}` } });
+
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Failed to reject the refund.');
+    }
+  },
+
+  // 9. Tip a creator, or buy their content, with USDC sent to their wallet on another chain
+  async sendCrossChainPayment({ type, creatorId, contentId, amount, destinationChain, sourceChain, stepUp }) {
+    try {
+      const authToken = getAuthToken();
+      if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
 
-      // Broadcast signed transaction via backend
       const response = await axios.post(
-        `${API_URL}/broadcast-transaction`,
-        { signedTx, tokenAddress },
-        {
-          headers: {
-            Authorization: `Bearer ${getAuthToken()}`, // Attach token for authentication
-          },
-        }
+        `${API_URL}/cross-chain`,
+        { type, creatorId, contentId, amount, destinationChain, sourceChain, stepUp },
+        { headers: { Authorization: `Bearer ${authToken}` } }
       );
 
-      return response.data; // Return transaction confirmation
+      return response.data; // Payment with its stages, and the burn job
+    } catch (error) {
+      handleError(error, 'Failed to send the cross-chain payment.');
+    }
+  },
+
+  // 10. Current status and stages of a cross-chain payment
+  async getCrossChainPayment(paymentId) {
+    try {
+      const authToken = getAuthToken();
+      if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
+
+      const response = await axios.get(`${API_URL}/cross-chain/${paymentId}`, { headers: { Authorization: `Bearer ${authToken}` } });
+
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Failed to retrieve the cross-chain payment.');
+    }
+  },
+
+  // 11. Spending limits, the step-up threshold in effect and what was paid in the last 24 hours
+  async getSpendingPolicy() {
+    try {
+      const authToken = getAuthToken();
+      if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
+
+      const response = await axios.get(`${API_URL}/spending-policy`, { headers: { Authorization: `Bearer ${authToken}` } });
+
+      return response.data.policy;
+    } catch (error) {
+      handleError(error, 'Failed to retrieve the spending policy.');
+    }
+  },
+
+  // 12. Change spending limits; raising one fails with STEP_UP_REQUIRED unless stepUp is sent
+  async updateSpendingPolicy({ perTransactionLimit, dailyCap, allowedRecipients, stepUpThreshold }, stepUp) {
+    try {
+      const authToken = getAuthToken();
+      if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
+
+      const response = await axios.put(
+        `${API_URL}/spending-policy`,
+        { perTransactionLimit, dailyCap, allowedRecipients, stepUpThreshold, stepUp },
+        { headers: { Authorization: `Bearer ${authToken}` } }
+      );
+
+      return response.data.policy;
+    } catch (error) {
+      handleError(error, 'Failed to update the spending policy.');
+    }
+  },
+
+  // 13. Step-up with the connected wallet (it must be linked to the account): sign a one-time challenge; pass the result as stepUp
+  async confirmWithWallet() {
+    try {
+      const authToken = getAuthToken();
+      if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
+
+      const signer = new ethers.providers.Web3Provider(window.ethereum).getSigner();
+      const address = await signer.getAddress();
+
+      const response = await axios.post(`${API_URL}/step-up/challenge`, { address }, { headers: { Authorization: `Bearer ${authToken}` } });
+      const { challengeId, message } = response.data;
+
+      const signature = await signer.signMessage(message);
+
+      return { challengeId, signature };
+    } catch (error) {
+      handleError(error, 'Failed to confirm with your wallet.');
+    }
+  },
+
+  // 14. Start setting up 2FA; returns the secret and otpauth:// URL for an authenticator app
+  async setupTwoFactor() {
+    try {
+      const authToken = getAuthToken();
+      if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
+
+      const response = await axios.post(`${API_URL}/step-up/totp`, {}, { headers: { Authorization: `Bearer ${authToken}` } });
+
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Failed to set up two-factor authentication.');
+    }
+  },
+
+  // 15. Turn on 2FA with the first code from the authenticator app
+  async confirmTwoFactor(token) {
+    try {
+      const authToken = getAuthToken();
+      if (isTokenExpired(authToken)) throw new Error('Session expired. Please log in again.');
+
+      const response = await axios.post(`${API_URL}/step-up/totp/confirm`, { token }, { headers: { Authorization: `Bearer ${authToken}` } });
+
+      return response.data;
     } catch (error) {
-      handleError(error, 'Failed to authorize payment with Ledger.');
+      handleError(error, 'Failed to confirm two-factor authentication.');
     }
   },
 };
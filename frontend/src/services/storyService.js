@@ -1,7 +1,8 @@
 import axios from 'axios';
+import { toApiError } from './apiError'; // Typed errors carrying the backend's error code
 
 // Base URL for Story Protocol-related API routes (adjust as per your backend)
-const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/story';
+const API_URL = process.env.REACT_APP_API_URL || 'https://your-backend-api.com/api/v1/story';
 
 // Helper function to securely get the authentication token
 const getAuthToken = () => localStorage.getItem('authToken');
@@ -33,9 +34,9 @@ const authHeaders = () => {
 
 // Centralized error handling with logging and user-friendly messages
 const handleError = (error, fallbackMessage) => {
-  const message = error.response?.data?.message || fallbackMessage || 'An unexpected error occurred. Please try again.';
-  console.error(`Error: ${message}`, error); // Log the error for debugging
-  throw new Error(message); // Throw the error to propagate it further
+  const apiError = toApiError(error, fallbackMessage);
+  console.error(`Error [${apiError.code}]: ${apiError.message}`, error); // Log the error for debugging
+  throw apiError; // Throw the error to propagate it further
 };
 
 const storyService = {